@@ -3,6 +3,7 @@ const router = express.Router();
 const User = require('../models/user');
 const validator = require('validator');
 const logger = require('../utils/logger');
+const { removeAllPasskeys } = require('../services/passkeyService');
 
 // PATCH disable 2FA by email
 router.patch('/disable-2fa', async (req, res) => {
@@ -39,13 +40,17 @@ router.patch('/disable-2fa', async (req, res) => {
       { 
         is2FAEnabled: false,
         is2FAVerified: false,
-        twoFASecret: null
+        twoFASecret: null,
+        twoFAResetAt: new Date(),
+        twoFABackupCodes: [],
+        twoFABackupCodesGeneratedAt: null
       },
       { 
         new: true,
         runValidators: true
       }
     );
+    await removeAllPasskeys('USER', updatedUser._id);
 
     logger.info(`2FA disabled for user: ${email}`, {
       userId: updatedUser._id,
@@ -3,6 +3,7 @@ const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const AdminUser = require('../models/admin');
 const logger = require('../utils/logger');
+const { removeAllPasskeys } = require('../services/passkeyService');
 
 const router = express.Router();
 
@@ -285,6 +286,7 @@ router.post('/disable-2fa', async (req, res) => {
     targetAdmin.is2FASetupCompleted = false;
     targetAdmin.twoFASecret = null;
     await targetAdmin.save();
+    await removeAllPasskeys('ADMIN', targetAdmin._id);
 
     logger.info('Admin 2FA disabled by super admin', {
       superAdminId: requestingAdmin._id,
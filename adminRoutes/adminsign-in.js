@@ -1,11 +1,14 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const speakeasy = require("speakeasy");
 const { body, validationResult } = require("express-validator");
 const router = express.Router();
 
 const AdminUser = require("../models/admin");
 const logger = require("../utils/logger");
+const { revokeTokenId, issuedAtClaim } = require("../services/tokenRevocationService");
+const { PasskeyError, hasPasskeys, authenticationOptions, verifyPasskeyAssertion } = require("../services/passkeyService");
 
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCK_TIME = 2 * 60 * 60 * 1000; // 2 hours in milliseconds
@@ -49,6 +52,10 @@ router.post(
       .withMessage("2FA token must be exactly 6 digits.")
       .isNumeric()
       .withMessage("2FA token must contain only numbers."),
+    body("passkeyAssertion")
+      .optional()
+      .isObject()
+      .withMessage("Passkey assertion must be an object."),
   ],
   async (req, res) => {
     const startTime = Date.now();
@@ -68,7 +75,7 @@ router.post(
       });
     }
 
-    const { email, passwordPin, twoFAToken } = req.body;
+    const { email, passwordPin, twoFAToken, passkeyAssertion } = req.body;
 
     try {
       // Find admin user
@@ -170,22 +177,56 @@ router.post(
         });
       }
 
-      // 2FA is enabled, check if token is provided
-      if (!twoFAToken) {
+      // 2FA is enabled, check if token or passkey assertion is provided
+      if (!twoFAToken && !passkeyAssertion) {
         logger.info("2FA token required for admin sign-in", {
           adminId: admin._id,
           email: admin.email
         });
+
+        // Admins with a passkey get a challenge to answer instead of a code
+        let passkeyOptions;
+        if (await hasPasskeys('ADMIN', admin._id)) {
+          try {
+            passkeyOptions = await authenticationOptions('ADMIN', admin._id);
+          } catch (passkeyError) {
+            logger.warn("Passkey challenge unavailable for admin sign-in", {
+              adminId: admin._id,
+              error: passkeyError.message
+            });
+          }
+        }
+
         return res.status(200).json({
           success: true,
           requires2FA: true,
           message: "2FA token required. Please provide your 6-digit authentication code.",
-          adminId: admin._id
+          adminId: admin._id,
+          ...(passkeyOptions && { passkeyOptions })
         });
       }
 
+      if (passkeyAssertion) {
+        // Re-send email and passwordPin with the navigator.credentials.get() result
+        try {
+          await verifyPasskeyAssertion('ADMIN', admin._id, passkeyAssertion);
+        } catch (passkeyError) {
+          if (!(passkeyError instanceof PasskeyError)) throw passkeyError;
+          logger.warn("Passkey rejected during admin sign-in", {
+            adminId: admin._id,
+            email: admin.email,
+            code: passkeyError.code
+          });
+          return res.status(passkeyError.httpStatus).json({
+            success: false,
+            code: passkeyError.code,
+            message: passkeyError.message
+          });
+        }
+      }
+
       // Verify 2FA token
-      const verified = speakeasy.totp.verify({
+      const verified = Boolean(passkeyAssertion) || speakeasy.totp.verify({
         secret: admin.twoFASecret,
         encoding: 'base32',
         token: twoFAToken,
@@ -232,7 +273,8 @@ router.post(
       };
 
       // Generate tokens
-      const accessToken = jwt.sign(tokenPayload, adminJwtSecrets.adminJwtSecret, { expiresIn: "1h" });
+      // jti lets logout revoke this access token (services/tokenRevocationService)
+      const accessToken = jwt.sign({ ...tokenPayload, ...issuedAtClaim() }, adminJwtSecrets.adminJwtSecret, { expiresIn: "1h", jwtid: crypto.randomUUID() });
       const refreshToken = jwt.sign(
         { id: admin._id, type: 'admin' }, 
         adminJwtSecrets.adminJwtRefreshSecret, 
@@ -337,7 +379,7 @@ router.post("/refresh-token", async (req, res) => {
       isActive: admin.isActive
     };
 
-    const newAccessToken = jwt.sign(tokenPayload, adminJwtSecrets.adminJwtSecret, { expiresIn: "1h" });
+    const newAccessToken = jwt.sign({ ...tokenPayload, ...issuedAtClaim() }, adminJwtSecrets.adminJwtSecret, { expiresIn: "1h", jwtid: crypto.randomUUID() });
 
     res.json({
       success: true,
@@ -382,6 +424,14 @@ router.post("/logout", async (req, res) => {
       logger.info("Admin logged out", { adminId: admin._id, email: admin.email });
     }
 
+    // Revoke the access token itself - only once its signature checks out
+    try {
+      const verified = jwt.verify(accessToken, validateAdminJWTSecrets().adminJwtSecret, { ignoreExpiration: true });
+      await revokeTokenId(verified.jti, verified.exp);
+    } catch (verifyError) {
+      logger.warn("Admin logout: access token not revoked", { error: verifyError.message });
+    }
+
     res.json({
       success: true,
       message: "Admin logged out successfully"
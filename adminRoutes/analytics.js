@@ -9,6 +9,7 @@ const Transaction = require('../models/transaction');
 const BillTransaction = require('../models/billstransaction');
 const NairaMarkdown = require('../models/offramp');
 const { getPricesWithCache, SUPPORTED_TOKENS } = require('../services/portfolio');
+const { listAssets, getBalanceFields } = require('../services/assetRegistry');
 const GiftCard = require('../models/giftcard'); // Add this if not already present
 
 /**
@@ -1796,54 +1797,41 @@ async function computePlatformSnapshot() {
   const offrampRate   = nairaMarkdown?.offrampRate || 1554.42;
   const ngnzPriceUsd  = 1 / offrampRate;
 
-  const cryptoTokens = ['BTC', 'ETH', 'SOL', 'USDT', 'USDC', 'BNB', 'MATIC', 'TRX'];
+  // Every registry asset, including disabled ones that may still hold balances
+  const assets       = listAssets({ includeDisabled: true });
+  const cryptoTokens = assets.filter(a => a.priceSource.provider !== 'offramp').map(a => a.symbol);
   let prices = {};
   try {
     prices = await getPricesWithCache(cryptoTokens) || {};
   } catch {
-    prices = { BTC: 65000, ETH: 3200, SOL: 200, USDT: 1, USDC: 1, BNB: 580, MATIC: 0.85, TRX: 0.14 };
+    prices = {};
   }
 
-  const walletBalances = await User.aggregate([
-    {
-      $group: {
-        _id: null,
-        totalBtc:       { $sum: { $ifNull: ['$btcBalance', 0] } },
-        totalEth:       { $sum: { $ifNull: ['$ethBalance', 0] } },
-        totalSol:       { $sum: { $ifNull: ['$solBalance', 0] } },
-        totalUsdt:      { $sum: { $ifNull: ['$usdtBalance', 0] } },
-        totalUsdc:      { $sum: { $ifNull: ['$usdcBalance', 0] } },
-        totalBnb:       { $sum: { $ifNull: ['$bnbBalance', 0] } },
-        totalMatic:     { $sum: { $ifNull: ['$maticBalance', 0] } },
-        totalTrx:       { $sum: { $ifNull: ['$trxBalance', 0] } },
-        totalNgnz:      { $sum: { $ifNull: ['$ngnzBalance', 0] } },
-        totalBtcPending:   { $sum: { $ifNull: ['$btcPendingBalance', 0] } },
-        totalEthPending:   { $sum: { $ifNull: ['$ethPendingBalance', 0] } },
-        totalSolPending:   { $sum: { $ifNull: ['$solPendingBalance', 0] } },
-        totalUsdtPending:  { $sum: { $ifNull: ['$usdtPendingBalance', 0] } },
-        totalUsdcPending:  { $sum: { $ifNull: ['$usdcPendingBalance', 0] } },
-        totalBnbPending:   { $sum: { $ifNull: ['$bnbPendingBalance', 0] } },
-        totalMaticPending: { $sum: { $ifNull: ['$maticPendingBalance', 0] } },
-        totalTrxPending:   { $sum: { $ifNull: ['$trxPendingBalance', 0] } },
-        totalNgnzPending:  { $sum: { $ifNull: ['$ngnzPendingBalance', 0] } },
-        userCount: { $sum: 1 },
-      },
-    },
-  ]);
+  const group = { _id: null, userCount: { $sum: 1 } };
+  for (const asset of assets) {
+    const { balanceField, pendingField } = getBalanceFields(asset.symbol);
+    group[`${asset.symbol}_amount`]  = { $sum: { $ifNull: [`$${balanceField}`, 0] } };
+    group[`${asset.symbol}_pending`] = { $sum: { $ifNull: [`$${pendingField}`, 0] } };
+  }
+  const walletBalances = await User.aggregate([{ $group: group }]);
 
   const b = walletBalances[0] || {};
 
-  const breakdown = {
-    BTC:  { amount: b.totalBtc  || 0, pendingAmount: b.totalBtcPending  || 0, priceUsd: prices.BTC  || 0, usdValue: (b.totalBtc  || 0) * (prices.BTC  || 0), pendingUsdValue: (b.totalBtcPending  || 0) * (prices.BTC  || 0) },
-    ETH:  { amount: b.totalEth  || 0, pendingAmount: b.totalEthPending  || 0, priceUsd: prices.ETH  || 0, usdValue: (b.totalEth  || 0) * (prices.ETH  || 0), pendingUsdValue: (b.totalEthPending  || 0) * (prices.ETH  || 0) },
-    SOL:  { amount: b.totalSol  || 0, pendingAmount: b.totalSolPending  || 0, priceUsd: prices.SOL  || 0, usdValue: (b.totalSol  || 0) * (prices.SOL  || 0), pendingUsdValue: (b.totalSolPending  || 0) * (prices.SOL  || 0) },
-    USDT: { amount: b.totalUsdt || 0, pendingAmount: b.totalUsdtPending || 0, priceUsd: prices.USDT || 1, usdValue: (b.totalUsdt || 0) * (prices.USDT || 1), pendingUsdValue: (b.totalUsdtPending || 0) * (prices.USDT || 1) },
-    USDC: { amount: b.totalUsdc || 0, pendingAmount: b.totalUsdcPending || 0, priceUsd: prices.USDC || 1, usdValue: (b.totalUsdc || 0) * (prices.USDC || 1), pendingUsdValue: (b.totalUsdcPending || 0) * (prices.USDC || 1) },
-    BNB:  { amount: b.totalBnb  || 0, pendingAmount: b.totalBnbPending  || 0, priceUsd: prices.BNB  || 0, usdValue: (b.totalBnb  || 0) * (prices.BNB  || 0), pendingUsdValue: (b.totalBnbPending  || 0) * (prices.BNB  || 0) },
-    MATIC:{ amount: b.totalMatic|| 0, pendingAmount: b.totalMaticPending|| 0, priceUsd: prices.MATIC|| 0, usdValue: (b.totalMatic|| 0) * (prices.MATIC|| 0), pendingUsdValue: (b.totalMaticPending|| 0) * (prices.MATIC|| 0) },
-    TRX:  { amount: b.totalTrx  || 0, pendingAmount: b.totalTrxPending  || 0, priceUsd: prices.TRX  || 0, usdValue: (b.totalTrx  || 0) * (prices.TRX  || 0), pendingUsdValue: (b.totalTrxPending  || 0) * (prices.TRX  || 0) },
-    NGNZ: { amount: b.totalNgnz || 0, pendingAmount: b.totalNgnzPending || 0, priceUsd: ngnzPriceUsd,     usdValue: (b.totalNgnz || 0) * ngnzPriceUsd,        pendingUsdValue: (b.totalNgnzPending || 0) * ngnzPriceUsd },
-  };
+  const breakdown = {};
+  for (const asset of assets) {
+    const priceUsd = asset.priceSource.provider === 'offramp'
+      ? ngnzPriceUsd
+      : (prices[asset.symbol] || asset.priceSource.fixedPriceUsd || asset.priceSource.fallbackPriceUsd || 0);
+    const amount        = b[`${asset.symbol}_amount`]  || 0;
+    const pendingAmount = b[`${asset.symbol}_pending`] || 0;
+    breakdown[asset.symbol] = {
+      amount,
+      pendingAmount,
+      priceUsd,
+      usdValue:        amount * priceUsd,
+      pendingUsdValue: pendingAmount * priceUsd,
+    };
+  }
 
   const totalUsd          = Object.values(breakdown).reduce((s, t) => s + t.usdValue, 0);
   const totalPendingUsd   = Object.values(breakdown).reduce((s, t) => s + t.pendingUsdValue, 0);
@@ -2016,5 +2004,134 @@ router.get('/funding-history', async (req, res) => {
   }
 });
 
+// ── Balance reconciliation ────────────────────────────────────────────────
+const BalanceReconciliation = require('../models/balanceReconciliation');
+const BalanceDrift          = require('../models/balanceDrift');
+const { runBalanceReconciliation, createReconciliationRun } = require('../services/balanceReconciliationService');
+
+// POST /analytics/reconciliation/run — start a reconciliation in the background
+router.post('/reconciliation/run', async (req, res) => {
+  try {
+    const adminId = req.admin?._id || req.user?._id || null;
+
+    const running = await BalanceReconciliation.findOne({ status: 'RUNNING' }).lean();
+    if (running) {
+      return res.status(409).json({ success: false, error: 'A reconciliation is already running', data: { runId: running.runId } });
+    }
+
+    const run = await createReconciliationRun({ trigger: 'manual', triggeredBy: adminId });
+    runBalanceReconciliation({ run }).catch((error) => {
+      console.error(`Manual reconciliation ${run.runId} failed:`, error.message);
+    });
+
+    res.status(202).json({ success: true, message: 'Reconciliation started', data: { runId: run.runId } });
+  } catch (error) {
+    console.error('Error starting reconciliation:', error);
+    res.status(500).json({ success: false, error: 'Failed to start reconciliation', message: error.message });
+  }
+});
+
+// GET /analytics/reconciliation — paginated list of reconciliation runs
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const { page = 1, limit = 30, status, trigger } = req.query;
+    const query = {};
+    if (status && ['RUNNING', 'COMPLETED', 'FAILED'].includes(status)) query.status = status;
+    if (trigger && ['auto', 'manual'].includes(trigger)) query.trigger = trigger;
+
+    const pageNum  = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip     = (pageNum - 1) * limitNum;
+
+    const [runs, total] = await Promise.all([
+      BalanceReconciliation.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('triggeredBy', 'adminName email')
+        .lean(),
+      BalanceReconciliation.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation runs:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliation runs', message: error.message });
+  }
+});
+
+// GET /analytics/reconciliation/:runId/drifts — drift rows for a run, largest first
+router.get('/reconciliation/:runId/drifts', async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { page = 1, limit = 50, currency, userId } = req.query;
+
+    const run = await BalanceReconciliation.findOne({ runId }).lean();
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+    }
+
+    const query = { runId };
+    if (currency) query.currency = String(currency).toUpperCase();
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid userId' });
+      }
+      query.userId = userId;
+    }
+
+    const pageNum  = Math.max(1, parseInt(page));
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit)));
+    const skip     = (pageNum - 1) * limitNum;
+
+    const [drifts, total] = await Promise.all([
+      BalanceDrift.aggregate([
+        { $match: { ...query, ...(query.userId && { userId: new mongoose.Types.ObjectId(query.userId) }) } },
+        { $addFields: { absDrift: { $abs: '$drift' } } },
+        { $sort: { absDrift: -1 } },
+        { $skip: skip },
+        { $limit: limitNum },
+        { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            userId: 1, currency: 1, cachedBalance: 1, expectedBalance: 1, drift: 1, breakdown: 1, createdAt: 1,
+            'user.email': 1, 'user.username': 1, 'user.firstname': 1, 'user.lastname': 1,
+          },
+        },
+      ]),
+      BalanceDrift.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        run,
+        drifts,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation drifts:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch reconciliation drifts', message: error.message });
+  }
+});
+
 module.exports = router;
 module.exports.computePlatformSnapshot = computePlatformSnapshot;
\ No newline at end of file
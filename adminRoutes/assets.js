@@ -0,0 +1,149 @@
+const express = require('express');
+const Asset = require('../models/asset');
+const { PRICE_PROVIDERS } = require('../models/asset');
+const { refreshAssets, getAsset, getLastLoadedAt } = require('../services/assetRegistry');
+
+const router = express.Router();
+
+// Fields an admin may change on an existing asset. `symbol` and
+// `legacyBalancePrefix` are fixed: they decide where user balances live.
+// `decimals` is set on create only: it decides how existing balances round.
+const EDITABLE_FIELDS = [
+  'name', 'aliases', 'obiexCode', 'isStablecoin', 'isNairaPegged',
+  'networks', 'priceSource', 'enabled', 'depositEnabled', 'withdrawEnabled',
+  'swapEnabled', 'transferEnabled', 'sortOrder'
+];
+
+const SYMBOL_PATTERN = /^[A-Z0-9-]{2,15}$/;
+
+function pickEditable(body) {
+  const update = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+  return update;
+}
+
+function validateAssetPayload(payload, symbol) {
+  const errors = [];
+
+  if (payload.decimals !== undefined && (!Number.isInteger(payload.decimals) || payload.decimals < 0 || payload.decimals > 18)) {
+    errors.push('decimals must be an integer between 0 and 18');
+  }
+  if (payload.priceSource?.provider && !PRICE_PROVIDERS.includes(payload.priceSource.provider)) {
+    errors.push(`priceSource.provider must be one of: ${PRICE_PROVIDERS.join(', ')}`);
+  }
+  if (payload.priceSource?.provider === 'binance' && !payload.priceSource.symbol) {
+    errors.push('priceSource.symbol is required for binance-priced assets');
+  }
+  if (payload.networks !== undefined) {
+    if (!Array.isArray(payload.networks) || payload.networks.some(n => !n || !n.code)) {
+      errors.push('networks must be an array of objects with a code');
+    }
+  }
+  if (payload.aliases !== undefined) {
+    if (!Array.isArray(payload.aliases)) {
+      errors.push('aliases must be an array');
+    } else {
+      for (const alias of payload.aliases) {
+        const owner = getAsset(alias);
+        if (owner && owner.symbol !== symbol) {
+          errors.push(`Alias ${String(alias).toUpperCase()} already belongs to ${owner.symbol}`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// GET /admin/assets — every asset in the registry, enabled or not
+router.get('/', async (req, res) => {
+  try {
+    const assets = await Asset.find({}).sort({ sortOrder: 1, symbol: 1 }).lean();
+    res.json({ success: true, data: { assets, registryLoadedAt: getLastLoadedAt() } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /admin/assets — add a new asset; balances are stored in User.balances
+router.post('/', async (req, res) => {
+  try {
+    const symbol = String(req.body.symbol || '').trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      return res.status(400).json({ success: false, error: 'symbol must be 2-15 characters (A-Z, 0-9, -)' });
+    }
+    if (!req.body.name || req.body.decimals === undefined) {
+      return res.status(400).json({ success: false, error: 'name and decimals are required' });
+    }
+    if (getAsset(symbol) || await Asset.exists({ symbol })) {
+      return res.status(409).json({ success: false, error: `Asset ${symbol} already exists` });
+    }
+
+    const payload = { ...pickEditable(req.body), decimals: req.body.decimals };
+    const errors = validateAssetPayload(payload, symbol);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const asset = await Asset.create({
+      ...payload,
+      symbol,
+      // New assets start switched off so networks and pricing can be checked first
+      enabled: req.body.enabled === true,
+      legacyBalancePrefix: null,
+      updatedBy: req.admin?._id || req.admin?.id || null
+    });
+    await refreshAssets();
+
+    res.status(201).json({ success: true, message: 'Asset created', data: asset });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// PATCH /admin/assets/:symbol — update metadata, networks, pricing or feature switches
+router.patch('/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    if (req.body.decimals !== undefined) {
+      return res.status(400).json({ success: false, error: 'decimals cannot be changed once an asset exists' });
+    }
+    const payload = pickEditable(req.body);
+    if (Object.keys(payload).length === 0) {
+      return res.status(400).json({ success: false, error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+
+    const errors = validateAssetPayload(payload, symbol);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const asset = await Asset.findOneAndUpdate(
+      { symbol },
+      { $set: { ...payload, updatedBy: req.admin?._id || req.admin?.id || null } },
+      { new: true, runValidators: true }
+    );
+    if (!asset) {
+      return res.status(404).json({ success: false, error: `Asset ${symbol} not found` });
+    }
+    await refreshAssets();
+
+    res.json({ success: true, message: 'Asset updated', data: asset });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// POST /admin/assets/refresh — reload the in-memory registry from the database
+router.post('/refresh', async (req, res) => {
+  try {
+    const count = await refreshAssets();
+    res.json({ success: true, data: { assets: count, registryLoadedAt: getLastLoadedAt() } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
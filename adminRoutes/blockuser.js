@@ -3,6 +3,7 @@ const router = express.Router();
 const User = require('../models/user');
 const validator = require('validator');
 const logger = require('../utils/logger');
+const { revokeAllUserTokens } = require('../services/tokenRevocationService');
 
 // POST: Block a user
 router.post('/block', async (req, res) => {
@@ -44,7 +45,8 @@ router.post('/block', async (req, res) => {
         $set: {
           isBlocked: true,
           blockReason: blockReason,
-          blockedAt: now
+          blockedAt: now,
+          refreshTokens: []
         }
       },
       {
@@ -53,6 +55,9 @@ router.post('/block', async (req, res) => {
       }
     );
 
+    // Signed-in sessions end now, not when their access tokens expire
+    await revokeAllUserTokens(updatedUser._id, 'blocked by admin');
+
     logger.info(`User blocked: ${email}`, {
       userId: updatedUser._id,
       reason: blockReason,
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const { sendPushNotification } = require('../services/notificationService');
+const { postEntry } = require('../services/ledgerService');
 
 // Updated to include ALL balance fields from User schema
 const currencyFieldMap = {
@@ -50,27 +51,23 @@ router.post('/fund-user', async (req, res) => {
       });
     }
 
-    // Build update object with $inc for atomic increment
-    const update = { 
-      $inc: {
-        [fieldToUpdate]: numericAmount
-      }
-    };
-
-    // Find user and increment balance atomically
-    const updatedUser = await User.findOneAndUpdate(
-      { email },
-      update,
-      { new: true, runValidators: true }
-    ).select('email btcBalance ethBalance solBalance usdtBalance usdcBalance bnbBalance maticBalance trxBalance tonBalance ngnzBalance');
-
-    if (!updatedUser) {
+    const targetUser = await User.findOne({ email }).select('_id');
+    if (!targetUser) {
       return res.status(404).json({ 
         success: false, 
         message: 'User not found.' 
       });
     }
 
+    // Credit the balance atomically through the ledger
+    const { user: updatedUser } = await postEntry({
+      type: 'ADMIN_FUND',
+      userId: targetUser._id,
+      description: `Admin funding of ${numericAmount} ${currency.toUpperCase()}`,
+      actor: { kind: 'ADMIN', id: String(req.admin?.id || req.admin?._id || '') },
+      changes: [{ currency: currency.toUpperCase(), balanceDelta: numericAmount }]
+    });
+
     // Get the new balance for the specific currency field
     const newBalance = updatedUser[fieldToUpdate] ?? 0;
 
@@ -155,26 +152,23 @@ router.post('/deduct-user', async (req, res) => {
       });
     }
 
-    // Deduct (negative increment)
-    const update = { 
-      $inc: {
-        [fieldToUpdate]: -numericAmount  // Negative to deduct
-      }
-    };
-
-    const updatedUser = await User.findOneAndUpdate(
-      { email },
-      update,
-      { new: true, runValidators: true }
-    ).select('email btcBalance ethBalance solBalance usdtBalance usdcBalance bnbBalance maticBalance trxBalance tonBalance ngnzBalance');
-
-    if (!updatedUser) {
+    const targetUser = await User.findOne({ email }).select('_id');
+    if (!targetUser) {
       return res.status(404).json({ 
         success: false, 
         message: 'User not found.' 
       });
     }
 
+    // Deduct through the ledger (negative delta)
+    const { user: updatedUser } = await postEntry({
+      type: 'ADMIN_DEDUCT',
+      userId: targetUser._id,
+      description: `Admin deduction of ${numericAmount} ${currency.toUpperCase()}`,
+      actor: { kind: 'ADMIN', id: String(req.admin?.id || req.admin?._id || '') },
+      changes: [{ currency: currency.toUpperCase(), balanceDelta: -numericAmount, requireFunds: false }]
+    });
+
     const newBalance = updatedUser[fieldToUpdate] ?? 0;
 
     console.log(`✅ Deducted from user: ${email} | ${currency}: ${numericAmount} | New Balance: ${newBalance}`);
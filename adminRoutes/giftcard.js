@@ -5,9 +5,11 @@ const GiftCardPrice = require('../models/giftcardPrice');
 const User = require('../models/user');
 const Transaction = require('../models/transaction');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
 const validator = require('validator');
 const { SendGiftcardMail } = require('../services/EmailService');
 const { sendGiftcardApprovalNotification, sendGiftcardRejectionNotification, sendGiftcardReviewingNotification } = require('../services/notificationService');
+const { emitEvent } = require('../services/outboundWebhookService');
 
 // Rate ranges configuration
 const RATE_RANGES_CONFIG = {
@@ -810,14 +812,16 @@ router.post('/submissions/:id/approve', async (req, res) => {
     submission.transactionId = transaction._id;
     await submission.save();
 
-    // Fund user's NGNZ balance ATOMICALLY using $inc (like funduser.js)
-    const user = await User.findByIdAndUpdate(
-      submission.userId._id,
-      {
-        $inc: { ngnzBalance: paymentAmount }
-      },
-      { new: true, runValidators: true }
-    ).select('email ngnzBalance');
+    // Fund user's NGNZ balance ATOMICALLY through the ledger (like funduser.js)
+    const { user } = await postEntry({
+      type: 'GIFTCARD_PAYOUT',
+      userId: submission.userId._id,
+      reference: String(transaction._id),
+      description: `Gift card payout: ${submission.cardType} ${submission.cardFormat}`,
+      actor: { kind: 'ADMIN', id: String(req.admin?.id || req.admin?._id || '') },
+      changes: [{ currency: 'NGNZ', balanceDelta: paymentAmount }],
+      metadata: { giftCardId: submission._id, transactionId: transaction._id }
+    });
 
     if (!user) {
       // This should never happen since we validated earlier, but handle it
@@ -887,6 +891,16 @@ router.post('/submissions/:id/approve', async (req, res) => {
       // Don't fail the request if email fails, but log extensively for debugging
     }
 
+    emitEvent('giftcard.approved', {
+      userId: submission.userId._id.toString(),
+      submissionId: submission._id.toString(),
+      cardType: submission.cardType,
+      cardValue: submission.cardValue,
+      cardCurrency: submission.currency,
+      paymentAmount,
+      paymentCurrency: 'NGN'
+    });
+
     // Send push notification
     try {
       await sendGiftcardApprovalNotification(
@@ -1023,6 +1037,15 @@ router.post('/submissions/:id/reject', async (req, res) => {
       // Don't fail the request if email fails, but log extensively for debugging
     }
 
+    emitEvent('giftcard.rejected', {
+      userId: submission.userId._id.toString(),
+      submissionId: submission._id.toString(),
+      cardType: submission.cardType,
+      cardValue: submission.cardValue,
+      cardCurrency: submission.currency,
+      rejectionReason
+    });
+
     // Send push notification
     try {
       await sendGiftcardRejectionNotification(
@@ -0,0 +1,52 @@
+const express = require('express');
+const { JobQueueError, getQueueStats, listDeadJobs, retryDeadJob } = require('../services/jobQueue');
+require('../services/backgroundJobs'); // defines the queues
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof JobQueueError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// GET /admin/job-queues - Depth and counters per queue
+router.get('/', async (req, res) => {
+  try {
+    const queues = await getQueueStats();
+    return res.json({ success: true, queues });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/job-queues');
+  }
+});
+
+// GET /admin/job-queues/:queue/dead
+// Query params: limit (default 50, max 200)
+router.get('/:queue/dead', async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const jobs = await listDeadJobs(req.params.queue, limit);
+    return res.json({ success: true, queue: req.params.queue, jobs });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/job-queues/:queue/dead');
+  }
+});
+
+// POST /admin/job-queues/:queue/dead/:jobId/retry
+router.post('/:queue/dead/:jobId/retry', async (req, res) => {
+  try {
+    const job = await retryDeadJob(req.params.queue, req.params.jobId);
+    res.locals.audit = {
+      action: 'Retry Dead Job',
+      details: `queue: ${req.params.queue} | jobId: ${job.id} | lastError: ${job.lastError || 'n/a'}`
+    };
+    return res.json({ success: true, job });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/job-queues/:queue/dead/:jobId/retry');
+  }
+});
+
+module.exports = router;
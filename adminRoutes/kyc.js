@@ -2,6 +2,23 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const KYC = require('../models/kyc');
+const KycLevel3Application = require('../models/kycLevel3Application');
+const { APPLICATION_STATUSES } = require('../models/kycLevel3Application');
+const {
+  KycLevel3Error,
+  LEVEL3_VALIDITY_DAYS,
+  approveApplication,
+  rejectApplication,
+  proofOfAddressUrl
+} = require('../services/kycLevel3Service');
+const {
+  REPORT_KINDS,
+  documentExpiryFields,
+  level2ExpiryUpdate,
+  getExpiringVerifications
+} = require('../services/kycReverificationService');
+const { screen } = require('../services/screeningService');
+const { normalizeDocumentDate } = require('../utils/kycHelpers');
 const validator = require('validator');
 const logger = require('../utils/logger');
 
@@ -88,8 +105,9 @@ router.post('/cancel', async (req, res) => {
 });
 
 // POST: Approve user's KYC by phone number  
+// Optional documentExpiryDate (YYYY-MM-DD) for documents that lapse (passport, driver's licence)
 router.post('/approve', async (req, res) => {
-  const { phoneNumber, idType, idNumber, fullName } = req.body;
+  const { phoneNumber, idType, idNumber, fullName, documentExpiryDate } = req.body;
 
   if (!phoneNumber || !validator.isMobilePhone(phoneNumber, 'any')) {
     logger.warn('Invalid or missing phone number in approve KYC request', { phoneNumber });
@@ -101,6 +119,15 @@ router.post('/approve', async (req, res) => {
     return res.status(400).json({ success: false, error: 'idType and idNumber are required.' });
   }
 
+  const expiryDate = normalizeDocumentDate(documentExpiryDate);
+  if (documentExpiryDate && !expiryDate) {
+    return res.status(400).json({ success: false, error: 'documentExpiryDate must be a date (YYYY-MM-DD).' });
+  }
+  const documentDates = documentExpiryFields({ document: { expiryDate } });
+  if (documentDates.documentExpiresAt && documentDates.documentExpiresAt <= new Date()) {
+    return res.status(400).json({ success: false, error: 'The document has already expired.' });
+  }
+
   try {
     const user = await User.findOne({ phonenumber: phoneNumber });
     if (!user) {
@@ -113,6 +140,29 @@ router.post('/approve', async (req, res) => {
       status: { $in: ['PENDING', 'REJECTED'] }
     }).sort({ createdAt: -1 });
 
+    // Watchlist hits wait for compliance (adminRoutes/screening) before approval
+    const screening = await screen({
+      context: 'KYC_APPROVAL',
+      userId: user._id,
+      subject: {
+        fullName: fullName || [user.firstname, user.middlename, user.lastname].filter(Boolean).join(' '),
+        dateOfBirth: latestKyc?.dateOfBirth,
+        email: user.email,
+        phonenumber: user.phonenumber
+      },
+      reference: latestKyc?._id,
+      actor: { kind: 'ADMIN', id: String(req.admin?.id || req.admin?._id || '') || null }
+    });
+    if (screening.action !== 'CLEAR') {
+      logger.warn('Manual KYC approval held by watchlist screening', { userId: user._id, caseId: screening.caseId });
+      return res.status(409).json({
+        success: false,
+        code: screening.action === 'BLOCK' ? 'SANCTIONS_MATCH' : 'PEP_MATCH',
+        error: 'This user matches a sanctions/PEP watchlist. Approval is on hold until compliance reviews the screening case.',
+        caseId: screening.caseId
+      });
+    }
+
     const now = new Date();
     let kycDoc;
 
@@ -128,6 +178,8 @@ router.post('/approve', async (req, res) => {
             frontendIdType: idType,
             idNumber,
             fullName: fullName || `${user.firstname} ${user.lastname}`,
+            documentExpiryDate: documentDates.documentExpiryDate,
+            documentExpiresAt: documentDates.documentExpiresAt,
             verificationDate: now,
             lastUpdated: now
           }
@@ -150,6 +202,8 @@ router.post('/approve', async (req, res) => {
         idNumber,
         fullName: fullName || `${user.firstname} ${user.lastname}`,
         country: 'NG',
+        documentExpiryDate: documentDates.documentExpiryDate,
+        documentExpiresAt: documentDates.documentExpiresAt,
         verificationDate: now,
         lastUpdated: now,
         createdAt: now
@@ -169,6 +223,7 @@ router.post('/approve', async (req, res) => {
         'kyc.level2.documentNumber': idNumber,
         'kyc.level2.approvedAt': now,
         'kyc.level2.rejectionReason': null,
+        ...level2ExpiryUpdate(documentDates.documentExpiresAt),
         'kycStatus': 'approved'
       }
     });
@@ -552,7 +607,7 @@ router.post('/upgrade', async (req, res) => {
     const upgradeReason = reason || 'Manually upgraded by admin';
 
     const updateData = {
-      kycLevel,
+      kycLevel: Number(kycLevel.replace('level', '')),
       'kyc.status': 'approved',
       'kyc.updatedAt': now,
       'kycStatus': 'approved'
@@ -561,6 +616,17 @@ router.post('/upgrade', async (req, res) => {
     if (kycLevel === 'level2' || kycLevel === 'level3') {
       updateData['kyc.level2.status'] = 'approved';
       updateData['kyc.level2.approvedAt'] = now;
+      // A manual upgrade is not tied to a document, so nothing to expire
+      Object.assign(updateData, level2ExpiryUpdate(null));
+    }
+
+    // Level 3 lapses like a reviewed approval does (services/kycLevel3Service)
+    if (kycLevel === 'level3') {
+      updateData['kyc.level3.status'] = 'approved';
+      updateData['kyc.level3.approvedAt'] = now;
+      updateData['kyc.level3.expiresAt'] = new Date(now.getTime() + LEVEL3_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+      updateData['kyc.level3.rejectionReason'] = null;
+      updateData['kyc.level3.lastReminderAt'] = null;
     }
 
     await User.findByIdAndUpdate(user._id, { $set: updateData });
@@ -578,4 +644,180 @@ router.post('/upgrade', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ---------------- KYC Level 3 (enhanced due diligence) ----------------
+
+function handleLevel3Error(res, error, source) {
+  if (error instanceof KycLevel3Error) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, error: 'Invalid ID' });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: 'Internal server error.' });
+}
+
+// Shown on the AdminAuditLog entry (middleware/adminAuditLog)
+function level3AuditDetails(application) {
+  return [
+    `applicationId: ${application._id}`,
+    `source: ${application.sourceOfFunds.primarySource}`,
+    `expectedMonthlyVolumeNgn: ${application.sourceOfFunds.expectedMonthlyVolumeNgn}`,
+    application.approvedUntil && `approvedUntil: ${application.approvedUntil.toISOString()}`,
+    application.rejectionReason && `reason: ${application.rejectionReason}`,
+    application.reviewNote && `note: ${application.reviewNote}`
+  ].filter(Boolean).join(' | ');
+}
+
+// GET: List level 3 applications
+// Query params: status (default PENDING, or ALL), userId, page, limit
+router.get('/level3', async (req, res) => {
+  try {
+    const { status = 'PENDING', userId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'ALL') {
+      if (!APPLICATION_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json({ success: false, error: `status must be one of ${APPLICATION_STATUSES.join(', ')} or ALL` });
+      }
+      filter.status = status.toUpperCase();
+    }
+    if (userId) filter.userId = userId;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [applications, total] = await Promise.all([
+      KycLevel3Application.find(filter)
+        // Oldest first so the queue is worked in arrival order
+        .sort({ createdAt: filter.status === 'PENDING' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-proofOfAddress.publicId')
+        .populate('userId', 'firstname lastname email phonenumber kycLevel kycStatus')
+        .lean(),
+      KycLevel3Application.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        applications,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    return handleLevel3Error(res, error, 'GET /admin-kyc/level3');
+  }
+});
+
+// GET: Verifications expiring soon - level 2 ID documents (kind=document) or
+// level 3 approvals (kind=level3); includeExpired=true also lists lapsed ones
+router.get('/expiring', async (req, res) => {
+  try {
+    const { kind = 'document', days = 30, includeExpired, page = 1, limit = 20 } = req.query;
+    if (!REPORT_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, error: `kind must be one of ${REPORT_KINDS.join(', ')}` });
+    }
+    const daysNum = parseInt(days);
+    if (!Number.isInteger(daysNum) || daysNum < 1 || daysNum > 365) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 365' });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const { verifications, total } = await getExpiringVerifications({
+      kind,
+      days: daysNum,
+      includeExpired: includeExpired === 'true',
+      page: pageNum,
+      limit: limitNum
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        kind,
+        days: daysNum,
+        verifications,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching expiring KYC verifications', { error: error.message, stack: error.stack });
+    return res.status(500).json({ success: false, error: 'Internal server error.' });
+  }
+});
+
+// GET: Level 3 application with a short-lived link to the proof of address
+router.get('/level3/:applicationId', async (req, res) => {
+  try {
+    const application = await KycLevel3Application.findById(req.params.applicationId)
+      .populate('userId', 'firstname lastname email phonenumber kycLevel kycStatus kyc.level2 kyc.level3 createdAt')
+      .lean();
+    if (!application) return res.status(404).json({ success: false, error: 'Application not found.' });
+
+    const proofUrl = proofOfAddressUrl(application);
+    delete application.proofOfAddress.publicId;
+
+    return res.status(200).json({
+      success: true,
+      data: { application, proofOfAddressUrl: proofUrl }
+    });
+  } catch (error) {
+    return handleLevel3Error(res, error, 'GET /admin-kyc/level3/:applicationId');
+  }
+});
+
+// POST: Approve a level 3 application
+// Body: { note? }
+router.post('/level3/:applicationId/approve', async (req, res) => {
+  try {
+    const application = await approveApplication(req.params.applicationId, req.admin, req.body?.note);
+    res.locals.audit = {
+      action: 'Approve KYC Level 3',
+      targetUserId: application.userId,
+      details: level3AuditDetails(application)
+    };
+    return res.status(200).json({ success: true, message: 'KYC Level 3 approved.', data: { application } });
+  } catch (error) {
+    res.locals.audit = {
+      action: 'Approve KYC Level 3',
+      details: `applicationId: ${req.params.applicationId} | error: ${error.message}`
+    };
+    return handleLevel3Error(res, error, 'POST /admin-kyc/level3/:applicationId/approve');
+  }
+});
+
+// POST: Reject a level 3 application
+// Body: { reason, note? } - reason is shown to the user
+router.post('/level3/:applicationId/reject', async (req, res) => {
+  try {
+    const application = await rejectApplication(req.params.applicationId, req.admin, req.body?.reason, req.body?.note);
+    res.locals.audit = {
+      action: 'Reject KYC Level 3',
+      targetUserId: application.userId,
+      details: level3AuditDetails(application)
+    };
+    return res.status(200).json({ success: true, message: 'KYC Level 3 application rejected.', data: { application } });
+  } catch (error) {
+    res.locals.audit = {
+      action: 'Reject KYC Level 3',
+      details: `applicationId: ${req.params.applicationId} | error: ${error.message}`
+    };
+    return handleLevel3Error(res, error, 'POST /admin-kyc/level3/:applicationId/reject');
+  }
+});
+
+module.exports = router;
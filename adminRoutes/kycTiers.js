@@ -0,0 +1,172 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const KycTierConfig = require('../models/kycTierConfig');
+const KycLimitOverride = require('../models/kycLimitOverride');
+const User = require('../models/user');
+const {
+  KycTierError,
+  BUILTIN_TIERS,
+  getLastLoadedAt,
+  resolveAllLimits,
+  updateTier,
+  resetTier,
+  upsertLimitOverride,
+  removeLimitOverride
+} = require('../services/kycTierService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof KycTierError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function validUserId(req, res) {
+  if (mongoose.Types.ObjectId.isValid(req.params.userId)) return true;
+  res.status(400).json({ success: false, error: 'Invalid user ID' });
+  return false;
+}
+
+function describeCaps(limits = {}) {
+  return Object.entries(limits)
+    .map(([category, caps]) => `${category}: ${Object.entries(caps || {}).map(([field, value]) => `${field}=${value}`).join(',')}`)
+    .join(' | ');
+}
+
+// GET /admin/kyc-tiers - every tier with its caps (Naira; null = no cap)
+router.get('/', async (req, res) => {
+  try {
+    const tiers = await KycTierConfig.find({}).sort({ tier: 1 }).lean();
+    return res.json({ success: true, data: { tiers, builtin: BUILTIN_TIERS, loadedAt: getLastLoadedAt() } });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/kyc-tiers');
+  }
+});
+
+// GET /admin/kyc-tiers/overrides?active=true&page=&limit=
+router.get('/overrides', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = {};
+    if (req.query.active === 'true') {
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const [overrides, total] = await Promise.all([
+      KycLimitOverride.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'email username firstname lastname kycLevel')
+        .lean(),
+      KycLimitOverride.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      data: { overrides, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+    });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/kyc-tiers/overrides');
+  }
+});
+
+// GET /admin/kyc-tiers/overrides/:userId - the override plus the limits it produces
+router.get('/overrides/:userId', async (req, res) => {
+  try {
+    if (!validUserId(req, res)) return;
+    const user = await User.findById(req.params.userId).select('email username kycLevel kyc');
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const override = await KycLimitOverride.findOne({ userId: user._id }).lean();
+    const effectiveLimits = await resolveAllLimits(user);
+    return res.json({ success: true, data: { override, effectiveLimits } });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/kyc-tiers/overrides/:userId');
+  }
+});
+
+// PUT /admin/kyc-tiers/overrides/:userId
+// Body: { limits: { crypto: { daily: 5000000000 } }, reason, expiresAt? }
+// Replaces any existing override; caps left out fall back to the tier
+router.put('/overrides/:userId', async (req, res) => {
+  try {
+    if (!validUserId(req, res)) return;
+    const user = await User.findById(req.params.userId).select('_id email');
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const override = await upsertLimitOverride(user._id, req.body || {}, req.admin);
+    res.locals.audit = {
+      action: 'Set KYC Limit Override',
+      targetUserId: user._id,
+      details: `${describeCaps(req.body.limits)} | expiresAt: ${override.expiresAt ? override.expiresAt.toISOString() : 'never'} | reason: ${override.reason}`
+    };
+    return res.json({ success: true, message: 'Limit override saved', data: override });
+  } catch (err) {
+    return handleError(res, err, 'PUT /admin/kyc-tiers/overrides/:userId');
+  }
+});
+
+// DELETE /admin/kyc-tiers/overrides/:userId - back to the user's tier limits
+router.delete('/overrides/:userId', async (req, res) => {
+  try {
+    if (!validUserId(req, res)) return;
+    const removed = await removeLimitOverride(req.params.userId);
+    res.locals.audit = {
+      action: 'Remove KYC Limit Override',
+      targetUserId: removed.userId,
+      details: `removed: ${describeCaps(removed.limits)} | reason was: ${removed.reason}`
+    };
+    return res.json({ success: true, message: 'Limit override removed' });
+  } catch (err) {
+    return handleError(res, err, 'DELETE /admin/kyc-tiers/overrides/:userId');
+  }
+});
+
+// GET /admin/kyc-tiers/:tier
+router.get('/:tier', async (req, res) => {
+  try {
+    const tier = await KycTierConfig.findOne({ tier: Number(req.params.tier) }).lean();
+    if (!tier) return res.status(404).json({ success: false, error: 'Tier not found' });
+    return res.json({ success: true, data: tier });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/kyc-tiers/:tier');
+  }
+});
+
+// PUT /admin/kyc-tiers/:tier
+// Body: { description?, limits: { ngnz: { daily, weekly, monthly, perTransaction } } }
+// Only the caps sent change; null removes a cap
+router.put('/:tier', async (req, res) => {
+  try {
+    const { before, after } = await updateTier(req.params.tier, req.body || {}, req.admin);
+    res.locals.audit = {
+      action: 'Update KYC Tier Limits',
+      details: `tier: ${after.tier} | before: ${describeCaps(before.limits)} | after: ${describeCaps(after.limits)}`
+    };
+    return res.json({ success: true, message: `Tier ${after.tier} limits updated`, data: after });
+  } catch (err) {
+    return handleError(res, err, 'PUT /admin/kyc-tiers/:tier');
+  }
+});
+
+// DELETE /admin/kyc-tiers/:tier - reset the tier to its built-in limits
+router.delete('/:tier', async (req, res) => {
+  try {
+    const { before, after } = await resetTier(req.params.tier, req.admin);
+    res.locals.audit = {
+      action: 'Reset KYC Tier Limits',
+      details: `tier: ${after.tier} | before: ${describeCaps(before.limits)} | after: ${describeCaps(after.limits)}`
+    };
+    return res.json({ success: true, message: `Tier ${after.tier} reset to built-in limits`, data: after });
+  } catch (err) {
+    return handleError(res, err, 'DELETE /admin/kyc-tiers/:tier');
+  }
+});
+
+module.exports = router;
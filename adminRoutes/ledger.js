@@ -0,0 +1,103 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledgerEntry');
+const { deriveUserBalances, verifyUserBalances } = require('../services/ledgerService');
+
+const router = express.Router();
+
+// Ledger amounts are Decimal128; send them as exact decimal strings
+function serializeEntry(entry) {
+  return {
+    ...entry,
+    legs: (entry.legs || []).map((leg) => ({
+      ...leg,
+      debit: leg.debit != null ? leg.debit.toString() : '0',
+      credit: leg.credit != null ? leg.credit.toString() : '0'
+    }))
+  };
+}
+
+// GET /ledger/users/:userId/entries
+// Query params: page, limit, currency, type, from, to
+router.get('/users/:userId/entries', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const { page = 1, limit = 50, currency, type, from, to } = req.query;
+
+    const legMatch = { userId: new mongoose.Types.ObjectId(userId) };
+    if (currency) legMatch.currency = currency.toUpperCase();
+
+    const filter = { legs: { $elemMatch: legMatch } };
+    if (type) filter.type = type.toUpperCase();
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to)   filter.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum  = Math.max(1, parseInt(page));
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit)));
+    const skip     = (pageNum - 1) * limitNum;
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      LedgerEntry.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      entries: entries.map(serializeEntry),
+      pagination: {
+        total,
+        page:  pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /ledger/users/:userId/balances
+// Balances recomputed from the journal
+router.get('/users/:userId/balances', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const balances = await deriveUserBalances(userId);
+    return res.json({ success: true, userId, balances });
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /ledger/users/:userId/verify
+// Compares cached User balance fields against the journal
+router.get('/users/:userId/verify', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const result = await verifyUserBalances(userId);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    const status = err.message.startsWith('User not found') ? 404 : 500;
+    return res.status(status).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const speakeasy = require('speakeasy');
+const AdminUser = require('../models/admin');
+const {
+  PasskeyError,
+  registrationOptions,
+  verifyRegistration,
+  listPasskeys,
+  removePasskey
+} = require('../services/passkeyService');
+const securityService = require('../services/securityService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof PasskeyError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, message: 'Internal server error' });
+}
+
+// GET /admin/passkeys - The signed-in admin's passkeys
+router.get('/', async (req, res) => {
+  try {
+    const passkeys = await listPasskeys('ADMIN', req.admin.id);
+    return res.json({ success: true, passkeys });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/passkeys');
+  }
+});
+
+// POST /admin/passkeys/register/options
+// Body: { twoFAToken } - current authenticator code
+router.post('/register/options', async (req, res) => {
+  const adminId = req.admin.id;
+  const lockoutKey = `admin:${adminId}`;
+  try {
+    const { twoFAToken } = req.body;
+    if (!twoFAToken || !/^\d{6}$/.test(String(twoFAToken))) {
+      return res.status(400).json({ success: false, message: '2FA token must be exactly 6 digits.' });
+    }
+
+    const admin = await AdminUser.findById(adminId);
+    if (!admin) return res.status(404).json({ success: false, message: 'Admin not found' });
+    if (!admin.is2FAEnabled || !admin.twoFASecret) {
+      return res.status(400).json({ success: false, message: 'Set up 2FA before adding a passkey' });
+    }
+
+    const twoFACheck = await securityService.check2FAAttempts(lockoutKey);
+    if (!twoFACheck.allowed) {
+      return res.status(429).json({ success: false, message: twoFACheck.message });
+    }
+
+    const claimed = await securityService.claim2FACode(lockoutKey, twoFAToken);
+    const verified = claimed && speakeasy.totp.verify({
+      secret: admin.twoFASecret,
+      encoding: 'base32',
+      token: String(twoFAToken),
+      window: 2,
+    });
+    if (!verified) {
+      if (claimed) await securityService.release2FACode(lockoutKey, twoFAToken);
+      await securityService.record2FAFailure(lockoutKey);
+      return res.status(401).json({ success: false, message: 'Invalid 2FA token' });
+    }
+    await securityService.reset2FAAttempts(lockoutKey);
+
+    const options = await registrationOptions({
+      type: 'ADMIN',
+      id: adminId,
+      name: admin.email,
+      displayName: admin.adminName
+    });
+    return res.json({ success: true, options });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/passkeys/register/options');
+  }
+});
+
+// POST /admin/passkeys/register/verify
+// Body: { response, name? } - the navigator.credentials.create() result
+router.post('/register/verify', async (req, res) => {
+  try {
+    const { response, name } = req.body;
+    if (!response || typeof response !== 'object') {
+      return res.status(400).json({ success: false, message: 'Passkey response is required' });
+    }
+    const passkey = await verifyRegistration({ type: 'ADMIN', id: req.admin.id }, response, name);
+    res.locals.audit = { action: 'Register Passkey', details: `passkeyId: ${passkey.id} | name: ${passkey.name}` };
+    return res.status(201).json({ success: true, message: 'Passkey added', passkey });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/passkeys/register/verify');
+  }
+});
+
+// DELETE /admin/passkeys/:passkeyId
+router.delete('/:passkeyId', async (req, res) => {
+  try {
+    await removePasskey('ADMIN', req.admin.id, req.params.passkeyId);
+    res.locals.audit = { action: 'Remove Passkey', details: `passkeyId: ${req.params.passkeyId}` };
+    return res.json({ success: true, message: 'Passkey removed' });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(404).json({ success: false, message: 'Passkey not found' });
+    return handleError(res, err, 'DELETE /admin/passkeys/:passkeyId');
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/user');  // Adjust path if needed
+const { postEntry } = require('../services/ledgerService');
 
 // POST /deduct - Deduct from user's balance
 router.post('/deduct', async (req, res) => {
@@ -66,17 +67,21 @@ router.post('/deduct', async (req, res) => {
       });
     }
 
-    // Deduct the amount
-    user[balanceField] = currentBalance - deductAmount;
-
-    await user.save();
+    // Deduct the amount through the ledger
+    const { user: updatedUser } = await postEntry({
+      type: 'ADMIN_DEDUCT',
+      userId: user._id,
+      description: `Admin deduction of ${deductAmount} ${balanceField.replace('Balance', '').toUpperCase()}`,
+      actor: { kind: 'ADMIN', id: String(req.admin?.id || req.admin?._id || '') },
+      changes: [{ currency: balanceField.replace('Balance', '').toUpperCase(), balanceDelta: -deductAmount }]
+    });
 
     return res.status(200).json({
       success: true,
       message: `Successfully deducted ${deductAmount} ${normalizedCurrency} from user ${email}`,
       previousBalance: currentBalance,
       deductedAmount: deductAmount,
-      newBalance: user[balanceField],
+      newBalance: updatedUser[balanceField],
       currency: normalizedCurrency
     });
   } catch (error) {
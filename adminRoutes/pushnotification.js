@@ -49,6 +49,7 @@ async function savePushCredentials({ userId, deviceId, expoPushToken, fcmToken,
   }
 
   if (deviceId) {
+    if (user.deviceId && user.deviceId !== deviceId) user.deviceChangedAt = new Date();
     user.deviceId = deviceId;
   }
   if (expoPushToken) {
@@ -5,6 +5,7 @@ const router = express.Router();
 const AdminUser = require("../models/admin");
 const logger = require("../utils/logger");
 const { sendAdminWelcomeEmail } = require("../services/EmailService");
+const { revokeAllAdminTokens } = require("../services/tokenRevocationService");
 
 // POST: /admin/register - Register new admin
 router.post(
@@ -323,8 +324,9 @@ router.delete("/register/:adminId", [
       });
     }
 
-    // Delete the admin
+    // Delete the admin and end their signed-in sessions
     await AdminUser.findByIdAndDelete(adminId);
+    await revokeAllAdminTokens(targetAdmin._id, 'deleted by super admin');
 
     logger.info("Admin deleted by super admin", {
       superAdminId: requestingAdmin._id,
@@ -0,0 +1,39 @@
+const express = require('express');
+const { SchedulerError, listScheduledJobs, triggerJob, INSTANCE_ID } = require('../services/cronScheduler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof SchedulerError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// GET /admin/scheduled-jobs - Every cron job with its last run and outcome
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listScheduledJobs();
+    return res.json({ success: true, instance: INSTANCE_ID, jobs });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/scheduled-jobs');
+  }
+});
+
+// POST /admin/scheduled-jobs/:name/run - Run a job now on this instance
+router.post('/:name/run', async (req, res) => {
+  try {
+    const outcome = await triggerJob(req.params.name);
+    res.locals.audit = {
+      action: 'Run Scheduled Job',
+      details: `job: ${req.params.name} | status: ${outcome.status}${outcome.error ? ` | error: ${outcome.error}` : ''}`
+    };
+    return res.json({ success: outcome.status === 'SUCCESS', job: req.params.name, ...outcome });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/scheduled-jobs/:name/run');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+const ScreeningCase = require('../models/screeningCase');
+const ScreeningLog = require('../models/screeningLog');
+const { CASE_STATUSES, SCREENING_CONTEXTS } = require('../models/screeningCase');
+const { SCREENING_LOG_EVENTS } = require('../models/screeningLog');
+const {
+  ScreeningError,
+  decideCase,
+  importWatchlist,
+  removeWatchlist,
+  listWatchlists,
+  getSnapshotInfo
+} = require('../services/screeningService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB
+});
+
+function handleError(res, error, source) {
+  if (error instanceof ScreeningError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function pagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+  return { page, limit };
+}
+
+// GET /admin/screening/cases?status=OPEN&context=&userId=&page=&limit=
+router.get('/cases', async (req, res) => {
+  try {
+    const { page, limit } = pagination(req.query);
+    const query = {};
+    if (req.query.status) {
+      if (!CASE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ success: false, error: `status must be one of ${CASE_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.context) {
+      if (!SCREENING_CONTEXTS.includes(req.query.context)) {
+        return res.status(400).json({ success: false, error: `context must be one of ${SCREENING_CONTEXTS.join(', ')}` });
+      }
+      query.context = req.query.context;
+    }
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid user ID' });
+      }
+      query.userId = req.query.userId;
+    }
+
+    const [cases, total] = await Promise.all([
+      ScreeningCase.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'email username firstname lastname kycLevel isBlocked')
+        .lean(),
+      ScreeningCase.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      data: { cases, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+    });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/screening/cases');
+  }
+});
+
+// GET /admin/screening/cases/:caseId - the case and its log entries
+router.get('/cases/:caseId', async (req, res) => {
+  try {
+    const screeningCase = await ScreeningCase.findOne({ caseId: req.params.caseId })
+      .populate('userId', 'email username firstname lastname kycLevel isBlocked')
+      .lean();
+    if (!screeningCase) {
+      return res.status(404).json({ success: false, error: 'Screening case not found' });
+    }
+    const logs = await ScreeningLog.find({ caseId: req.params.caseId }).sort({ createdAt: 1 }).lean();
+    return res.json({ success: true, data: { case: screeningCase, logs } });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/screening/cases/:caseId');
+  }
+});
+
+function decisionRoute(decision, label) {
+  return async (req, res) => {
+    try {
+      const { screeningCase, userBlocked } = await decideCase(req.params.caseId, decision, req.admin, req.body?.note);
+      res.locals.audit = {
+        action: `${label} Screening Case`,
+        targetUserId: screeningCase.userId || undefined,
+        details: `case: ${screeningCase.caseId} | ${screeningCase.subject.fullName} | action: ${screeningCase.action}`
+          + `${userBlocked ? ' | user blocked' : ''} | note: ${screeningCase.decisionNote}`
+      };
+      return res.json({
+        success: true,
+        message: `Screening case ${decision.toLowerCase()}${userBlocked ? ' and user blocked' : ''}`,
+        data: screeningCase
+      });
+    } catch (err) {
+      return handleError(res, err, `POST /admin/screening/cases/:caseId/${label.toLowerCase()}`);
+    }
+  };
+}
+
+// POST /admin/screening/cases/:caseId/clear { note } - false positive; the
+// matched entries stop flagging this user
+router.post('/cases/:caseId/clear', decisionRoute('CLEARED', 'Clear'));
+
+// POST /admin/screening/cases/:caseId/confirm { note } - true match; a
+// sanctions match blocks the account
+router.post('/cases/:caseId/confirm', decisionRoute('CONFIRMED', 'Confirm'));
+
+// GET /admin/screening/lists - loaded lists with entry counts
+router.get('/lists', async (req, res) => {
+  try {
+    const lists = await listWatchlists();
+    return res.json({ success: true, data: { lists, loaded: getSnapshotInfo() } });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/screening/lists');
+  }
+});
+
+// POST /admin/screening/lists/import
+// multipart: file + source, listType, mode?   (format taken from the file extension if not given)
+// JSON: { source, listType, mode?, format, content } or { source, listType, mode?, entries: [...] }
+router.post('/lists/import', (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) throw uploadError;
+      const body = req.body || {};
+
+      let { format, content } = body;
+      if (req.file) {
+        content = req.file.buffer;
+        format = format || (/\.json$/i.test(req.file.originalname) ? 'json' : 'csv');
+      } else if (Array.isArray(body.entries)) {
+        content = body.entries;
+      }
+      if (!content) {
+        return res.status(400).json({ success: false, error: 'Upload a file, or send content or entries' });
+      }
+
+      const summary = await importWatchlist({
+        source: body.source,
+        listType: String(body.listType || '').toUpperCase(),
+        format: format ? String(format).toLowerCase() : format,
+        content,
+        mode: body.mode || 'replace'
+      }, req.admin);
+
+      res.locals.audit = {
+        action: 'Import Watchlist',
+        details: `source: ${summary.source} | ${summary.listType} | mode: ${summary.mode} | imported: ${summary.imported}`
+          + ` | skipped: ${summary.skipped} | removed: ${summary.removed}`
+      };
+      return res.json({ success: true, message: `${summary.source} imported`, data: summary });
+    } catch (err) {
+      return handleError(res, err, 'POST /admin/screening/lists/import');
+    }
+  });
+});
+
+// DELETE /admin/screening/lists/:source
+router.delete('/lists/:source', async (req, res) => {
+  try {
+    const summary = await removeWatchlist(req.params.source, req.admin);
+    res.locals.audit = {
+      action: 'Remove Watchlist',
+      details: `source: ${summary.source} | removed: ${summary.removed}`
+    };
+    return res.json({ success: true, message: `${summary.source} removed`, data: summary });
+  } catch (err) {
+    return handleError(res, err, 'DELETE /admin/screening/lists/:source');
+  }
+});
+
+// GET /admin/screening/logs?event=&userId=&caseId=&context=&page=&limit=
+router.get('/logs', async (req, res) => {
+  try {
+    const { page, limit } = pagination(req.query);
+    const query = {};
+    if (req.query.event) {
+      if (!SCREENING_LOG_EVENTS.includes(req.query.event)) {
+        return res.status(400).json({ success: false, error: `event must be one of ${SCREENING_LOG_EVENTS.join(', ')}` });
+      }
+      query.event = req.query.event;
+    }
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid user ID' });
+      }
+      query.userId = req.query.userId;
+    }
+    if (req.query.caseId) query.caseId = String(req.query.caseId);
+    if (req.query.context) query.context = String(req.query.context);
+
+    const [logs, total] = await Promise.all([
+      ScreeningLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ScreeningLog.countDocuments(query)
+    ]);
+
+    return res.json({
+      success: true,
+      data: { logs, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+    });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/screening/logs');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const WebhookEndpoint = require('../models/webhookEndpoint');
+const { OUTBOUND_EVENT_TYPES } = require('../models/webhookEndpoint');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { DELIVERY_STATUSES } = require('../models/webhookDelivery');
+const {
+  OutboundWebhookError,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  sendTestEvent,
+  redeliver
+} = require('../services/outboundWebhookService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof OutboundWebhookError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function validId(req, res, param = 'id') {
+  if (mongoose.Types.ObjectId.isValid(req.params[param])) return true;
+  res.status(400).json({ success: false, error: 'Invalid ID' });
+  return false;
+}
+
+// GET /admin/webhook-endpoints
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ createdAt: -1 }).lean();
+    return res.json({ success: true, endpoints, eventTypes: OUTBOUND_EVENT_TYPES });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-endpoints');
+  }
+});
+
+// POST /admin/webhook-endpoints
+// Body: { name, url, events: [...] | ['*'], description? }
+router.post('/', async (req, res) => {
+  try {
+    const { endpoint, secret } = await createEndpoint(req.body || {}, req.admin);
+    res.locals.audit = {
+      action: 'Create Webhook Endpoint',
+      details: `endpointId: ${endpoint._id} | url: ${endpoint.url} | events: ${endpoint.events.join(',')}`
+    };
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created. Store the secret now - it is not shown again.',
+      endpoint,
+      secret
+    });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/webhook-endpoints');
+  }
+});
+
+// GET /admin/webhook-endpoints/deliveries/:deliveryId - Delivery with its attempt log
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    if (!validId(req, res, 'deliveryId')) return;
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!delivery) return res.status(404).json({ success: false, error: 'Delivery not found' });
+    return res.json({ success: true, delivery });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-endpoints/deliveries/:deliveryId');
+  }
+});
+
+// POST /admin/webhook-endpoints/deliveries/:deliveryId/redeliver
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    if (!validId(req, res, 'deliveryId')) return;
+    const delivery = await redeliver(req.params.deliveryId);
+    res.locals.audit = {
+      action: 'Redeliver Webhook',
+      details: `deliveryId: ${delivery._id} | event: ${delivery.eventType} | status: ${delivery.status}`
+    };
+    return res.json({ success: delivery.status === 'DELIVERED', delivery });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/webhook-endpoints/deliveries/:deliveryId/redeliver');
+  }
+});
+
+// GET /admin/webhook-endpoints/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const endpoint = await WebhookEndpoint.findById(req.params.id).lean();
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    return res.json({ success: true, endpoint });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-endpoints/:id');
+  }
+});
+
+// PATCH /admin/webhook-endpoints/:id
+// Body: any of { name, url, events, description, active }
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const endpoint = await updateEndpoint(req.params.id, req.body || {});
+    res.locals.audit = {
+      action: 'Update Webhook Endpoint',
+      details: `endpointId: ${endpoint._id} | url: ${endpoint.url} | events: ${endpoint.events.join(',')} | active: ${endpoint.active}`
+    };
+    return res.json({ success: true, endpoint });
+  } catch (err) {
+    return handleError(res, err, 'PATCH /admin/webhook-endpoints/:id');
+  }
+});
+
+// POST /admin/webhook-endpoints/:id/rotate-secret
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const { endpoint, secret } = await rotateEndpointSecret(req.params.id);
+    res.locals.audit = { action: 'Rotate Webhook Secret', details: `endpointId: ${endpoint._id}` };
+    return res.json({ success: true, message: 'Secret rotated. Store it now - it is not shown again.', endpoint, secret });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/webhook-endpoints/:id/rotate-secret');
+  }
+});
+
+// POST /admin/webhook-endpoints/:id/test - Send a webhook.test event now
+router.post('/:id/test', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const delivery = await sendTestEvent(req.params.id);
+    return res.json({ success: delivery.status === 'DELIVERED', delivery });
+  } catch (err) {
+    return handleError(res, err, 'POST /admin/webhook-endpoints/:id/test');
+  }
+});
+
+// GET /admin/webhook-endpoints/:id/deliveries
+// Query params: status, eventType, page, limit
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const { status, eventType, page = 1, limit = 20 } = req.query;
+    const filter = { endpointId: req.params.id };
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json({ success: false, error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      filter.status = status.toUpperCase();
+    }
+    if (eventType) filter.eventType = String(eventType);
+
+    const pageNum  = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-payload -attempts.responseBody')
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        total,
+        page:  pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-endpoints/:id/deliveries');
+  }
+});
+
+// DELETE /admin/webhook-endpoints/:id - Delivery history is kept
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!validId(req, res)) return;
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id).lean();
+    if (!endpoint) return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+    res.locals.audit = { action: 'Delete Webhook Endpoint', details: `endpointId: ${endpoint._id} | url: ${endpoint.url}` };
+    return res.json({ success: true, message: 'Webhook endpoint deleted' });
+  } catch (err) {
+    return handleError(res, err, 'DELETE /admin/webhook-endpoints/:id');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/webhookEvent');
+const { WEBHOOK_SOURCES, WEBHOOK_STATUSES } = require('../models/webhookEvent');
+const { WebhookInboxError, replayWebhookEvent } = require('../services/webhookInbox');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+function handleError(res, error, source) {
+  if (error instanceof WebhookInboxError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// GET /admin/webhook-events
+// Query params: status, source, eventId, page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { status, source, eventId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      if (!WEBHOOK_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json({ success: false, error: `status must be one of ${WEBHOOK_STATUSES.join(', ')}` });
+      }
+      filter.status = status.toUpperCase();
+    }
+    if (source) {
+      if (!WEBHOOK_SOURCES.includes(source.toLowerCase())) {
+        return res.status(400).json({ success: false, error: `source must be one of ${WEBHOOK_SOURCES.join(', ')}` });
+      }
+      filter.source = source.toLowerCase();
+    }
+    if (eventId) filter.eventId = String(eventId);
+
+    const pageNum  = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-rawBody -payload -headers')
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      events,
+      pagination: {
+        total,
+        page:  pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-events');
+  }
+});
+
+// GET /admin/webhook-events/:id - Full event including raw body and headers
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid event ID' });
+    }
+    const event = await WebhookEvent.findById(req.params.id).lean();
+    if (!event) return res.status(404).json({ success: false, error: 'Webhook event not found' });
+    return res.json({ success: true, event });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/webhook-events/:id');
+  }
+});
+
+// POST /admin/webhook-events/:id/replay - Run a FAILED or DEAD event again
+router.post('/:id/replay', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid event ID' });
+    }
+    const event = await replayWebhookEvent(req.params.id, req.admin);
+    res.locals.audit = {
+      action: 'Replay Webhook Event',
+      details: `eventId: ${event._id} | source: ${event.source} | providerEventId: ${event.eventId || '-'} | status: ${event.status}`
+    };
+    return res.json({
+      success: event.status === 'PROCESSED',
+      message: event.status === 'PROCESSED' ? 'Webhook event processed' : `Replay finished with status ${event.status}`,
+      event: {
+        _id: event._id,
+        source: event.source,
+        eventId: event.eventId,
+        status: event.status,
+        attempts: event.attempts,
+        lastError: event.lastError,
+        result: event.result,
+        nextAttemptAt: event.nextAttemptAt
+      }
+    });
+  } catch (err) {
+    res.locals.audit = {
+      action: 'Replay Webhook Event',
+      details: `eventId: ${req.params.id} | error: ${err.message}`
+    };
+    return handleError(res, err, 'POST /admin/webhook-events/:id/replay');
+  }
+});
+
+module.exports = router;
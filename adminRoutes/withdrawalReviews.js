@@ -0,0 +1,137 @@
+const express = require('express');
+const WithdrawalReview = require('../models/withdrawalReview');
+const { REVIEW_KINDS, REVIEW_STATUSES } = require('../models/withdrawalReview');
+const { WithdrawalReviewError, approveReview, rejectReview } = require('../services/withdrawalRiskService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const USER_FIELDS = 'email username firstname lastname';
+
+function handleError(res, error, source) {
+  if (error instanceof WithdrawalReviewError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, error: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// Shown on the AdminAuditLog entry (middleware/adminAuditLog)
+function auditDetails(review) {
+  return [
+    `reviewId: ${review.reviewId}`,
+    `kind: ${review.kind}`,
+    `amount: ${review.amount} ${review.currency}`,
+    `riskScore: ${review.riskScore}`,
+    review.decisionNote && `note: ${review.decisionNote}`
+  ].filter(Boolean).join(' | ');
+}
+
+// GET /admin/withdrawal-reviews
+// Query params: status (default PENDING), kind, userId, page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'PENDING', kind, userId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status !== 'ALL') {
+      if (!REVIEW_STATUSES.includes(status.toUpperCase())) {
+        return res.status(400).json({ success: false, error: `status must be one of ${REVIEW_STATUSES.join(', ')} or ALL` });
+      }
+      filter.status = status.toUpperCase();
+    }
+    if (kind) {
+      if (!REVIEW_KINDS.includes(kind.toUpperCase())) {
+        return res.status(400).json({ success: false, error: `kind must be one of ${REVIEW_KINDS.join(', ')}` });
+      }
+      filter.kind = kind.toUpperCase();
+    }
+    if (userId) filter.userId = userId;
+
+    const pageNum  = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [reviews, total] = await Promise.all([
+      WithdrawalReview.find(filter)
+        // Oldest first so the queue is worked in arrival order
+        .sort({ createdAt: filter.status === 'PENDING' ? 1 : -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-payload')
+        .populate('userId', USER_FIELDS)
+        .lean(),
+      WithdrawalReview.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      reviews,
+      pagination: {
+        total,
+        page:  pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (err) {
+    if (err.name === 'CastError') return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    return handleError(res, err, 'GET /admin/withdrawal-reviews');
+  }
+});
+
+// GET /admin/withdrawal-reviews/:reviewId
+router.get('/:reviewId', async (req, res) => {
+  try {
+    const review = await WithdrawalReview.findOne({ reviewId: req.params.reviewId })
+      .select('-payload')
+      .populate('userId', USER_FIELDS)
+      .populate('transactionId')
+      .lean();
+    if (!review) return res.status(404).json({ success: false, error: 'Review not found' });
+    return res.json({ success: true, review });
+  } catch (err) {
+    return handleError(res, err, 'GET /admin/withdrawal-reviews/:reviewId');
+  }
+});
+
+// POST /admin/withdrawal-reviews/:reviewId/approve
+// Body: { note? }
+router.post('/:reviewId/approve', async (req, res) => {
+  try {
+    const review = await approveReview(req.params.reviewId, req.admin, req.body?.note);
+    res.locals.audit = {
+      action: 'Approve Held Withdrawal',
+      targetUserId: review.userId,
+      details: auditDetails(review)
+    };
+    return res.json({ success: true, message: 'Withdrawal approved and submitted', review });
+  } catch (err) {
+    res.locals.audit = {
+      action: 'Approve Held Withdrawal',
+      details: `reviewId: ${req.params.reviewId} | error: ${err.message}`
+    };
+    return handleError(res, err, 'POST /admin/withdrawal-reviews/:reviewId/approve');
+  }
+});
+
+// POST /admin/withdrawal-reviews/:reviewId/reject
+// Body: { reason } - shown to the user
+router.post('/:reviewId/reject', async (req, res) => {
+  try {
+    const review = await rejectReview(req.params.reviewId, req.admin, req.body?.reason);
+    res.locals.audit = {
+      action: 'Reject Held Withdrawal',
+      targetUserId: review.userId,
+      details: auditDetails(review)
+    };
+    return res.json({ success: true, message: 'Withdrawal rejected and funds returned', review });
+  } catch (err) {
+    res.locals.audit = {
+      action: 'Reject Held Withdrawal',
+      details: `reviewId: ${req.params.reviewId} | error: ${err.message}`
+    };
+    return handleError(res, err, 'POST /admin/withdrawal-reviews/:reviewId/reject');
+  }
+});
+
+module.exports = router;
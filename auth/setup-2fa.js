@@ -2,6 +2,8 @@ const express = require('express');
 const speakeasy = require('speakeasy');
 const qrcode = require('qrcode');
 const User = require('../models/user');
+const { removeAllPasskeys } = require('../services/passkeyService');
+const { generateBackupCodes, backupCodesStatus } = require('../services/twoFARecoveryService');
 
 const router = express.Router();
 
@@ -90,6 +92,8 @@ router.post('/verify-2fa', async (req, res) => {
 
     user.is2FAEnabled = true;
     user.is2FAVerified = true;
+    // Shown once; the user keeps them for when the authenticator is lost
+    const backupCodes = generateBackupCodes(user);
     await user.save();
 
     console.log('2FA enabled successfully for user:', { 
@@ -102,7 +106,8 @@ router.post('/verify-2fa', async (req, res) => {
       verified: true, 
       message: '2FA enabled successfully',
       is2FAEnabled: user.is2FAEnabled,
-      is2FAVerified: user.is2FAVerified
+      is2FAVerified: user.is2FAVerified,
+      backupCodes
     });
   } catch (err) {
     console.error('Error verifying 2FA token:', err);
@@ -120,6 +125,7 @@ router.get('/2fa-status', async (req, res) => {
       is2FAEnabled: user.is2FAEnabled || false,
       is2FAVerified: user.is2FAVerified || false,
       hasSecret: !!user.twoFASecret,
+      backupCodesRemaining: backupCodesStatus(user).remaining,
     });
   } catch (err) {
     console.error('Error checking 2FA status:', err);
@@ -127,6 +133,57 @@ router.get('/2fa-status', async (req, res) => {
   }
 });
 
+// Backup codes left
+router.get('/backup-codes', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('is2FAEnabled twoFABackupCodes twoFABackupCodesGeneratedAt');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.is2FAEnabled) return res.status(400).json({ error: '2FA is not enabled for this account' });
+
+    res.json(backupCodesStatus(user));
+  } catch (err) {
+    console.error('Error fetching backup code status:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace all backup codes (old ones stop working)
+router.post('/backup-codes/regenerate', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string' || token.length !== 6) {
+      return res.status(400).json({ error: 'Valid 6-digit 2FA token is required to regenerate backup codes' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.is2FAEnabled || !user.twoFASecret) {
+      return res.status(400).json({ error: '2FA is not enabled for this account' });
+    }
+
+    const verified = speakeasy.totp.verify({
+      secret: user.twoFASecret,
+      encoding: 'base32',
+      token,
+      window: 2, // Allow for clock drift
+    });
+    if (!verified) {
+      console.log('2FA verification failed for backup code regeneration:', user._id);
+      return res.status(401).json({ error: 'Invalid 2FA token. Please enter the correct code from your authenticator app.' });
+    }
+
+    const backupCodes = generateBackupCodes(user);
+    await user.save();
+
+    console.log('2FA backup codes regenerated for user:', user._id);
+
+    res.json({ message: 'New backup codes generated', backupCodes });
+  } catch (err) {
+    console.error('Error regenerating backup codes:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Disable 2FA
 router.post('/disable-2fa', async (req, res) => {
   try {
@@ -160,7 +217,11 @@ router.post('/disable-2fa', async (req, res) => {
     user.is2FAEnabled = false;
     user.is2FAVerified = false;
     user.twoFASecret = null;
+    user.twoFAResetAt = new Date();
+    user.twoFABackupCodes = [];
+    user.twoFABackupCodesGeneratedAt = null;
     await user.save();
+    await removeAllPasskeys('USER', user._id);
 
     console.log('2FA disabled for user:', user._id);
 
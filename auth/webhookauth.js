@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { receiveWebhook } = require('../services/webhookInbox');
 
 module.exports = function (req, res, next) {
   const signature = req.headers['x-obiex-signature'];
@@ -21,6 +22,19 @@ module.exports = function (req, res, next) {
   console.log('Webhook Auth - Signature Verification:', { computed: computedSignature, received: signature });
 
   if (computedSignature !== signature) {
+    // Keep the rejected payload in the webhook inbox for inspection
+    let payload = null;
+    try { payload = JSON.parse(rawBody); } catch (_) {}
+    receiveWebhook({
+      source: 'obiex',
+      eventType: payload?.type ? `${payload.type}:${payload.status}` : null,
+      rawBody,
+      payload,
+      headers: req.headers,
+      signatureValid: false,
+      signatureError: 'Invalid webhook signature'
+    }).catch(error => console.error('Webhook Auth - Inbox write failed:', error.message));
+
     return res.status(401).json({ error: 'Invalid webhook signature' });
   }
 
@@ -118,9 +118,13 @@ module.exports = function adminAuditLog(req, res, next) {
     if (req.admin) {
       const durationMs = Date.now() - startTime;
       const admin  = req.admin;
-      const action = deriveAction(req.method, req.path);
+      // Handlers can describe the action themselves via res.locals.audit
+      const override = res.locals.audit || {};
+      const action = override.action || deriveAction(req.method, req.path);
       const sanitizedBody = sanitize(req.body);
-      const { targetUserId, targetUserEmail } = extractTarget(req.body, req.params);
+      const derivedTarget = extractTarget(req.body, req.params);
+      const targetUserId = override.targetUserId ? String(override.targetUserId) : derivedTarget.targetUserId;
+      const targetUserEmail = override.targetUserEmail || derivedTarget.targetUserEmail;
 
       AdminAuditLog.create({
         adminId:          admin.id || admin._id,
@@ -133,7 +137,7 @@ module.exports = function adminAuditLog(req, res, next) {
         requestBody:      sanitizedBody,
         targetUserId,
         targetUserEmail,
-        details:          buildDetails(action, req.body),
+        details:          override.details || buildDetails(action, req.body),
         statusCode:       res.statusCode,
         ipAddress:        req.ip || req.connection?.remoteAddress,
         userAgent:        req.headers['user-agent'],
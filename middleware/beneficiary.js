@@ -0,0 +1,61 @@
+// middleware/beneficiary.js
+const { BeneficiaryError, resolveBeneficiary, markBeneficiaryUsed } = require('../services/beneficiaryService');
+const logger = require('../utils/logger');
+
+// Request fields each transfer route reads, filled from the saved beneficiary
+const APPLY = {
+  BANK: (body, { bank }) => {
+    body.destination = {
+      accountNumber: bank.accountNumber,
+      bankCode: bank.bankCode,
+      bankName: bank.bankName,
+      accountName: bank.accountName
+    };
+  },
+  INTERNAL: (body, { internal }) => {
+    body.recipientUsername = internal.username;
+  },
+  CRYPTO: (body, { crypto }) => {
+    if (body.currency && String(body.currency).toUpperCase() !== crypto.currency) {
+      throw new BeneficiaryError(`This beneficiary only receives ${crypto.currency}`, 400, 'BENEFICIARY_CURRENCY_MISMATCH');
+    }
+    body.currency = crypto.currency;
+    body.destination = { address: crypto.address, network: crypto.network };
+    if (crypto.memo) body.memo = crypto.memo;
+  }
+};
+
+/**
+ * Let a transfer route take `beneficiaryId` in place of the recipient fields.
+ * The saved details replace whatever recipient was sent in the body, and the
+ * beneficiary's lastUsedAt is bumped when the route responds with success.
+ * @param {string} type - BANK | INTERNAL | CRYPTO
+ */
+function applyBeneficiary(type) {
+  return async (req, res, next) => {
+    const beneficiaryId = req.body?.beneficiaryId;
+    if (!beneficiaryId) return next();
+
+    try {
+      const beneficiary = await resolveBeneficiary(req.user.id, String(beneficiaryId), type);
+      APPLY[type](req.body, beneficiary);
+
+      res.on('finish', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          markBeneficiaryUsed(beneficiary._id).catch(error =>
+            logger.warn('Failed to update beneficiary lastUsedAt', { beneficiaryId, error: error.message })
+          );
+        }
+      });
+      return next();
+    } catch (error) {
+      if (error instanceof BeneficiaryError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+      }
+      logger.error('Beneficiary lookup failed', { userId: req.user?.id, beneficiaryId, error: error.message });
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
+
+module.exports = { applyBeneficiary };
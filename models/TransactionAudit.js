@@ -42,6 +42,8 @@ const transactionAuditSchema = new mongoose.Schema({
       'QUOTE_CREATED',
       'QUOTE_ACCEPTED',
       'QUOTE_EXPIRED',
+      'QUOTE_EXECUTED',
+      'QUOTE_FAILED',
       'WEBHOOK_RECEIVED',
       'WEBHOOK_PROCESSED',
       'WEBHOOK_FAILED',
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { revokeAllAdminTokens } = require('../services/tokenRevocationService');
 
 const SALT_WORK_FACTOR = 10;
 
@@ -276,10 +277,12 @@ adminUserSchema.methods.clearAllRefreshTokens = function() {
 };
 
 // Account Management
-adminUserSchema.methods.deactivate = function() {
+adminUserSchema.methods.deactivate = async function() {
   this.isActive = false;
   this.refreshTokens = [];
-  return this.save();
+  const saved = await this.save();
+  await revokeAllAdminTokens(this._id, 'deactivated');
+  return saved;
 };
 
 adminUserSchema.methods.activate = function() {
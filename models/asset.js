@@ -0,0 +1,64 @@
+// models/asset.js
+const mongoose = require('mongoose');
+
+/**
+ * Asset registry — one document per currency the platform can hold.
+ *
+ * Assets that predate the registry keep their flat `<prefix>Balance` /
+ * `<prefix>PendingBalance` fields on the User (see `legacyBalancePrefix`);
+ * everything added later lives in `User.balances` keyed by symbol.
+ */
+
+const PRICE_PROVIDERS = ['binance', 'stable', 'offramp', 'manual'];
+
+const assetNetworkSchema = new mongoose.Schema({
+  code: { type: String, required: true, uppercase: true, trim: true }, // e.g. TRC20, BEP20, TON
+  name: { type: String, trim: true, default: '' },
+  depositEnabled: { type: Boolean, default: true },
+  withdrawEnabled: { type: Boolean, default: true },
+  minWithdrawal: { type: Number, default: 0, min: 0 },
+  maxWithdrawal: { type: Number, default: null, min: 0 }
+}, { _id: false });
+
+const assetSchema = new mongoose.Schema({
+  symbol: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  decimals: { type: Number, required: true, min: 0, max: 18 },
+
+  // Alternative codes that resolve to this asset (e.g. POLYGON -> MATIC, NGNX -> NGNZ)
+  aliases: { type: [String], default: [], set: (values) => (values || []).map(v => String(v).toUpperCase()) },
+  // Code used when talking to Obiex, when it differs from the symbol (e.g. MATIC -> POL)
+  obiexCode: { type: String, uppercase: true, trim: true, default: null },
+
+  isStablecoin: { type: Boolean, default: false },
+  isNairaPegged: { type: Boolean, default: false },
+
+  networks: { type: [assetNetworkSchema], default: [] },
+
+  priceSource: {
+    provider: { type: String, enum: PRICE_PROVIDERS, default: 'binance' },
+    symbol: { type: String, default: null },               // Provider ticker, e.g. BTCUSDT
+    fallbackSymbols: { type: [String], default: [] },      // Tried in order when `symbol` is missing
+    fixedPriceUsd: { type: Number, default: null, min: 0 }, // 'stable' / 'manual' providers
+    fallbackPriceUsd: { type: Number, default: 0, min: 0 }  // Used when no stored price exists
+  },
+
+  // Master switch plus per-feature switches
+  enabled: { type: Boolean, default: true },
+  depositEnabled: { type: Boolean, default: true },
+  withdrawEnabled: { type: Boolean, default: true },
+  swapEnabled: { type: Boolean, default: true },
+  transferEnabled: { type: Boolean, default: true },
+
+  // Set only for built-in assets that still use flat User balance fields
+  legacyBalancePrefix: { type: String, default: null, lowercase: true, trim: true },
+
+  sortOrder: { type: Number, default: 100 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null }
+}, { timestamps: true });
+
+assetSchema.index({ aliases: 1 });
+assetSchema.index({ enabled: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('Asset', assetSchema);
+module.exports.PRICE_PROVIDERS = PRICE_PROVIDERS;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Where the expected balance came from — helps tell a missing Transaction from a bad credit
+const DriftBreakdownSchema = new mongoose.Schema({
+  transactions:     { type: Number, default: 0 },
+  obiexSwaps:       { type: Number, default: 0 },
+  bills:            { type: Number, default: 0 },
+  adminAdjustments: { type: Number, default: 0 },
+  reservations:     { type: Number, default: 0 }, // limit-order funds held in pending
+}, { _id: false });
+
+const balanceDriftSchema = new mongoose.Schema({
+  runId:    { type: String, required: true },
+  userId:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  currency: { type: String, required: true, uppercase: true },
+
+  cachedBalance:   { type: Number, default: 0 },
+  expectedBalance: { type: Number, default: 0 },
+  // cachedBalance - expectedBalance: positive means the user holds more than history explains
+  drift:           { type: Number, default: 0 },
+
+  breakdown: { type: DriftBreakdownSchema, default: () => ({}) },
+}, { timestamps: true });
+
+balanceDriftSchema.index({ runId: 1, currency: 1 });
+balanceDriftSchema.index({ runId: 1, userId: 1 });
+balanceDriftSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BalanceDrift', balanceDriftSchema);
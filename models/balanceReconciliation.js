@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const CurrencySummarySchema = new mongoose.Schema({
+  usersWithDrift: { type: Number, default: 0 },
+  totalCached:    { type: Number, default: 0 },
+  totalExpected:  { type: Number, default: 0 },
+  netDrift:       { type: Number, default: 0 },
+  absDrift:       { type: Number, default: 0 },
+}, { _id: false });
+
+const balanceReconciliationSchema = new mongoose.Schema({
+  runId:       { type: String, required: true, unique: true },
+  trigger:     { type: String, enum: ['auto', 'manual'], default: 'auto' },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null },
+
+  status:      { type: String, enum: ['RUNNING', 'COMPLETED', 'FAILED'], default: 'RUNNING' },
+  startedAt:   { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+
+  usersChecked: { type: Number, default: 0 },
+  driftCount:   { type: Number, default: 0 },
+
+  // Keyed by currency code (BTC, ETH, ..., NGNZ)
+  summary: { type: Map, of: CurrencySummarySchema, default: {} },
+
+  error: { type: String, default: null },
+}, { timestamps: true });
+
+balanceReconciliationSchema.index({ createdAt: -1 });
+balanceReconciliationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BalanceReconciliation', balanceReconciliationSchema);
@@ -0,0 +1,95 @@
+// models/beneficiary.js
+const mongoose = require('mongoose');
+
+/**
+ * A saved payee. Each entry carries the details for its `type` in the
+ * matching sub-document:
+ *   BANK     -> bank      (NGNZ bank payouts)
+ *   INTERNAL -> internal  (username transfers)
+ *   CRYPTO   -> crypto    (external crypto withdrawals)
+ *   BILLER   -> bill      (airtime, data, meters, smartcards, betting)
+ */
+
+const BENEFICIARY_TYPES = ['BANK', 'INTERNAL', 'CRYPTO', 'BILLER'];
+const DETAIL_FIELDS = { BANK: 'bank', INTERNAL: 'internal', CRYPTO: 'crypto', BILLER: 'bill' };
+const BILL_TYPES = ['airtime', 'data', 'electricity', 'cable_tv', 'betting'];
+
+const bankDetailsSchema = new mongoose.Schema({
+  accountNumber: { type: String, required: true, trim: true },
+  bankCode: { type: String, required: true, trim: true },                   // Obiex sort code
+  bankName: { type: String, default: null },
+  accountName: { type: String, required: true }                            // as resolved by Obiex
+}, { _id: false });
+
+const internalDetailsSchema = new mongoose.Schema({
+  recipientUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  username: { type: String, required: true }                               // refreshed on use
+}, { _id: false });
+
+const cryptoDetailsSchema = new mongoose.Schema({
+  currency: { type: String, required: true, uppercase: true, trim: true },
+  network: { type: String, required: true, uppercase: true, trim: true },
+  address: { type: String, required: true, trim: true },
+  memo: { type: String, default: null, trim: true }                        // tag / memo for XRP, XLM...
+}, { _id: false });
+
+const billDetailsSchema = new mongoose.Schema({
+  billType: { type: String, enum: BILL_TYPES, required: true },
+  serviceId: { type: String, required: true, lowercase: true, trim: true }, // mtn, dstv, ikeja-electric, bet9ja...
+  customerId: { type: String, required: true, trim: true },                 // phone, smartcard, meter or betting account
+  variationId: { type: String, default: null },                             // data plan, bouquet or meter type
+  customerName: { type: String, default: null },
+  customerAddress: { type: String, default: null }
+}, { _id: false });
+
+const beneficiarySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: BENEFICIARY_TYPES, required: true },
+  label: { type: String, trim: true, maxlength: 50, default: null },
+  isFavourite: { type: Boolean, default: false },
+
+  bank: { type: bankDetailsSchema, default: undefined },
+  internal: { type: internalDetailsSchema, default: undefined },
+  crypto: { type: cryptoDetailsSchema, default: undefined },
+  bill: { type: billDetailsSchema, default: undefined },
+
+  lastUsedAt: { type: Date, default: null },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+beneficiarySchema.index({ userId: 1, type: 1, isActive: 1 });
+beneficiarySchema.index(
+  { userId: 1, 'bank.bankCode': 1, 'bank.accountNumber': 1 },
+  { unique: true, partialFilterExpression: { type: 'BANK', isActive: true } }
+);
+beneficiarySchema.index(
+  { userId: 1, 'internal.recipientUserId': 1 },
+  { unique: true, partialFilterExpression: { type: 'INTERNAL', isActive: true } }
+);
+beneficiarySchema.index(
+  { userId: 1, 'crypto.currency': 1, 'crypto.network': 1, 'crypto.address': 1, 'crypto.memo': 1 },
+  { unique: true, partialFilterExpression: { type: 'CRYPTO', isActive: true } }
+);
+beneficiarySchema.index(
+  { userId: 1, 'bill.billType': 1, 'bill.serviceId': 1, 'bill.customerId': 1 },
+  { unique: true, partialFilterExpression: { type: 'BILLER', isActive: true } }
+);
+
+// Exactly one details sub-document, matching `type`
+beneficiarySchema.pre('validate', function (next) {
+  const field = DETAIL_FIELDS[this.type];
+  if (field && !this[field]) {
+    this.invalidate(field, `${field} details are required for ${this.type} beneficiaries`);
+  }
+  for (const other of Object.values(DETAIL_FIELDS)) {
+    if (other !== field && this[other]) {
+      this.invalidate(other, `${other} details are not allowed for ${this.type} beneficiaries`);
+    }
+  }
+  next();
+});
+
+module.exports = mongoose.model('Beneficiary', beneficiarySchema);
+module.exports.BENEFICIARY_TYPES = BENEFICIARY_TYPES;
+module.exports.DETAIL_FIELDS = DETAIL_FIELDS;
+module.exports.BILL_TYPES = BILL_TYPES;
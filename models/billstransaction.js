@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { roundAmountPaths } = require('../utils/money');
 
 const billTransactionSchema = new mongoose.Schema({
   // Core transaction identifiers
@@ -443,6 +444,12 @@ billTransactionSchema.statics.getTransactionsNeedingBalanceRelease = function()
   });
 };
 
+// Bill amounts are NGNZ; keep them at kobo precision
+billTransactionSchema.pre('validate', function(next) {
+  roundAmountPaths(this, ['amount', 'amountNaira', 'amountNGNZ', 'amountCrypto'], () => 'NGNZ');
+  next();
+});
+
 // Pre-save middleware to ensure NGNZ consistency
 billTransactionSchema.pre('save', function(next) {
   // If we have amountCrypto but no amountNGNZ, use amountCrypto
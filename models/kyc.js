@@ -14,8 +14,9 @@ const KYCSchema = new Schema(
     partnerJobId: { type: String, index: true },
     jobType: { type: Number, default: 1 }, // 1 = Biometric KYC
 
-    youverifyId: { type: String },
-    smileJobId: { type: String }, // Kept for backward compatibility
+    providerJobId: { type: String }, // job id at `provider` (services/kycProviders)
+    youverifyId: { type: String }, // Mirrors providerJobId for Youverify records
+    smileJobId: { type: String }, // Mirrors providerJobId for Smile ID records
 
     jobComplete: { type: Boolean },
     jobSuccess: { type: Boolean },
@@ -48,8 +49,9 @@ const KYCSchema = new Schema(
     middleName: { type: String },
     dateOfBirth: { type: String }, // YYYY-MM-DD format
     gender: { type: String, enum: ['Male', 'Female', 'M', 'F', null], default: null },
-    documentExpiryDate: { type: String }, // Document expiration date
+    documentExpiryDate: { type: String }, // Document expiration date (YYYY-MM-DD)
     documentIssueDate: { type: String },
+    documentExpiresAt: { type: Date, default: null }, // documentExpiryDate as a Date, for the expiry job and report
     address: { type: String },
 
     // Verification Metadata
@@ -117,6 +119,11 @@ KYCSchema.index(
   { unique: true, sparse: true, partialFilterExpression: { smileJobId: { $exists: true, $type: 'string' } } }
 );
 
+KYCSchema.index(
+  { provider: 1, providerJobId: 1 },
+  { partialFilterExpression: { providerJobId: { $type: 'string' } } }
+);
+
 KYCSchema.index(
   { userId: 1, partnerJobId: 1 },
   { unique: true, partialFilterExpression: { partnerJobId: { $type: 'string' } } }
@@ -125,6 +132,10 @@ KYCSchema.index(
 KYCSchema.index({ userId: 1, createdAt: -1 });
 KYCSchema.index({ userId: 1, status: 1 });
 KYCSchema.index({ idNumber: 1, status: 1 }, { sparse: true });
+KYCSchema.index(
+  { documentExpiresAt: 1 },
+  { partialFilterExpression: { status: 'APPROVED', documentExpiresAt: { $type: 'date' } } }
+);
 
 // Admin route performance indexes
 KYCSchema.index({ status: 1, createdAt: -1 });
@@ -0,0 +1,69 @@
+// models/kycLevel3Application.js
+const mongoose = require('mongoose');
+
+/**
+ * A KYC level 3 (enhanced due diligence) application: proof of address plus a
+ * source-of-funds declaration, reviewed by a moderator in adminRoutes/kyc.
+ *
+ * Approval raises the user to kycLevel 3 until `expiresAt`; a new application
+ * is needed to renew it (services/kycLevel3Service).
+ */
+
+const APPLICATION_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'];
+const ADDRESS_DOCUMENT_TYPES = ['utility_bill', 'bank_statement', 'tenancy_agreement', 'government_letter'];
+const FUNDS_SOURCES = ['salary', 'business_income', 'investments', 'savings', 'crypto_trading', 'inheritance', 'other'];
+
+const applicationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: APPLICATION_STATUSES, default: 'PENDING' },
+  renewal: { type: Boolean, default: false }, // submitted while an approval was still active or had expired
+
+  address: {
+    line1: { type: String, required: true, trim: true },
+    line2: { type: String, default: null, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    postalCode: { type: String, default: null, trim: true },
+    country: { type: String, default: 'NG', trim: true }
+  },
+
+  proofOfAddress: {
+    documentType: { type: String, enum: ADDRESS_DOCUMENT_TYPES, required: true },
+    issuedAt: { type: Date, required: true },
+    publicId: { type: String, required: true }, // Cloudinary asset, delivered as 'authenticated'
+    resourceType: { type: String, default: 'image' }, // 'image' or 'raw' (PDF)
+    mimeType: { type: String, default: null }
+  },
+
+  sourceOfFunds: {
+    primarySource: { type: String, enum: FUNDS_SOURCES, required: true },
+    description: { type: String, required: true, trim: true },
+    occupation: { type: String, default: null, trim: true },
+    employerOrBusiness: { type: String, default: null, trim: true },
+    expectedMonthlyVolumeNgn: { type: Number, required: true, min: 0 }
+  },
+  declarationAcceptedAt: { type: Date, required: true },
+
+  reviewedBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: null },
+  rejectionReason: { type: String, default: null }, // shown to the user
+  approvedUntil: { type: Date, default: null }
+}, { timestamps: true });
+
+applicationSchema.index({ status: 1, createdAt: 1 });
+applicationSchema.index({ userId: 1, createdAt: -1 });
+// One open application per user
+applicationSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' }, name: 'one_pending_per_user' }
+);
+
+module.exports = mongoose.model('KycLevel3Application', applicationSchema);
+module.exports.APPLICATION_STATUSES = APPLICATION_STATUSES;
+module.exports.ADDRESS_DOCUMENT_TYPES = ADDRESS_DOCUMENT_TYPES;
+module.exports.FUNDS_SOURCES = FUNDS_SOURCES;
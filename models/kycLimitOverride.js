@@ -0,0 +1,34 @@
+// models/kycLimitOverride.js
+const mongoose = require('mongoose');
+const { capsSchema } = require('./kycTierConfig');
+
+/**
+ * Compliance override of one user's KYC limits. Each cap set here replaces
+ * the user's tier cap for that category and period (higher or lower); caps
+ * left null fall back to the tier (services/kycTierService).
+ */
+
+const kycLimitOverrideSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  limits: {
+    ngnz: { type: capsSchema, default: () => ({}) },
+    crypto: { type: capsSchema, default: () => ({}) },
+    utilities: { type: capsSchema, default: () => ({}) }
+  },
+  reason: { type: String, required: true, trim: true },
+  expiresAt: { type: Date, default: null }, // null = until removed
+  createdBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  },
+  updatedBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  }
+}, { timestamps: true });
+
+kycLimitOverrideSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('KycLimitOverride', kycLimitOverrideSchema);
@@ -0,0 +1,42 @@
+// models/kycTierConfig.js
+const mongoose = require('mongoose');
+
+/**
+ * Transaction limits for one KYC tier (User.kycLevel), managed from
+ * /admin/kyc-tiers and read through services/kycTierService.
+ *
+ * Every cap is in Naira - crypto is converted before it is checked. A null
+ * cap means no cap for that period.
+ */
+
+const TIER_LEVELS = [0, 1, 2, 3];
+const LIMIT_CATEGORIES = ['ngnz', 'crypto', 'utilities'];
+const CAP_FIELDS = ['perTransaction', 'daily', 'weekly', 'monthly'];
+
+const capsSchema = new mongoose.Schema({
+  perTransaction: { type: Number, default: null, min: 0 },
+  daily: { type: Number, default: null, min: 0 },
+  weekly: { type: Number, default: null, min: 0 },
+  monthly: { type: Number, default: null, min: 0 }
+}, { _id: false });
+
+const kycTierConfigSchema = new mongoose.Schema({
+  tier: { type: Number, enum: TIER_LEVELS, required: true, unique: true },
+  description: { type: String, default: null },
+  limits: {
+    ngnz: { type: capsSchema, default: () => ({}) },
+    crypto: { type: capsSchema, default: () => ({}) },
+    utilities: { type: capsSchema, default: () => ({}) }
+  },
+  updatedBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('KycTierConfig', kycTierConfigSchema);
+module.exports.capsSchema = capsSchema;
+module.exports.TIER_LEVELS = TIER_LEVELS;
+module.exports.LIMIT_CATEGORIES = LIMIT_CATEGORIES;
+module.exports.CAP_FIELDS = CAP_FIELDS;
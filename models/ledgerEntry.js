@@ -0,0 +1,120 @@
+// models/ledgerEntry.js
+const mongoose = require('mongoose');
+
+/**
+ * Double-entry journal for every user balance change.
+ *
+ * Each entry carries two or more legs. Per currency, the sum of debits must
+ * equal the sum of credits. User accounts are liabilities of the platform, so a
+ * CREDIT to a user account increases the user's balance and a DEBIT decreases it.
+ *
+ * Entries are immutable once written — corrections are posted as new entries.
+ */
+
+const LEDGER_ACCOUNTS = {
+  // User-owned accounts (mirrored by the cached `<ccy>Balance` / `<ccy>PendingBalance` fields)
+  USER_BALANCE: 'USER_BALANCE',
+  USER_PENDING: 'USER_PENDING',
+
+  // Platform contra accounts
+  PLATFORM_DEPOSITS: 'PLATFORM_DEPOSITS',
+  PLATFORM_WITHDRAWALS: 'PLATFORM_WITHDRAWALS',
+  PLATFORM_SWAPS: 'PLATFORM_SWAPS',
+  PLATFORM_BILLS: 'PLATFORM_BILLS',
+  PLATFORM_GIFTCARDS: 'PLATFORM_GIFTCARDS',
+  PLATFORM_REWARDS: 'PLATFORM_REWARDS',
+  PLATFORM_ADJUSTMENTS: 'PLATFORM_ADJUSTMENTS',
+  PLATFORM_OPENING_BALANCE: 'PLATFORM_OPENING_BALANCE'
+};
+
+const LEDGER_ENTRY_TYPES = [
+  'DEPOSIT',
+  'WITHDRAWAL',
+  'WITHDRAWAL_RESERVE',
+  'WITHDRAWAL_SETTLE',
+  'WITHDRAWAL_REFUND',
+  'SWAP',
+  'LIMIT_ORDER_RESERVE',
+  'LIMIT_ORDER_RELEASE',
+  'BILL_PAYMENT',
+  'BILL_REFUND',
+  'INTERNAL_TRANSFER',
+  'GIFTCARD_PAYOUT',
+  'REFERRAL_REWARD',
+  'ADMIN_FUND',
+  'ADMIN_DEDUCT',
+  'OPENING_BALANCE'
+];
+
+const nonNegative = {
+  validator: (value) => value == null || !String(value).startsWith('-'),
+  message: 'Ledger leg amounts cannot be negative'
+};
+
+const ledgerLegSchema = new mongoose.Schema({
+  account: { type: String, required: true, enum: Object.values(LEDGER_ACCOUNTS) },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  currency: { type: String, required: true, uppercase: true },
+  // Exact amounts, rounded to the asset's precision (see utils/money)
+  debit: { type: mongoose.Schema.Types.Decimal128, default: () => mongoose.Types.Decimal128.fromString('0'), validate: nonNegative },
+  credit: { type: mongoose.Schema.Types.Decimal128, default: () => mongoose.Types.Decimal128.fromString('0'), validate: nonNegative }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `LEDGER_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  type: { type: String, required: true, enum: LEDGER_ENTRY_TYPES },
+
+  // Business reference (Transaction.reference, BillTransaction orderId, swap reference, ...)
+  reference: { type: String, default: null },
+  // Optional de-duplication key — a second post with the same key is rejected
+  idempotencyKey: { type: String, default: undefined },
+  description: { type: String, default: '' },
+
+  legs: {
+    type: [ledgerLegSchema],
+    validate: {
+      validator: function (legs) {
+        return Array.isArray(legs) && legs.length >= 2;
+      },
+      message: 'A ledger entry needs at least two legs'
+    }
+  },
+
+  // Who or what caused the entry (route, job, admin id)
+  actor: {
+    kind: { type: String, enum: ['USER', 'ADMIN', 'SYSTEM', 'WEBHOOK'], default: 'SYSTEM' },
+    id: { type: String, default: null }
+  },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ 'legs.userId': 1, 'legs.currency': 1, createdAt: 1 });
+ledgerEntrySchema.index({ reference: 1 });
+ledgerEntrySchema.index({ type: 1, createdAt: -1 });
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+// Immutability: block edits and deletes at the model level
+function rejectMutation(next) {
+  next(new Error('Ledger entries are immutable; post a reversing entry instead'));
+}
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach((op) => ledgerEntrySchema.pre(op, rejectMutation));
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
+module.exports.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+module.exports.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
@@ -0,0 +1,70 @@
+// models/limitOrder.js
+const mongoose = require('mongoose');
+const { roundAmountPaths } = require('../utils/money');
+
+/**
+ * A user's standing order to swap `amount` of `sourceCurrency` into
+ * `targetCurrency` at `limitRate` or better. `limitRate` is a price in the
+ * pair's quote currency per unit of its base asset (NGNZ per BTC): a BUY
+ * spends the quote currency and fills at or below it, a SELL fills at or
+ * above it. The source amount sits in the user's pending balance while the
+ * order is OPEN.
+ */
+
+const LIMIT_ORDER_STATUSES = ['OPEN', 'EXECUTING', 'FILLED', 'CANCELLED', 'EXPIRED', 'FAILED'];
+const OPEN_STATUSES = ['OPEN', 'EXECUTING'];
+
+const limitOrderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `LIMIT_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Which swap router executes the order
+  kind: { type: String, enum: ['SWAP', 'NGNZ_SWAP'], required: true },
+  sourceCurrency: { type: String, required: true, uppercase: true },
+  targetCurrency: { type: String, required: true, uppercase: true },
+  side: { type: String, enum: ['BUY', 'SELL'], required: true },
+
+  amount: { type: Number, required: true, min: 0 },
+  // Limit price, quote currency per unit of the base asset, e.g. NGNZ per BTC
+  limitRate: { type: Number, required: true, min: 0 },
+  // amount ÷ limitRate (BUY) or amount × limitRate (SELL), rounded up — the quote must deliver at least this
+  minAmountReceived: { type: Number, required: true, min: 0 },
+
+  status: { type: String, enum: LIMIT_ORDER_STATUSES, default: 'OPEN' },
+  expiresAt: { type: Date, required: true },
+
+  // Fill details
+  executedRate: { type: Number, default: null }, // same terms as limitRate
+  amountReceived: { type: Number, default: null },
+  quoteId: { type: String, default: null },
+  swapId: { type: String, default: null },
+  filledAt: { type: Date, default: null },
+
+  cancelledAt: { type: Date, default: null },
+  failureReason: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  lastCheckedAt: { type: Date, default: null },
+  // Set while a worker holds the order in EXECUTING; a stale one is recovered
+  // by services/limitOrderService recoverStaleOrders
+  executingSince: { type: Date, default: null }
+}, { timestamps: true });
+
+limitOrderSchema.index({ status: 1, sourceCurrency: 1, targetCurrency: 1 });
+limitOrderSchema.index({ userId: 1, status: 1, createdAt: -1 });
+limitOrderSchema.index({ status: 1, expiresAt: 1 });
+limitOrderSchema.index({ status: 1, executingSince: 1 });
+
+limitOrderSchema.pre('validate', function (next) {
+  roundAmountPaths(this, ['amount'], 'sourceCurrency');
+  roundAmountPaths(this, ['minAmountReceived', 'amountReceived'], 'targetCurrency');
+  next();
+});
+
+module.exports = mongoose.model('LimitOrder', limitOrderSchema);
+module.exports.LIMIT_ORDER_STATUSES = LIMIT_ORDER_STATUSES;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,29 @@
+// models/passkey.js
+const mongoose = require('mongoose');
+
+/**
+ * A WebAuthn credential (passkey) registered as a second factor by a user or
+ * an admin (services/passkeyService). Binary values are stored base64url.
+ */
+
+const OWNER_TYPES = ['USER', 'ADMIN'];
+
+const passkeySchema = new mongoose.Schema({
+  ownerType: { type: String, enum: OWNER_TYPES, required: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  credentialId: { type: String, required: true, unique: true },
+  publicKey: { type: String, required: true },
+  counter: { type: Number, default: 0 },
+  transports: { type: [String], default: [] },
+  deviceType: { type: String, default: null }, // singleDevice | multiDevice
+  backedUp: { type: Boolean, default: false },
+
+  name: { type: String, default: 'Passkey', trim: true, maxlength: 64 },
+  lastUsedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+passkeySchema.index({ ownerType: 1, ownerId: 1 });
+
+module.exports = mongoose.model('Passkey', passkeySchema);
+module.exports.OWNER_TYPES = OWNER_TYPES;
@@ -19,17 +19,8 @@ const platformSnapshotSchema = new mongoose.Schema({
   totalPendingNaira:  { type: Number, default: 0 },
   userCount:          { type: Number, default: 0 },
 
-  breakdown: {
-    BTC:  { type: TokenBalanceSchema },
-    ETH:  { type: TokenBalanceSchema },
-    SOL:  { type: TokenBalanceSchema },
-    USDT: { type: TokenBalanceSchema },
-    USDC: { type: TokenBalanceSchema },
-    BNB:  { type: TokenBalanceSchema },
-    MATIC:{ type: TokenBalanceSchema },
-    TRX:  { type: TokenBalanceSchema },
-    NGNZ: { type: TokenBalanceSchema },
-  },
+  // Keyed by asset symbol — one entry per registry asset at snapshot time
+  breakdown: { type: Map, of: TokenBalanceSchema, default: {} },
 
   notes: { type: String, trim: true, default: '' },
 }, { timestamps: true });
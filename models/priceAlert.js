@@ -0,0 +1,23 @@
+// models/priceAlert.js
+const mongoose = require('mongoose');
+
+/**
+ * One-shot push notification when an asset's USD price crosses a target.
+ * Checked after every stored price update (services/cryptoPriceJob).
+ */
+
+const priceAlertSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  symbol: { type: String, required: true, uppercase: true },
+  condition: { type: String, enum: ['ABOVE', 'BELOW'], required: true },
+  targetPrice: { type: Number, required: true, min: 0 }, // USD
+
+  status: { type: String, enum: ['ACTIVE', 'TRIGGERED', 'CANCELLED'], default: 'ACTIVE' },
+  triggeredAt: { type: Date, default: null },
+  triggeredPrice: { type: Number, default: null }
+}, { timestamps: true });
+
+priceAlertSchema.index({ status: 1, symbol: 1 });
+priceAlertSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
@@ -1,11 +1,15 @@
 const mongoose = require('mongoose');
+const { getAsset } = require('../services/assetRegistry');
 
 const priceChangeSchema = new mongoose.Schema({
   symbol: {
     type: String,
     required: true,
     uppercase: true,
-    enum: ['BTC', 'ETH', 'SOL', 'USDT', 'USDC', 'BNB', 'MATIC', 'TRX', 'TON', 'NGNZ']
+    validate: {
+      validator: (symbol) => getAsset(symbol)?.symbol === symbol,
+      message: (props) => `${props.value} is not a registered asset`
+    }
   },
   price: {
     type: Number,
@@ -58,7 +62,7 @@ priceChangeSchema.statics.storePrices = async function(prices, source = 'portfol
 
     for (const [symbol, price] of Object.entries(prices)) {
       const upper = String(symbol || '').toUpperCase();
-      if (!enumHas('symbol', upper)) continue;
+      if (getAsset(upper)?.symbol !== upper) continue;
       const p = Number(price);
       if (!Number.isFinite(p) || p <= 0) continue;
 
@@ -0,0 +1,52 @@
+// models/recurringBuy.js
+const mongoose = require('mongoose');
+const { roundAmountPaths } = require('../utils/money');
+const { FREQUENCIES } = require('../utils/schedule');
+
+/**
+ * A user's recurring buy (DCA) plan: spend `amount` NGNZ on `targetCurrency`
+ * on a fixed schedule. Runs are executed by services/recurringBuyService and
+ * recorded in RecurringBuyRun.
+ */
+
+const recurringBuySchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `DCA_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  sourceCurrency: { type: String, default: 'NGNZ', enum: ['NGNZ'] },
+  targetCurrency: { type: String, required: true, uppercase: true },
+  amount: { type: Number, required: true, min: 0 }, // NGNZ per run
+
+  frequency: { type: String, enum: FREQUENCIES, required: true },
+  hourUtc: { type: Number, min: 0, max: 23, default: 9 },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: null },   // WEEKLY / BIWEEKLY, 0 = Sunday
+  dayOfMonth: { type: Number, min: 1, max: 28, default: null }, // MONTHLY
+
+  status: { type: String, enum: ['ACTIVE', 'PAUSED', 'CANCELLED'], default: 'ACTIVE' },
+  pausedReason: { type: String, default: null },
+  nextRunAt: { type: Date, required: true },
+  lastRunAt: { type: Date, default: null },
+
+  // Running totals across executed runs
+  runCount: { type: Number, default: 0 },
+  totalSpent: { type: Number, default: 0 },
+  totalReceived: { type: Number, default: 0 },
+  consecutiveSkips: { type: Number, default: 0 }
+}, { timestamps: true });
+
+recurringBuySchema.index({ status: 1, nextRunAt: 1 });
+recurringBuySchema.index({ userId: 1, status: 1 });
+
+recurringBuySchema.pre('validate', function (next) {
+  roundAmountPaths(this, ['amount', 'totalSpent'], 'sourceCurrency');
+  roundAmountPaths(this, ['totalReceived'], 'targetCurrency');
+  next();
+});
+
+module.exports = mongoose.model('RecurringBuy', recurringBuySchema);
+module.exports.FREQUENCIES = FREQUENCIES;
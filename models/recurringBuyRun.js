@@ -0,0 +1,32 @@
+// models/recurringBuyRun.js
+const mongoose = require('mongoose');
+
+/**
+ * One scheduled execution of a RecurringBuy plan, whether it bought, was
+ * skipped (balance / KYC limit) or failed.
+ */
+
+const recurringBuyRunSchema = new mongoose.Schema({
+  planId: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scheduledFor: { type: Date, required: true },
+
+  status: { type: String, enum: ['EXECUTED', 'SKIPPED', 'FAILED'], required: true },
+  // INSUFFICIENT_BALANCE, KYC_LIMIT, PRICE_UNAVAILABLE, ... for skipped / failed runs
+  reason: { type: String, default: null },
+  message: { type: String, default: null },
+
+  targetCurrency: { type: String, required: true },
+  amount: { type: Number, required: true },        // NGNZ
+  amountReceived: { type: Number, default: null },
+  rate: { type: Number, default: null },
+  quoteId: { type: String, default: null },
+  swapId: { type: String, default: null },
+  correlationId: { type: String, default: null }
+}, { timestamps: true });
+
+// One run per plan per scheduled slot, even if two instances pick the plan up
+recurringBuyRunSchema.index({ planId: 1, scheduledFor: 1 }, { unique: true });
+recurringBuyRunSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecurringBuyRun', recurringBuyRunSchema);
@@ -0,0 +1,54 @@
+// models/scheduledBillPayment.js
+const mongoose = require('mongoose');
+const { roundAmountPaths } = require('../utils/money');
+const { FREQUENCIES } = require('../utils/schedule');
+
+/**
+ * A recurring bill payment to a saved BILLER beneficiary. The user authorises
+ * the schedule once with 2FA + PIN; runs are then made without a prompt by
+ * services/scheduledBillService. Changing the amount or biller needs a new
+ * authorisation.
+ */
+
+const scheduledBillPaymentSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `BILLSCHED_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  beneficiaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Beneficiary', required: true },
+  billType: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 }, // NGNZ per run
+  currency: { type: String, default: 'NGNZ' },
+
+  frequency: { type: String, enum: FREQUENCIES, required: true },
+  hourUtc: { type: Number, min: 0, max: 23, default: 9 },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: null },
+  dayOfMonth: { type: Number, min: 1, max: 28, default: null },
+
+  status: { type: String, enum: ['ACTIVE', 'PAUSED', 'CANCELLED'], default: 'ACTIVE' },
+  pausedReason: { type: String, default: null },
+  authorizedAt: { type: Date, required: true },
+
+  // Slot currently being paid and when to try it (again)
+  currentSlot: { type: Date, required: true },
+  nextAttemptAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+
+  lastRunAt: { type: Date, default: null },
+  lastStatus: { type: String, enum: ['COMPLETED', 'FAILED', null], default: null },
+  runCount: { type: Number, default: 0 },
+  consecutiveFailures: { type: Number, default: 0 }
+}, { timestamps: true });
+
+scheduledBillPaymentSchema.index({ status: 1, nextAttemptAt: 1 });
+scheduledBillPaymentSchema.index({ userId: 1, status: 1 });
+
+scheduledBillPaymentSchema.pre('validate', function (next) {
+  roundAmountPaths(this, ['amount'], 'currency');
+  next();
+});
+
+module.exports = mongoose.model('ScheduledBillPayment', scheduledBillPaymentSchema);
@@ -0,0 +1,28 @@
+// models/scheduledBillRun.js
+const mongoose = require('mongoose');
+
+/**
+ * One attempt at paying a scheduled bill slot
+ */
+
+const scheduledBillRunSchema = new mongoose.Schema({
+  scheduleId: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scheduledFor: { type: Date, required: true },
+  attempt: { type: Number, required: true },
+
+  status: { type: String, enum: ['COMPLETED', 'FAILED'], required: true },
+  reason: { type: String, default: null }, // BillPurchaseError code for failed attempts
+  message: { type: String, default: null },
+  willRetry: { type: Boolean, default: false },
+
+  billType: { type: String, required: true },
+  amount: { type: Number, required: true },
+  requestId: { type: String, required: true },
+  billTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'BillTransaction', default: null }
+}, { timestamps: true });
+
+scheduledBillRunSchema.index({ scheduleId: 1, scheduledFor: 1, attempt: 1 }, { unique: true });
+scheduledBillRunSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduledBillRun', scheduledBillRunSchema);
@@ -0,0 +1,28 @@
+// models/scheduledJob.js
+const mongoose = require('mongoose');
+
+/**
+ * Last run and outcome of a cluster-wide cron job (services/cronScheduler).
+ * One document per job name, updated by whichever instance won the run.
+ */
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  schedule: { type: String, required: true },
+  timezone: { type: String, default: null },
+
+  lastStatus: { type: String, enum: ['RUNNING', 'SUCCESS', 'FAILED'], default: null },
+  lastTrigger: { type: String, enum: ['SCHEDULE', 'MANUAL'], default: null },
+  lastRunAt: { type: Date, default: null },
+  lastFinishedAt: { type: Date, default: null },
+  lastDurationMs: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  lastResult: { type: mongoose.Schema.Types.Mixed, default: null }, // summary returned by the job
+  lastInstance: { type: String, default: null }, // hostname:pid that ran it
+  lastSuccessAt: { type: Date, default: null },
+
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
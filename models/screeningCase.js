@@ -0,0 +1,66 @@
+// models/screeningCase.js
+const mongoose = require('mongoose');
+
+/**
+ * A sanctions or PEP watchlist hit awaiting (or past) compliance review.
+ *
+ * Opened by services/screeningService when a signup, KYC approval or
+ * withdrawal matches a watchlist entry. Later hits for the same person are
+ * added to `occurrences` rather than opening another case. Compliance either
+ * clears it (false positive) or confirms it (true match) in adminRoutes/screening.
+ */
+
+const SCREENING_CONTEXTS = ['SIGNUP', 'KYC_APPROVAL', 'WITHDRAWAL'];
+const SCREENING_ACTIONS = ['CLEAR', 'HOLD', 'BLOCK'];
+const CASE_STATUSES = ['OPEN', 'CLEARED', 'CONFIRMED'];
+
+const matchSchema = new mongoose.Schema({
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'WatchlistEntry', required: true },
+  source: { type: String, required: true },
+  listType: { type: String, required: true },
+  listedName: { type: String, required: true },
+  matchedName: { type: String, required: true }, // the listed name or alias that matched
+  score: { type: Number, required: true }, // 0-1 after the date of birth adjustment
+  dateOfBirth: { type: String, default: null },
+  dobMatch: { type: String, enum: ['EXACT', 'YEAR', 'MISMATCH', 'UNKNOWN'], default: 'UNKNOWN' }
+}, { _id: false });
+
+const occurrenceSchema = new mongoose.Schema({
+  context: { type: String, enum: SCREENING_CONTEXTS, required: true },
+  action: { type: String, enum: SCREENING_ACTIONS, required: true },
+  reference: { type: String, default: null }, // kycId, transaction/review reference...
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const screeningCaseSchema = new mongoose.Schema({
+  caseId: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for signups
+  subject: {
+    fullName: { type: String, required: true },
+    dateOfBirth: { type: String, default: null },
+    email: { type: String, default: null },
+    phonenumber: { type: String, default: null }
+  },
+  context: { type: String, enum: SCREENING_CONTEXTS, required: true }, // where it was first hit
+  action: { type: String, enum: SCREENING_ACTIONS, required: true }, // strongest action so far
+  matches: { type: [matchSchema], default: [] },
+  occurrences: { type: [occurrenceSchema], default: [] },
+
+  status: { type: String, enum: CASE_STATUSES, default: 'OPEN' },
+  decidedBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  },
+  decidedAt: { type: Date, default: null },
+  decisionNote: { type: String, default: null }
+}, { timestamps: true });
+
+screeningCaseSchema.index({ status: 1, createdAt: 1 });
+screeningCaseSchema.index({ userId: 1, status: 1 });
+screeningCaseSchema.index({ 'subject.email': 1, status: 1 });
+
+module.exports = mongoose.model('ScreeningCase', screeningCaseSchema);
+module.exports.SCREENING_CONTEXTS = SCREENING_CONTEXTS;
+module.exports.SCREENING_ACTIONS = SCREENING_ACTIONS;
+module.exports.CASE_STATUSES = CASE_STATUSES;
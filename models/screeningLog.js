@@ -0,0 +1,48 @@
+// models/screeningLog.js
+const mongoose = require('mongoose');
+
+/**
+ * Append-only record of watchlist screening: every screening with its result,
+ * every case decision and every list import or removal.
+ *
+ * Entries are immutable once written, like the ledger.
+ */
+
+const SCREENING_LOG_EVENTS = ['SCREENED', 'CASE_OPENED', 'CASE_DECIDED', 'LIST_IMPORTED', 'LIST_REMOVED'];
+
+const screeningLogSchema = new mongoose.Schema({
+  event: { type: String, enum: SCREENING_LOG_EVENTS, required: true },
+  context: { type: String, default: null }, // SIGNUP, KYC_APPROVAL, WITHDRAWAL
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  caseId: { type: String, default: null },
+  reference: { type: String, default: null },
+  subject: { type: mongoose.Schema.Types.Mixed, default: null },
+  action: { type: String, default: null }, // CLEAR / HOLD / BLOCK, or the case decision
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  actor: {
+    kind: { type: String, enum: ['USER', 'ADMIN', 'SYSTEM'], default: 'SYSTEM' },
+    id: { type: String, default: null }
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+screeningLogSchema.index({ userId: 1, createdAt: -1 });
+screeningLogSchema.index({ caseId: 1, createdAt: 1 });
+screeningLogSchema.index({ event: 1, createdAt: -1 });
+
+// Immutability: block edits and deletes at the model level
+function rejectMutation(next) {
+  next(new Error('Screening log entries are immutable'));
+}
+
+screeningLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+].forEach((op) => screeningLogSchema.pre(op, rejectMutation));
+
+module.exports = mongoose.model('ScreeningLog', screeningLogSchema);
+module.exports.SCREENING_LOG_EVENTS = SCREENING_LOG_EVENTS;
@@ -1,5 +1,6 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
+const { roundAmountPaths, decimalAmountField, decimalAmountsPlugin } = require('../utils/money');
 
 /** ========= Subdocs for NGNZ bank withdrawals ========= **/
 
@@ -110,14 +111,15 @@ const transactionSchema = new mongoose.Schema({
   // - INTERNAL_TRANSFER_SENT: NEGATIVE (debit from sender)
   // - INTERNAL_TRANSFER_RECEIVED: POSITIVE (credit to recipient)
   // - SWAP: Can be positive (IN) or negative (OUT) depending on swapDirection
-  amount: { type: Number, required: true },
+  // Stored exactly as Decimal128, read back as Numbers (see utils/money)
+  amount: decimalAmountField({ required: true }),
 
-  fee: { type: Number, default: 0 },
-  obiexFee: { type: Number, default: 0 },
+  fee: decimalAmountField({ default: 0 }),
+  obiexFee: decimalAmountField({ default: 0 }),
 
   status: {
     type: String,
-    enum: ['PENDING', 'APPROVED', 'PROCESSING', 'SUCCESSFUL', 'COMPLETED', 'FAILED', 'REJECTED', 'CONFIRMED'],
+    enum: ['PENDING', 'PENDING_REVIEW', 'APPROVED', 'PROCESSING', 'SUCCESSFUL', 'COMPLETED', 'FAILED', 'REJECTED', 'CONFIRMED'],
     required: true,
   },
 
@@ -160,8 +162,8 @@ const transactionSchema = new mongoose.Schema({
   /** ========= Swap - UPDATED FOR ENHANCED COMPATIBILITY ========= **/
   fromCurrency: { type: String },
   toCurrency: { type: String },
-  fromAmount: { type: Number },
-  toAmount: { type: Number },
+  fromAmount: decimalAmountField(),
+  toAmount: decimalAmountField(),
   // UPDATED: More flexible swapType enum to handle both old and new values
   swapType: { 
     type: String, 
@@ -294,6 +296,22 @@ transactionSchema.index({ executionTimestamp: -1 }, { sparse: true });
 
 /** ========= Hooks & Methods ========= **/
 
+// Store amounts at the precision of their currency (see utils/money)
+const AMOUNT_CURRENCY_PATHS = {
+  amount: 'currency',
+  fee: 'currency',
+  obiexFee: 'currency',
+  fromAmount: 'fromCurrency',
+  toAmount: 'toCurrency'
+};
+
+transactionSchema.pre('validate', function (next) {
+  roundAmountPaths(this, Object.keys(AMOUNT_CURRENCY_PATHS), (doc, path) => doc.get(AMOUNT_CURRENCY_PATHS[path]));
+  roundAmountPaths(this, ['bankAmount', 'withdrawalFee', 'ngnzWithdrawal.requestedAmount',
+    'ngnzWithdrawal.withdrawalFee', 'ngnzWithdrawal.amountSentToBank'], () => 'NGNZ');
+  next();
+});
+
 transactionSchema.pre('save', function (next) {
   this.updatedAt = new Date();
   
@@ -666,4 +684,6 @@ transactionSchema.statics.getSwapAnalytics = function(swapPair, timeframe = '24h
   ]);
 };
 
+transactionSchema.plugin(decimalAmountsPlugin);
+
 module.exports = mongoose.models.Transaction || mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // models/user.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { decimalAmountField, decimalAmountsPlugin } = require('../utils/money');
 
 const SALT_WORK_FACTOR = 10;
 
@@ -21,6 +22,7 @@ const userSchema = new mongoose.Schema({
   // Firebase Cloud Messaging token (preferred over Expo push token)
   fcmToken: { type: String, default: null },
   deviceId: { type: String, default: null },
+  deviceChangedAt: { type: Date, default: null }, // last time deviceId switched to a different device
 
   // OTP fields (used for both pin changes and email verification)
   pinChangeOtp: { type: String, default: null },
@@ -60,8 +62,8 @@ const userSchema = new mongoose.Schema({
     default: []
   },
 
-  // KYC Levels (Updated structure - removed level 3)
-  kycLevel: { type: Number, default: 0, min: 0, max: 2, enum: [0, 1, 2] },
+  // KYC Levels - level 3 is enhanced due diligence and expires (kyc.level3.expiresAt)
+  kycLevel: { type: Number, default: 0, min: 0, max: 3, enum: [0, 1, 2, 3] },
   kycStatus: {
     type: String,
     default: 'not_verified',
@@ -76,8 +78,8 @@ const userSchema = new mongoose.Schema({
       rejectionReason: { type: String, default: null }
     },
     level2: {
-      // Email + Document verification
-      status: { type: String, default: 'not_submitted', enum: ['not_submitted', 'pending', 'approved', 'rejected'] },
+      // Email + Document verification; 'expired' once the verified document lapses
+      status: { type: String, default: 'not_submitted', enum: ['not_submitted', 'pending', 'approved', 'rejected', 'expired'] },
       emailVerified: { type: Boolean, default: false },
       documentSubmitted: { type: Boolean, default: false },
       documentType: { type: String, default: null },
@@ -85,7 +87,22 @@ const userSchema = new mongoose.Schema({
       submittedAt: { type: Date, default: null },
       approvedAt: { type: Date, default: null },
       rejectedAt: { type: Date, default: null },
-      rejectionReason: { type: String, default: null }
+      rejectionReason: { type: String, default: null },
+      // Expiry of the verified document (passport, driver's licence); null if it does not lapse
+      documentExpiresAt: { type: Date, default: null },
+      lastReminderAt: { type: Date, default: null },
+      expiredAt: { type: Date, default: null }
+    },
+    level3: {
+      // Proof of address + source of funds, reviewed by compliance (models/kycLevel3Application)
+      status: { type: String, default: 'not_submitted', enum: ['not_submitted', 'pending', 'approved', 'rejected', 'expired'] },
+      applicationId: { type: mongoose.Schema.Types.ObjectId, ref: 'KycLevel3Application', default: null },
+      submittedAt: { type: Date, default: null },
+      approvedAt: { type: Date, default: null },
+      rejectedAt: { type: Date, default: null },
+      rejectionReason: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+      lastReminderAt: { type: Date, default: null }
     }
   },
 
@@ -102,6 +119,14 @@ const userSchema = new mongoose.Schema({
   blockedAt: { type: Date, default: null },
   unblockedAt: { type: Date, default: null },
 
+  // Crypto withdrawal address whitelist (opt-in). Turning it off only takes
+  // effect once the cooldown after disableRequestedAt has passed.
+  withdrawalWhitelist: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    disableRequestedAt: { type: Date, default: null }
+  },
+
   // Wallets (expanded to include canonical network variants)
   wallets: {
     // Bitcoin variants
@@ -152,27 +177,37 @@ const userSchema = new mongoose.Schema({
     NGNZ: { address: String, network: String, walletReferenceId: String }
   },
 
-  // Balances
-  tonBalance: { type: Number, default: 0, min: 0 },
-  tonPendingBalance: { type: Number, default: 0, min: 0 },
-  solBalance: { type: Number, default: 0, min: 0 },
-  solPendingBalance: { type: Number, default: 0, min: 0 },
-  btcBalance: { type: Number, default: 0, min: 0 },
-  btcPendingBalance: { type: Number, default: 0, min: 0 },
-  usdtBalance: { type: Number, default: 0, min: 0 },
-  usdtPendingBalance: { type: Number, default: 0, min: 0 },
-  usdcBalance: { type: Number, default: 0, min: 0 },
-  usdcPendingBalance: { type: Number, default: 0, min: 0 },
-  ethBalance: { type: Number, default: 0, min: 0 },
-  ethPendingBalance: { type: Number, default: 0, min: 0 },
-  bnbBalance: { type: Number, default: 0, min: 0 },
-  bnbPendingBalance: { type: Number, default: 0, min: 0 },
-  maticBalance: { type: Number, default: 0, min: 0 },
-  maticPendingBalance: { type: Number, default: 0, min: 0 },
-  trxBalance: { type: Number, default: 0, min: 0 },
-  trxPendingBalance: { type: Number, default: 0, min: 0 },
-  ngnzBalance: { type: Number, default: 0, min: 0 },
-  ngnzPendingBalance: { type: Number, default: 0, min: 0 },
+  // Balances, stored exactly as Decimal128 and read back as Numbers (see utils/money)
+  tonBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  tonPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  solBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  solPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  btcBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  btcPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  usdtBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  usdtPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  usdcBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  usdcPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  ethBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  ethPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  bnbBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  bnbPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  maticBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  maticPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  trxBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  trxPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  ngnzBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+  ngnzPendingBalance: decimalAmountField({ nonNegative: true, default: 0 }),
+
+  // Balances for registry assets without a dedicated field above, keyed by symbol (see services/assetRegistry)
+  balances: {
+    type: Map,
+    of: new mongoose.Schema({
+      balance: decimalAmountField({ nonNegative: true, default: 0 }),
+      pending: decimalAmountField({ nonNegative: true, default: 0 })
+    }, { _id: false }),
+    default: {}
+  },
 
   lastBalanceUpdate: { type: Date, default: null },
   portfolioLastUpdated: { type: Date, default: null },
@@ -181,6 +216,27 @@ const userSchema = new mongoose.Schema({
   twoFASecret: { type: String, default: null },
   is2FAEnabled: { type: Boolean, default: false },
   is2FAVerified: { type: Boolean, default: false },
+  twoFAResetAt: { type: Date, default: null }, // last time 2FA was disabled (by the user or an admin)
+  // One-time backup codes (SHA-256), see services/twoFARecoveryService
+  twoFABackupCodes: {
+    type: [{
+      _id: false,
+      codeHash: { type: String, required: true },
+      usedAt: { type: Date, default: null }
+    }],
+    default: []
+  },
+  twoFABackupCodesGeneratedAt: { type: Date, default: null },
+  // Self-service 2FA recovery in progress: email OTP, then selfie
+  twoFARecovery: {
+    emailCodeHash: { type: String, default: null },
+    emailCodeExpiresAt: { type: Date, default: null },
+    emailAttempts: { type: Number, default: 0 },
+    emailVerifiedAt: { type: Date, default: null },
+    selfieAttempts: { type: Number, default: 0 },
+    startedAt: { type: Date, default: null }
+  },
+  withdrawalsFrozenUntil: { type: Date, default: null }, // set after a self-service 2FA recovery
 
   // Referral program
   // The user's own unique 8-character referral code (populated after pin is set)
@@ -188,10 +244,48 @@ const userSchema = new mongoose.Schema({
   // The referral code the user signed up with (null if organic signup)
   referredBy: { type: String, default: null, uppercase: true, trim: true },
 
-  // Refresh tokens
+  // Refresh tokens - one per signed-in session, with the device it was issued to
+  // (services/sessionService)
   refreshTokens: [
-    { token: String, createdAt: { type: Date, default: Date.now } }
-  ]
+    {
+      token: String,
+      createdAt: { type: Date, default: Date.now },
+      sessionId: { type: String, default: null },
+      deviceId: { type: String, default: null },
+      deviceName: { type: String, default: null },
+      platform: { type: String, default: null },
+      appVersion: { type: String, default: null },
+      ipAddress: { type: String, default: null },
+      userAgent: { type: String, default: null },
+      firstSeenAt: { type: Date, default: null },
+      lastSeenAt: { type: Date, default: null },
+      // Token family: the token this one replaced, to tell a concurrent
+      // refresh apart from a replayed (stolen) token
+      previousTokenHash: { type: String, default: null },
+      rotatedAt: { type: Date, default: null }
+    }
+  ],
+
+  // Devices that completed a login (or new-device OTP step-up) on this account
+  trustedDevices: [
+    {
+      _id: false,
+      deviceId: { type: String, required: true },
+      deviceName: { type: String, default: null },
+      platform: { type: String, default: null },
+      firstSeenAt: { type: Date, default: Date.now },
+      lastSeenAt: { type: Date, default: Date.now }
+    }
+  ],
+
+  // Pending OTP step-up for a sign-in from an unrecognised device
+  newDeviceChallenge: {
+    challengeId: { type: String, default: null },
+    codeHash: { type: String, default: null },
+    device: { type: mongoose.Schema.Types.Mixed, default: null },
+    expiresAt: { type: Date, default: null },
+    attempts: { type: Number, default: 0 }
+  }
 }, { timestamps: true });
 
 // Indexes
@@ -200,9 +294,11 @@ userSchema.index({ username: 1 }, { unique: true, sparse: true });
 userSchema.index({ phonenumber: 1 }, { unique: true, sparse: true });
 userSchema.index({ bvn: 1 }, { unique: true, sparse: true });
 userSchema.index({ kycLevel: 1, kycStatus: 1 });
+userSchema.index({ 'kyc.level2.documentExpiresAt': 1 }, { partialFilterExpression: { 'kyc.level2.documentExpiresAt': { $type: 'date' } } });
 userSchema.index({ isBlocked: 1 }); // Index for blocked user queries
 userSchema.index({ referralCode: 1 }, { unique: true, sparse: true });
 userSchema.index({ referredBy: 1 }, { sparse: true });
+userSchema.index({ 'newDeviceChallenge.challengeId': 1 }, { sparse: true });
 
 // Virtuals
 userSchema.virtual('id').get(function () { return this._id.toHexString(); });
@@ -222,10 +318,14 @@ userSchema.set('toJSON', {
     delete ret.transactionpin;
     delete ret.securitypin;
     delete ret.twoFASecret;
+    delete ret.newDeviceChallenge;
+    delete ret.twoFABackupCodes;
+    delete ret.twoFARecovery;
     delete ret.__v;
     return ret;
   }
 });
+userSchema.plugin(decimalAmountsPlugin);
 
 // Pre-save: Hash sensitive fields + balance tracking + KYC upgrade checks
 userSchema.pre('save', async function (next) {
@@ -395,29 +495,33 @@ userSchema.methods.canAddBankAccount = function () {
   return this.getBankAccountsCount() < 10;
 };
 
-// KYC Limits (Updated structure - removed level 3)
+// Level 3 lapses at kyc.level3.expiresAt and level 2 when the verified
+// document does (kyc.level2.documentExpiresAt); the expiry jobs move kycLevel
+// back down, this covers the gap until they run
+userSchema.methods.getEffectiveKycLevel = function () {
+  const level = this.kycLevel || 0;
+  const now = new Date();
+  const documentExpiresAt = this.kyc?.level2?.documentExpiresAt;
+  if (level >= 2 && documentExpiresAt && documentExpiresAt <= now) return 1;
+  const expiresAt = this.kyc?.level3?.expiresAt;
+  if (level === 3 && expiresAt && expiresAt <= now) return 2;
+  return level;
+};
+
+// KYC Limits - tier caps from services/kycTierService (admin-managed, in
+// Naira). Sync, so per-user overrides are not applied here; use
+// kycTierService.resolveAllLimits when they matter.
 userSchema.methods.getKycLimits = function () {
-  const limits = {
-    0: {
-      ngnb: { daily: 0, monthly: 0 },
-      crypto: { daily: 0, monthly: 0 },
-      utilities: { daily: 0, monthly: 0 },
-      description: 'No verification - No transactions allowed'
-    },
-    1: {
-      ngnb: { daily: 0, monthly: 0 }, // No NGN transactions allowed
-      crypto: { daily: 0, monthly: 0 }, // No crypto transactions allowed
-      utilities: { daily: 50000, monthly: 200000 }, // Only utilities allowed
-      description: 'Phone verification (automatic on signup)'
-    },
-    2: {
-      ngnb: { daily: 25000000, monthly: 200000000 },
-      crypto: { daily: 2000000, monthly: 2000000 },
-      utilities: { daily: 500000, monthly: 2000000 },
-      description: 'Email verification + Document verification'
-    }
+  const { getTierLimits } = require('../services/kycTierService');
+  const { description, limits } = getTierLimits(this.getEffectiveKycLevel());
+  return {
+    ngnb: limits.ngnz,
+    ngnz: limits.ngnz,
+    crypto: limits.crypto,
+    utilities: limits.utilities,
+    description,
+    currency: 'NGN'
   };
-  return limits[this.kycLevel] || limits[0];
 };
 
 userSchema.methods.getNgnbLimits = function () {
@@ -451,6 +555,7 @@ userSchema.methods.getOrCreateKyc = async function () {
 // Enhanced Auto-upgrade KYC levels based on completed verifications
 userSchema.methods.autoUpgradeKYC = async function () {
   let upgraded = false;
+  const previousLevel = this.kycLevel || 0;
 
   // Auto-upgrade to Level 1 on phone verification
   if (this.kycLevel < 1 && this.phonenumber) {
@@ -483,6 +588,9 @@ userSchema.methods.autoUpgradeKYC = async function () {
 
   if (upgraded) {
     await this.save();
+
+    const { emitEvent } = require('../services/outboundWebhookService');
+    emitEvent('kyc.upgraded', { userId: this._id.toString(), previousLevel, level: this.kycLevel, source: 'auto' });
   }
 
   return upgraded;
@@ -522,7 +630,16 @@ userSchema.methods.getKycRequirements = function () {
         completed: this.isIdentityDocumentVerified(),
         status: this.kyc.level2.status,
         documentType: this.kyc.level2.documentType,
-        documentNumber: this.kyc.level2.documentNumber
+        documentNumber: this.kyc.level2.documentNumber,
+        documentExpiresAt: this.kyc.level2.documentExpiresAt || null
+      }
+    },
+    level3: {
+      enhancedDueDiligence: {
+        required: false, // optional tier for higher limits
+        completed: this.getEffectiveKycLevel() === 3,
+        status: this.kyc.level3?.status || 'not_submitted',
+        expiresAt: this.kyc.level3?.expiresAt || null
       }
     }
   };
@@ -531,6 +648,7 @@ userSchema.methods.getKycRequirements = function () {
   const level1Complete = requirements.level1.phone.completed;
   const level2Complete = requirements.level2.email.completed && 
                         requirements.level2.identity.completed;
+  const level3Complete = requirements.level3.enhancedDueDiligence.completed;
 
   return {
     currentLevel: this.kycLevel,
@@ -539,7 +657,8 @@ userSchema.methods.getKycRequirements = function () {
     requirements,
     completion: {
       level1: level1Complete,
-      level2: level2Complete
+      level2: level2Complete,
+      level3: level3Complete
     }
   };
 };
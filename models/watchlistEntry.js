@@ -0,0 +1,32 @@
+// models/watchlistEntry.js
+const mongoose = require('mongoose');
+
+/**
+ * One person on a locally loaded sanctions or PEP list.
+ *
+ * Lists are imported per `source` (e.g. OFAC_SDN, UN_CONSOLIDATED, NG_PEP)
+ * through adminRoutes/screening; a replacing import swaps every entry of that
+ * source for the new file. `names` holds the normalised name and aliases the
+ * matcher compares against (services/screeningService).
+ */
+
+const LIST_TYPES = ['SANCTIONS', 'PEP'];
+
+const watchlistEntrySchema = new mongoose.Schema({
+  source: { type: String, required: true, uppercase: true, trim: true },
+  listType: { type: String, enum: LIST_TYPES, required: true },
+  externalId: { type: String, default: null }, // id on the source list
+  name: { type: String, required: true, trim: true },
+  aliases: { type: [String], default: [] },
+  names: { type: [String], default: [] }, // normalised name + aliases
+  dateOfBirth: { type: String, default: null }, // YYYY-MM-DD, or YYYY when only the year is listed
+  country: { type: String, default: null },
+  remarks: { type: String, default: null },
+  importId: { type: String, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+watchlistEntrySchema.index({ source: 1, importId: 1 });
+watchlistEntrySchema.index({ listType: 1 });
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
+module.exports.LIST_TYPES = LIST_TYPES;
@@ -0,0 +1,43 @@
+// models/webhookDelivery.js
+const mongoose = require('mongoose');
+
+/**
+ * One outbound webhook event for one endpoint, with a log of every attempt
+ * (services/outboundWebhookService).
+ *
+ * PENDING    -> waiting for the first attempt or a retry at nextAttemptAt
+ * DELIVERING -> claimed by a worker
+ * DELIVERED  -> endpoint answered 2xx
+ * FAILED     -> out of attempts - redeliver only
+ */
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERING', 'DELIVERED', 'FAILED'];
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: String, default: null }, // truncated
+  error: { type: String, default: null },
+  durationMs: { type: Number, default: null }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  eventId: { type: String, required: true }, // shared by every endpoint receiving the event
+  eventType: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'PENDING' },
+  attempts: { type: [attemptSchema], default: [] },
+  attemptCount: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  deliveredAt: { type: Date, default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,49 @@
+// models/webhookEndpoint.js
+const mongoose = require('mongoose');
+
+/**
+ * A partner or internal service that receives outbound webhooks
+ * (services/outboundWebhookService). Each endpoint subscribes to a list of
+ * event types, or '*' for all of them.
+ */
+
+const OUTBOUND_EVENT_TYPES = [
+  'transaction.completed',
+  'transaction.failed',
+  'swap.completed',
+  'giftcard.approved',
+  'giftcard.rejected',
+  'bill.completed',
+  'bill.failed',
+  'kyc.upgraded',
+  'kyc.downgraded',
+  'webhook.test'
+];
+
+const webhookEndpointSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, required: true, trim: true },
+  description: { type: String, default: null },
+  events: {
+    type: [String],
+    validate: {
+      validator: events => events.length > 0 && events.every(e => e === '*' || OUTBOUND_EVENT_TYPES.includes(e)),
+      message: 'events must be a non-empty list of supported event types'
+    }
+  },
+  // HMAC key for the X-Webhook-Signature header; shown once on create/rotate
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+
+  createdBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null }
+  },
+  lastDeliveryAt: { type: Date, default: null },
+  lastFailureAt: { type: Date, default: null }
+}, { timestamps: true });
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+module.exports.OUTBOUND_EVENT_TYPES = OUTBOUND_EVENT_TYPES;
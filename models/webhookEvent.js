@@ -0,0 +1,58 @@
+// models/webhookEvent.js
+const mongoose = require('mongoose');
+
+/**
+ * Every inbound provider webhook, stored before it is processed
+ * (services/webhookInbox). Processing runs asynchronously with retries;
+ * failed events can be inspected and replayed by admins.
+ *
+ * RECEIVED   -> waiting for (re)processing
+ * PROCESSING -> claimed by a worker
+ * PROCESSED  -> handler finished (result may say the event was ignored)
+ * FAILED     -> handler threw; retried at nextAttemptAt
+ * DEAD       -> out of attempts, or a permanent error - replay only
+ * REJECTED   -> signature check failed; kept for inspection, never processed
+ */
+
+const WEBHOOK_SOURCES = ['obiex', 'ebills', 'youverify', 'smileid_nin', 'smileid_kyc', 'tawk', 'kyc_mock'];
+const WEBHOOK_STATUSES = ['RECEIVED', 'PROCESSING', 'PROCESSED', 'FAILED', 'DEAD', 'REJECTED'];
+
+const replaySchema = new mongoose.Schema({
+  adminId: { type: String, default: null },
+  adminEmail: { type: String, default: null },
+  replayedAt: { type: Date, default: Date.now },
+  previousStatus: { type: String, default: null }
+}, { _id: false });
+
+const webhookEventSchema = new mongoose.Schema({
+  source: { type: String, enum: WEBHOOK_SOURCES, required: true },
+  eventType: { type: String, default: null },
+  eventId: { type: String, default: null }, // provider's id for this event
+  dedupeKey: { type: String }, // `${source}:${eventId}`; unset when the provider sends no id
+
+  rawBody: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: null },
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  signatureValid: { type: Boolean, default: null }, // null: not checked at receipt
+  signatureError: { type: String, default: null },
+
+  status: { type: String, enum: WEBHOOK_STATUSES, default: 'RECEIVED' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  processedAt: { type: Date, default: null },
+
+  duplicateCount: { type: Number, default: 0 },
+  lastDuplicateAt: { type: Date, default: null },
+  replays: { type: [replaySchema], default: [] }
+}, { timestamps: true });
+
+webhookEventSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ source: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
+module.exports.WEBHOOK_SOURCES = WEBHOOK_SOURCES;
+module.exports.WEBHOOK_STATUSES = WEBHOOK_STATUSES;
@@ -0,0 +1,42 @@
+// models/withdrawalAddress.js
+const mongoose = require('mongoose');
+
+/**
+ * Whitelisted crypto withdrawal address. Entries are per user and network:
+ * an address confirmed for TRX can receive any TRX-network asset.
+ *
+ * An entry can be used once it is confirmed by email and `usableAfter`
+ * (creation + cooldown) has passed.
+ */
+
+const WITHDRAWAL_ADDRESS_STATUSES = ['PENDING_CONFIRMATION', 'CONFIRMED'];
+
+const withdrawalAddressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  currency: { type: String, required: true, uppercase: true, trim: true }, // asset the address was validated for
+  network: { type: String, required: true, uppercase: true, trim: true },
+  address: { type: String, required: true, trim: true },
+  addressKey: { type: String, required: true },                           // normalised for matching (EVM lowercased)
+  memo: { type: String, default: null, trim: true },
+  label: { type: String, trim: true, maxlength: 50, default: null },
+
+  status: { type: String, enum: WITHDRAWAL_ADDRESS_STATUSES, default: 'PENDING_CONFIRMATION' },
+  confirmationCodeHash: { type: String, default: null, select: false },
+  confirmationExpiresAt: { type: Date, default: null },
+  confirmationAttempts: { type: Number, default: 0 },
+  confirmedAt: { type: Date, default: null },
+  usableAfter: { type: Date, required: true },
+
+  lastUsedAt: { type: Date, default: null },
+  isActive: { type: Boolean, default: true },
+  removedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+withdrawalAddressSchema.index({ userId: 1, isActive: 1, createdAt: -1 });
+withdrawalAddressSchema.index(
+  { userId: 1, network: 1, addressKey: 1, memo: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('WithdrawalAddress', withdrawalAddressSchema);
+module.exports.WITHDRAWAL_ADDRESS_STATUSES = WITHDRAWAL_ADDRESS_STATUSES;
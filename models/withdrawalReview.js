@@ -0,0 +1,53 @@
+// models/withdrawalReview.js
+const mongoose = require('mongoose');
+
+/**
+ * An outgoing withdrawal held by the risk engine (services/withdrawalRiskService).
+ *
+ * The linked Transaction sits in PENDING_REVIEW with the amount reserved in
+ * the user's pending balance. `payload` keeps what is needed to submit the
+ * withdrawal to Obiex when a moderator approves it.
+ */
+
+const REVIEW_KINDS = ['CRYPTO', 'NGNZ'];
+const REVIEW_STATUSES = ['PENDING', 'PROCESSING', 'APPROVED', 'REJECTED', 'FAILED'];
+
+const riskRuleSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  weight: { type: Number, required: true },
+  detail: { type: String, default: null }
+}, { _id: false });
+
+const withdrawalReviewSchema = new mongoose.Schema({
+  reviewId: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: REVIEW_KINDS, required: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true },
+  reference: { type: String, default: null },
+
+  currency: { type: String, required: true },
+  amount: { type: Number, required: true },
+  fee: { type: Number, default: 0 },
+  destination: { type: mongoose.Schema.Types.Mixed, required: true }, // address/network or bank details
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  riskScore: { type: Number, required: true },
+  rules: { type: [riskRuleSchema], default: [] },
+
+  status: { type: String, enum: REVIEW_STATUSES, default: 'PENDING' },
+  decidedBy: {
+    adminId: { type: String, default: null },
+    adminEmail: { type: String, default: null },
+    adminName: { type: String, default: null }
+  },
+  decidedAt: { type: Date, default: null },
+  decisionNote: { type: String, default: null },
+  failureReason: { type: String, default: null }
+}, { timestamps: true });
+
+withdrawalReviewSchema.index({ status: 1, createdAt: 1 });
+withdrawalReviewSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WithdrawalReview', withdrawalReviewSchema);
+module.exports.REVIEW_KINDS = REVIEW_KINDS;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
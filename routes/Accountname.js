@@ -102,6 +102,51 @@ function extractUrlPath(fullUrl) {
   return fullUrl.replace(base, '');
 }
 
+// Signed GET against the Obiex resolve endpoint
+async function requestAccountResolution(sortCode, accountNumber) {
+  const finalUrl = buildResolveUrl(sortCode, accountNumber);
+  const urlPath = extractUrlPath(finalUrl);
+
+  // Generate auth headers with the complete URL path including query params
+  const authHeaders = generateAuthHeaders('GET', urlPath);
+  const headers = {
+    ...authHeaders,
+    Accept: 'application/json',
+  };
+
+  return axios.get(finalUrl, {
+    headers,
+    timeout: 15000,
+    maxBodyLength: Infinity,
+  });
+}
+
+/**
+ * Resolve an account outside a request (saved bank beneficiaries)
+ * @param {Object} query - { sortCode, accountNumber }
+ * @returns {Promise<{ bankId, accountName, accountNumber, sortCode }>}
+ */
+async function resolveAccount(query) {
+  validateObiexConfig();
+
+  const clean = sanitizeAccountQuery(query);
+  const errors = validateAccountQuery(clean);
+  if (errors.length) {
+    const error = new Error(errors.join('; '));
+    error.code = 'INVALID_ACCOUNT_QUERY';
+    throw error;
+  }
+
+  const response = await requestAccountResolution(clean.sortCode, clean.accountNumber);
+  const data = response?.data?.data || response?.data || {};
+  return {
+    bankId: data.bankId || null,
+    accountName: data.accountName || null,
+    accountNumber: data.accountNumber || clean.accountNumber,
+    sortCode: clean.sortCode,
+  };
+}
+
 // ---------- main routes ----------
 
 /**
@@ -122,28 +167,12 @@ router.get('/resolve', async (req, res) => {
       });
     }
 
-    const finalUrl = buildResolveUrl(clean.sortCode, clean.accountNumber);
-    const urlPath = extractUrlPath(finalUrl);
-    
-    // Generate auth headers with the complete URL path including query params
-    const authHeaders = generateAuthHeaders('GET', urlPath);
-    const headers = {
-      ...authHeaders,
-      Accept: 'application/json',
-    };
-
     logger.info('Resolving account name via Obiex', {
       sortCode: clean.sortCode,
       accountNumber: clean.accountNumber,
-      url: finalUrl,
-      urlPath,
     });
 
-    const response = await axios.get(finalUrl, {
-      headers,
-      timeout: 15000,
-      maxBodyLength: Infinity,
-    });
+    const response = await requestAccountResolution(clean.sortCode, clean.accountNumber);
 
     const data = response?.data?.data || response?.data || {};
     const out = {
@@ -243,22 +272,8 @@ router.post('/resolve-batch', async (req, res) => {
         continue;
       }
 
-      const finalUrl = buildResolveUrl(account.sortCode, account.accountNumber);
-      const urlPath = extractUrlPath(finalUrl);
-      
-      // Generate auth headers for each request
-      const authHeaders = generateAuthHeaders('GET', urlPath);
-      const headers = {
-        ...authHeaders,
-        Accept: 'application/json',
-      };
-
       try {
-        const response = await axios.get(finalUrl, {
-          headers,
-          timeout: 15000,
-          maxBodyLength: Infinity,
-        });
+        const response = await requestAccountResolution(account.sortCode, account.accountNumber);
 
         const data = response?.data?.data || response?.data || {};
         results.push({
@@ -333,4 +348,7 @@ router.post('/resolve-batch', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by saved bank beneficiaries (services/beneficiaryService)
+module.exports.resolveAccount = resolveAccount;
@@ -8,6 +8,8 @@ const router = express.Router();
 const User = require('../models/user');
 const KYC = require('../models/kyc');
 const logger = require('../utils/logger');
+const { receiveWebhook, registerWebhookHandler } = require('../services/webhookInbox');
+const smileIdProvider = require('../services/kycProviders/smileId');
 
 // If you have these helpers already, they’ll be used.
 // Otherwise we fall back to local implementations below.
@@ -44,14 +46,6 @@ function makeSmileSignature(ts) {
     .digest('hex');
 }
 
-function mapDecisionToStatus(txt) {
-  const t = String(txt || '').toLowerCase();
-  if (/success/.test(t) || /verified/.test(t)) return 'VERIFIED';
-  if (/review|warning|stale/.test(t)) return 'REVIEW';
-  if (/fail|not found|unavailable|error/.test(t)) return 'FAILED';
-  return 'PENDING';
-}
-
 function isDigits(v, len) {
   const s = String(v || '');
   return (!len ? /^\d+$/.test(s) : new RegExp(`^\\d{${len}}$`).test(s));
@@ -109,7 +103,7 @@ router.post('/bvn', async (req, res) => {
       smileJobId: providerPayload?.SmileJobID || providerPayload?.smile_job_id || undefined,
       jobComplete: !!providerPayload?.job_complete,
       jobSuccess: providerPayload?.result?.Success ?? providerPayload?.job_success ?? undefined,
-      status: mapDecisionToStatus(providerPayload?.result?.ResultText || providerPayload?.ResultText),
+      status: providerPayload?.job_complete ? smileIdProvider.mapResult(providerPayload).status : 'PENDING',
       resultCode: providerPayload?.result?.ResultCode || providerPayload?.ResultCode,
       resultText: providerPayload?.result?.ResultText || providerPayload?.ResultText,
       actions: providerPayload?.Actions || providerPayload?.actions,
@@ -304,91 +298,113 @@ router.post('/address', async (req, res) => {
 // ===================================================
 // 3) Shared Smile Callback (BVN + Address)
 // ===================================================
-router.post('/kyc/smile/callback', async (req, res) => {
-  try {
-    const payload = req.body || {};
+// Optional signature verification for callbacks; null when no helper is available
+function checkSmileCallbackSignature(payload) {
+  const helper = smileSigHelpers?.confirm_signature ? smileSigHelpers : signature;
+  if (!helper?.confirm_signature) return null;
+  try { return !!helper.confirm_signature(payload); } catch { return false; }
+}
 
-    // Optional signature verification for callbacks
-    let sigOk = true;
-    if (smileSigHelpers?.confirm_signature) {
-      try { sigOk = !!smileSigHelpers.confirm_signature(payload); } catch { sigOk = false; }
-    } else if (signature?.confirm_signature) {
-      try { sigOk = !!signature.confirm_signature(payload); } catch { sigOk = false; }
-    }
+// Runs from the webhook inbox (services/webhookInbox)
+async function processSmileKycCallback(payload, event) {
+  const sigOk = event.signatureValid !== false;
 
-    const smileJobId =
-      payload?.SmileJobID || payload?.smile_job_id || payload?.job?.smile_job_id || undefined;
-    const partnerJobId =
-      payload?.PartnerParams?.job_id || payload?.partner_params?.job_id || undefined;
+  const smileJobId =
+    payload?.SmileJobID || payload?.smile_job_id || payload?.job?.smile_job_id || undefined;
+  const partnerJobId =
+    payload?.PartnerParams?.job_id || payload?.partner_params?.job_id || undefined;
 
-    if (!smileJobId && !partnerJobId) {
-      logger.warn('Smile callback missing identifiers', { payload: JSON.stringify(payload).slice(0, 1000) });
-      return res.sendStatus(200);
-    }
+  if (!smileJobId && !partnerJobId) {
+    logger.warn('Smile callback missing identifiers', { payload: JSON.stringify(payload).slice(0, 1000) });
+    return { ignored: 'missing_identifiers' };
+  }
 
-    const doc = await KYC.findOne(smileJobId ? { smileJobId } : { partnerJobId }).sort({ createdAt: -1 });
-    if (!doc) {
-      logger.warn('KYC record not found for Smile callback', { smileJobId, partnerJobId });
-      return res.sendStatus(200);
-    }
+  const doc = await KYC.findOne(smileJobId ? { smileJobId } : { partnerJobId }).sort({ createdAt: -1 });
+  if (!doc) {
+    logger.warn('KYC record not found for Smile callback', { smileJobId, partnerJobId });
+    return { ignored: 'kyc_not_found' };
+  }
+
+  // Pull generic decision fields
+  const decision =
+    payload?.Result?.ResultText ||
+    payload?.result?.ResultText ||
+    payload?.Decision ||
+    payload?.decision ||
+    payload?.message;
+
+  const resultCode =
+    payload?.Result?.ResultCode ||
+    payload?.result?.ResultCode ||
+    payload?.ResultCode ||
+    payload?.result_code ||
+    payload?.code;
+
+  const jobSuccess =
+    payload?.Result?.Success ||
+    payload?.result?.Success ||
+    (/verification successful/i.test(payload?.message || '')) ||
+    (resultCode === '1012') ||
+    undefined;
+
+  doc.jobComplete = true;
+  doc.jobSuccess = !!jobSuccess;
+  doc.status = smileIdProvider.mapResult(payload).status;
+  doc.resultCode = resultCode || doc.resultCode;
+  doc.resultText = decision || doc.resultText;
+  doc.smileJobId = doc.smileJobId || smileJobId;
+
+  // Address-specific extras (if present)
+  doc.providerAddress = payload?.matched_address || doc.providerAddress;
+  doc.otherAddresses = payload?.other_addresses || doc.otherAddresses;
+  doc.submittedAddress = payload?.submitted_address || doc.submittedAddress;
+
+  // Common extras
+  doc.fullName = payload?.full_name || doc.fullName;
+  doc.fullNameMatch = payload?.full_name_match || doc.fullNameMatch;
+
+  doc.signature = payload?.Signature || payload?.signature || doc.signature;
+  doc.signatureValid = !!sigOk;
+
+  doc.providerTimestamp = payload?.timestamp ? new Date(payload.timestamp) : doc.providerTimestamp;
+  doc.payload = payload;
+
+  await doc.save();
+
+  logger.info('KYC updated from Smile callback', {
+    kycId: doc._id,
+    status: doc.status,
+    jobSuccess: doc.jobSuccess,
+    code: doc.resultCode,
+  });
+
+  return { kycId: doc._id, status: doc.status };
+}
 
-    // Pull generic decision fields
-    const decision =
-      payload?.Result?.ResultText ||
-      payload?.result?.ResultText ||
-      payload?.Decision ||
-      payload?.decision ||
-      payload?.message;
-
-    const resultCode =
-      payload?.Result?.ResultCode ||
-      payload?.result?.ResultCode ||
-      payload?.ResultCode ||
-      payload?.result_code ||
-      payload?.code;
-
-    const jobSuccess =
-      payload?.Result?.Success ||
-      payload?.result?.Success ||
-      (/verification successful/i.test(payload?.message || '')) ||
-      (resultCode === '1012') ||
-      undefined;
-
-    doc.jobComplete = true;
-    doc.jobSuccess = !!jobSuccess;
-    doc.status = mapDecisionToStatus(decision);
-    doc.resultCode = resultCode || doc.resultCode;
-    doc.resultText = decision || doc.resultText;
-    doc.smileJobId = doc.smileJobId || smileJobId;
-
-    // Address-specific extras (if present)
-    doc.providerAddress = payload?.matched_address || doc.providerAddress;
-    doc.otherAddresses = payload?.other_addresses || doc.otherAddresses;
-    doc.submittedAddress = payload?.submitted_address || doc.submittedAddress;
-
-    // Common extras
-    doc.fullName = payload?.full_name || doc.fullName;
-    doc.fullNameMatch = payload?.full_name_match || doc.fullNameMatch;
-
-    doc.signature = payload?.Signature || payload?.signature || doc.signature;
-    doc.signatureValid = !!sigOk;
-
-    doc.providerTimestamp = payload?.timestamp ? new Date(payload.timestamp) : doc.providerTimestamp;
-    doc.payload = payload;
-
-    await doc.save();
-
-    logger.info('KYC updated from Smile callback', {
-      kycId: doc._id,
-      status: doc.status,
-      jobSuccess: doc.jobSuccess,
-      code: doc.resultCode,
+registerWebhookHandler('smileid_kyc', processSmileKycCallback);
+
+router.post('/kyc/smile/callback', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const signatureValid = checkSmileCallbackSignature(payload);
+
+    const smileJobId = payload?.SmileJobID || payload?.smile_job_id || payload?.job?.smile_job_id;
+    const resultCode = payload?.Result?.ResultCode || payload?.result?.ResultCode || payload?.ResultCode || payload?.result_code;
+
+    await receiveWebhook({
+      source: 'smileid_kyc',
+      eventId: smileJobId && resultCode ? `${smileJobId}:${resultCode}` : null,
+      eventType: resultCode || null,
+      payload,
+      headers: req.headers,
+      signatureValid,
+      signatureError: signatureValid === false ? 'Invalid callback signature' : null
     });
 
-    return res.sendStatus(200);
+    return res.sendStatus(signatureValid === false ? 401 : 200);
   } catch (error) {
-    logger.error('Smile callback processing failed', { error: error.message, stack: error.stack });
-    return res.sendStatus(200);
+    logger.error('Smile callback could not be stored', { error: error.message, stack: error.stack });
+    return res.sendStatus(500);
   }
 });
 
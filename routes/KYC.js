@@ -1,7 +1,6 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
 const jwt = require("jsonwebtoken");
-const axios = require("axios");
 const router = express.Router();
 
 const User = require("../models/user");
@@ -9,17 +8,12 @@ const KYC = require("../models/kyc");
 const config = require("./config");
 const logger = require("../utils/logger");
 const { classifyOutcome } = require("../utils/kycHelpers");
-const { sendKycEmail, sendNINVerificationEmail, sendKycProvisionalAdminNotify } = require("../services/EmailService");
-
-// Youverify Configuration
-const YOUVERIFY_CONFIG = {
-  publicMerchantKey: process.env.YOUVERIFY_PUBLIC_MERCHANT_KEY || config.youverify?.publicMerchantKey,
-  secretKey: process.env.YOUVERIFY_SECRET_KEY || config.youverify?.secretKey,
-  callbackUrl: process.env.YOUVERIFY_CALLBACK_URL || config.youverify?.callbackUrl || 'https://your-domain.com/kyc-webhook/callback',
-  apiBaseUrl: process.env.YOUVERIFY_API_URL || config.youverify?.apiBaseUrl || 'https://api.youverify.co'
-};
+const { sendNINVerificationEmail } = require("../services/EmailService");
+const { queueKycFollowUp } = require("../services/backgroundJobs");
+const { getProviderForIdType, providerJobFields } = require("../services/kycProviders");
+const { canReverify, documentExpiryFields, level2ExpiryUpdate } = require("../services/kycReverificationService");
 
-// Nigerian ID type mappings for Youverify
+// Frontend ID type -> document type stored on the KYC record
 const NIGERIAN_ID_TYPES = {
   'passport': 'passport',
   'national_id': 'nin',
@@ -58,182 +52,9 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Validate Youverify configuration
-const validateYouverifyConfig = () => {
-  if (!YOUVERIFY_CONFIG.publicMerchantKey) {
-    throw new Error('YOUVERIFY_PUBLIC_MERCHANT_KEY is not configured');
-  }
-};
-
 // Classification logic now in utils/kycHelpers.js
 
-/**
- * Submit verification request to Youverify API
- * @param {Object} params - Verification parameters
- * @returns {Promise<Object>} Youverify API response
- */
-async function submitToYouverify({
-  idType,
-  idNumber,
-  selfieImage,
-  userId,
-  partnerJobId
-}) {
-  try {
-
-    // Map idType to Youverify-specific endpoint paths
-    const endpointMap = {
-      'nin': '/v2/api/identity/ng/nin',
-      'national_id': '/v2/api/identity/ng/nin',
-      'bvn': '/v2/api/identity/ng/bvn',
-      'passport': '/v2/api/identity/ng/passport',
-      'drivers_license': '/v2/api/identity/ng/drivers-license',
-      'drivers-license': '/v2/api/identity/ng/drivers-license'
-    };
-
-    // Get the correct endpoint path for this ID type
-    const endpointPath = endpointMap[idType.toLowerCase()];
-
-    if (!endpointPath) {
-      throw new Error(`Unsupported ID type: ${idType}`);
-    }
-
-    const apiUrl = `${YOUVERIFY_CONFIG.apiBaseUrl}${endpointPath}`;
-
-    // Prepare request payload according to Youverify API spec v2
-    const payload = {
-      id: idNumber, // The ID number to verify
-      isSubjectConsent: true, // Required - must be true
-      metadata: {
-        user_id: userId.toString(),
-        partner_job_id: partnerJobId,
-        source: 'zeusodx-mobile-app'
-      }
-    };
-
-    // Build validations object for selfie only
-    // Note: We don't send name validation to YouVerify - selfie/liveness is the real security
-    // If the person's face matches the government ID photo, they own that identity
-    const validations = {};
-
-    // Add selfie validation if image provided
-    if (selfieImage) {
-      // Youverify expects a data URI, not raw base64
-      // If it already has the data URI prefix, use as-is
-      // Otherwise, add the data URI prefix (default to JPEG)
-      let imageUri = selfieImage;
-      if (!selfieImage.startsWith('data:image/')) {
-        imageUri = `data:image/jpeg;base64,${selfieImage}`;
-      }
-      validations.selfie = {
-        image: imageUri
-      };
-    }
-
-    // Only add validations if we have any
-    if (Object.keys(validations).length > 0) {
-      payload.validations = validations;
-    }
-
-    logger.info('Youverify API request', {
-      endpoint: apiUrl,
-      idType,
-      idNumber: idNumber,
-      hasSelfie: !!validations.selfie,
-      jobId: partnerJobId,
-      payloadStructure: {
-        hasId: !!payload.id,
-        hasValidations: !!payload.validations,
-        validationKeys: Object.keys(validations)
-      }
-    });
-
-    // Make API request to Youverify
-    // Note: Youverify v2 API uses capitalized 'Token' header with API key (NOT public merchant key)
-    const response = await axios.post(apiUrl, payload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Token': YOUVERIFY_CONFIG.secretKey || YOUVERIFY_CONFIG.publicMerchantKey
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    // Log detailed response for debugging
-    logger.info('Youverify response', {
-      status: response.status,
-      success: !!response.data?.id,
-      jobId: partnerJobId,
-      responseData: JSON.stringify(response.data) // Full response body
-    });
-
-    // Check if we got a Youverify ID
-    const youverifyId = response.data?.id || response.data?.data?.id;
-    if (!youverifyId) {
-      logger.warn('Youverify returned no ID', {
-        jobId: partnerJobId,
-        responseStatus: response.status,
-        responseBody: JSON.stringify(response.data),
-        message: response.data?.message || 'No message provided'
-      });
-    }
-
-    // Extract verification result details from response
-    // According to Youverify docs, the structure is: response.data.data
-    const dataObj = response.data?.data || response.data;
-
-    // Extract validation messages if available
-    const validationMessages = dataObj?.validations?.validationMessages || '';
-
-    const verificationResult = {
-      allValidationPassed: dataObj?.allValidationPassed,
-      status: dataObj?.status,
-      firstName: dataObj?.firstName,
-      lastName: dataObj?.lastName,
-      dateOfBirth: dataObj?.dateOfBirth,
-      gender: dataObj?.gender,
-      idNumber: dataObj?.idNumber,
-      validationMessages: validationMessages,
-      // Extract selfie validation details if available
-      selfieMatch: dataObj?.validations?.selfie?.selfieVerification?.match,
-      selfieConfidence: dataObj?.validations?.selfie?.selfieVerification?.confidenceLevel
-    };
-
-    logger.info('Youverify verification result', {
-      jobId: partnerJobId,
-      youverifyId,
-      allValidationPassed: verificationResult.allValidationPassed,
-      status: verificationResult.status,
-      validationMessages: validationMessages,
-      selfieMatch: verificationResult.selfieMatch,
-      hasVerificationData: verificationResult.allValidationPassed !== undefined
-    });
-
-    return {
-      success: true,
-      data: response.data,
-      youverifyId,
-      verificationResult
-    };
-
-  } catch (error) {
-    logger.error('Youverify API error', {
-      message: error.message,
-      status: error.response?.status,
-      errorData: JSON.stringify(error.response?.data || {}),
-      jobId: partnerJobId,
-      idType
-    });
-
-    // Return error details
-    return {
-      success: false,
-      error: error.response?.data || error.message,
-      status: error.response?.status || 500
-    };
-  }
-}
-
-// POST: /biometric-verification - Verify user identity using Youverify
+// POST: /biometric-verification - Verify user identity with the KYC provider configured for the ID type
 router.post(
   "/biometric-verification",
   authenticateToken,
@@ -290,12 +111,22 @@ router.post(
 
     const { idType, idNumber, selfieImage, livenessImages } = req.body;
 
+    // Provider for this ID type (config.kyc.providers)
+    let provider;
     try {
-      // Validate Youverify configuration
-      validateYouverifyConfig();
+      provider = getProviderForIdType(idType);
+      provider.assertConfigured?.();
+    } catch (providerError) {
+      logger.error("KYC provider unavailable", { idType, error: providerError.message });
+      return res.status(500).json({
+        success: false,
+        message: "ID verification service configuration error. Please contact support."
+      });
+    }
 
+    try {
       // Get user from database
-      const user = await User.findById(req.user.id).select('firstname lastname email username phonenumber kycLevel kycStatus');
+      const user = await User.findById(req.user.id).select('firstname lastname email username phonenumber kycLevel kycStatus kyc.level2.status');
       if (!user) {
         return res.status(404).json({ success: false, message: "User not found" });
       }
@@ -363,7 +194,8 @@ router.post(
           status: { $in: ['PENDING', 'PROVISIONAL', 'APPROVED'] }
         }).sort({ createdAt: -1 });
 
-        if (existingKyc) {
+        // An approved document close to (or past) expiry may be replaced
+        if (existingKyc && !(existingKyc.status === 'APPROVED' && canReverify(existingKyc))) {
           if (existingKyc.status === 'APPROVED') {
             return res.status(400).json({
               success: false,
@@ -390,9 +222,9 @@ router.post(
         }
       }
 
-      // Map frontend ID type to Youverify format
-      const youverifyIdType = NIGERIAN_ID_TYPES[idType];
-      if (!youverifyIdType) {
+      // Map frontend ID type to document type
+      const documentIdType = NIGERIAN_ID_TYPES[idType];
+      if (!documentIdType) {
         return res.status(400).json({
           success: false,
           message: `Unsupported ID type: ${idType}`
@@ -401,7 +233,7 @@ router.post(
 
       // Validate ID number format
       if (idType !== 'drivers_license') {
-        const pattern = ID_PATTERNS[youverifyIdType];
+        const pattern = ID_PATTERNS[documentIdType];
         if (pattern && !pattern.test(idNumber)) {
           return res.status(400).json({
             success: false,
@@ -427,12 +259,12 @@ router.post(
       try {
         kycDoc = await KYC.create({
           userId: user._id,
-          provider: 'youverify',
+          provider: provider.name,
           environment: process.env.NODE_ENV || 'development',
           partnerJobId: jobId,
           jobType: 1,
           status: 'PENDING',
-          idType: youverifyIdType,
+          idType: documentIdType,
           frontendIdType: idType,
           idNumber,
           createdAt: new Date(),
@@ -474,34 +306,40 @@ router.post(
         throw dbError;
       }
 
-      // Submit verification to Youverify API
+      // Submit verification to the provider
       // Note: We only send ID + selfie - no name validation
       // Selfie/liveness check is the real security measure
-      const youverifyResult = await submitToYouverify({
-        idType: youverifyIdType,
+      const submission = await provider.submit({
+        userId: user._id,
+        partnerJobId: jobId,
+        idType,
         idNumber,
         selfieImage,
-        userId: user._id,
-        partnerJobId: jobId
+        person: { firstName: user.firstname, lastName: user.lastname, phoneNumber: user.phonenumber }
       });
-
-      // Process immediate verification result from Youverify
-      if (youverifyResult.success && youverifyResult.youverifyId) {
-        const verification = youverifyResult.verificationResult || {};
+      const verification = submission.result; // set when the provider decided synchronously
+      const approved = verification?.status === 'APPROVED';
+      const rejected = verification?.status === 'REJECTED';
+      const needsReview = verification?.status === 'PROVISIONAL';
+      const documentDates = approved ? documentExpiryFields(verification) : {};
+
+      // Process immediate verification result
+      if (submission.accepted) {
         const kycUpdateData = {
-          youverifyId: youverifyResult.youverifyId,
+          ...providerJobFields(provider.name, submission.providerJobId),
           lastUpdated: new Date()
         };
 
         // Check if we got an immediate verification result
-        if (verification.allValidationPassed !== undefined) {
+        if (approved || rejected) {
           // Determine status based on validation result
-          if (verification.allValidationPassed === true) {
+          if (approved) {
             kycUpdateData.status = 'APPROVED';
             kycUpdateData.jobSuccess = true;
             kycUpdateData.allValidationPassed = true;
             kycUpdateData.verificationDate = new Date();
             kycUpdateData.resultText = 'Verification successful - all validations passed';
+            Object.assign(kycUpdateData, documentDates);
           } else {
             kycUpdateData.status = 'REJECTED';
             kycUpdateData.jobSuccess = false;
@@ -509,84 +347,90 @@ router.post(
             // Use generic rejection message
             kycUpdateData.resultText = 'Verification failed - incorrect data provided';
             // Store detailed validation messages in payload for admin review
-            if (verification.validationMessages) {
+            if (verification.reason) {
               kycUpdateData.payload = kycUpdateData.payload || {};
-              kycUpdateData.payload.validationMessages = verification.validationMessages;
+              kycUpdateData.payload.validationMessages = verification.reason;
             }
           }
 
           // Add personal info if available
-          if (verification.firstName) kycUpdateData.firstName = verification.firstName;
-          if (verification.lastName) kycUpdateData.lastName = verification.lastName;
-          if (verification.dateOfBirth) kycUpdateData.dateOfBirth = verification.dateOfBirth;
-          if (verification.gender) kycUpdateData.gender = verification.gender;
-          if (verification.idNumber) kycUpdateData.idNumber = verification.idNumber;
-
-          logger.info("Youverify immediate result processed", {
+          const person = verification.person || {};
+          if (person.firstName) kycUpdateData.firstName = person.firstName;
+          if (person.lastName) kycUpdateData.lastName = person.lastName;
+          if (person.dateOfBirth) kycUpdateData.dateOfBirth = person.dateOfBirth;
+          if (person.gender) kycUpdateData.gender = person.gender;
+          if (person.idNumber) kycUpdateData.idNumber = person.idNumber;
+
+          logger.info("KYC immediate result processed", {
+            provider: provider.name,
             kycId: kycDoc._id,
             userId: user._id,
-            status: kycUpdateData.status,
-            allValidationPassed: verification.allValidationPassed
+            status: kycUpdateData.status
           });
         }
 
+        // Provider wants a human to look at it
+        if (needsReview) {
+          kycUpdateData.status = 'PROVISIONAL';
+          kycUpdateData.errorReason = verification.reason || `${provider.label} flagged for manual review`;
+        }
+
         await KYC.findByIdAndUpdate(kycDoc._id, { $set: kycUpdateData });
 
-        // Send email notification based on verification result
-        if (verification.allValidationPassed !== undefined) {
-          try {
-            if (verification.allValidationPassed === true) {
-              // Send approval email
-              await sendKycEmail(user.email, user.firstname, 'APPROVED', 'Your identity verification has been successfully completed.');
-              logger.info('KYC approval email sent', { userId: user._id, kycId: kycDoc._id });
-            } else {
-              // Send rejection email with generic reason
-              const rejectionReason = 'Incorrect data provided. Please ensure your selfie clearly shows your face and matches your ID document.';
-              await sendKycEmail(user.email, user.firstname, 'REJECTED', rejectionReason);
-              logger.info('KYC rejection email sent', { userId: user._id, kycId: kycDoc._id });
-            }
-          } catch (emailErr) {
-            logger.error('Failed to send KYC result email', {
-              userId: user._id,
-              kycId: kycDoc._id,
-              error: emailErr.message
-            });
-          }
+        if (needsReview) {
+          queueKycFollowUp('sendKycProvisionalAdminNotify', {
+            username: user.firstname || user.email,
+            userId: String(user._id),
+            idType,
+            provisionalReason: kycUpdateData.errorReason,
+            kycId: String(kycDoc._id)
+          });
+        }
+
+        // Queue email notification based on verification result
+        if (approved) {
+          // Send approval email
+          queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'APPROVED', 'Your identity verification has been successfully completed.');
+          logger.info('KYC approval email queued', { userId: user._id, kycId: kycDoc._id });
+        } else if (rejected) {
+          // Send rejection email with generic reason
+          const rejectionReason = 'Incorrect data provided. Please ensure your selfie clearly shows your face and matches your ID document.';
+          queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'REJECTED', rejectionReason);
+          logger.info('KYC rejection email queued', { userId: user._id, kycId: kycDoc._id });
         }
       } else {
-        logger.warn("Youverify submission failed", {
+        logger.warn("KYC provider submission failed", {
+          provider: provider.name,
           kycId: kycDoc._id,
           userId: user._id,
-          status: youverifyResult.status,
-          error: JSON.stringify(youverifyResult.error),
-          hasYouverifyId: !!youverifyResult.youverifyId,
-          responseData: JSON.stringify(youverifyResult.data || {})
+          status: submission.httpStatus,
+          error: JSON.stringify(submission.error),
+          responseData: JSON.stringify(submission.raw || {})
         });
 
-        // If Youverify submission completely fails, mark as provisional
-        if (youverifyResult.status >= 400) {
+        // If the submission completely fails, mark as provisional
+        if (submission.httpStatus >= 400) {
+          const provisionalReason = `${provider.label} API error: ${JSON.stringify(submission.error)}`;
           await KYC.findByIdAndUpdate(kycDoc._id, {
             $set: {
               status: 'PROVISIONAL',
-              errorReason: `Youverify API error: ${JSON.stringify(youverifyResult.error)}`,
+              errorReason: provisionalReason,
               lastUpdated: new Date()
             }
           });
 
-          sendKycProvisionalAdminNotify({
+          queueKycFollowUp('sendKycProvisionalAdminNotify', {
             username: user.firstname || user.email,
             userId: String(user._id),
             idType,
-            provisionalReason: `Youverify API error: ${JSON.stringify(youverifyResult.error)}`,
+            provisionalReason,
             kycId: String(kycDoc._id)
-          }).catch(err => logger.error('KYC provisional admin notify failed', { error: err.message }));
+          });
         }
       }
 
       // Update user status based on verification result
-      const verification = youverifyResult.verificationResult || {};
-      const finalStatus = verification.allValidationPassed === true ? 'approved' :
-                         verification.allValidationPassed === false ? 'rejected' : 'pending';
+      const finalStatus = approved ? 'approved' : rejected ? 'rejected' : 'pending';
 
       if (isBvnVerification) {
         // For BVN, update bvn field and status
@@ -594,7 +438,7 @@ router.post(
           await User.findByIdAndUpdate(user._id, {
             $set: {
               bvn: idNumber,
-              bvnVerified: verification.allValidationPassed === true,
+              bvnVerified: approved,
               'kyc.updatedAt': new Date(),
               'kyc.latestKycId': kycDoc._id
             }
@@ -618,6 +462,10 @@ router.post(
             throw bvnUpdateError;
           }
         }
+      } else if (user.kyc?.level2?.status === 'approved' && !approved) {
+        // Re-verification ahead of expiry that has not (yet) passed: the
+        // current approval stands until its document lapses
+        await User.findByIdAndUpdate(user._id, { $set: { 'kyc.updatedAt': new Date() } });
       } else {
         // For document KYC, update kyc.level2 status
         const userUpdate = {
@@ -629,20 +477,21 @@ router.post(
         };
 
         // Add approval/rejection details
-        if (verification.allValidationPassed === true) {
+        if (approved) {
           userUpdate['kyc.level2.documentSubmitted'] = true;
           userUpdate['kyc.level2.documentType'] = idType;
           userUpdate['kyc.level2.documentNumber'] = idNumber;
           userUpdate['kyc.level2.approvedAt'] = new Date();
           userUpdate['kyc.level2.rejectionReason'] = null;
-        } else if (verification.allValidationPassed === false) {
+          Object.assign(userUpdate, level2ExpiryUpdate(documentDates.documentExpiresAt));
+        } else if (rejected) {
           userUpdate['kyc.level2.rejectionReason'] = 'Incorrect data provided. Please ensure your selfie clearly shows your face and matches your ID document.';
         }
 
         await User.findByIdAndUpdate(user._id, { $set: userUpdate });
 
         // If approved, trigger the user's identity document verified hook
-        if (verification.allValidationPassed === true) {
+        if (approved) {
           try {
             const updatedUser = await User.findById(user._id);
             await updatedUser.onIdentityDocumentVerified(idType, idNumber);
@@ -666,7 +515,7 @@ router.post(
 
       const successMessage = isBvnVerification
         ? "BVN verification submitted! Your Bank Verification Number is being verified with NIMC."
-        : "Submission complete! Your ID verification is being processed with Youverify.";
+        : `Submission complete! Your ID verification is being processed with ${provider.label}.`;
 
       return res.status(200).json({
         success: true,
@@ -674,13 +523,15 @@ router.post(
         data: {
           jobId,
           kycId: kycDoc._id,
-          youverifyId: youverifyResult.youverifyId || null,
-          status: youverifyResult.status >= 400 ? "provisional" : "pending",
+          provider: provider.name,
+          providerJobId: submission.providerJobId || null,
+          youverifyId: provider.name === 'youverify' ? submission.providerJobId || null : null,
+          status: needsReview || submission.httpStatus >= 400 ? "provisional" : "pending",
           submittedAt: kycDoc.createdAt,
           idType,
           verificationType: isBvnVerification ? 'bvn' : 'document',
           processingTime: Date.now() - startTime,
-          youverifySubmitted: youverifyResult.success
+          youverifySubmitted: provider.name === 'youverify' && submission.accepted
         }
       });
 
@@ -700,14 +551,6 @@ router.post(
         });
       }
 
-      // Handle specific Youverify errors
-      if (error.message.includes('YOUVERIFY')) {
-        return res.status(500).json({
-          success: false,
-          message: "ID verification service configuration error. Please contact support."
-        });
-      }
-
       return res.status(500).json({
         success: false,
         message: "Server error during ID verification submission. Please try again."
@@ -8,14 +8,17 @@ const Transaction = require('../models/transaction');
 const User = require('../models/user');
 const TransactionAudit = require('../models/TransactionAudit');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
+const { toDecimal, ratio } = require('../utils/money');
 const { RedisLock } = require('../utils/redisLock');
 const { sendSwapCompletionNotification } = require('../services/notificationService');
-const { creditOfframpReferralReward } = require('../services/referralRewardService');
+const { emitEvent } = require('../services/outboundWebhookService');
+const { queueReferralReward, queueNgnzObiexSwap } = require('../services/backgroundJobs');
 
 const router = express.Router();
 
 // Quote cache — Redis-backed with in-memory fallback (survives restarts, scales horizontally)
-const ngnzQuoteCache = require('../utils/redisQuoteCache');
+const quoteService = require('../services/quoteService');
 const userCache = new Map();
 const priceCache = new Map();
 const CACHE_TTL = 5000; // 5 seconds - reduced for profile data freshness
@@ -529,10 +532,66 @@ async function validateNGNZSwap(from, to) {
   };
 }
 
+/**
+ * Price an NGNZ swap with the internal onramp/offramp rates.
+ * Shared by the quote endpoint and limit orders (services/limitOrderService).
+ * @param {Object} pair - Result of validateNGNZSwap
+ * @param {number} amount - Source amount
+ * @returns {Promise<Object>} { success: false, currency } when a price is missing
+ */
+async function calculateNGNZQuote({ isOnramp, sourceCurrency, targetCurrency }, amount) {
+  const cryptoCurrency = isOnramp ? targetCurrency : sourceCurrency;
+  const cryptoPrices = await getPricesWithCache([cryptoCurrency]);
+  const cryptoPrice = cryptoPrices[cryptoCurrency];
+
+  if (!cryptoPrice) {
+    return { success: false, currency: cryptoCurrency };
+  }
+
+  let receiveAmount, rate, sourceAmountUSD, targetAmountUSD;
+
+  if (isOnramp) {
+    // NGNZ to Crypto (Onramp)
+    logger.info(`Onramp calculation: ${amount} NGNZ → ${targetCurrency} @ ${cryptoPrice}`);
+    receiveAmount = await onrampService.calculateCryptoFromNaira(amount, targetCurrency, cryptoPrice);
+    rate = (await onrampService.getOnrampRate()).finalPrice;
+    logger.info(`Onramp result: ${receiveAmount} ${targetCurrency} at rate ₦${rate}/$1`);
+
+    sourceAmountUSD = toDecimal(amount).dividedBy(rate); // NGNZ amount ÷ rate = USD
+    targetAmountUSD = toDecimal(receiveAmount).times(cryptoPrice); // crypto amount × price = USD
+  } else {
+    // Crypto to NGNZ (Offramp)
+    logger.info(`Offramp calculation: ${amount} ${sourceCurrency} @ ${cryptoPrice} → NGNZ`);
+    receiveAmount = await offrampService.calculateNairaFromCrypto(amount, sourceCurrency, cryptoPrice);
+    rate = (await offrampService.getCurrentRate()).finalPrice;
+    logger.info(`Offramp result: ₦${receiveAmount} at rate ₦${rate}/$1`);
+
+    sourceAmountUSD = toDecimal(amount).times(cryptoPrice); // crypto amount × price = USD
+    targetAmountUSD = toDecimal(receiveAmount).dividedBy(rate); // NGNZ amount ÷ rate = USD
+  }
+
+  return {
+    success: true,
+    receiveAmount,
+    rate,
+    cryptoPrice,
+    provider: isOnramp ? 'INTERNAL_ONRAMP' : 'INTERNAL_OFFRAMP',
+    flow: isOnramp ? 'ONRAMP' : 'OFFRAMP',
+    swapType: isOnramp ? 'ONRAMP' : 'OFFRAMP',
+    // USD values for display
+    sourceAmountUSD: sourceAmountUSD.toDecimalPlaces(6).toNumber(),
+    targetAmountUSD: targetAmountUSD.toDecimalPlaces(6).toNumber()
+  };
+}
+
 /**
  * Execute NGNZ swap with atomic balance updates, transaction creation, and comprehensive auditing
+ * @param {Object} [options]
+ * @param {boolean} [options.fromPending] - The source amount is already reserved in
+ *   the user's pending balance (limit orders) and is debited from there
+ * @param {string} [options.idempotencyKey] - Idempotency key for the SWAP ledger entry
  */
-async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
+async function executeNGNZSwap(userId, quote, correlationId, systemContext, { fromPending = false, idempotencyKey } = {}) {
   const session = await mongoose.startSession();
   session.startTransaction();
   const startTime = new Date();
@@ -550,28 +609,29 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
     // Get current balances for audit trail
     const userBefore = await User.findById(userId).select(`${fromKey} ${toKey}`).lean();
     
-    // 1. Update balances atomically with balance validation
-    const updatedUser = await User.findOneAndUpdate(
-      { 
-        _id: userId, 
-        [fromKey]: { $gte: amount } // Ensure sufficient balance
-      },
-      {
-        $inc: {
-          [fromKey]: -amount,      // Deduct source currency
-          [toKey]: amountReceived  // Add target currency
-        },
-        $set: { 
-          lastBalanceUpdate: new Date(),
-          portfolioLastUpdated: new Date()
-        }
-      },
-      { 
-        new: true, 
-        runValidators: true, 
-        session 
-      }
-    );
+    // 1. Update balances atomically with balance validation (posted to the ledger)
+    let updatedUser;
+    try {
+      ({ user: updatedUser } = await postEntry({
+        type: 'SWAP',
+        userId,
+        reference: swapReference,
+        idempotencyKey,
+        description: `NGNZ ${flow}: Swap ${amount} ${sourceCurrency} to ${amountReceived} ${targetCurrency}`,
+        actor: { kind: 'USER', id: String(userId) },
+        changes: [
+          fromPending  // Deduct source currency
+            ? { currency: sourceCurrency, pendingDelta: -amount }
+            : { currency: sourceCurrency, balanceDelta: -amount },
+          { currency: targetCurrency, balanceDelta: amountReceived }  // Add target currency
+        ],
+        metadata: { correlationId, flow, swapType: type },
+        set: { portfolioLastUpdated: new Date() },
+        session
+      }));
+    } catch (ledgerError) {
+      if (ledgerError.code !== 'INSUFFICIENT_BALANCE') throw ledgerError;
+    }
 
     if (!updatedUser) {
       throw new Error(`Balance update failed - insufficient ${sourceCurrency} balance or user not found`);
@@ -597,7 +657,7 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
       toCurrency: targetCurrency,
       fromAmount: amount,
       toAmount: amountReceived,
-      exchangeRate: amountReceived / amount,
+      exchangeRate: ratio(amountReceived, amount),
       swapType: type,
       swapCategory: 'NGNZ_EXCHANGE',
       swapPair: `${sourceCurrency}-${targetCurrency}`,
@@ -608,7 +668,7 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
         swapDirection: 'OUT',
         swapType: type,
         flow: flow,
-        exchangeRate: amountReceived / amount,
+        exchangeRate: ratio(amountReceived, amount),
         relatedTransactionRef: swapReference,
         fromCurrency: sourceCurrency,
         toCurrency: targetCurrency,
@@ -635,7 +695,7 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
       toCurrency: targetCurrency,
       fromAmount: amount,
       toAmount: amountReceived,
-      exchangeRate: amountReceived / amount,
+      exchangeRate: ratio(amountReceived, amount),
       swapType: type,
       swapCategory: 'NGNZ_EXCHANGE',
       swapPair: `${sourceCurrency}-${targetCurrency}`,
@@ -646,7 +706,7 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
         swapDirection: 'IN',
         swapType: type,
         flow: flow,
-        exchangeRate: amountReceived / amount,
+        exchangeRate: ratio(amountReceived, amount),
         relatedTransactionRef: swapReference,
         fromCurrency: sourceCurrency,
         toCurrency: targetCurrency,
@@ -681,6 +741,16 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
       inTransactionId: swapInTransaction._id
     });
 
+    emitEvent('swap.completed', {
+      userId: String(userId),
+      reference: swapReference,
+      fromCurrency: sourceCurrency,
+      fromAmount: amount,
+      toCurrency: targetCurrency,
+      toAmount: amountReceived,
+      provider: 'INTERNAL_NGNZ'
+    });
+
     // Send NGNZ swap completion notification
     try {
       await sendSwapCompletionNotification(
@@ -695,7 +765,7 @@ async function executeNGNZSwap(userId, quote, correlationId, systemContext) {
           correlationId,
           flow,
           provider: 'INTERNAL_NGNZ',
-          rate: amountReceived / amount
+          rate: ratio(amountReceived, amount)
         }
       );
       logger.info('NGNZ swap completion notification sent', { 
@@ -1038,126 +1108,56 @@ router.post('/quote', async (req, res) => {
 
     const { isOnramp, sourceCurrency, targetCurrency } = validation;
     
-    let receiveAmount, rate, provider, flow, swapType, cryptoPrice;
+    const flow = isOnramp ? 'ONRAMP' : 'OFFRAMP';
+    const pricing = await calculateNGNZQuote(validation, amount);
 
-    if (isOnramp) {
-      // NGNZ to Crypto (Onramp)
-      const cryptoPrices = await getPricesWithCache([targetCurrency]);
-      cryptoPrice = cryptoPrices[targetCurrency];
-      
-      if (!cryptoPrice) {
-        logger.error(`Onramp failed: Price not available for ${targetCurrency}`);
-        
-        await createAuditEntry({
-          userId,
-          eventType: 'QUOTE_CREATED',
-          status: 'FAILED',
-          source: 'API_ENDPOINT',
-          action: 'Failed NGNZ Onramp Price Fetch',
-          description: `Price unavailable for NGNZ onramp target currency ${targetCurrency}`,
-          errorDetails: {
-            message: `Price not available for ${targetCurrency}`,
-            code: 'PRICE_UNAVAILABLE'
-          },
-          swapDetails: {
-            sourceCurrency,
-            targetCurrency,
-            sourceAmount: amount,
-            flow: 'ONRAMP'
-          },
-          relatedEntities: {
-            correlationId
-          },
-          systemContext,
-          riskLevel: 'LOW',
-          tags: ['quote', 'ngnz-swap', 'onramp', 'price-error']
-        });
-        
-        return res.status(400).json({
-          success: false,
-          message: `Price not available for ${targetCurrency}`
-        });
-      }
+    if (!pricing.success) {
+      const flowLabel = isOnramp ? 'onramp' : 'offramp';
+      const pricedLeg = isOnramp ? 'target' : 'source';
+      logger.error(`${isOnramp ? 'Onramp' : 'Offramp'} failed: Price not available for ${pricing.currency}`);
       
-      logger.info(`Onramp calculation: ${amount} NGNZ → ${targetCurrency} @ ${cryptoPrice}`);
-      
-      receiveAmount = await onrampService.calculateCryptoFromNaira(amount, targetCurrency, cryptoPrice);
-      rate = (await onrampService.getOnrampRate()).finalPrice;
-      provider = 'INTERNAL_ONRAMP';
-      flow = 'ONRAMP';
-      swapType = 'ONRAMP';
-      
-      logger.info(`Onramp result: ${receiveAmount} ${targetCurrency} at rate ₦${rate}/$1`);
-    } else {
-      // Crypto to NGNZ (Offramp)
-      const cryptoPrices = await getPricesWithCache([sourceCurrency]);
-      cryptoPrice = cryptoPrices[sourceCurrency];
-      
-      if (!cryptoPrice) {
-        logger.error(`Offramp failed: Price not available for ${sourceCurrency}`);
-        
-        await createAuditEntry({
-          userId,
-          eventType: 'QUOTE_CREATED',
-          status: 'FAILED',
-          source: 'API_ENDPOINT',
-          action: 'Failed NGNZ Offramp Price Fetch',
-          description: `Price unavailable for NGNZ offramp source currency ${sourceCurrency}`,
-          errorDetails: {
-            message: `Price not available for ${sourceCurrency}`,
-            code: 'PRICE_UNAVAILABLE'
-          },
-          swapDetails: {
-            sourceCurrency,
-            targetCurrency,
-            sourceAmount: amount,
-            flow: 'OFFRAMP'
-          },
-          relatedEntities: {
-            correlationId
-          },
-          systemContext,
-          riskLevel: 'LOW',
-          tags: ['quote', 'ngnz-swap', 'offramp', 'price-error']
-        });
-        
-        return res.status(400).json({
-          success: false,
-          message: `Price not available for ${sourceCurrency}`
-        });
-      }
-      
-      logger.info(`Offramp calculation: ${amount} ${sourceCurrency} @ ${cryptoPrice} → NGNZ`);
-      
-      receiveAmount = await offrampService.calculateNairaFromCrypto(amount, sourceCurrency, cryptoPrice);
-      rate = (await offrampService.getCurrentRate()).finalPrice;
-      provider = 'INTERNAL_OFFRAMP';
-      flow = 'OFFRAMP';
-      swapType = 'OFFRAMP';
+      await createAuditEntry({
+        userId,
+        eventType: 'QUOTE_CREATED',
+        status: 'FAILED',
+        source: 'API_ENDPOINT',
+        action: `Failed NGNZ ${isOnramp ? 'Onramp' : 'Offramp'} Price Fetch`,
+        description: `Price unavailable for NGNZ ${flowLabel} ${pricedLeg} currency ${pricing.currency}`,
+        errorDetails: {
+          message: `Price not available for ${pricing.currency}`,
+          code: 'PRICE_UNAVAILABLE'
+        },
+        swapDetails: {
+          sourceCurrency,
+          targetCurrency,
+          sourceAmount: amount,
+          flow
+        },
+        relatedEntities: {
+          correlationId
+        },
+        systemContext,
+        riskLevel: 'LOW',
+        tags: ['quote', 'ngnz-swap', flowLabel, 'price-error']
+      });
       
-      logger.info(`Offramp result: ₦${receiveAmount} at rate ₦${rate}/$1`);
+      return res.status(400).json({
+        success: false,
+        message: `Price not available for ${pricing.currency}`
+      });
     }
 
+    const { receiveAmount, rate, provider, swapType, cryptoPrice, sourceAmountUSD, targetAmountUSD } = pricing;
+
     const id = `ngnz_${flow.toLowerCase()}_${Date.now()}_${Math.random().toString(36).slice(2)}`;
     const expiresAt = new Date(Date.now() + 30000).toISOString(); // 30 seconds
 
-    // Calculate USD values for display (optional)
-    let sourceAmountUSD, targetAmountUSD;
-    
-    if (isOnramp) {
-      sourceAmountUSD = amount / rate; // NGNZ amount ÷ rate = USD
-      targetAmountUSD = receiveAmount * cryptoPrice; // crypto amount × price = USD
-    } else {
-      sourceAmountUSD = amount * cryptoPrice; // crypto amount × price = USD
-      targetAmountUSD = receiveAmount / rate; // NGNZ amount ÷ rate = USD
-    }
-
     const payload = {
       id,
       amount,
       amountReceived: receiveAmount,
-      sourceAmountUSD: parseFloat(sourceAmountUSD.toFixed(6)),
-      targetAmountUSD: parseFloat(targetAmountUSD.toFixed(6)),
+      sourceAmountUSD,
+      targetAmountUSD,
       rate,
       cryptoPrice,
       side,
@@ -1173,48 +1173,25 @@ router.post('/quote', async (req, res) => {
     logger.info(`${flow} quote created`, {
       sourceAmount: amount,
       targetAmount: receiveAmount,
-      sourceUSD: sourceAmountUSD.toFixed(6),
-      targetUSD: targetAmountUSD.toFixed(6),
+      sourceUSD: sourceAmountUSD,
+      targetUSD: targetAmountUSD,
       rate,
       cryptoPrice,
       correlationId
     });
 
-    // Store in Redis (TTL handled server-side); no manual setTimeout needed
-    await ngnzQuoteCache.set(id, payload);
-    
-    const endTime = new Date();
-
-    // Create successful quote audit
-    await createAuditEntry({
+    // Shared quote store (Redis) — writes the QUOTE_CREATED audit
+    await quoteService.createQuote({
+      kind: 'NGNZ_SWAP',
       userId,
-      eventType: 'QUOTE_CREATED',
-      status: 'SUCCESS',
-      source: 'API_ENDPOINT',
-      action: 'Create NGNZ Swap Quote',
-      description: `Successfully created NGNZ ${flow} quote for ${amount} ${sourceCurrency} to ${targetCurrency}`,
-      requestData: { from, to, amount, side },
-      responseData: payload,
-      swapDetails: {
-        quoteId: id,
-        sourceCurrency,
-        targetCurrency,
-        sourceAmount: amount,
-        targetAmount: receiveAmount,
-        provider,
-        swapType,
-        flow
-      },
-      relatedEntities: {
-        correlationId
-      },
-      systemContext,
-      timing: {
-        startTime,
-        endTime,
-        duration: endTime - startTime
-      },
-      tags: ['quote', 'ngnz-swap', flow.toLowerCase(), 'created', 'success']
+      payload,
+      audit: {
+        systemContext,
+        requestData: { from, to, amount, side },
+        swapDetails: { swapType },
+        metadata: { flow, startTime, endTime: new Date() },
+        tags: [flow.toLowerCase()]
+      }
     });
 
     return res.json({
@@ -1277,96 +1254,42 @@ router.post('/quote/:quoteId', async (req, res) => {
 
   try {
     const { quoteId } = req.params;
-    const quote = await ngnzQuoteCache.get(quoteId);
-    // Claim quote immediately to prevent concurrent execution
-    if (quote) await ngnzQuoteCache.delete(quoteId);
-    
-    // Use existing correlation ID from quote or generate new one
-    const correlationId = quote?.correlationId || generateCorrelationId();
+    // Claim the quote (CREATED -> ACCEPTED) so no other request or node can execute it
+    const claim = await quoteService.acceptQuote(quoteId, userId, { systemContext, tags: ['acceptance'] });
 
-    // Create audit for quote acceptance attempt
-    await createAuditEntry({
-      userId,
-      eventType: 'QUOTE_ACCEPTED',
-      status: 'PENDING',
-      source: 'API_ENDPOINT',
-      action: 'Accept NGNZ Swap Quote',
-      description: `Attempting to accept NGNZ quote ${quoteId}`,
-      swapDetails: {
-        quoteId,
-        flow: quote?.flow
-      },
-      relatedEntities: {
-        correlationId
-      },
-      systemContext,
-      timing: {
-        startTime
-      },
-      tags: ['quote', 'ngnz-swap', 'acceptance', 'pending']
-    });
+    if (!claim.ok) {
+      if (claim.code === 'QUOTE_NOT_FOUND' || claim.code === 'QUOTE_ALREADY_USED') {
+        await createAuditEntry({
+          userId,
+          eventType: 'QUOTE_ACCEPTED',
+          status: 'FAILED',
+          source: 'API_ENDPOINT',
+          action: 'NGNZ Quote Not Accepted',
+          description: `NGNZ quote ${quoteId}: ${claim.message}`,
+          errorDetails: {
+            message: claim.message,
+            code: claim.code
+          },
+          swapDetails: {
+            quoteId
+          },
+          relatedEntities: {
+            correlationId: claim.quote?.correlationId || generateCorrelationId()
+          },
+          systemContext,
+          riskLevel: 'LOW',
+          tags: ['quote', 'ngnz-swap', claim.code === 'QUOTE_NOT_FOUND' ? 'not-found' : 'already-used']
+        });
+      }
 
-    // MAINTAINING ORIGINAL ERROR HANDLING
-    if (!quote) {
-      await createAuditEntry({
-        userId,
-        eventType: 'QUOTE_ACCEPTED',
-        status: 'FAILED',
-        source: 'API_ENDPOINT',
-        action: 'NGNZ Quote Not Found',
-        description: `NGNZ quote ${quoteId} not found or expired`,
-        errorDetails: {
-          message: 'Quote not found or expired',
-          code: 'QUOTE_NOT_FOUND'
-        },
-        swapDetails: {
-          quoteId
-        },
-        relatedEntities: {
-          correlationId
-        },
-        systemContext,
-        riskLevel: 'LOW',
-        tags: ['quote', 'ngnz-swap', 'not-found']
-      });
-      
-      return res.status(404).json({ 
+      return res.status(claim.httpStatus).json({ 
         success: false, 
-        message: 'Quote not found or expired' 
+        message: claim.message 
       });
     }
 
-    if (new Date() > new Date(quote.expiresAt)) {
-      await ngnzQuoteCache.delete(quoteId);
-      
-      await createAuditEntry({
-        userId,
-        eventType: 'QUOTE_EXPIRED',
-        status: 'FAILED',
-        source: 'API_ENDPOINT',
-        action: 'NGNZ Quote Expired',
-        description: `NGNZ quote ${quoteId} has expired`,
-        errorDetails: {
-          message: 'Quote has expired',
-          code: 'QUOTE_EXPIRED'
-        },
-        swapDetails: {
-          quoteId,
-          expiresAt: quote.expiresAt,
-          flow: quote.flow
-        },
-        relatedEntities: {
-          correlationId
-        },
-        systemContext,
-        tags: ['quote', 'ngnz-swap', 'expired']
-      });
-      
-      return res.status(410).json({ 
-        success: false, 
-        message: 'Quote has expired' 
-      });
-    }
+    const quote = claim.quote;
+    const correlationId = quote.correlationId || generateCorrelationId();
 
     // Validate user balance
     const validation = await validateUserBalance(userId, quote.sourceCurrency, quote.amount);
@@ -1401,6 +1324,7 @@ router.post('/quote/:quoteId', async (req, res) => {
         riskLevel: 'LOW',
         tags: ['balance', 'ngnz-swap', 'insufficient', 'validation']
       });
+      await quoteService.failQuote(quoteId, validation.message, { systemContext });
       
       return res.status(400).json({
         success: false,
@@ -1415,22 +1339,17 @@ router.post('/quote/:quoteId', async (req, res) => {
     // Execute NGNZ swap directly
     const swapResult = await executeNGNZSwap(userId, quote, correlationId, systemContext);
 
-    // *** NEW: Execute Obiex NGNZ swap in background ***
-    // This runs asynchronously and won't block the response
-    setImmediate(() => {
-      executeObiexNGNZSwapBackground(userId, quote, swapResult.swapId, correlationId, systemContext);
-    });
+    // The Obiex leg runs on the ngnz-obiex job queue and won't block the response
+    queueNgnzObiexSwap(userId, quote, swapResult.swapId, correlationId, systemContext);
 
     // ── Revenue-sharing referral reward (offramp only, non-blocking) ──────────
     // Credit ₦1 NGNZ to the referrer whenever their referee completes a
-    // Crypto → NGNZ offramp swap. Runs fully in the background; any failure
-    // is logged but never affects the swap response.
+    // Crypto → NGNZ offramp swap. Runs on the referral job queue; failures
+    // are retried there and never affect the swap response.
     if (quote.flow === 'OFFRAMP') {
       // quote.sourceAmountUSD = USD value of the crypto the referee sold
       // e.g. 0.01 BTC @ $100,000 = $1000 → referrer receives 1000 NGNZ
-      setImmediate(() => {
-        creditOfframpReferralReward(userId, swapResult.swapId, quote.sourceAmountUSD, correlationId);
-      });
+      queueReferralReward(userId, swapResult.swapId, quote.sourceAmountUSD, correlationId);
     }
     // ─────────────────────────────────────────────────────────────────────────
 
@@ -1442,41 +1361,20 @@ router.post('/quote/:quoteId', async (req, res) => {
       flow: quote.flow
     });
 
-    // Clean up quote from cache
-    await ngnzQuoteCache.delete(quoteId);
-    
     const endTime = new Date();
 
-    // Create successful quote acceptance audit
-    await createAuditEntry({
-      userId,
-      eventType: 'QUOTE_ACCEPTED',
-      status: 'SUCCESS',
-      source: 'API_ENDPOINT',
-      action: 'Accept NGNZ Swap Quote',
-      description: `Successfully accepted and executed NGNZ ${quote.flow} quote ${quoteId}`,
+    // ACCEPTED -> EXECUTED, writes the QUOTE_EXECUTED audit
+    await quoteService.completeQuote(quoteId, {
+      systemContext,
       swapDetails: {
-        quoteId,
         swapId: swapResult.swapId,
-        sourceCurrency: quote.sourceCurrency,
-        targetCurrency: quote.targetCurrency,
-        sourceAmount: quote.amount,
-        targetAmount: quote.amountReceived,
-        provider: quote.provider,
-        swapType: quote.type,
-        flow: quote.flow
+        swapType: quote.type
       },
       relatedEntities: {
-        correlationId,
         relatedTransactionIds: [swapResult.swapOutTransaction._id, swapResult.swapInTransaction._id]
       },
-      systemContext,
-      timing: {
-        startTime,
-        endTime,
-        duration: endTime - startTime
-      },
-      tags: ['quote', 'ngnz-swap', quote.flow.toLowerCase(), 'accepted', 'success', 'obiex-initiated']
+      metadata: { flow: quote.flow, startTime, endTime, duration: endTime - startTime },
+      tags: [quote.flow.toLowerCase(), 'obiex-initiated']
     });
 
     const responsePayload = {
@@ -1560,6 +1458,7 @@ router.post('/quote/:quoteId', async (req, res) => {
       flagReason: 'Critical NGNZ swap execution failure',
       tags: ['swap', 'ngnz-swap', 'execution', 'critical-error', 'api-endpoint']
     });
+    await quoteService.failQuote(req.params?.quoteId, err, { systemContext });
     
     if (err.message?.startsWith('Failed to acquire lock')) {
       return res.status(429).json({ success: false, message: 'A swap is already in progress. Please wait and try again.' });
@@ -1663,4 +1562,10 @@ setInterval(() => {
   }
 }, 60000); // Clean every minute
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by limit orders (services/limitOrderService)
+module.exports.validateNGNZSwap = validateNGNZSwap;
+module.exports.calculateNGNZQuote = calculateNGNZQuote;
+module.exports.executeNGNZSwap = executeNGNZSwap;
+module.exports.executeObiexNGNZSwapBackground = executeObiexNGNZSwapBackground;
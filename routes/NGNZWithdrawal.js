@@ -9,8 +9,11 @@ const { validateTwoFactorAuth } = require('../services/twofactorAuth');
 const { validateUserBalance: validateBalance, isTokenSupported } = require('../services/balance');
 const { validateTransactionLimit } = require('../services/kyccheckservice');
 const { sendWithdrawalEmail } = require('../services/EmailService');
-const { sendWithdrawalNotification } = require('../services/notificationService');
+const { queuePush } = require('../services/backgroundJobs');
+const { emitEvent } = require('../services/outboundWebhookService');
 const { bvnCheckService } = require('../services/bvnCheckService');
+const { evaluateWithdrawalRisk, holdWithdrawal } = require('../services/withdrawalRiskService');
+const { getWithdrawalFreeze } = require('../services/twoFARecoveryService');
 
 // SECURITY FIX: Import distributed lock and security service
 const { withLock } = require('../utils/redisLock');
@@ -21,10 +24,12 @@ const Transaction = require('../models/transaction');
 const User = require('../models/user');
 const TransactionAudit = require('../models/TransactionAudit');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
 
 // IDEMPOTENCY MIDDLEWARE
 // Ensure your middleware file is named 'idempotency.middleware.js' as per your recent update
 const { idempotencyMiddleware } = require('../utils/Idempotency');
+const { applyBeneficiary } = require('../middleware/beneficiary');
 
 const router = express.Router();
 
@@ -106,7 +111,7 @@ async function getCachedUserAuth(userId) {
   const cached = userCache.get(cacheKey);
   if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) return cached.user;
   
-  const user = await User.findById(userId).select('_id twoFASecret is2FAEnabled passwordpin email username firstname').lean();
+  const user = await User.findById(userId).select('_id twoFASecret is2FAEnabled passwordpin email username firstname withdrawalsFrozenUntil').lean();
   if (user) userCache.set(cacheKey, { user, timestamp: Date.now() });
   return user;
 }
@@ -114,9 +119,11 @@ async function getCachedUserAuth(userId) {
 // --- CORE EXECUTION LOGIC ---
 
 /**
- * Stage 1: Database deduction and local transaction creation
+ * Stage 1: Database deduction and local transaction creation.
+ * When the risk engine holds the withdrawal, the amount is reserved in the
+ * pending balance and the transaction is created in PENDING_REVIEW instead.
  */
-async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, systemContext, idempotencyKey) {
+async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, systemContext, idempotencyKey, risk) {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -133,13 +140,26 @@ async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, syst
     const amountToBankRecorded = amount - NGNZ_WITHDRAWAL_FEE_RECORDED;
     const feeAmountRecorded = NGNZ_WITHDRAWAL_FEE_RECORDED;
     
-    const updatedUser = await User.findOneAndUpdate(
-      { _id: userId, ngnzBalance: { $gte: totalDeducted } },
-      { $inc: { ngnzBalance: -totalDeducted }, $set: { lastBalanceUpdate: new Date() } },
-      { new: true, runValidators: true, session }
-    );
+    const held = !!risk?.hold;
 
-    if (!updatedUser) throw new Error('Insufficient NGNZ balance');
+    let updatedUser;
+    try {
+      ({ user: updatedUser } = await postEntry({
+        type: held ? 'WITHDRAWAL_RESERVE' : 'WITHDRAWAL',
+        userId,
+        reference: withdrawalReference,
+        description: `NGNZ withdrawal to ${destination.bankName}${held ? ' (held for review)' : ''}`,
+        actor: { kind: 'USER', id: String(userId) },
+        changes: [held
+          ? { currency: 'NGNZ', balanceDelta: -totalDeducted, pendingDelta: totalDeducted }
+          : { currency: 'NGNZ', balanceDelta: -totalDeducted }],
+        metadata: { correlationId },
+        session
+      }));
+    } catch (ledgerError) {
+      if (ledgerError.code === 'INSUFFICIENT_BALANCE') throw new Error('Insufficient NGNZ balance');
+      throw ledgerError;
+    }
 
     userCache.delete(`user_auth_${userId}`);
 
@@ -148,7 +168,7 @@ async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, syst
       type: 'WITHDRAWAL',
       currency: 'NGNZ',
       amount: -totalDeducted,
-      status: 'PENDING',
+      status: held ? 'PENDING_REVIEW' : 'PENDING',
       source: 'NGNZ_WITHDRAWAL',
       reference: withdrawalReference,
       obiexTransactionId: withdrawalReference,
@@ -182,6 +202,29 @@ async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, syst
     });
 
     await withdrawalTransaction.save({ session });
+
+    let review = null;
+    if (held) {
+      review = await holdWithdrawal({
+        kind: 'NGNZ',
+        userId,
+        transactionId: withdrawalTransaction._id,
+        reference: withdrawalReference,
+        currency: 'NGNZ',
+        amount: totalDeducted,
+        fee: feeAmountRecorded,
+        destination: {
+          bankName: destination.bankName,
+          bankCode: destination.bankCode,
+          accountName: destination.accountName,
+          accountNumberMasked: maskAccountNumber(destination.accountNumber)
+        },
+        payload: { destination, narration, amountToObiex },
+        risk,
+        session
+      });
+    }
+
     await session.commitTransaction();
     session.endSession();
     
@@ -190,7 +233,8 @@ async function executeNGNZWithdrawal(userId, withdrawalData, correlationId, syst
         transaction: withdrawalTransaction, 
         withdrawalReference, 
         amountToObiex, 
-        feeAmount: feeAmountRecorded 
+        feeAmount: feeAmountRecorded,
+        review
     };
   } catch (err) {
     await session.abortTransaction();
@@ -257,14 +301,15 @@ async function processObiexWithdrawal(userId, withdrawalData, amountToObiex, wit
       const tx = await Transaction.findById(transactionId).lean();
       const refundAmount = tx?.ngnzWithdrawal?.requestedAmount || Math.abs(tx?.amount || 0);
       if (refundAmount > 0) {
-        await User.findByIdAndUpdate(
+        await postEntry({
+          type: 'WITHDRAWAL_REFUND',
           userId,
-          {
-            $inc: { ngnzBalance: refundAmount },
-            $set: { lastBalanceUpdate: new Date() }
-          },
-          { runValidators: true }
-        );
+          reference: withdrawalReference,
+          idempotencyKey: `WITHDRAWAL_REFUND:${transactionId}`,
+          description: 'Refund after Obiex rejected NGNZ withdrawal',
+          actor: { kind: 'SYSTEM', id: 'ngnz-withdrawal' },
+          changes: [{ currency: 'NGNZ', balanceDelta: refundAmount }]
+        });
         logger.info(`Refunded ${refundAmount} NGNZ to user ${userId} after Obiex API rejection`);
       }
 
@@ -281,7 +326,7 @@ async function processObiexWithdrawal(userId, withdrawalData, amountToObiex, wit
  * POST /withdraw
  * Processes NGNZ withdrawal to Bank via Obiex
  */
-router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
+router.post('/withdraw', idempotencyMiddleware, applyBeneficiary('BANK'), async (req, res) => {
   const correlationId = generateCorrelationId();
   const systemContext = getSystemContext(req);
   const idempotencyKey = req.headers['x-idempotency-key'];
@@ -315,6 +360,17 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
       });
     }
 
+    const withdrawalFreeze = getWithdrawalFreeze(user);
+    if (withdrawalFreeze) {
+      logger.warn(`NGNZ withdrawal blocked: withdrawals frozen after 2FA recovery`, { userId, until: withdrawalFreeze.until, ip: req.ip });
+      return res.status(403).json({
+        success: false,
+        code: 'WITHDRAWALS_FROZEN',
+        message: withdrawalFreeze.message,
+        frozenUntil: withdrawalFreeze.until
+      });
+    }
+
     // SECURITY FIX: Check 2FA attempt rate limiting
     const twoFACheck = await securityService.check2FAAttempts(userId);
     if (!twoFACheck.allowed) {
@@ -402,6 +458,24 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Insufficient NGNZ balance' });
     }
 
+    // 3a. Risk scoring - risky withdrawals are held for moderator review
+    const risk = await evaluateWithdrawalRisk({
+      userId,
+      kind: 'NGNZ',
+      currency: 'NGNZ',
+      amount,
+      destination: { accountNumber: destination.accountNumber, bankCode: destination.bankCode }
+    });
+
+    // Sanctions watchlist hit: nothing is reserved or sent, compliance has the case
+    if (risk.block) {
+      return res.status(403).json({
+        success: false,
+        code: 'COMPLIANCE_BLOCK',
+        message: 'This withdrawal cannot be processed. Please contact support.'
+      });
+    }
+
     // 3. Execution (Deduct Balance + Create Transaction) WITH DISTRIBUTED LOCK
     // SECURITY FIX: Use distributed lock to prevent race conditions
     const lockKey = `withdrawal:${userId}:NGNZ`;
@@ -414,7 +488,8 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
           { amount, destination, narration },
           correlationId,
           systemContext,
-          idempotencyKey
+          idempotencyKey,
+          risk
         );
       },
       {
@@ -427,6 +502,21 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
       throw error; // Re-throw to be caught by outer try-catch
     });
 
+    if (withdrawalResult.review) {
+      return res.status(202).json({
+        success: true,
+        message: 'Withdrawal is under review. Your funds are on hold and you will be notified once it is processed.',
+        data: {
+          withdrawalId: withdrawalResult.withdrawalReference,
+          reviewId: withdrawalResult.review.reviewId,
+          status: 'PENDING_REVIEW',
+          totalAmount: amount,
+          fee: withdrawalResult.feeAmount,
+          balanceAfter: withdrawalResult.user.ngnzBalance
+        }
+      });
+    }
+
     // 4. External Payout (Obiex)
     const obiexResult = await processObiexWithdrawal(
         userId, 
@@ -440,13 +530,13 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
       // Withdrawal is PENDING with Obiex - do NOT send 'completed' notification yet.
       // The final confirmation email/push will be sent by the webhook handler when
       // Obiex fires a SUCCESSFUL webhook event.
-      sendWithdrawalNotification(userId, withdrawalResult.transaction.bankAmount, 'NGN', 'pending', {
+      queuePush('sendWithdrawalNotification', String(userId), withdrawalResult.transaction.bankAmount, 'NGN', 'pending', {
         reference: withdrawalResult.withdrawalReference,
         bankName: destination.bankName,
         accountNumber: maskAccountNumber(destination.accountNumber),
         fee: withdrawalResult.feeAmount,
         totalAmount: amount
-      }).catch(e => logger.error('Push Error', e));
+      });
 
       return res.json({
         success: true,
@@ -460,11 +550,20 @@ router.post('/withdraw', idempotencyMiddleware, async (req, res) => {
         }
       });
     } else {
+      emitEvent('transaction.failed', {
+        kind: 'WITHDRAWAL',
+        userId: String(userId),
+        amount,
+        currency: 'NGNZ',
+        reference: withdrawalResult.withdrawalReference,
+        reason: obiexResult.error || 'Provider processing error'
+      });
+
       // Async Failure Notification
-      sendWithdrawalNotification(userId, amount, 'NGN', 'failed', {
+      queuePush('sendWithdrawalNotification', String(userId), amount, 'NGN', 'failed', {
         reason: obiexResult.error || 'Provider processing error',
         reference: withdrawalResult.withdrawalReference
-      }).catch(e => logger.error('Push Error', e));
+      });
 
       return res.status(502).json({
           success: false,
@@ -530,4 +629,7 @@ router.get('/fees', (req, res) => {
   });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used to submit withdrawals approved after review (services/withdrawalRiskService)
+module.exports.processObiexWithdrawal = processObiexWithdrawal;
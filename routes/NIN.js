@@ -2,9 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
+const KYC = require('../models/kyc');
 const SmileIDNINService = require('../services/SmileIDService');
 const EmailVerificationService = require('../services/VerifiedEmail');
 const logger = require('../utils/logger');
+const { receiveWebhook, registerWebhookHandler, WebhookPermanentError } = require('../services/webhookInbox');
+const smileIdProvider = require('../services/kycProviders/smileId');
+const { providerJobFields } = require('../services/kycProviders');
 
 const smileService = new SmileIDNINService();
 
@@ -105,27 +109,74 @@ router.post('/verify-nin', async (req, res) => {
 });
 
 // Webhook endpoint unchanged: the service now unlocks on success/failure
+// Runs from the webhook inbox (services/webhookInbox)
+async function processSmileNinCallback(callbackData) {
+  if (!callbackData?.PartnerParams?.user_id) {
+    throw new WebhookPermanentError('User ID not found in callback data');
+  }
+
+  const result = await smileService.handleVerificationCallback(callbackData);
+
+  // Submissions routed to Smile ID by config.kyc.providers also have a KYC record
+  const parsed = smileIdProvider.parseCallback(callbackData);
+  if (parsed.partnerJobId) {
+    const { status, resultCode, resultText, reason } = parsed.result;
+    const kycStatus = status === 'APPROVED' || status === 'PROVISIONAL' ? status : 'REJECTED';
+    await KYC.updateOne(
+      { partnerJobId: parsed.partnerJobId, provider: smileIdProvider.name, status: { $in: ['PENDING', 'PROVISIONAL'] } },
+      {
+        $set: {
+          ...providerJobFields(smileIdProvider.name, parsed.providerJobId),
+          status: kycStatus,
+          resultCode,
+          resultText,
+          errorReason: kycStatus === 'APPROVED' ? null : reason,
+          jobComplete: true,
+          jobSuccess: kycStatus === 'APPROVED',
+          ...(kycStatus === 'APPROVED' && { verificationDate: new Date() }),
+          lastUpdated: new Date()
+        }
+      }
+    );
+  }
+
+  if (result.verification_status === 'verified') {
+    logger.info('User successfully verified via NIN', { userId: result.userId, kycLevel: result.kyc_level });
+    // notify user...
+  } else if (result.verification_status === 'failed') {
+    logger.warn('User NIN verification failed', { userId: result.userId, resultText: result.result_text });
+    // notify user...
+  }
+  return { userId: result.userId, verificationStatus: result.verification_status };
+}
+
+registerWebhookHandler('smileid_nin', processSmileNinCallback);
+
 router.post('/smile-callback', async (req, res) => {
   try {
-    logger.info('Received Smile ID webhook callback', {
-      smileJobId: req.body.SmileJobID, resultCode: req.body.ResultCode
+    const parsed = smileIdProvider.parseCallback(req.body || {});
+    logger.info('Received Smile ID webhook callback', { smileJobId: parsed.providerJobId, resultCode: parsed.eventType });
+
+    // Smile signs callbacks with a timestamp; unsigned callbacks are stored unverified
+    const signatureValid = smileIdProvider.verifyCallback({ payload: req.body || {} });
+
+    const { duplicate } = await receiveWebhook({
+      source: 'smileid_nin',
+      eventId: parsed.eventId,
+      eventType: parsed.eventType,
+      payload: req.body,
+      headers: req.headers,
+      signatureValid,
+      signatureError: signatureValid === false ? 'Invalid callback signature' : null
     });
 
-    const result = await smileService.handleVerificationCallback(req.body);
-
-    res.status(200).json({ success: true, message: 'Callback processed successfully' });
-
-    if (result.verification_status === 'verified') {
-      logger.info('User successfully verified via NIN', { userId: result.userId, kycLevel: result.kyc_level });
-      // notify user...
-    } else if (result.verification_status === 'failed') {
-      logger.warn('User NIN verification failed', { userId: result.userId, resultText: result.result_text });
-      // notify user...
+    if (signatureValid === false) {
+      return res.status(401).json({ success: false, message: 'Invalid callback signature' });
     }
+    res.status(200).json({ success: true, message: 'Callback received', duplicate });
   } catch (error) {
-    logger.error('Failed to process Smile ID callback', { error: error.message, stack: error.stack, callbackData: req.body });
-    // Acknowledge to prevent retries
-    res.status(200).json({ success: false, message: 'Callback processing failed' });
+    logger.error('Failed to store Smile ID callback', { error: error.message, stack: error.stack, callbackData: req.body });
+    res.status(500).json({ success: false, message: 'Callback could not be stored' });
   }
 });
 
@@ -9,10 +9,12 @@ const { validateUserBalance } = require('../services/balance');
 const { validateTwoFactorAuth } = require('../services/twofactorAuth');
 const { validateTransactionLimit } = require('../services/kyccheckservice');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
 const { RedisLock } = require('../utils/redisLock');
 const { registerCache, clearUserCaches } = require('../utils/cacheManager');
 
 const { sendAirtimePurchaseNotification } = require('../services/notificationService');
+const { emitEvent } = require('../services/outboundWebhookService');
 const { sendUtilityTransactionEmail } = require('../services/EmailService');
 
 const router = express.Router();
@@ -57,19 +59,6 @@ const SUPPORTED_TOKENS = {
   NGNZ: { name: 'NGNZ Token' }
 };
 
-// Token field mapping for balance operations
-const TOKEN_FIELD_MAPPING = {
-  BTC: 'btc',
-  ETH: 'eth', 
-  SOL: 'sol',
-  USDT: 'usdt',
-  USDC: 'usdc',
-  BNB: 'bnb',
-  MATIC: 'matic',
-  AVAX: 'avax',
-  NGNZ: 'ngnz'
-};
-
 /**
  * Optimized user data retrieval with caching
  */
@@ -96,7 +85,7 @@ async function getCachedUser(userId) {
 /**
  * Direct balance update
  */
-async function updateUserBalance(userId, currency, amount) {
+async function updateUserBalance(userId, currency, amount, reference = null) {
   if (!userId || !currency || typeof amount !== 'number') {
     throw new Error('Invalid parameters for balance update');
   }
@@ -108,23 +97,15 @@ async function updateUserBalance(userId, currency, amount) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    const currencyLower = TOKEN_FIELD_MAPPING[currencyUpper];
-    const balanceField = `${currencyLower}Balance`;
-    
-    const updateFields = {
-      $inc: { [balanceField]: amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      updateFields, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    // Post through the ledger: debits pay the biller, credits reverse a failed purchase
+    const { user } = await postEntry({
+      type: amount < 0 ? 'BILL_PAYMENT' : 'BILL_REFUND',
+      userId,
+      reference,
+      description: `Airtime ${amount < 0 ? 'purchase' : 'reversal'}`,
+      actor: { kind: 'USER', id: String(userId) },
+      changes: [{ currency: currencyUpper, balanceDelta: amount, requireFunds: false }]
+    });
     
     // Clear all user-related caches globally
     clearUserCaches(userId);
@@ -580,6 +561,16 @@ router.post('/purchase', async (req, res) => {
         }]
       });
       
+      emitEvent('bill.failed', {
+        userId: String(userId),
+        billType: 'AIRTIME',
+        amount,
+        currency: 'NGNZ',
+        serviceId: service_id,
+        requestId: finalRequestId,
+        reason: apiError.message
+      });
+
       // ✅ SEND FAILURE NOTIFICATION
       try {
         await sendAirtimePurchaseNotification(
@@ -625,7 +616,7 @@ router.post('/purchase', async (req, res) => {
       logger.info(`✅ PayBeta API succeeded (${payBetaStatus}), deducting balance for ${finalRequestId}`);
       
       try {
-        await updateUserBalance(userId, currency, -amount);
+        await updateUserBalance(userId, currency, -amount, finalRequestId);
         balanceDeducted = true;
         
         logger.info(`✅ Balance deducted: -${amount} ${currency} for user ${userId}`);
@@ -697,6 +688,17 @@ router.post('/purchase', async (req, res) => {
         }]
       });
 
+      emitEvent('bill.failed', {
+        userId: String(userId),
+        billType: 'AIRTIME',
+        amount,
+        currency: 'NGNZ',
+        serviceId: service_id,
+        requestId: finalRequestId,
+        orderId: payBetaResponse.data?.order_id?.toString() || null,
+        reason: `Airtime transaction not successful: ${payBetaStatus}`
+      });
+
       // Send failure notification
       try {
         await sendAirtimePurchaseNotification(
@@ -787,6 +789,16 @@ router.post('/purchase', async (req, res) => {
     // Step 11: Return response - ONLY SUCCESS NOTIFICATION WHEN SUCCESSFUL
     if (payBetaStatus === 'successful') {
       
+      emitEvent('bill.completed', {
+        userId: String(userId),
+        billType: 'AIRTIME',
+        amount,
+        currency: 'NGNZ',
+        serviceId: service_id,
+        requestId: finalRequestId,
+        orderId: payBetaResponse.data.order_id.toString()
+      });
+
       // ✅ SEND SUCCESS NOTIFICATION
       try {
         await sendAirtimePurchaseNotification(
@@ -957,4 +969,7 @@ setInterval(() => {
   }
 }, 60000);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Provider call shared with scheduled bill payments (services/billPurchaseService)
+module.exports.callPayBetaAPI = callPayBetaAPI;
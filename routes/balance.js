@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const { getPricesWithCache, SUPPORTED_TOKENS } = require('../services/portfolio');
+const { getBalanceFields, readUserBalance } = require('../services/assetRegistry');
 const logger = require('../utils/logger');
 
 /**
@@ -23,11 +24,10 @@ async function calculateUSDBalances(user) {
     // Calculate USD values for each token
     for (const token of tokens) {
       const tokenLower = token.toLowerCase();
-      const balanceField = `${tokenLower}Balance`;
       const usdBalanceField = `${tokenLower}BalanceUSD`;
       
-      // Get token amount from user
-      const tokenAmount = user[balanceField] || 0;
+      // Get token amount from user (flat field or User.balances, per the asset registry)
+      const tokenAmount = readUserBalance(user, token).balance;
       const tokenPrice = prices[token] || 0;
       
       // Calculate USD value (prices already include markdown from portfolio service)
@@ -99,6 +99,8 @@ router.post('/balance', async (req, res) => {
 
     // Build allowed fields dynamically from SUPPORTED_TOKENS (from portfolio service)
     const allowedFields = [];
+    // Response field name -> where the value lives on the User
+    const storedFields = {};
     
     // Add balance fields for each supported token
     for (const token of Object.keys(SUPPORTED_TOKENS)) {
@@ -108,6 +110,8 @@ router.post('/balance', async (req, res) => {
         `${tokenLower}BalanceUSD`,
         `${tokenLower}PendingBalance`
       );
+      storedFields[`${tokenLower}Balance`] = { token, kind: 'balance' };
+      storedFields[`${tokenLower}PendingBalance`] = { token, kind: 'pending' };
     }
     
     // Add total portfolio balance
@@ -147,8 +151,11 @@ router.post('/balance', async (req, res) => {
 
     // Build projection for database query (only token + pending balances exist in DB)
     const projection = {};
-    tokenFields.forEach(field => projection[field] = 1);
-    pendingFields.forEach(field => projection[field] = 1);
+    [...tokenFields, ...pendingFields].forEach(field => {
+      const { token, kind } = storedFields[field];
+      const path = getBalanceFields(token)[kind === 'balance' ? 'balanceField' : 'pendingField'];
+      projection[path.startsWith('balances.') ? 'balances' : path] = 1;
+    });
 
     // Always include metadata fields
     projection.lastBalanceUpdate = 1;
@@ -177,7 +184,8 @@ router.post('/balance', async (req, res) => {
         response[field] = calculatedUSDBalances[field] || 0;
       } else {
         // Use value from database (token balances, pending balances)
-        response[field] = user[field] || 0;
+        const { token, kind } = storedFields[field];
+        response[field] = readUserBalance(user, token)[kind];
       }
     }
 
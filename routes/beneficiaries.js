@@ -0,0 +1,79 @@
+// routes/beneficiaries.js
+const express = require('express');
+const router = express.Router();
+const {
+  BeneficiaryError,
+  createBeneficiary,
+  listBeneficiaries,
+  getBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary
+} = require('../services/beneficiaryService');
+const logger = require('../utils/logger');
+
+function handleError(res, error, source, userId) {
+  if (error instanceof BeneficiaryError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// POST /beneficiaries - Verify and save a beneficiary
+// Body: { type: BANK|INTERNAL|CRYPTO|BILLER, label?, isFavourite?, bank|internal|crypto|bill: {...} }
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const beneficiary = await createBeneficiary(userId, req.body || {});
+    return res.status(201).json({ success: true, message: 'Beneficiary saved', data: beneficiary });
+  } catch (error) {
+    return handleError(res, error, 'POST /beneficiaries', userId);
+  }
+});
+
+// GET /beneficiaries?type=&billType= - Saved beneficiaries
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const items = await listBeneficiaries(userId, { type: req.query.type, billType: req.query.billType });
+    return res.json({ success: true, data: { items } });
+  } catch (error) {
+    return handleError(res, error, 'GET /beneficiaries', userId);
+  }
+});
+
+// GET /beneficiaries/:id
+router.get('/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const beneficiary = await getBeneficiary(userId, req.params.id);
+    return res.json({ success: true, data: beneficiary });
+  } catch (error) {
+    return handleError(res, error, 'GET /beneficiaries/:id', userId);
+  }
+});
+
+// PATCH /beneficiaries/:id - Update label / favourite
+router.patch('/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { label, isFavourite } = req.body || {};
+    const beneficiary = await updateBeneficiary(userId, req.params.id, { label, isFavourite });
+    return res.json({ success: true, message: 'Beneficiary updated', data: beneficiary });
+  } catch (error) {
+    return handleError(res, error, 'PATCH /beneficiaries/:id', userId);
+  }
+});
+
+// DELETE /beneficiaries/:id
+router.delete('/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await deleteBeneficiary(userId, req.params.id);
+    return res.json({ success: true, message: 'Beneficiary removed' });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /beneficiaries/:id', userId);
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,8 @@ const { validateUserBalance } = require('../services/balance');
 const { validateTwoFactorAuth } = require('../services/twofactorAuth');
 const { validateTransactionLimit } = require('../services/kyccheckservice');
 const logger = require('../utils/logger');
+const { emitEvent } = require('../services/outboundWebhookService');
+const { postEntry } = require('../services/ledgerService');
 const { RedisLock } = require('../utils/redisLock');
 const { sendUtilityTransactionEmail } = require('../services/EmailService');
 
@@ -71,19 +73,6 @@ const SUPPORTED_TOKENS = {
   NGNZ: { name: 'NGNZ Token' }
 };
 
-// Token field mapping for balance operations (NGNB changed to NGNZ)
-const TOKEN_FIELD_MAPPING = {
-  BTC: 'btc',
-  ETH: 'eth',
-  SOL: 'sol',
-  USDT: 'usdt',
-  USDC: 'usdc',
-  BNB: 'bnb',
-  MATIC: 'matic',
-  AVAX: 'avax',
-  NGNZ: 'ngnz'
-};
-
 /**
  * Optimized user data retrieval with caching
  */
@@ -111,7 +100,7 @@ async function getCachedUser(userId) {
 /**
  * SIMPLIFIED: Direct balance update only (no reservations, no portfolio updates)
  */
-async function updateUserBalance(userId, currency, amount) {
+async function updateUserBalance(userId, currency, amount, reference = null) {
   if (!userId || !currency || typeof amount !== 'number') {
     throw new Error('Invalid parameters for balance update');
   }
@@ -122,16 +111,15 @@ async function updateUserBalance(userId, currency, amount) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
 
-    const currencyLower = TOKEN_FIELD_MAPPING[currencyUpper];
-    const balanceField = `${currencyLower}Balance`;
-
-    const updateFields = {
-      $inc: { [balanceField]: amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-
-    const user = await User.findByIdAndUpdate(userId, updateFields, { new: true, runValidators: true });
-    if (!user) throw new Error(`User not found: ${userId}`);
+    // Post through the ledger: debits pay the biller, credits reverse a failed purchase
+    const { user } = await postEntry({
+      type: amount < 0 ? 'BILL_PAYMENT' : 'BILL_REFUND',
+      userId,
+      reference,
+      description: `Betting ${amount < 0 ? 'purchase' : 'reversal'}`,
+      actor: { kind: 'USER', id: String(userId) },
+      changes: [{ currency: currencyUpper, balanceDelta: amount, requireFunds: false }]
+    });
 
     userCache.delete(`user_${userId}`);
     logger.info(`Updated balance for user ${userId}: ${amount > 0 ? '+' : ''}${amount} ${currencyUpper}`);
@@ -457,7 +445,7 @@ router.post('/fund', async (req, res) => {
     logger.info(`✅ eBills API succeeded (${ebillsStatus}), deducting balance immediately for ${finalRequestId}`);
     
     try {
-      await updateUserBalance(userId, currency, -amount);
+      await updateUserBalance(userId, currency, -amount, finalRequestId);
       balanceDeducted = true;
       
       logger.info(`✅ Balance deducted immediately: -${amount} ${currency} for user ${userId}`);
@@ -559,6 +547,16 @@ router.post('/fund', async (req, res) => {
 
     // Step 11: Return response based on status - MAINTAINING ORIGINAL RESPONSE STRUCTURE
     if (finalStatus === 'completed') {
+      emitEvent('bill.completed', {
+        userId: String(userId),
+        billType: 'BETTING',
+        amount,
+        currency: 'NGNZ',
+        serviceId: service_id,
+        requestId: finalRequestId,
+        orderId: ebillsResponse.data.order_id?.toString() || null
+      });
+
       // ✅ Send push notification
       try {
         const { sendUtilityPaymentNotification } = require('../services/notificationService');
@@ -1140,3 +1138,6 @@ setInterval(() => {
 }, 60000); // Clean every minute
 
 module.exports = router;
+
+// Provider call shared with scheduled bill payments (services/billPurchaseService)
+module.exports.callPayBetaAPI = callPayBetaAPI;
@@ -3,7 +3,7 @@
  * 
  * Balance Flow Integration:
  * 1. Transaction Created: reserveUserBalance() called in bill payment flow
- * 2. Webhook Received:
+ * 2. Webhook Received: verified, stored in the webhook inbox and processed asynchronously
  *    - completed-api: releaseReservedBalance() + updateUserPortfolioBalance()
  *    - refunded: releaseReservedBalance() + updateUserPortfolioBalance()
  *    - failed: releaseReservedBalance() (if balance was reserved)
@@ -25,6 +25,11 @@ const {
 const { sendPaymentNotification, sendAirtimePurchaseNotification } = require('../services/notificationService');
 const { invalidateSpending } = require('../services/kyccheckservice');
 const logger = require('../utils/logger');
+const { receiveWebhook, registerWebhookHandler, WebhookPermanentError } = require('../services/webhookInbox');
+const { emitEvent } = require('../services/outboundWebhookService');
+
+// ~15 minutes of inbox retries (30s doubling) before a missing transaction is given up on
+const NOT_FOUND_MAX_ATTEMPTS = 5;
 
 const router = express.Router();
 
@@ -81,149 +86,91 @@ function addProcessingError(transaction, error, phase) {
 }
 
 /**
- * eBills Webhook Handler
- * Processes order status updates from eBills API
+ * Find the bill transaction an eBills webhook refers to
+ * @param {Object} webhookData - Parsed webhook payload
+ * @returns {Promise<Object|null>} BillTransaction document
  */
-router.post('/ebills', express.raw({ type: 'application/json' }), async (req, res) => {
+function findWebhookTransaction(webhookData) {
+  return BillTransaction.findOne({
+    $or: [
+      { requestId: webhookData.request_id },
+      { orderId: webhookData.order_id.toString() },
+      { orderId: `pending_${webhookData.request_id}` }, // Check pending format
+      // Also check if order_id matches without string conversion
+      { orderId: webhookData.order_id }
+    ]
+  });
+}
+
+/**
+ * Check an eBills webhook signature against the transaction owner's PIN
+ * @param {Object} transaction - BillTransaction document
+ * @param {string} rawPayload - Raw JSON payload as string
+ * @param {string} signature - X-Signature header value
+ * @returns {Promise<{ valid: boolean, error: string|null }>}
+ */
+async function checkTransactionSignature(transaction, rawPayload, signature) {
+  const User = require('../models/user');
+  const user = await User.findById(transaction.userId).select('pin userPin ebillsPin');
+
+  if (!user) {
+    logger.error('User not found for transaction:', transaction.userId);
+    return { valid: false, error: 'user_not_found' };
+  }
+
+  // Use appropriate PIN field (adjust based on your user model)
+  const userPin = user.ebillsPin || user.pin || user.userPin;
+
+  if (!userPin) {
+    logger.error('User PIN not found for signature verification:', user._id);
+    return { valid: false, error: 'missing_pin' };
+  }
+
+  if (!signature || !verifyWebhookSignature(rawPayload, signature, userPin)) {
+    return { valid: false, error: 'invalid_signature' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Apply an eBills order status update. Runs from the webhook inbox
+ * (services/webhookInbox); throwing makes the inbox retry it.
+ * @param {Object} webhookData - Parsed webhook payload
+ * @param {Object} event - Stored WebhookEvent
+ * @returns {Promise<Object>} Summary stored on the WebhookEvent
+ */
+async function processEbillsEvent(webhookData, event) {
   const startTime = Date.now();
-  let webhookData;
-  let transaction;
-  
-  try {
-    // Parse raw body to string for signature verification
-    const rawPayload = req.body.toString('utf8');
-    const signature = req.headers['x-signature'];
-    
-    if (!signature) {
-      logger.warn('eBills webhook received without signature');
-      return res.status(400).json({
-        success: false,
-        error: 'missing_signature',
-        message: 'X-Signature header required'
-      });
-    }
-    
-    // Parse JSON payload
-    try {
-      webhookData = JSON.parse(rawPayload);
-    } catch (parseError) {
-      logger.error('Invalid JSON in eBills webhook:', parseError);
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_json',
-        message: 'Invalid JSON payload'
-      });
-    }
-    
-    logger.info('eBills webhook received:', {
+  const transaction = await findWebhookTransaction(webhookData);
+
+  if (!transaction) {
+    logger.warn('Transaction not found for eBills webhook:', {
       order_id: webhookData.order_id,
-      status: webhookData.status,
-      request_id: webhookData.request_id,
-      product_name: webhookData.product_name,
-      amount: webhookData.amount,
-      amount_charged: webhookData.amount_charged,
-      signature: signature.substring(0, 16) + '...' // Log partial signature for debugging
+      request_id: webhookData.request_id
     });
-    
-    // Validate required webhook fields per eBills documentation
-    const requiredFields = ['order_id', 'status', 'request_id'];
-    const missingFields = requiredFields.filter(field => !webhookData[field]);
-    
-    if (missingFields.length > 0) {
-      logger.warn('eBills webhook missing required fields:', missingFields);
-      return res.status(400).json({
-        success: false,
-        error: 'missing_fields',
-        message: `Missing required fields: ${missingFields.join(', ')}`
-      });
-    }
-    
-    // Find the transaction by request_id or order_id with flexible matching
-    transaction = await BillTransaction.findOne({
-      $or: [
-        { requestId: webhookData.request_id },
-        { orderId: webhookData.order_id.toString() },
-        { orderId: `pending_${webhookData.request_id}` }, // Check pending format
-        // Also check if order_id matches without string conversion
-        { orderId: webhookData.order_id }
-      ]
-    });
-    
-    if (!transaction) {
-      logger.warn('Transaction not found for eBills webhook:', {
-        order_id: webhookData.order_id,
-        request_id: webhookData.request_id
-      });
-      
-      // Return 200 to prevent eBills from retrying, but log the issue
-      return res.status(200).json({
-        success: true,
-        message: 'Transaction not found, but webhook acknowledged',
-        note: 'This may be a webhook for a transaction not processed by this system'
-      });
-    }
-    
-    // Get user PIN for signature verification
-    const User = require('../models/user');
-    const user = await User.findById(transaction.userId).select('pin userPin ebillsPin');
-    
-    if (!user) {
-      logger.error('User not found for transaction:', transaction.userId);
-      addProcessingError(transaction, 'User not found for signature verification', 'webhook_processing');
-      await transaction.save();
-      
-      return res.status(400).json({
-        success: false,
-        error: 'user_not_found',
-        message: 'Transaction user not found'
-      });
+    // The webhook can arrive before the purchase has saved its BillTransaction:
+    // retry for a while, then park it as DEAD where an admin can replay it
+    if ((event.attempts || 0) < NOT_FOUND_MAX_ATTEMPTS) {
+      throw new Error(`Transaction not found: order ${webhookData.order_id}, request ${webhookData.request_id}`);
     }
-    
-    // Use appropriate PIN field (adjust based on your user model)
-    const userPin = user.ebillsPin || user.pin || user.userPin;
-    
-    if (!userPin) {
-      logger.error('User PIN not found for signature verification:', user._id);
-      addProcessingError(transaction, 'User PIN not found for signature verification', 'webhook_processing');
-      await transaction.save();
-      
-      return res.status(400).json({
-        success: false,
-        error: 'missing_pin',
-        message: 'User PIN required for signature verification'
-      });
-    }
-    
-    // Verify webhook signature
-    if (!verifyWebhookSignature(rawPayload, signature, userPin)) {
-      logger.error('Invalid eBills webhook signature:', {
-        order_id: webhookData.order_id,
-        userId: user._id,
-        signatureReceived: signature.substring(0, 16) + '...'
-      });
-      
-      addProcessingError(transaction, 'Invalid webhook signature', 'webhook_processing');
-      await transaction.save();
-      
-      return res.status(401).json({
-        success: false,
-        error: 'invalid_signature',
-        message: 'Invalid webhook signature'
-      });
-    }
-    
-    logger.info('eBills webhook signature verified successfully');
-    
-    // Check if webhook was already processed
-    if (transaction.webhookProcessedAt) {
-      logger.info('Webhook already processed for transaction:', transaction.orderId);
-      return res.status(200).json({
-        success: true,
-        message: 'Webhook already processed',
-        transaction_id: transaction._id
-      });
+    throw new WebhookPermanentError(`Transaction not found after ${event.attempts} attempts`);
+  }
+
+  // The transaction did not exist when the webhook arrived, so it was stored unverified
+  if (event.signatureValid !== true) {
+    const { valid, error } = await checkTransactionSignature(transaction, event.rawBody, event.headers?.['x-signature']);
+    if (!valid) {
+      throw new WebhookPermanentError(`Signature verification failed: ${error}`);
     }
-    
+  }
+
+  // Check if webhook was already processed
+  if (transaction.webhookProcessedAt) {
+    logger.info('Webhook already processed for transaction:', transaction.orderId);
+    return { alreadyProcessed: true, transaction_id: transaction._id };
+  }
+
+  try {
     // Update transaction with webhook data using schema-compatible structure
     const updateData = {
       orderId: webhookData.order_id.toString(),
@@ -575,9 +522,21 @@ router.post('/ebills', express.raw({ type: 'application/json' }), async (req, re
       },
       { new: true }
     );
+
+    if (['completed', 'refunded', 'failed'].includes(webhookData.status)) {
+      emitEvent(webhookData.status === 'completed' ? 'bill.completed' : 'bill.failed', {
+        userId: transaction.userId.toString(),
+        billType: (transaction.billType || 'BILL').toUpperCase(),
+        amount: transaction.amountNGNZ || transaction.amountNaira,
+        currency: transaction.paymentCurrency || 'NGNZ',
+        status: webhookData.status,
+        requestId: webhookData.request_id,
+        orderId: webhookData.order_id.toString()
+      });
+    }
     
     const processingTime = Date.now() - startTime;
-    
+
     logger.info('eBills webhook processed successfully:', {
       order_id: webhookData.order_id,
       status: webhookData.status,
@@ -589,47 +548,149 @@ router.post('/ebills', express.raw({ type: 'application/json' }), async (req, re
       portfolio_updated: updatedTransaction.portfolioUpdated,
       refund_processed: updatedTransaction.refundProcessed
     });
+
+    return {
+      order_id: webhookData.order_id,
+      status: webhookData.status,
+      transaction_id: updatedTransaction._id,
+      bill_type: updatedTransaction.billType,
+      balance_reserved: updatedTransaction.balanceReserved,
+      portfolio_updated: updatedTransaction.portfolioUpdated,
+      refund_processed: updatedTransaction.refundProcessed
+    };
+  } catch (error) {
+    logger.error('eBills webhook processing error:', {
+      error: error.message,
+      stack: error.stack,
+      webhook_data: webhookData,
+      transaction_id: transaction._id,
+      processing_time: Date.now() - startTime
+    });
+
+    try {
+      addProcessingError(transaction, `Webhook processing error: ${error.message}`, 'unexpected_error');
+      await transaction.save();
+    } catch (saveError) {
+      logger.error('Failed to save processing error to transaction:', saveError);
+    }
+    throw error;
+  }
+}
+
+registerWebhookHandler('ebills', processEbillsEvent);
+
+/**
+ * eBills Webhook Handler
+ * Verifies and stores order status updates from eBills API; processing
+ * runs asynchronously from the webhook inbox.
+ */
+router.post('/ebills', express.raw({ type: 'application/json' }), async (req, res) => {
+  let webhookData;
+  
+  try {
+    // Parse raw body to string for signature verification
+    const rawPayload = req.rawBody || req.body.toString('utf8');
+    const signature = req.headers['x-signature'];
+    
+    if (!signature) {
+      logger.warn('eBills webhook received without signature');
+      return res.status(400).json({
+        success: false,
+        error: 'missing_signature',
+        message: 'X-Signature header required'
+      });
+    }
+    
+    // Parse JSON payload
+    try {
+      webhookData = JSON.parse(rawPayload);
+    } catch (parseError) {
+      logger.error('Invalid JSON in eBills webhook:', parseError);
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_json',
+        message: 'Invalid JSON payload'
+      });
+    }
+    
+    logger.info('eBills webhook received:', {
+      order_id: webhookData.order_id,
+      status: webhookData.status,
+      request_id: webhookData.request_id,
+      product_name: webhookData.product_name,
+      amount: webhookData.amount,
+      amount_charged: webhookData.amount_charged,
+      signature: signature.substring(0, 16) + '...' // Log partial signature for debugging
+    });
+    
+    // Validate required webhook fields per eBills documentation
+    const requiredFields = ['order_id', 'status', 'request_id'];
+    const missingFields = requiredFields.filter(field => !webhookData[field]);
+    
+    if (missingFields.length > 0) {
+      logger.warn('eBills webhook missing required fields:', missingFields);
+      return res.status(400).json({
+        success: false,
+        error: 'missing_fields',
+        message: `Missing required fields: ${missingFields.join(', ')}`
+      });
+    }
+    
+    // Signature is keyed on the transaction owner's PIN, so it can only be
+    // checked once the transaction is known; otherwise the handler checks it
+    let signatureValid = null;
+    let signatureError = null;
+    const transaction = await findWebhookTransaction(webhookData);
+    if (transaction) {
+      ({ valid: signatureValid, error: signatureError } = await checkTransactionSignature(transaction, rawPayload, signature));
+    }
+
+    const { event, duplicate } = await receiveWebhook({
+      source: 'ebills',
+      eventId: `${webhookData.order_id}:${webhookData.status}`,
+      eventType: webhookData.status,
+      rawBody: rawPayload,
+      payload: webhookData,
+      headers: req.headers,
+      signatureValid,
+      signatureError
+    });
+
+    if (signatureValid === false) {
+      logger.error('Invalid eBills webhook signature:', {
+        order_id: webhookData.order_id,
+        userId: transaction.userId,
+        reason: signatureError,
+        signatureReceived: signature.substring(0, 16) + '...'
+      });
+      
+      addProcessingError(transaction, `Webhook signature rejected: ${signatureError}`, 'webhook_processing');
+      await transaction.save();
+      
+      return res.status(401).json({
+        success: false,
+        error: signatureError,
+        message: 'Invalid webhook signature'
+      });
+    }
     
-    // Send success response to eBills
     return res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
+      message: duplicate ? 'Webhook already received' : 'Webhook received',
       data: {
         order_id: webhookData.order_id,
         status: webhookData.status,
-        transaction_id: updatedTransaction._id,
-        processed_at: updateData.webhookProcessedAt,
-        bill_type: updatedTransaction.billType,
-        amount_ngnz: updatedTransaction.amountNGNZ,
-        balance_status: {
-          reserved: updatedTransaction.balanceReserved,
-          portfolio_updated: updatedTransaction.portfolioUpdated,
-          refund_processed: updatedTransaction.refundProcessed
-        }
+        event_id: event._id
       }
     });
     
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    
-    logger.error('eBills webhook processing error:', {
+    logger.error('eBills webhook receive error:', {
       error: error.message,
       stack: error.stack,
-      webhook_data: webhookData,
-      transaction_id: transaction?._id,
-      processing_time: processingTime
+      webhook_data: webhookData
     });
     
-    // Add error to transaction if we have it
-    if (transaction) {
-      try {
-        addProcessingError(transaction, `Webhook processing error: ${error.message}`, 'unexpected_error');
-        await transaction.save();
-      } catch (saveError) {
-        logger.error('Failed to save processing error to transaction:', saveError);
-      }
-    }
-    
     // Return 500 to make eBills retry the webhook
     return res.status(500).json({
       success: false,
@@ -31,5 +31,19 @@ module.exports = {
     webhookSigningKey: process.env.YOUVERIFY_WEBHOOK_SIGNING_KEY, // For webhook signature verification
     callbackUrl: process.env.YOUVERIFY_CALLBACK_URL || 'https://your-domain.com/kyc-webhook/callback',
     apiBaseUrl: process.env.YOUVERIFY_API_URL || 'https://api.youverify.co'
+  },
+
+  // KYC provider per id type: youverify | smileid | mock (services/kycProviders)
+  kyc: {
+    providers: {
+      default: process.env.KYC_PROVIDER || 'youverify',
+      bvn: process.env.KYC_PROVIDER_BVN,
+      nin: process.env.KYC_PROVIDER_NIN,
+      national_id: process.env.KYC_PROVIDER_NIN,
+      nin_slip: process.env.KYC_PROVIDER_NIN,
+      passport: process.env.KYC_PROVIDER_PASSPORT,
+      drivers_license: process.env.KYC_PROVIDER_DRIVERS_LICENSE,
+      voter_id: process.env.KYC_PROVIDER_VOTER_ID
+    }
   }
 };
\ No newline at end of file
@@ -3,6 +3,8 @@ const router = express.Router();
 const User = require('../models/user');
 const PriceChange = require('../models/pricechange');
 const { getPricesWithCache, SUPPORTED_TOKENS } = require('../services/portfolio');
+const { readUserBalance } = require('../services/assetRegistry');
+const { resolveAllLimits } = require('../services/kycTierService');
 const { getCurrentRate } = require('../services/offramppriceservice');
 const logger = require('../utils/logger');
 const { registerCache, clearUserCaches } = require('../utils/cacheManager');
@@ -48,9 +50,7 @@ async function calculatePortfolioBalances(user) {
     let totalPortfolioUSD = 0;
 
     for (const token of tokens) {
-      const tokenLower = token.toLowerCase();
-      const balance = user[`${tokenLower}Balance`] || 0;
-      const pendingBalance = user[`${tokenLower}PendingBalance`] || 0;
+      const { balance, pending: pendingBalance } = readUserBalance(user, token);
       const price = prices[token] || 0;
       const balanceUSD = balance * price;
 
@@ -111,7 +111,8 @@ router.get('/dashboard', async (req, res) => {
       'firstname lastname email username phonenumber avatarUrl is2FAEnabled ' +
       'kycLevel kycStatus failedLoginAttempts lastFailedLogin wallets ' +
       'btcBalance ethBalance solBalance usdtBalance usdcBalance bnbBalance maticBalance trxBalance ngnzBalance tonBalance ' +
-      'btcPendingBalance ethPendingBalance solPendingBalance usdtPendingBalance usdcPendingBalance bnbPendingBalance maticPendingBalance trxPendingBalance ngnzPendingBalance tonPendingBalance'
+      'btcPendingBalance ethPendingBalance solPendingBalance usdtPendingBalance usdcPendingBalance bnbPendingBalance maticPendingBalance trxPendingBalance ngnzPendingBalance tonPendingBalance ' +
+      'balances'
     );
 
     if (!user) {
@@ -234,7 +235,7 @@ router.get('/kyc-limits', async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    const limits = user.getKycLimits();
+    const limits = await resolveAllLimits(user);
     const requirements = user.getKycRequirements();
     
     res.status(200).json({ 
@@ -288,6 +289,9 @@ router.get('/kyc-status', async (req, res) => {
     }
 
     const requirements = user.getKycRequirements();
+    const effectiveLevel = user.getEffectiveKycLevel();
+    const documentExpiresAt = user.kyc.level2.documentExpiresAt;
+    const documentExpired = user.kyc.level2.status === 'expired' || (documentExpiresAt && documentExpiresAt <= new Date());
     
     res.status(200).json({ 
       success: true, 
@@ -295,10 +299,12 @@ router.get('/kyc-status', async (req, res) => {
         currentLevel: user.kycLevel,
         status: user.kycStatus,
         requirements: requirements,
-        nextSteps: user.kycLevel === 0 ? ['Phone verification'] : 
-                  user.kycLevel === 1 ? ['Email verification', 'Document verification'] : 
+        nextSteps: effectiveLevel === 0 ? ['Phone verification'] : 
+                  effectiveLevel === 1 && documentExpired ? ['Verify a valid ID document (your verified document has expired)'] :
+                  effectiveLevel === 1 ? ['Email verification', 'Document verification'] : 
+                  effectiveLevel === 2 ? ['Proof of address and source of funds (optional, for higher limits)'] :
                   ['All KYC requirements completed'],
-        isMaxLevel: user.kycLevel === 2
+        isMaxLevel: effectiveLevel === 3
       }
     });
   } catch (error) {
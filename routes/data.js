@@ -9,8 +9,10 @@ const { validateUserBalance } = require('../services/balance');
 const { validateTwoFactorAuth } = require('../services/twofactorAuth');
 const { validateTransactionLimit } = require('../services/kyccheckservice');
 const { sendAirtimePurchaseNotification } = require('../services/notificationService');
+const { emitEvent } = require('../services/outboundWebhookService');
 const { sendUtilityTransactionEmail } = require('../services/EmailService');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
 const { RedisLock } = require('../utils/redisLock');
 
 const router = express.Router();
@@ -37,19 +39,6 @@ const SUPPORTED_TOKENS = {
   NGNZ: { name: 'NGNZ Token' }
 };
 
-// Token field mapping for balance operations (NGNB changed to NGNZ)
-const TOKEN_FIELD_MAPPING = {
-  BTC: 'btc',
-  ETH: 'eth', 
-  SOL: 'sol',
-  USDT: 'usdt',
-  USDC: 'usdc',
-  BNB: 'bnb',
-  MATIC: 'matic',
-  AVAX: 'avax',
-  NGNZ: 'ngnz'
-};
-
 /**
  * Optimized user data retrieval with caching
  */
@@ -82,7 +71,7 @@ async function getCachedUser(userId) {
  * @param {Number} amount - Amount to add/subtract (negative for deductions)
  * @returns {Promise<Object>} Updated user
  */
-async function updateUserBalance(userId, currency, amount) {
+async function updateUserBalance(userId, currency, amount, reference = null) {
   if (!userId || !currency || typeof amount !== 'number') {
     throw new Error('Invalid parameters for balance update');
   }
@@ -95,25 +84,15 @@ async function updateUserBalance(userId, currency, amount) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    // Map currency to correct balance field
-    const currencyLower = TOKEN_FIELD_MAPPING[currencyUpper];
-    const balanceField = `${currencyLower}Balance`;
-    
-    // Simple atomic update
-    const updateFields = {
-      $inc: { [balanceField]: amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      updateFields, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    // Post through the ledger: debits pay the biller, credits reverse a failed purchase
+    const { user } = await postEntry({
+      type: amount < 0 ? 'BILL_PAYMENT' : 'BILL_REFUND',
+      userId,
+      reference,
+      description: `Data ${amount < 0 ? 'purchase' : 'reversal'}`,
+      actor: { kind: 'USER', id: String(userId) },
+      changes: [{ currency: currencyUpper, balanceDelta: amount, requireFunds: false }]
+    });
     
     // Clear cache
     userCache.delete(`user_${userId}`);
@@ -621,7 +600,7 @@ router.post('/purchase', async (req, res) => {
       logger.info(`✅ PayBeta API succeeded (${payBetaStatus}), deducting balance for ${finalRequestId}`);
       
       try {
-        await updateUserBalance(userId, currency, -amount);
+        await updateUserBalance(userId, currency, -amount, finalRequestId);
         balanceDeducted = true;
         
         logger.info(`✅ Balance deducted: -${amount} ${currency} for user ${userId}`);
@@ -751,6 +730,16 @@ router.post('/purchase', async (req, res) => {
     // Step 11: Return response - ONLY SUCCESS WHEN PAYBETA IS SUCCESSFUL
     if (payBetaStatus === 'successful') {
       
+      emitEvent('bill.completed', {
+        userId: String(userId),
+        billType: 'DATA',
+        amount,
+        currency: 'NGNZ',
+        serviceId: service_id,
+        requestId: finalRequestId,
+        orderId: payBetaResponse.data.order_id.toString()
+      });
+
       // ✅ SEND SUCCESS NOTIFICATION
       try {
         await sendAirtimePurchaseNotification(
@@ -929,3 +918,6 @@ setInterval(() => {
 }, 60000); // Clean every minute
 
 module.exports = router;
+
+// Provider call shared with scheduled bill payments (services/billPurchaseService)
+module.exports.callPayBetaAPI = callPayBetaAPI;
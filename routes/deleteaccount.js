@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const logger = require('../utils/logger');
+const { revokeAllUserTokens } = require('../services/tokenRevocationService');
 
 // Function to check if user has funds in any wallet
 function checkUserFunds(user) {
@@ -75,7 +76,9 @@ router.post('/initiate', async (req, res) => {
 
     user.accountDeletionScheduled = true;
     user.accountDeletionDate = deletionDate;
+    user.refreshTokens = []; // sign out every session
     await user.save();
+    await revokeAllUserTokens(userId, 'account deletion');
 
     logger.info('Account scheduled for deletion', {
       userId,
@@ -127,7 +130,9 @@ router.post('/delete', async (req, res) => {
 
     user.accountDeletionScheduled = true;
     user.accountDeletionDate = deletionDate;
+    user.refreshTokens = []; // sign out every session
     await user.save();
+    await revokeAllUserTokens(userId, 'account deletion');
 
     logger.info('Account scheduled for deletion', {
       userId,
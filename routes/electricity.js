@@ -11,6 +11,8 @@ const { validateTransactionLimit } = require('../services/kyccheckservice');
 const { sendPaymentNotification } = require('../services/notificationService');
 const { sendUtilityTransactionEmail } = require('../services/EmailService');
 const logger = require('../utils/logger');
+const { emitEvent } = require('../services/outboundWebhookService');
+const { postEntry } = require('../services/ledgerService');
 const { RedisLock } = require('../utils/redisLock');
 const crypto = require('crypto');
 
@@ -66,18 +68,6 @@ const SUPPORTED_TOKENS = {
   NGNZ: { name: 'NGNZ Token' }
 };
 
-const TOKEN_FIELD_MAPPING = {
-  BTC: 'btc',
-  ETH: 'eth', 
-  SOL: 'sol',
-  USDT: 'usdt',
-  USDC: 'usdc',
-  BNB: 'bnb',
-  MATIC: 'matic',
-  AVAX: 'avax',
-  NGNZ: 'ngnz'
-};
-
 /**
  * Optimized user data retrieval with caching
  */
@@ -110,7 +100,7 @@ async function getCachedUser(userId) {
  * @param {Number} amount - Amount to add/subtract (negative for deductions)
  * @returns {Promise<Object>} Updated user
  */
-async function updateUserBalance(userId, currency, amount) {
+async function updateUserBalance(userId, currency, amount, reference = null) {
   if (!userId || !currency || typeof amount !== 'number') {
     throw new Error('Invalid parameters for balance update');
   }
@@ -123,25 +113,15 @@ async function updateUserBalance(userId, currency, amount) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    // Map currency to correct balance field
-    const currencyLower = TOKEN_FIELD_MAPPING[currencyUpper];
-    const balanceField = `${currencyLower}Balance`;
-    
-    // Simple atomic update
-    const updateFields = {
-      $inc: { [balanceField]: amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      updateFields, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    // Post through the ledger: debits pay the biller, credits reverse a failed purchase
+    const { user } = await postEntry({
+      type: amount < 0 ? 'BILL_PAYMENT' : 'BILL_REFUND',
+      userId,
+      reference,
+      description: `Electricity ${amount < 0 ? 'purchase' : 'reversal'}`,
+      actor: { kind: 'USER', id: String(userId) },
+      changes: [{ currency: currencyUpper, balanceDelta: amount, requireFunds: false }]
+    });
     
     // Clear cache
     userCache.delete(`user_${userId}`);
@@ -912,7 +892,7 @@ router.post('/purchase', async (req, res) => {
     logger.info(`✅ PayBeta API succeeded (${paybetaStatus}), deducting balance immediately for ${finalRequestId}`);
 
     try {
-      await updateUserBalance(userId, currency, -amount);
+      await updateUserBalance(userId, currency, -amount, finalRequestId);
       balanceDeducted = true;
 
       logger.info(`✅ Balance deducted immediately: -${amount} ${currency} for user ${userId}`);
@@ -1029,6 +1009,16 @@ router.post('/purchase', async (req, res) => {
       metaDataUnits: finalTransaction?.metaData?.units
     });
 
+    emitEvent('bill.completed', {
+      userId: String(userId),
+      billType: 'ELECTRICITY',
+      amount,
+      currency: 'NGNZ',
+      serviceId: service_id,
+      requestId: validatedReference,
+      orderId: ebillsResponse.data.transactionId.toString()
+    });
+
     // ✅ SEND SUCCESS NOTIFICATION
     try {
       const { sendUtilityPaymentNotification } = require('../services/notificationService');
@@ -1195,3 +1185,6 @@ setInterval(() => {
 }, 60000); // Clean every minute
 
 module.exports = router;
+
+// Provider call shared with scheduled bill payments (services/billPurchaseService)
+module.exports.callPayBetaElectricityAPI = callPayBetaElectricityAPI;
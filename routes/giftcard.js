@@ -8,8 +8,7 @@ const GiftCard = require('../models/giftcard');
 const Transaction = require('../models/transaction');
 const GiftCardPrice = require('../models/giftcardPrice');
 const logger = require('../utils/logger');
-const { sendGiftcardSubmissionEmail, sendGiftcardAdminNotify } = require('../services/EmailService');
-const { sendGiftcardSubmissionNotification } = require('../services/notificationService');
+const { queueEmail, queuePush } = require('../services/backgroundJobs');
 
 // Cloudinary configuration
 cloudinary.config({
@@ -120,58 +119,32 @@ async function calculateAmountToReceive(cardType, country, cardValue, cardFormat
   };
 }
 
-// Safe email sending function
-async function safelySendGiftcardEmail(user, giftCard, transaction, rateCalculation, imageUrls) {
-  try {
-    if (!user.email) {
-      logger.warn('User has no email; skipping giftcard submission email', { 
-        userId: user._id, 
-        submissionId: giftCard._id 
-      });
-      return { success: false, reason: 'No email address' };
-    }
-
-    await sendGiftcardSubmissionEmail(
-      user.email,
-      user.firstName || user.username || 'User',
-      giftCard._id.toString(),
-      giftCard.cardType,
-      giftCard.cardFormat,
-      giftCard.country,
-      giftCard.cardValue,
-      rateCalculation.amountToReceive,
-      rateCalculation.targetCurrency,
-      rateCalculation.rateDisplay,
-      imageUrls.length,
-      imageUrls.slice(0, 3),
-      transaction._id.toString()
-    );
-
-    logger.info('Giftcard submission email sent successfully', { 
+// Submission email, retried by the email queue if Brevo is down
+function queueGiftcardSubmissionEmail(user, giftCard, transaction, rateCalculation, imageUrls) {
+  if (!user.email) {
+    logger.warn('User has no email; skipping giftcard submission email', { 
       userId: user._id, 
-      submissionId: giftCard._id,
-      email: user.email
-    });
-    
-    return { success: true };
-  } catch (emailErr) {
-    logger.error('Failed to send giftcard submission email', {
-      userId: user._id,
-      submissionId: giftCard._id,
-      email: user.email,
-      error: emailErr.message,
-      stack: emailErr.stack,
-      templateIdConfigured: !!process.env.BREVO_TEMPLATE_GIFTCARD_SUBMISSION,
-      brevoApiKeyConfigured: !!process.env.BREVO_API_KEY,
-      senderEmailConfigured: !!process.env.SENDER_EMAIL || !!process.env.SUPPORT_EMAIL
+      submissionId: giftCard._id 
     });
-    
-    return { 
-      success: false, 
-      reason: emailErr.message,
-      error: emailErr 
-    };
+    return;
   }
+
+  queueEmail(
+    'sendGiftcardSubmissionEmail',
+    user.email,
+    user.firstName || user.username || 'User',
+    giftCard._id.toString(),
+    giftCard.cardType,
+    giftCard.cardFormat,
+    giftCard.country,
+    giftCard.cardValue,
+    rateCalculation.amountToReceive,
+    rateCalculation.targetCurrency,
+    rateCalculation.rateDisplay,
+    imageUrls.length,
+    imageUrls.slice(0, 3),
+    transaction._id.toString()
+  );
 }
 
 // Debug middleware to log request details
@@ -428,68 +401,25 @@ router.post('/submit', upload.array('cardImages', GIFTCARD_CONFIG.MAX_IMAGES), a
       responseData.vanillaTypeName = VANILLA_TYPES[normalizedVanillaType];
     }
 
-    // Send email and push notification asynchronously
-    setImmediate(async () => {
-      // Send email notification
-      logger.debug('Sending gift card submission email', { userId, giftCardId: giftCard._id });
-      const emailResult = await safelySendGiftcardEmail(user, giftCard, transaction, rateCalculation, imageUrls);
-
-      if (emailResult.success) {
-        logger.info('Async: Giftcard submission email sent successfully', {
-          userId: user._id,
-          submissionId: giftCard._id,
-          email: user.email
-        });
-      } else {
-        logger.warn('Async: Giftcard submission email failed (non-critical)', {
-          userId: user._id,
-          submissionId: giftCard._id,
-          email: user.email,
-          reason: emailResult.reason
-        });
-      }
-
-      // Send push notification
-      try {
-        await sendGiftcardSubmissionNotification(
-          userId,
-          normalizedCardType,
-          cardVal,
-          rateCalculation.amountToReceive,
-          giftCard._id.toString()
-        );
-        logger.info('Giftcard submission notification sent', {
-          userId: user._id,
-          submissionId: giftCard._id
-        });
-      } catch (error) {
-        logger.error('Failed to send giftcard submission push notification', {
-          userId: user._id,
-          submissionId: giftCard._id,
-          error: error.message
-        });
-      }
-
-      // Send email alert to admins
-      try {
-        await sendGiftcardAdminNotify({
-          username: user.firstName || user.username || 'Customer',
-          cardType: normalizedCardType,
-          cardFormat: normalizedCardFormat,
-          cardValue: cardVal,
-          expectedAmount: rateCalculation.amountToReceive,
-          country: normalizedCountry,
-          submissionId: giftCard._id.toString().slice(-8).toUpperCase()
-        });
-        logger.info('Giftcard admin email alert sent', {
-          submissionId: giftCard._id
-        });
-      } catch (emailError) {
-        logger.error('Failed to send giftcard admin email alert', {
-          submissionId: giftCard._id,
-          error: emailError.message
-        });
-      }
+    // Email and push notifications go through the job queues (retried on failure)
+    queueGiftcardSubmissionEmail(user, giftCard, transaction, rateCalculation, imageUrls);
+    queuePush(
+      'sendGiftcardSubmissionNotification',
+      String(userId),
+      normalizedCardType,
+      cardVal,
+      rateCalculation.amountToReceive,
+      giftCard._id.toString()
+    );
+    // Email alert to admins
+    queueEmail('sendGiftcardAdminNotify', {
+      username: user.firstName || user.username || 'Customer',
+      cardType: normalizedCardType,
+      cardFormat: normalizedCardFormat,
+      cardValue: cardVal,
+      expectedAmount: rateCalculation.amountToReceive,
+      country: normalizedCountry,
+      submissionId: giftCard._id.toString().slice(-8).toUpperCase()
     });
 
     return res.status(201).json({ success: true, message: 'Gift card submitted successfully', data: responseData });
@@ -0,0 +1,78 @@
+const express = require('express');
+const multer = require('multer');
+const { KycLevel3Error, getLevel3Status, submitApplication } = require('../services/kycLevel3Service');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+});
+
+function handleError(res, error, source) {
+  if (error instanceof KycLevel3Error) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { userId: res.req?.user?.id, error: error.message, stack: error.stack });
+  return res.status(500).json({ success: false, message: 'Failed to process KYC level 3 request' });
+}
+
+// Multipart fields arrive either as bracketed keys (address[line1]) or as JSON strings
+function objectField(value) {
+  if (typeof value !== 'string') return value || {};
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return {};
+  }
+}
+
+// GET /kyc-level3 - Level 3 status, requirements and whether the user can apply
+router.get('/', async (req, res) => {
+  try {
+    const status = await getLevel3Status(req.user.id);
+    return res.json({ success: true, data: status });
+  } catch (error) {
+    return handleError(res, error, 'GET /kyc-level3');
+  }
+});
+
+// POST /kyc-level3/apply - multipart/form-data
+// File: proofOfAddress (JPEG, PNG, WebP or PDF)
+// Fields: address { line1, line2?, city, state, postalCode?, country? },
+//         proofOfAddress { documentType, issuedAt },
+//         sourceOfFunds { primarySource, description, occupation?, employerOrBusiness?, expectedMonthlyVolumeNgn },
+//         declarationAccepted (true)
+router.post('/apply', (req, res) => {
+  upload.single('proofOfAddress')(req, res, async (uploadError) => {
+    if (uploadError) return handleError(res, uploadError, 'POST /kyc-level3/apply');
+
+    try {
+      const application = await submitApplication(req.user.id, {
+        address: objectField(req.body.address),
+        proofOfAddress: objectField(req.body.proofOfAddress),
+        sourceOfFunds: objectField(req.body.sourceOfFunds),
+        declarationAccepted: req.body.declarationAccepted
+      }, req.file);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Your KYC Level 3 application has been submitted for review.',
+        data: {
+          applicationId: application._id,
+          status: application.status,
+          renewal: application.renewal,
+          submittedAt: application.createdAt
+        }
+      });
+    } catch (error) {
+      return handleError(res, error, 'POST /kyc-level3/apply');
+    }
+  });
+});
+
+module.exports = router;
@@ -1,171 +1,99 @@
 const express = require('express');
-const crypto = require('crypto');
 const router = express.Router();
 
 // Models & Config
 const User = require('../models/user');
 const KYC = require('../models/kyc');
-const config = require('./config');
 const logger = require('../utils/logger');
+const { receiveWebhook, registerWebhookHandler, WebhookPermanentError } = require('../services/webhookInbox');
+const { emitEvent } = require('../services/outboundWebhookService');
 
 // Services
 const { sendKycCompletionNotification } = require('../services/notificationService');
-const { sendKycEmail, sendNINVerificationEmail, sendKycProvisionalEmail, sendKycProvisionalAdminNotify } = require('../services/EmailService');
+const { queueKycFollowUp } = require('../services/backgroundJobs');
+const { getProvider, providerJobFields } = require('../services/kycProviders');
+const { documentExpiryFields, level2ExpiryUpdate } = require('../services/kycReverificationService');
 
 // KYC Helpers
-const { classifyOutcome, parseFullName, isBvnIdType, isNinIdType } = require('../utils/kycHelpers');
-
-// Youverify Configuration
-const YOUVERIFY_CONFIG = {
-  webhookSigningKey: process.env.YOUVERIFY_WEBHOOK_SIGNING_KEY || config.youverify?.webhookSigningKey,
-};
-
-// ID type mappings for Youverify
-const ID_TYPE_MAPPING = {
-  'passport': 'passport',
-  'nin': 'national_id',
-  'drivers-license': 'drivers_license',
-  'drivers_license': 'drivers_license',
-  'bvn': 'bvn',
-  'pvc': 'voter_id'
-};
+const { parseFullName, isBvnIdType, isNinIdType } = require('../utils/kycHelpers');
 
 /**
- * Verify Youverify webhook signature
+ * Flatten a parsed provider callback (services/kycProviders) into the fields
+ * the handler below stores on the KYC record and user.
  */
-function verifyYouverifySignature(payload, signature, secretKey) {
-  if (!signature || !secretKey) return false;
-  try {
-    const expectedSignature = crypto
-      .createHmac('sha256', secretKey)
-      .update(payload, 'utf8')
-      .digest('hex');
-
-    return crypto.timingSafeEqual(
-      Buffer.from(expectedSignature.toLowerCase(), 'hex'),
-      Buffer.from(signature.toLowerCase(), 'hex')
-    );
-  } catch (error) {
-    logger.error('Youverify signature verification error:', error);
-    return false;
-  }
-}
-
-// Classification logic now handled by utils/kycHelpers.js
-
-function normalize(webhookBody) {
-  const { event, apiVersion, data } = webhookBody || {};
-  if (!data || typeof data !== 'object') return null;
-
-  // Sanitize function to prevent injection attacks
-  const sanitize = (str) => {
-    if (typeof str !== 'string') return str;
-    return str.replace(/[<>$]/g, '').trim().substring(0, 500); // Limit length
-  };
-
-  const addressData = data.address || {};
-  const addressString = addressData.addressLine
-    ? `${sanitize(addressData.addressLine)}, ${sanitize(addressData.lga || '')}, ${sanitize(addressData.state || '')}`.trim()
-    : null;
-
-  const validations = data.validations?.data || {};
-  const fullName = data.firstName && data.lastName
-    ? `${sanitize(data.firstName)} ${sanitize(data.middleName || '')} ${sanitize(data.lastName)}`.trim().replace(/\s+/g, ' ')
-    : null;
-
-  // Extract metadata for job matching
-  const metadata = data.metadata || {};
-
+function callbackFields(parsed) {
+  const { result, details = {} } = parsed;
   return {
+    ...details,
     jobComplete: true,
-    jobSuccess: data.status === 'found' && data.allValidationPassed === true,
-    status: sanitize(data.status),
-    allValidationPassed: data.allValidationPassed,
-    country: sanitize(data.country) || 'NG',
-    dob: sanitize(data.dateOfBirth) || null,
-    fullName,
-    firstName: sanitize(data.firstName) || null,
-    middleName: sanitize(data.middleName) || null,
-    lastName: sanitize(data.lastName) || null,
-    gender: sanitize(data.gender) || null,
-    idNumber: sanitize(data.idNumber) || null,
-    idType: sanitize(data.type) || null,
-    address: addressString,
-    youverifyId: sanitize(data._id) || null,
-    imageLinks: {
-      document_image: data.image || data.fullDocumentFrontImage || null,
-      selfie_image: data.faceImage || null,
-      fullDocumentBackImage: data.fullDocumentBackImage || null,
-      signatureImage: data.signatureImage || null
-    },
-    reason: sanitize(data.reason || data.validations?.validationMessages?.[0]) || null,
+    jobSuccess: details.jobSuccess ?? result.status === 'APPROVED',
+    status: details.status || result.resultText,
+    fullName: result.person.fullName,
+    firstName: result.person.firstName,
+    middleName: result.person.middleName,
+    lastName: result.person.lastName,
+    dob: result.person.dateOfBirth,
+    gender: result.person.gender,
+    idNumber: result.person.idNumber,
+    address: result.person.address,
+    idType: details.idType || null,
+    imageLinks: result.imageLinks,
+    reason: result.reason,
+    partnerJobId: parsed.partnerJobId,
+    providerJobId: parsed.providerJobId,
+    userId: parsed.userId,
     environment: process.env.NODE_ENV || 'development',
-    event: sanitize(event),
-    apiVersion: sanitize(apiVersion),
-    // Metadata fields for job matching
-    partnerJobId: sanitize(metadata.partner_job_id) || null,
-    userId: sanitize(metadata.user_id) || null,
     // Store raw payload for debugging
-    rawPayload: data
+    rawPayload: result.raw
   };
 }
 
-function isValidKycDocument(idType) {
-  const normalizedIdType = ID_TYPE_MAPPING[idType] || idType?.toLowerCase();
-  const validDocuments = ['bvn', 'national_id', 'passport', 'drivers_license', 'nin_slip', 'voter_id', 'nin'];
-  return validDocuments.includes(normalizedIdType);
-}
-
-// ---------------- Webhook Handler ----------------
-router.post('/callback', async (req, res) => {
+// ---------------- Webhook Processing ----------------
+/**
+ * Apply a verified provider result to the KYC record and user. Runs from the
+ * webhook inbox (services/webhookInbox); throwing makes the inbox retry it.
+ * @param {Object} provider - Adapter from services/kycProviders
+ * @param {Object} parsedBody - Parsed webhook payload
+ * @returns {Promise<Object>} Summary stored on the WebhookEvent
+ */
+async function processKycProviderEvent(provider, parsedBody) {
   const startTime = Date.now();
   let userId = null;
 
   try {
-    const rawPayload = req.rawBody || JSON.stringify(req.body);
-    const signature = req.headers['x-youverify-signature'];
-
-    // 1. Signature Verification - REQUIRED FOR SECURITY
-    if (!YOUVERIFY_CONFIG.webhookSigningKey) {
-      logger.error('Youverify webhook signing key not configured - rejecting webhook');
-      return res.status(500).json({ success: false, message: 'Server configuration error' });
-    }
-
-    if (!verifyYouverifySignature(rawPayload, signature, YOUVERIFY_CONFIG.webhookSigningKey)) {
-      logger.warn('Invalid webhook signature detected', { signature: signature?.substring(0, 10) + '...' });
-      return res.status(401).json({ success: false, message: 'Invalid signature' });
-    }
-
     // 2. Data Normalization
-    const parsedBody = req.rawBody ? JSON.parse(req.rawBody) : req.body;
-    const norm = normalize(parsedBody);
-    if (!norm) {
-      logger.warn('Webhook received with missing or invalid data');
-      return res.status(400).json({ success: false, message: 'Missing data' });
+    const parsed = provider.parseCallback(parsedBody);
+    if (!parsed) {
+      logger.warn('Webhook received with missing or invalid data', { provider: provider.name });
+      throw new WebhookPermanentError('Missing data');
     }
+    const norm = callbackFields(parsed);
 
-    logger.info('Youverify webhook received', {
+    logger.info('KYC provider webhook received', {
+      provider: provider.name,
       event: norm.event,
-      youverifyId: norm.youverifyId,
+      providerJobId: norm.providerJobId,
       partnerJobId: norm.partnerJobId,
       idType: norm.idType,
       status: norm.status,
       allValidationPassed: norm.allValidationPassed,
       jobSuccess: norm.jobSuccess,
       reason: norm.reason,
-      fullPayload: req.rawBody || JSON.stringify(req.body)
+      fullPayload: JSON.stringify(parsedBody)
     });
 
     // 3. Find KYC Record - IMPROVED MATCHING
     // Priority 1: Match by partnerJobId (most reliable)
-    // Priority 2: Match by youverifyId
+    // Priority 2: Match by the provider's job id
     // Priority 3: Match by idNumber + userId (as fallback)
+    // Only records this provider created - a callback can never settle another vendor's job
+    const providerScope = { provider: provider.name, status: { $in: ['PENDING', 'PROVISIONAL'] } };
     let kycDoc = null;
 
     if (norm.partnerJobId) {
       kycDoc = await KYC.findOne({
         partnerJobId: norm.partnerJobId,
-        status: { $in: ['PENDING', 'PROVISIONAL'] }
+        ...providerScope
       }).sort({ createdAt: -1 });
 
       if (kycDoc) {
@@ -173,15 +101,16 @@ router.post('/callback', async (req, res) => {
       }
     }
 
-    // Fallback to youverifyId
-    if (!kycDoc && norm.youverifyId) {
+    // Fallback to the provider's job id (legacy records only have youverifyId / smileJobId)
+    if (!kycDoc && norm.providerJobId) {
+      const jobIdFields = providerJobFields(provider.name, norm.providerJobId);
       kycDoc = await KYC.findOne({
-        youverifyId: norm.youverifyId,
-        status: { $in: ['PENDING', 'PROVISIONAL'] }
+        $or: Object.entries(jobIdFields).map(([field, value]) => ({ [field]: value })),
+        ...providerScope
       }).sort({ createdAt: -1 });
 
       if (kycDoc) {
-        logger.info('KYC record found by youverifyId', { kycId: kycDoc._id, youverifyId: norm.youverifyId });
+        logger.info('KYC record found by provider job id', { kycId: kycDoc._id, providerJobId: norm.providerJobId });
       }
     }
 
@@ -190,7 +119,7 @@ router.post('/callback', async (req, res) => {
       kycDoc = await KYC.findOne({
         userId: norm.userId,
         idNumber: norm.idNumber,
-        status: { $in: ['PENDING', 'PROVISIONAL'] }
+        ...providerScope
       }).sort({ createdAt: -1 });
 
       if (kycDoc) {
@@ -201,27 +130,21 @@ router.post('/callback', async (req, res) => {
     if (!kycDoc) {
       logger.warn('No matching pending KYC record found', {
         partnerJobId: norm.partnerJobId,
-        youverifyId: norm.youverifyId,
+        providerJobId: norm.providerJobId,
         idNumber: norm.idNumber ? `${norm.idNumber.substring(0, 4)}****` : null
       });
-      return res.status(200).json({ success: true, ignored: 'no_pending_kyc_found' });
+      return { ignored: 'no_pending_kyc_found' };
     }
 
     userId = kycDoc.userId;
     const user = await User.findById(userId);
     if (!user) {
       logger.error('User not found for KYC record', { userId, kycId: kycDoc._id });
-      return res.status(200).json({ success: true, ignored: 'user_not_found' });
+      return { ignored: 'user_not_found' };
     }
 
-    // 4. Classify Outcome using shared helper
-    const status = classifyOutcome({
-      status: norm.status,
-      allValidationPassed: norm.allValidationPassed,
-      job_success: norm.jobSuccess,
-      code: null, // Webhooks don't send result codes
-      text: norm.reason
-    });
+    // 4. Outcome as classified by the provider adapter
+    const status = parsed.result.status;
 
     logger.info('KYC outcome classified', {
       userId,
@@ -231,12 +154,13 @@ router.post('/callback', async (req, res) => {
       allValidationPassed: norm.allValidationPassed
     });
 
-    const frontendIdType = ID_TYPE_MAPPING[norm.idType] || kycDoc.frontendIdType || norm.idType?.toLowerCase();
+    const frontendIdType = norm.frontendIdType || kycDoc.frontendIdType || norm.idType?.toLowerCase();
     const isBvn = isBvnIdType(frontendIdType);
     const isNIN = isNinIdType(frontendIdType);
 
     // Parse name if available
     const parsedName = parseFullName(norm.fullName);
+    const documentDates = status === 'APPROVED' ? documentExpiryFields(parsed.result) : {};
 
     // 5. Update KYC Record with ALL available data
     const kycUpdate = {
@@ -273,8 +197,11 @@ router.post('/callback', async (req, res) => {
         signatureImage: norm.imageLinks?.signatureImage || kycDoc.imageLinks?.signatureImage
       },
 
-      // Youverify ID
-      youverifyId: norm.youverifyId || kycDoc.youverifyId,
+      // Document validity (passport, driver's licence)
+      ...documentDates,
+
+      // Provider job id
+      ...providerJobFields(provider.name, norm.providerJobId),
 
       // Error/rejection reason
       errorReason: status === 'REJECTED' ? norm.reason : null,
@@ -322,13 +249,19 @@ router.post('/callback', async (req, res) => {
           userUpdate['kyc.level2.documentNumber'] = norm.idNumber || kycDoc.idNumber;
           userUpdate['kyc.level2.approvedAt'] = now;
           userUpdate['kyc.level2.rejectionReason'] = null;
+          Object.assign(userUpdate, level2ExpiryUpdate(documentDates.documentExpiresAt));
 
           if (user.kycLevel < 2) {
             userUpdate.kycLevel = 2;
             logger.info('User upgraded to KYC Level 2 via webhook', { userId });
           }
         } else {
-          logger.info('Document KYC already approved, skipping', { userId });
+          // Re-verification ahead of expiry: the new document replaces the old one
+          userUpdate['kyc.level2.documentType'] = frontendIdType;
+          userUpdate['kyc.level2.documentNumber'] = norm.idNumber || kycDoc.idNumber;
+          userUpdate['kyc.level2.approvedAt'] = now;
+          Object.assign(userUpdate, level2ExpiryUpdate(documentDates.documentExpiresAt));
+          logger.info('Document KYC re-verified', { userId, documentExpiresAt: documentDates.documentExpiresAt });
         }
       }
     } else if (status === 'REJECTED') {
@@ -365,6 +298,16 @@ router.post('/callback', async (req, res) => {
       kycLevel: updatedUser.kycLevel
     });
 
+    if (userUpdate.kycLevel) {
+      emitEvent('kyc.upgraded', {
+        userId: String(userId),
+        previousLevel: user.kycLevel || 0,
+        level: updatedUser.kycLevel,
+        source: provider.name,
+        documentType: frontendIdType || null
+      });
+    }
+
     // 7. Call upgrade hook if approved (for document KYC)
     if (status === 'APPROVED' && !isBvn) {
       try {
@@ -380,60 +323,56 @@ router.post('/callback', async (req, res) => {
       }
     }
 
-    // 8. Send Email Notifications
+    // 8. Queue Email Notifications (retried by the kyc job queue)
     if (status === 'PROVISIONAL') {
-      try {
-        await sendKycProvisionalEmail(
+      queueKycFollowUp(
+        'sendKycProvisionalEmail',
+        updatedUser.email,
+        updatedUser.firstname || 'User',
+        frontendIdType || kycDoc.frontendIdType,
+        norm.reason || 'Your verification requires additional review and may take longer than usual.'
+      );
+
+      queueKycFollowUp('sendKycProvisionalAdminNotify', {
+        username: updatedUser.firstname || updatedUser.email,
+        userId: String(userId),
+        idType: frontendIdType || kycDoc.frontendIdType,
+        provisionalReason: norm.reason || 'No reason provided',
+        kycId: String(kycDoc._id)
+      });
+      logger.info(`KYC provisional email queued for ${updatedUser.email}`);
+    } else if (status !== 'PENDING') {
+      if (isNIN) {
+        queueKycFollowUp(
+          'sendNINVerificationEmail',
           updatedUser.email,
           updatedUser.firstname || 'User',
-          frontendIdType || kycDoc.frontendIdType,
-          norm.reason || 'Your verification requires additional review and may take longer than usual.'
+          status.toLowerCase(),
+          updatedUser.kycLevel,
+          status === 'REJECTED' ? norm.reason : null
+        );
+      } else if (isBvn) {
+        queueKycFollowUp(
+          'sendKycEmail',
+          updatedUser.email,
+          updatedUser.firstname || 'User',
+          status,
+          status === 'REJECTED'
+            ? (norm.reason || 'BVN verification failed')
+            : 'Your BVN has been successfully verified.'
+        );
+      } else {
+        queueKycFollowUp(
+          'sendKycEmail',
+          updatedUser.email,
+          updatedUser.firstname || 'User',
+          status,
+          status === 'REJECTED'
+            ? (norm.reason || 'Information mismatch')
+            : 'Your identity verification was successful.'
         );
-        logger.info(`KYC provisional email sent to ${updatedUser.email}`);
-
-        await sendKycProvisionalAdminNotify({
-          username: updatedUser.firstname || updatedUser.email,
-          userId: String(userId),
-          idType: frontendIdType || kycDoc.frontendIdType,
-          provisionalReason: norm.reason || 'No reason provided',
-          kycId: String(kycDoc._id)
-        }).catch(err => logger.error('KYC provisional admin notify failed', { error: err.message }));
-      } catch (emailErr) {
-        logger.error('Provisional email notification failed', { userId, error: emailErr.message });
-      }
-    } else if (status !== 'PENDING') {
-      try {
-        if (isNIN) {
-          await sendNINVerificationEmail(
-            updatedUser.email,
-            updatedUser.firstname || 'User',
-            status.toLowerCase(),
-            updatedUser.kycLevel,
-            status === 'REJECTED' ? norm.reason : null
-          );
-        } else if (isBvn) {
-          await sendKycEmail(
-            updatedUser.email,
-            updatedUser.firstname || 'User',
-            status,
-            status === 'REJECTED'
-              ? (norm.reason || 'BVN verification failed')
-              : 'Your BVN has been successfully verified.'
-          );
-        } else {
-          await sendKycEmail(
-            updatedUser.email,
-            updatedUser.firstname || 'User',
-            status,
-            status === 'REJECTED'
-              ? (norm.reason || 'Information mismatch')
-              : 'Your identity verification was successful.'
-          );
-        }
-        logger.info(`KYC Email sent to ${updatedUser.email} for status: ${status}`);
-      } catch (emailErr) {
-        logger.error('Email notification failed', { userId, error: emailErr.message });
       }
+      logger.info(`KYC Email queued for ${updatedUser.email} for status: ${status}`);
     }
 
     logger.info('Webhook processed successfully', {
@@ -443,12 +382,11 @@ router.post('/callback', async (req, res) => {
       processingTime: Date.now() - startTime
     });
 
-    return res.status(200).json({
-      success: true,
+    return {
       status,
       kycId: kycDoc._id,
       processingTime: Date.now() - startTime
-    });
+    };
 
   } catch (error) {
     logger.error('Webhook processing error', {
@@ -456,8 +394,77 @@ router.post('/callback', async (req, res) => {
       stack: error.stack,
       userId
     });
+    throw error;
+  }
+}
+
+registerWebhookHandler('youverify', payload => processKycProviderEvent(getProvider('youverify'), payload));
+registerWebhookHandler('kyc_mock', payload => processKycProviderEvent(getProvider('mock'), payload));
+
+// ---------------- Webhook Handler ----------------
+/**
+ * Store a provider callback in the webhook inbox and acknowledge it; the
+ * registered handler above applies it.
+ */
+async function receiveProviderCallback(req, res, provider, source) {
+  try {
+    const rawPayload = req.rawBody || JSON.stringify(req.body);
+
+    // 1. Signature Verification - REQUIRED FOR SECURITY
+    if (provider.callbackConfigured && !provider.callbackConfigured()) {
+      logger.error(`${provider.label} webhook signing key not configured - rejecting webhook`);
+      return res.status(500).json({ success: false, message: 'Server configuration error' });
+    }
+
+    let parsedBody;
+    try {
+      parsedBody = req.rawBody ? JSON.parse(req.rawBody) : req.body;
+    } catch (parseError) {
+      logger.warn(`${provider.label} webhook with invalid JSON`);
+      return res.status(400).json({ success: false, message: 'Invalid JSON payload' });
+    }
+
+    const signatureValid = provider.verifyCallback({ rawBody: rawPayload, headers: req.headers, payload: parsedBody });
+    const parsed = provider.parseCallback(parsedBody);
+
+    const { event: storedEvent, duplicate } = await receiveWebhook({
+      source,
+      eventId: parsed?.eventId || null,
+      eventType: parsed?.eventType || null,
+      rawBody: rawPayload,
+      payload: parsedBody,
+      headers: req.headers,
+      signatureValid,
+      signatureError: signatureValid === false ? 'Invalid signature' : null
+    });
+
+    if (signatureValid === false) {
+      logger.warn('Invalid webhook signature detected', { provider: provider.name });
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+
+    return res.status(200).json({ success: true, received: true, eventId: storedEvent._id, duplicate });
+
+  } catch (error) {
+    logger.error('Webhook receive error', { provider: provider.name, error: error.message, stack: error.stack });
     return res.status(500).json({ success: false, error: error.message });
   }
-});
+}
+
+router.post('/callback', (req, res) => receiveProviderCallback(req, res, getProvider('youverify'), 'youverify'));
+
+// Settles PENDING mock jobs in tests and local development. Only mounted when
+// explicitly enabled; getProvider still refuses the mock in production.
+if (process.env.KYC_MOCK_ENABLED === 'true') {
+  router.post('/mock-callback', (req, res) => {
+    let provider;
+    try {
+      provider = getProvider('mock');
+    } catch (error) {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    return receiveProviderCallback(req, res, provider, 'kyc_mock');
+  });
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,218 @@
+// routes/limitOrders.js
+const express = require('express');
+const router = express.Router();
+const LimitOrder = require('../models/limitOrder');
+const PriceAlert = require('../models/priceAlert');
+const {
+  LimitOrderError,
+  placeLimitOrder,
+  cancelLimitOrder,
+  createPriceAlert
+} = require('../services/limitOrderService');
+const logger = require('../utils/logger');
+
+function serializeOrder(order) {
+  return {
+    orderId: order.orderId,
+    kind: order.kind,
+    side: order.side,
+    sourceCurrency: order.sourceCurrency,
+    targetCurrency: order.targetCurrency,
+    amount: order.amount,
+    limitRate: order.limitRate,
+    minAmountReceived: order.minAmountReceived,
+    status: order.status,
+    expiresAt: order.expiresAt,
+    executedRate: order.executedRate,
+    amountReceived: order.amountReceived,
+    swapId: order.swapId,
+    filledAt: order.filledAt,
+    cancelledAt: order.cancelledAt,
+    failureReason: order.failureReason,
+    createdAt: order.createdAt
+  };
+}
+
+function parsePagination(query) {
+  const pageNum = Math.max(1, parseInt(query.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { pageNum, limitNum };
+}
+
+function handleError(res, error, source, userId) {
+  if (error instanceof LimitOrderError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// POST /limit-orders - Place a limit order
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { from, to, amount, limitRate, expiresInDays } = req.body;
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'from and to are required' });
+    }
+
+    const order = await placeLimitOrder(userId, { from, to, amount, limitRate, expiresInDays });
+    return res.status(201).json({
+      success: true,
+      message: 'Limit order placed',
+      data: serializeOrder(order)
+    });
+  } catch (error) {
+    return handleError(res, error, 'POST /limit-orders', userId);
+  }
+});
+
+// GET /limit-orders - Open orders
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { pageNum, limitNum } = parsePagination(req.query);
+    const filter = { userId, status: { $in: LimitOrder.OPEN_STATUSES } };
+
+    const [items, total] = await Promise.all([
+      LimitOrder.find(filter).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      LimitOrder.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        items: items.map(serializeOrder),
+        pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'GET /limit-orders', userId);
+  }
+});
+
+// GET /limit-orders/history - Closed orders (filled, cancelled, expired, failed)
+router.get('/history', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { pageNum, limitNum } = parsePagination(req.query);
+    const closedStatuses = LimitOrder.LIMIT_ORDER_STATUSES.filter(s => !LimitOrder.OPEN_STATUSES.includes(s));
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+
+    if (status && !closedStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${closedStatuses.join(', ')}`
+      });
+    }
+
+    const filter = { userId, status: status || { $in: closedStatuses } };
+    const [items, total] = await Promise.all([
+      LimitOrder.find(filter).sort({ updatedAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      LimitOrder.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        items: items.map(serializeOrder),
+        pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'GET /limit-orders/history', userId);
+  }
+});
+
+// POST /limit-orders/alerts - Create a price alert
+router.post('/alerts', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { symbol, condition, targetPrice } = req.body;
+    if (!symbol) {
+      return res.status(400).json({ success: false, message: 'symbol is required' });
+    }
+
+    const alert = await createPriceAlert(userId, {
+      symbol: String(symbol).toUpperCase(),
+      condition: condition ? String(condition).toUpperCase() : condition,
+      targetPrice
+    });
+    return res.status(201).json({ success: true, message: 'Price alert created', data: alert });
+  } catch (error) {
+    return handleError(res, error, 'POST /limit-orders/alerts', userId);
+  }
+});
+
+// GET /limit-orders/alerts - Price alerts (active by default)
+router.get('/alerts', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { pageNum, limitNum } = parsePagination(req.query);
+    const status = req.query.status ? String(req.query.status).toUpperCase() : 'ACTIVE';
+    const filter = { userId, status };
+
+    const [items, total] = await Promise.all([
+      PriceAlert.find(filter).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      PriceAlert.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        items,
+        pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'GET /limit-orders/alerts', userId);
+  }
+});
+
+// DELETE /limit-orders/alerts/:id - Cancel a price alert
+router.delete('/alerts/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const alert = await PriceAlert.findOneAndUpdate(
+      { _id: req.params.id, userId, status: 'ACTIVE' },
+      { $set: { status: 'CANCELLED' } },
+      { new: true }
+    );
+    if (!alert) {
+      return res.status(404).json({ success: false, message: 'Active price alert not found' });
+    }
+    return res.json({ success: true, message: 'Price alert cancelled', data: alert });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, message: 'Active price alert not found' });
+    }
+    return handleError(res, error, 'DELETE /limit-orders/alerts/:id', userId);
+  }
+});
+
+// GET /limit-orders/:orderId - One order
+router.get('/:orderId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const order = await LimitOrder.findOne({ orderId: req.params.orderId, userId }).lean();
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Limit order not found' });
+    }
+    return res.json({ success: true, data: serializeOrder(order) });
+  } catch (error) {
+    return handleError(res, error, 'GET /limit-orders/:orderId', userId);
+  }
+});
+
+// DELETE /limit-orders/:orderId - Cancel an open order and release its funds
+router.delete('/:orderId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const order = await cancelLimitOrder(userId, req.params.orderId);
+    return res.json({ success: true, message: 'Limit order cancelled', data: serializeOrder(order) });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /limit-orders/:orderId', userId);
+  }
+});
+
+module.exports = router;
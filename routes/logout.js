@@ -3,6 +3,7 @@ const jwt = require('jsonwebtoken');
 const router = express.Router();
 const User = require('../models/user'); // ✅ Your model path
 const logger = require('../utils/logger'); // ✅ Import your logger
+const { revokeSessionTokens, revokeTokenId, revokeAllUserTokens } = require('../services/tokenRevocationService');
 
 // POST: /logout - Logs out a user by removing a refresh token
 router.post('/logout', async (req, res) => {
@@ -35,6 +36,18 @@ router.post('/logout', async (req, res) => {
       logger.warn('Logout token not found in user record', { userId, refreshToken });
     }
 
+    // The calling access token stops working now rather than at expiry: by
+    // session, by token id, or failing both by a cutoff for the whole user
+    if (req.user && String(req.user.id) === String(userId)) {
+      if (req.user.sid) {
+        await revokeSessionTokens(req.user.sid);
+      } else if (req.user.jti) {
+        await revokeTokenId(req.user.jti, req.user.exp);
+      } else {
+        await revokeAllUserTokens(userId, 'logout without session id');
+      }
+    }
+
     res.status(200).json({ message: 'Logged out successfully.' });
   } catch (error) {
     logger.error('Error during logout', { userId, error: error.message, stack: error.stack });
@@ -10,70 +10,52 @@ const {
   sendWithdrawalNotification 
 } = require('../services/notificationService');
 const { invalidateSpending } = require('../services/kyccheckservice');
-
-// Supported tokens - aligned with user schema balance fields
-const SUPPORTED_TOKENS = {
-  BTC: 'btc',
-  ETH: 'eth', 
-  SOL: 'sol',
-  USDT: 'usdt',
-  USDC: 'usdc',
-  BNB: 'bnb',
-  MATIC: 'matic',
-  TRX: 'trx',
-  TON: 'ton',
-  NGNZ: 'ngnz',
-  NGNX: 'ngnz'     // Obiex uses NGNX, map to NGNZ for our app
-};
+const { postEntry } = require('../services/ledgerService');
+const { resolveSymbol, getAsset, getBalanceFields, readUserBalance } = require('../services/assetRegistry');
+const { receiveWebhook, registerWebhookHandler, WebhookPermanentError } = require('../services/webhookInbox');
+const { emitEvent } = require('../services/outboundWebhookService');
 
 /**
- * Update user balance directly for deposits
+ * Credit user balance for deposits through the ledger
  * @param {String} userId - User ID
  * @param {String} currency - Currency code
  * @param {Number} amount - Amount to add
- * @returns {Promise<Object>} Updated user
+ * @param {String} [reference] - Deposit reference recorded on the journal entry
+ * @param {String} [obiexTransactionId] - Makes the credit idempotent across webhook retries
+ * @returns {Promise<Object|null>} Updated user, or null if this deposit was already credited
  */
-async function updateUserBalance(userId, currency, amount) {
+async function updateUserBalance(userId, currency, amount, reference = null, obiexTransactionId = null) {
   if (!userId || !currency || typeof amount !== 'number') {
     throw new Error('Invalid parameters for balance update');
   }
   
   try {
-    const currencyUpper = currency.toUpperCase();
+    // Canonical registry symbol (Obiex reports NGNZ as NGNX)
+    const currencyUpper = resolveSymbol(currency) || currency.toUpperCase();
     
     // Validate currency is supported
-    if (!SUPPORTED_TOKENS[currencyUpper]) {
+    if (!getAsset(currencyUpper)) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    // Map currency to correct balance field
-    const currencyLower = SUPPORTED_TOKENS[currencyUpper];
-    const balanceField = `${currencyLower}Balance`;
-    
-    // Build update object
-    const updateFields = {
-      $inc: {
-        [balanceField]: amount
-      },
-      $set: {
-        lastBalanceUpdate: new Date()
-      }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      updateFields, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    const { user } = await postEntry({
+      type: 'DEPOSIT',
+      userId,
+      reference,
+      idempotencyKey: obiexTransactionId ? `OBIEX_DEPOSIT:${obiexTransactionId}` : undefined,
+      description: `Deposit of ${amount} ${currencyUpper}`,
+      actor: { kind: 'WEBHOOK', id: 'obiex' },
+      changes: [{ currency: currencyUpper, balanceDelta: amount }]
+    });
     
     logger.info(`Updated balance for user ${userId}: ${amount > 0 ? '+' : ''}${amount} ${currencyUpper}`);
     
     return user;
   } catch (error) {
+    if (error.code === 11000 && obiexTransactionId) {
+      logger.info(`Deposit ${obiexTransactionId} already credited to user ${userId}, skipping`);
+      return null;
+    }
     logger.error(`Failed to update balance for user ${userId}`, { 
       currency, 
       amount, 
@@ -83,6 +65,25 @@ async function updateUserBalance(userId, currency, amount) {
   }
 }
 
+/**
+ * Post a withdrawal refund or settlement at most once per withdrawal
+ * @param {'REFUND'|'SETTLE'} kind
+ * @param {Object} transaction - the withdrawal Transaction
+ * @param {Object} entry - postEntry options
+ * @returns {Promise<Object|null>} postEntry result, or null if already posted
+ */
+async function postWithdrawalEntry(kind, transaction, entry) {
+  try {
+    return await postEntry({ ...entry, idempotencyKey: `OBIEX_WITHDRAWAL_${kind}:${transaction._id}` });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Withdrawal ${kind.toLowerCase()} for transaction ${transaction._id} already posted, skipping`);
+      return null;
+    }
+    throw error;
+  }
+}
+
 /**
  * Reserve user balance for pending transactions
  * @param {String} userId - User ID
@@ -96,31 +97,21 @@ async function reserveUserBalance(userId, currency, amount) {
   }
   
   try {
-    const currencyUpper = currency.toUpperCase();
+    // Canonical registry symbol (Obiex reports NGNZ as NGNX)
+    const currencyUpper = resolveSymbol(currency) || currency.toUpperCase();
     
     // Validate currency is supported
-    if (!SUPPORTED_TOKENS[currencyUpper]) {
+    if (!getAsset(currencyUpper)) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    // Map currency to correct pending balance field
-    const currencyLower = SUPPORTED_TOKENS[currencyUpper];
-    const pendingBalanceKey = `${currencyLower}PendingBalance`;
-    
-    const update = { 
-      $inc: { [pendingBalanceKey]: amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      update, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    const { user } = await postEntry({
+      type: 'WITHDRAWAL_RESERVE',
+      userId,
+      description: `Reserve ${amount} ${currencyUpper}`,
+      actor: { kind: 'WEBHOOK', id: 'obiex' },
+      changes: [{ currency: currencyUpper, pendingDelta: amount }]
+    });
     
     logger.info(`Reserved ${amount} ${currencyUpper} for user ${userId}`);
     return user;
@@ -147,31 +138,21 @@ async function releaseReservedBalance(userId, currency, amount) {
   }
   
   try {
-    const currencyUpper = currency.toUpperCase();
+    // Canonical registry symbol (Obiex reports NGNZ as NGNX)
+    const currencyUpper = resolveSymbol(currency) || currency.toUpperCase();
     
     // Validate currency is supported
-    if (!SUPPORTED_TOKENS[currencyUpper]) {
+    if (!getAsset(currencyUpper)) {
       throw new Error(`Unsupported currency: ${currencyUpper}`);
     }
     
-    // Map currency to correct pending balance field
-    const currencyLower = SUPPORTED_TOKENS[currencyUpper];
-    const pendingBalanceKey = `${currencyLower}PendingBalance`;
-    
-    const update = { 
-      $inc: { [pendingBalanceKey]: -amount },
-      $set: { lastBalanceUpdate: new Date() }
-    };
-    
-    const user = await User.findByIdAndUpdate(
-      userId, 
-      update, 
-      { new: true, runValidators: true }
-    );
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    const { user } = await postEntry({
+      type: 'WITHDRAWAL_SETTLE',
+      userId,
+      description: `Release ${amount} ${currencyUpper}`,
+      actor: { kind: 'WEBHOOK', id: 'obiex' },
+      changes: [{ currency: currencyUpper, pendingDelta: -amount, requireFunds: false }]
+    });
     
     logger.info(`Released ${amount} ${currencyUpper} for user ${userId}`);
     return user;
@@ -185,10 +166,14 @@ async function releaseReservedBalance(userId, currency, amount) {
   }
 }
 
-router.post('/transaction', webhookAuth, async (req, res) => {
-  const body = req.body;
-
-  logger.info('Webhook Transaction - Received Body:', body);
+/**
+ * Apply an Obiex transaction webhook (deposit or withdrawal status update).
+ * Runs from the webhook inbox, so it may see the same event more than once.
+ * @param {Object} body - Parsed webhook payload
+ * @returns {Promise<Object>} Summary stored on the WebhookEvent
+ */
+async function processObiexTransaction(body) {
+  logger.info('Webhook Transaction - Processing Body:', body);
 
   try {
     const {
@@ -232,26 +217,26 @@ router.post('/transaction', webhookAuth, async (req, res) => {
         address: !!address,
         network: !!network,
       });
-      return res.status(400).json({ error: 'Missing required fields' });
+      throw new WebhookPermanentError('Missing required fields');
     }
 
     // Validate positive amounts
     if (parseFloat(amount) <= 0) {
-      return res.status(400).json({ error: 'Amount must be positive' });
+      throw new WebhookPermanentError('Amount must be positive');
     }
 
-    let normalizedCurrency = currency.trim().toUpperCase();
+    const reportedCurrency = currency.trim().toUpperCase();
     
-    // Map Obiex NGNX to our app's NGNZ
-    if (normalizedCurrency === 'NGNX') {
-      normalizedCurrency = 'NGNZ';
-      logger.info(`Mapped Obiex currency NGNX to NGNZ for transaction ${transactionId}`);
+    // Map Obiex codes to registry symbols (NGNX -> NGNZ, POL -> MATIC)
+    const normalizedCurrency = resolveSymbol(reportedCurrency) || reportedCurrency;
+    if (normalizedCurrency !== reportedCurrency) {
+      logger.info(`Mapped Obiex currency ${reportedCurrency} to ${normalizedCurrency} for transaction ${transactionId}`);
     }
 
-    // Validate currency is supported
-    if (!SUPPORTED_TOKENS[normalizedCurrency]) {
+    // Validate currency is supported (disabled assets still settle in-flight transactions)
+    if (!getAsset(normalizedCurrency)) {
       logger.warn(`Unsupported currency: ${normalizedCurrency}`);
-      return res.status(400).json({ error: `Unsupported currency: ${normalizedCurrency}` });
+      throw new WebhookPermanentError(`Unsupported currency: ${normalizedCurrency}`);
     }
 
     let user;
@@ -281,20 +266,18 @@ router.post('/transaction', webhookAuth, async (req, res) => {
           webhookReference: reference,
           currency: normalizedCurrency,
         });
-        return res.status(404).json({ error: 'Transaction not found' });
+        // Retried: the webhook can arrive before the withdrawal is saved
+        throw new Error(`Transaction not found: ${transactionId}`);
       }
       
       logger.info(`Found withdrawal transaction: ${transaction._id} with obiexTransactionId: ${transaction.obiexTransactionId}, current status: ${transaction.status}`);
       
-      // Capture original status for idempotency checks (before it gets updated)
-      transaction._originalStatus = transaction.status;
-      
       user = await User.findById(transaction.userId);
     }
 
     if (!user) {
       logger.warn(`No user found for ${type === 'DEPOSIT' ? `address ${address}` : `transactionId ${transactionId}`}`);
-      return res.status(404).json({ error: 'No user found' });
+      throw new WebhookPermanentError('No user found');
     }
 
     // Prepare transaction data
@@ -338,8 +321,27 @@ router.post('/transaction', webhookAuth, async (req, res) => {
     // For confirmed deposits, update balance BEFORE saving transaction
     if (type === 'DEPOSIT' && status === 'CONFIRMED') {
       try {
-        updatedUser = await updateUserBalance(user._id, normalizedCurrency, parseFloat(amount));
+        updatedUser = await updateUserBalance(user._id, normalizedCurrency, parseFloat(amount), reference, transactionId);
+      } catch (err) {
+        logger.error(`Error crediting balance for confirmed deposit:`, err);
+        throw err;
+      }
+      const alreadyCredited = !updatedUser;
+      if (alreadyCredited) {
+        updatedUser = user;
+      } else {
         logger.info(`Credited ${amount} ${normalizedCurrency} to user ${user._id} for confirmed deposit`);
+
+        emitEvent('transaction.completed', {
+          kind: 'DEPOSIT',
+          userId: user._id.toString(),
+          amount: parseFloat(amount),
+          currency: normalizedCurrency,
+          network,
+          reference,
+          hash: hash || null,
+          providerTransactionId: transactionId
+        });
         
         // Send deposit notification email
         try {
@@ -404,12 +406,6 @@ router.post('/transaction', webhookAuth, async (req, res) => {
             stack: pushError.stack
           });
         }
-      } catch (err) {
-        logger.error(`Error crediting balance for confirmed deposit:`, err);
-        return res.status(500).json({ 
-          error: 'Failed to credit user balance',
-          details: err.message 
-        });
       }
     }
 
@@ -486,73 +482,68 @@ router.post('/transaction', webhookAuth, async (req, res) => {
     // Handle withdrawal balance updates (after transaction is saved)
     if (type === 'WITHDRAWAL') {
       if (['FAILED', 'REJECTED'].includes(status)) {
-        // Check if already processed to prevent double refunds (idempotency)
-        // Use original status captured before transaction was updated
-        const originalStatus = transaction._originalStatus || transaction.status;
-        const wasAlreadyFailed = ['FAILED', 'REJECTED'].includes(originalStatus);
+        // The refund is keyed on the withdrawal, so a retry or replay of this
+        // event posts it at most once. A refund that fails throws and the inbox retries.
+        let refunded;
         
         // Handle NGNZ withdrawals - refund directly to ngnzBalance
         if (normalizedCurrency === 'NGNZ' && transaction.isNGNZWithdrawal) {
-          if (!wasAlreadyFailed) {
-            try {
-              // Get the amount that was originally deducted
-              const refundAmount = transaction.ngnzWithdrawal?.requestedAmount || Math.abs(transaction.amount);
-              
-              // Refund to user's ngnzBalance
-              updatedUser = await User.findByIdAndUpdate(
-                user._id,
-                { 
-                  $inc: { ngnzBalance: refundAmount },
-                  $set: { lastBalanceUpdate: new Date() }
-                },
-                { new: true, runValidators: true }
-              );
-              
-              logger.info(`Refunded ${refundAmount} NGNZ to user ${user._id} for failed withdrawal (transaction: ${transaction._id})`);
-            } catch (refundError) {
-              logger.error(`Error refunding NGNZ balance for failed withdrawal (transaction: ${transaction._id}):`, refundError);
-              // Don't throw - log error but continue with notification
-            }
-          } else {
-            logger.info(`NGNZ withdrawal transaction ${transaction._id} already marked as FAILED/REJECTED, skipping refund to prevent double processing`);
+          // Get the amount that was originally deducted
+          const refundAmount = transaction.ngnzWithdrawal?.requestedAmount || Math.abs(transaction.amount);
+          
+          // Refund to user's ngnzBalance
+          const result = await postWithdrawalEntry('REFUND', transaction, {
+            type: 'WITHDRAWAL_REFUND',
+            userId: user._id,
+            reference: transaction.reference || reference,
+            description: `Refund for failed NGNZ withdrawal ${transaction._id}`,
+            actor: { kind: 'WEBHOOK', id: 'obiex' },
+            changes: [{ currency: 'NGNZ', balanceDelta: refundAmount }]
+          });
+          refunded = !!result;
+          if (result) {
+            updatedUser = result.user;
+            logger.info(`Refunded ${refundAmount} NGNZ to user ${user._id} for failed withdrawal (transaction: ${transaction._id})`);
           }
         } else {
           // Handle crypto withdrawals - refund directly to main balance (same as NGNZ)
-          if (!wasAlreadyFailed) {
-            try {
-              // Get the amount that was originally deducted from main balance
-              // For crypto withdrawals, reserveUserBalanceInternal deducts 'amount' from main balance
-              const refundAmount = Math.abs(transaction.amount || parseFloat(amount));
-              
-              // Get currency balance field names
-              const currencyLower = SUPPORTED_TOKENS[normalizedCurrency];
-              const balanceField = `${currencyLower}Balance`;
-              const pendingBalanceField = `${currencyLower}PendingBalance`;
-              
-              // Refund to main balance and reduce pending balance atomically
-              // This moves the reserved amount back from pending to main balance
-              updatedUser = await User.findByIdAndUpdate(
-                user._id,
-                { 
-                  $inc: { 
-                    [balanceField]: refundAmount,
-                    [pendingBalanceField]: -refundAmount
-                  },
-                  $set: { lastBalanceUpdate: new Date() }
-                },
-                { new: true, runValidators: true }
-              );
-              
-              logger.info(`Refunded ${refundAmount} ${normalizedCurrency} to user ${user._id} for failed withdrawal (transaction: ${transaction._id})`);
-            } catch (refundError) {
-              logger.error(`Error refunding crypto balance for failed withdrawal (transaction: ${transaction._id}):`, refundError);
-              // Don't throw - log error but continue with notification
-            }
-          } else {
-            logger.info(`Crypto withdrawal transaction ${transaction._id} already marked as FAILED/REJECTED, skipping refund to prevent double processing`);
+          // For crypto withdrawals, reserveUserBalanceInternal deducts 'amount' from main balance
+          const refundAmount = Math.abs(transaction.amount || parseFloat(amount));
+          
+          // Refund to main balance and reduce pending balance atomically
+          // This moves the reserved amount back from pending to main balance
+          const result = await postWithdrawalEntry('REFUND', transaction, {
+            type: 'WITHDRAWAL_REFUND',
+            userId: user._id,
+            reference: transaction.reference || reference,
+            description: `Refund for failed withdrawal ${transaction._id}`,
+            actor: { kind: 'WEBHOOK', id: 'obiex' },
+            changes: [{
+              currency: normalizedCurrency,
+              balanceDelta: refundAmount,
+              pendingDelta: -refundAmount,
+              requireFunds: false
+            }]
+          });
+          refunded = !!result;
+          if (result) {
+            updatedUser = result.user;
+            logger.info(`Refunded ${refundAmount} ${normalizedCurrency} to user ${user._id} for failed withdrawal (transaction: ${transaction._id})`);
           }
         }
 
+        emitEvent('transaction.failed', {
+          kind: 'WITHDRAWAL',
+          userId: user._id.toString(),
+          transactionId: transaction._id.toString(),
+          amount: parseFloat(amount),
+          currency: normalizedCurrency,
+          reference: transaction.reference || reference,
+          status,
+          reason: narration || null,
+          refunded
+        });
+
         // Send withdrawal failed push notification (for all withdrawal types)
         try {
           const pushResult = await sendWithdrawalNotification(
@@ -595,29 +586,43 @@ router.post('/transaction', webhookAuth, async (req, res) => {
             logger.error(`Failed to send NGNZ withdrawal confirmation email to user ${user._id}:`, emailError);
           }
         } else {
-          // Reduce pending balance for successful crypto withdrawals (legacy behavior)
-          try {
-            const currencyLower = SUPPORTED_TOKENS[normalizedCurrency];
-            const pendingBalanceField = `${currencyLower}PendingBalance`;
-            
-            const totalReservedAmount = parseFloat(amount) + (transaction.fee || 0);
-            let newPendingBalance = Math.max(0, (user[pendingBalanceField] || 0) - totalReservedAmount);
-            
-            updatedUser = await User.findByIdAndUpdate(
-              user._id,
-              { 
-                [pendingBalanceField]: newPendingBalance,
-                lastBalanceUpdate: new Date()
-              },
-              { new: true, runValidators: true }
-            );
-
-            logger.info(`Reduced user ${user._id} pending balance field ${pendingBalanceField} by ${totalReservedAmount} (amount: ${amount} + fee: ${transaction.fee || 0}). New value: ${newPendingBalance}`);
-          } catch (err) {
-            logger.error(`Error reducing pending balance for user ${user._id}:`, err);
+          // Reduce pending balance for successful crypto withdrawals (legacy behavior).
+          // Keyed on the withdrawal so a replayed event cannot settle it twice.
+          const { pendingField: pendingBalanceField } = getBalanceFields(normalizedCurrency);
+          
+          const totalReservedAmount = parseFloat(amount) + (transaction.fee || 0);
+          const currentPending = readUserBalance(user, normalizedCurrency).pending;
+          // Never take pending below zero
+          const settledAmount = Math.min(currentPending, totalReservedAmount);
+          
+          if (settledAmount > 0) {
+            const result = await postWithdrawalEntry('SETTLE', transaction, {
+              type: 'WITHDRAWAL_SETTLE',
+              userId: user._id,
+              reference: transaction.reference || reference,
+              description: `Settle withdrawal ${transaction._id}`,
+              actor: { kind: 'WEBHOOK', id: 'obiex' },
+              changes: [{ currency: normalizedCurrency, pendingDelta: -settledAmount, requireFunds: false }]
+            });
+            if (result) {
+              updatedUser = result.user;
+              logger.info(`Reduced user ${user._id} pending balance field ${pendingBalanceField} by ${settledAmount} (amount: ${amount} + fee: ${transaction.fee || 0})`);
+            }
           }
         }
 
+        emitEvent('transaction.completed', {
+          kind: 'WITHDRAWAL',
+          userId: user._id.toString(),
+          transactionId: transaction._id.toString(),
+          amount: parseFloat(amount),
+          currency: normalizedCurrency,
+          fee: transaction.fee || 0,
+          reference: transaction.reference || reference,
+          hash: hash || null,
+          providerTransactionId: transactionId
+        });
+
         // Send withdrawal completed push notification (for all withdrawal types)
         try {
           const pushResult = await sendWithdrawalNotification(
@@ -654,14 +659,38 @@ router.post('/transaction', webhookAuth, async (req, res) => {
       }
     }
 
-    return res.status(200).json({ 
-      success: true, 
-      transaction,
-      user: updatedUser
-    });
+    return {
+      type,
+      status,
+      transactionId: transaction._id.toString(),
+      userId: user._id.toString()
+    };
 
   } catch (error) {
     logger.error('Webhook processing failed:', error);
+    throw error;
+  }
+}
+
+registerWebhookHandler('obiex', processObiexTransaction);
+
+// Stored in the webhook inbox and acknowledged; processing runs asynchronously
+router.post('/transaction', webhookAuth, async (req, res) => {
+  const { type, status, transactionId } = req.body || {};
+  try {
+    const { event, duplicate } = await receiveWebhook({
+      source: 'obiex',
+      // Obiex sends one webhook per status change of a transaction
+      eventId: transactionId && status ? `${transactionId}:${status}` : null,
+      eventType: type ? `${type}:${status}` : null,
+      rawBody: req.rawBody,
+      payload: req.body,
+      headers: req.headers,
+      signatureValid: true
+    });
+    return res.status(200).json({ success: true, eventId: event._id, duplicate });
+  } catch (error) {
+    logger.error('Webhook inbox write failed:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -0,0 +1,167 @@
+// routes/passkeys.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const {
+  PasskeyError,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyPasskeyAssertion,
+  listPasskeys,
+  removePasskey
+} = require('../services/passkeyService');
+const { validateTwoFactorAuth, passkeyCodesEnabled, generatePasskeyCode } = require('../services/twofactorAuth');
+const securityService = require('../services/securityService');
+const logger = require('../utils/logger');
+
+function handleError(res, error, source, userId) {
+  if (error instanceof PasskeyError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+async function loadUserWith2FA(userId, res) {
+  const user = await User.findById(userId).select('email username firstname lastname twoFASecret is2FAEnabled');
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+  if (!user.is2FAEnabled || !user.twoFASecret) {
+    res.status(400).json({
+      success: false,
+      code: 'TWO_FA_NOT_ENABLED',
+      message: 'Set up two-factor authentication before adding a passkey'
+    });
+    return null;
+  }
+  return user;
+}
+
+// GET /passkeys - Registered passkeys
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const passkeys = await listPasskeys('USER', userId);
+    return res.json({ success: true, data: { passkeys } });
+  } catch (error) {
+    return handleError(res, error, 'GET /passkeys', userId);
+  }
+});
+
+// POST /passkeys/register/options - Start registration
+// Body: { twoFactorCode } - adding a factor needs the existing one
+router.post('/register/options', async (req, res) => {
+  const userId = req.user.id;
+  const { twoFactorCode } = req.body;
+  try {
+    if (!twoFactorCode) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication code is required' });
+    }
+
+    const user = await loadUserWith2FA(userId, res);
+    if (!user) return;
+
+    const twoFACheck = await securityService.check2FAAttempts(userId);
+    if (!twoFACheck.allowed) {
+      return res.status(429).json({ success: false, code: 'TWO_FA_LOCKED', message: twoFACheck.message });
+    }
+
+    const claimed = await securityService.claim2FACode(userId, twoFactorCode);
+    if (!claimed) {
+      return res.status(401).json({ success: false, code: 'INVALID_2FA_CODE', message: 'This 2FA code has already been used' });
+    }
+
+    if (!validateTwoFactorAuth(user, twoFactorCode)) {
+      await securityService.release2FACode(userId, twoFactorCode);
+      await securityService.record2FAFailure(userId);
+      return res.status(401).json({ success: false, code: 'INVALID_2FA_CODE', message: 'Invalid two-factor authentication code' });
+    }
+    await securityService.reset2FAAttempts(userId);
+
+    const options = await registrationOptions({
+      type: 'USER',
+      id: userId,
+      name: user.email,
+      displayName: [user.firstname, user.lastname].filter(Boolean).join(' ') || user.username
+    });
+    return res.json({ success: true, data: { options } });
+  } catch (error) {
+    return handleError(res, error, 'POST /passkeys/register/options', userId);
+  }
+});
+
+// POST /passkeys/register/verify - Finish registration
+// Body: { response, name? } - response is the navigator.credentials.create() result
+router.post('/register/verify', async (req, res) => {
+  const userId = req.user.id;
+  const { response, name } = req.body;
+  try {
+    if (!response || typeof response !== 'object') {
+      return res.status(400).json({ success: false, message: 'Passkey response is required' });
+    }
+    const passkey = await verifyRegistration({ type: 'USER', id: userId }, response, name);
+    return res.status(201).json({ success: true, message: 'Passkey added', data: { passkey } });
+  } catch (error) {
+    return handleError(res, error, 'POST /passkeys/register/verify', userId);
+  }
+});
+
+function passkey2FADisabled(res) {
+  return res.status(503).json({ success: false, code: 'PASSKEY_2FA_NOT_CONFIGURED', message: 'Passkey two-factor authentication is not available' });
+}
+
+// POST /passkeys/2fa/options - Challenge for using a passkey as the second factor
+router.post('/2fa/options', async (req, res) => {
+  const userId = req.user.id;
+  if (!passkeyCodesEnabled()) return passkey2FADisabled(res);
+  try {
+    const options = await authenticationOptions('USER', userId);
+    return res.json({ success: true, data: { options } });
+  } catch (error) {
+    return handleError(res, error, 'POST /passkeys/2fa/options', userId);
+  }
+});
+
+// POST /passkeys/2fa/verify - Exchange a passkey assertion for a one-time 2FA code
+// Body: { response } - the navigator.credentials.get() result
+// The returned twoFactorCode is sent wherever a 2FA code is asked for.
+router.post('/2fa/verify', async (req, res) => {
+  const userId = req.user.id;
+  const { response } = req.body;
+  if (!passkeyCodesEnabled()) return passkey2FADisabled(res);
+  try {
+    if (!response || typeof response !== 'object') {
+      return res.status(400).json({ success: false, message: 'Passkey response is required' });
+    }
+
+    const user = await User.findById(userId).select('twoFASecret is2FAEnabled').lean();
+    if (!user?.is2FAEnabled || !user.twoFASecret) {
+      return res.status(400).json({ success: false, code: 'TWO_FA_NOT_ENABLED', message: 'Two-factor authentication is not enabled' });
+    }
+
+    await verifyPasskeyAssertion('USER', userId, response);
+    const { code, expiresIn } = generatePasskeyCode(userId);
+    return res.json({ success: true, data: { twoFactorCode: code, expiresIn } });
+  } catch (error) {
+    return handleError(res, error, 'POST /passkeys/2fa/verify', userId);
+  }
+});
+
+// DELETE /passkeys/:passkeyId
+router.delete('/:passkeyId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await removePasskey('USER', userId, req.params.passkeyId);
+    return res.json({ success: true, message: 'Passkey removed' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, code: 'PASSKEY_NOT_FOUND', message: 'Passkey not found' });
+    }
+    return handleError(res, error, 'DELETE /passkeys/:passkeyId', userId);
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,11 @@ const PendingUser = require("../models/pendinguser");
 const Referral = require('../models/referral');
 const config = require("./config");
 const logger = require('../utils/logger');
-const { sendSignupEmail, addContactToBrevo } = require('../services/EmailService');
+const { sendSignupEmail } = require('../services/EmailService');
+const { queueEmail } = require('../services/backgroundJobs');
 const { generateUniqueReferralCode } = require('../utils/generateReferralCode');
+const { newSessionId, getDeviceContext, trustDevice, addSession } = require('../services/sessionService');
+const { issuedAtClaim } = require('../services/tokenRevocationService');
 
 // Function to generate unique username from first name
 const generateUniqueUsername = async (firstName) => {
@@ -277,12 +280,15 @@ router.post('/password-pin', async (req, res) => {
     }
 
     // JWT payload - Now includes the final username (after save is successful)
+    const sessionId = newSessionId();
     const jwtPayload = {
       id: newUser._id,
+      sid: sessionId,
       email: newUser.email,
       username: newUser.username, // Use the actual saved username
       is2FAEnabled: newUser.is2FAEnabled || false,
       is2FAVerified: newUser.is2FAVerified || false,
+      ...issuedAtClaim()
     };
 
     // DEBUG: Log JWT payload being used
@@ -302,13 +308,16 @@ router.post('/password-pin', async (req, res) => {
     );
 
     const refreshToken = jwt.sign(
-      { id: newUser._id },
+      { id: newUser._id, sid: sessionId },
       config.refreshjwtSecret || process.env.JWT_REFRESH_SECRET,
       { expiresIn: "7d" }
     );
 
-    // Add refresh token to user and save again
-    newUser.refreshTokens.push({ token: refreshToken, createdAt: new Date() });
+    // Add refresh token as the first session and trust the device that verified
+    // the signup OTP, then save again
+    const device = getDeviceContext(req);
+    addSession(newUser, { sessionId, refreshToken, device });
+    trustDevice(newUser, device);
     await newUser.save();
 
     // ── Referral program: generate unique code for every new user ─────────────
@@ -409,10 +418,8 @@ router.post('/password-pin', async (req, res) => {
       });
     }
 
-    // Sync new user to Brevo contact list (non-blocking)
-    addContactToBrevo(newUser.email, newUser.firstname, newUser.lastname).catch(err => {
-      logger.error('Brevo contact sync failed', { userId: newUser._id, error: err.message });
-    });
+    // Sync new user to Brevo contact list (queued, retried on failure)
+    queueEmail('addContactToBrevo', newUser.email, newUser.firstname, newUser.lastname);
 
     // NO BACKGROUND WALLET GENERATION - Wallets will be generated on-demand when requested
 
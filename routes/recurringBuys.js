@@ -0,0 +1,157 @@
+// routes/recurringBuys.js
+const express = require('express');
+const router = express.Router();
+const RecurringBuy = require('../models/recurringBuy');
+const RecurringBuyRun = require('../models/recurringBuyRun');
+const { RecurringBuyError, createPlan, setPlanStatus } = require('../services/recurringBuyService');
+const logger = require('../utils/logger');
+
+function serializePlan(plan) {
+  return {
+    planId: plan.planId,
+    sourceCurrency: plan.sourceCurrency,
+    targetCurrency: plan.targetCurrency,
+    amount: plan.amount,
+    frequency: plan.frequency,
+    hourUtc: plan.hourUtc,
+    dayOfWeek: plan.dayOfWeek,
+    dayOfMonth: plan.dayOfMonth,
+    status: plan.status,
+    pausedReason: plan.pausedReason,
+    nextRunAt: plan.status === 'ACTIVE' ? plan.nextRunAt : null,
+    lastRunAt: plan.lastRunAt,
+    runCount: plan.runCount,
+    totalSpent: plan.totalSpent,
+    totalReceived: plan.totalReceived,
+    createdAt: plan.createdAt
+  };
+}
+
+function parsePagination(query) {
+  const pageNum = Math.max(1, parseInt(query.page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { pageNum, limitNum };
+}
+
+function handleError(res, error, source, userId) {
+  if (error instanceof RecurringBuyError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+async function listRuns(filter, query) {
+  const { pageNum, limitNum } = parsePagination(query);
+  const [items, total] = await Promise.all([
+    RecurringBuyRun.find(filter).sort({ scheduledFor: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+    RecurringBuyRun.countDocuments(filter)
+  ]);
+  return {
+    items,
+    pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+  };
+}
+
+// POST /recurring-buys - Create a plan
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { targetCurrency, amount, frequency, hourUtc, dayOfWeek, dayOfMonth } = req.body;
+    const plan = await createPlan(userId, {
+      targetCurrency,
+      amount,
+      frequency: frequency ? String(frequency).toUpperCase() : frequency,
+      hourUtc,
+      dayOfWeek,
+      dayOfMonth
+    });
+    return res.status(201).json({ success: true, message: 'Recurring buy created', data: serializePlan(plan) });
+  } catch (error) {
+    return handleError(res, error, 'POST /recurring-buys', userId);
+  }
+});
+
+// GET /recurring-buys - Active and paused plans
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const plans = await RecurringBuy.find({ userId, status: { $in: ['ACTIVE', 'PAUSED'] } })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ success: true, data: { items: plans.map(serializePlan) } });
+  } catch (error) {
+    return handleError(res, error, 'GET /recurring-buys', userId);
+  }
+});
+
+// GET /recurring-buys/runs - Run history across all plans
+router.get('/runs', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const filter = { userId };
+    if (req.query.status) filter.status = String(req.query.status).toUpperCase();
+    return res.json({ success: true, data: await listRuns(filter, req.query) });
+  } catch (error) {
+    return handleError(res, error, 'GET /recurring-buys/runs', userId);
+  }
+});
+
+// GET /recurring-buys/:planId - One plan
+router.get('/:planId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const plan = await RecurringBuy.findOne({ planId: req.params.planId, userId }).lean();
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Recurring buy not found' });
+    }
+    return res.json({ success: true, data: serializePlan(plan) });
+  } catch (error) {
+    return handleError(res, error, 'GET /recurring-buys/:planId', userId);
+  }
+});
+
+// GET /recurring-buys/:planId/runs - Run history for one plan
+router.get('/:planId/runs', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    return res.json({ success: true, data: await listRuns({ userId, planId: req.params.planId }, req.query) });
+  } catch (error) {
+    return handleError(res, error, 'GET /recurring-buys/:planId/runs', userId);
+  }
+});
+
+// POST /recurring-buys/:planId/pause
+router.post('/:planId/pause', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const plan = await setPlanStatus(userId, req.params.planId, 'PAUSED');
+    return res.json({ success: true, message: 'Recurring buy paused', data: serializePlan(plan) });
+  } catch (error) {
+    return handleError(res, error, 'POST /recurring-buys/:planId/pause', userId);
+  }
+});
+
+// POST /recurring-buys/:planId/resume
+router.post('/:planId/resume', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const plan = await setPlanStatus(userId, req.params.planId, 'ACTIVE');
+    return res.json({ success: true, message: 'Recurring buy resumed', data: serializePlan(plan) });
+  } catch (error) {
+    return handleError(res, error, 'POST /recurring-buys/:planId/resume', userId);
+  }
+});
+
+// DELETE /recurring-buys/:planId - Cancel a plan
+router.delete('/:planId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const plan = await setPlanStatus(userId, req.params.planId, 'CANCELLED');
+    return res.json({ success: true, message: 'Recurring buy cancelled', data: serializePlan(plan) });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /recurring-buys/:planId', userId);
+  }
+});
+
+module.exports = router;
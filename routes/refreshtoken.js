@@ -3,23 +3,31 @@ const jwt = require('jsonwebtoken');
 const router = express.Router();
 const User = require('../models/user');
 const logger = require('../utils/logger');
+const {
+  newSessionId,
+  getDeviceContext,
+  matchRefreshToken,
+  revokeSessionFamily,
+  rotateSession
+} = require('../services/sessionService');
+const { issuedAtClaim } = require('../services/tokenRevocationService');
 
 const ACCESS_TOKEN_EXPIRES_IN = '1h';
 const REFRESH_TOKEN_EXPIRES_IN = '7d';
 
 // Generate access token helper
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   return jwt.sign(
-    { id: user._id, email: user.email }, // Customize payload as needed
+    { id: user._id, email: user.email, sid: sessionId, ...issuedAtClaim() }, // Customize payload as needed
     process.env.JWT_SECRET,
     { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 };
 
 // Generate refresh token helper
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.REFRESH_JWT_SECRET,
     { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
   );
@@ -62,9 +70,36 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Check if refresh token exists in user's stored tokens
-    const tokenIndex = user.refreshTokens.findIndex(rt => rt.token === refreshToken);
-    if (tokenIndex === -1) {
+    if (user.isBlocked) {
+      logger.warn('Refresh attempt on blocked account', { userId });
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_BLOCKED',
+        message: 'Your account has been blocked. Please contact support.'
+      });
+    }
+
+    const device = getDeviceContext(req);
+
+    // Check if refresh token is the current token of one of the user's sessions
+    const match = matchRefreshToken(user, refreshToken, decoded);
+    if (match.inProgress) {
+      return res.status(409).json({
+        success: false,
+        code: 'REFRESH_IN_PROGRESS',
+        message: 'Tokens were just refreshed. Please use the latest refresh token.'
+      });
+    }
+    if (match.reused) {
+      // A token already rotated out of its family was replayed: treat the family as stolen
+      await revokeSessionFamily(user, decoded.sid, device);
+      return res.status(403).json({
+        success: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token has already been used. Please sign in again.'
+      });
+    }
+    if (match.index === -1) {
       logger.warn('Unrecognized refresh token', { userId });
       return res.status(403).json({
         success: false,
@@ -72,18 +107,27 @@ router.post('/refresh', async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = generateRefreshToken(user._id);
+    // Generate new tokens for the same session (older tokens get a session id now)
+    const sessionId = user.refreshTokens[match.index].sessionId || newSessionId();
+    const newAccessToken = generateAccessToken(user, sessionId);
+    const newRefreshToken = generateRefreshToken(user._id, sessionId);
 
-    // Replace old refresh token with new one and save
-    user.refreshTokens[tokenIndex] = {
-      token: newRefreshToken,
-      createdAt: new Date(),
-    };
-    await user.save();
+    // Replace old refresh token with new one
+    const rotated = await rotateSession(user, match.index, {
+      sessionId,
+      refreshToken: newRefreshToken,
+      device
+    });
+    if (!rotated) {
+      // Another refresh with the same token won the race
+      return res.status(409).json({
+        success: false,
+        code: 'REFRESH_IN_PROGRESS',
+        message: 'Tokens were just refreshed. Please use the latest refresh token.'
+      });
+    }
 
-    logger.info('Tokens refreshed successfully', { userId });
+    logger.info('Tokens refreshed successfully', { userId, sessionId });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,178 @@
+// routes/scheduledBills.js
+const express = require('express');
+const router = express.Router();
+const ScheduledBillPayment = require('../models/scheduledBillPayment');
+const ScheduledBillRun = require('../models/scheduledBillRun');
+const {
+  ScheduledBillError,
+  createSchedule,
+  setScheduleStatus
+} = require('../services/scheduledBillService');
+const {
+  BeneficiaryError,
+  createBeneficiary,
+  listBeneficiaries,
+  deleteBeneficiary
+} = require('../services/beneficiaryService');
+const logger = require('../utils/logger');
+
+function serializeSchedule(schedule) {
+  return {
+    scheduleId: schedule.scheduleId,
+    beneficiaryId: schedule.beneficiaryId,
+    billType: schedule.billType,
+    amount: schedule.amount,
+    currency: schedule.currency,
+    frequency: schedule.frequency,
+    hourUtc: schedule.hourUtc,
+    dayOfWeek: schedule.dayOfWeek,
+    dayOfMonth: schedule.dayOfMonth,
+    status: schedule.status,
+    pausedReason: schedule.pausedReason,
+    nextRunAt: schedule.status === 'ACTIVE' ? schedule.currentSlot : null,
+    lastRunAt: schedule.lastRunAt,
+    lastStatus: schedule.lastStatus,
+    runCount: schedule.runCount,
+    authorizedAt: schedule.authorizedAt,
+    createdAt: schedule.createdAt
+  };
+}
+
+function handleError(res, error, source, userId) {
+  if (error instanceof ScheduledBillError || error instanceof BeneficiaryError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// POST /scheduled-bills/billers - Save a biller (same as POST /beneficiaries with type BILLER)
+router.post('/billers', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { label, isFavourite, ...bill } = req.body || {};
+    const beneficiary = await createBeneficiary(userId, { type: 'BILLER', label, isFavourite, bill });
+    return res.status(201).json({ success: true, message: 'Biller saved', data: beneficiary });
+  } catch (error) {
+    return handleError(res, error, 'POST /scheduled-bills/billers', userId);
+  }
+});
+
+// GET /scheduled-bills/billers - Saved billers
+router.get('/billers', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const billers = await listBeneficiaries(userId, { type: 'BILLER', billType: req.query.billType });
+    return res.json({ success: true, data: { items: billers } });
+  } catch (error) {
+    return handleError(res, error, 'GET /scheduled-bills/billers', userId);
+  }
+});
+
+// DELETE /scheduled-bills/billers/:id - Remove a saved biller (cancels its schedules)
+router.delete('/billers/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await deleteBeneficiary(userId, req.params.id, 'BILLER');
+    return res.json({ success: true, message: 'Biller removed' });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /scheduled-bills/billers/:id', userId);
+  }
+});
+
+// POST /scheduled-bills - Create a schedule (authorised once with 2FA + PIN)
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { beneficiaryId, amount, frequency, hourUtc, dayOfWeek, dayOfMonth, twoFactorCode, passwordpin } = req.body;
+    const schedule = await createSchedule(userId, {
+      beneficiaryId,
+      amount,
+      frequency: frequency ? String(frequency).toUpperCase() : frequency,
+      hourUtc,
+      dayOfWeek,
+      dayOfMonth,
+      twoFactorCode,
+      passwordpin
+    });
+    return res.status(201).json({ success: true, message: 'Scheduled payment created', data: serializeSchedule(schedule) });
+  } catch (error) {
+    return handleError(res, error, 'POST /scheduled-bills', userId);
+  }
+});
+
+// GET /scheduled-bills - Active and paused schedules
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const schedules = await ScheduledBillPayment.find({ userId, status: { $in: ['ACTIVE', 'PAUSED'] } })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ success: true, data: { items: schedules.map(serializeSchedule) } });
+  } catch (error) {
+    return handleError(res, error, 'GET /scheduled-bills', userId);
+  }
+});
+
+// GET /scheduled-bills/:scheduleId/runs - Attempt history
+router.get('/:scheduleId/runs', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const pageNum = Math.max(1, parseInt(req.query.page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { userId, scheduleId: req.params.scheduleId };
+
+    const [items, total] = await Promise.all([
+      ScheduledBillRun.find(filter).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      ScheduledBillRun.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        items,
+        pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+      }
+    });
+  } catch (error) {
+    return handleError(res, error, 'GET /scheduled-bills/:scheduleId/runs', userId);
+  }
+});
+
+// POST /scheduled-bills/:scheduleId/pause
+router.post('/:scheduleId/pause', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const schedule = await setScheduleStatus(userId, req.params.scheduleId, 'PAUSED');
+    return res.json({ success: true, message: 'Scheduled payment paused', data: serializeSchedule(schedule) });
+  } catch (error) {
+    return handleError(res, error, 'POST /scheduled-bills/:scheduleId/pause', userId);
+  }
+});
+
+// POST /scheduled-bills/:scheduleId/resume
+router.post('/:scheduleId/resume', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const schedule = await setScheduleStatus(userId, req.params.scheduleId, 'ACTIVE');
+    return res.json({ success: true, message: 'Scheduled payment resumed', data: serializeSchedule(schedule) });
+  } catch (error) {
+    return handleError(res, error, 'POST /scheduled-bills/:scheduleId/resume', userId);
+  }
+});
+
+// DELETE /scheduled-bills/:scheduleId - Cancel a schedule
+router.delete('/:scheduleId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const schedule = await setScheduleStatus(userId, req.params.scheduleId, 'CANCELLED');
+    return res.json({ success: true, message: 'Scheduled payment cancelled', data: serializeSchedule(schedule) });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /scheduled-bills/:scheduleId', userId);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+// routes/sessions.js
+const express = require('express');
+const router = express.Router();
+const {
+  SessionError,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  listTrustedDevices,
+  removeTrustedDevice
+} = require('../services/sessionService');
+const logger = require('../utils/logger');
+
+function handleError(res, error, source, userId) {
+  if (error instanceof SessionError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// GET /sessions - Signed-in sessions; `current` marks the caller's own
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const sessions = await listSessions(userId, req.user.sid);
+    return res.json({ success: true, data: { sessions } });
+  } catch (error) {
+    return handleError(res, error, 'GET /sessions', userId);
+  }
+});
+
+// POST /sessions/revoke-others - Sign out every other session
+router.post('/revoke-others', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const revoked = await revokeOtherSessions(userId, req.user.sid);
+    return res.json({ success: true, message: 'Other sessions signed out', data: { revoked } });
+  } catch (error) {
+    return handleError(res, error, 'POST /sessions/revoke-others', userId);
+  }
+});
+
+// GET /sessions/devices - Trusted devices
+router.get('/devices', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const devices = await listTrustedDevices(userId, req.user.sid);
+    return res.json({ success: true, data: { devices } });
+  } catch (error) {
+    return handleError(res, error, 'GET /sessions/devices', userId);
+  }
+});
+
+// DELETE /sessions/devices/:deviceId - Forget a device and sign it out
+router.delete('/devices/:deviceId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await removeTrustedDevice(userId, req.params.deviceId);
+    return res.json({ success: true, message: 'Device removed' });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /sessions/devices/:deviceId', userId);
+  }
+});
+
+// DELETE /sessions/:sessionId - Sign out one session
+router.delete('/:sessionId', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await revokeSession(userId, req.params.sessionId);
+    return res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /sessions/:sessionId', userId);
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,18 @@ const User = require("../models/user");
 const config = require("./config");
 const logger = require("../utils/logger");
 const { sendLoginEmail } = require("../services/EmailService");
+const { issuedAtClaim } = require("../services/tokenRevocationService");
+const {
+  SessionError,
+  newSessionId,
+  getDeviceContext,
+  requiresDeviceStepUp,
+  trustDevice,
+  addSession,
+  startNewDeviceChallenge,
+  completeNewDeviceChallenge,
+  alertNewDeviceSignIn
+} = require("../services/sessionService");
 
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCK_TIME = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
@@ -50,7 +62,105 @@ const validateJWTSecrets = () => {
   return { jwtSecret, jwtRefreshSecret };
 };
 
+// Blocking revokes a user's tokens; this stops new ones being issued.
+// Sends the 403 and returns true when the user is blocked.
+function rejectBlocked(res, user) {
+  if (!user.isBlocked) return false;
+  logger.warn("Sign-in attempt on blocked account", { userId: user._id });
+  res.status(403).json({
+    success: false,
+    code: "ACCOUNT_BLOCKED",
+    message: user.blockReason || "Your account has been blocked. Please contact support."
+  });
+  return true;
+}
+
+/**
+ * Issue tokens for a verified sign-in, record the session and send the response.
+ * @returns {Promise<string|null>} sessionId, or null when nothing was issued
+ */
+async function completeSignIn(req, res, user, device) {
+  if (rejectBlocked(res, user)) return null;
+
+  // Validate JWT configuration
+  let jwtSecrets;
+  try {
+    jwtSecrets = validateJWTSecrets();
+  } catch (jwtError) {
+    res.status(500).json({ success: false, message: "Authentication configuration error. Please contact support." });
+    return null;
+  }
+
+  const sessionId = newSessionId();
+  const tokenPayload = { id: user._id, email: user.email, username: user.username, kycLevel: user.kycLevel, sid: sessionId, ...issuedAtClaim() };
+  const accessToken = jwt.sign(tokenPayload, jwtSecrets.jwtSecret, { expiresIn: "1h" });
+  const refreshToken = jwt.sign({ id: user._id, sid: sessionId }, jwtSecrets.jwtRefreshSecret, { expiresIn: "7d" });
+
+  // Store refresh token as a session for this device (keeps only the last 5)
+  addSession(user, { sessionId, refreshToken, device });
+
+  // Check if we should send login email (15 min cooldown)
+  const shouldEmailLogin = user.email && user.shouldSendLoginEmail();
+  if (shouldEmailLogin) {
+    user.lastLoginEmailSent = new Date();
+  }
+
+  await user.save();
+
+  // Fire-and-forget login email (doesn't block response)
+  if (shouldEmailLogin) {
+    const deviceInfo = req.get('User-Agent') || 'Unknown device';
+    const clientIP = (req.headers['x-forwarded-for']?.split(',')[0]?.trim())
+      || req.ip
+      || req.connection?.remoteAddress
+      || 'Unknown IP';
+    const locationInfo = req.headers['x-app-location'] || clientIP;
+    const loginTime = new Date();
+
+    sendLoginEmail(
+      user.email,
+      user.firstname || user.username || 'User',
+      deviceInfo,
+      locationInfo,
+      loginTime
+    ).then(() => {
+      logger.info('Login email sent', {
+        userId: user._id,
+        ip: clientIP
+      });
+    }).catch((emailError) => {
+      logger.error('Login email failed', {
+        userId: user._id,
+        error: emailError.message
+      });
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Sign-in successful",
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstname: user.firstname,
+      lastname: user.lastname,
+      username: user.username,
+      phonenumber: user.phonenumber,
+      kycLevel: user.kycLevel,
+      kycStatus: user.kycStatus,
+      walletGenerationStatus: user.walletGenerationStatus,
+      avatarUrl: user.avatarUrl
+    }
+  });
+
+  return sessionId;
+}
+
 // POST: /signin-pin - Sign in with PIN
+// App builds identify the device with X-Device-Id (and X-App-Version, X-Device-Name,
+// X-Platform); an unrecognised device gets a 202 with a challengeId for /verify-device
 router.post(
   "/signin-pin",
   [
@@ -149,84 +259,65 @@ router.post(
         }
       }
 
+      if (rejectBlocked(res, user)) return;
+
       // Reset attempts
       user.loginAttempts = 0;
       user.lockUntil = null;
       user.lastFailedLogin = null;
 
-      // Validate JWT configuration
-      let jwtSecrets;
-      try {
-        jwtSecrets = validateJWTSecrets();
-      } catch (jwtError) {
-        return res.status(500).json({ success: false, message: "Authentication configuration error. Please contact support." });
+      const device = getDeviceContext(req);
+
+      // Sign-ins from an unrecognised device need an OTP step-up first
+      if (!isDemoAccount && requiresDeviceStepUp(user, device)) {
+        const { challengeId, expiresAt } = await startNewDeviceChallenge(user, device);
+        return res.status(202).json({
+          success: true,
+          requiresDeviceVerification: true,
+          message: "New device detected. Enter the code sent to your phone and email to continue.",
+          challengeId,
+          expiresAt
+        });
       }
 
-      const tokenPayload = { id: user._id, email: user.email, username: user.username, kycLevel: user.kycLevel };
-      const accessToken = jwt.sign(tokenPayload, jwtSecrets.jwtSecret, { expiresIn: "1h" });
-      const refreshToken = jwt.sign({ id: user._id }, jwtSecrets.jwtRefreshSecret, { expiresIn: "7d" });
+      trustDevice(user, device);
+      await completeSignIn(req, res, user, device);
+    } catch (error) {
+      if (error instanceof SessionError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+      }
+      logger.error("Critical error during PIN sign-in", { error: error.message, stack: error.stack });
+      res.status(500).json({ success: false, message: "Server error during sign-in. Please try again." });
+    }
+  }
+);
 
-      // Store refresh token (keep only last 5 tokens)
-      user.refreshTokens.push({ token: refreshToken, createdAt: new Date() });
-      if (user.refreshTokens.length > 5) user.refreshTokens = user.refreshTokens.slice(-5);
+// POST: /verify-device - Complete a sign-in from a new device with the OTP sent by /signin-pin
+router.post(
+  "/verify-device",
+  [
+    body("challengeId").trim().notEmpty().withMessage("challengeId is required."),
+    body("code").trim().matches(/^\d{6}$/).withMessage("Verification code must be 6 digits."),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation failed.", errors: errors.array() });
+    }
 
-      // Check if we should send login email (15 min cooldown)
-      const shouldEmailLogin = user.email && user.shouldSendLoginEmail();
-      if (shouldEmailLogin) {
-        user.lastLoginEmailSent = new Date();
-      }
+    try {
+      const { user, device } = await completeNewDeviceChallenge(req.body.challengeId, req.body.code);
 
-      await user.save();
-
-      // Fire-and-forget login email (doesn't block response)
-      if (shouldEmailLogin) {
-        const deviceInfo = req.get('User-Agent') || 'Unknown device';
-        const clientIP = (req.headers['x-forwarded-for']?.split(',')[0]?.trim())
-          || req.ip
-          || req.connection?.remoteAddress
-          || 'Unknown IP';
-        const locationInfo = req.headers['x-app-location'] || clientIP;
-        const loginTime = new Date();
-
-        sendLoginEmail(
-          user.email,
-          user.firstname || user.username || 'User',
-          deviceInfo,
-          locationInfo,
-          loginTime
-        ).then(() => {
-          logger.info('Login email sent', {
-            userId: user._id,
-            ip: clientIP
-          });
-        }).catch((emailError) => {
-          logger.error('Login email failed', {
-            userId: user._id,
-            error: emailError.message
-          });
-        });
+      const sessionId = await completeSignIn(req, res, user, device);
+      if (sessionId) {
+        logger.info("New device sign-in verified", { userId: user._id, deviceId: device.deviceId, sessionId });
+        alertNewDeviceSignIn(user, device, sessionId);
       }
-
-      res.status(200).json({
-        success: true,
-        message: "Sign-in successful",
-        accessToken,
-        refreshToken,
-        user: {
-          id: user._id,
-          email: user.email,
-          firstname: user.firstname,
-          lastname: user.lastname,
-          username: user.username,
-          phonenumber: user.phonenumber,
-          kycLevel: user.kycLevel,
-          kycStatus: user.kycStatus,
-          walletGenerationStatus: user.walletGenerationStatus,
-          avatarUrl: user.avatarUrl
-        }
-      });
     } catch (error) {
-      logger.error("Critical error during PIN sign-in", { error: error.message, stack: error.stack });
+      if (error instanceof SessionError) {
+        return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+      }
+      logger.error("Error verifying new device sign-in", { error: error.message, stack: error.stack });
       res.status(500).json({ success: false, message: "Server error during sign-in. Please try again." });
     }
   }
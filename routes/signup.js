@@ -5,6 +5,7 @@ const User = require('../models/user');
 const Referral = require('../models/referral');
 const { sendVerificationCode } = require('../utils/verifyAT');
 const { sendEmailVerificationOTP } = require('../services/EmailService');
+const { screen } = require('../services/screeningService');
 const logger = require('../utils/logger');
 const validator = require('validator');
 
@@ -142,6 +143,18 @@ router.post('/add-user', async (req, res) => {
       return res.status(409).json({ message: 'Phone or email already exists' });
     }
 
+    // Sanctions/PEP screening: a sanctions hit stops signup here; a PEP hit
+    // lets it continue with a case open, and KYC approval waits for compliance
+    const screening = await screen({
+      context: 'SIGNUP',
+      subject: { fullName: [firstname, middlename, lastname].filter(Boolean).join(' '), email, phonenumber },
+      actor: { kind: 'USER', id: null }
+    });
+    if (screening.action === 'BLOCK') {
+      logger.warn('Signup blocked by watchlist screening', { email: email.slice(0, 3) + '****', caseId: screening.caseId });
+      return res.status(403).json({ message: 'We are unable to complete your registration. Please contact support.' });
+    }
+
     // Generate OTP and expiration
     const otp = generateOTP();
     const createdAt = new Date();
@@ -7,48 +7,57 @@ const Transaction = require('../models/transaction');
 const User = require('../models/user');
 const TransactionAudit = require('../models/TransactionAudit');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
+const { applyPercentageReduction, convertAmount, ratio } = require('../utils/money');
+const quoteService = require('../services/quoteService');
+const {
+  getAsset, resolveSymbol, isAssetEnabled, listAssets, listBalanceSymbols,
+  getBalanceFields, readUserBalance, toObiexCode
+} = require('../services/assetRegistry');
 const { RedisLock } = require('../utils/redisLock');
 const GlobalMarkdown = require('../models/pricemarkdown');
 const { sendSwapCompletionNotification } = require('../services/notificationService');
+const { emitEvent } = require('../services/outboundWebhookService');
 const { invalidateSpending } = require('../services/kyccheckservice');
 
 const router = express.Router();
 
 // Cache management
-const quoteCache = new Map();
 const userCache = new Map();
 const CACHE_TTL = 5000; // 5 seconds - reduced for profile data freshness
 const QUOTE_TTL = 30000; // 30 seconds for quotes
 const { registerCache } = require('../utils/cacheManager');
 registerCache('swap_userCache', userCache);
 
-// Supported tokens
-const SUPPORTED_TOKENS = new Set(['BTC', 'ETH', 'SOL', 'USDT', 'USDC', 'BNB', 'MATIC', 'Polygon', 'TRX', 'TON']);
-const TOKEN_MAP = {
-  BTC: { name: 'Bitcoin', currency: 'btc' },
-  ETH: { name: 'Ethereum', currency: 'eth' },
-  SOL: { name: 'Solana', currency: 'sol' },
-  USDT: { name: 'Tether', currency: 'usdt' },
-  USDC: { name: 'USD Coin', currency: 'usdc' },
-  BNB: { name: 'BNB', currency: 'bnb' },
-  MATIC: { name: 'Polygon', currency: 'matic' },
-  Polygon: { name: 'Polygon', currency: 'matic' },
-  TRX: { name: 'Tron', currency: 'trx' },
-  TON: { name: 'Toncoin', currency: 'ton' }
-};
-
-const STABLECOINS = new Set(['USDT', 'USDC']);
-const CRYPTOCURRENCIES = new Set(['BTC', 'ETH', 'SOL', 'BNB', 'MATIC', 'Polygon', 'TRX', 'TON']);
+// Supported tokens come from the asset registry; NGNZ pairs are handled by routes/NGNZSwaps.js
 const DEFAULT_STABLECOIN = 'USDT';
 
 /**
- * Map frontend currency to Obiex currency
- * MATIC from frontend should be mapped to POL for Obiex
+ * Registry asset for a code if it can be swapped through Obiex
  */
-function mapToObiexCurrency(currency) {
-  const upperCurrency = currency.toUpperCase();
-  if (upperCurrency === 'MATIC') return 'POL';
-  return upperCurrency;
+function getSwapAsset(code) {
+  const asset = getAsset(code);
+  if (!asset || asset.isNairaPegged || !isAssetEnabled(asset.symbol, 'swap')) return null;
+  return asset;
+}
+
+function isStablecoin(code) {
+  return !!getSwapAsset(code)?.isStablecoin;
+}
+
+function isCryptocurrency(code) {
+  const asset = getSwapAsset(code);
+  return !!asset && !asset.isStablecoin;
+}
+
+/**
+ * User fields to select for the given currencies' balances
+ */
+function balanceSelectFields(currencies) {
+  return currencies.map(currency => {
+    const { balanceField } = getBalanceFields(currency);
+    return balanceField.startsWith('balances.') ? 'balances' : balanceField;
+  });
 }
 
 /**
@@ -58,10 +67,13 @@ function validateSwapPair(from, to) {
   const fromUpper = from.toUpperCase();
   const toUpper = to.toUpperCase();
   
-  if (!SUPPORTED_TOKENS.has(fromUpper) || !SUPPORTED_TOKENS.has(toUpper)) {
+  if (!getSwapAsset(fromUpper) || !getSwapAsset(toUpper)) {
+    const supported = listAssets({ feature: 'swap' })
+      .filter(asset => !asset.isNairaPegged)
+      .map(asset => asset.symbol);
     return {
       success: false,
-      message: `Unsupported currency. Supported tokens: ${Array.from(SUPPORTED_TOKENS).join(', ')}`
+      message: `Unsupported currency. Supported tokens: ${supported.join(', ')}`
     };
   }
   
@@ -72,10 +84,10 @@ function validateSwapPair(from, to) {
     };
   }
   
-  const fromIsStablecoin = STABLECOINS.has(fromUpper);
-  const toIsStablecoin = STABLECOINS.has(toUpper);
-  const fromIsCrypto = CRYPTOCURRENCIES.has(fromUpper);
-  const toIsCrypto = CRYPTOCURRENCIES.has(toUpper);
+  const fromIsStablecoin = isStablecoin(fromUpper);
+  const toIsStablecoin = isStablecoin(toUpper);
+  const fromIsCrypto = isCryptocurrency(fromUpper);
+  const toIsCrypto = isCryptocurrency(toUpper);
   
   if ((fromIsCrypto && toIsStablecoin) || (fromIsStablecoin && toIsCrypto)) {
     return { success: true, swapType: 'DIRECT' };
@@ -117,9 +129,7 @@ async function applyMarkdownReduction(obiexAmount, currency) {
     }
 
     const percent = markdownDoc.markdownPercentage; // e.g. 0.3 for 0.3%
-    const reductionMultiplier = 1 - (percent / 100);
-    const adjustedAmount = obiexAmount * reductionMultiplier;
-    const reductionAmount = obiexAmount - adjustedAmount;
+    const { adjustedAmount, reductionAmount } = applyPercentageReduction(obiexAmount, percent, currency);
 
     logger.info('Applied markdown reduction to Obiex amount', {
       currency,
@@ -182,16 +192,10 @@ async function getCachedUserBalance(userId, currencies = []) {
     return cached.user;
   }
   
-  const selectFields = ['_id', 'lastBalanceUpdate', 'portfolioLastUpdated'];
-  if (currencies.length > 0) {
-    currencies.forEach(currency => {
-      selectFields.push(`${currency.toLowerCase()}Balance`);
-    });
-  } else {
-    Object.values(TOKEN_MAP).forEach(token => {
-      selectFields.push(`${token.currency}Balance`);
-    });
-  }
+  const selectFields = [
+    '_id', 'lastBalanceUpdate', 'portfolioLastUpdated',
+    ...balanceSelectFields(currencies.length > 0 ? currencies : listBalanceSymbols())
+  ];
   
   const user = await User.findById(userId)
     .select(selectFields.join(' '))
@@ -212,8 +216,7 @@ async function validateUserBalance(userId, currency, amount) {
   const user = await getCachedUserBalance(userId, [currency]);
   if (!user) return { success: false, message: 'User not found' };
   
-  const field = `${currency.toLowerCase()}Balance`;
-  const available = user[field] || 0;
+  const available = readUserBalance(user, currency).balance;
   
   if (available < amount) {
     return {
@@ -233,21 +236,21 @@ async function createObiexDirectQuote(fromCurrency, toCurrency, amount, side) {
   const from = fromCurrency.toUpperCase();
   const to = toCurrency.toUpperCase();
   
-  const isCryptoToStablecoin = CRYPTOCURRENCIES.has(from) && STABLECOINS.has(to);
+  const isCryptoToStablecoin = isCryptocurrency(from) && isStablecoin(to);
   
   let sourceId, targetId, quoteSide, quoteAmount;
   
   if (isCryptoToStablecoin) {
     // Crypto → Stablecoin (e.g., BTC → USDT): SELL crypto
-    sourceId = await getCurrencyIdByCode(mapToObiexCurrency(from));
-    targetId = await getCurrencyIdByCode(mapToObiexCurrency(to));
+    sourceId = await getCurrencyIdByCode(toObiexCode(from));
+    targetId = await getCurrencyIdByCode(toObiexCode(to));
     quoteSide = 'SELL';
     quoteAmount = amount;
   } else {
     // Stablecoin → Crypto (e.g., USDT → BTC): BUY crypto
     // For Obiex, source is always the crypto, target is stablecoin
-    sourceId = await getCurrencyIdByCode(mapToObiexCurrency(to)); // crypto
-    targetId = await getCurrencyIdByCode(mapToObiexCurrency(from)); // stablecoin
+    sourceId = await getCurrencyIdByCode(toObiexCode(to)); // crypto
+    targetId = await getCurrencyIdByCode(toObiexCode(from)); // stablecoin
     quoteSide = 'BUY';
     quoteAmount = amount; // stablecoin amount to spend
   }
@@ -282,10 +285,10 @@ async function createObiexDirectQuote(fromCurrency, toCurrency, amount, side) {
     
     if (quoteSide === 'BUY') {
       // When buying crypto with stablecoin: receivedCrypto = stablecoinAmount × rate
-      obiexAmount = inputAmount * rate;
+      obiexAmount = convertAmount(inputAmount, rate, to, { mode: 'CREDIT' });
     } else {
       // When selling crypto for stablecoin: receivedStablecoin = cryptoAmount × rate
-      obiexAmount = inputAmount * rate;
+      obiexAmount = convertAmount(inputAmount, rate, to, { mode: 'CREDIT' });
     }
     
     logger.info('Calculated Obiex received amount from rate', {
@@ -319,7 +322,7 @@ async function createObiexDirectQuote(fromCurrency, toCurrency, amount, side) {
     markdownApplied: markdownResult.markdownApplied,
     markdownPercentage: markdownResult.markdownPercentage,
     reductionAmount: markdownResult.reductionAmount,
-    rate: (markdownResult.adjustedAmount / amount) || 0
+    rate: ratio(markdownResult.adjustedAmount, amount)
   };
 }
 
@@ -370,15 +373,19 @@ async function createObiexCryptoToCryptoQuote(fromCurrency, toCurrency, amount)
       toCurrency: to,
       amount,
       adjustedAmount: step2Result.adjustedAmount,
-      rate: step2Result.adjustedAmount / amount
+      rate: ratio(step2Result.adjustedAmount, amount)
     }
   };
 }
 
 /**
  * Execute Obiex swap and update user balances
+ * @param {Object} [options]
+ * @param {boolean} [options.fromPending] - The source amount is already reserved in
+ *   the user's pending balance (limit orders) and is debited from there
+ * @param {string} [options.idempotencyKey] - Idempotency key for the SWAP ledger entry
  */
-async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, systemContext) {
+async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, systemContext, { fromPending = false, idempotencyKey } = {}) {
   const session = await mongoose.startSession();
   session.startTransaction();
   const startTime = new Date();
@@ -387,9 +394,11 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
     const { sourceCurrency, targetCurrency, amount, swapType } = quote;
     
     // Validate balance before executing
-    const validation = await validateUserBalance(userId, sourceCurrency, amount);
-    if (!validation.success) {
-      throw new Error(validation.message);
+    if (!fromPending) {
+      const validation = await validateUserBalance(userId, sourceCurrency, amount);
+      if (!validation.success) {
+        throw new Error(validation.message);
+      }
     }
     
     let obiexResult, finalAmountReceived;
@@ -443,33 +452,32 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
     }
     
     // Update user balances
-    const fromKey = `${sourceCurrency.toLowerCase()}Balance`;
-    const toKey = `${targetCurrency.toLowerCase()}Balance`;
     const swapReference = `OBIEX_SWAP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    const userBefore = await User.findById(userId).select(`${fromKey} ${toKey}`).lean();
+    const userBefore = await User.findById(userId).select(balanceSelectFields([sourceCurrency, targetCurrency]).join(' ')).lean();
     
-    const updatedUser = await User.findOneAndUpdate(
-      { 
-        _id: userId, 
-        [fromKey]: { $gte: amount }
-      },
-      {
-        $inc: {
-          [fromKey]: -amount,
-          [toKey]: finalAmountReceived
-        },
-        $set: { 
-          lastBalanceUpdate: new Date(),
-          portfolioLastUpdated: new Date()
-        }
-      },
-      { 
-        new: true, 
-        runValidators: true, 
-        session 
-      }
-    );
+    let updatedUser;
+    try {
+      ({ user: updatedUser } = await postEntry({
+        type: 'SWAP',
+        userId,
+        reference: swapReference,
+        idempotencyKey,
+        description: `Swap ${amount} ${sourceCurrency} to ${finalAmountReceived} ${targetCurrency}`,
+        actor: { kind: 'USER', id: String(userId) },
+        changes: [
+          fromPending
+            ? { currency: sourceCurrency, pendingDelta: -amount }
+            : { currency: sourceCurrency, balanceDelta: -amount },
+          { currency: targetCurrency, balanceDelta: finalAmountReceived }
+        ],
+        metadata: { correlationId, provider: 'OBIEX', swapType },
+        set: { portfolioLastUpdated: new Date() },
+        session
+      }));
+    } catch (ledgerError) {
+      if (ledgerError.code !== 'INSUFFICIENT_BALANCE') throw ledgerError;
+    }
 
     if (!updatedUser) {
       throw new Error(`Balance update failed - insufficient ${sourceCurrency} balance`);
@@ -480,7 +488,7 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
     // Create transaction records
     const metadata = {
       swapType,
-      exchangeRate: finalAmountReceived / amount,
+      exchangeRate: ratio(finalAmountReceived, amount),
       relatedTransactionRef: swapReference,
       fromCurrency: sourceCurrency,
       toCurrency: targetCurrency,
@@ -516,7 +524,7 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
       toCurrency: targetCurrency,
       fromAmount: amount,
       toAmount: finalAmountReceived,
-      exchangeRate: finalAmountReceived / amount,
+      exchangeRate: ratio(finalAmountReceived, amount),
       swapType,
       swapCategory: 'CRYPTO_EXCHANGE',
       swapDirection: 'OUT', // Required for analytics volume calculation
@@ -550,6 +558,16 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
       reductionAmount: metadata.reductionAmount
     });
 
+    emitEvent('swap.completed', {
+      userId: String(userId),
+      reference: swapReference,
+      fromCurrency: sourceCurrency,
+      fromAmount: amount,
+      toCurrency: targetCurrency,
+      toAmount: finalAmountReceived,
+      provider: 'OBIEX'
+    });
+
     // Send swap completion notification
     try {
       await sendSwapCompletionNotification(
@@ -594,7 +612,7 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
         targetCurrency,
         sourceAmount: amount,
         targetAmount: finalAmountReceived,
-        exchangeRate: finalAmountReceived / amount,
+        exchangeRate: ratio(finalAmountReceived, amount),
         provider: 'OBIEX',
         swapType,
         markdownApplied: metadata.markdownApplied,
@@ -673,6 +691,84 @@ async function executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, s
   }
 }
 
+/**
+ * Price an Obiex swap and build the quote payload returned to the client.
+ * Shared by the quote endpoint and limit orders (services/limitOrderService).
+ */
+async function buildObiexQuotePayload({ id, from, to, amount, side, expiresAt, correlationId, pairValidation }) {
+  let payload;
+
+  if (pairValidation.swapType === 'CRYPTO_TO_CRYPTO') {
+    // Crypto-to-crypto via stablecoin routing
+    const cryptoQuote = await createObiexCryptoToCryptoQuote(from, to, amount);
+    
+    payload = {
+      id,
+      amount,
+      amountReceived: cryptoQuote.overall.adjustedAmount,
+      rate: cryptoQuote.overall.rate,
+      side,
+      sourceCurrency: from.toUpperCase(),
+      targetCurrency: to.toUpperCase(),
+      provider: 'OBIEX',
+      swapType: 'CRYPTO_TO_CRYPTO',
+      intermediateToken: pairValidation.intermediateToken,
+      routingPath: `${from.toUpperCase()} → ${pairValidation.intermediateToken} → ${to.toUpperCase()}`,
+      expiresAt,
+      correlationId,
+      obiexStep1QuoteId: cryptoQuote.step1.obiexQuoteId,
+      obiexStep2QuoteId: cryptoQuote.step2.obiexQuoteId,
+      step1: cryptoQuote.step1,
+      step2: cryptoQuote.step2,
+      markdownApplied: cryptoQuote.step2.markdownApplied,
+      markdownPercentage: cryptoQuote.step2.markdownPercentage,
+      reductionAmount: cryptoQuote.step2.reductionAmount
+    };
+
+    logger.info('Crypto-to-crypto Obiex quote created', {
+      sourceAmount: amount,
+      sourceCurrency: from.toUpperCase(),
+      targetAmount: cryptoQuote.overall.adjustedAmount,
+      targetCurrency: to.toUpperCase(),
+      intermediateToken: pairValidation.intermediateToken,
+      correlationId
+    });
+    
+  } else {
+    // Direct swap
+    const directQuote = await createObiexDirectQuote(from, to, amount, side);
+    
+    payload = {
+      id,
+      amount,
+      amountReceived: directQuote.adjustedAmount,
+      rate: directQuote.rate,
+      side,
+      sourceCurrency: from.toUpperCase(),
+      targetCurrency: to.toUpperCase(),
+      provider: 'OBIEX',
+      swapType: 'DIRECT',
+      expiresAt,
+      correlationId,
+      obiexQuoteId: directQuote.obiexQuoteId,
+      markdownApplied: directQuote.markdownApplied,
+      markdownPercentage: directQuote.markdownPercentage,
+      reductionAmount: directQuote.reductionAmount
+    };
+
+    logger.info('Direct Obiex quote created', {
+      sourceAmount: amount,
+      sourceCurrency: from.toUpperCase(),
+      targetAmount: directQuote.adjustedAmount,
+      targetCurrency: to.toUpperCase(),
+      markdownApplied: directQuote.markdownApplied,
+      correlationId
+    });
+  }
+
+  return payload;
+}
+
 // POST /swap/quote - Create swap quote
 router.post('/quote', async (req, res) => {
   const correlationId = generateCorrelationId();
@@ -680,7 +776,10 @@ router.post('/quote', async (req, res) => {
   const startTime = new Date();
   
   try {
-    const { from, to, amount, side } = req.body;
+    const { amount, side } = req.body;
+    // Canonical registry symbols (e.g. POL -> MATIC)
+    const from = resolveSymbol(req.body.from) || req.body.from;
+    const to = resolveSymbol(req.body.to) || req.body.to;
     const userId = req.user?.id;
     
     // Validation
@@ -709,78 +808,22 @@ router.post('/quote', async (req, res) => {
     const id = `obiex_swap_${Date.now()}_${Math.random().toString(36).slice(2)}`;
     const expiresAt = new Date(Date.now() + QUOTE_TTL).toISOString();
 
-    let payload;
-
-    if (pairValidation.swapType === 'CRYPTO_TO_CRYPTO') {
-      // Crypto-to-crypto via stablecoin routing
-      const cryptoQuote = await createObiexCryptoToCryptoQuote(from, to, amount);
-      
-      payload = {
-        id,
-        amount,
-        amountReceived: cryptoQuote.overall.adjustedAmount,
-        rate: cryptoQuote.overall.rate,
-        side,
-        sourceCurrency: from.toUpperCase(),
-        targetCurrency: to.toUpperCase(),
-        provider: 'OBIEX',
-        swapType: 'CRYPTO_TO_CRYPTO',
-        intermediateToken: pairValidation.intermediateToken,
-        routingPath: `${from.toUpperCase()} → ${pairValidation.intermediateToken} → ${to.toUpperCase()}`,
-        expiresAt,
-        correlationId,
-        obiexStep1QuoteId: cryptoQuote.step1.obiexQuoteId,
-        obiexStep2QuoteId: cryptoQuote.step2.obiexQuoteId,
-        step1: cryptoQuote.step1,
-        step2: cryptoQuote.step2,
-        markdownApplied: cryptoQuote.step2.markdownApplied,
-        markdownPercentage: cryptoQuote.step2.markdownPercentage,
-        reductionAmount: cryptoQuote.step2.reductionAmount
-      };
-
-      logger.info('Crypto-to-crypto Obiex quote created', {
-        sourceAmount: amount,
-        sourceCurrency: from.toUpperCase(),
-        targetAmount: cryptoQuote.overall.adjustedAmount,
-        targetCurrency: to.toUpperCase(),
-        intermediateToken: pairValidation.intermediateToken,
-        correlationId
-      });
-      
-    } else {
-      // Direct swap
-      const directQuote = await createObiexDirectQuote(from, to, amount, side);
-      
-      payload = {
-        id,
-        amount,
-        amountReceived: directQuote.adjustedAmount,
-        rate: directQuote.rate,
-        side,
-        sourceCurrency: from.toUpperCase(),
-        targetCurrency: to.toUpperCase(),
-        provider: 'OBIEX',
-        swapType: 'DIRECT',
-        expiresAt,
-        correlationId,
-        obiexQuoteId: directQuote.obiexQuoteId,
-        markdownApplied: directQuote.markdownApplied,
-        markdownPercentage: directQuote.markdownPercentage,
-        reductionAmount: directQuote.reductionAmount
-      };
-
-      logger.info('Direct Obiex quote created', {
-        sourceAmount: amount,
-        sourceCurrency: from.toUpperCase(),
-        targetAmount: directQuote.adjustedAmount,
-        targetCurrency: to.toUpperCase(),
-        markdownApplied: directQuote.markdownApplied,
-        correlationId
-      });
-    }
+    const payload = await buildObiexQuotePayload({
+      id, from, to, amount, side, expiresAt, correlationId, pairValidation
+    });
 
-    quoteCache.set(id, payload);
-    setTimeout(() => quoteCache.delete(id), QUOTE_TTL);
+    await quoteService.createQuote({
+      kind: 'SWAP',
+      userId,
+      payload,
+      ttlMs: QUOTE_TTL,
+      audit: {
+        systemContext,
+        requestData: { from, to, amount, side },
+        swapDetails: { swapType: payload.swapType },
+        tags: ['obiex', payload.swapType.toLowerCase()]
+      }
+    });
 
     return res.json({
       success: true,
@@ -811,29 +854,21 @@ router.post('/quote/:quoteId', async (req, res) => {
 
   try {
     const { quoteId } = req.params;
-    const quote = quoteCache.get(quoteId);
-    // Claim quote immediately to prevent concurrent execution
-    if (quote) quoteCache.delete(quoteId);
-    
-    const correlationId = quote?.correlationId || generateCorrelationId();
-
-    if (!quote) {
-      return res.status(404).json({ 
+    // Claim the quote (CREATED -> ACCEPTED) so no other request or node can execute it
+    const claim = await quoteService.acceptQuote(quoteId, userId, { systemContext });
+    if (!claim.ok) {
+      return res.status(claim.httpStatus).json({ 
         success: false, 
-        message: 'Quote not found or expired' 
+        message: claim.message 
       });
     }
 
-    if (new Date() > new Date(quote.expiresAt)) {
-      quoteCache.delete(quoteId);
-      return res.status(410).json({ 
-        success: false, 
-        message: 'Quote has expired' 
-      });
-    }
+    const quote = claim.quote;
+    const correlationId = quote.correlationId || generateCorrelationId();
 
     const validation = await validateUserBalance(userId, quote.sourceCurrency, quote.amount);
     if (!validation.success) {
+      await quoteService.failQuote(quoteId, validation.message, { systemContext });
       return res.status(400).json({
         success: false,
         message: validation.message,
@@ -864,7 +899,11 @@ router.post('/quote/:quoteId', async (req, res) => {
       logger.warn('KYC spending cache invalidation failed', { userId, error: invErr.message });
     }
 
-    quoteCache.delete(quoteId);
+    await quoteService.completeQuote(quoteId, {
+      systemContext,
+      swapDetails: { swapId: swapResult.swapId },
+      relatedEntities: { relatedTransactionIds: [swapResult.swapTransaction._id] }
+    });
 
     const responsePayload = {
       swapId: swapResult.swapId,
@@ -889,8 +928,8 @@ router.post('/quote/:quoteId', async (req, res) => {
       },
       balanceUpdated: true,
       newBalances: {
-        [quote.sourceCurrency.toLowerCase()]: swapResult.user[`${quote.sourceCurrency.toLowerCase()}Balance`],
-        [quote.targetCurrency.toLowerCase()]: swapResult.user[`${quote.targetCurrency.toLowerCase()}Balance`]
+        [quote.sourceCurrency.toLowerCase()]: readUserBalance(swapResult.user, quote.sourceCurrency).balance,
+        [quote.targetCurrency.toLowerCase()]: readUserBalance(swapResult.user, quote.targetCurrency).balance
       }
     };
 
@@ -904,6 +943,7 @@ router.post('/quote/:quoteId', async (req, res) => {
     if (err.message?.startsWith('Failed to acquire lock')) {
       return res.status(429).json({ success: false, message: 'A swap is already in progress. Please wait and try again.' });
     }
+    await quoteService.failQuote(req.params.quoteId, err, { systemContext });
     logger.error('POST /swap/quote/:quoteId error', {
       error: err.stack,
       userId: req.user?.id,
@@ -922,11 +962,13 @@ router.post('/quote/:quoteId', async (req, res) => {
 // GET /swap/tokens - Get supported tokens
 router.get('/tokens', (req, res) => {
   try {
-    const tokens = Object.entries(TOKEN_MAP).map(([code, info]) => ({
-      code, 
-      name: info.name, 
-      currency: info.currency
-    }));
+    const tokens = listAssets({ feature: 'swap' })
+      .filter(asset => !asset.isNairaPegged)
+      .map(asset => ({
+        code: asset.symbol,
+        name: asset.name,
+        currency: asset.symbol.toLowerCase()
+      }));
     
     res.json({
       success: true,
@@ -943,14 +985,9 @@ router.get('/tokens', (req, res) => {
   }
 });
 
-// Clean up expired quotes and stale user cache entries
+// Clean up stale user cache entries (quote expiry is handled by services/quoteService)
 setInterval(() => {
   const now = Date.now();
-  for (const [key, quote] of quoteCache.entries()) {
-    if (now > new Date(quote.expiresAt).getTime()) {
-      quoteCache.delete(key);
-    }
-  }
   for (const [key, entry] of userCache.entries()) {
     if (now - entry.timestamp > CACHE_TTL) {
       userCache.delete(key);
@@ -958,4 +995,9 @@ setInterval(() => {
   }
 }, 60000);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by limit orders (services/limitOrderService)
+module.exports.validateSwapPair = validateSwapPair;
+module.exports.buildObiexQuotePayload = buildObiexQuotePayload;
+module.exports.executeObiexSwapWithBalanceUpdate = executeObiexSwapWithBalanceUpdate;
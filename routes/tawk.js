@@ -2,7 +2,8 @@
  * Tawk.to Webhook Route
  *
  * Receives POST events from Tawk.to when a visitor sends a message,
- * then notifies all giftcard admin emails via Brevo.
+ * stores them in the webhook inbox, then notifies all giftcard admin
+ * emails via Brevo.
  *
  * Tawk.to sends a HMAC-SHA1 signature in the `x-tawk-signature` header.
  * Set TAWK_WEBHOOK_SECRET in .env to enable signature verification.
@@ -13,6 +14,7 @@
 const express = require('express');
 const crypto  = require('crypto');
 const { sendTawkMessageNotify } = require('../services/EmailService');
+const { receiveWebhook, registerWebhookHandler } = require('../services/webhookInbox');
 
 const router = express.Router();
 
@@ -25,43 +27,22 @@ function verifySignature(secret, rawBody, signature) {
   return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
 }
 
-// POST /tawk/webhook
-router.post('/', (req, res) => {
-  // Signature verification (optional — only if secret is configured)
-  const secret = process.env.TAWK_WEBHOOK_SECRET;
-  if (secret) {
-    const sig = req.headers['x-tawk-signature'];
-    if (!sig) {
-      return res.status(401).json({ success: false, error: 'Missing signature' });
-    }
-    const raw = req.rawBody || JSON.stringify(req.body);
-    try {
-      if (!verifySignature(secret, raw, sig)) {
-        return res.status(401).json({ success: false, error: 'Invalid signature' });
-      }
-    } catch (_) {
-      return res.status(401).json({ success: false, error: 'Signature verification failed' });
-    }
-  }
-
-  let payload;
-  try {
-    const raw = req.rawBody || (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : null);
-    payload = raw ? JSON.parse(raw) : req.body;
-  } catch (_) {
-    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
-  }
+/**
+ * Email the giftcard admins about a visitor message. Runs from the
+ * webhook inbox (services/webhookInbox).
+ */
+async function processTawkEvent(payload) {
   const event = payload?.event;
 
   // Only handle visitor message events
   if (event !== 'chat:start' && event !== 'chat:message') {
-    return res.status(200).json({ success: true, ignored: true });
+    return { ignored: true };
   }
 
   // Only notify for visitor-sent messages (not agent replies)
   const senderType = payload?.message?.sender?.type;
   if (event === 'chat:message' && senderType !== 'visitor') {
-    return res.status(200).json({ success: true, ignored: true });
+    return { ignored: true };
   }
 
   const visitorName  = payload?.visitor?.name  || 'Unknown';
@@ -69,10 +50,64 @@ router.post('/', (req, res) => {
   const message      = payload?.message?.text || '(new chat started)';
   const chatId       = payload?.chatId || '';
 
-  // Fire-and-forget — don't block the 200 response
-  sendTawkMessageNotify({ visitorName, visitorEmail, message, chatId, event })
-    .catch(err => console.error('[tawk] Email notify failed:', err.message));
+  await sendTawkMessageNotify({ visitorName, visitorEmail, message, chatId, event });
+  return { notified: true, chatId };
+}
+
+registerWebhookHandler('tawk', processTawkEvent);
+
+// POST /tawk/webhook
+router.post('/', async (req, res) => {
+  const raw = req.rawBody || (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : JSON.stringify(req.body));
 
+  let payload;
+  try {
+    payload = (req.rawBody || Buffer.isBuffer(req.body)) ? JSON.parse(raw) : req.body;
+  } catch (_) {
+    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+  }
+
+  // Signature verification (optional — only if secret is configured)
+  let signatureValid = null;
+  let signatureError = null;
+  const secret = process.env.TAWK_WEBHOOK_SECRET;
+  if (secret) {
+    const sig = req.headers['x-tawk-signature'];
+    if (!sig) {
+      signatureError = 'Missing signature';
+    } else {
+      try {
+        if (!verifySignature(secret, raw, sig)) signatureError = 'Invalid signature';
+      } catch (_) {
+        signatureError = 'Signature verification failed';
+      }
+    }
+    signatureValid = !signatureError;
+  }
+
+  const event = payload?.event;
+  const chatId = payload?.chatId;
+  const time = payload?.message?.time || payload?.time;
+
+  try {
+    await receiveWebhook({
+      source: 'tawk',
+      eventId: chatId && event && time ? `${chatId}:${event}:${time}` : null,
+      eventType: event || null,
+      rawBody: raw,
+      payload,
+      headers: req.headers,
+      signatureValid,
+      signatureError
+    });
+  } catch (err) {
+    console.error('[tawk] Inbox write failed:', err.message);
+    return res.status(500).json({ success: false, error: 'Webhook could not be stored' });
+  }
+
+  if (signatureError) {
+    return res.status(401).json({ success: false, error: signatureError });
+  }
   return res.status(200).json({ success: true });
 });
 
@@ -0,0 +1,90 @@
+// routes/twoFARecovery.js
+const express = require('express');
+const router = express.Router();
+const {
+  TwoFARecoveryError,
+  recoverWithBackupCode,
+  startRecovery,
+  verifyRecoveryEmail,
+  completeRecoveryWithSelfie
+} = require('../services/twoFARecoveryService');
+const logger = require('../utils/logger');
+
+const MAX_LIVENESS_IMAGES = 8;
+
+function handleError(res, error, source, userId) {
+  if (error instanceof TwoFARecoveryError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// POST /2FA/recovery/backup-code - Reset 2FA with a backup code
+// Body: { backupCode }
+router.post('/backup-code', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { backupCode } = req.body;
+    if (!backupCode || typeof backupCode !== 'string') {
+      return res.status(400).json({ success: false, message: 'Backup code is required' });
+    }
+    await recoverWithBackupCode(userId, backupCode);
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication has been reset. Set up your authenticator app again.'
+    });
+  } catch (error) {
+    return handleError(res, error, 'POST /2FA/recovery/backup-code', userId);
+  }
+});
+
+// POST /2FA/recovery/start - Email a verification code
+router.post('/start', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { expiresAt } = await startRecovery(userId);
+    return res.json({ success: true, message: 'Verification code sent to your email', data: { expiresAt } });
+  } catch (error) {
+    return handleError(res, error, 'POST /2FA/recovery/start', userId);
+  }
+});
+
+// POST /2FA/recovery/verify-email
+// Body: { code }
+router.post('/verify-email', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { selfieDeadline } = await verifyRecoveryEmail(userId, req.body.code);
+    return res.json({ success: true, message: 'Email verified. Take a selfie to finish.', data: { selfieDeadline } });
+  } catch (error) {
+    return handleError(res, error, 'POST /2FA/recovery/verify-email', userId);
+  }
+});
+
+// POST /2FA/recovery/selfie - Finish recovery; withdrawals are frozen for 48 hours
+// Body: { selfieImage, livenessImages? } - base64 JPEGs
+router.post('/selfie', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { selfieImage, livenessImages = [] } = req.body;
+    if (!selfieImage || typeof selfieImage !== 'string') {
+      return res.status(400).json({ success: false, message: 'Selfie image is required' });
+    }
+    if (!Array.isArray(livenessImages) || livenessImages.length > MAX_LIVENESS_IMAGES ||
+        livenessImages.some(image => typeof image !== 'string')) {
+      return res.status(400).json({ success: false, message: `livenessImages must be up to ${MAX_LIVENESS_IMAGES} base64 images` });
+    }
+
+    const { withdrawalsFrozenUntil } = await completeRecoveryWithSelfie(userId, { selfieImage, livenessImages });
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication has been reset. Set up your authenticator app again.',
+      data: { withdrawalsFrozenUntil }
+    });
+  } catch (error) {
+    return handleError(res, error, 'POST /2FA/recovery/selfie', userId);
+  }
+});
+
+module.exports = router;
@@ -5,25 +5,18 @@ const router = express.Router();
 const User = require('../models/user');
 const Transaction = require('../models/transaction');
 const { validateTwoFactorAuth } = require('../services/twofactorAuth');
+const { getWithdrawalFreeze } = require('../services/twoFARecoveryService');
 const { validateTransactionLimit, invalidateSpending } = require('../services/kyccheckservice');
 const { sendTransferNotification } = require('../services/notificationService');
+const { emitEvent } = require('../services/outboundWebhookService');
 const { sendDepositEmail } = require('../services/EmailService');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
+const {
+  resolveSymbol, isAssetEnabled, listAssets, getBalanceFields, readUserBalance
+} = require('../services/assetRegistry');
 const { RedisLock } = require('../utils/redisLock');
-
-// Supported tokens configuration
-const SUPPORTED_TOKENS = {
-  'BTC': { name: 'Bitcoin', symbol: 'BTC', decimals: 8 },
-  'ETH': { name: 'Ethereum', symbol: 'ETH', decimals: 18 },
-  'SOL': { name: 'Solana', symbol: 'SOL', decimals: 9 },
-  'USDT': { name: 'Tether USD', symbol: 'USDT', decimals: 6 },
-  'USDC': { name: 'USD Coin', symbol: 'USDC', decimals: 6 },
-  'BNB': { name: 'BNB', symbol: 'BNB', decimals: 18 },
-  'DOGE': { name: 'Dogecoin', symbol: 'DOGE', decimals: 8 },
-  'MATIC': { name: 'Polygon', symbol: 'MATIC', decimals: 18 },
-  'AVAX': { name: 'Avalanche', symbol: 'AVAX', decimals: 18 },
-  'NGNZ': { name: 'Nigerian Naira Bridge', symbol: 'NGNZ', decimals: 2 }
-};
+const { applyBeneficiary } = require('../middleware/beneficiary');
 
 // Internal transfer configuration constants
 const INTERNAL_TRANSFER_CONFIG = {
@@ -56,22 +49,11 @@ async function comparePasswordPin(candidatePasswordPin, hashedPasswordPin) {
 }
 
 /**
- * Get balance field name for currency
+ * Get balance field name for currency (null if the asset can't be transferred)
  */
 function getBalanceFieldName(currency) {
-  const fieldMap = {
-    'BTC': 'btcBalance',
-    'ETH': 'ethBalance',
-    'SOL': 'solBalance',
-    'USDT': 'usdtBalance',
-    'USDC': 'usdcBalance',
-    'BNB': 'bnbBalance',
-    'DOGE': 'dogeBalance',
-    'MATIC': 'maticBalance',
-    'AVAX': 'avaxBalance',
-    'NGNZ': 'ngnzBalance'
-  };
-  return fieldMap[currency.toUpperCase()];
+  if (!isAssetEnabled(currency, 'transfer')) return null;
+  return getBalanceFields(currency).balanceField;
 }
 
 /**
@@ -88,7 +70,7 @@ async function validateUserBalanceInternal(userId, currency, amount) {
       };
     }
 
-    const user = await User.findById(userId).select(balanceField);
+    const user = await User.findById(userId).select(balanceField.startsWith('balances.') ? 'balances' : balanceField);
     if (!user) {
       return {
         success: false,
@@ -97,7 +79,7 @@ async function validateUserBalanceInternal(userId, currency, amount) {
       };
     }
 
-    const availableBalance = user[balanceField] || 0;
+    const availableBalance = readUserBalance(user, currency).balance;
     
     if (availableBalance < amount) {
       return {
@@ -160,9 +142,10 @@ function validateInternalTransferRequest(body) {
   }
 
   // Currency support validation
-  const upperCurrency = currency?.toUpperCase();
-  if (upperCurrency && !SUPPORTED_TOKENS[upperCurrency]) {
-    errors.push(`Currency ${upperCurrency} is not supported. Supported currencies: ${Object.keys(SUPPORTED_TOKENS).join(', ')}`);
+  const upperCurrency = resolveSymbol(currency) || currency?.toUpperCase();
+  if (upperCurrency && !isAssetEnabled(upperCurrency, 'transfer')) {
+    const supported = listAssets({ feature: 'transfer' }).map(asset => asset.symbol);
+    errors.push(`Currency ${upperCurrency} is not supported. Supported currencies: ${supported.join(', ')}`);
   }
 
   // Username format validation
@@ -409,35 +392,28 @@ async function executeInternalTransfer(transferData) {
     
     try {
       await session.withTransaction(async () => {
-        // Update sender's balance (debit) with balance validation
-        const senderUpdateResult = await User.updateOne(
-          { 
-            _id: senderUserId,
-            [balanceField]: { $gte: amount } // Ensure sufficient balance
-          },
-          { 
-            $inc: { [balanceField]: -amount },
-            $set: { lastBalanceUpdate: new Date() }
-          },
-          { session }
-        );
-
-        if (senderUpdateResult.matchedCount === 0) {
-          throw new Error('Insufficient balance or sender not found');
-        }
-
-        // Update recipient's balance (credit)
-        const recipientUpdateResult = await User.updateOne(
-          { _id: recipientUserId },
-          { 
-            $inc: { [balanceField]: amount },
-            $set: { lastBalanceUpdate: new Date() }
-          },
-          { session }
-        );
-
-        if (recipientUpdateResult.matchedCount === 0) {
-          throw new Error('Recipient not found');
+        // Debit sender and credit recipient in a single balanced journal entry
+        try {
+          await postEntry({
+            type: 'INTERNAL_TRANSFER',
+            reference: senderTransaction.reference,
+            description: `Internal transfer of ${amount} ${currency.toUpperCase()}`,
+            actor: { kind: 'USER', id: String(senderUserId) },
+            changes: [
+              { userId: senderUserId, currency, balanceDelta: -amount },
+              { userId: recipientUserId, currency, balanceDelta: amount }
+            ],
+            metadata: {
+              senderTransactionId: senderTransaction._id,
+              recipientTransactionId: recipientTransaction._id
+            },
+            session
+          });
+        } catch (ledgerError) {
+          if (ledgerError.code === 'INSUFFICIENT_BALANCE') {
+            throw new Error('Insufficient balance or sender not found');
+          }
+          throw ledgerError;
         }
         
         // Mark transactions as completed
@@ -499,7 +475,7 @@ async function executeInternalTransfer(transferData) {
 /**
  * Main internal transfer endpoint with comprehensive validation
  */
-router.post('/internal', async (req, res) => {
+router.post('/internal', applyBeneficiary('INTERNAL'), async (req, res) => {
   const startTime = Date.now();
   let transactionsCreated = false;
   let senderTransaction = null;
@@ -564,6 +540,17 @@ router.post('/internal', async (req, res) => {
       });
     }
 
+    const withdrawalFreeze = getWithdrawalFreeze(senderUser);
+    if (withdrawalFreeze) {
+      logger.warn('Internal transfer blocked: withdrawals frozen after 2FA recovery', { senderUserId, until: withdrawalFreeze.until });
+      return res.status(403).json({
+        success: false,
+        code: 'WITHDRAWALS_FROZEN',
+        message: withdrawalFreeze.message,
+        frozenUntil: withdrawalFreeze.until
+      });
+    }
+
     if (!validateTwoFactorAuth(senderUser, twoFactorCode)) {
       logger.warn('Invalid 2FA attempt for internal transfer', { senderUserId });
       return res.status(401).json({
@@ -717,6 +704,17 @@ router.post('/internal', async (req, res) => {
       logger.warn('KYC spending cache invalidation failed', { userId: senderUserId, error: invErr.message });
     }
 
+    emitEvent('transaction.completed', {
+      kind: 'INTERNAL_TRANSFER',
+      userId: senderUserId.toString(),
+      recipientUserId: String(recipient.id),
+      transactionId: senderTransaction._id.toString(),
+      recipientTransactionId: recipientTransaction._id.toString(),
+      amount,
+      currency,
+      reference: transactionResult.transferReference
+    });
+
     // Send push notification to recipient (non-blocking)
     sendTransferNotification(
       recipient.id,
@@ -814,4 +812,7 @@ router.post('/internal', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by saved internal beneficiaries (services/beneficiaryService)
+module.exports.findRecipientUser = findRecipientUser;
@@ -349,4 +349,8 @@ router.post('/customer', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by saved billers (services/beneficiaryService)
+module.exports.callEBillsVerificationAPI = callEBillsVerificationAPI;
+module.exports.VERIFIABLE_SERVICES = [...ELECTRICITY_SERVICES, ...CABLE_TV_SERVICES, ...BETTING_SERVICES];
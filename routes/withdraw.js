@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const axios = require('axios');
 const bcrypt = require('bcryptjs');
 const fs = require('fs');
@@ -13,11 +14,20 @@ const { validateTwoFactorAuth } = require('../services/twofactorAuth');
 const { validateTransactionLimit, invalidateSpending } = require('../services/kyccheckservice');
 const { getOriginalPricesWithCache } = require('../services/portfolio');
 const logger = require('../utils/logger');
+const { postEntry } = require('../services/ledgerService');
+const { sumAmounts, convertAmount, toDecimal, toAmount } = require('../utils/money');
+const {
+  getAsset, resolveSymbol, isAssetEnabled, listAssets, getAssetNetwork, getBalanceFields, readUserBalance
+} = require('../services/assetRegistry');
 const config = require('./config');
-const { sendWithdrawalEmail } = require('../services/EmailService');
+const { queueEmail } = require('../services/backgroundJobs');
 
 // Import idempotency middleware
 const { idempotencyMiddleware } = require('../utils/Idempotency');
+const { applyBeneficiary } = require('../middleware/beneficiary');
+const { checkWithdrawalDestination } = require('../services/withdrawalWhitelistService');
+const { evaluateWithdrawalRisk, holdWithdrawal } = require('../services/withdrawalRiskService');
+const { getWithdrawalFreeze } = require('../services/twoFARecoveryService');
 
 // SECURITY FIX: Import distributed lock and security service
 const { withLock } = require('../utils/redisLock');
@@ -41,83 +51,57 @@ const obiexAxios = axios.create({
 });
 obiexAxios.interceptors.request.use(attachObiexAuth);
 
-// Supported tokens metadata
-const SUPPORTED_TOKENS = {
-  BTC: { name: 'Bitcoin', symbol: 'BTC' },
-  ETH: { name: 'Ethereum', symbol: 'ETH' },
-  SOL: { name: 'Solana', symbol: 'SOL' },
-  USDT: { name: 'Tether', symbol: 'USDT' },
-  USDC: { name: 'USD Coin', symbol: 'USDC' },
-  BNB: { name: 'Binance Coin', symbol: 'BNB' },
-  MATIC: { name: 'Polygon', symbol: 'MATIC' },
-  TRX: { name: 'Tron', symbol: 'TRX' },
-  TON: { name: 'Toncoin', symbol: 'TON' }
-};
-
-// Network-specific minimum withdrawal amounts (prevents unprofitable micro-withdrawals)
-const NETWORK_MINIMUM_WITHDRAWALS = {
-  'BTC-BITCOIN': { min: 0.0001, max: 10 },
-  'ETH-ETHEREUM': { min: 0.005, max: 100 },
-  'SOL-SOLANA': { min: 0.01, max: 10000 },
-  'USDT-TRC20': { min: 5, max: 100000 },
-  'USDT-ERC20': { min: 10, max: 100000 },
-  'USDT-POLYGON': { min: 5, max: 100000 },
-  'USDT-BEP20': { min: 5, max: 100000 },
-  'USDC-ERC20': { min: 10, max: 100000 },
-  'USDC-POLYGON': { min: 5, max: 100000 },
-  'USDC-TRC20': { min: 5, max: 100000 },
-  'BNB-BEP20': { min: 0.01, max: 1000 },
-  'MATIC-POLYGON': { min: 1, max: 100000 },
-  'TRX-TRC20': { min: 10, max: 1000000 },
-  'TON-TON': { min: 1, max: 100000 }
-};
-
 /**
  * HELPER FUNCTIONS
  */
-function getBalanceFieldName(currency) {
-  const fieldMap = {
-    'BTC': 'btcBalance', 'ETH': 'ethBalance', 'SOL': 'solBalance', 'USDT': 'usdtBalance',
-    'USDC': 'usdcBalance', 'BNB': 'bnbBalance', 'MATIC': 'maticBalance', 'TRX': 'trxBalance',
-    'TON': 'tonBalance'
-  };
-  return fieldMap[currency.toUpperCase()];
-}
 
-function getPendingBalanceFieldName(currency) {
-  const fieldMap = {
-    'BTC': 'btcPendingBalance', 'ETH': 'ethPendingBalance', 'SOL': 'solPendingBalance', 'USDT': 'usdtPendingBalance',
-    'USDC': 'usdcPendingBalance', 'BNB': 'bnbPendingBalance', 'MATIC': 'maticPendingBalance', 'TRX': 'trxPendingBalance',
-    'TON': 'tonPendingBalance'
-  };
-  return fieldMap[currency.toUpperCase()];
+// Crypto withdrawals cover every withdraw-enabled registry asset except NGNZ (see NGNZWithdrawal.js)
+function getWithdrawableAsset(currency) {
+  const asset = getAsset(currency);
+  if (!asset || asset.isNairaPegged || !isAssetEnabled(asset.symbol, 'withdraw')) return null;
+  return asset;
 }
 
 async function validateUserBalanceInternal(userId, currency, amount) {
-  const balanceField = getBalanceFieldName(currency);
-  const user = await User.findById(userId).select(balanceField);
-  const available = user ? user[balanceField] : 0;
+  const { balanceField } = getBalanceFields(currency);
+  const user = await User.findById(userId).select(balanceField.startsWith('balances.') ? 'balances' : balanceField);
+  const available = readUserBalance(user, currency).balance;
   return { success: available >= amount, availableBalance: available };
 }
 
-async function reserveUserBalanceInternal(userId, currency, amount) {
-  const balanceField = getBalanceFieldName(currency);
-  const pendingField = getPendingBalanceFieldName(currency);
-  const result = await User.updateOne(
-    { _id: userId, [balanceField]: { $gte: amount } },
-    { $inc: { [balanceField]: -amount, [pendingField]: amount } }
-  );
-  return { success: result.matchedCount > 0 };
+// Both legs are keyed on the withdrawal's Transaction id, so a retried refund posts once
+async function reserveUserBalanceInternal(userId, currency, amount, transactionId) {
+  await postEntry({
+    type: 'WITHDRAWAL_RESERVE',
+    userId,
+    reference: String(transactionId),
+    idempotencyKey: `WITHDRAWAL_RESERVE:${transactionId}`,
+    description: `Reserve ${amount} ${currency} for crypto withdrawal`,
+    actor: { kind: 'USER', id: String(userId) },
+    changes: [{ currency, balanceDelta: -amount, pendingDelta: amount }]
+  });
+}
+
+async function releaseReservedBalanceInternal(userId, currency, amount, transactionId) {
+  try {
+    await postEntry({
+      type: 'WITHDRAWAL_REFUND',
+      userId,
+      reference: String(transactionId),
+      idempotencyKey: `WITHDRAWAL_REFUND:${transactionId}`,
+      description: `Release ${amount} ${currency} reserved for crypto withdrawal`,
+      actor: { kind: 'SYSTEM', id: 'withdraw' },
+      changes: [{ currency, balanceDelta: amount, pendingDelta: -amount }]
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error; // already refunded
+  }
 }
 
-async function releaseReservedBalanceInternal(userId, currency, amount) {
-  const balanceField = getBalanceFieldName(currency);
-  const pendingField = getPendingBalanceFieldName(currency);
-  const result = await User.updateOne(
-    { _id: userId, [pendingField]: { $gte: amount } },
-    { $inc: { [balanceField]: amount, [pendingField]: -amount } }
-  );
-  return { success: result.matchedCount > 0 };
+// Submit a crypto withdrawal to Obiex; returns Obiex's transaction data
+async function submitCryptoWithdrawal(payload) {
+  const obiexRes = await obiexAxios.post('/wallets/ext/debit/crypto', payload);
+  return obiexRes.data.data;
 }
 
 async function comparePasswordPin(candidate, hashed) {
@@ -143,14 +127,14 @@ async function getWithdrawalFee(currency, network) {
     
     if (!feeDoc) throw new Error(`Markup missing in DB for ${dbCurrency} on ${upperNetwork}`);
 
-    const totalFee = obiexNet.fee + feeDoc.networkFee;
+    const totalFee = sumAmounts([obiexNet.fee, feeDoc.networkFee], dbCurrency, 'FEE');
     const prices = await getOriginalPricesWithCache([dbCurrency]);
-    const feeUsd = totalFee * (prices[dbCurrency] || 0);
+    const feeUsd = convertAmount(totalFee, prices[dbCurrency] || 0, 'USD');
 
     return {
       success: true,
-      networkFee: parseFloat(totalFee.toFixed(8)), // Total displayed to user
-      feeUsd: parseFloat(feeUsd.toFixed(2)),
+      networkFee: totalFee,                        // Total displayed to user
+      feeUsd,
       originalNetworkFee: feeDoc.networkFee,       // This is YOUR markup
       obiexFee: obiexNet.fee                      // This is Obiex's fee
     };
@@ -160,6 +144,27 @@ async function getWithdrawalFee(currency, network) {
   }
 }
 
+/**
+ * Check currency, network and address format against the Obiex network map
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDestination(currency, network, address) {
+  const upperCurrency = currency?.toUpperCase();
+  const upperNetwork = network?.toUpperCase();
+
+  const assetData = getWithdrawableAsset(upperCurrency) ? OBIEX_NETWORK_DATA[upperCurrency] : null;
+  if (!assetData) return `Currency ${upperCurrency} not supported`;
+
+  const validNetwork = assetData.networks.find(n => n.code === upperNetwork);
+  if (!validNetwork) return `Invalid network. Available: ${assetData.networks.map(n => n.code).join(', ')}`;
+
+  // Address format validation
+  if (validNetwork.addressRegex && address?.trim() && !new RegExp(validNetwork.addressRegex).test(address.trim())) {
+    return `Invalid address format for ${validNetwork.name}`;
+  }
+  return null;
+}
+
 function validateWithdrawalRequest(body) {
   const { destination = {}, amount, currency, twoFactorCode, passwordpin } = body;
   const { address, network } = destination;
@@ -172,31 +177,21 @@ function validateWithdrawalRequest(body) {
   if (!twoFactorCode?.trim()) errors.push('2FA code is required');
   if (!passwordpin?.trim()) errors.push('PIN is required');
 
-  const assetData = OBIEX_NETWORK_DATA[upperCurrency];
-  if (!assetData) {
-    errors.push(`Currency ${upperCurrency} not supported`);
+  const destinationError = validateDestination(upperCurrency, upperNetwork, address);
+  if (destinationError) {
+    errors.push(destinationError);
   } else {
-    const validNetwork = assetData.networks.find(n => n.code === upperNetwork);
-    if (!validNetwork) {
-      errors.push(`Invalid network. Available: ${assetData.networks.map(n => n.code).join(', ')}`);
-    } else {
-      // Address format validation
-      if (validNetwork.addressRegex) {
-        if (!new RegExp(validNetwork.addressRegex).test(address.trim())) {
-          errors.push(`Invalid address format for ${validNetwork.name}`);
-        }
+    // SECURITY FIX: Network-specific minimum/maximum validation
+    const limits = getAssetNetwork(getWithdrawableAsset(upperCurrency).symbol, upperNetwork);
+    if (limits) {
+      if (!limits.withdrawEnabled) {
+        errors.push(`Withdrawals of ${upperCurrency} on ${upperNetwork} are currently disabled`);
       }
-
-      // SECURITY FIX: Network-specific minimum/maximum validation
-      const networkKey = `${upperCurrency}-${upperNetwork}`;
-      const limits = NETWORK_MINIMUM_WITHDRAWALS[networkKey];
-      if (limits) {
-        if (Number(amount) < limits.min) {
-          errors.push(`Minimum withdrawal for ${upperCurrency} on ${upperNetwork} is ${limits.min} ${upperCurrency}`);
-        }
-        if (Number(amount) > limits.max) {
-          errors.push(`Maximum withdrawal for ${upperCurrency} on ${upperNetwork} is ${limits.max} ${upperCurrency}`);
-        }
+      if (limits.minWithdrawal && Number(amount) < limits.minWithdrawal) {
+        errors.push(`Minimum withdrawal for ${upperCurrency} on ${upperNetwork} is ${limits.minWithdrawal} ${upperCurrency}`);
+      }
+      if (limits.maxWithdrawal != null && Number(amount) > limits.maxWithdrawal) {
+        errors.push(`Maximum withdrawal for ${upperCurrency} on ${upperNetwork} is ${limits.maxWithdrawal} ${upperCurrency}`);
       }
     }
   }
@@ -210,12 +205,14 @@ function validateWithdrawalRequest(body) {
  * WITHDRAWAL EXECUTION
  * NOTE: idempotencyMiddleware is applied here to prevent duplicate withdrawals
  */
-router.post('/crypto', idempotencyMiddleware, async (req, res) => {
+router.post('/crypto', idempotencyMiddleware, applyBeneficiary('CRYPTO'), async (req, res) => {
   let reservationMade = false;
   let finalAmount;
   let finalCurrency;
   let internalCurrency; 
   let internalNetwork;  
+  let heldTransactionId;
+  let transactionId;
 
   try {
     const validation = validateWithdrawalRequest(req.body);
@@ -223,7 +220,7 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
 
     const { address, amount, currency, network, twoFactorCode, passwordpin } = validation.validatedData;
     
-    internalCurrency = currency.toUpperCase() === 'POL' ? 'MATIC' : currency.toUpperCase();
+    internalCurrency = resolveSymbol(currency) || currency.toUpperCase();
     internalNetwork = (network.toUpperCase() === 'POL' || network.toUpperCase() === 'POLYGON') ? 'MATIC' : network.toUpperCase();
     
     finalAmount = amount;
@@ -243,6 +240,17 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
       });
     }
 
+    const withdrawalFreeze = getWithdrawalFreeze(user);
+    if (withdrawalFreeze) {
+      logger.warn(`Withdrawal blocked: withdrawals frozen after 2FA recovery`, { userId: user._id, until: withdrawalFreeze.until, ip: req.ip });
+      return res.status(403).json({
+        success: false,
+        code: 'WITHDRAWALS_FROZEN',
+        message: withdrawalFreeze.message,
+        frozenUntil: withdrawalFreeze.until
+      });
+    }
+
     // SECURITY FIX: Check 2FA attempt rate limiting
     const twoFACheck = await securityService.check2FAAttempts(user._id.toString());
     if (!twoFACheck.allowed) {
@@ -326,6 +334,18 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
     // Reset PIN attempts on success
     await securityService.resetPINAttempts(user._id.toString());
 
+    // --- WITHDRAWAL WHITELIST (opt-in) ---
+    const whitelistCheck = await checkWithdrawalDestination(user, { network, address, memo });
+    if (!whitelistCheck.allowed) {
+      logger.warn(`Withdrawal blocked by whitelist: ${whitelistCheck.code}`, { userId: user._id, network, ip: req.ip });
+      return res.status(403).json({
+        success: false,
+        code: whitelistCheck.code,
+        message: whitelistCheck.message,
+        ...(whitelistCheck.availableAt && { availableAt: whitelistCheck.availableAt })
+      });
+    }
+
     // --- 3. KYC / TRANSACTION LIMIT CHECK ---
     const kycCheck = await validateTransactionLimit(user._id, amount, internalCurrency, 'WITHDRAWAL');
     if (!kycCheck.allowed) {
@@ -344,13 +364,32 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
      * Obiex will then subtract its own fee (obiexFee) from the remaining balance.
      */
     const totalFees = feeInfo.networkFee;
-    const obiexSendAmount = amount - feeInfo.originalNetworkFee;
+    const obiexSendAmount = toAmount(toDecimal(amount).minus(feeInfo.originalNetworkFee), internalCurrency, 'CREDIT');
 
     if (obiexSendAmount <= 0) return res.status(400).json({ success: false, message: "Amount too low to cover fees" });
 
+    // --- 4b. RISK SCORING ---
+    const risk = await evaluateWithdrawalRisk({
+      userId: user._id,
+      kind: 'CRYPTO',
+      currency: internalCurrency,
+      amount,
+      destination: { address, network: internalNetwork }
+    });
+
+    // Sanctions watchlist hit: nothing is reserved or sent, compliance has the case
+    if (risk.block) {
+      return res.status(403).json({
+        success: false,
+        code: 'COMPLIANCE_BLOCK',
+        message: 'This withdrawal cannot be processed. Please contact support.'
+      });
+    }
+
     // --- 5. BALANCE VALIDATION & LOCKING WITH DISTRIBUTED LOCK ---
     // SECURITY FIX: Use distributed lock to prevent race conditions
     const lockKey = `withdrawal:${user._id}:${internalCurrency}`;
+    transactionId = new mongoose.Types.ObjectId();
 
     const lockResult = await withLock(
       lockKey,
@@ -361,9 +400,11 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
           throw new Error("Insufficient balance");
         }
 
-        const reserveRes = await reserveUserBalanceInternal(user._id, internalCurrency, amount);
-        if (!reserveRes.success) {
-          throw new Error("Balance locking failed - race condition detected");
+        try {
+          await reserveUserBalanceInternal(user._id, internalCurrency, amount, transactionId);
+        } catch (error) {
+          if (error.code === 'INSUFFICIENT_BALANCE') throw new Error("Insufficient balance");
+          throw error;
         }
 
         return { success: true };
@@ -397,11 +438,57 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
       narration: narration || `Withdrawal`
     };
 
-    const obiexRes = await obiexAxios.post('/wallets/ext/debit/crypto', payload);
-    const obiexData = obiexRes.data.data;
+    // Risky withdrawals keep their reservation and wait for a moderator
+    if (risk.hold) {
+      const heldTransaction = await Transaction.create({
+        _id: transactionId,
+        userId: user._id,
+        type: 'WITHDRAWAL',
+        currency: internalCurrency,
+        amount: -amount,
+        address,
+        network: internalNetwork,
+        status: 'PENDING_REVIEW',
+        fee: totalFees
+      });
+      heldTransactionId = heldTransaction._id;
+
+      const review = await holdWithdrawal({
+        kind: 'CRYPTO',
+        userId: user._id,
+        transactionId: heldTransaction._id,
+        currency: internalCurrency,
+        amount,
+        fee: totalFees,
+        destination: { address, network: internalNetwork, memo: memo?.trim() || null },
+        payload,
+        risk
+      });
+
+      try {
+        invalidateSpending(user._id.toString(), 'WITHDRAWAL');
+      } catch (invErr) {
+        logger.warn('KYC spending cache invalidation failed', { userId: user._id, error: invErr.message });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Withdrawal is under review. Your funds are on hold and you will be notified once it is processed.',
+        data: {
+          transactionId: heldTransaction._id,
+          reviewId: review.reviewId,
+          status: 'PENDING_REVIEW',
+          amount: amount,
+          fee: totalFees
+        }
+      });
+    }
+
+    const obiexData = await submitCryptoWithdrawal(payload);
 
     // --- 7. RECORD TRANSACTION ---
     const transaction = await Transaction.create({
+      _id: transactionId,
       userId: user._id, 
       type: 'WITHDRAWAL', 
       currency: internalCurrency, 
@@ -414,7 +501,7 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
       reference: obiexData.reference
     });
 
-    if (user.email) sendWithdrawalEmail(user.email, user.username, amount, internalCurrency, transaction._id);
+    if (user.email) queueEmail('sendWithdrawalEmail', user.email, user.username, amount, internalCurrency, String(transaction._id));
 
     // Invalidate KYC spending cache so next limit check uses fresh data
     try {
@@ -448,8 +535,21 @@ router.post('/crypto', idempotencyMiddleware, async (req, res) => {
     });
 
   } catch (error) {
+    let released = !reservationMade;
     if (reservationMade) {
-      await releaseReservedBalanceInternal(req.user.id, finalCurrency, finalAmount);
+      // A failed refund leaves the amount in pending; it needs a manual release
+      released = await releaseReservedBalanceInternal(req.user.id, finalCurrency, finalAmount, transactionId)
+        .then(() => true)
+        .catch(e => {
+          logger.error('Failed to release reserved withdrawal balance', {
+            userId: req.user.id, transactionId, currency: finalCurrency, amount: finalAmount, error: e.message
+          });
+          return false;
+        });
+    }
+    if (heldTransactionId && released) {
+      await Transaction.updateOne({ _id: heldTransactionId }, { $set: { status: 'FAILED', failedAt: new Date() } })
+        .catch(e => logger.error('Failed to mark held withdrawal as failed', { transactionId: heldTransactionId, error: e.message }));
     }
     const errorMsg = error.response?.data?.message || error.message;
     logger.error(`Withdrawal Error: ${errorMsg}`, { obiexResponse: error.response?.data, status: error.response?.status });
@@ -470,15 +570,24 @@ router.post('/initiate', async (req, res) => {
       currency, 
       fee: feeInfo.networkFee, 
       feeUsd: feeInfo.feeUsd, 
-      receiverAmount: Number(amount) - feeInfo.networkFee, 
+      receiverAmount: toAmount(toDecimal(amount).minus(feeInfo.networkFee), currency, 'CREDIT'), 
       totalAmount: Number(amount) 
     }
   });
 });
 
 router.get('/currencies', async (req, res) => {
-  const currencies = Object.keys(SUPPORTED_TOKENS).map(c => ({ symbol: c, name: SUPPORTED_TOKENS[c].name }));
+  const currencies = listAssets({ feature: 'withdraw' })
+    .filter(asset => !asset.isNairaPegged)
+    .map(asset => ({ symbol: asset.symbol, name: asset.name }));
   res.json({ success: true, data: { currencies } });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Used by saved crypto beneficiaries (services/beneficiaryService)
+module.exports.validateDestination = validateDestination;
+
+// Used to submit or release withdrawals held for review (services/withdrawalRiskService)
+module.exports.submitCryptoWithdrawal = submitCryptoWithdrawal;
+module.exports.releaseReservedBalanceInternal = releaseReservedBalanceInternal;
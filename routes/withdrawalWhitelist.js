@@ -0,0 +1,116 @@
+// routes/withdrawalWhitelist.js
+const express = require('express');
+const router = express.Router();
+const {
+  WithdrawalWhitelistError,
+  getWhitelistSummary,
+  addAddress,
+  confirmAddress,
+  removeAddress,
+  setWhitelistEnabled
+} = require('../services/withdrawalWhitelistService');
+const logger = require('../utils/logger');
+
+function serializeAddress(entry) {
+  return {
+    id: entry._id,
+    currency: entry.currency,
+    network: entry.network,
+    address: entry.address,
+    memo: entry.memo,
+    label: entry.label,
+    status: entry.status,
+    confirmedAt: entry.confirmedAt,
+    usableAfter: entry.usableAfter,
+    lastUsedAt: entry.lastUsedAt,
+    createdAt: entry.createdAt
+  };
+}
+
+function handleError(res, error, source, userId) {
+  if (error instanceof WithdrawalWhitelistError) {
+    return res.status(error.httpStatus).json({ success: false, code: error.code, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ success: false, message: 'Not found' });
+  }
+  logger.error(`${source} error`, { error: error.message, stack: error.stack, userId });
+  return res.status(500).json({ success: false, message: 'Server error' });
+}
+
+// GET /withdrawal-whitelist - Whitelist status and addresses
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { addresses, ...state } = await getWhitelistSummary(userId);
+    return res.json({ success: true, data: { ...state, addresses: addresses.map(serializeAddress) } });
+  } catch (error) {
+    return handleError(res, error, 'GET /withdrawal-whitelist', userId);
+  }
+});
+
+// POST /withdrawal-whitelist/enable
+router.post('/enable', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const state = await setWhitelistEnabled(userId, true);
+    return res.json({ success: true, message: 'Withdrawal whitelist enabled', data: state });
+  } catch (error) {
+    return handleError(res, error, 'POST /withdrawal-whitelist/enable', userId);
+  }
+});
+
+// POST /withdrawal-whitelist/disable - Takes effect after the 24h cooldown
+router.post('/disable', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const state = await setWhitelistEnabled(userId, false, req.body?.twoFactorCode);
+    return res.json({
+      success: true,
+      message: 'Withdrawal whitelist will be turned off after the 24 hour cooldown',
+      data: state
+    });
+  } catch (error) {
+    return handleError(res, error, 'POST /withdrawal-whitelist/disable', userId);
+  }
+});
+
+// POST /withdrawal-whitelist/addresses - Add an address (2FA, then email confirmation)
+router.post('/addresses', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { currency, network, address, memo, label, twoFactorCode } = req.body || {};
+    const entry = await addAddress(userId, { currency, network, address, memo, label, twoFactorCode });
+    return res.status(201).json({
+      success: true,
+      message: 'Address added. Enter the code sent to your email to confirm it.',
+      data: serializeAddress(entry)
+    });
+  } catch (error) {
+    return handleError(res, error, 'POST /withdrawal-whitelist/addresses', userId);
+  }
+});
+
+// POST /withdrawal-whitelist/addresses/:id/confirm - Confirm with the emailed code
+router.post('/addresses/:id/confirm', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const entry = await confirmAddress(userId, req.params.id, req.body?.code);
+    return res.json({ success: true, message: 'Address confirmed', data: serializeAddress(entry) });
+  } catch (error) {
+    return handleError(res, error, 'POST /withdrawal-whitelist/addresses/:id/confirm', userId);
+  }
+});
+
+// DELETE /withdrawal-whitelist/addresses/:id
+router.delete('/addresses/:id', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    await removeAddress(userId, req.params.id);
+    return res.json({ success: true, message: 'Address removed' });
+  } catch (error) {
+    return handleError(res, error, 'DELETE /withdrawal-whitelist/addresses/:id', userId);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * One-time migration: convert User balance fields and Transaction amounts that
+ * are still stored as doubles to Decimal128, rounded to the precision of their
+ * currency (see utils/money). The conversion keeps 15 significant digits, so
+ * float dust like 0.30000000000000004 is dropped rather than preserved.
+ * Safe to re-run — only numeric values that are not Decimal128 yet are touched.
+ * Run once: node scripts/migrateAmountsToDecimal128.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const { refreshAssets, listBalanceSymbols, getBalanceFields } = require('../services/assetRegistry');
+const { getPrecision } = require('../utils/money');
+const logger = console;
+
+const NOT_DECIMAL = { $type: ['double', 'int', 'long'] };
+
+// Transaction amount path -> path holding its currency
+const TRANSACTION_AMOUNTS = {
+  amount: 'currency',
+  fee: 'currency',
+  obiexFee: 'currency',
+  fromAmount: 'fromCurrency',
+  toAmount: 'toCurrency'
+};
+
+function toDecimal128Stage(path, places) {
+  const converted = { $toDecimal: `$${path}` };
+  return [{ $set: { [path]: places === null ? converted : { $round: [converted, places] } } }];
+}
+
+async function convert(collection, filter, path, places) {
+  const { modifiedCount } = await collection.updateMany(
+    { ...filter, [path]: NOT_DECIMAL },
+    toDecimal128Stage(path, places)
+  );
+  return modifiedCount;
+}
+
+async function migrateUsers() {
+  let converted = 0;
+  for (const symbol of listBalanceSymbols()) {
+    const places = getPrecision(symbol);
+    const { balanceField, pendingField } = getBalanceFields(symbol);
+    for (const field of [balanceField, pendingField]) {
+      const count = await convert(User.collection, {}, field, places);
+      if (count > 0) logger.log(`  users.${field}: ${count}`);
+      converted += count;
+    }
+  }
+  return converted;
+}
+
+async function migrateTransactions() {
+  let converted = 0;
+  for (const [path, currencyPath] of Object.entries(TRANSACTION_AMOUNTS)) {
+    const currencies = await Transaction.collection.distinct(currencyPath, { [path]: NOT_DECIMAL });
+    for (const currency of currencies) {
+      const count = await convert(Transaction.collection, { [currencyPath]: currency }, path, getPrecision(currency));
+      if (count > 0) logger.log(`  transactions.${path} (${currency}): ${count}`);
+      converted += count;
+    }
+
+    // Records without a currency keep whatever precision they had
+    const rest = await convert(Transaction.collection, {}, path, null);
+    if (rest > 0) logger.log(`  transactions.${path} (no currency): ${rest}`);
+    converted += rest;
+  }
+  return converted;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+  logger.log('Connected to MongoDB');
+
+  await refreshAssets();
+
+  const users = await migrateUsers();
+  const transactions = await migrateTransactions();
+
+  logger.log(`\nDone. Converted ${users} user balance value(s) and ${transactions} transaction amount(s).`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
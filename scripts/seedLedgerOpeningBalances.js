@@ -0,0 +1,38 @@
+/**
+ * One-time migration: record every user's pre-ledger balances as OPENING_BALANCE
+ * journal entries so that balances derived from the ledger match the cached fields.
+ * Safe to re-run — each user/currency is opened at most once.
+ * Run once: node scripts/seedLedgerOpeningBalances.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { recordOpeningBalances } = require('../services/ledgerService');
+const logger = console;
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+  logger.log('Connected to MongoDB');
+
+  const cursor = User.find({}).lean().cursor();
+
+  let usersProcessed = 0;
+  let entriesCreated = 0;
+
+  for await (const user of cursor) {
+    const opened = await recordOpeningBalances(user);
+    if (opened.length > 0) {
+      logger.log(`  User ${user._id}: opened ${opened.join(', ')}`);
+      entriesCreated += opened.length;
+    }
+    usersProcessed++;
+  }
+
+  logger.log(`\nDone. Created ${entriesCreated} opening entr(ies) across ${usersProcessed} user(s).`);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
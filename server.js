@@ -11,9 +11,14 @@ const cron = require('node-cron');
 
 // Import crypto price job
 const { updateCryptoPrices } = require('./services/cryptoPriceJob');
+const { refreshAssets } = require('./services/assetRegistry');
+const { refreshTierConfigs } = require('./services/kycTierService');
+const { refreshWatchlists } = require('./services/screeningService');
 // Import scheduled notification services
 const scheduledNotificationService = require('./services/scheduledNotificationService');
 const scheduledGiftCardNotificationService = require('./services/scheduledGiftCardNotificationService');
+// Access token revocation list (checked by authenticateToken / authenticateAdminToken)
+const { isTokenRevoked } = require('./services/tokenRevocationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -231,6 +236,10 @@ app.use('/tawk/webhook', express.raw({ type: 'application/json', limit: '1mb' })
   req.rawBody = req.body.toString('utf8');
   next();
 });
+app.use('/billwebhook', express.raw({ type: 'application/json', limit: '1mb' }), (req, res, next) => {
+  req.rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : undefined;
+  next();
+});
 
 // JSON Body Parser for Other Routes - INCREASED TO 100MB FOR IMAGE UPLOADS (KYC documents, driver's license, etc.)
 app.use(express.json({ limit: '100mb' }));
@@ -319,9 +328,14 @@ const authenticateToken = (req, res, next) => {
   const token = authHeader && authHeader.split(" ")[1];
   if (!token) return res.status(401).json({ success: false, error: "Unauthorized: No token provided." });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) return res.status(403).json({ success: false, error: "Forbidden: Invalid token." });
 
+    // Logout, account deletion and blocking revoke tokens before they expire
+    if (await isTokenRevoked('user', user)) {
+      return res.status(401).json({ success: false, error: "Unauthorized: Token has been revoked." });
+    }
+
     req.user = user;
     next();
   });
@@ -339,13 +353,21 @@ const authenticateAdminToken = (req, res, next) => {
     });
   }
   
-  jwt.verify(token, process.env.ADMIN_JWT_SECRET, (err, admin) => {
+  jwt.verify(token, process.env.ADMIN_JWT_SECRET, async (err, admin) => {
     if (err) {
       return res.status(403).json({ 
         success: false, 
         error: "Forbidden: Invalid admin token." 
       });
     }
+
+    // Logout and deactivation revoke admin tokens before they expire
+    if (await isTokenRevoked('admin', admin)) {
+      return res.status(401).json({ 
+        success: false, 
+        error: "Unauthorized: Admin token has been revoked." 
+      });
+    }
     
     req.admin = admin;
     next();
@@ -588,6 +610,7 @@ const onrampRoutes = require('./adminRoutes/onramp');
 const offrampRoutes = require('./adminRoutes/offramp');
 const walletRoutes = require('./routes/wallet');
 const TwoFARoutes = require('./auth/setup-2fa');
+const twoFARecoveryRoutes = require('./routes/twoFARecovery');
 const AirtimeRoutes = require('./routes/airtime');
 const DataRoutes = require('./routes/data');
 const VerifybillRoutes = require('./routes/verifybill');
@@ -600,6 +623,13 @@ const dashboardRoutes = require('./routes/dashboard');
 const pricemarkdownRoutes = require('./adminRoutes/pricemarkdown');
 const swapRoutes = require('./routes/swap');
 const ngnzSwapRoutes = require('./routes/NGNZSwaps');
+const limitOrderRoutes = require('./routes/limitOrders');
+const recurringBuyRoutes = require('./routes/recurringBuys');
+const scheduledBillRoutes = require('./routes/scheduledBills');
+const beneficiaryRoutes = require('./routes/beneficiaries');
+const withdrawalWhitelistRoutes = require('./routes/withdrawalWhitelist');
+const sessionRoutes = require('./routes/sessions');
+const passkeyRoutes = require('./routes/passkeys');
 const cablepackagesRoutes = require('./routes/cabletvpackages');
 const usernamewithdrawRoutes = require('./routes/usernamewithdraw');
 const userqueryRoutes = require('./routes/usernamequery');
@@ -624,6 +654,7 @@ const NGNZWithdrawal = require('./routes/NGNZWithdrawal');
 const NINRoutes = require('./routes/NIN');
 const EmailVerifyRoutes = require('./routes/EmailVerify')
 const KYCRoutes = require('./routes/KYC');
+const KYCLevel3Routes = require('./routes/kycLevel3');
 const ForgotPinRoutes = require('./routes/forgotpasswordpin');
 const AccountnameRoutes = require('./routes/Accountname');
 const Pushnotification = require('./adminRoutes/pushnotification');
@@ -648,6 +679,16 @@ const adminBlogRoutes = require("./adminRoutes/blog");
 const blogRoutes = require("./routes/blog");
 const adminAuditLog = require("./middleware/adminAuditLog");
 const auditLogsRoutes = require("./adminRoutes/auditlogs");
+const ledgerRoutes = require("./adminRoutes/ledger");
+const assetRoutes = require("./adminRoutes/assets");
+const withdrawalReviewRoutes = require("./adminRoutes/withdrawalReviews");
+const adminPasskeyRoutes = require("./adminRoutes/passkeys");
+const webhookEventRoutes = require("./adminRoutes/webhookEvents");
+const webhookEndpointRoutes = require("./adminRoutes/webhookEndpoints");
+const jobQueueRoutes = require("./adminRoutes/jobQueues");
+const scheduledJobRoutes = require("./adminRoutes/scheduledJobs");
+const kycTierRoutes = require("./adminRoutes/kycTiers");
+const screeningRoutes = require("./adminRoutes/screening");
 
 // Public Routes
 app.use("/signin", authLimiter, signinRoutes);
@@ -680,14 +721,24 @@ app.use("/audit-logs", authenticateAdminToken, requireSuperAdmin, auditLogsRoute
 // IMPORTANT: More specific routes must come BEFORE less specific routes
 // /admin/transaction must come before /admin to avoid route conflicts
 app.use("/admin/transaction", authenticateAdminToken, requireModerator, transactionDetailsRoutes);
+app.use("/admin/withdrawal-reviews", authenticateAdminToken, requireModerator, withdrawalReviewRoutes);
 app.use("/admin/notification", authenticateAdminToken, requireAdmin, requirePushNotifications, Pushnotification);
 app.use("/admin/scheduled-notifications", authenticateAdminToken, requireAdmin, requirePushNotifications, scheduledNotificationRoutes);
 app.use("/admin/scheduled-giftcard-notifications", authenticateAdminToken, requireAdmin, requirePushNotifications, scheduledGiftCardNotificationRoutes);
 app.use("/admin/banners", authenticateAdminToken, requireAdmin, requireBanners, adminBannerRoutes);
 app.use("/admin/blog", authenticateAdminToken, requireAdmin, adminBlogRoutes);
 app.use("/admin/permissions", authenticateAdminToken, permissionsRoutes);
+app.use("/admin/passkeys", authenticateAdminToken, adminPasskeyRoutes);
+app.use("/admin/webhook-events", authenticateAdminToken, requireAdmin, webhookEventRoutes);
+app.use("/admin/webhook-endpoints", authenticateAdminToken, requireSuperAdmin, webhookEndpointRoutes);
+app.use("/admin/job-queues", authenticateAdminToken, requireAdmin, jobQueueRoutes);
+app.use("/admin/scheduled-jobs", authenticateAdminToken, requireAdmin, scheduledJobRoutes);
+app.use("/admin/kyc-tiers", authenticateAdminToken, requireAdmin, kycTierRoutes);
+app.use("/admin/screening", authenticateAdminToken, requireAdmin, screeningRoutes);
+app.use("/admin/assets", authenticateAdminToken, requireSuperAdmin, assetRoutes);
 app.use("/fetch-wallet", authenticateAdminToken, requireModerator, fetchwalletRoutes);
 app.use("/fetch", authenticateAdminToken, requireModerator, fetchtransactionRoutes);
+app.use("/ledger", authenticateAdminToken, requireModerator, ledgerRoutes);
 
 // ADMIN LEVEL ROUTES (admin + super_admin)
 app.use("/set-fee", authenticateAdminToken, requireAdmin, SetfeeRoutes);
@@ -720,12 +771,16 @@ app.use("/api/token-prices", tokenPricesRoutes);
 
 // Protected User Routes
 app.use("/logout", authenticateToken, logoutRoutes);
+app.use("/sessions", authenticateToken, sessionRoutes);
+app.use("/passkeys", authenticateToken, passkeyRoutes);
 app.use("/username", authenticateToken, usernameRoutes);
 app.use("/balance", authenticateToken, balanceRoutes);
 app.use("/deposit", authenticateToken, depositRoutes);
 app.use("/wallet", authenticateToken, walletRoutes);
 app.use("/withdraw", authenticateToken, userFinancialLimiter, withdrawRoutes);
+app.use("/withdrawal-whitelist", authenticateToken, userFinancialLimiter, withdrawalWhitelistRoutes);
 app.use("/validate-balance", authenticateToken, validatewithdrawRoutes);
+app.use("/2FA/recovery", authenticateToken, twoFARecoveryRoutes);
 app.use("/2FA", authenticateToken, TwoFARoutes);
 app.use("/airtime", authenticateToken, AirtimeRoutes);
 app.use("/plans", authenticateToken, fetchdataplans);
@@ -734,10 +789,14 @@ app.use("/verifybill", authenticateToken, VerifybillRoutes);
 app.use("/electricity", authenticateToken, ElectricityRoutes);
 app.use("/betting", authenticateToken, BettingRoutes);
 app.use("/cabletv", authenticateToken, CableTVRoutes);
+app.use("/scheduled-bills", authenticateToken, userFinancialLimiter, scheduledBillRoutes);
+app.use("/beneficiaries", authenticateToken, userFinancialLimiter, beneficiaryRoutes);
 app.use("/verifycabletv", authenticateToken, CableTVRoutes);
 app.use("/dashboard", authenticateToken, dashboardRoutes);
 app.use("/swap", authenticateToken, userFinancialLimiter, swapRoutes);
 app.use("/ngnz-swap", authenticateToken, userFinancialLimiter, ngnzSwapRoutes);
+app.use("/limit-orders", authenticateToken, userFinancialLimiter, limitOrderRoutes);
+app.use("/recurring-buys", authenticateToken, userFinancialLimiter, recurringBuyRoutes);
 app.use("/cable-packages", authenticateToken, cablepackagesRoutes);
 app.use("/username-withdraw", authenticateToken, usernamewithdrawRoutes);
 app.use("/user-query", authenticateToken, userqueryRoutes);
@@ -758,6 +817,7 @@ app.use("/ngnz-withdrawal", authenticateToken, userFinancialLimiter, NGNZWithdra
 app.use("/nin", authenticateToken, NINRoutes);
 app.use("/email", authenticateToken, EmailVerifyRoutes)
 app.use("/kyc", authenticateToken, KYCRoutes);
+app.use("/kyc-level3", authenticateToken, KYCLevel3Routes);
 app.use("/forgot-pin", authLimiter, ForgotPinRoutes);
 app.use("/collection", authenticateToken, collectionRoutes);
 app.use("/notifications", authenticateToken, notificationRoutes);
@@ -774,31 +834,119 @@ app.use((err, req, res, next) => {
   res.status(500).json({ success: false, error: "Internal Server Error" });
 });
 
+// Cron jobs run once per tick across all instances (services/cronScheduler);
+// failures are logged and recorded there, visible at /admin/scheduled-jobs
+const { scheduleJob } = require('./services/cronScheduler');
+
 // Crypto Price Update Job - Run every 15 minutes
-cron.schedule('*/15 * * * *', async () => {
+scheduleJob('crypto-price-update', '*/15 * * * *', async () => {
+  console.log('🔄 Starting scheduled crypto price update...');
+  await updateCryptoPrices();
+  console.log('✅ Scheduled crypto price update completed');
+});
+
+// Asset registry refresh - picks up admin changes made on other instances.
+// Refreshes this instance's in-memory registry, so it runs on every instance.
+cron.schedule('*/5 * * * *', async () => {
   try {
-    console.log('🔄 Starting scheduled crypto price update...');
-    await updateCryptoPrices();
-    console.log('✅ Scheduled crypto price update completed');
+    await refreshAssets();
   } catch (error) {
-    console.error('❌ Scheduled crypto price job failed:', error.message);
+    console.error('❌ Asset registry refresh failed:', error.message);
   }
 });
 
 // Daily platform balance snapshot at midnight UTC
 const { computePlatformSnapshot } = require('./adminRoutes/analytics');
 const PlatformSnapshot = require('./models/platformSnapshot');
-cron.schedule('0 0 * * *', async () => {
-  try {
-    console.log('📸 Taking daily platform balance snapshot...');
-    const data = await computePlatformSnapshot();
-    await PlatformSnapshot.create({ ...data, snapshotType: 'auto', takenBy: null });
-    console.log('✅ Daily platform snapshot saved');
-  } catch (error) {
-    console.error('❌ Daily platform snapshot failed:', error.message);
+scheduleJob('platform-snapshot', '0 0 * * *', async () => {
+  console.log('📸 Taking daily platform balance snapshot...');
+  const data = await computePlatformSnapshot();
+  const snapshot = await PlatformSnapshot.create({ ...data, snapshotType: 'auto', takenBy: null });
+  console.log('✅ Daily platform snapshot saved');
+  return { snapshotId: String(snapshot._id) };
+});
+
+// Nightly balance reconciliation — recompute expected balances from history and record drift
+const { runBalanceReconciliation } = require('./services/balanceReconciliationService');
+scheduleJob('balance-reconciliation', '30 0 * * *', async () => {
+  console.log('🧮 Running nightly balance reconciliation...');
+  const run = await runBalanceReconciliation({ trigger: 'auto' });
+  console.log(`✅ Balance reconciliation ${run.runId} finished: ${run.driftCount} drift(s) across ${run.usersChecked} users`);
+  return { runId: run.runId, driftCount: run.driftCount, usersChecked: run.usersChecked };
+}, { leaseMs: 30 * 60 * 1000 });
+
+// Expire unaccepted swap quotes every minute
+const { expireDueQuotes } = require('./services/quoteService');
+scheduleJob('quote-expiry', '* * * * *', async () => {
+  const expired = await expireDueQuotes();
+  if (expired > 0) console.log(`⌛ Expired ${expired} swap quote(s)`);
+  return { expired };
+});
+
+// Recurring buys (DCA) - execute due plans every 5 minutes
+const { runDueRecurringBuys } = require('./services/recurringBuyService');
+scheduleJob('recurring-buys', '*/5 * * * *', async () => {
+  const summary = await runDueRecurringBuys();
+  if (summary.due > 0) {
+    console.log(`🔁 Recurring buys: ${summary.executed} executed, ${summary.skipped} skipped, ${summary.failed} failed`);
+  }
+  return summary;
+});
+
+// Scheduled bill payments - pay due slots and retries every 5 minutes
+const { runDueBillPayments } = require('./services/scheduledBillService');
+scheduleJob('scheduled-bill-payments', '*/5 * * * *', async () => {
+  const summary = await runDueBillPayments();
+  if (summary.due > 0) {
+    console.log(`🧾 Scheduled bills: ${summary.completed} paid, ${summary.retrying} retrying, ${summary.failed} failed`);
   }
+  return summary;
 });
 
+// Webhook inbox - retry failed events and pick up any left unprocessed every minute
+const { processDueWebhookEvents } = require('./services/webhookInbox');
+scheduleJob('webhook-inbox', '* * * * *', async () => {
+  const summary = await processDueWebhookEvents();
+  if (summary.due > 0) {
+    console.log(`📥 Webhook inbox: ${summary.processed} processed, ${summary.failed} failed`);
+  }
+  return summary;
+});
+
+// Outbound webhooks - retry failed deliveries every minute
+const { processDueDeliveries } = require('./services/outboundWebhookService');
+scheduleJob('outbound-webhooks', '* * * * *', async () => {
+  const summary = await processDueDeliveries();
+  if (summary.due > 0) {
+    console.log(`📤 Outbound webhooks: ${summary.delivered} delivered, ${summary.failed} failed`);
+  }
+  return summary;
+});
+
+// KYC level 3 - expire lapsed approvals and send renewal reminders daily
+const { runLevel3Expiry } = require('./services/kycLevel3Service');
+scheduleJob('kyc-level3-expiry', '0 7 * * *', async () => {
+  const summary = await runLevel3Expiry();
+  if (summary.expired || summary.reminded) {
+    console.log(`🪪 KYC level 3: ${summary.expired} expired, ${summary.reminded} reminded`);
+  }
+  return summary;
+});
+
+// KYC level 2 - expire lapsed ID documents and send re-verification reminders daily
+const { runDocumentExpiry } = require('./services/kycReverificationService');
+scheduleJob('kyc-document-expiry', '30 6 * * *', async () => {
+  const summary = await runDocumentExpiry();
+  if (summary.expired || summary.reminded) {
+    console.log(`🪪 KYC documents: ${summary.expired} expired, ${summary.reminded} reminded`);
+  }
+  return summary;
+});
+
+// Background job queues (services/backgroundJobs) - workers start with the server
+const { startWorkers: startJobWorkers } = require('./services/jobQueue');
+require('./services/backgroundJobs');
+
 // Start Server
 const startServer = async () => {
   try {
@@ -818,6 +966,15 @@ const startServer = async () => {
     // Run one-time swap direction migration
     await migrateSwapDirections();
 
+    // Load the asset registry (seeds built-in assets on first start)
+    await refreshAssets();
+
+    // Load KYC tier limits (seeds built-in tiers on first start)
+    await refreshTierConfigs();
+
+    // Load sanctions/PEP watchlists for screening
+    await refreshWatchlists();
+
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`🔥 Server running on port ${PORT}`);
       console.log('📦 Body parser limit: 100MB (for KYC image uploads, driver\'s license, etc.)');
@@ -831,6 +988,13 @@ const startServer = async () => {
       // Start gift card scheduled notifications
       scheduledGiftCardNotificationService.start();
       console.log('🎁 Scheduled gift card notifications started (11am, 3pm) - iTunes, Steam, Razer Gold');
+
+      // Start background job workers (email, push, referral, kyc)
+      if (startJobWorkers()) {
+        console.log('🧵 Background job workers started');
+      } else {
+        console.log('⚠️ Redis disabled - background jobs run inline');
+      }
       
       // Run price update immediately on startup
       setTimeout(async () => {
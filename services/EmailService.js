@@ -216,6 +216,31 @@ async function sendWithdrawalEmail(to, name, amount, currency, reference) {
   }
 }
 
+async function sendWithdrawalAddressConfirmationEmail(to, name, { code, currency, network, address, expiryMinutes, usableAfter }) {
+  try {
+    const templateId = safeParseTemplateId(process.env.BREVO_TEMPLATE_WITHDRAWAL_ADDRESS);
+    if (!templateId) throw new Error('Withdrawal address email template ID not configured');
+
+    return await sendEmail({
+      to, name, templateId,
+      params: {
+        username: String(name || 'User'),
+        code: String(code),
+        currency: String(currency || ''),
+        network: String(network || ''),
+        address: String(address || ''),
+        expiryMinutes: String(expiryMinutes),
+        usableAfter: formatDate(usableAfter),
+        companyName: COMPANY_NAME,
+        supportEmail: SUPPORT_EMAIL
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send withdrawal address confirmation email:', error.message);
+    throw error;
+  }
+}
+
 async function sendLoginEmail(to, name, device, location, time) {
   try {
     const templateId = safeParseTemplateId(process.env.BREVO_TEMPLATE_LOGIN);
@@ -769,6 +794,7 @@ async function sendTawkMessageNotify({ visitorName, visitorEmail, message, chatI
 module.exports = {
   sendDepositEmail,
   sendWithdrawalEmail,
+  sendWithdrawalAddressConfirmationEmail,
   sendUtilityEmail,
   sendUtilityTransactionEmail,
   sendGiftcardEmail,
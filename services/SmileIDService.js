@@ -3,6 +3,8 @@ const axios = require('axios');
 const User = require('../models/user');
 const logger = require('../utils/logger');
 const SmileIDAuth = require('../utils/SmileIDauth');
+const { emitEvent } = require('./outboundWebhookService');
+const smileIdProvider = require('./kycProviders/smileId'); // loads this file lazily
 
 class SmileIDNINService {
   constructor(options = {}) {
@@ -54,13 +56,13 @@ class SmileIDNINService {
         firstName,
         lastName,
         middleName = '',
-        dateOfBirth,   // YYYY-MM-DD
-        gender,        // M or F
+        dateOfBirth,   // YYYY-MM-DD, optional
+        gender,        // M or F, optional
         phoneNumber,
         jobId = null
       } = verificationData || {};
 
-      if (!userId || !nin || !firstName || !lastName || !dateOfBirth || !gender) {
+      if (!userId || !nin || !firstName || !lastName) {
         throw new Error('Missing required fields for NIN verification');
       }
       if (!this.validateNINFormat(nin)) {
@@ -83,8 +85,8 @@ class SmileIDNINService {
         first_name: firstName.trim(),
         middle_name: middleName?.trim() || '',
         last_name: lastName.trim(),
-        dob: dateOfBirth,
-        gender: String(gender).toUpperCase(),
+        ...(dateOfBirth && { dob: dateOfBirth }),
+        ...(gender && { gender: String(gender).toUpperCase() }),
         phone_number: phoneNumber?.trim() || '',
         partner_params: { user_id: userId, job_id: uniqueJobId, job_type: 5 }
       };
@@ -184,6 +186,93 @@ class SmileIDNINService {
     }
   }
 
+  // --- selfie re-verification ------------------------------------
+
+  /**
+   * SmartSelfie authentication: compares a fresh selfie (plus liveness frames)
+   * with the face Smile ID holds for this user. Synchronous - the decision is
+   * in the response. Used by the self-service 2FA recovery flow.
+   *
+   * @param {Object} data
+   * @param {string} data.userId
+   * @param {string} data.selfieImage - base64 JPEG (data URL prefix allowed)
+   * @param {string[]} [data.livenessImages] - base64 JPEGs
+   * @param {string} [data.jobId]
+   * @returns {Promise<{ approved: boolean, status: string, code: string|null, message: string|null, jobId: string, smileJobId: string|null }>}
+   */
+  async authenticateSelfie({ userId, selfieImage, livenessImages = [], jobId = null } = {}) {
+    if (!userId || !selfieImage) {
+      throw new Error('Missing required fields for selfie verification');
+    }
+
+    const uniqueJobId = jobId || `selfie_${userId}_${Date.now()}`;
+    const toBlob = (image) => new Blob(
+      [Buffer.from(String(image).replace(/^data:image\/\w+;base64,/, ''), 'base64')],
+      { type: 'image/jpeg' }
+    );
+
+    const form = new FormData();
+    form.append('selfie_image', toBlob(selfieImage), 'selfie.jpg');
+    livenessImages.forEach((image, i) => form.append('liveness_images', toBlob(image), `liveness_${i}.jpg`));
+    form.append('user_id', String(userId));
+    form.append('partner_params', JSON.stringify({ user_id: String(userId), job_id: uniqueJobId, job_type: 2 }));
+
+    const timestamp = this.auth.generateTimestamp();
+    const headers = {
+      'SmileID-Partner-ID': this.partnerId,
+      'SmileID-Request-Signature': this.auth.generateSignature(timestamp),
+      'SmileID-Timestamp': timestamp,
+      'SmileID-Source-SDK': 'rest_api',
+      'SmileID-Source-SDK-Version': '1.0.0'
+    };
+
+    try {
+      const { smartSelfieAuthentication } = this.auth.getEndpoints();
+      const response = await axios.post(smartSelfieAuthentication, form, {
+        headers,
+        timeout: 60000,
+        validateStatus: (s) => s < 500
+      });
+      const data = response.data || {};
+
+      if (response.status !== 200) {
+        logger.warn('SmileIDNINService: SmartSelfie authentication rejected the request', {
+          userId, jobId: uniqueJobId, status: response.status, code: data.code, error: data.error || data.message
+        });
+        return {
+          approved: false,
+          status: 'error',
+          code: data.code ? String(data.code) : null,
+          message: data.error || data.message || null,
+          jobId: uniqueJobId,
+          smileJobId: null
+        };
+      }
+
+      const status = String(data.status || '').toLowerCase();
+      logger.info('SmileIDNINService: SmartSelfie authentication result', {
+        userId, jobId: uniqueJobId, smileJobId: data.job_id, status, code: data.code
+      });
+
+      return {
+        approved: status === 'approved',
+        status,
+        code: data.code ? String(data.code) : null,
+        message: data.message || null,
+        jobId: uniqueJobId,
+        smileJobId: data.job_id || null
+      };
+    } catch (error) {
+      logger.error('SmileIDNINService: SmartSelfie authentication failed', {
+        userId, jobId: uniqueJobId, error: error.message, responseStatus: error.response?.status
+      });
+      if (error.code === 'ECONNABORTED') {
+        throw new Error('Selfie verification request timed out. Please try again.');
+      }
+      throw new Error(`Selfie verification failed: ${error.message}`);
+    }
+  }
+
   // --- webhook callback -----------------------------------------
 
   async handleVerificationCallback(callbackData) {
@@ -213,15 +302,15 @@ class SmileIDNINService {
       const user = await User.findById(userId);
       if (!user) throw new Error(`User not found: ${userId}`);
 
-      const VERIFIED = '1012';
-      const PARTIAL  = '1013';
+      // 1012 verified, 1013 partial match; other codes go through the shared classifier
+      const { status: outcome } = smileIdProvider.mapResult(callbackData);
       const now = new Date();
 
       logger.info('SmileIDNINService: Callback received', {
         userId, jobId, smileJobId: SmileJobID, resultCode: ResultCode, resultText: ResultText
       });
 
-      if (ResultCode === VERIFIED) {
+      if (outcome === 'APPROVED') {
         // APPROVED → unlock & block resubmit
         user.kyc.level2.status = 'approved';
         user.kyc.level2.documentSubmitted = true;
@@ -231,7 +320,11 @@ class SmileIDNINService {
         user.kyc.level2.rejectionReason = null;
         user.kyc.level2.submissionLocked = false;     // <<< unlock
         user.kyc.level2.canResubmit = false;          // <<< no need to resubmit
+        user.kyc.level2.documentExpiresAt = null;      // NIN does not lapse
+        user.kyc.level2.lastReminderAt = null;
+        user.kyc.level2.expiredAt = null;
 
+        const previousLevel = user.kycLevel ?? 0;
         if (user.emailVerified) {
           user.kycLevel = Math.max(user.kycLevel ?? 0, 2);
           user.kycStatus = 'approved';
@@ -242,6 +335,10 @@ class SmileIDNINService {
 
         await user.save();
 
+        if (user.kycLevel > previousLevel) {
+          emitEvent('kyc.upgraded', { userId: String(userId), previousLevel, level: user.kycLevel, source: 'smileid', documentType: 'NIN' });
+        }
+
         return {
           success: true,
           userId,
@@ -254,7 +351,7 @@ class SmileIDNINService {
         };
       }
 
-      if (ResultCode === PARTIAL) {
+      if (outcome === 'PROVISIONAL') {
         // PROVISIONAL → unlock but no auto-resubmit; manual review path
         user.kyc.level2.status = 'under_review';
         user.kyc.level2.documentSubmitted = true;
@@ -0,0 +1,353 @@
+// services/assetRegistry.js
+
+const Asset = require('../models/asset');
+const logger = require('../utils/logger');
+
+/**
+ * Built-in assets. These are seeded into the Asset collection on first start
+ * and keep serving lookups before the collection has been read, so sync
+ * callers (validators, price markdown, ...) work from the first request.
+ */
+const BUILTIN_ASSETS = [
+  {
+    symbol: 'BTC', name: 'Bitcoin', decimals: 8, legacyBalancePrefix: 'btc', sortOrder: 1,
+    networks: [{ code: 'BITCOIN', name: 'Bitcoin', minWithdrawal: 0.0001, maxWithdrawal: 10 }],
+    priceSource: { provider: 'binance', symbol: 'BTCUSDT', fallbackPriceUsd: 65000 }
+  },
+  {
+    symbol: 'ETH', name: 'Ethereum', decimals: 18, legacyBalancePrefix: 'eth', sortOrder: 2,
+    networks: [{ code: 'ETHEREUM', name: 'Ethereum', minWithdrawal: 0.005, maxWithdrawal: 100 }],
+    priceSource: { provider: 'binance', symbol: 'ETHUSDT', fallbackPriceUsd: 3200 }
+  },
+  {
+    symbol: 'SOL', name: 'Solana', decimals: 9, legacyBalancePrefix: 'sol', sortOrder: 3,
+    networks: [{ code: 'SOLANA', name: 'Solana', minWithdrawal: 0.01, maxWithdrawal: 10000 }],
+    priceSource: { provider: 'binance', symbol: 'SOLUSDT', fallbackPriceUsd: 200 }
+  },
+  {
+    symbol: 'USDT', name: 'Tether', decimals: 6, isStablecoin: true, legacyBalancePrefix: 'usdt', sortOrder: 4,
+    networks: [
+      { code: 'TRC20', name: 'Tron (TRC20)', minWithdrawal: 5, maxWithdrawal: 100000 },
+      { code: 'ERC20', name: 'Ethereum (ERC20)', minWithdrawal: 10, maxWithdrawal: 100000 },
+      { code: 'POLYGON', name: 'Polygon', minWithdrawal: 5, maxWithdrawal: 100000 },
+      { code: 'BEP20', name: 'BNB Smart Chain (BEP20)', minWithdrawal: 5, maxWithdrawal: 100000 }
+    ],
+    priceSource: { provider: 'stable', fixedPriceUsd: 1, fallbackPriceUsd: 1 }
+  },
+  {
+    symbol: 'USDC', name: 'USD Coin', decimals: 6, isStablecoin: true, legacyBalancePrefix: 'usdc', sortOrder: 5,
+    networks: [
+      { code: 'ERC20', name: 'Ethereum (ERC20)', minWithdrawal: 10, maxWithdrawal: 100000 },
+      { code: 'POLYGON', name: 'Polygon', minWithdrawal: 5, maxWithdrawal: 100000 },
+      { code: 'TRC20', name: 'Tron (TRC20)', minWithdrawal: 5, maxWithdrawal: 100000 }
+    ],
+    priceSource: { provider: 'binance', symbol: 'USDCUSDT', fallbackPriceUsd: 1 }
+  },
+  {
+    symbol: 'BNB', name: 'BNB', decimals: 18, legacyBalancePrefix: 'bnb', sortOrder: 6,
+    networks: [{ code: 'BEP20', name: 'BNB Smart Chain (BEP20)', minWithdrawal: 0.01, maxWithdrawal: 1000 }],
+    priceSource: { provider: 'binance', symbol: 'BNBUSDT', fallbackPriceUsd: 580 }
+  },
+  {
+    symbol: 'MATIC', name: 'Polygon', decimals: 18, aliases: ['POL', 'POLYGON'], obiexCode: 'POL',
+    legacyBalancePrefix: 'matic', sortOrder: 7,
+    networks: [{ code: 'POLYGON', name: 'Polygon', minWithdrawal: 1, maxWithdrawal: 100000 }],
+    // MATICUSDT still exists on Binance; POLUSDT is the post-migration ticker
+    priceSource: { provider: 'binance', symbol: 'MATICUSDT', fallbackSymbols: ['POLUSDT'], fallbackPriceUsd: 0.85 }
+  },
+  {
+    symbol: 'TRX', name: 'Tron', decimals: 6, legacyBalancePrefix: 'trx', sortOrder: 8,
+    networks: [{ code: 'TRC20', name: 'Tron (TRC20)', minWithdrawal: 10, maxWithdrawal: 1000000 }],
+    priceSource: { provider: 'binance', symbol: 'TRXUSDT', fallbackPriceUsd: 0.14 }
+  },
+  {
+    symbol: 'TON', name: 'Toncoin', decimals: 9, legacyBalancePrefix: 'ton', sortOrder: 9,
+    networks: [{ code: 'TON', name: 'TON', minWithdrawal: 1, maxWithdrawal: 100000 }],
+    priceSource: { provider: 'binance', symbol: 'TONUSDT', fallbackPriceUsd: 5.5 }
+  },
+  {
+    // Obiex calls it NGNX; priced from the offramp rate rather than the price job
+    symbol: 'NGNZ', name: 'NGNZ', decimals: 2, aliases: ['NGNX'], isStablecoin: true, isNairaPegged: true,
+    legacyBalancePrefix: 'ngnz', sortOrder: 10,
+    priceSource: { provider: 'offramp' }
+  }
+];
+
+const FEATURE_FLAGS = {
+  deposit: 'depositEnabled',
+  withdraw: 'withdrawEnabled',
+  swap: 'swapEnabled',
+  transfer: 'transferEnabled'
+};
+
+const DEFAULTS = {
+  aliases: [],
+  obiexCode: null,
+  isStablecoin: false,
+  isNairaPegged: false,
+  networks: [],
+  enabled: true,
+  depositEnabled: true,
+  withdrawEnabled: true,
+  swapEnabled: true,
+  transferEnabled: true,
+  legacyBalancePrefix: null,
+  sortOrder: 100
+};
+
+let bySymbol = new Map();
+let byAlias = new Map();
+let lastLoadedAt = null;
+
+/**
+ * Legacy-shaped view of the enabled assets ({ BTC: { name, isStablecoin, ... } }).
+ * Mutated in place on every refresh so modules that imported it keep seeing
+ * the current registry.
+ */
+const SUPPORTED_TOKENS = {};
+
+function normalizeAsset(raw) {
+  const priceSource = raw.priceSource || {};
+  return {
+    ...DEFAULTS,
+    ...raw,
+    symbol: String(raw.symbol).toUpperCase(),
+    aliases: (raw.aliases || []).map(a => String(a).toUpperCase()),
+    networks: (raw.networks || []).map(n => ({
+      depositEnabled: true,
+      withdrawEnabled: true,
+      minWithdrawal: 0,
+      maxWithdrawal: null,
+      ...n,
+      code: String(n.code).toUpperCase()
+    })),
+    priceSource: {
+      provider: priceSource.provider || 'binance',
+      symbol: priceSource.symbol || null,
+      fallbackSymbols: priceSource.fallbackSymbols || [],
+      fixedPriceUsd: priceSource.fixedPriceUsd ?? null,
+      fallbackPriceUsd: priceSource.fallbackPriceUsd || 0
+    }
+  };
+}
+
+function indexAssets(assets) {
+  const nextBySymbol = new Map();
+  const nextByAlias = new Map();
+
+  for (const raw of assets) {
+    const asset = normalizeAsset(raw);
+    nextBySymbol.set(asset.symbol, asset);
+    asset.aliases.forEach(alias => nextByAlias.set(alias, asset.symbol));
+  }
+
+  bySymbol = nextBySymbol;
+  byAlias = nextByAlias;
+
+  Object.keys(SUPPORTED_TOKENS).forEach(key => delete SUPPORTED_TOKENS[key]);
+  for (const asset of listAssets()) {
+    SUPPORTED_TOKENS[asset.symbol] = {
+      name: asset.name,
+      symbol: asset.symbol,
+      decimals: asset.decimals,
+      isStablecoin: asset.isStablecoin,
+      isNairaPegged: asset.isNairaPegged,
+      // Prices for everything but the offramp-priced NGNZ come from the price job
+      supportedByJob: asset.priceSource.provider !== 'offramp'
+    };
+  }
+}
+
+indexAssets(BUILTIN_ASSETS);
+
+/**
+ * Insert any built-in asset missing from the collection. Existing documents
+ * are left untouched so admin edits survive restarts.
+ */
+async function seedBuiltinAssets() {
+  const ops = BUILTIN_ASSETS.map(asset => ({
+    updateOne: {
+      filter: { symbol: asset.symbol },
+      update: { $setOnInsert: asset },
+      upsert: true
+    }
+  }));
+  const result = await Asset.bulkWrite(ops, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Reload the registry from the Asset collection
+ * @returns {Promise<number>} Number of assets loaded
+ */
+async function refreshAssets() {
+  try {
+    const seeded = await seedBuiltinAssets();
+    if (seeded > 0) logger.info(`Seeded ${seeded} built-in assets`);
+
+    const assets = await Asset.find({}).lean();
+    indexAssets(assets);
+    lastLoadedAt = new Date();
+
+    logger.info(`Asset registry loaded`, { assets: assets.length, enabled: Object.keys(SUPPORTED_TOKENS) });
+    return assets.length;
+  } catch (error) {
+    // Keep serving the previous snapshot; the next refresh will retry
+    logger.error('Failed to refresh asset registry', { error: error.message });
+    return bySymbol.size;
+  }
+}
+
+/**
+ * Resolve a symbol or alias (case-insensitive) to the canonical symbol
+ * @param {string} code
+ * @returns {string|null}
+ */
+function resolveSymbol(code) {
+  if (!code) return null;
+  const upper = String(code).trim().toUpperCase();
+  if (bySymbol.has(upper)) return upper;
+  return byAlias.get(upper) || null;
+}
+
+/**
+ * Look up an asset by symbol or alias, enabled or not
+ * @param {string} code
+ * @returns {Object|null}
+ */
+function getAsset(code) {
+  const symbol = resolveSymbol(code);
+  return symbol ? bySymbol.get(symbol) : null;
+}
+
+/**
+ * @param {string} code
+ * @param {'deposit'|'withdraw'|'swap'|'transfer'} [feature] - Also require this feature switch
+ * @returns {boolean}
+ */
+function isAssetEnabled(code, feature) {
+  const asset = getAsset(code);
+  if (!asset || !asset.enabled) return false;
+  if (!feature) return true;
+  const flag = FEATURE_FLAGS[feature];
+  if (!flag) throw new Error(`Unknown asset feature: ${feature}`);
+  return asset[flag] !== false;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled=false]
+ * @param {'deposit'|'withdraw'|'swap'|'transfer'} [options.feature]
+ * @returns {Array<Object>} Assets ordered by sortOrder
+ */
+function listAssets({ includeDisabled = false, feature } = {}) {
+  return [...bySymbol.values()]
+    .filter(asset => includeDisabled || isAssetEnabled(asset.symbol, feature))
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Every symbol that can carry a balance, including disabled assets
+ * (users may still hold funds in an asset that was switched off)
+ * @returns {Array<string>}
+ */
+function listBalanceSymbols() {
+  return listAssets({ includeDisabled: true }).map(asset => asset.symbol);
+}
+
+/**
+ * @param {string} code - Asset symbol or alias
+ * @param {string} network - Network code
+ * @returns {Object|null}
+ */
+function getAssetNetwork(code, network) {
+  const asset = getAsset(code);
+  if (!asset || !network) return null;
+  const upper = String(network).toUpperCase();
+  return asset.networks.find(n => n.code === upper) || null;
+}
+
+/**
+ * Code to send to Obiex for an asset (MATIC -> POL)
+ * @param {string} code
+ * @returns {string}
+ */
+function toObiexCode(code) {
+  const asset = getAsset(code);
+  if (!asset) return String(code || '').toUpperCase();
+  return asset.obiexCode || asset.symbol;
+}
+
+/**
+ * Resolve the User paths holding an asset's balance
+ * @param {string} code - Asset symbol or alias
+ * @returns {{ balanceField: string, pendingField: string }}
+ */
+function getBalanceFields(code) {
+  const asset = getAsset(code);
+  if (!asset) {
+    throw new Error(`Unsupported ledger currency: ${code}`);
+  }
+  if (asset.legacyBalancePrefix) {
+    return {
+      balanceField: `${asset.legacyBalancePrefix}Balance`,
+      pendingField: `${asset.legacyBalancePrefix}PendingBalance`
+    };
+  }
+  return {
+    balanceField: `balances.${asset.symbol}.balance`,
+    pendingField: `balances.${asset.symbol}.pending`
+  };
+}
+
+// Lean cursors hand back the stored Decimal128 (see utils/money)
+function balanceNumber(value) {
+  if (value === null || value === undefined) return 0;
+  return typeof value === 'number' ? value : Number(value.toString());
+}
+
+/**
+ * Read an asset's balance from a User (hydrated document or lean object)
+ * @param {Object} user
+ * @param {string} code - Asset symbol or alias
+ * @returns {{ balance: number, pending: number }}
+ */
+function readUserBalance(user, code) {
+  const asset = getAsset(code);
+  if (!user || !asset) return { balance: 0, pending: 0 };
+
+  if (asset.legacyBalancePrefix) {
+    return {
+      balance: balanceNumber(user[`${asset.legacyBalancePrefix}Balance`]),
+      pending: balanceNumber(user[`${asset.legacyBalancePrefix}PendingBalance`])
+    };
+  }
+
+  const balances = user.balances;
+  const entry = balances instanceof Map ? balances.get(asset.symbol) : balances?.[asset.symbol];
+  return {
+    balance: balanceNumber(entry?.balance),
+    pending: balanceNumber(entry?.pending)
+  };
+}
+
+function getLastLoadedAt() {
+  return lastLoadedAt;
+}
+
+module.exports = {
+  refreshAssets,
+  seedBuiltinAssets,
+  resolveSymbol,
+  getAsset,
+  isAssetEnabled,
+  listAssets,
+  listBalanceSymbols,
+  getAssetNetwork,
+  toObiexCode,
+  getBalanceFields,
+  readUserBalance,
+  getLastLoadedAt,
+  SUPPORTED_TOKENS,
+  BUILTIN_ASSETS
+};
@@ -0,0 +1,120 @@
+// services/backgroundJobs.js
+//
+// The job queues used across the app (see services/jobQueue) and the helpers
+// routes call instead of firing side effects with setImmediate or un-awaited
+// promises:
+//   email    - any EmailService sender, queueEmail('sendWithdrawalEmail', ...args)
+//   push     - any notificationService sender, queuePush('sendWithdrawalNotification', ...args)
+//   referral - offramp referral rewards (referralRewardService)
+//   kyc      - KYC result emails, pushes and admin notifies, queueKycFollowUp(...)
+//   ngnz-obiex - the Obiex leg of an executed NGNZ swap, queueNgnzObiexSwap(...)
+// Services are required lazily so that they can enqueue jobs themselves.
+
+const { defineQueue, enqueue, PermanentJobError } = require('./jobQueue');
+
+// KYC follow-ups are split from the generic email queue so a provider outage
+// on one does not hold up the other in the admin view or in the retry budget
+const KYC_TASKS = {
+  sendKycEmail: 'EmailService',
+  sendNINVerificationEmail: 'EmailService',
+  sendKycProvisionalEmail: 'EmailService',
+  sendKycProvisionalAdminNotify: 'EmailService',
+  sendKycCompletionNotification: 'notificationService'
+};
+
+// The senders catch their own errors and resolve { success: false }; turn that
+// into a throw so the job is retried and dead-lettered. Skipped sends (no push
+// token registered) are final, not failures.
+async function callService(serviceName, fn, args) {
+  const service = require(`./${serviceName}`);
+  if (typeof service[fn] !== 'function') {
+    throw new PermanentJobError(`${serviceName}.${fn} is not a function`);
+  }
+  const result = await service[fn](...(args || []));
+  if (result && result.success === false && !result.skipped) {
+    throw new Error(`${serviceName}.${fn} failed: ${result.error || result.message || 'no details'}`);
+  }
+  return result;
+}
+
+defineQueue('email', ({ fn, args }) => callService('EmailService', fn, args), {
+  concurrency: 5,
+  maxAttempts: 5
+});
+
+defineQueue('push', ({ fn, args }) => callService('notificationService', fn, args), {
+  concurrency: 5,
+  maxAttempts: 3,
+  backoffMs: 15 * 1000
+});
+
+defineQueue('referral', ({ refereeUserId, swapReference, swapAmountUSD, correlationId }) => {
+  const { creditOfframpReferralReward } = require('./referralRewardService');
+  return creditOfframpReferralReward(refereeUserId, swapReference, swapAmountUSD, correlationId);
+}, {
+  concurrency: 1,
+  maxAttempts: 8,
+  backoffMs: 60 * 1000
+});
+
+defineQueue('kyc', ({ task, args }) => {
+  if (!KYC_TASKS[task]) throw new PermanentJobError(`Unknown KYC follow-up task "${task}"`);
+  return callService(KYC_TASKS[task], task, args);
+}, {
+  concurrency: 2,
+  maxAttempts: 5
+});
+
+// Not retried: the leg audits and flags its own failures, and running it again
+// would trade on Obiex twice. For the same reason a job whose leg already
+// started (a lease that expired mid-run) is skipped.
+defineQueue('ngnz-obiex', async ({ userId, quote, swapId, correlationId, systemContext }) => {
+  const TransactionAudit = require('../models/TransactionAudit');
+  const started = await TransactionAudit.exists({ eventType: 'OBIEX_SWAP_INITIATED', 'swapDetails.swapId': swapId });
+  if (started) return;
+
+  const { executeObiexNGNZSwapBackground } = require('../routes/NGNZSwaps');
+  await executeObiexNGNZSwapBackground(userId, quote, swapId, correlationId, systemContext);
+}, {
+  concurrency: 2,
+  maxAttempts: 1
+});
+
+function queueEmail(fn, ...args) {
+  return enqueue('email', { fn, args });
+}
+
+function queuePush(fn, ...args) {
+  return enqueue('push', { fn, args });
+}
+
+function queueKycFollowUp(task, ...args) {
+  return enqueue('kyc', { task, args });
+}
+
+function queueReferralReward(refereeUserId, swapReference, swapAmountUSD, correlationId) {
+  return enqueue('referral', {
+    refereeUserId: String(refereeUserId),
+    swapReference,
+    swapAmountUSD,
+    correlationId
+  });
+}
+
+function queueNgnzObiexSwap(userId, quote, swapId, correlationId, systemContext) {
+  return enqueue('ngnz-obiex', {
+    userId: String(userId),
+    quote,
+    swapId: String(swapId),
+    correlationId,
+    systemContext
+  });
+}
+
+module.exports = {
+  queueEmail,
+  queuePush,
+  queueKycFollowUp,
+  queueReferralReward,
+  queueNgnzObiexSwap
+};
@@ -0,0 +1,328 @@
+// services/balanceReconciliationService.js
+
+const Decimal = require('decimal.js');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const BillTransaction = require('../models/billstransaction');
+const LedgerEntry = require('../models/ledgerEntry');
+const { LEDGER_ACCOUNTS } = require('../models/ledgerEntry');
+const BalanceReconciliation = require('../models/balanceReconciliation');
+const BalanceDrift = require('../models/balanceDrift');
+const { getAsset, listBalanceSymbols, getBalanceFields, readUserBalance } = require('./assetRegistry');
+const logger = require('../utils/logger');
+
+// Credits only count once they have settled; debits count unless they were reversed
+const SETTLED_STATUSES = ['SUCCESSFUL', 'COMPLETED', 'CONFIRMED', 'APPROVED'];
+const REVERSED_STATUSES = ['FAILED', 'REJECTED'];
+
+// Bill payments deduct the balance only after the provider accepts them
+const DEBITED_BILL_STATUSES = ['processing-api', 'completed'];
+
+// Gift card payouts are recorded in NGN but credited to the NGNZ balance
+const CURRENCY_ALIASES = { NGN: 'NGNZ' };
+
+// Rounding noise allowed before a difference is reported as drift
+const DRIFT_TOLERANCE = { NGNZ: 0.01 };
+const DEFAULT_DRIFT_TOLERANCE = 1e-8;
+
+const DRIFT_INSERT_BATCH = 500;
+
+function normalizeCurrency(currency) {
+  const upper = String(currency || '').toUpperCase();
+  if (CURRENCY_ALIASES[upper]) return CURRENCY_ALIASES[upper];
+  return getAsset(upper)?.symbol || upper;
+}
+
+function toDecimal(value) {
+  if (value === null || value === undefined) return new Decimal(0);
+  return new Decimal(value.toString());
+}
+
+/**
+ * Accumulates expected balances keyed by user and currency, split by source
+ */
+function createExpectedBook() {
+  const book = new Map();
+
+  return {
+    add(userId, currency, source, amount) {
+      const ccy = normalizeCurrency(currency);
+      if (!userId || !getAsset(ccy)) return;
+
+      const key = `${userId}:${ccy}`;
+      if (!book.has(key)) {
+        book.set(key, {
+          transactions: new Decimal(0),
+          obiexSwaps: new Decimal(0),
+          bills: new Decimal(0),
+          adminAdjustments: new Decimal(0),
+          reservations: new Decimal(0)
+        });
+      }
+      const row = book.get(key);
+      row[source] = row[source].plus(toDecimal(amount));
+    },
+
+    get(userId, currency) {
+      return book.get(`${userId}:${currency}`) || null;
+    }
+  };
+}
+
+/**
+ * Signed Transaction amounts per user and currency.
+ * Obiex swaps are stored as a single record and are handled separately.
+ */
+async function collectTransactions(book) {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        type: { $ne: 'GIFTCARD' },
+        $nor: [{ type: 'SWAP', source: 'OBIEX' }],
+        $or: [
+          { amount: { $lt: 0 }, status: { $nin: REVERSED_STATUSES } },
+          { amount: { $gt: 0 }, status: { $in: SETTLED_STATUSES } }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: { userId: '$userId', currency: '$currency' },
+        total: { $sum: { $toDecimal: '$amount' } }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  rows.forEach(({ _id, total }) => book.add(String(_id.userId), _id.currency, 'transactions', total));
+}
+
+/**
+ * Obiex swaps: fromAmount leaves the source currency, toAmount lands in the target
+ */
+async function collectObiexSwaps(book) {
+  const match = { type: 'SWAP', source: 'OBIEX', status: { $in: SETTLED_STATUSES } };
+
+  const [outgoing, incoming] = await Promise.all([
+    Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', currency: '$fromCurrency' },
+          total: { $sum: { $toDecimal: { $ifNull: ['$fromAmount', 0] } } }
+        }
+      }
+    ]).allowDiskUse(true),
+    Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', currency: { $ifNull: ['$toCurrency', '$currency'] } },
+          total: { $sum: { $toDecimal: { $ifNull: ['$toAmount', '$amount'] } } }
+        }
+      }
+    ]).allowDiskUse(true)
+  ]);
+
+  outgoing.forEach(({ _id, total }) => book.add(String(_id.userId), _id.currency, 'obiexSwaps', toDecimal(total).negated()));
+  incoming.forEach(({ _id, total }) => book.add(String(_id.userId), _id.currency, 'obiexSwaps', total));
+}
+
+/**
+ * Bill payments debited from the payment currency
+ */
+async function collectBills(book) {
+  const rows = await BillTransaction.aggregate([
+    { $match: { status: { $in: DEBITED_BILL_STATUSES } } },
+    {
+      $group: {
+        _id: { userId: '$userId', currency: { $ifNull: ['$paymentCurrency', 'NGNZ'] } },
+        total: { $sum: { $toDecimal: { $ifNull: ['$amount', { $ifNull: ['$amountNGNZ', 0] }] } } }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  rows.forEach(({ _id, total }) => book.add(String(_id.userId), _id.currency, 'bills', toDecimal(total).negated()));
+}
+
+/**
+ * Net USER_BALANCE movement of the given ledger entry types, per user and currency
+ */
+async function collectLedgerMovements(book, types, source) {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { type: { $in: types } } },
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': LEDGER_ACCOUNTS.USER_BALANCE } },
+    {
+      $group: {
+        _id: { userId: '$legs.userId', currency: '$legs.currency' },
+        total: {
+          $sum: { $subtract: [{ $toDecimal: '$legs.credit' }, { $toDecimal: '$legs.debit' }] }
+        }
+      }
+    }
+  ]).allowDiskUse(true);
+
+  rows.forEach(({ _id, total }) => book.add(String(_id.userId), _id.currency, source, total));
+}
+
+/**
+ * Admin fund/deduct operations leave no Transaction record, so read them from the ledger
+ */
+function collectAdminAdjustments(book) {
+  return collectLedgerMovements(book, ['ADMIN_FUND', 'ADMIN_DEDUCT'], 'adminAdjustments');
+}
+
+/**
+ * Open limit orders hold funds in the pending balance until they fill or are released
+ */
+function collectReservations(book) {
+  return collectLedgerMovements(book, ['LIMIT_ORDER_RESERVE', 'LIMIT_ORDER_RELEASE'], 'reservations');
+}
+
+/**
+ * Recompute every user's expected balance from transaction history and
+ * record each currency where the cached balance disagrees.
+ *
+ * @param {Object} [options]
+ * @param {'auto'|'manual'} [options.trigger='auto']
+ * @param {string|null} [options.triggeredBy] - Admin id for manual runs
+ * @param {BalanceReconciliation} [options.run] - Pre-created run document (manual runs return the runId early)
+ * @returns {Promise<BalanceReconciliation>} The completed run summary
+ */
+async function runBalanceReconciliation({ trigger = 'auto', triggeredBy = null, run = null } = {}) {
+  const reconciliation = run || await createReconciliationRun({ trigger, triggeredBy });
+  const { runId } = reconciliation;
+
+  try {
+    logger.info(`Balance reconciliation ${runId} started`, { trigger });
+
+    const book = createExpectedBook();
+    await collectTransactions(book);
+    await collectObiexSwaps(book);
+    await collectBills(book);
+    await collectAdminAdjustments(book);
+    await collectReservations(book);
+
+    const currencies = listBalanceSymbols();
+    const projection = ['balances', ...currencies.map((ccy) => getBalanceFields(ccy).balanceField)]
+      .filter((field) => !field.startsWith('balances.'))
+      .join(' ');
+
+    const summary = {};
+    currencies.forEach((ccy) => {
+      summary[ccy] = {
+        usersWithDrift: 0,
+        totalCached: new Decimal(0),
+        totalExpected: new Decimal(0),
+        netDrift: new Decimal(0),
+        absDrift: new Decimal(0)
+      };
+    });
+
+    let usersChecked = 0;
+    let driftCount = 0;
+    let pending = [];
+
+    const flush = async () => {
+      if (pending.length === 0) return;
+      await BalanceDrift.insertMany(pending, { ordered: false });
+      pending = [];
+    };
+
+    const cursor = User.find({}).select(projection).lean().cursor();
+    for await (const user of cursor) {
+      usersChecked += 1;
+
+      for (const ccy of currencies) {
+        const cached = new Decimal(readUserBalance(user, ccy).balance);
+        const sources = book.get(String(user._id), ccy);
+        const expected = sources
+          ? sources.transactions.plus(sources.obiexSwaps).plus(sources.bills)
+            .plus(sources.adminAdjustments).plus(sources.reservations)
+          : new Decimal(0);
+        const drift = cached.minus(expected);
+
+        const totals = summary[ccy];
+        totals.totalCached = totals.totalCached.plus(cached);
+        totals.totalExpected = totals.totalExpected.plus(expected);
+
+        const tolerance = DRIFT_TOLERANCE[ccy] ?? DEFAULT_DRIFT_TOLERANCE;
+        if (drift.abs().lte(tolerance)) continue;
+
+        driftCount += 1;
+        totals.usersWithDrift += 1;
+        totals.netDrift = totals.netDrift.plus(drift);
+        totals.absDrift = totals.absDrift.plus(drift.abs());
+
+        pending.push({
+          runId,
+          userId: user._id,
+          currency: ccy,
+          cachedBalance: cached.toNumber(),
+          expectedBalance: expected.toNumber(),
+          drift: drift.toNumber(),
+          breakdown: sources ? {
+            transactions: sources.transactions.toNumber(),
+            obiexSwaps: sources.obiexSwaps.toNumber(),
+            bills: sources.bills.toNumber(),
+            adminAdjustments: sources.adminAdjustments.toNumber(),
+            reservations: sources.reservations.toNumber()
+          } : {}
+        });
+
+        if (pending.length >= DRIFT_INSERT_BATCH) await flush();
+      }
+    }
+    await flush();
+
+    const storedSummary = {};
+    Object.entries(summary).forEach(([ccy, totals]) => {
+      storedSummary[ccy] = {
+        usersWithDrift: totals.usersWithDrift,
+        totalCached: totals.totalCached.toNumber(),
+        totalExpected: totals.totalExpected.toNumber(),
+        netDrift: totals.netDrift.toNumber(),
+        absDrift: totals.absDrift.toNumber()
+      };
+    });
+
+    reconciliation.status = 'COMPLETED';
+    reconciliation.completedAt = new Date();
+    reconciliation.usersChecked = usersChecked;
+    reconciliation.driftCount = driftCount;
+    reconciliation.summary = storedSummary;
+    await reconciliation.save();
+
+    logger.info(`Balance reconciliation ${runId} completed`, { usersChecked, driftCount });
+    return reconciliation;
+  } catch (error) {
+    logger.error(`Balance reconciliation ${runId} failed`, { error: error.message });
+    reconciliation.status = 'FAILED';
+    reconciliation.completedAt = new Date();
+    reconciliation.error = error.message;
+    await reconciliation.save().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Create a RUNNING reconciliation record
+ * @param {Object} options
+ * @param {'auto'|'manual'} options.trigger
+ * @param {string|null} [options.triggeredBy]
+ */
+async function createReconciliationRun({ trigger = 'auto', triggeredBy = null } = {}) {
+  return BalanceReconciliation.create({
+    runId: `RECON_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    trigger,
+    triggeredBy,
+    status: 'RUNNING',
+    startedAt: new Date()
+  });
+}
+
+module.exports = {
+  runBalanceReconciliation,
+  createReconciliationRun,
+  normalizeCurrency
+};
@@ -0,0 +1,311 @@
+// services/beneficiaryService.js
+//
+// Saved beneficiaries for NGNZ bank payouts (BANK), username transfers
+// (INTERNAL), crypto withdrawals (CRYPTO) and bill payments (BILLER).
+//
+// Details are checked with the same lookups the app runs before a payment
+// (Obiex account resolve, eBills customer verification, the withdrawal
+// address validators) before they are saved, so a transfer route can take a
+// `beneficiaryId` in place of the recipient fields (middleware/beneficiary).
+
+const mongoose = require('mongoose');
+const Beneficiary = require('../models/beneficiary');
+const User = require('../models/user');
+const ScheduledBillPayment = require('../models/scheduledBillPayment');
+const { validateBillDetails } = require('./billPurchaseService');
+const logger = require('../utils/logger');
+
+const { BENEFICIARY_TYPES, DETAIL_FIELDS } = Beneficiary;
+const MAX_BENEFICIARIES_PER_USER = 100;
+const MAX_LABEL_LENGTH = 50;
+// Bill types eBills can verify (phone numbers have no customer lookup)
+const VERIFIED_BILL_TYPES = ['electricity', 'cable_tv', 'betting'];
+
+class BeneficiaryError extends Error {
+  constructor(message, httpStatus = 400, code = 'BENEFICIARY_ERROR') {
+    super(message);
+    this.name = 'BeneficiaryError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// Route modules are loaded lazily; they pull in provider clients.
+
+async function prepareBank(userId, { bankCode, sortCode, accountNumber, bankName } = {}) {
+  let resolved;
+  try {
+    resolved = await require('../routes/Accountname').resolveAccount({ sortCode: bankCode || sortCode, accountNumber });
+  } catch (error) {
+    if (error.code === 'INVALID_ACCOUNT_QUERY') throw new BeneficiaryError(error.message);
+    logger.warn('Bank beneficiary resolve failed', {
+      userId,
+      error: error.response?.data?.message || error.message
+    });
+    resolved = null;
+  }
+  if (!resolved?.accountName) {
+    throw new BeneficiaryError('Could not verify this bank account. Please check the details and try again.', 422, 'ACCOUNT_NOT_RESOLVED');
+  }
+
+  return {
+    accountNumber: resolved.accountNumber,
+    bankCode: resolved.sortCode,
+    bankName: bankName ? String(bankName).trim() : null,
+    accountName: resolved.accountName
+  };
+}
+
+async function prepareInternal(userId, { username } = {}) {
+  const clean = (username ?? '').toString().trim().replace(/^@/, '');
+  if (!/^[\w.-]{1,50}$/.test(clean)) throw new BeneficiaryError('A valid username is required');
+
+  const result = await require('../routes/usernamewithdraw').findRecipientUser(clean, userId);
+  if (!result.success) throw new BeneficiaryError(result.message, 404, 'RECIPIENT_NOT_FOUND');
+
+  return { recipientUserId: result.recipient.id, username: result.recipient.username };
+}
+
+async function prepareCrypto(userId, { currency, network, address, memo } = {}) {
+  if (!address?.toString().trim()) throw new BeneficiaryError('address is required');
+
+  const error = require('../routes/withdraw').validateDestination(currency, network, String(address));
+  if (error) throw new BeneficiaryError(error);
+
+  return {
+    currency: String(currency).toUpperCase(),
+    network: String(network).toUpperCase(),
+    address: String(address).trim(),
+    memo: memo ? String(memo).trim() : null
+  };
+}
+
+async function prepareBiller(userId, { billType, serviceId, customerId, variationId, customerName, customerAddress } = {}) {
+  const error = validateBillDetails(billType, { serviceId, customerId, variationId });
+  if (error) throw new BeneficiaryError(error);
+
+  const bill = {
+    billType,
+    serviceId: String(serviceId).toLowerCase(),
+    customerId: String(customerId).trim(),
+    variationId: variationId ? String(variationId).trim() : null,
+    customerName: customerName || null,
+    customerAddress: customerAddress || null
+  };
+  if (!VERIFIED_BILL_TYPES.includes(billType)) return bill;
+
+  // verifybill keeps the provider's casing for betting service IDs
+  const { callEBillsVerificationAPI, VERIFIABLE_SERVICES } = require('../routes/verifybill');
+  const verifyServiceId = VERIFIABLE_SERVICES.find(id => id.toLowerCase() === bill.serviceId);
+  if (!verifyServiceId) return bill;
+
+  try {
+    const response = await callEBillsVerificationAPI({
+      customer_id: bill.customerId,
+      service_id: verifyServiceId,
+      variation_id: bill.variationId ? bill.variationId.toLowerCase() : undefined,
+      requestId: `beneficiary_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      userId
+    });
+    bill.customerName = response.data?.customer_name || bill.customerName;
+    bill.customerAddress = response.data?.customer_address || bill.customerAddress;
+  } catch (verifyError) {
+    if (/timed out|Authentication failed|IP address/.test(verifyError.message)) {
+      throw new BeneficiaryError('Customer verification is temporarily unavailable. Please try again.', 503, 'VERIFICATION_UNAVAILABLE');
+    }
+    throw new BeneficiaryError('Customer not found or invalid customer details', 422, 'CUSTOMER_NOT_VERIFIED');
+  }
+  return bill;
+}
+
+const PREPARERS = {
+  BANK: prepareBank,
+  INTERNAL: prepareInternal,
+  CRYPTO: prepareCrypto,
+  BILLER: prepareBiller
+};
+
+// Fields that identify the same payee for each type
+function duplicateFilter(type, details) {
+  switch (type) {
+    case 'BANK':
+      return { 'bank.bankCode': details.bankCode, 'bank.accountNumber': details.accountNumber };
+    case 'INTERNAL':
+      return { 'internal.recipientUserId': details.recipientUserId };
+    case 'CRYPTO':
+      return {
+        'crypto.currency': details.currency,
+        'crypto.network': details.network,
+        'crypto.address': details.address,
+        'crypto.memo': details.memo
+      };
+    case 'BILLER':
+      return {
+        'bill.billType': details.billType,
+        'bill.serviceId': details.serviceId,
+        'bill.customerId': details.customerId
+      };
+    default:
+      return {};
+  }
+}
+
+function normalizeLabel(label) {
+  if (label === undefined || label === null || label === '') return null;
+  const clean = String(label).trim();
+  if (clean.length > MAX_LABEL_LENGTH) {
+    throw new BeneficiaryError(`label must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+  return clean || null;
+}
+
+async function findOwned(userId, beneficiaryId, type) {
+  if (!mongoose.isValidObjectId(beneficiaryId)) {
+    throw new BeneficiaryError('Beneficiary not found', 404, 'BENEFICIARY_NOT_FOUND');
+  }
+  const filter = { _id: beneficiaryId, userId, isActive: true };
+  if (type) filter.type = type;
+
+  const beneficiary = await Beneficiary.findOne(filter);
+  if (!beneficiary) throw new BeneficiaryError('Beneficiary not found', 404, 'BENEFICIARY_NOT_FOUND');
+  return beneficiary;
+}
+
+/**
+ * Validate and save a beneficiary
+ * @param {string} userId
+ * @param {Object} params - { type, label, isFavourite, bank | internal | crypto | bill }
+ * @returns {Promise<Beneficiary>}
+ */
+async function createBeneficiary(userId, params = {}) {
+  const type = String(params.type || '').toUpperCase();
+  const field = DETAIL_FIELDS[type];
+  if (!field) throw new BeneficiaryError(`type must be one of: ${BENEFICIARY_TYPES.join(', ')}`);
+  const label = normalizeLabel(params.label);
+
+  const count = await Beneficiary.countDocuments({ userId, isActive: true });
+  if (count >= MAX_BENEFICIARIES_PER_USER) {
+    throw new BeneficiaryError(`You can save up to ${MAX_BENEFICIARIES_PER_USER} beneficiaries`, 400, 'BENEFICIARY_LIMIT_REACHED');
+  }
+
+  const details = await PREPARERS[type](userId, params[field] || {});
+
+  const existing = await Beneficiary.findOne({ userId, type, isActive: true, ...duplicateFilter(type, details) });
+  if (existing) {
+    throw new BeneficiaryError('This beneficiary is already saved', 409, 'DUPLICATE_BENEFICIARY');
+  }
+
+  try {
+    return await Beneficiary.create({
+      userId,
+      type,
+      label,
+      isFavourite: params.isFavourite === true,
+      [field]: details
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new BeneficiaryError('This beneficiary is already saved', 409, 'DUPLICATE_BENEFICIARY');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Saved beneficiaries, favourites and most recently used first
+ * @param {string} userId
+ * @param {Object} [filters] - { type, billType }
+ */
+async function listBeneficiaries(userId, { type, billType } = {}) {
+  const filter = { userId, isActive: true };
+  if (type) {
+    const upperType = String(type).toUpperCase();
+    if (!BENEFICIARY_TYPES.includes(upperType)) {
+      throw new BeneficiaryError(`type must be one of: ${BENEFICIARY_TYPES.join(', ')}`);
+    }
+    filter.type = upperType;
+  }
+  if (billType) filter['bill.billType'] = String(billType);
+
+  return Beneficiary.find(filter).sort({ isFavourite: -1, lastUsedAt: -1, createdAt: -1 }).lean();
+}
+
+async function getBeneficiary(userId, beneficiaryId) {
+  return findOwned(userId, beneficiaryId);
+}
+
+/**
+ * Change a beneficiary's label or favourite flag. Payee details are fixed;
+ * delete and re-add to change them.
+ */
+async function updateBeneficiary(userId, beneficiaryId, { label, isFavourite } = {}) {
+  const update = {};
+  if (label !== undefined) update.label = normalizeLabel(label);
+  if (isFavourite !== undefined) {
+    if (typeof isFavourite !== 'boolean') throw new BeneficiaryError('isFavourite must be a boolean');
+    update.isFavourite = isFavourite;
+  }
+  if (Object.keys(update).length === 0) {
+    throw new BeneficiaryError('Nothing to update. Provide label and/or isFavourite.');
+  }
+
+  const beneficiary = await findOwned(userId, beneficiaryId);
+  beneficiary.set(update);
+  return beneficiary.save();
+}
+
+/**
+ * Remove a beneficiary. Schedules paying a removed biller are cancelled.
+ * @param {string} [type] - Restrict to one beneficiary type
+ */
+async function deleteBeneficiary(userId, beneficiaryId, type) {
+  const beneficiary = await findOwned(userId, beneficiaryId, type);
+  beneficiary.isActive = false;
+  await beneficiary.save();
+
+  if (beneficiary.type === 'BILLER') {
+    await ScheduledBillPayment.updateMany(
+      { userId, beneficiaryId: beneficiary._id, status: { $in: ['ACTIVE', 'PAUSED'] } },
+      { $set: { status: 'CANCELLED', pausedReason: 'BENEFICIARY_DELETED' } }
+    );
+  }
+  return beneficiary;
+}
+
+/**
+ * Load a beneficiary for a payment. INTERNAL entries are re-checked against
+ * the recipient's current account so a renamed user is still paid.
+ * @param {string} userId
+ * @param {string} beneficiaryId
+ * @param {string} type - Beneficiary type the calling route pays
+ */
+async function resolveBeneficiary(userId, beneficiaryId, type) {
+  const beneficiary = await findOwned(userId, beneficiaryId, type);
+
+  if (beneficiary.type === 'INTERNAL') {
+    const recipient = await User.findById(beneficiary.internal.recipientUserId).select('username isActive').lean();
+    if (!recipient || recipient.isActive === false) {
+      throw new BeneficiaryError('This recipient can no longer receive transfers', 422, 'RECIPIENT_UNAVAILABLE');
+    }
+    if (recipient.username !== beneficiary.internal.username) {
+      beneficiary.internal.username = recipient.username;
+      await beneficiary.save();
+    }
+  }
+  return beneficiary;
+}
+
+async function markBeneficiaryUsed(beneficiaryId) {
+  await Beneficiary.updateOne({ _id: beneficiaryId }, { $set: { lastUsedAt: new Date() } });
+}
+
+module.exports = {
+  BeneficiaryError,
+  createBeneficiary,
+  listBeneficiaries,
+  getBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary,
+  resolveBeneficiary,
+  markBeneficiaryUsed
+};
@@ -0,0 +1,329 @@
+// services/billPurchaseService.js
+//
+// Server-initiated bill purchases (airtime, data, electricity, cable TV,
+// betting) for flows the user has already authorised with 2FA + PIN, such as
+// scheduled bill payments. Uses the same provider calls, BillTransaction
+// lifecycle and "debit only after provider success" rule as the purchase
+// routes, minus the per-request 2FA / PIN prompt.
+
+const User = require('../models/user');
+const BillTransaction = require('../models/billstransaction');
+const { postEntry } = require('./ledgerService');
+const { validateTransactionLimit, invalidateSpending } = require('./kyccheckservice');
+const { sendAirtimePurchaseNotification, sendUtilityPaymentNotification } = require('./notificationService');
+const { emitEvent } = require('./outboundWebhookService');
+const { getBalanceFields, readUserBalance } = require('./assetRegistry');
+const { RedisLock } = require('../utils/redisLock');
+const { clearUserCaches } = require('../utils/cacheManager');
+const { toDecimal } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const CURRENCY = 'NGNZ';
+
+class BillPurchaseError extends Error {
+  constructor(message, code = 'BILL_PURCHASE_FAILED', retryable = true) {
+    super(message);
+    this.name = 'BillPurchaseError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Provider adapters per bill type. Route modules are loaded lazily.
+const BILL_TYPES = {
+  airtime: {
+    productName: 'Airtime',
+    serviceIds: ['mtn', 'airtel', 'glo', '9mobile'],
+    customerIdPattern: /^(0\d{10}|234\d{10})$/,
+    lockKey: 'airtime',
+    kycType: 'AIRTIME',
+    call: ({ serviceId, customerId, amount }, requestId, userId) =>
+      require('../routes/airtime').callPayBetaAPI({
+        phone: customerId, amount, service_id: serviceId, request_id: requestId, userId
+      })
+  },
+  data: {
+    productName: 'Data',
+    serviceIds: ['mtn', 'airtel', 'glo', '9mobile'],
+    customerIdPattern: /^(0\d{10}|234\d{10})$/,
+    requiresVariation: true,
+    lockKey: 'data',
+    kycType: 'BILL_PAYMENT',
+    call: ({ serviceId, customerId, variationId, amount }, requestId, userId) =>
+      require('../routes/data').callPayBetaAPI({
+        phone: customerId, amount, service_id: serviceId, variation_id: variationId, request_id: requestId, userId
+      })
+  },
+  cable_tv: {
+    productName: 'Cable TV',
+    serviceIds: ['dstv', 'gotv', 'startimes', 'showmax'],
+    requiresVariation: true,
+    lockKey: 'cabletv',
+    kycType: 'BILL_PAYMENT',
+    call: ({ serviceId, customerId, variationId, customerName, amount }, requestId, userId) =>
+      require('../routes/cabletv').callPayBetaAPI({
+        customer_id: customerId,
+        service_id: serviceId,
+        variation_id: variationId,
+        amount,
+        request_id: requestId,
+        userId,
+        customer_name: customerName || 'CUSTOMER'
+      })
+  },
+  electricity: {
+    productName: 'Electricity',
+    serviceIds: [
+      'ikeja-electric', 'eko-electric', 'kano-electric', 'portharcourt-electric',
+      'jos-electric', 'ibadan-electric', 'kaduna-electric', 'abuja-electric',
+      'enugu-electric', 'benin-electric', 'aba-electric', 'yola-electric'
+    ],
+    variations: ['prepaid', 'postpaid'],
+    requiresVariation: true,
+    lockKey: 'electricity',
+    kycType: 'BILL_PAYMENT',
+    call: ({ serviceId, customerId, variationId, customerName, customerAddress, amount }, requestId, userId) =>
+      require('../routes/electricity').callPayBetaElectricityAPI({
+        service: serviceId,
+        meterNumber: customerId,
+        meterType: variationId,
+        amount,
+        customerName: customerName || 'Customer',
+        customerAddress: customerAddress || 'Address',
+        reference: requestId,
+        userId
+      })
+  },
+  betting: {
+    productName: 'Betting',
+    serviceIds: [
+      '1xbet', 'bangbet', 'bet9ja', 'betking', 'betland', 'betlion',
+      'betway', 'cloudbet', 'livescorebet', 'merrybet', 'naijabet', 'nairabet', 'supabet',
+      'hallabet', 'mlotto', 'westernlotto', 'greenlotto', 'sportybet'
+    ],
+    lockKey: 'betting',
+    kycType: 'BILL_PAYMENT',
+    call: ({ serviceId, customerId, customerName, amount }, requestId, userId) =>
+      require('../routes/betting').callPayBetaAPI({
+        customer_id: customerId,
+        service_id: serviceId,
+        amount,
+        request_id: requestId,
+        userId,
+        customer_name: customerName || 'CUSTOMER'
+      })
+  }
+};
+
+/**
+ * Check saved biller details before they are stored or scheduled
+ * @param {string} billType
+ * @param {Object} bill - { serviceId, customerId, variationId }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBillDetails(billType, { serviceId, customerId, variationId } = {}) {
+  const config = BILL_TYPES[billType];
+  if (!config) return `billType must be one of: ${Object.keys(BILL_TYPES).join(', ')}`;
+  if (!serviceId || !config.serviceIds.includes(String(serviceId).toLowerCase())) {
+    return `Invalid serviceId for ${billType}`;
+  }
+  if (!customerId) return 'customerId is required';
+  if (config.customerIdPattern && !config.customerIdPattern.test(String(customerId).replace(/\D/g, ''))) {
+    return 'Invalid phone number format';
+  }
+  if (config.requiresVariation && !variationId) return `variationId is required for ${billType}`;
+  if (config.variations && !config.variations.includes(String(variationId).toLowerCase())) {
+    return `variationId must be one of: ${config.variations.join(', ')}`;
+  }
+  return null;
+}
+
+function customerInfoFor(billType, { serviceId, customerId, variationId, customerName }) {
+  switch (billType) {
+    case 'airtime':
+    case 'data':
+      return { phone: customerId, network: serviceId.toUpperCase(), packageCode: variationId || undefined };
+    case 'cable_tv':
+      return { smartCardNumber: customerId, customerName, packageCode: variationId, serviceType: serviceId };
+    case 'electricity':
+      return { meterNumber: customerId, customerName, disco: serviceId, serviceType: variationId };
+    default:
+      return { customerId, customerName, serviceType: serviceId };
+  }
+}
+
+function networkFor(serviceId) {
+  const network = serviceId.toUpperCase();
+  return BillTransaction.schema.path('network').enumValues.includes(network) ? network : undefined;
+}
+
+async function notifyResult(userId, billType, bill, amount, status, extra) {
+  emitEvent(status === 'completed' ? 'bill.completed' : 'bill.failed', {
+    userId: String(userId),
+    billType: billType.toUpperCase(),
+    amount,
+    currency: CURRENCY,
+    serviceId: bill.serviceId,
+    requestId: extra?.requestId || null,
+    orderId: extra?.orderId || null
+  });
+
+  try {
+    if (billType === 'airtime' || billType === 'data') {
+      await sendAirtimePurchaseNotification(userId, amount, bill.serviceId, bill.customerId, status, { ...extra, currency: CURRENCY });
+    } else if (status === 'completed') {
+      await sendUtilityPaymentNotification(userId, billType.toUpperCase(), amount, bill.serviceId.toUpperCase(), bill.customerId, extra);
+    }
+  } catch (error) {
+    logger.error('Failed to send bill purchase notification', { userId, billType, error: error.message });
+  }
+}
+
+/**
+ * Buy a bill for a user without a 2FA / PIN prompt. Callers must only use
+ * this for purchases the user authorised in advance.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.billType - airtime | data | electricity | cable_tv | betting
+ * @param {Object} params.bill - { serviceId, customerId, variationId, customerName, customerAddress }
+ * @param {number} params.amount - NGNZ
+ * @param {string} params.requestId - Provider reference (max 40 chars), unique per attempt
+ * @param {Object} [params.metaData] - Extra BillTransaction metadata (e.g. scheduleId)
+ * @returns {Promise<BillTransaction>} The completed transaction
+ * @throws {BillPurchaseError}
+ */
+async function purchaseBill({ userId, billType, bill, amount, requestId, metaData = {} }) {
+  const config = BILL_TYPES[billType];
+  if (!config) throw new BillPurchaseError(`Unsupported bill type: ${billType}`, 'UNSUPPORTED_BILL_TYPE', false);
+
+  const lock = new RedisLock(`${config.lockKey}:${userId}`, 60000);
+  if (!await lock.acquireWithRetry(3000, 100)) {
+    throw new BillPurchaseError('Another purchase is in progress', 'LOCKED');
+  }
+
+  let transaction = null;
+  try {
+    // 1. KYC limit and balance
+    const kycCheck = await validateTransactionLimit(userId, amount, CURRENCY, config.kycType);
+    if (!kycCheck.allowed) {
+      throw new BillPurchaseError(kycCheck.message, kycCheck.code || 'KYC_LIMIT');
+    }
+
+    const { balanceField } = getBalanceFields(CURRENCY);
+    const user = await User.findById(userId).select(balanceField).lean();
+    if (!user) throw new BillPurchaseError('User not found', 'USER_NOT_FOUND', false);
+    if (toDecimal(readUserBalance(user, CURRENCY).balance).lt(amount)) {
+      throw new BillPurchaseError('NGNZ balance insufficient', 'INSUFFICIENT_NGNZ_BALANCE');
+    }
+
+    // 2. Pending transaction, then the provider
+    transaction = await BillTransaction.create({
+      orderId: `pending_${userId}_${requestId}`,
+      status: 'initiated-api',
+      productName: config.productName,
+      billType,
+      quantity: 1,
+      amount,
+      amountNaira: amount,
+      paymentCurrency: CURRENCY,
+      requestId,
+      network: networkFor(bill.serviceId),
+      customerPhone: billType === 'airtime' || billType === 'data' ? bill.customerId : undefined,
+      customerInfo: customerInfoFor(billType, bill),
+      userId,
+      timestamp: new Date(),
+      metaData: {
+        ...metaData,
+        service_id: bill.serviceId,
+        variation_id: bill.variationId,
+        customer_id: bill.customerId,
+        user_id: String(userId),
+        payment_currency: CURRENCY,
+        ngnz_amount: amount,
+        exchange_rate: 1,
+        preauthorized: true,
+        is_ngnz_transaction: true
+      }
+    });
+
+    let response;
+    try {
+      response = await config.call({ ...bill, amount }, requestId, userId);
+    } catch (apiError) {
+      await BillTransaction.findByIdAndUpdate(transaction._id, {
+        status: 'failed',
+        processingErrors: [{ error: apiError.message, timestamp: new Date(), phase: 'api_call' }]
+      });
+      await notifyResult(userId, billType, bill, amount, 'failed', { requestId, error: apiError.message });
+      throw new BillPurchaseError(apiError.message, 'PROVIDER_ERROR');
+    }
+
+    // 3. Provider succeeded: debit through the ledger
+    const data = response.data || {};
+    const providerOrderId = String(data.order_id ?? data.transactionId ?? requestId);
+    try {
+      await postEntry({
+        type: 'BILL_PAYMENT',
+        userId,
+        reference: requestId,
+        description: `Scheduled ${config.productName.toLowerCase()} purchase`,
+        actor: { kind: 'SYSTEM', id: 'bill-scheduler' },
+        changes: [{ currency: CURRENCY, balanceDelta: -amount, requireFunds: false }],
+        metadata: { billType, providerOrderId, ...metaData }
+      });
+      clearUserCaches(userId);
+    } catch (balanceError) {
+      logger.error('CRITICAL: Balance deduction failed after successful provider call (scheduled bill)', {
+        userId, billType, requestId, providerOrderId, error: balanceError.message
+      });
+      await BillTransaction.findByIdAndUpdate(transaction._id, {
+        status: 'failed',
+        processingErrors: [{
+          error: `Balance deduction failed after provider success: ${balanceError.message}`,
+          timestamp: new Date(),
+          phase: 'balance_update'
+        }]
+      });
+      // The provider has delivered; never retry this one automatically
+      throw new BillPurchaseError('Balance deduction failed after provider success', 'BALANCE_UPDATE_FAILED', false);
+    }
+
+    const completed = await BillTransaction.findByIdAndUpdate(transaction._id, {
+      orderId: providerOrderId,
+      status: 'completed',
+      productName: data.biller || data.product_name || config.productName,
+      balanceCompleted: true,
+      metaData: {
+        ...transaction.metaData,
+        service_name: data.biller || data.service_name,
+        token: data.token,
+        units: data.unit,
+        amount_charged: data.chargedAmount,
+        balance_action_taken: true,
+        balance_action_type: 'immediate_debit',
+        balance_action_at: new Date(),
+        paybeta_status: 'successful',
+        paybeta_transaction_id: data.order_id ?? data.transactionId,
+        paybeta_reference: data.reference,
+        paybeta_commission: data.commission,
+        paybeta_transaction_date: data.transactionDate
+      }
+    }, { new: true });
+
+    invalidateSpending(userId, config.kycType);
+    await notifyResult(userId, billType, bill, amount, 'completed', { orderId: providerOrderId, requestId });
+
+    logger.info('Pre-authorised bill purchase completed', { userId, billType, amount, requestId, providerOrderId });
+    return completed;
+  } finally {
+    await lock.release();
+  }
+}
+
+module.exports = {
+  BILL_TYPES,
+  BillPurchaseError,
+  validateBillDetails,
+  purchaseBill
+};
@@ -0,0 +1,192 @@
+// services/cronScheduler.js
+//
+// Cluster-wide cron. Every instance registers the same jobs with scheduleJob(),
+// and on each tick the instances race for two Redis leases (utils/redisLock):
+//   - lock:cron:<name>:<tick>   taken once per scheduled tick and left to expire,
+//                               so an instance whose clock is a little off
+//                               cannot run the same tick again after the winner
+//   - lock:cron:<name>:running  held (and extended) while the job runs, so a
+//                               slow run is never overlapped by the next tick
+// The winner records the run and its outcome in models/scheduledJob, which
+// adminRoutes/scheduledJobs exposes. With Redis disabled every instance runs
+// every job, which is only correct for a single instance.
+
+const os = require('os');
+const cron = require('node-cron');
+const ScheduledJob = require('../models/scheduledJob');
+const { RedisLock } = require('../utils/redisLock');
+const { getRedisClient } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const TICK_LOCK_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+
+class SchedulerError extends Error {
+  constructor(message, httpStatus = 400, code = 'SCHEDULER_ERROR') {
+    super(message);
+    this.name = 'SchedulerError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+/**
+ * Register a job that runs at most once per tick across all instances.
+ * Re-registering a name replaces the previous schedule.
+ *
+ * @param {string} name - Stable, unique job name (used in Redis keys and the admin view)
+ * @param {string} schedule - node-cron expression
+ * @param {() => Promise<Object|undefined>} task - throw to record a failure; a
+ *   plain object returned is stored as the run summary
+ * @param {Object} [options]
+ * @param {string} [options.timezone]
+ * @param {number} [options.leaseMs] - running lease, extended while the task is still going
+ * @returns {import('node-cron').ScheduledTask}
+ */
+function scheduleJob(name, schedule, task, { timezone, leaseMs = DEFAULT_LEASE_MS } = {}) {
+  const existing = jobs.get(name);
+  if (existing) existing.cronTask.stop();
+
+  const job = { name, schedule, timezone: timezone || null, task, leaseMs, running: false, cronTask: null };
+  job.cronTask = cron.schedule(schedule, (context) => {
+    const tick = Math.floor((context?.date || new Date()).getTime() / 1000);
+    return runJob(job, { tick, trigger: 'SCHEDULE' })
+      .catch(error => logger.error('Scheduled job wrapper failed', { job: name, error: error.message }));
+  }, { name, ...(timezone ? { timezone } : {}) });
+
+  jobs.set(name, job);
+  return job.cronTask;
+}
+
+async function record(name, update) {
+  try {
+    await ScheduledJob.updateOne({ name }, update, { upsert: true });
+  } catch (error) {
+    logger.error('Failed to record scheduled job run', { job: name, error: error.message });
+  }
+}
+
+function summaryOf(result) {
+  return result && typeof result === 'object' && !Array.isArray(result) ? result : null;
+}
+
+/**
+ * Run a job if this instance wins its leases.
+ * @returns {Promise<{ran: boolean, reason?: string, status?: string}>}
+ */
+async function runJob(job, { tick = null, trigger }) {
+  if (job.running) return { ran: false, reason: 'ALREADY_RUNNING' };
+
+  let lease = null;
+  if (getRedisClient()) {
+    if (tick !== null) {
+      const tickLock = new RedisLock(`cron:${job.name}:${tick}`, TICK_LOCK_TTL_MS);
+      if (!(await tickLock.acquire())) return { ran: false, reason: 'TICK_TAKEN' };
+    }
+    lease = new RedisLock(`cron:${job.name}:running`, job.leaseMs);
+    if (!(await lease.acquire())) {
+      logger.info('Scheduled job still running on another instance, skipping', { job: job.name });
+      return { ran: false, reason: 'ALREADY_RUNNING' };
+    }
+  }
+
+  job.running = true;
+  const startedAt = new Date();
+  const keepAlive = lease ? setInterval(() => lease.extend(job.leaseMs), Math.floor(job.leaseMs / 2)) : null;
+
+  await record(job.name, {
+    $set: {
+      schedule: job.schedule,
+      timezone: job.timezone,
+      lastStatus: 'RUNNING',
+      lastTrigger: trigger,
+      lastRunAt: startedAt,
+      lastInstance: INSTANCE_ID
+    },
+    $inc: { runCount: 1 }
+  });
+
+  try {
+    const result = await job.task();
+    const finishedAt = new Date();
+    await record(job.name, {
+      $set: {
+        lastStatus: 'SUCCESS',
+        lastFinishedAt: finishedAt,
+        lastSuccessAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        lastError: null,
+        lastResult: summaryOf(result)
+      }
+    });
+    return { ran: true, status: 'SUCCESS' };
+  } catch (error) {
+    const finishedAt = new Date();
+    logger.error('Scheduled job failed', { job: job.name, trigger, error: error.message });
+    await record(job.name, {
+      $set: {
+        lastStatus: 'FAILED',
+        lastFinishedAt: finishedAt,
+        lastDurationMs: finishedAt - startedAt,
+        lastError: error.message,
+        lastResult: null
+      },
+      $inc: { failureCount: 1 }
+    });
+    return { ran: true, status: 'FAILED', error: error.message };
+  } finally {
+    clearInterval(keepAlive);
+    job.running = false;
+    if (lease) await lease.release();
+  }
+}
+
+/**
+ * Registered jobs merged with their last recorded run.
+ */
+async function listScheduledJobs() {
+  const docs = await ScheduledJob.find({ name: { $in: [...jobs.keys()] } }).lean();
+  const byName = new Map(docs.map(doc => [doc.name, doc]));
+  return [...jobs.values()].map(job => {
+    const doc = byName.get(job.name) || {};
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      timezone: job.timezone,
+      runningHere: job.running,
+      lastStatus: doc.lastStatus || null,
+      lastTrigger: doc.lastTrigger || null,
+      lastRunAt: doc.lastRunAt || null,
+      lastFinishedAt: doc.lastFinishedAt || null,
+      lastSuccessAt: doc.lastSuccessAt || null,
+      lastDurationMs: doc.lastDurationMs ?? null,
+      lastError: doc.lastError || null,
+      lastResult: doc.lastResult || null,
+      lastInstance: doc.lastInstance || null,
+      runCount: doc.runCount || 0,
+      failureCount: doc.failureCount || 0
+    };
+  });
+}
+
+/**
+ * Run a job now, outside its schedule. Still refuses to overlap a running copy.
+ */
+async function triggerJob(name) {
+  const job = jobs.get(name);
+  if (!job) throw new SchedulerError(`Unknown scheduled job "${name}"`, 404, 'JOB_NOT_FOUND');
+  const outcome = await runJob(job, { trigger: 'MANUAL' });
+  if (!outcome.ran) throw new SchedulerError('Job is already running', 409, 'JOB_RUNNING');
+  return outcome;
+}
+
+module.exports = {
+  SchedulerError,
+  scheduleJob,
+  listScheduledJobs,
+  triggerJob,
+  INSTANCE_ID
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const PriceChange = require('../models/pricechange');
 const logger = require('../utils/logger');
+const { listAssets } = require('./assetRegistry');
 
 // ---- Config ----
 const CONFIG = {
@@ -55,17 +56,10 @@ function releaseLock(lockId = null) {
 }
 
 // ---- Supported tokens ----
-const SUPPORTED_TOKENS = {
-  BTC: { binanceSymbol: 'BTCUSDT', isStablecoin: false },
-  ETH: { binanceSymbol: 'ETHUSDT', isStablecoin: false },
-  SOL: { binanceSymbol: 'SOLUSDT', isStablecoin: false },
-  USDT: { binanceSymbol: null,       isStablecoin: true  }, // treat as 1.0
-  USDC: { binanceSymbol: 'USDCUSDT', isStablecoin: true  },
-  BNB: { binanceSymbol: 'BNBUSDT',   isStablecoin: false },
-  MATIC:{ binanceSymbol: 'MATICUSDT',isStablecoin: false }, // MATICUSDT still exists on Binance
-  TRX: { binanceSymbol: 'TRXUSDT', isStablecoin: false },
-  TON: { binanceSymbol: 'TONUSDT', isStablecoin: false },
-};
+// Every enabled asset priced by the job (NGNZ is priced from the offramp rate instead)
+function getJobAssets() {
+  return listAssets().filter(asset => asset.priceSource.provider !== 'offramp');
+}
 
 // ---- Global rate gate ----
 let lastRequestAt = 0;
@@ -147,38 +141,39 @@ async function fetchBinancePrices() {
       const prices = {};
       const missingSymbols = [];
 
-      for (const [token, info] of Object.entries(SUPPORTED_TOKENS)) {
-        if (token === 'USDT') { 
-          prices[token] = 1.0; 
-          continue; 
+      for (const asset of getJobAssets()) {
+        const token = asset.symbol;
+        const { provider, symbol: binanceSymbol, fallbackSymbols, fixedPriceUsd } = asset.priceSource;
+
+        // Stablecoins and manually priced assets are stored at their configured price
+        if (provider === 'stable' || provider === 'manual') {
+          if (fixedPriceUsd > 0) prices[token] = fixedPriceUsd;
+          else logger.warn(`No fixed price configured for ${token}`);
+          continue;
         }
         
-        if (!info.binanceSymbol) {
+        if (!binanceSymbol) {
           logger.warn(`No binanceSymbol configured for ${token}`);
           continue;
         }
         
-        // Try primary symbol first
-        let raw = bySymbol.get(info.binanceSymbol);
-        
-        // Fallback for MATIC: try POLUSDT if MATICUSDT not found
-        if (!raw && token === 'MATIC' && info.binanceSymbol === 'MATICUSDT') {
-          logger.debug('MATICUSDT not found, trying POLUSDT as fallback');
-          raw = bySymbol.get('POLUSDT');
-          if (raw) {
-            logger.info('Using POLUSDT for MATIC price');
-          }
+        // Try primary symbol first, then any configured fallbacks (e.g. POLUSDT for MATIC)
+        let raw = bySymbol.get(binanceSymbol);
+        for (const fallbackSymbol of fallbackSymbols) {
+          if (raw) break;
+          raw = bySymbol.get(fallbackSymbol);
+          if (raw) logger.info(`Using ${fallbackSymbol} for ${token} price`);
         }
         
         if (!raw) { 
-          missingSymbols.push(`${token} (${info.binanceSymbol})`);
-          logger.warn(`No price for ${token} (${info.binanceSymbol}) on ${base}`); 
+          missingSymbols.push(`${token} (${binanceSymbol})`);
+          logger.warn(`No price for ${token} (${binanceSymbol}) on ${base}`); 
           continue; 
         }
         
         const p = Number(raw);
         if (!Number.isFinite(p) || p <= 0) { 
-          logger.warn(`Invalid price for ${token}`, { raw, binanceSymbol: info.binanceSymbol }); 
+          logger.warn(`Invalid price for ${token}`, { raw, binanceSymbol }); 
           continue; 
         }
         prices[token] = p;
@@ -312,6 +307,14 @@ async function updateCryptoPrices() {
           symbols: Object.keys(prices),
           source
         });
+
+        // Price alerts and limit orders react to the fresh prices; never block the job on them
+        setImmediate(() => {
+          require('./limitOrderService').onPricesUpdated(prices).catch((error) => {
+            logger.error('Limit order/price alert processing failed', { error: error.message });
+          });
+        });
+
         return { success: true, pricesStored: storedCount, duration, symbols: Object.keys(prices), source };
       } else {
         logger.warn('No prices were stored', { 
@@ -356,7 +359,7 @@ async function cleanupOldPrices() {
 async function getPriceStatistics() {
   try {
     const stats = {};
-    const tokens = Object.keys(SUPPORTED_TOKENS);
+    const tokens = getJobAssets().map(asset => asset.symbol);
     for (const token of tokens) {
       const latestPrice = await PriceChange.findOne({ symbol: token.toUpperCase() }).sort({ timestamp: -1 });
       const count = await PriceChange.countDocuments({ symbol: token.toUpperCase() });
@@ -387,7 +390,7 @@ module.exports = {
   acquireLock,
   releaseLock,
   // Debug
-  SUPPORTED_TOKENS,
+  getJobAssets,
   CONFIG
 };
 
@@ -0,0 +1,343 @@
+// services/jobQueue.js
+//
+// Small Redis-backed job queue for side effects that must survive a restart
+// (emails, push notifications, referral rewards, KYC follow-ups). Queues are
+// declared with defineQueue() and fed with enqueue(); every process running
+// startWorkers() pulls from them:
+//   - jobq:<name>:waiting    LIST  ready to run (LPUSH in, RPOP out)
+//   - jobq:<name>:processing ZSET  claimed jobs scored by lease expiry
+//   - jobq:<name>:delayed    ZSET  retries and delayed jobs scored by run time
+//   - jobq:<name>:dead       LIST  jobs out of attempts, newest first
+//   - jobq:<name>:stats      HASH  completed / retried / dead counters
+// A throwing handler is retried with exponential backoff, then dead-lettered.
+// Jobs whose lease expires (worker crashed mid-job) go back to waiting, so
+// handlers must be safe to run more than once. Job data is stored as JSON.
+//
+// With Redis disabled or unreachable, enqueue() falls back to running the
+// handler once in-process, which is what callers did before this queue existed.
+
+const crypto = require('crypto');
+const { getRedisClient } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'jobq';
+const POLL_INTERVAL_MS = 1000;
+const MOVE_BATCH_SIZE = 100;
+const DEAD_LETTER_LIMIT = 1000;
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  maxAttempts: 5,
+  backoffMs: 30 * 1000,
+  maxBackoffMs: 60 * 60 * 1000,
+  leaseMs: 5 * 60 * 1000
+};
+
+// Pops the oldest waiting job and leases it in one step
+const CLAIM_SCRIPT = `
+local job = redis.call('RPOP', KEYS[1])
+if job then redis.call('ZADD', KEYS[2], ARGV[1], job) end
+return job`;
+
+// Moves members of a ZSET scored <= now back onto a list (due retries, expired leases)
+const RELEASE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, job in ipairs(due) do
+  redis.call('ZREM', KEYS[1], job)
+  redis.call('LPUSH', KEYS[2], job)
+end
+return #due`;
+
+const queues = new Map();
+let running = false;
+
+/**
+ * Thrown by a handler for a job that will never succeed (unknown task,
+ * malformed data...). The job is dead-lettered without further attempts.
+ */
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+class JobQueueError extends Error {
+  constructor(message, httpStatus = 400, code = 'JOB_QUEUE_ERROR') {
+    super(message);
+    this.name = 'JobQueueError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function keysFor(name) {
+  const base = `${KEY_PREFIX}:${name}`;
+  return {
+    waiting: `${base}:waiting`,
+    processing: `${base}:processing`,
+    delayed: `${base}:delayed`,
+    dead: `${base}:dead`,
+    stats: `${base}:stats`
+  };
+}
+
+/**
+ * @param {string} name
+ * @param {(data: Object, job: Object) => Promise<any>} handler - throw to retry
+ * @param {Object} [options] - concurrency, maxAttempts, backoffMs, maxBackoffMs, leaseMs
+ */
+function defineQueue(name, handler, options = {}) {
+  if (queues.has(name)) throw new Error(`Job queue "${name}" is already defined`);
+  queues.set(name, {
+    name,
+    handler,
+    options: { ...DEFAULT_OPTIONS, ...options },
+    keys: keysFor(name),
+    active: 0,
+    timer: null
+  });
+}
+
+function getQueue(name) {
+  const queue = queues.get(name);
+  if (!queue) throw new JobQueueError(`Unknown job queue "${name}"`, 404, 'QUEUE_NOT_FOUND');
+  return queue;
+}
+
+function requireRedis() {
+  const redis = getRedisClient();
+  if (!redis) throw new JobQueueError('Job queue requires Redis', 503, 'QUEUE_UNAVAILABLE');
+  return redis;
+}
+
+function retryDelay(queue, attempts) {
+  const { backoffMs, maxBackoffMs } = queue.options;
+  return Math.min(backoffMs * 2 ** Math.max(0, attempts - 1), maxBackoffMs);
+}
+
+function runInline(queue, job) {
+  setImmediate(() => {
+    Promise.resolve()
+      .then(() => queue.handler(job.data, job))
+      .catch(error => logger.error('Inline job failed', { queue: queue.name, jobId: job.id, error: error.message }));
+  });
+}
+
+/**
+ * Add a job. Never throws - callers use it in place of fire-and-forget calls.
+ * @param {string} name - Queue name
+ * @param {Object} data - JSON-serialisable job data
+ * @param {Object} [options]
+ * @param {number} [options.delayMs] - run no earlier than this from now
+ * @returns {Promise<string|null>} job id, or null if the queue is unknown
+ */
+async function enqueue(name, data, { delayMs = 0 } = {}) {
+  const queue = queues.get(name);
+  if (!queue) {
+    logger.error('Enqueue to unknown job queue', { queue: name });
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    queue: name,
+    data,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+    lastError: null
+  };
+
+  const redis = getRedisClient();
+  if (!redis) {
+    runInline(queue, job);
+    return job.id;
+  }
+
+  try {
+    const raw = JSON.stringify(job);
+    if (delayMs > 0) {
+      await redis.zadd(queue.keys.delayed, Date.now() + delayMs, raw);
+    } else {
+      await redis.lpush(queue.keys.waiting, raw);
+    }
+    return job.id;
+  } catch (error) {
+    logger.error('Enqueue failed, running job inline', { queue: name, jobId: job.id, error: error.message });
+    runInline(queue, job);
+    return job.id;
+  }
+}
+
+async function settleJob(queue, raw, job, error) {
+  const redis = getRedisClient();
+  const { keys, options } = queue;
+  const multi = redis.multi().zrem(keys.processing, raw);
+
+  if (!error) {
+    multi.hincrby(keys.stats, 'completed', 1);
+  } else {
+    const attempts = job.attempts + 1;
+    const updated = { ...job, attempts, lastError: error.message, failedAt: new Date().toISOString() };
+
+    if (error instanceof PermanentJobError || attempts >= options.maxAttempts) {
+      multi
+        .lpush(keys.dead, JSON.stringify(updated))
+        .ltrim(keys.dead, 0, DEAD_LETTER_LIMIT - 1)
+        .hincrby(keys.stats, 'dead', 1);
+      logger.error('Job dead-lettered', { queue: queue.name, jobId: job.id, attempts, error: error.message });
+    } else {
+      multi
+        .zadd(keys.delayed, Date.now() + retryDelay(queue, attempts), JSON.stringify(updated))
+        .hincrby(keys.stats, 'retried', 1);
+      logger.warn('Job failed, will retry', { queue: queue.name, jobId: job.id, attempts, error: error.message });
+    }
+  }
+
+  await multi.exec();
+}
+
+async function runJob(queue, raw) {
+  let job;
+  try {
+    job = JSON.parse(raw);
+  } catch (error) {
+    job = { id: null, data: null, attempts: queue.options.maxAttempts };
+    return settleJob(queue, raw, job, new PermanentJobError(`Unreadable job: ${error.message}`));
+  }
+
+  let failure = null;
+  try {
+    await queue.handler(job.data, job);
+  } catch (error) {
+    failure = error;
+  }
+  return settleJob(queue, raw, job, failure);
+}
+
+function schedule(queue, delayMs) {
+  if (!running) return;
+  clearTimeout(queue.timer);
+  queue.timer = setTimeout(() => pump(queue), delayMs);
+}
+
+async function pump(queue) {
+  const redis = getRedisClient();
+  const { keys, options } = queue;
+  try {
+    const now = Date.now();
+    await redis.eval(RELEASE_SCRIPT, 2, keys.delayed, keys.waiting, now, MOVE_BATCH_SIZE);
+    const recovered = await redis.eval(RELEASE_SCRIPT, 2, keys.processing, keys.waiting, now, MOVE_BATCH_SIZE);
+    if (recovered > 0) logger.warn('Recovered jobs with expired leases', { queue: queue.name, recovered });
+
+    while (running && queue.active < options.concurrency) {
+      const raw = await redis.eval(CLAIM_SCRIPT, 2, keys.waiting, keys.processing, Date.now() + options.leaseMs);
+      if (!raw) break;
+      queue.active += 1;
+      runJob(queue, raw)
+        .catch(error => logger.error('Job settle failed', { queue: queue.name, error: error.message }))
+        .finally(() => {
+          queue.active -= 1;
+          schedule(queue, 0);
+        });
+    }
+  } catch (error) {
+    logger.error('Job queue poll failed', { queue: queue.name, error: error.message });
+  }
+  schedule(queue, POLL_INTERVAL_MS);
+}
+
+/**
+ * Start polling every defined queue. No-op when Redis is disabled, since
+ * enqueue() then runs jobs inline.
+ */
+function startWorkers() {
+  if (running || !getRedisClient()) return false;
+  running = true;
+  for (const queue of queues.values()) schedule(queue, 0);
+  return true;
+}
+
+function stopWorkers() {
+  running = false;
+  for (const queue of queues.values()) clearTimeout(queue.timer);
+}
+
+/**
+ * Depth and counters for every defined queue.
+ */
+async function getQueueStats() {
+  const redis = requireRedis();
+  return Promise.all([...queues.values()].map(async (queue) => {
+    const { keys, options } = queue;
+    const [waiting, delayed, processing, dead, stats] = await Promise.all([
+      redis.llen(keys.waiting),
+      redis.zcard(keys.delayed),
+      redis.zcard(keys.processing),
+      redis.llen(keys.dead),
+      redis.hgetall(keys.stats)
+    ]);
+    return {
+      name: queue.name,
+      concurrency: options.concurrency,
+      maxAttempts: options.maxAttempts,
+      waiting,
+      delayed,
+      processing,
+      dead,
+      completed: parseInt(stats.completed || 0, 10),
+      retried: parseInt(stats.retried || 0, 10),
+      deadLettered: parseInt(stats.dead || 0, 10)
+    };
+  }));
+}
+
+/**
+ * Most recent dead-lettered jobs of a queue, newest first.
+ */
+async function listDeadJobs(name, limit = 50) {
+  const queue = getQueue(name);
+  const redis = requireRedis();
+  const raws = await redis.lrange(queue.keys.dead, 0, limit - 1);
+  return raws.map(raw => {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return { id: null, unreadable: raw };
+    }
+  });
+}
+
+/**
+ * Move a dead-lettered job back to waiting with a fresh attempt count.
+ */
+async function retryDeadJob(name, jobId) {
+  const queue = getQueue(name);
+  const redis = requireRedis();
+  const raws = await redis.lrange(queue.keys.dead, 0, -1);
+  const raw = raws.find(entry => {
+    try {
+      return JSON.parse(entry).id === jobId;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!raw) throw new JobQueueError('Dead job not found', 404, 'JOB_NOT_FOUND');
+
+  const job = { ...JSON.parse(raw), attempts: 0, retriedAt: new Date().toISOString() };
+  const removed = await redis.lrem(queue.keys.dead, 1, raw);
+  if (removed === 0) throw new JobQueueError('Dead job was already retried', 409, 'JOB_ALREADY_RETRIED');
+  await redis.lpush(queue.keys.waiting, JSON.stringify(job));
+  return job;
+}
+
+module.exports = {
+  PermanentJobError,
+  JobQueueError,
+  defineQueue,
+  enqueue,
+  startWorkers,
+  stopWorkers,
+  getQueueStats,
+  listDeadJobs,
+  retryDeadJob
+};
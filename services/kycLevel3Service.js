@@ -0,0 +1,461 @@
+// services/kycLevel3Service.js
+//
+// KYC level 3 (enhanced due diligence). A level 2 user uploads a proof of
+// address and declares their source of funds (routes/kycLevel3); a moderator
+// approves or rejects it (adminRoutes/kyc). Approval lasts LEVEL3_VALIDITY_DAYS
+// - users are reminded before it lapses and moved back to level 2 when it does
+// (runLevel3Expiry, scheduled in server.js).
+
+const { v2: cloudinary } = require('cloudinary');
+const User = require('../models/user');
+const KycLevel3Application = require('../models/kycLevel3Application');
+const { ADDRESS_DOCUMENT_TYPES, FUNDS_SOURCES } = require('../models/kycLevel3Application');
+const { queuePush, queueKycFollowUp } = require('./backgroundJobs');
+const { emitEvent } = require('./outboundWebhookService');
+const logger = require('../utils/logger');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEVEL3_VALIDITY_DAYS = parseInt(process.env.KYC_LEVEL3_VALIDITY_DAYS, 10) || 365;
+const RENEWAL_WINDOW_DAYS = 30; // an approved user may re-apply this close to expiry
+const REMINDER_DAYS = [30, 7, 1]; // one reminder as each of these is reached
+const PROOF_MAX_AGE_DAYS = 90; // proof of address must be recent
+const PROOF_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const EXPIRY_BATCH_SIZE = 500;
+
+class KycLevel3Error extends Error {
+  constructor(message, httpStatus = 400, code = 'KYC_LEVEL3_ERROR') {
+    super(message);
+    this.name = 'KycLevel3Error';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function reviewerOf(admin) {
+  return {
+    adminId: String(admin.id || admin._id),
+    adminEmail: admin.email || null,
+    adminName: admin.adminName || null
+  };
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Why a user cannot apply right now, or null if they can.
+ * @param {Object} user - User document
+ * @returns {{ code: string, message: string }|null}
+ */
+function applicationBlocker(user) {
+  if (!user.isIdentityDocumentVerified() || (user.kycLevel || 0) < 2) {
+    return { code: 'KYC_LEVEL2_REQUIRED', message: 'Complete KYC level 2 before applying for level 3' };
+  }
+  const level3 = user.kyc?.level3 || {};
+  if (level3.status === 'pending') {
+    return { code: 'LEVEL3_APPLICATION_PENDING', message: 'Your level 3 application is already under review' };
+  }
+  if (level3.status === 'approved' && level3.expiresAt &&
+      level3.expiresAt.getTime() - Date.now() > RENEWAL_WINDOW_DAYS * DAY_MS) {
+    return {
+      code: 'LEVEL3_ALREADY_ACTIVE',
+      message: `KYC level 3 is active until ${formatDate(level3.expiresAt)}. You can renew it from ${RENEWAL_WINDOW_DAYS} days before then.`
+    };
+  }
+  return null;
+}
+
+/**
+ * Level 3 state for the app's KYC screen
+ * @param {string} userId
+ */
+async function getLevel3Status(userId) {
+  const user = await User.findById(userId).select('kycLevel kycStatus kyc emailVerified');
+  if (!user) throw new KycLevel3Error('User not found', 404, 'USER_NOT_FOUND');
+
+  const latestApplication = await KycLevel3Application.findOne({ userId })
+    .sort({ createdAt: -1 })
+    .select('-proofOfAddress.publicId')
+    .lean();
+  const blocker = applicationBlocker(user);
+  const level3 = user.kyc?.level3 || {};
+
+  return {
+    kycLevel: user.kycLevel,
+    effectiveKycLevel: user.getEffectiveKycLevel(),
+    status: level3.status || 'not_submitted',
+    approvedAt: level3.approvedAt || null,
+    expiresAt: level3.expiresAt || null,
+    rejectionReason: level3.rejectionReason || null,
+    canApply: !blocker,
+    blocker,
+    latestApplication,
+    requirements: {
+      addressDocumentTypes: ADDRESS_DOCUMENT_TYPES,
+      proofMaxAgeDays: PROOF_MAX_AGE_DAYS,
+      proofMimeTypes: PROOF_MIME_TYPES,
+      fundsSources: FUNDS_SOURCES
+    },
+    limits: user.getKycLimits()
+  };
+}
+
+function validateApplication({ address = {}, proofOfAddress = {}, sourceOfFunds = {}, declarationAccepted }, file) {
+  const missing = [];
+  if (!address.line1) missing.push('address.line1');
+  if (!address.city) missing.push('address.city');
+  if (!address.state) missing.push('address.state');
+  if (!sourceOfFunds.description) missing.push('sourceOfFunds.description');
+  if (missing.length) {
+    throw new KycLevel3Error(`Missing required fields: ${missing.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (!ADDRESS_DOCUMENT_TYPES.includes(proofOfAddress.documentType)) {
+    throw new KycLevel3Error(`proofOfAddress.documentType must be one of ${ADDRESS_DOCUMENT_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const issuedAt = new Date(proofOfAddress.issuedAt);
+  if (isNaN(issuedAt.getTime()) || issuedAt > new Date()) {
+    throw new KycLevel3Error('proofOfAddress.issuedAt must be a valid date that is not in the future', 400, 'VALIDATION_ERROR');
+  }
+  if (Date.now() - issuedAt.getTime() > PROOF_MAX_AGE_DAYS * DAY_MS) {
+    throw new KycLevel3Error(`Proof of address must be issued within the last ${PROOF_MAX_AGE_DAYS} days`, 400, 'PROOF_TOO_OLD');
+  }
+
+  if (!FUNDS_SOURCES.includes(sourceOfFunds.primarySource)) {
+    throw new KycLevel3Error(`sourceOfFunds.primarySource must be one of ${FUNDS_SOURCES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const expectedMonthlyVolumeNgn = Number(sourceOfFunds.expectedMonthlyVolumeNgn);
+  if (!Number.isFinite(expectedMonthlyVolumeNgn) || expectedMonthlyVolumeNgn <= 0) {
+    throw new KycLevel3Error('sourceOfFunds.expectedMonthlyVolumeNgn must be a positive number', 400, 'VALIDATION_ERROR');
+  }
+
+  if (declarationAccepted !== true && declarationAccepted !== 'true') {
+    throw new KycLevel3Error('You must confirm the source-of-funds declaration', 400, 'DECLARATION_REQUIRED');
+  }
+
+  if (!file?.buffer) {
+    throw new KycLevel3Error('Proof of address file is required', 400, 'PROOF_REQUIRED');
+  }
+  if (!PROOF_MIME_TYPES.includes(file.mimetype)) {
+    throw new KycLevel3Error(`Proof of address must be one of ${PROOF_MIME_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  return { issuedAt, expectedMonthlyVolumeNgn };
+}
+
+// Identity documents are stored 'authenticated' - only signed URLs open them
+function uploadProof(file, userId) {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream({
+      folder: `kyc-level3/${userId}`,
+      resource_type: 'auto',
+      type: 'authenticated'
+    }, (err, result) => {
+      if (err) return reject(err);
+      resolve(result);
+    }).end(file.buffer);
+  });
+}
+
+/**
+ * Signed, short-lived link to an application's proof of address for reviewers
+ */
+function proofOfAddressUrl(application) {
+  const { publicId, resourceType } = application.proofOfAddress || {};
+  if (!publicId) return null;
+  return cloudinary.url(publicId, {
+    type: 'authenticated',
+    resource_type: resourceType || 'image',
+    sign_url: true,
+    secure: true,
+    expires_at: Math.floor(Date.now() / 1000) + 15 * 60
+  });
+}
+
+/**
+ * Submit a level 3 application
+ * @param {string} userId
+ * @param {Object} data - { address, proofOfAddress: { documentType, issuedAt }, sourceOfFunds, declarationAccepted }
+ * @param {Object} file - multer file ({ buffer, mimetype })
+ * @returns {Promise<Object>} The application
+ */
+async function submitApplication(userId, data, file) {
+  const user = await User.findById(userId);
+  if (!user) throw new KycLevel3Error('User not found', 404, 'USER_NOT_FOUND');
+
+  const blocker = applicationBlocker(user);
+  if (blocker) {
+    throw new KycLevel3Error(blocker.message, blocker.code === 'KYC_LEVEL2_REQUIRED' ? 403 : 409, blocker.code);
+  }
+
+  const { issuedAt, expectedMonthlyVolumeNgn } = validateApplication(data, file);
+  const { address, proofOfAddress, sourceOfFunds } = data;
+
+  const uploaded = await uploadProof(file, userId);
+  const renewal = ['approved', 'expired'].includes(user.kyc?.level3?.status);
+
+  let application;
+  try {
+    application = await KycLevel3Application.create({
+      userId,
+      renewal,
+      address: {
+        line1: address.line1,
+        line2: address.line2 || null,
+        city: address.city,
+        state: address.state,
+        postalCode: address.postalCode || null,
+        country: address.country || 'NG'
+      },
+      proofOfAddress: {
+        documentType: proofOfAddress.documentType,
+        issuedAt,
+        publicId: uploaded.public_id,
+        resourceType: uploaded.resource_type,
+        mimeType: file.mimetype
+      },
+      sourceOfFunds: {
+        primarySource: sourceOfFunds.primarySource,
+        description: sourceOfFunds.description,
+        occupation: sourceOfFunds.occupation || null,
+        employerOrBusiness: sourceOfFunds.employerOrBusiness || null,
+        expectedMonthlyVolumeNgn
+      },
+      declarationAcceptedAt: new Date()
+    });
+  } catch (error) {
+    cloudinary.uploader.destroy(uploaded.public_id, { type: 'authenticated', resource_type: uploaded.resource_type })
+      .catch(err => logger.warn('Failed to remove orphaned level 3 proof', { publicId: uploaded.public_id, error: err.message }));
+    if (error.code === 11000) {
+      throw new KycLevel3Error('Your level 3 application is already under review', 409, 'LEVEL3_APPLICATION_PENDING');
+    }
+    throw error;
+  }
+
+  // A renewal keeps the current approval running until it is decided
+  const userUpdate = {
+    'kyc.level3.applicationId': application._id,
+    'kyc.level3.submittedAt': application.createdAt
+  };
+  if (user.kyc?.level3?.status !== 'approved') {
+    userUpdate['kyc.level3.status'] = 'pending';
+    userUpdate['kyc.level3.rejectionReason'] = null;
+  }
+  await User.updateOne({ _id: userId }, { $set: userUpdate });
+
+  logger.info('KYC level 3 application submitted', {
+    userId: String(userId),
+    applicationId: String(application._id),
+    renewal,
+    primarySource: application.sourceOfFunds.primarySource
+  });
+
+  return application;
+}
+
+async function claimPending(applicationId, update) {
+  const application = await KycLevel3Application.findOneAndUpdate(
+    { _id: applicationId, status: 'PENDING' },
+    { $set: update },
+    { new: true }
+  );
+  if (application) return application;
+
+  const existing = await KycLevel3Application.findById(applicationId).select('status').lean();
+  if (!existing) throw new KycLevel3Error('Application not found', 404, 'APPLICATION_NOT_FOUND');
+  throw new KycLevel3Error(`Application is already ${existing.status}`, 409, 'APPLICATION_NOT_PENDING');
+}
+
+/**
+ * Approve an application and raise the user to level 3
+ * @param {string} applicationId
+ * @param {Object} admin - req.admin
+ * @param {string} [note] - internal
+ */
+async function approveApplication(applicationId, admin, note) {
+  const pending = await KycLevel3Application.findById(applicationId).select('userId status').lean();
+  if (!pending) throw new KycLevel3Error('Application not found', 404, 'APPLICATION_NOT_FOUND');
+
+  const user = await User.findById(pending.userId);
+  if (!user) throw new KycLevel3Error('User not found', 404, 'USER_NOT_FOUND');
+  if (pending.status === 'PENDING' && !user.isIdentityDocumentVerified()) {
+    throw new KycLevel3Error('User no longer has an approved level 2 identity document', 409, 'KYC_LEVEL2_REQUIRED');
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + LEVEL3_VALIDITY_DAYS * DAY_MS);
+  const application = await claimPending(applicationId, {
+    status: 'APPROVED',
+    reviewedBy: reviewerOf(admin),
+    reviewedAt: now,
+    reviewNote: note || null,
+    approvedUntil: expiresAt
+  });
+
+  const previousLevel = user.kycLevel || 0;
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      kycLevel: 3,
+      kycStatus: 'approved',
+      'kyc.level3.status': 'approved',
+      'kyc.level3.applicationId': application._id,
+      'kyc.level3.approvedAt': now,
+      'kyc.level3.expiresAt': expiresAt,
+      'kyc.level3.rejectionReason': null,
+      'kyc.level3.lastReminderAt': null
+    }
+  });
+
+  if (previousLevel < 3) {
+    emitEvent('kyc.upgraded', { userId: String(user._id), previousLevel, level: 3, source: 'level3_review' });
+  }
+  queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'APPROVED',
+    `Your account has been upgraded to KYC Level 3. Your enhanced verification is valid until ${formatDate(expiresAt)}.`);
+  queueKycFollowUp('sendKycCompletionNotification', String(user._id), 'APPROVED', 'Level 3');
+
+  logger.info('KYC level 3 application approved', {
+    applicationId: String(application._id),
+    userId: String(user._id),
+    adminId: application.reviewedBy.adminId,
+    expiresAt
+  });
+
+  return application;
+}
+
+/**
+ * Reject an application. A renewal leaves the running approval in place.
+ * @param {string} applicationId
+ * @param {Object} admin - req.admin
+ * @param {string} reason - shown to the user
+ * @param {string} [note] - internal
+ */
+async function rejectApplication(applicationId, admin, reason, note) {
+  if (!reason || !String(reason).trim()) {
+    throw new KycLevel3Error('A rejection reason is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const now = new Date();
+  const application = await claimPending(applicationId, {
+    status: 'REJECTED',
+    reviewedBy: reviewerOf(admin),
+    reviewedAt: now,
+    reviewNote: note || null,
+    rejectionReason: String(reason).trim()
+  });
+
+  const user = await User.findById(application.userId).select('email firstname kyc');
+  if (user && user.kyc?.level3?.status !== 'approved') {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'kyc.level3.status': 'rejected',
+        'kyc.level3.rejectedAt': now,
+        'kyc.level3.rejectionReason': application.rejectionReason
+      }
+    });
+  }
+  if (user) {
+    queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'REJECTED',
+      `Your KYC Level 3 application was not approved: ${application.rejectionReason}`);
+  }
+
+  logger.info('KYC level 3 application rejected', {
+    applicationId: String(application._id),
+    userId: String(application.userId),
+    adminId: application.reviewedBy.adminId
+  });
+
+  return application;
+}
+
+// The reminder window (days before expiry) a user is in, or null
+function reminderWindow(expiresAt, now) {
+  const daysLeft = (expiresAt.getTime() - now.getTime()) / DAY_MS;
+  const windows = REMINDER_DAYS.filter(days => daysLeft <= days);
+  return windows.length ? Math.min(...windows) : null;
+}
+
+/**
+ * Move lapsed level 3 users back to level 2 and remind those close to expiry.
+ * @returns {Promise<{ expired: number, reminded: number }>}
+ */
+async function runLevel3Expiry() {
+  const now = new Date();
+  let expired = 0;
+  let reminded = 0;
+
+  const lapsed = await User.find({ kycLevel: 3, 'kyc.level3.expiresAt': { $lte: now } })
+    .select('email firstname kyc.level3.expiresAt')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  for (const user of lapsed) {
+    const result = await User.updateOne(
+      { _id: user._id, kycLevel: 3, 'kyc.level3.expiresAt': { $lte: now } },
+      { $set: { kycLevel: 2, 'kyc.level3.status': 'expired' } }
+    );
+    if (!result.modifiedCount) continue;
+    expired++;
+
+    emitEvent('kyc.downgraded', { userId: String(user._id), previousLevel: 3, level: 2, reason: 'level3_expired' });
+    queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'EXPIRED',
+      'Your KYC Level 3 verification has expired and your limits are back to Level 2. Submit a new proof of address and source-of-funds declaration to restore them.');
+    queuePush('sendCustomNotification', String(user._id), 'KYC Level 3 expired',
+      'Your Level 3 limits have ended. Re-verify in the app to restore them.',
+      { type: 'KYC_LEVEL3_EXPIRED' });
+  }
+
+  const expiringSoon = await User.find({
+    kycLevel: 3,
+    'kyc.level3.status': 'approved',
+    'kyc.level3.expiresAt': { $gt: now, $lte: new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS) }
+  })
+    .select('email firstname kyc.level3.expiresAt kyc.level3.lastReminderAt')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  for (const user of expiringSoon) {
+    const { expiresAt, lastReminderAt } = user.kyc.level3;
+    const window = reminderWindow(expiresAt, now);
+    if (!window) continue;
+    const windowStart = new Date(expiresAt.getTime() - window * DAY_MS);
+    if (lastReminderAt && lastReminderAt >= windowStart) continue;
+
+    // Claim the reminder so another run does not send it twice
+    const result = await User.updateOne(
+      { _id: user._id, 'kyc.level3.lastReminderAt': lastReminderAt || null },
+      { $set: { 'kyc.level3.lastReminderAt': now } }
+    );
+    if (!result.modifiedCount) continue;
+    reminded++;
+
+    const message = `Your KYC Level 3 verification expires on ${formatDate(expiresAt)}. Submit a new proof of address and source-of-funds declaration to keep your Level 3 limits.`;
+    queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'REVERIFICATION_REQUIRED', message);
+    queuePush('sendCustomNotification', String(user._id), 'KYC Level 3 renewal due', message,
+      { type: 'KYC_LEVEL3_REVERIFICATION', expiresAt: expiresAt.toISOString() });
+  }
+
+  if (expired || reminded) {
+    logger.info('KYC level 3 expiry run', { expired, reminded });
+  }
+  return { expired, reminded };
+}
+
+module.exports = {
+  KycLevel3Error,
+  LEVEL3_VALIDITY_DAYS,
+  getLevel3Status,
+  submitApplication,
+  approveApplication,
+  rejectApplication,
+  proofOfAddressUrl,
+  runLevel3Expiry
+};
@@ -0,0 +1,106 @@
+// services/kycProviders/index.js
+//
+// KYC provider registry. Every vendor sits behind the same adapter shape so the
+// routes only deal with normalised results:
+//
+//   name, label
+//   supports(idType)                      -> boolean (frontend id types: nin, bvn, passport...)
+//   assertConfigured()                    -> throws when credentials are missing (optional)
+//   submit(request)                       -> Promise<Submission>
+//   poll({ partnerJobId, providerJobId, userId })
+//                                         -> Promise<KycResult|null> (null = still pending / not supported)
+//   verifyCallback({ rawBody, headers, payload })
+//                                         -> true | false | null (null = unsigned, cannot check)
+//   parseCallback(payload)                -> { partnerJobId, providerJobId, userId, eventId, eventType, result, details }
+//   mapResult(raw)                        -> KycResult
+//
+// Which adapter handles an id type comes from config.kyc.providers
+// (KYC_PROVIDER / KYC_PROVIDER_<IDTYPE>), so a vendor can be swapped per
+// document and the mock adapter can drive the whole flow offline.
+
+const config = require('../../routes/config');
+const youverify = require('./youverify');
+const smileId = require('./smileId');
+const mock = require('./mock');
+
+/**
+ * @typedef {Object} KycResult
+ * @property {'APPROVED'|'REJECTED'|'PROVISIONAL'|'PENDING'} status
+ * @property {string|null} reason - shown to admins; users get generic wording
+ * @property {string|null} resultCode
+ * @property {string|null} resultText
+ * @property {Object} person - firstName, middleName, lastName, fullName, dateOfBirth, gender, idNumber, address
+ * @property {Object} document - expiryDate, issueDate (YYYY-MM-DD or null; only documents that lapse have an expiry)
+ * @property {Object} imageLinks
+ * @property {Object} raw - provider payload, stored on the KYC record
+ */
+
+/**
+ * @typedef {Object} Submission
+ * @property {boolean} accepted - the provider took the job
+ * @property {string|null} providerJobId
+ * @property {KycResult|null} result - set when the provider decided synchronously
+ * @property {*} [error]
+ * @property {number} [httpStatus]
+ * @property {Object} [raw]
+ */
+
+const KYC_RESULT_STATUSES = ['APPROVED', 'REJECTED', 'PROVISIONAL', 'PENDING'];
+
+const adapters = new Map([youverify, smileId, mock].map(adapter => [adapter.name, adapter]));
+
+// Legacy per-vendor id columns on the KYC model, kept filled for existing readers
+const LEGACY_JOB_ID_FIELDS = {
+  youverify: 'youverifyId',
+  smileid: 'smileJobId'
+};
+
+class KycProviderError extends Error {
+  constructor(message, httpStatus = 400, code = 'KYC_PROVIDER_ERROR') {
+    super(message);
+    this.name = 'KycProviderError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function getProvider(name) {
+  const adapter = adapters.get(String(name || '').toLowerCase());
+  if (!adapter) throw new KycProviderError(`Unknown KYC provider "${name}"`, 500, 'KYC_PROVIDER_UNKNOWN');
+  if (adapter.name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new KycProviderError('The mock KYC provider cannot be used in production', 500, 'KYC_PROVIDER_MOCK_IN_PRODUCTION');
+  }
+  return adapter;
+}
+
+/**
+ * Adapter configured for a frontend id type.
+ * @param {string} idType - e.g. 'nin', 'bvn', 'passport'
+ */
+function getProviderForIdType(idType) {
+  const providers = config.kyc?.providers || {};
+  const key = String(idType || '').toLowerCase();
+  const adapter = getProvider(providers[key] || providers.default || 'youverify');
+  if (!adapter.supports(key)) {
+    throw new KycProviderError(`KYC provider "${adapter.name}" does not support ${idType}`, 500, 'KYC_PROVIDER_UNSUPPORTED');
+  }
+  return adapter;
+}
+
+/**
+ * KYC record fields holding the provider's job id.
+ */
+function providerJobFields(providerName, providerJobId) {
+  if (!providerJobId) return {};
+  const legacyField = LEGACY_JOB_ID_FIELDS[providerName];
+  return legacyField ? { providerJobId, [legacyField]: providerJobId } : { providerJobId };
+}
+
+module.exports = {
+  KYC_RESULT_STATUSES,
+  KycProviderError,
+  getProvider,
+  getProviderForIdType,
+  providerJobFields,
+  listProviders: () => [...adapters.keys()]
+};
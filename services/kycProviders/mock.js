@@ -0,0 +1,121 @@
+// services/kycProviders/mock.js
+//
+// Deterministic offline provider for tests and local development. The last
+// digit of the id number decides the outcome:
+//   0-6 -> APPROVED, 7-8 -> REJECTED, 9 -> PROVISIONAL
+// An id number ending in a letter (or anything else) is left PENDING until a
+// callback settles it. Refused in production (see ./index); the callback route
+// is only mounted with KYC_MOCK_ENABLED=true and a KYC_MOCK_CALLBACK_SECRET set.
+
+const crypto = require('crypto');
+const { normalizeDocumentDate } = require('../../utils/kycHelpers');
+
+const SUPPORTED_ID_TYPES = ['passport', 'national_id', 'drivers_license', 'bvn', 'nin', 'nin_slip', 'voter_id'];
+const CALLBACK_SECRET = process.env.KYC_MOCK_CALLBACK_SECRET || null;
+
+const jobs = new Map(); // providerJobId -> { request, result }
+
+function outcomeFor(idNumber) {
+  const last = String(idNumber || '').slice(-1);
+  if (/[0-6]/.test(last)) return { status: 'APPROVED', reason: null };
+  if (/[78]/.test(last)) return { status: 'REJECTED', reason: 'Mock: information mismatch' };
+  if (last === '9') return { status: 'PROVISIONAL', reason: 'Mock: manual review required' };
+  return { status: 'PENDING', reason: null };
+}
+
+function mapResult(raw = {}) {
+  const { status, reason } = raw.status ? { status: raw.status, reason: raw.reason || null } : outcomeFor(raw.idNumber);
+  const person = raw.person || {};
+  return {
+    status,
+    reason,
+    resultCode: `MOCK_${status}`,
+    resultText: reason || status.toLowerCase(),
+    person: {
+      firstName: person.firstName || null,
+      middleName: person.middleName || null,
+      lastName: person.lastName || null,
+      fullName: [person.firstName, person.middleName, person.lastName].filter(Boolean).join(' ') || null,
+      dateOfBirth: person.dateOfBirth || null,
+      gender: person.gender || null,
+      idNumber: raw.idNumber || null,
+      address: null
+    },
+    document: {
+      expiryDate: normalizeDocumentDate(raw.documentExpiryDate),
+      issueDate: normalizeDocumentDate(raw.documentIssueDate)
+    },
+    imageLinks: {},
+    raw
+  };
+}
+
+async function submit({ userId, partnerJobId, idType, idNumber, person = {} }) {
+  const providerJobId = `mock_${partnerJobId}`;
+  const result = mapResult({ idType, idNumber, person });
+  jobs.set(providerJobId, { request: { userId: String(userId), partnerJobId, idType, idNumber, person }, result });
+  return {
+    accepted: true,
+    providerJobId,
+    result: result.status === 'PENDING' ? null : result,
+    raw: { providerJobId, idType }
+  };
+}
+
+async function poll({ providerJobId }) {
+  const job = jobs.get(providerJobId);
+  if (!job || job.result.status === 'PENDING') return null;
+  return job.result;
+}
+
+// Callbacks are rejected outright until a secret is set
+function callbackConfigured() {
+  return !!CALLBACK_SECRET;
+}
+
+/**
+ * Sign a mock callback body the way verifyCallback expects (tests use this).
+ */
+function signCallback(rawBody) {
+  if (!CALLBACK_SECRET) throw new Error('KYC_MOCK_CALLBACK_SECRET is not set');
+  return crypto.createHmac('sha256', CALLBACK_SECRET).update(rawBody).digest('hex');
+}
+
+// Unlike real vendors, an unsigned mock callback is never accepted
+function verifyCallback({ rawBody, headers = {} }) {
+  const signature = headers['x-mock-kyc-signature'];
+  if (!signature || !CALLBACK_SECRET) return false;
+  const expected = signCallback(rawBody);
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Body: { partnerJobId, providerJobId?, userId, idNumber?, status?, reason?, documentExpiryDate? }
+ */
+function parseCallback(payload = {}) {
+  const providerJobId = payload.providerJobId || (payload.partnerJobId ? `mock_${payload.partnerJobId}` : null);
+  const result = mapResult(payload);
+  return {
+    partnerJobId: payload.partnerJobId || null,
+    providerJobId,
+    userId: payload.userId || null,
+    eventId: providerJobId ? `${providerJobId}:${result.status}` : null,
+    eventType: result.status,
+    result,
+    details: {}
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock KYC',
+  supports: idType => SUPPORTED_ID_TYPES.includes(idType),
+  submit,
+  poll,
+  callbackConfigured,
+  verifyCallback,
+  parseCallback,
+  mapResult,
+  signCallback
+};
@@ -0,0 +1,166 @@
+// services/kycProviders/smileId.js
+//
+// Smile ID adapter. Basic KYC (NIN) runs asynchronously: submit returns a job,
+// the result arrives on /nin/smile-callback or can be polled with job_status.
+// The HTTP client and credentials live in services/SmileIDService.
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { classifyOutcome, normalizeDocumentDate } = require('../../utils/kycHelpers');
+
+const SUPPORTED_ID_TYPES = ['nin', 'national_id', 'nin_slip'];
+
+// Basic KYC codes with a meaning of their own; everything else goes through
+// the shared classifier (utils/kycHelpers)
+const VERIFIED = '1012';
+const PARTIAL = '1013'; // manual review
+
+let service = null;
+
+// Created on first use - SmileIDAuth throws when credentials are missing
+function getService() {
+  if (!service) {
+    const SmileIDNINService = require('../SmileIDService');
+    service = new SmileIDNINService();
+  }
+  return service;
+}
+
+function pick(...values) {
+  return values.find(v => v !== undefined && v !== null && v !== '');
+}
+
+/**
+ * Classify a Smile callback or job_status result.
+ */
+function mapResult(payload = {}) {
+  const resultCode = pick(
+    payload.Result?.ResultCode, payload.result?.ResultCode, payload.ResultCode, payload.result_code, payload.code
+  );
+  const resultText = pick(
+    payload.Result?.ResultText, payload.result?.ResultText, payload.ResultText, payload.Decision, payload.decision, payload.message
+  );
+  const actions = pick(payload.Actions, payload.actions, payload.result?.Actions);
+  const code = resultCode !== undefined ? String(resultCode) : null;
+
+  let status;
+  if (code === VERIFIED) status = 'APPROVED';
+  else if (code === PARTIAL) status = 'PROVISIONAL';
+  else {
+    const success = pick(payload.Result?.Success, payload.result?.Success, payload.job_success);
+    status = classifyOutcome({
+      job_success: typeof success === 'boolean' ? success : undefined,
+      code,
+      text: resultText,
+      actions
+    });
+  }
+
+  return {
+    status,
+    reason: status === 'APPROVED' ? null : (resultText || null),
+    resultCode: code,
+    resultText: resultText || null,
+    person: {
+      firstName: payload.FullData?.FirstName || null,
+      middleName: payload.FullData?.MiddleName || null,
+      lastName: payload.FullData?.LastName || null,
+      fullName: payload.full_name || payload.FullName || null,
+      dateOfBirth: payload.DOB || payload.FullData?.DOB || null,
+      gender: payload.Gender || payload.FullData?.Gender || null,
+      idNumber: payload.id_number || payload.IDNumber || null,
+      address: payload.Address || payload.FullData?.Address || null
+    },
+    document: {
+      expiryDate: normalizeDocumentDate(pick(payload.ExpirationDate, payload.FullData?.ExpirationDate, payload.FullData?.ExpiryDate)),
+      issueDate: normalizeDocumentDate(pick(payload.IssuanceDate, payload.FullData?.IssuanceDate, payload.FullData?.IssueDate))
+    },
+    imageLinks: payload.ImageLinks || payload.image_links || {},
+    raw: payload
+  };
+}
+
+/**
+ * @param {Object} request
+ * @param {string} request.userId
+ * @param {string} request.partnerJobId - becomes Smile's partner_params.job_id
+ * @param {string} request.idNumber
+ * @param {Object} request.person - firstName, lastName, middleName?, dateOfBirth?, gender?, phoneNumber?
+ * @returns {Promise<Object>} Submission (see ./index)
+ */
+async function submit({ userId, partnerJobId, idNumber, person = {} }) {
+  try {
+    const submitted = await getService().verifyNIN({
+      userId: String(userId),
+      nin: idNumber,
+      firstName: person.firstName,
+      lastName: person.lastName,
+      middleName: person.middleName || '',
+      dateOfBirth: person.dateOfBirth,
+      gender: person.gender,
+      phoneNumber: person.phoneNumber,
+      jobId: partnerJobId
+    });
+    return { accepted: true, providerJobId: submitted.smileJobId || null, result: null, raw: submitted.raw };
+  } catch (error) {
+    return { accepted: false, providerJobId: null, result: null, error: error.message, httpStatus: 502 };
+  }
+}
+
+/**
+ * Ask Smile for a job's result. Null while the job is still running.
+ */
+async function poll({ partnerJobId, userId }) {
+  const smile = getService();
+  const { jobStatus } = smile.auth.getEndpoints();
+  const response = await axios.post(jobStatus, {
+    ...smile.auth.generateAuthData(),
+    user_id: String(userId),
+    job_id: partnerJobId,
+    image_links: false,
+    history: false
+  }, { timeout: 30000 });
+
+  const data = response.data || {};
+  if (!data.job_complete) return null;
+
+  logger.info('Smile ID job status', { userId, partnerJobId, code: data.result?.ResultCode });
+  return mapResult({ ...data.result, job_success: data.job_success });
+}
+
+/**
+ * Smile signs callbacks with a timestamp; unsigned callbacks cannot be checked.
+ */
+function verifyCallback({ payload = {} }) {
+  if (!payload.signature || !payload.timestamp) return null;
+  return getService().auth.verifyCallbackSignature(payload.signature, payload.timestamp);
+}
+
+function parseCallback(payload = {}) {
+  const partnerParams = payload.PartnerParams || payload.partner_params || {};
+  const smileJobId = pick(payload.SmileJobID, payload.smile_job_id, payload.job?.smile_job_id) || null;
+  const result = mapResult(payload);
+
+  return {
+    partnerJobId: partnerParams.job_id || null,
+    providerJobId: smileJobId,
+    userId: partnerParams.user_id || null,
+    eventId: smileJobId && result.resultCode ? `${smileJobId}:${result.resultCode}` : null,
+    eventType: result.resultCode,
+    result,
+    details: { jobType: partnerParams.job_type || null }
+  };
+}
+
+module.exports = {
+  name: 'smileid',
+  label: 'Smile ID',
+  supports: idType => SUPPORTED_ID_TYPES.includes(idType),
+  assertConfigured: () => { getService(); },
+  submit,
+  poll,
+  verifyCallback,
+  parseCallback,
+  mapResult,
+  getService
+};
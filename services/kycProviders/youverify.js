@@ -0,0 +1,309 @@
+// services/kycProviders/youverify.js
+//
+// Youverify adapter. Identity lookups with a selfie usually decide in the
+// submit response; anything else arrives on /kyc-webhook/callback.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../../routes/config');
+const logger = require('../../utils/logger');
+const { classifyOutcome, normalizeDocumentDate } = require('../../utils/kycHelpers');
+
+const YOUVERIFY_CONFIG = {
+  publicMerchantKey: process.env.YOUVERIFY_PUBLIC_MERCHANT_KEY || config.youverify?.publicMerchantKey,
+  secretKey: process.env.YOUVERIFY_SECRET_KEY || config.youverify?.secretKey,
+  webhookSigningKey: process.env.YOUVERIFY_WEBHOOK_SIGNING_KEY || config.youverify?.webhookSigningKey,
+  apiBaseUrl: process.env.YOUVERIFY_API_URL || config.youverify?.apiBaseUrl || 'https://api.youverify.co'
+};
+
+// Frontend id type -> Youverify identity endpoint
+const ENDPOINTS = {
+  nin: '/v2/api/identity/ng/nin',
+  national_id: '/v2/api/identity/ng/nin',
+  nin_slip: '/v2/api/identity/ng/nin',
+  bvn: '/v2/api/identity/ng/bvn',
+  passport: '/v2/api/identity/ng/passport',
+  drivers_license: '/v2/api/identity/ng/drivers-license'
+};
+
+const SUPPORTED_ID_TYPES = ['passport', 'national_id', 'drivers_license', 'bvn', 'nin', 'nin_slip', 'voter_id'];
+
+// Youverify document type (callbacks) -> frontend id type
+const ID_TYPE_MAPPING = {
+  'passport': 'passport',
+  'nin': 'national_id',
+  'drivers-license': 'drivers_license',
+  'drivers_license': 'drivers_license',
+  'bvn': 'bvn',
+  'pvc': 'voter_id'
+};
+
+// Sanitize provider strings to prevent injection attacks
+function sanitize(str) {
+  if (typeof str !== 'string') return str;
+  return str.replace(/[<>$]/g, '').trim().substring(0, 500); // Limit length
+}
+
+function validateConfig() {
+  if (!YOUVERIFY_CONFIG.publicMerchantKey) {
+    throw new Error('YOUVERIFY_PUBLIC_MERCHANT_KEY is not configured');
+  }
+}
+
+/**
+ * Normalise a Youverify identity object (submit response `data` or webhook `data`).
+ * @param {Object} data
+ * @param {string} status - KycResult status
+ * @param {string|null} reason
+ */
+function toResult(data, status, reason) {
+  const addressData = data.address || {};
+  const fullName = data.firstName && data.lastName
+    ? `${sanitize(data.firstName)} ${sanitize(data.middleName || '')} ${sanitize(data.lastName)}`.trim().replace(/\s+/g, ' ')
+    : null;
+
+  return {
+    status,
+    reason: reason || null,
+    resultCode: null, // Youverify does not send result codes
+    resultText: sanitize(data.status) || null,
+    person: {
+      firstName: sanitize(data.firstName) || null,
+      middleName: sanitize(data.middleName) || null,
+      lastName: sanitize(data.lastName) || null,
+      fullName,
+      dateOfBirth: sanitize(data.dateOfBirth) || null,
+      gender: sanitize(data.gender) || null,
+      idNumber: sanitize(data.idNumber) || null,
+      address: addressData.addressLine
+        ? `${sanitize(addressData.addressLine)}, ${sanitize(addressData.lga || '')}, ${sanitize(addressData.state || '')}`.trim()
+        : null
+    },
+    document: {
+      // Passport and driver's licence lookups carry these; NIN and BVN do not
+      expiryDate: normalizeDocumentDate(data.expiryDate || data.expirationDate || data.expiredDate),
+      issueDate: normalizeDocumentDate(data.issuedDate || data.issueDate || data.issuedAt)
+    },
+    imageLinks: {
+      document_image: data.image || data.fullDocumentFrontImage || null,
+      selfie_image: data.faceImage || null,
+      fullDocumentBackImage: data.fullDocumentBackImage || null,
+      signatureImage: data.signatureImage || null
+    },
+    raw: data
+  };
+}
+
+/**
+ * Classify a Youverify identity object (webhook `data`).
+ */
+function mapResult(data = {}) {
+  const reason = sanitize(data.reason || data.validations?.validationMessages?.[0]) || null;
+  const status = classifyOutcome({
+    status: sanitize(data.status),
+    allValidationPassed: data.allValidationPassed,
+    job_success: data.status === 'found' && data.allValidationPassed === true,
+    code: null, // Webhooks don't send result codes
+    text: reason
+  });
+  return toResult(data, status, reason);
+}
+
+/**
+ * Submit verification request to Youverify API
+ * @param {Object} request
+ * @param {string} request.idType - frontend id type
+ * @param {string} request.idNumber
+ * @param {string} [request.selfieImage]
+ * @param {string} request.userId
+ * @param {string} request.partnerJobId
+ * @returns {Promise<Object>} Submission (see ./index)
+ */
+async function submit({ idType, idNumber, selfieImage, userId, partnerJobId }) {
+  try {
+    validateConfig();
+
+    const endpointPath = ENDPOINTS[String(idType).toLowerCase()];
+    if (!endpointPath) {
+      throw new Error(`Unsupported ID type: ${idType}`);
+    }
+
+    const apiUrl = `${YOUVERIFY_CONFIG.apiBaseUrl}${endpointPath}`;
+
+    // Prepare request payload according to Youverify API spec v2
+    const payload = {
+      id: idNumber, // The ID number to verify
+      isSubjectConsent: true, // Required - must be true
+      metadata: {
+        user_id: userId.toString(),
+        partner_job_id: partnerJobId,
+        source: 'zeusodx-mobile-app'
+      }
+    };
+
+    // Selfie only - no name validation. If the person's face matches the
+    // government ID photo, they own that identity
+    if (selfieImage) {
+      // Youverify expects a data URI, not raw base64 (default to JPEG)
+      const imageUri = selfieImage.startsWith('data:image/') ? selfieImage : `data:image/jpeg;base64,${selfieImage}`;
+      payload.validations = { selfie: { image: imageUri } };
+    }
+
+    logger.info('Youverify API request', {
+      endpoint: apiUrl,
+      idType,
+      hasSelfie: !!payload.validations,
+      jobId: partnerJobId
+    });
+
+    // Youverify v2 API uses capitalized 'Token' header with API key (NOT public merchant key)
+    const response = await axios.post(apiUrl, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Token': YOUVERIFY_CONFIG.secretKey || YOUVERIFY_CONFIG.publicMerchantKey
+      },
+      timeout: 30000 // 30 second timeout
+    });
+
+    logger.info('Youverify response', {
+      status: response.status,
+      success: !!response.data?.id,
+      jobId: partnerJobId,
+      responseData: JSON.stringify(response.data) // Full response body
+    });
+
+    const youverifyId = response.data?.id || response.data?.data?.id;
+    if (!youverifyId) {
+      logger.warn('Youverify returned no ID', {
+        jobId: partnerJobId,
+        responseStatus: response.status,
+        responseBody: JSON.stringify(response.data),
+        message: response.data?.message || 'No message provided'
+      });
+    }
+
+    // According to Youverify docs, the structure is: response.data.data
+    const dataObj = response.data?.data || response.data || {};
+    const validationMessages = dataObj.validations?.validationMessages || '';
+
+    // An immediate decision only when Youverify ran the validations
+    let result = null;
+    if (dataObj.allValidationPassed !== undefined) {
+      result = toResult(
+        dataObj,
+        dataObj.allValidationPassed === true ? 'APPROVED' : 'REJECTED',
+        validationMessages || null
+      );
+    }
+
+    logger.info('Youverify verification result', {
+      jobId: partnerJobId,
+      youverifyId,
+      allValidationPassed: dataObj.allValidationPassed,
+      status: dataObj.status,
+      validationMessages,
+      selfieMatch: dataObj.validations?.selfie?.selfieVerification?.match
+    });
+
+    return {
+      accepted: !!youverifyId,
+      providerJobId: youverifyId || null,
+      result,
+      raw: response.data
+    };
+  } catch (error) {
+    logger.error('Youverify API error', {
+      message: error.message,
+      status: error.response?.status,
+      errorData: JSON.stringify(error.response?.data || {}),
+      jobId: partnerJobId,
+      idType
+    });
+
+    return {
+      accepted: false,
+      providerJobId: null,
+      result: null,
+      error: error.response?.data || error.message,
+      httpStatus: error.response?.status || 500
+    };
+  }
+}
+
+// Callbacks are rejected outright until a signing key is set
+function callbackConfigured() {
+  return !!YOUVERIFY_CONFIG.webhookSigningKey;
+}
+
+// Results come back in the submit response or on the webhook
+async function poll() {
+  return null;
+}
+
+/**
+ * Verify Youverify webhook signature (HMAC-SHA256 of the raw body)
+ */
+function verifyCallback({ rawBody, headers = {} }) {
+  const signature = headers['x-youverify-signature'];
+  const secretKey = YOUVERIFY_CONFIG.webhookSigningKey;
+  if (!signature || !secretKey) return false;
+  try {
+    const expectedSignature = crypto
+      .createHmac('sha256', secretKey)
+      .update(rawBody, 'utf8')
+      .digest('hex');
+
+    return crypto.timingSafeEqual(
+      Buffer.from(expectedSignature.toLowerCase(), 'hex'),
+      Buffer.from(String(signature).toLowerCase(), 'hex')
+    );
+  } catch (error) {
+    logger.error('Youverify signature verification error:', error);
+    return false;
+  }
+}
+
+/**
+ * @param {Object} webhookBody - { event, apiVersion, data }
+ * @returns {Object|null} null when the body carries no data
+ */
+function parseCallback(webhookBody) {
+  const { event, apiVersion, data } = webhookBody || {};
+  if (!data || typeof data !== 'object') return null;
+
+  const metadata = data.metadata || {};
+  const result = mapResult(data);
+  const idType = sanitize(data.type) || null;
+
+  return {
+    partnerJobId: sanitize(metadata.partner_job_id) || null,
+    providerJobId: sanitize(data._id) || null,
+    userId: sanitize(metadata.user_id) || null,
+    eventId: data._id ? `${data._id}:${event || data.status}` : null,
+    eventType: event || null,
+    result,
+    details: {
+      event: sanitize(event),
+      apiVersion: sanitize(apiVersion),
+      idType,
+      frontendIdType: ID_TYPE_MAPPING[idType] || idType?.toLowerCase() || null,
+      status: sanitize(data.status),
+      allValidationPassed: data.allValidationPassed,
+      jobSuccess: data.status === 'found' && data.allValidationPassed === true,
+      country: sanitize(data.country) || 'NG'
+    }
+  };
+}
+
+module.exports = {
+  name: 'youverify',
+  label: 'Youverify',
+  supports: idType => SUPPORTED_ID_TYPES.includes(idType),
+  assertConfigured: validateConfig,
+  submit,
+  poll,
+  callbackConfigured,
+  verifyCallback,
+  parseCallback,
+  mapResult
+};
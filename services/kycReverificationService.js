@@ -0,0 +1,205 @@
+// services/kycReverificationService.js
+//
+// Level 2 document expiry. Passports and driver's licences lapse: the expiry
+// date comes from the provider result (KycResult.document, services/kycProviders)
+// and is kept on the KYC record and on user.kyc.level2. Users are reminded as it
+// nears, may re-verify within REVERIFY_WINDOW_DAYS of it, and drop to level 1
+// limits when it passes (runDocumentExpiry, scheduled in server.js).
+
+const User = require('../models/user');
+const { queuePush, queueKycFollowUp } = require('./backgroundJobs');
+const { emitEvent } = require('./outboundWebhookService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REVERIFY_WINDOW_DAYS = 30; // a verified user may submit a new document this close to expiry
+const REMINDER_DAYS = [30, 7, 1]; // one reminder as each of these is reached
+const EXPIRY_BATCH_SIZE = 500;
+const REPORT_KINDS = ['document', 'level3'];
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * KYC record fields for a provider result's document dates.
+ * A document is valid through its expiry date, so it lapses at the end of it.
+ * @param {Object} result - KycResult
+ * @returns {{ documentExpiryDate: string|null, documentIssueDate: string|null, documentExpiresAt: Date|null }}
+ */
+function documentExpiryFields(result) {
+  const expiryDate = result?.document?.expiryDate || null;
+  return {
+    documentExpiryDate: expiryDate,
+    documentIssueDate: result?.document?.issueDate || null,
+    documentExpiresAt: expiryDate ? new Date(new Date(`${expiryDate}T00:00:00Z`).getTime() + DAY_MS) : null
+  };
+}
+
+/**
+ * User fields to $set when a document is approved. Clears the expiry for
+ * documents that do not lapse (NIN, voter's card), so a new NIN replaces an
+ * expiring passport.
+ * @param {Date|null} documentExpiresAt
+ */
+function level2ExpiryUpdate(documentExpiresAt) {
+  return {
+    'kyc.level2.documentExpiresAt': documentExpiresAt || null,
+    'kyc.level2.lastReminderAt': null,
+    'kyc.level2.expiredAt': null
+  };
+}
+
+/**
+ * Whether an approved KYC record is close enough to expiry (or past it) for
+ * the user to submit a new document.
+ * @param {Object} kycDoc - KYC record
+ */
+function canReverify(kycDoc, now = new Date()) {
+  const expiresAt = kycDoc?.documentExpiresAt;
+  return !!expiresAt && expiresAt.getTime() - now.getTime() <= REVERIFY_WINDOW_DAYS * DAY_MS;
+}
+
+function reminderWindow(expiresAt, now) {
+  const daysLeft = (expiresAt.getTime() - now.getTime()) / DAY_MS;
+  const windows = REMINDER_DAYS.filter(days => daysLeft <= days);
+  return windows.length ? Math.min(...windows) : null;
+}
+
+/**
+ * Mark lapsed documents expired (level 1 limits) and remind users whose
+ * document is close to expiry.
+ * @returns {Promise<{ expired: number, reminded: number }>}
+ */
+async function runDocumentExpiry() {
+  const now = new Date();
+  let expired = 0;
+  let reminded = 0;
+
+  const lapsed = await User.find({ 'kyc.level2.status': 'approved', 'kyc.level2.documentExpiresAt': { $lte: now } })
+    .select('email firstname kycLevel kyc.level2.documentType kyc.level3.status')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  for (const user of lapsed) {
+    const previousLevel = user.kycLevel || 0;
+    const update = { 'kyc.level2.status': 'expired', 'kyc.level2.expiredAt': now };
+    // Level 3 builds on a valid level 2 document
+    if (user.kyc?.level3?.status === 'approved') update['kyc.level3.status'] = 'expired';
+
+    const result = await User.updateOne(
+      { _id: user._id, 'kyc.level2.status': 'approved', 'kyc.level2.documentExpiresAt': { $lte: now } },
+      { $set: update, $min: { kycLevel: 1 } }
+    );
+    if (!result.modifiedCount) continue;
+    expired++;
+
+    if (previousLevel < 2) continue; // never had level 2 limits (email not verified)
+
+    emitEvent('kyc.downgraded', { userId: String(user._id), previousLevel, level: 1, reason: 'document_expired' });
+    queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'EXPIRED',
+      'Your verified ID document has expired and your limits are back to Level 1. Verify a valid ID document in the app to restore them.');
+    queuePush('sendCustomNotification', String(user._id), 'ID document expired',
+      'Your verified ID has expired and your limits have been reduced. Verify a valid ID in the app to restore them.',
+      { type: 'KYC_DOCUMENT_EXPIRED' });
+  }
+
+  const expiringSoon = await User.find({
+    kycLevel: { $gte: 2 },
+    'kyc.level2.status': 'approved',
+    'kyc.level2.documentExpiresAt': { $gt: now, $lte: new Date(now.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS) }
+  })
+    .select('email firstname kyc.level2.documentType kyc.level2.documentExpiresAt kyc.level2.lastReminderAt')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  for (const user of expiringSoon) {
+    const { documentExpiresAt, lastReminderAt } = user.kyc.level2;
+    const window = reminderWindow(documentExpiresAt, now);
+    if (!window) continue;
+    const windowStart = new Date(documentExpiresAt.getTime() - window * DAY_MS);
+    if (lastReminderAt && lastReminderAt >= windowStart) continue;
+
+    // Claim the reminder so another run does not send it twice
+    const result = await User.updateOne(
+      { _id: user._id, 'kyc.level2.lastReminderAt': lastReminderAt || null },
+      { $set: { 'kyc.level2.lastReminderAt': now } }
+    );
+    if (!result.modifiedCount) continue;
+    reminded++;
+
+    // documentExpiresAt is the end of the expiry date
+    const expiryDate = formatDate(new Date(documentExpiresAt.getTime() - DAY_MS));
+    const message = `Your verified ID document expires on ${expiryDate}. Verify a valid ID document in the app before then to keep your current limits.`;
+    queueKycFollowUp('sendKycEmail', user.email, user.firstname, 'REVERIFICATION_REQUIRED', message);
+    queuePush('sendCustomNotification', String(user._id), 'ID document expiring', message,
+      { type: 'KYC_DOCUMENT_REVERIFICATION', expiresAt: documentExpiresAt.toISOString() });
+  }
+
+  if (expired || reminded) {
+    logger.info('KYC document expiry run', { expired, reminded });
+  }
+  return { expired, reminded };
+}
+
+/**
+ * Verifications expiring within `days` for the admin report.
+ * @param {Object} options
+ * @param {'document'|'level3'} [options.kind] - level 2 ID documents or level 3 approvals
+ * @param {number} [options.days] - look-ahead
+ * @param {boolean} [options.includeExpired] - also list ones that have already lapsed
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ */
+async function getExpiringVerifications({ kind = 'document', days = REVERIFY_WINDOW_DAYS, includeExpired = false, page = 1, limit = 20 } = {}) {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * DAY_MS);
+  const prefix = kind === 'level3' ? 'kyc.level3' : 'kyc.level2';
+  const expiryField = kind === 'level3' ? 'kyc.level3.expiresAt' : 'kyc.level2.documentExpiresAt';
+
+  const filter = {
+    [`${prefix}.status`]: includeExpired ? { $in: ['approved', 'expired'] } : 'approved',
+    [expiryField]: includeExpired ? { $lte: horizon } : { $gt: now, $lte: horizon }
+  };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ [expiryField]: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(`firstname lastname email phonenumber kycLevel ${prefix}`)
+      .lean(),
+    User.countDocuments(filter)
+  ]);
+
+  const verifications = users.map(user => {
+    const level = kind === 'level3' ? user.kyc.level3 : user.kyc.level2;
+    const expiresAt = kind === 'level3' ? level.expiresAt : level.documentExpiresAt;
+    return {
+      userId: user._id,
+      name: [user.firstname, user.lastname].filter(Boolean).join(' ') || null,
+      email: user.email,
+      phonenumber: user.phonenumber,
+      kycLevel: user.kycLevel,
+      kind,
+      status: level.status,
+      documentType: kind === 'document' ? level.documentType : null,
+      expiresAt,
+      daysLeft: Math.ceil((expiresAt.getTime() - now.getTime()) / DAY_MS),
+      lastReminderAt: level.lastReminderAt || null
+    };
+  });
+
+  return { verifications, total };
+}
+
+module.exports = {
+  REVERIFY_WINDOW_DAYS,
+  REPORT_KINDS,
+  documentExpiryFields,
+  level2ExpiryUpdate,
+  canReverify,
+  runDocumentExpiry,
+  getExpiringVerifications
+};
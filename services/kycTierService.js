@@ -0,0 +1,356 @@
+// services/kycTierService.js
+//
+// KYC tier limits (models/kycTierConfig) and per-user compliance overrides
+// (models/kycLimitOverride). Tiers are held in memory and reloaded at most
+// REFRESH_MS after an admin edits them on another instance - straight away on
+// the instance that made the edit. Built-in tiers are seeded on first load and
+// keep serving until the collection has been read.
+
+const KycTierConfig = require('../models/kycTierConfig');
+const KycLimitOverride = require('../models/kycLimitOverride');
+const { TIER_LEVELS, LIMIT_CATEGORIES, CAP_FIELDS } = require('../models/kycTierConfig');
+const logger = require('../utils/logger');
+
+const REFRESH_MS = 30 * 1000;
+
+// Naira caps; crypto uses ~₦1,500/$ ($2M at tier 2, $5M at tier 3)
+const BUILTIN_TIERS = [
+  {
+    tier: 0,
+    description: 'No verification - No transactions allowed',
+    limits: {
+      ngnz: { daily: 0, monthly: 0 },
+      crypto: { daily: 0, monthly: 0 },
+      utilities: { daily: 0, monthly: 0 }
+    }
+  },
+  {
+    tier: 1,
+    description: 'Phone verification (automatic on signup)',
+    limits: {
+      ngnz: { daily: 0, monthly: 0 },
+      crypto: { daily: 0, monthly: 0 },
+      utilities: { daily: 50000, monthly: 200000 }
+    }
+  },
+  {
+    tier: 2,
+    description: 'Email verification + Document verification',
+    limits: {
+      ngnz: { daily: 25000000, monthly: 200000000 },
+      crypto: { daily: 3000000000, monthly: 3000000000 },
+      utilities: { daily: 500000, monthly: 2000000 }
+    }
+  },
+  {
+    tier: 3,
+    description: 'Proof of address + Source of funds (enhanced due diligence)',
+    limits: {
+      ngnz: { daily: 100000000, monthly: 1000000000 },
+      crypto: { daily: 7500000000, monthly: 7500000000 },
+      utilities: { daily: 2000000, monthly: 10000000 }
+    }
+  }
+];
+
+class KycTierError extends Error {
+  constructor(message, httpStatus = 400, code = 'KYC_TIER_ERROR') {
+    super(message);
+    this.name = 'KycTierError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// Every category and cap present, missing caps as null
+function normalizeTier(config) {
+  const limits = {};
+  for (const category of LIMIT_CATEGORIES) {
+    limits[category] = {};
+    for (const field of CAP_FIELDS) {
+      const value = config.limits?.[category]?.[field];
+      limits[category][field] = value === undefined ? null : value;
+    }
+  }
+  return { tier: config.tier, description: config.description || null, limits };
+}
+
+const builtinByTier = new Map(BUILTIN_TIERS.map(config => [config.tier, normalizeTier(config)]));
+let byTier = new Map();
+let lastLoadedAt = null;
+let loading = null;
+
+function editorOf(admin) {
+  return {
+    adminId: String(admin.id || admin._id),
+    adminEmail: admin.email || null,
+    adminName: admin.adminName || null
+  };
+}
+
+async function seedBuiltinTiers() {
+  const ops = BUILTIN_TIERS.map(config => ({
+    updateOne: {
+      filter: { tier: config.tier },
+      update: { $setOnInsert: normalizeTier(config) },
+      upsert: true
+    }
+  }));
+  const result = await KycTierConfig.bulkWrite(ops, { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Reload tiers from the KycTierConfig collection
+ * @returns {Promise<number>} Number of tiers loaded
+ */
+async function refreshTierConfigs() {
+  try {
+    const seeded = await seedBuiltinTiers();
+    if (seeded > 0) logger.info(`Seeded ${seeded} built-in KYC tiers`);
+
+    const configs = await KycTierConfig.find({}).lean();
+    byTier = new Map(configs.map(config => [config.tier, normalizeTier(config)]));
+    lastLoadedAt = new Date();
+    return configs.length;
+  } catch (error) {
+    // Keep serving the previous snapshot; the next check will retry
+    logger.error('Failed to refresh KYC tier limits', { error: error.message });
+    lastLoadedAt = new Date();
+    return byTier.size;
+  }
+}
+
+async function ensureFresh() {
+  if (lastLoadedAt && Date.now() - lastLoadedAt.getTime() < REFRESH_MS) return;
+  if (!loading) loading = refreshTierConfigs().finally(() => { loading = null; });
+  await loading;
+}
+
+/**
+ * Tier limits from the last loaded snapshot (sync; built-in until first load)
+ * @param {number} level
+ * @returns {{ tier: number, description: string|null, limits: Object }}
+ */
+function getTierLimits(level) {
+  return byTier.get(level) || builtinByTier.get(level) || builtinByTier.get(0);
+}
+
+function getLastLoadedAt() {
+  return lastLoadedAt;
+}
+
+async function getActiveOverride(userId) {
+  return KycLimitOverride.findOne({
+    userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).lean();
+}
+
+function effectiveLevel(user) {
+  if (typeof user?.getEffectiveKycLevel === 'function') return user.getEffectiveKycLevel();
+  return user?.kycLevel || 0;
+}
+
+function applyOverride(tierCaps, overrideCaps) {
+  const caps = { ...tierCaps };
+  let overridden = false;
+  for (const field of CAP_FIELDS) {
+    const value = overrideCaps?.[field];
+    if (value !== null && value !== undefined) {
+      caps[field] = value;
+      overridden = true;
+    }
+  }
+  return { caps, overridden };
+}
+
+/**
+ * A user's caps for one category: their tier, with any active override applied
+ * @param {Object} user - User document (or { _id, kycLevel })
+ * @param {'ngnz'|'crypto'|'utilities'} category
+ * @returns {Promise<Object>} { perTransaction, daily, weekly, monthly, tier, overridden }
+ */
+async function resolveUserLimits(user, category) {
+  await ensureFresh();
+  const level = effectiveLevel(user);
+  const override = await getActiveOverride(user._id);
+  const { caps, overridden } = applyOverride(getTierLimits(level).limits[category], override?.limits?.[category]);
+  return { ...caps, tier: level, overridden };
+}
+
+/**
+ * Every category at once, for the app's limits screen
+ * @param {Object} user
+ */
+async function resolveAllLimits(user) {
+  await ensureFresh();
+  const level = effectiveLevel(user);
+  const tier = getTierLimits(level);
+  const override = await getActiveOverride(user._id);
+
+  const result = { tier: level, description: tier.description, currency: 'NGN', overridden: false, overrideExpiresAt: null };
+  for (const category of LIMIT_CATEGORIES) {
+    const { caps, overridden } = applyOverride(tier.limits[category], override?.limits?.[category]);
+    result[category] = caps;
+    result.overridden = result.overridden || overridden;
+  }
+  if (result.overridden) result.overrideExpiresAt = override.expiresAt || null;
+  // Older app builds read NGNZ limits as `ngnb`
+  result.ngnb = result.ngnz;
+  return result;
+}
+
+/**
+ * Validate a { category: { cap: number|null } } object
+ * @returns {string[]} errors
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return ['limits must be an object keyed by category'];
+  }
+  const errors = [];
+  for (const [category, caps] of Object.entries(limits)) {
+    if (!LIMIT_CATEGORIES.includes(category)) {
+      errors.push(`Unknown category "${category}" (expected ${LIMIT_CATEGORIES.join(', ')})`);
+      continue;
+    }
+    if (!caps || typeof caps !== 'object' || Array.isArray(caps)) {
+      errors.push(`limits.${category} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(caps)) {
+      if (!CAP_FIELDS.includes(field)) {
+        errors.push(`Unknown cap "${category}.${field}" (expected ${CAP_FIELDS.join(', ')})`);
+      } else if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        errors.push(`limits.${category}.${field} must be a non-negative number or null`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Dotted $set paths so a partial update leaves other caps alone
+function capUpdates(limits) {
+  const update = {};
+  for (const [category, caps] of Object.entries(limits || {})) {
+    for (const [field, value] of Object.entries(caps)) {
+      update[`limits.${category}.${field}`] = value;
+    }
+  }
+  return update;
+}
+
+function parseTier(tier) {
+  const level = Number(tier);
+  if (!TIER_LEVELS.includes(level)) {
+    throw new KycTierError(`tier must be one of ${TIER_LEVELS.join(', ')}`, 400, 'INVALID_TIER');
+  }
+  return level;
+}
+
+/**
+ * @param {number|string} tier
+ * @param {Object} changes - { description?, limits? } - only the caps given change
+ * @param {Object} admin - req.admin
+ * @returns {Promise<{ before: Object, after: Object }>}
+ */
+async function updateTier(tier, { description, limits } = {}, admin) {
+  const level = parseTier(tier);
+  const errors = limits !== undefined ? validateLimits(limits) : [];
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (errors.length) throw new KycTierError(errors.join('; '), 400, 'VALIDATION_ERROR');
+
+  const update = { ...capUpdates(limits), updatedBy: editorOf(admin) };
+  if (description !== undefined) update.description = description;
+
+  await ensureFresh();
+  const before = getTierLimits(level);
+  const saved = await KycTierConfig.findOneAndUpdate(
+    { tier: level },
+    { $set: update, $setOnInsert: { tier: level } },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+  await refreshTierConfigs();
+
+  logger.info('KYC tier limits updated', { tier: level, adminId: update.updatedBy.adminId });
+  return { before, after: normalizeTier(saved) };
+}
+
+/**
+ * Put a tier back to its built-in limits
+ */
+async function resetTier(tier, admin) {
+  const level = parseTier(tier);
+  const builtin = builtinByTier.get(level);
+
+  await ensureFresh();
+  const before = getTierLimits(level);
+  const saved = await KycTierConfig.findOneAndUpdate(
+    { tier: level },
+    { $set: { description: builtin.description, limits: builtin.limits, updatedBy: editorOf(admin) } },
+    { new: true, upsert: true }
+  ).lean();
+  await refreshTierConfigs();
+
+  logger.info('KYC tier limits reset to built-in', { tier: level, adminId: String(admin.id || admin._id) });
+  return { before, after: normalizeTier(saved) };
+}
+
+/**
+ * Create or replace a user's limit override
+ * @param {string} userId
+ * @param {Object} data - { limits, reason, expiresAt? }
+ * @param {Object} admin - req.admin
+ */
+async function upsertLimitOverride(userId, { limits, reason, expiresAt = null } = {}, admin) {
+  const errors = validateLimits(limits);
+  if (!errors.length && !Object.values(limits).some(caps => Object.values(caps).some(value => value !== null))) {
+    errors.push('limits must set at least one cap');
+  }
+  if (!reason || !String(reason).trim()) errors.push('reason is required');
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) errors.push('expiresAt must be a future date');
+  }
+  if (errors.length) throw new KycTierError(errors.join('; '), 400, 'VALIDATION_ERROR');
+
+  // Replace the whole override so caps left out go back to the tier
+  const normalized = normalizeTier({ limits }).limits;
+  const editor = editorOf(admin);
+  const override = await KycLimitOverride.findOneAndUpdate(
+    { userId },
+    {
+      $set: { limits: normalized, reason: String(reason).trim(), expiresAt: expiry, updatedBy: editor },
+      $setOnInsert: { userId, createdBy: editor }
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+
+  logger.info('KYC limit override saved', { userId: String(userId), adminId: editor.adminId, expiresAt: expiry });
+  return override;
+}
+
+async function removeLimitOverride(userId) {
+  const removed = await KycLimitOverride.findOneAndDelete({ userId }).lean();
+  if (!removed) throw new KycTierError('No limit override for this user', 404, 'OVERRIDE_NOT_FOUND');
+  return removed;
+}
+
+module.exports = {
+  KycTierError,
+  BUILTIN_TIERS,
+  refreshTierConfigs,
+  getTierLimits,
+  getLastLoadedAt,
+  getActiveOverride,
+  resolveUserLimits,
+  resolveAllLimits,
+  updateTier,
+  resetTier,
+  upsertLimitOverride,
+  removeLimitOverride
+};
@@ -3,6 +3,7 @@ const Transaction = require('../models/transaction');
 const BillTransaction = require('../models/billstransaction');
 const { offrampService } = require('./offramppriceservice');
 const { getPricesWithCache } = require('./portfolio'); 
+const { resolveUserLimits } = require('./kycTierService');
 const logger = require('../utils/logger');
 
 class KYCLimitService {
@@ -15,68 +16,32 @@ class KYCLimitService {
   }
 
   /**
-   * Get KYC limits for a user with fallback logic
+   * Get KYC limits for a user: their tier caps (models/kycTierConfig) with any
+   * active per-user override applied. A null cap means no cap.
    */
-  getUserKycLimits(user, transactionType = 'WITHDRAWAL') {
-    try {
-      if (user && typeof user.getKycLimits === 'function') {
-        const limits = user.getKycLimits();
-        
-        if (limits && typeof limits === 'object') {
-          if (['AIRTIME', 'BILL_PAYMENT', 'UTILITY'].includes(transactionType) && limits.utilities) {
-            return limits.utilities;
-          }
-          
-          if (['WITHDRAWAL', 'SWAP', 'CRYPTO', 'INTERNAL_TRANSFER'].includes(transactionType) && limits.crypto) {
-            // Internally override the model's $2M value to 3B Naira for consistent math
-            return { daily: 3000000000, monthly: 3000000000 };
-          }
-          
-          if (['NGNZ', 'NGNZ_TRANSFER'].includes(transactionType) && limits.ngnz) {
-            return limits.ngnz;
-          }
-        }
-      }
-
-      const kycLevel = user?.kycLevel || 0;
-      return this.getDefaultLimitsForTransaction(kycLevel, transactionType);
-      
-    } catch (error) {
-      logger.error('Error getting KYC limits, using defaults:', error);
-      return this.getDefaultLimitsForTransaction(0, transactionType); 
-    }
+  async getUserKycLimits(user, transactionType = 'WITHDRAWAL') {
+    const category = this.getSpendingCategory(transactionType);
+    return resolveUserLimits(user, category === 'utility' ? 'utilities' : category);
   }
 
   /**
-   * Get default limits - Crypto normalized to Naira (3 Billion)
+   * KYC level used for limits - an expired level 3 counts as level 2
    */
-  getDefaultLimitsForTransaction(kycLevel, transactionType) {
-    const defaultLimitsByType = {
-      0: {
-        ngnz: { daily: 0, monthly: 0 },
-        crypto: { daily: 0, monthly: 0 },
-        utilities: { daily: 0, monthly: 0 }
-      },
-      1: {
-        ngnz: { daily: 0, monthly: 0 },
-        crypto: { daily: 0, monthly: 0 },
-        utilities: { daily: 50000, monthly: 200000 }
-      },
-      2: {
-        ngnz: { daily: 25000000, monthly: 200000000 },
-        // $2,000,000 USD normalized to Naira
-        crypto: { daily: 3000000000, monthly: 3000000000 }, 
-        utilities: { daily: 500000, monthly: 2000000 }
-      }
-    };
+  getEffectiveKycLevel(user) {
+    if (user && typeof user.getEffectiveKycLevel === 'function') return user.getEffectiveKycLevel();
+    return user?.kycLevel || 0;
+  }
 
-    const limitsForLevel = defaultLimitsByType[kycLevel] || defaultLimitsByType[0];
-    
-    if (['AIRTIME', 'BILL_PAYMENT', 'UTILITY'].includes(transactionType)) return limitsForLevel.utilities;
-    if (['WITHDRAWAL', 'SWAP', 'CRYPTO', 'INTERNAL_TRANSFER'].includes(transactionType)) return limitsForLevel.crypto;
-    if (['NGNZ', 'NGNZ_TRANSFER'].includes(transactionType)) return limitsForLevel.ngnz;
-    
-    return limitsForLevel.utilities;
+  exceeded(userId, period, limit, used, amountInNaira, userKycLevel, currency) {
+    const availableAmount = Math.max(0, limit - used);
+    logger.warn(`[KYC] ${period} limit exceeded for ${userId}. Available: ₦${availableAmount}`);
+    return this.createErrorResponse('LIMIT_EXCEEDED', `${period} limit exceeded`, {
+      kycLevel: userKycLevel,
+      requestedAmount: amountInNaira,
+      currentLimit: limit,
+      availableAmount,
+      currency
+    });
   }
 
   /**
@@ -95,8 +60,8 @@ class KYCLimitService {
       const user = await this.getUser(userId);
       if (!user) return this.createErrorResponse('USER_NOT_FOUND', 'User not found');
 
-      const kycLimits = this.getUserKycLimits(user, transactionType);
-      const userKycLevel = user.kycLevel || 0;
+      const kycLimits = await this.getUserKycLimits(user, transactionType);
+      const userKycLevel = this.getEffectiveKycLevel(user);
 
       // Logic Mapping: NGNZ vs Crypto
       let amountInNaira;
@@ -108,49 +73,46 @@ class KYCLimitService {
         amountInNaira = await this.convertToNaira(amount, upperCurrency);
       }
 
-      if (userKycLevel === 0) {
+      if (userKycLevel === 0 && !kycLimits.overridden) {
         return this.createErrorResponse('KYC_REQUIRED', 'KYC Level 1 required');
       }
 
+      // Per-transaction cap needs no spending lookup
+      if (kycLimits.perTransaction != null && amountInNaira > kycLimits.perTransaction) {
+        logger.warn(`[KYC] Per-transaction limit exceeded for ${userId}. Limit: ₦${kycLimits.perTransaction}`);
+        return this.createErrorResponse('LIMIT_EXCEEDED', 'Per-transaction limit exceeded', {
+          kycLevel: userKycLevel,
+          requestedAmount: amountInNaira,
+          currentLimit: kycLimits.perTransaction,
+          availableAmount: kycLimits.perTransaction,
+          currency
+        });
+      }
+
       // Get spending filtered by transaction type category
       const currentSpending = await this.getCurrentSpending(userId, transactionType);
       const newDailyTotal = currentSpending.daily + amountInNaira;
+      const newWeeklyTotal = currentSpending.weekly + amountInNaira;
       const newMonthlyTotal = currentSpending.monthly + amountInNaira;
 
-      logger.info(`[KYC] Spending check for ${userId}: daily=${currentSpending.daily}, monthly=${currentSpending.monthly}, requested=${amountInNaira}, dailyLimit=${kycLimits.daily}, monthlyLimit=${kycLimits.monthly}, type=${transactionType}`);
+      logger.info(`[KYC] Spending check for ${userId}: daily=${currentSpending.daily}, weekly=${currentSpending.weekly}, monthly=${currentSpending.monthly}, requested=${amountInNaira}, dailyLimit=${kycLimits.daily}, weeklyLimit=${kycLimits.weekly}, monthlyLimit=${kycLimits.monthly}, overridden=${kycLimits.overridden}, type=${transactionType}`);
 
-      // Daily limit validation
-      if (newDailyTotal > kycLimits.daily) {
-        const availableAmount = Math.max(0, kycLimits.daily - currentSpending.daily);
-        logger.warn(`[KYC] Daily limit exceeded for ${userId}. Available: ₦${availableAmount}`);
+      if (kycLimits.daily != null && newDailyTotal > kycLimits.daily) {
+        return this.exceeded(userId, 'Daily', kycLimits.daily, currentSpending.daily, amountInNaira, userKycLevel, currency);
+      }
 
-        return this.createErrorResponse('LIMIT_EXCEEDED', `Daily limit exceeded`, {
-          kycLevel: userKycLevel,
-          requestedAmount: amountInNaira,
-          currentLimit: kycLimits.daily,
-          availableAmount,
-          currency
-        });
+      if (kycLimits.weekly != null && newWeeklyTotal > kycLimits.weekly) {
+        return this.exceeded(userId, 'Weekly', kycLimits.weekly, currentSpending.weekly, amountInNaira, userKycLevel, currency);
       }
 
-      // Monthly limit validation
       if (kycLimits.monthly != null && newMonthlyTotal > kycLimits.monthly) {
-        const availableMonthly = Math.max(0, kycLimits.monthly - currentSpending.monthly);
-        logger.warn(`[KYC] Monthly limit exceeded for ${userId}. Available: ₦${availableMonthly}`);
-
-        return this.createErrorResponse('LIMIT_EXCEEDED', `Monthly limit exceeded`, {
-          kycLevel: userKycLevel,
-          requestedAmount: amountInNaira,
-          currentLimit: kycLimits.monthly,
-          availableAmount: availableMonthly,
-          currency
-        });
+        return this.exceeded(userId, 'Monthly', kycLimits.monthly, currentSpending.monthly, amountInNaira, userKycLevel, currency);
       }
 
       return this.createSuccessResponse('TRANSACTION_ALLOWED', 'Success', {
         kycLevel: userKycLevel,
         newDailyTotal,
-        dailyRemaining: kycLimits.daily - newDailyTotal,
+        dailyRemaining: kycLimits.daily != null ? kycLimits.daily - newDailyTotal : null,
         amountInNaira
       });
 
@@ -283,38 +245,47 @@ class KYCLimitService {
     const now = new Date();
     const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    // Weeks start on Monday and may reach back into last month
+    const startOfWeek = new Date(startOfDay);
+    startOfWeek.setDate(startOfDay.getDate() - ((startOfDay.getDay() + 6) % 7));
+    const since = startOfWeek < startOfMonth ? startOfWeek : startOfMonth;
 
     let dailyTotal = 0;
+    let weeklyTotal = 0;
     let monthlyTotal = 0;
 
     if (isUtilityTransaction) {
       // For utility transactions, only count bill transactions (airtime, data, electricity, etc.)
-      const billTransactions = await this.getSuccessfulBillTransactions(userId, startOfMonth);
+      const billTransactions = await this.getSuccessfulBillTransactions(userId, since);
       dailyTotal = this.sumBillTransactionsByDate(billTransactions, startOfDay);
+      weeklyTotal = this.sumBillTransactionsByDate(billTransactions, startOfWeek);
       monthlyTotal = this.sumBillTransactionsByDate(billTransactions, startOfMonth);
 
-      logger.info(`[KYC] Utility spending for ${userId}: daily=${dailyTotal}, monthly=${monthlyTotal}, billCount=${billTransactions.length}`);
+      logger.info(`[KYC] Utility spending for ${userId}: daily=${dailyTotal}, weekly=${weeklyTotal}, monthly=${monthlyTotal}, billCount=${billTransactions.length}`);
     } else if (isCryptoTransaction) {
       // For crypto transactions, count withdrawal or internal transfer transactions based on transactionType
-      const regularTransactions = await this.getSuccessfulTransactions(userId, startOfMonth, transactionType);
+      const regularTransactions = await this.getSuccessfulTransactions(userId, since, transactionType);
       dailyTotal = await this.sumTransactionsByDate(regularTransactions, startOfDay);
+      weeklyTotal = await this.sumTransactionsByDate(regularTransactions, startOfWeek);
       monthlyTotal = await this.sumTransactionsByDate(regularTransactions, startOfMonth);
 
-      logger.info(`[KYC] Crypto spending for ${userId}: daily=${dailyTotal}, monthly=${monthlyTotal}, txCount=${regularTransactions.length}, type=${transactionType}`);
+      logger.info(`[KYC] Crypto spending for ${userId}: daily=${dailyTotal}, weekly=${weeklyTotal}, monthly=${monthlyTotal}, txCount=${regularTransactions.length}, type=${transactionType}`);
     } else {
       // For NGNZ/other transactions, count both (original behavior as fallback)
       const [regularTransactions, billTransactions] = await Promise.all([
-        this.getSuccessfulTransactions(userId, startOfMonth, transactionType),
-        this.getSuccessfulBillTransactions(userId, startOfMonth)
+        this.getSuccessfulTransactions(userId, since, transactionType),
+        this.getSuccessfulBillTransactions(userId, since)
       ]);
 
       dailyTotal = (await this.sumTransactionsByDate(regularTransactions, startOfDay)) +
                    this.sumBillTransactionsByDate(billTransactions, startOfDay);
+      weeklyTotal = (await this.sumTransactionsByDate(regularTransactions, startOfWeek)) +
+                    this.sumBillTransactionsByDate(billTransactions, startOfWeek);
       monthlyTotal = (await this.sumTransactionsByDate(regularTransactions, startOfMonth)) +
                      this.sumBillTransactionsByDate(billTransactions, startOfMonth);
     }
 
-    const spending = { daily: dailyTotal, monthly: monthlyTotal };
+    const spending = { daily: dailyTotal, weekly: weeklyTotal, monthly: monthlyTotal };
     this.cache.userSpending.set(cacheKey, spending);
     this.cache.cacheExpiry.set(cacheKey, Date.now() + this.cacheTimeout);
     return spending;
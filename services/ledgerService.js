@@ -0,0 +1,397 @@
+// services/ledgerService.js
+
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+const User = require('../models/user');
+const LedgerEntry = require('../models/ledgerEntry');
+const { LEDGER_ACCOUNTS } = require('../models/ledgerEntry');
+const logger = require('../utils/logger');
+const { getBalanceFields, readUserBalance, listBalanceSymbols, resolveSymbol } = require('./assetRegistry');
+const { toDecimal, toDecimal128, roundAmount, getPrecision } = require('../utils/money');
+
+// Platform account that absorbs the net movement of each entry type
+const CONTRA_ACCOUNTS = {
+  DEPOSIT: LEDGER_ACCOUNTS.PLATFORM_DEPOSITS,
+  WITHDRAWAL: LEDGER_ACCOUNTS.PLATFORM_WITHDRAWALS,
+  WITHDRAWAL_RESERVE: LEDGER_ACCOUNTS.PLATFORM_WITHDRAWALS,
+  WITHDRAWAL_SETTLE: LEDGER_ACCOUNTS.PLATFORM_WITHDRAWALS,
+  WITHDRAWAL_REFUND: LEDGER_ACCOUNTS.PLATFORM_WITHDRAWALS,
+  SWAP: LEDGER_ACCOUNTS.PLATFORM_SWAPS,
+  LIMIT_ORDER_RESERVE: LEDGER_ACCOUNTS.PLATFORM_SWAPS,
+  LIMIT_ORDER_RELEASE: LEDGER_ACCOUNTS.PLATFORM_SWAPS,
+  BILL_PAYMENT: LEDGER_ACCOUNTS.PLATFORM_BILLS,
+  BILL_REFUND: LEDGER_ACCOUNTS.PLATFORM_BILLS,
+  INTERNAL_TRANSFER: LEDGER_ACCOUNTS.PLATFORM_ADJUSTMENTS,
+  GIFTCARD_PAYOUT: LEDGER_ACCOUNTS.PLATFORM_GIFTCARDS,
+  REFERRAL_REWARD: LEDGER_ACCOUNTS.PLATFORM_REWARDS,
+  ADMIN_FUND: LEDGER_ACCOUNTS.PLATFORM_ADJUSTMENTS,
+  ADMIN_DEDUCT: LEDGER_ACCOUNTS.PLATFORM_ADJUSTMENTS,
+  OPENING_BALANCE: LEDGER_ACCOUNTS.PLATFORM_OPENING_BALANCE
+};
+
+function toLeg(account, userId, currency, delta) {
+  const amount = toDecimal(delta);
+  return {
+    account,
+    userId: userId || null,
+    currency,
+    debit: toDecimal128(amount.isNegative() ? amount.abs() : 0, currency),
+    credit: toDecimal128(amount.isPositive() ? amount : 0, currency)
+  };
+}
+
+/**
+ * Round a signed delta to the asset's precision. Debits round away from zero
+ * and credits towards it, so rounding never works in the user's favour.
+ * @returns {Decimal}
+ */
+function roundDelta(delta, currency) {
+  let amount;
+  try {
+    amount = toDecimal(delta || 0);
+  } catch (error) {
+    amount = null;
+  }
+  if (!amount || !amount.isFinite()) {
+    throw new Error('Invalid amount for ledger entry');
+  }
+  return roundAmount(amount, currency, amount.isNegative() ? 'DEBIT' : 'CREDIT');
+}
+
+/**
+ * Turn balance deltas into journal legs, adding a platform contra leg per
+ * currency so that every entry balances.
+ */
+function buildLegs(changes, contraAccount) {
+  const legs = [];
+  const netByCurrency = {};
+
+  for (const change of changes) {
+    const { userId, currency } = change;
+    const balanceDelta = toDecimal(change.balanceDelta);
+    const pendingDelta = toDecimal(change.pendingDelta);
+    if (!balanceDelta.isZero()) legs.push(toLeg(LEDGER_ACCOUNTS.USER_BALANCE, userId, currency, balanceDelta));
+    if (!pendingDelta.isZero()) legs.push(toLeg(LEDGER_ACCOUNTS.USER_PENDING, userId, currency, pendingDelta));
+
+    netByCurrency[currency] = (netByCurrency[currency] || new Decimal(0))
+      .plus(balanceDelta)
+      .plus(pendingDelta);
+  }
+
+  for (const [currency, net] of Object.entries(netByCurrency)) {
+    if (!net.isZero()) {
+      // Mirror the user-side movement on the platform account
+      legs.push(toLeg(contraAccount, null, currency, net.negated()));
+    }
+  }
+
+  return legs;
+}
+
+/**
+ * Ensure debits equal credits for every currency in the entry
+ */
+function assertBalanced(legs) {
+  const totals = {};
+  for (const leg of legs) {
+    const t = totals[leg.currency] || { debit: new Decimal(0), credit: new Decimal(0) };
+    t.debit = t.debit.plus(toDecimal(leg.debit));
+    t.credit = t.credit.plus(toDecimal(leg.credit));
+    totals[leg.currency] = t;
+  }
+  for (const [currency, t] of Object.entries(totals)) {
+    if (!t.debit.equals(t.credit)) {
+      throw new Error(`Unbalanced ledger entry for ${currency}: debit ${t.debit} != credit ${t.credit}`);
+    }
+  }
+}
+
+function asDecimal128(value) {
+  return mongoose.Types.Decimal128.fromString(value.toFixed());
+}
+
+function normalizeChanges(userId, changes) {
+  return changes
+    .map((change) => {
+      const currency = resolveSymbol(change.currency) || String(change.currency).toUpperCase();
+      return {
+        userId: change.userId || userId,
+        currency,
+        balanceDelta: roundDelta(change.balanceDelta, currency),
+        pendingDelta: roundDelta(change.pendingDelta, currency),
+        requireFunds: change.requireFunds !== false
+      };
+    })
+    .filter((change) => !change.balanceDelta.isZero() || !change.pendingDelta.isZero());
+}
+
+/**
+ * Update pipeline that adds each delta in Decimal128 and rounds the result to
+ * the asset's precision. $toDecimal also converts balances still stored as
+ * doubles by releases before the Decimal128 switch.
+ */
+function buildBalancePipeline(incs, set) {
+  const fields = {};
+  for (const [field, { delta, places }] of Object.entries(incs)) {
+    const current = { $toDecimal: { $ifNull: [`$${field}`, 0] } };
+    fields[field] = { $round: [{ $add: [current, asDecimal128(delta)] }, places] };
+  }
+  for (const [field, value] of Object.entries(set)) {
+    fields[field] = { $literal: value };
+  }
+  return [{ $set: fields }];
+}
+
+async function applyEntry(options, session) {
+  const {
+    type,
+    userId,
+    reference = null,
+    idempotencyKey,
+    description = '',
+    actor,
+    metadata = null,
+    set = {},
+    contraAccount = CONTRA_ACCOUNTS[type]
+  } = options;
+
+  if (!CONTRA_ACCOUNTS[type]) {
+    throw new Error(`Unknown ledger entry type: ${type}`);
+  }
+
+  const changes = normalizeChanges(userId, options.changes || []);
+  if (changes.length === 0) {
+    throw new Error('Ledger entry has no balance changes');
+  }
+
+  const legs = buildLegs(changes, contraAccount);
+  assertBalanced(legs);
+
+  // One atomic update per affected user, guarded so debits can't go negative
+  const updatesByUser = new Map();
+  for (const change of changes) {
+    const key = String(change.userId);
+    const { balanceField, pendingField } = getBalanceFields(change.currency);
+    const update = updatesByUser.get(key)
+      || { userId: change.userId, inc: {}, guarded: new Set(), filter: { _id: change.userId } };
+    const places = getPrecision(change.currency);
+
+    const addDelta = (field, delta) => {
+      const previous = update.inc[field]?.delta || new Decimal(0);
+      update.inc[field] = { delta: previous.plus(delta), places };
+      if (change.requireFunds) update.guarded.add(field);
+    };
+
+    if (!change.balanceDelta.isZero()) addDelta(balanceField, change.balanceDelta);
+    if (!change.pendingDelta.isZero()) addDelta(pendingField, change.pendingDelta);
+    updatesByUser.set(key, update);
+  }
+
+  // Guard on the net change per field, after every change has been summed
+  for (const update of updatesByUser.values()) {
+    for (const field of update.guarded) {
+      const { delta } = update.inc[field];
+      if (delta.isNegative()) update.filter[field] = { $gte: asDecimal128(delta.negated()) };
+    }
+  }
+
+  const users = {};
+  for (const [key, update] of updatesByUser) {
+    const updatedUser = await User.findOneAndUpdate(
+      update.filter,
+      buildBalancePipeline(update.inc, { ...set, lastBalanceUpdate: new Date() }),
+      { new: true, session }
+    );
+
+    if (!updatedUser) {
+      const exists = await User.exists({ _id: update.userId }).session(session);
+      if (!exists) throw new Error(`User not found: ${update.userId}`);
+
+      const error = new Error('Insufficient balance for ledger entry');
+      error.code = 'INSUFFICIENT_BALANCE';
+      throw error;
+    }
+    users[key] = updatedUser;
+  }
+
+  const [entry] = await LedgerEntry.create([{
+    type,
+    reference,
+    idempotencyKey: idempotencyKey || undefined,
+    description,
+    legs,
+    actor: actor || { kind: 'SYSTEM', id: null },
+    metadata
+  }], { session });
+
+  logger.info('Ledger entry posted', {
+    entryId: entry.entryId,
+    type,
+    reference,
+    changes: changes.map(c => ({
+      userId: String(c.userId),
+      currency: c.currency,
+      balanceDelta: c.balanceDelta.toNumber(),
+      pendingDelta: c.pendingDelta.toNumber()
+    }))
+  });
+
+  return {
+    entry,
+    users,
+    user: users[String(changes[0].userId)]
+  };
+}
+
+/**
+ * Post a journal entry and apply it to the cached User balance fields atomically.
+ *
+ * @param {Object} options
+ * @param {string} options.type - One of LEDGER_ENTRY_TYPES
+ * @param {string} [options.userId] - Default user for changes that don't name one
+ * @param {Array<Object>} options.changes - [{ userId?, currency, balanceDelta?, pendingDelta?, requireFunds? }]
+ * @param {string} [options.reference] - Business reference for the entry
+ * @param {string} [options.idempotencyKey] - Rejects a second post with the same key
+ * @param {string} [options.description]
+ * @param {Object} [options.actor] - { kind: 'USER'|'ADMIN'|'SYSTEM'|'WEBHOOK', id }
+ * @param {Object} [options.metadata]
+ * @param {Object} [options.set] - Extra non-balance fields to $set on each affected user
+ * @param {ClientSession} [options.session] - Join the caller's transaction instead of opening one
+ * @returns {Promise<{ entry: Object, users: Object, user: Object }>}
+ */
+async function postEntry(options) {
+  if (options.session) {
+    return applyEntry(options, options.session);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await applyEntry(options, session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Recompute a user's balances from the journal
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { [currency]: { balance, pending } }
+ */
+async function deriveUserBalances(userId) {
+  const objectId = new mongoose.Types.ObjectId(String(userId));
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: { 'legs.userId': objectId } },
+    { $unwind: '$legs' },
+    { $match: { 'legs.userId': objectId } },
+    {
+      $group: {
+        _id: { currency: '$legs.currency', account: '$legs.account' },
+        // $toDecimal also covers legs written before the Decimal128 switch
+        credit: { $sum: { $toDecimal: '$legs.credit' } },
+        debit: { $sum: { $toDecimal: '$legs.debit' } }
+      }
+    }
+  ]);
+
+  const balances = {};
+  for (const row of rows) {
+    const { currency, account } = row._id;
+    const net = toDecimal(row.credit).minus(toDecimal(row.debit));
+    const bucket = balances[currency] || { balance: 0, pending: 0 };
+    if (account === LEDGER_ACCOUNTS.USER_BALANCE) bucket.balance = net.toNumber();
+    if (account === LEDGER_ACCOUNTS.USER_PENDING) bucket.pending = net.toNumber();
+    balances[currency] = bucket;
+  }
+
+  return balances;
+}
+
+/**
+ * Compare cached User balance fields with the balances derived from the journal
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=1e-8] - Absolute drift treated as equal
+ * @returns {Promise<Object>} Per-currency comparison and an overall `consistent` flag
+ */
+async function verifyUserBalances(userId, { tolerance = 1e-8 } = {}) {
+  const user = await User.findById(userId).lean();
+  if (!user) {
+    throw new Error(`User not found: ${userId}`);
+  }
+
+  const derived = await deriveUserBalances(userId);
+  const currencies = {};
+  let consistent = true;
+
+  for (const currency of listBalanceSymbols()) {
+    const { balance: cachedBalance, pending: cachedPending } = readUserBalance(user, currency);
+    const ledger = derived[currency] || { balance: 0, pending: 0 };
+
+    const balanceDrift = new Decimal(cachedBalance).minus(ledger.balance).toNumber();
+    const pendingDrift = new Decimal(cachedPending).minus(ledger.pending).toNumber();
+    const matches = Math.abs(balanceDrift) <= tolerance && Math.abs(pendingDrift) <= tolerance;
+    if (!matches) consistent = false;
+
+    currencies[currency] = {
+      cached: { balance: cachedBalance, pending: cachedPending },
+      ledger,
+      drift: { balance: balanceDrift, pending: pendingDrift },
+      matches
+    };
+  }
+
+  return { userId: String(userId), consistent, currencies, checkedAt: new Date() };
+}
+
+/**
+ * Record a user's pre-ledger balances as OPENING_BALANCE entries so the
+ * journal explains the full cached balance. Does not touch the User document.
+ * Idempotent per user and currency.
+ * @param {Object} user - User document (lean is fine)
+ * @returns {Promise<Array<string>>} Currencies that received an opening entry
+ */
+async function recordOpeningBalances(user) {
+  const derived = await deriveUserBalances(user._id);
+  const opened = [];
+
+  for (const currency of listBalanceSymbols()) {
+    const cached = readUserBalance(user, currency);
+    const ledger = derived[currency] || { balance: 0, pending: 0 };
+    const balanceDelta = new Decimal(cached.balance).minus(ledger.balance).toNumber();
+    const pendingDelta = new Decimal(cached.pending).minus(ledger.pending).toNumber();
+    if (balanceDelta === 0 && pendingDelta === 0) continue;
+
+    const legs = buildLegs([{
+      userId: user._id, currency, balanceDelta, pendingDelta
+    }], CONTRA_ACCOUNTS.OPENING_BALANCE);
+    assertBalanced(legs);
+
+    try {
+      await LedgerEntry.create({
+        type: 'OPENING_BALANCE',
+        idempotencyKey: `OPENING_BALANCE:${user._id}:${currency}`,
+        description: `Opening balance for ${currency}`,
+        legs,
+        actor: { kind: 'SYSTEM', id: 'ledger-opening-balance' }
+      });
+      opened.push(currency);
+    } catch (error) {
+      if (error.code !== 11000) throw error; // already opened
+    }
+  }
+
+  return opened;
+}
+
+module.exports = {
+  postEntry,
+  deriveUserBalances,
+  verifyUserBalances,
+  recordOpeningBalances,
+  getBalanceFields
+};
@@ -0,0 +1,667 @@
+// services/limitOrderService.js
+//
+// Limit orders and price alerts.
+//
+// An order's limitRate is the price the user enters: units of the quote
+// currency per unit of the base asset (NGNZ per BTC, USDT per ETH). A BUY
+// spends the quote currency on the base asset and fills at or below the
+// limit; a SELL goes the other way and fills at or above it.
+//
+// Placing an order moves the source amount from the user's balance to their
+// pending balance (LIMIT_ORDER_RESERVE). After every price update the worker
+// estimates each open pair from the stored prices; when an order looks
+// fillable it asks the owning swap router for a real quote and only accepts it
+// if the quote meets the order's minimum. The swap then runs through the normal
+// quote/accept path (routes/swap.js or routes/NGNZSwaps.js), debiting the
+// reserved amount straight from pending in the same ledger entry that credits
+// the target, so the funds are never spendable mid-fill. An order left in
+// EXECUTING by a worker that died mid-fill is recovered once its lease
+// (EXECUTION_LEASE_MS) runs out.
+
+const mongoose = require('mongoose');
+const LimitOrder = require('../models/limitOrder');
+const PriceAlert = require('../models/priceAlert');
+const LedgerEntry = require('../models/ledgerEntry');
+const { LEDGER_ACCOUNTS } = require('../models/ledgerEntry');
+const { postEntry } = require('./ledgerService');
+const quoteService = require('./quoteService');
+const { getPricesWithCache } = require('./portfolio');
+const { resolveSymbol, isAssetEnabled, getAsset } = require('./assetRegistry');
+const { sendCustomNotification } = require('./notificationService');
+const { queueReferralReward, queueNgnzObiexSwap } = require('./backgroundJobs');
+const { convertAmount, ratio, toDecimal } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_OPEN_ORDERS_PER_USER = 20;
+const MAX_ACTIVE_ALERTS_PER_USER = 50;
+// Quote/accept failures before an order is given up on and its funds released
+const MAX_EXECUTION_ATTEMPTS = 3;
+// A fill takes seconds; an order EXECUTING longer than this was abandoned
+const EXECUTION_LEASE_MS = 10 * 60 * 1000;
+
+const WORKER_CONTEXT = {
+  ipAddress: 'internal',
+  userAgent: 'limit-order-worker',
+  sessionId: 'limit-order-worker',
+  platform: 'worker'
+};
+
+class LimitOrderError extends Error {
+  constructor(message, httpStatus = 400, code = 'LIMIT_ORDER_ERROR') {
+    super(message);
+    this.name = 'LimitOrderError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// The swap routers own quote pricing and execution; loaded lazily so this
+// service can be required from the price job without pulling in Express routes.
+function swapRouter() {
+  return require('../routes/swap');
+}
+
+function ngnzSwapRouter() {
+  return require('../routes/NGNZSwaps');
+}
+
+function generateCorrelationId() {
+  return `CORR_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Work out which swap router handles a pair
+ * @returns {Promise<{ kind: 'SWAP'|'NGNZ_SWAP', side: 'BUY'|'SELL' }>}
+ */
+async function resolveOrderRoute(sourceCurrency, targetCurrency) {
+  if (sourceCurrency === 'NGNZ' || targetCurrency === 'NGNZ') {
+    const pair = await ngnzSwapRouter().validateNGNZSwap(sourceCurrency, targetCurrency);
+    if (!pair.success) throw new LimitOrderError(pair.message);
+    return { kind: 'NGNZ_SWAP', side: pair.isOnramp ? 'BUY' : 'SELL' };
+  }
+
+  const pair = swapRouter().validateSwapPair(sourceCurrency, targetCurrency);
+  if (!pair.success) throw new LimitOrderError(pair.message);
+  return { kind: 'SWAP', side: getAsset(sourceCurrency)?.isStablecoin ? 'BUY' : 'SELL' };
+}
+
+function releaseChanges(order) {
+  return [{ currency: order.sourceCurrency, balanceDelta: order.amount, pendingDelta: -order.amount }];
+}
+
+// Key of the SWAP ledger entry that fills an order from its reservation
+function fillKey(order) {
+  return `LIMIT_ORDER_FILL:${order.orderId}`;
+}
+
+/**
+ * Price of a fill in the order's terms: quote currency per unit of the base asset
+ * @param {'BUY'|'SELL'} side
+ */
+function orderPrice(side, sourceAmount, targetAmount) {
+  return side === 'BUY' ? ratio(sourceAmount, targetAmount) : ratio(targetAmount, sourceAmount);
+}
+
+/**
+ * Least target amount that honours the limit, rounded up: a BUY spends
+ * amount ÷ limitRate per unit, a SELL receives amount × limitRate
+ */
+function minimumReceived(side, amount, limitRate, targetCurrency) {
+  return convertAmount(amount, limitRate, targetCurrency, { divide: side === 'BUY', mode: 'DEBIT' });
+}
+
+/**
+ * Place a limit order and reserve its source amount
+ * @param {string} userId
+ * @param {Object} params - { from, to, amount, limitRate, expiresInDays }
+ * @returns {Promise<LimitOrder>}
+ */
+async function placeLimitOrder(userId, { from, to, amount, limitRate, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+  const sourceCurrency = resolveSymbol(from);
+  const targetCurrency = resolveSymbol(to);
+
+  if (!sourceCurrency || !targetCurrency) {
+    throw new LimitOrderError('Unsupported currency pair');
+  }
+  if (sourceCurrency === targetCurrency) {
+    throw new LimitOrderError('Source and target currencies must differ');
+  }
+  if (!isAssetEnabled(sourceCurrency, 'swap') || !isAssetEnabled(targetCurrency, 'swap')) {
+    throw new LimitOrderError('Swaps are currently disabled for this pair');
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    throw new LimitOrderError('Invalid amount. Must be a positive number.');
+  }
+  if (typeof limitRate !== 'number' || !Number.isFinite(limitRate) || limitRate <= 0) {
+    throw new LimitOrderError('Invalid limitRate. Must be a positive number.');
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+    throw new LimitOrderError(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  const { kind, side } = await resolveOrderRoute(sourceCurrency, targetCurrency);
+
+  const openCount = await LimitOrder.countDocuments({ userId, status: { $in: LimitOrder.OPEN_STATUSES } });
+  if (openCount >= MAX_OPEN_ORDERS_PER_USER) {
+    throw new LimitOrderError(`You can have at most ${MAX_OPEN_ORDERS_PER_USER} open limit orders`, 409, 'TOO_MANY_ORDERS');
+  }
+
+  const order = new LimitOrder({
+    userId,
+    kind,
+    side,
+    sourceCurrency,
+    targetCurrency,
+    amount,
+    limitRate,
+    // Round up so a fill never delivers less than the requested rate
+    minAmountReceived: minimumReceived(side, amount, limitRate, targetCurrency),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await order.save({ session });
+      await postEntry({
+        type: 'LIMIT_ORDER_RESERVE',
+        userId,
+        reference: order.orderId,
+        idempotencyKey: `LIMIT_ORDER_RESERVE:${order.orderId}`,
+        description: `Reserve ${order.amount} ${sourceCurrency} for limit order ${order.orderId}`,
+        actor: { kind: 'USER', id: String(userId) },
+        changes: [{ currency: sourceCurrency, balanceDelta: -order.amount, pendingDelta: order.amount }],
+        metadata: { limitRate, targetCurrency },
+        session
+      });
+    });
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      throw new LimitOrderError(`Insufficient ${sourceCurrency} balance`, 400, 'INSUFFICIENT_BALANCE');
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  logger.info('Limit order placed', {
+    orderId: order.orderId, userId: String(userId), sourceCurrency, targetCurrency, amount: order.amount, limitRate
+  });
+  return order;
+}
+
+/**
+ * Close an order (cancel, expire or fail) and return its funds to the balance
+ * @param {Object} [options]
+ * @param {string} [options.from='OPEN'] - Status the order must be in
+ * @param {Object} [options.set] - Extra fields to set on the order
+ * @returns {Promise<LimitOrder|null>} null if the order was not in `from`
+ */
+async function closeOrder(filter, status, actor, { from = 'OPEN', set = {} } = {}) {
+  const session = await mongoose.startSession();
+  let closed = null;
+  try {
+    await session.withTransaction(async () => {
+      closed = await LimitOrder.findOneAndUpdate(
+        { ...filter, status: from },
+        { $set: { ...set, status, executingSince: null, ...(status === 'CANCELLED' ? { cancelledAt: new Date() } : {}) } },
+        { new: true, session }
+      );
+      if (!closed) return;
+
+      await postEntry({
+        type: 'LIMIT_ORDER_RELEASE',
+        userId: closed.userId,
+        reference: closed.orderId,
+        idempotencyKey: `LIMIT_ORDER_RELEASE:${closed.orderId}`,
+        description: `Release limit order ${closed.orderId} (${status.toLowerCase()})`,
+        actor,
+        changes: releaseChanges(closed),
+        session
+      });
+    });
+  } finally {
+    session.endSession();
+  }
+  return closed;
+}
+
+/**
+ * Cancel one of the user's open orders
+ * @returns {Promise<LimitOrder>}
+ */
+async function cancelLimitOrder(userId, orderId) {
+  const cancelled = await closeOrder({ orderId, userId }, 'CANCELLED', { kind: 'USER', id: String(userId) });
+  if (cancelled) {
+    logger.info('Limit order cancelled', { orderId, userId: String(userId) });
+    return cancelled;
+  }
+
+  const existing = await LimitOrder.findOne({ orderId, userId }).lean();
+  if (!existing) throw new LimitOrderError('Limit order not found', 404, 'NOT_FOUND');
+  throw new LimitOrderError(`Limit order is already ${existing.status.toLowerCase()}`, 409, 'NOT_OPEN');
+}
+
+/**
+ * Expire every OPEN order past its expiry date
+ * @returns {Promise<number>} Orders expired
+ */
+async function expireLimitOrders() {
+  const due = await LimitOrder.find({ status: 'OPEN', expiresAt: { $lte: new Date() } }).select('_id').limit(500).lean();
+  let expired = 0;
+  for (const { _id } of due) {
+    try {
+      const order = await closeOrder({ _id }, 'EXPIRED', { kind: 'SYSTEM', id: 'limit-order-worker' });
+      if (order) expired += 1;
+    } catch (error) {
+      logger.error('Failed to expire limit order', { orderId: String(_id), error: error.message });
+    }
+  }
+  return expired;
+}
+
+/**
+ * Ask the owning router for a live quote and store it in the shared quote service
+ */
+async function quoteOrder(order, correlationId) {
+  if (order.kind === 'NGNZ_SWAP') {
+    const ngnz = ngnzSwapRouter();
+    const pair = await ngnz.validateNGNZSwap(order.sourceCurrency, order.targetCurrency);
+    const pricing = await ngnz.calculateNGNZQuote(pair, order.amount);
+    if (!pricing.success) throw new Error(`Price not available for ${pricing.currency}`);
+
+    return quoteService.createQuote({
+      kind: 'NGNZ_SWAP',
+      userId: order.userId,
+      payload: {
+        id: `ngnz_${pricing.flow.toLowerCase()}_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+        amount: order.amount,
+        amountReceived: pricing.receiveAmount,
+        sourceAmountUSD: pricing.sourceAmountUSD,
+        targetAmountUSD: pricing.targetAmountUSD,
+        rate: pricing.rate,
+        cryptoPrice: pricing.cryptoPrice,
+        side: order.side,
+        sourceCurrency: order.sourceCurrency,
+        targetCurrency: order.targetCurrency,
+        provider: pricing.provider,
+        type: pricing.swapType,
+        flow: pricing.flow,
+        correlationId,
+        limitOrderId: order.orderId
+      },
+      audit: { source: 'BACKGROUND_JOB', systemContext: WORKER_CONTEXT, tags: ['limit-order'] }
+    });
+  }
+
+  const swap = swapRouter();
+  const pairValidation = swap.validateSwapPair(order.sourceCurrency, order.targetCurrency);
+  const payload = await swap.buildObiexQuotePayload({
+    id: `obiex_swap_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+    from: order.sourceCurrency,
+    to: order.targetCurrency,
+    amount: order.amount,
+    side: order.side,
+    expiresAt: new Date(Date.now() + quoteService.DEFAULT_QUOTE_TTL_MS).toISOString(),
+    correlationId,
+    pairValidation
+  });
+
+  return quoteService.createQuote({
+    kind: 'SWAP',
+    userId: order.userId,
+    payload: { ...payload, limitOrderId: order.orderId },
+    audit: { source: 'BACKGROUND_JOB', systemContext: WORKER_CONTEXT, tags: ['limit-order'] }
+  });
+}
+
+// Swaps the reserved amount: the SWAP entry debits pending, keyed by fillKey
+async function executeAcceptedQuote(order, quote, correlationId) {
+  const userId = String(order.userId);
+  const options = { fromPending: true, idempotencyKey: fillKey(order) };
+
+  if (order.kind === 'NGNZ_SWAP') {
+    const ngnz = ngnzSwapRouter();
+    const result = await ngnz.executeNGNZSwap(userId, quote, correlationId, WORKER_CONTEXT, options);
+    queueNgnzObiexSwap(userId, quote, result.swapId, correlationId, WORKER_CONTEXT);
+    if (quote.flow === 'OFFRAMP') {
+      queueReferralReward(userId, result.swapId, quote.sourceAmountUSD, correlationId);
+    }
+    return { swapId: result.swapId, transactionIds: [result.swapOutTransaction._id, result.swapInTransaction._id] };
+  }
+
+  const result = await swapRouter().executeObiexSwapWithBalanceUpdate(userId, quote, correlationId, WORKER_CONTEXT, options);
+  return { swapId: result.swapId, transactionIds: [result.swapTransaction._id] };
+}
+
+/**
+ * Try to fill one order. The order is claimed (OPEN -> EXECUTING) first so
+ * only one worker instance acts on it.
+ * @returns {Promise<'FILLED'|'WAITING'|'FAILED'|'SKIPPED'>}
+ */
+async function tryFillOrder(orderId) {
+  const order = await LimitOrder.findOneAndUpdate(
+    { _id: orderId, status: 'OPEN', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'EXECUTING', lastCheckedAt: new Date(), executingSince: new Date() } },
+    { new: true }
+  );
+  if (!order) return 'SKIPPED';
+
+  const correlationId = generateCorrelationId();
+  let quote;
+
+  // 1. Live quote — if it misses the limit, the order simply stays open
+  try {
+    quote = await quoteOrder(order, correlationId);
+  } catch (error) {
+    return handleAttemptFailure(order, error);
+  }
+
+  if (toDecimal(quote.amountReceived).lt(order.minAmountReceived)) {
+    await LimitOrder.updateOne({ _id: order._id, status: 'EXECUTING' }, { $set: { status: 'OPEN', executingSince: null } });
+    return 'WAITING';
+  }
+
+  // 2. Claim the quote, then swap the reserved amount through the normal path
+  const claim = await quoteService.acceptQuote(quote.id, order.userId, { source: 'BACKGROUND_JOB', tags: ['limit-order'] });
+  if (!claim.ok) {
+    return handleAttemptFailure(order, new Error(claim.message));
+  }
+  // Recorded so a recovery sweep can fail the quote if this worker dies here
+  await LimitOrder.updateOne({ _id: order._id, status: 'EXECUTING' }, { $set: { quoteId: quote.id } });
+
+  let fill;
+  try {
+    fill = await executeAcceptedQuote(order, claim.quote, correlationId);
+  } catch (error) {
+    // The swap rolled back, so the reservation is still in pending: return it
+    await quoteService.failQuote(quote.id, error, { source: 'BACKGROUND_JOB' });
+    const closed = await closeOrder({ _id: order._id }, 'FAILED', { kind: 'SYSTEM', id: 'limit-order-worker' }, {
+      from: 'EXECUTING',
+      set: { quoteId: quote.id, failureReason: error.message }
+    });
+    logger.error('Limit order execution failed', { orderId: order.orderId, error: error.message, released: !!closed });
+
+    if (closed) {
+      sendCustomNotification(
+        order.userId,
+        'Limit order failed',
+        `Your ${order.sourceCurrency} → ${order.targetCurrency} limit order could not be executed. The funds are back in your balance.`,
+        { type: 'LIMIT_ORDER_FAILED', orderId: order.orderId }
+      ).catch(() => {});
+    }
+    return 'FAILED';
+  }
+
+  // The swap has happened; bookkeeping failures below must not undo it
+  try {
+    const { swapId, transactionIds } = fill;
+    await quoteService.completeQuote(quote.id, {
+      source: 'BACKGROUND_JOB',
+      swapDetails: { swapId },
+      relatedEntities: { relatedTransactionIds: transactionIds },
+      tags: ['limit-order']
+    });
+
+    await LimitOrder.updateOne({ _id: order._id }, {
+      $set: {
+        status: 'FILLED',
+        quoteId: quote.id,
+        swapId,
+        amountReceived: claim.quote.amountReceived,
+        executedRate: orderPrice(order.side, order.amount, claim.quote.amountReceived),
+        filledAt: new Date(),
+        executingSince: null
+      }
+    });
+
+    logger.info('Limit order filled', {
+      orderId: order.orderId, userId: String(order.userId), swapId, amountReceived: claim.quote.amountReceived
+    });
+  } catch (error) {
+    // Left in EXECUTING; recoverStaleOrders finds the fill entry and closes it
+    logger.error('Limit order bookkeeping failed after fill', { orderId: order.orderId, swapId: fill.swapId, error: error.message });
+  }
+  return 'FILLED';
+}
+
+/**
+ * Quote/accept failed before any funds moved: retry on the next price update,
+ * or give up and release the reservation after MAX_EXECUTION_ATTEMPTS
+ */
+async function handleAttemptFailure(order, error) {
+  const attempts = order.attempts + 1;
+  logger.warn('Limit order attempt failed', { orderId: order.orderId, attempts, error: error.message });
+
+  await LimitOrder.updateOne(
+    { _id: order._id, status: 'EXECUTING' },
+    { $set: { status: 'OPEN', failureReason: error.message, executingSince: null }, $inc: { attempts: 1 } }
+  );
+  if (attempts < MAX_EXECUTION_ATTEMPTS) return 'WAITING';
+
+  const closed = await closeOrder({ _id: order._id }, 'FAILED', { kind: 'SYSTEM', id: 'limit-order-worker' });
+  return closed ? 'FAILED' : 'SKIPPED';
+}
+
+/**
+ * Recover orders whose worker died mid-fill. Without a fill entry the swap
+ * did not commit and the reservation is still in pending: the quote is failed
+ * and the order goes back to OPEN (so it can fill, be cancelled or expire).
+ * With one, the swap committed but the order was never marked: it is closed
+ * as FILLED from the entry.
+ * @returns {Promise<number>} Orders recovered
+ */
+async function recoverStaleOrders() {
+  const cutoff = new Date(Date.now() - EXECUTION_LEASE_MS);
+  const stale = await LimitOrder.find({
+    status: 'EXECUTING',
+    $or: [
+      { executingSince: { $lte: cutoff } },
+      { executingSince: null, lastCheckedAt: { $lte: cutoff } } // claimed before executingSince existed
+    ]
+  }).limit(100).lean();
+
+  let recovered = 0;
+  for (const order of stale) {
+    try {
+      const claimed = { _id: order._id, status: 'EXECUTING', executingSince: order.executingSince };
+      const fill = await LedgerEntry.findOne({ idempotencyKey: fillKey(order) }).lean();
+
+      if (!fill) {
+        const result = await LimitOrder.updateOne(claimed, {
+          $set: { status: 'OPEN', executingSince: null, failureReason: 'Execution interrupted' },
+          $inc: { attempts: 1 }
+        });
+        if (!result.modifiedCount) continue;
+        if (order.quoteId) {
+          await quoteService.failQuote(order.quoteId, new Error('Limit order execution interrupted'), { source: 'BACKGROUND_JOB' });
+        }
+        logger.warn('Stale limit order reopened', { orderId: order.orderId, executingSince: order.executingSince });
+      } else {
+        const credit = fill.legs.find(leg => leg.account === LEDGER_ACCOUNTS.USER_BALANCE && leg.currency === order.targetCurrency);
+        const amountReceived = toDecimal(credit?.credit).toNumber();
+        const result = await LimitOrder.updateOne(claimed, {
+          $set: {
+            status: 'FILLED',
+            swapId: fill.reference,
+            amountReceived,
+            executedRate: orderPrice(order.side, order.amount, amountReceived),
+            filledAt: fill.createdAt,
+            executingSince: null
+          }
+        });
+        if (!result.modifiedCount) continue;
+        if (order.quoteId) {
+          await quoteService.completeQuote(order.quoteId, { source: 'BACKGROUND_JOB', swapDetails: { swapId: fill.reference }, tags: ['limit-order'] });
+        }
+        logger.warn('Stale limit order closed as filled', { orderId: order.orderId, swapId: fill.reference });
+      }
+      recovered += 1;
+    } catch (error) {
+      logger.error('Failed to recover stale limit order', { orderId: order.orderId, error: error.message });
+    }
+  }
+  return recovered;
+}
+
+/**
+ * Cheap pre-check from stored USD prices so we only request live quotes for
+ * orders that are plausibly fillable. Returns the pair's price in the orders'
+ * terms (quote currency per unit of the base asset).
+ */
+function estimatePrice(prices, { sourceCurrency, targetCurrency, side }) {
+  const sourceUsd = prices[sourceCurrency];
+  const targetUsd = prices[targetCurrency];
+  if (!sourceUsd || !targetUsd) return null;
+  return side === 'BUY' ? ratio(targetUsd, sourceUsd) : ratio(sourceUsd, targetUsd);
+}
+
+/**
+ * Check open limit orders after a price update and fill the ones whose limit is met
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function processLimitOrders() {
+  const summary = { checked: 0, filled: 0, waiting: 0, failed: 0, expired: 0, recovered: 0 };
+  summary.recovered = await recoverStaleOrders();
+  summary.expired = await expireLimitOrders();
+
+  const pairs = await LimitOrder.aggregate([
+    { $match: { status: 'OPEN' } },
+    { $group: { _id: { sourceCurrency: '$sourceCurrency', targetCurrency: '$targetCurrency', side: '$side' } } }
+  ]);
+  if (pairs.length === 0) return summary;
+
+  const symbols = [...new Set(pairs.flatMap(({ _id }) => [_id.sourceCurrency, _id.targetCurrency]))];
+  const prices = await getPricesWithCache(symbols);
+
+  for (const { _id: pair } of pairs) {
+    const estimate = estimatePrice(prices, pair);
+    if (estimate === null) continue;
+
+    // Buys fill at or below their limit, sells at or above it; most generous limits first
+    const isBuy = pair.side === 'BUY';
+    const candidates = await LimitOrder.find({
+      status: 'OPEN',
+      sourceCurrency: pair.sourceCurrency,
+      targetCurrency: pair.targetCurrency,
+      side: pair.side,
+      limitRate: isBuy ? { $gte: estimate } : { $lte: estimate }
+    }).sort({ limitRate: isBuy ? -1 : 1, createdAt: 1 }).select('_id').limit(100).lean();
+
+    for (const { _id } of candidates) {
+      summary.checked += 1;
+      try {
+        const outcome = await tryFillOrder(_id);
+        if (outcome === 'FILLED') summary.filled += 1;
+        else if (outcome === 'WAITING') summary.waiting += 1;
+        else if (outcome === 'FAILED') summary.failed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error('Limit order processing error', { orderId: String(_id), error: error.message });
+      }
+    }
+  }
+
+  if (summary.checked > 0 || summary.expired > 0 || summary.recovered > 0) {
+    logger.info('Limit order run completed', summary);
+  }
+  return summary;
+}
+
+/**
+ * Create a price alert
+ * @param {string} userId
+ * @param {Object} params - { symbol, condition: 'ABOVE'|'BELOW', targetPrice }
+ */
+async function createPriceAlert(userId, { symbol, condition, targetPrice }) {
+  const asset = getAsset(symbol);
+  if (!asset || !asset.enabled) throw new LimitOrderError('Unsupported asset');
+  if (!['ABOVE', 'BELOW'].includes(condition)) {
+    throw new LimitOrderError('condition must be ABOVE or BELOW');
+  }
+  if (typeof targetPrice !== 'number' || !Number.isFinite(targetPrice) || targetPrice <= 0) {
+    throw new LimitOrderError('Invalid targetPrice. Must be a positive number.');
+  }
+
+  const activeCount = await PriceAlert.countDocuments({ userId, status: 'ACTIVE' });
+  if (activeCount >= MAX_ACTIVE_ALERTS_PER_USER) {
+    throw new LimitOrderError(`You can have at most ${MAX_ACTIVE_ALERTS_PER_USER} active price alerts`, 409, 'TOO_MANY_ALERTS');
+  }
+
+  return PriceAlert.create({ userId, symbol: asset.symbol, condition, targetPrice });
+}
+
+/**
+ * Trigger alerts whose target was crossed by the latest prices
+ * @param {Object} prices - { SYMBOL: usdPrice }
+ * @returns {Promise<number>} Alerts triggered
+ */
+async function checkPriceAlerts(prices) {
+  let triggered = 0;
+
+  for (const [symbol, price] of Object.entries(prices || {})) {
+    if (!price) continue;
+
+    const due = await PriceAlert.find({
+      status: 'ACTIVE',
+      symbol,
+      $or: [
+        { condition: 'ABOVE', targetPrice: { $lte: price } },
+        { condition: 'BELOW', targetPrice: { $gte: price } }
+      ]
+    }).select('_id').limit(1000).lean();
+
+    for (const { _id } of due) {
+      const alert = await PriceAlert.findOneAndUpdate(
+        { _id, status: 'ACTIVE' },
+        { $set: { status: 'TRIGGERED', triggeredAt: new Date(), triggeredPrice: price } },
+        { new: true }
+      );
+      if (!alert) continue;
+      triggered += 1;
+
+      sendCustomNotification(
+        alert.userId,
+        `${symbol} price alert`,
+        `${symbol} is now $${price} (${alert.condition === 'ABOVE' ? 'above' : 'below'} your $${alert.targetPrice} alert)`,
+        { type: 'PRICE_ALERT', alertId: String(alert._id), symbol, price: String(price) }
+      ).catch((error) => logger.warn('Price alert notification failed', { alertId: String(alert._id), error: error.message }));
+    }
+  }
+
+  return triggered;
+}
+
+/**
+ * Entry point for the price job: check alerts against the fresh prices, then limit orders
+ * @param {Object} prices - { SYMBOL: usdPrice } just stored in PriceChange
+ */
+async function onPricesUpdated(prices) {
+  try {
+    const alerts = await checkPriceAlerts(prices);
+    if (alerts > 0) logger.info(`Triggered ${alerts} price alert(s)`);
+  } catch (error) {
+    logger.error('Price alert check failed', { error: error.message });
+  }
+
+  try {
+    await processLimitOrders();
+  } catch (error) {
+    logger.error('Limit order run failed', { error: error.message });
+  }
+}
+
+module.exports = {
+  LimitOrderError,
+  placeLimitOrder,
+  cancelLimitOrder,
+  expireLimitOrders,
+  recoverStaleOrders,
+  processLimitOrders,
+  createPriceAlert,
+  checkPriceAlerts,
+  onPricesUpdated
+};
@@ -200,7 +200,7 @@ async function getUserPushToken(userId) {
     return { success: false, message: 'No Expo push token registered' };
   } catch (error) {
     logger.error('Error fetching user push token', { userId, error: error.message });
-    return { success: false, message: 'Error fetching push token' };
+    return { success: false, message: 'Error fetching push token', error: error.message };
   }
 }
 
@@ -223,10 +223,12 @@ async function sendPushNotification(userId, notificationData) {
     const tokenResult = await getUserPushToken(userId);
     
     if (!tokenResult.success) {
+      // No token is final; a lookup error is worth retrying
       return {
         success: false,
         message: tokenResult.message,
-        skipped: true
+        skipped: !tokenResult.error,
+        ...(tokenResult.error ? { error: tokenResult.error } : {})
       };
     }
 
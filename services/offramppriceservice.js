@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { toDecimal, toAmount } = require('../utils/money');
 const NairaMarkdown = require('../models/offramp');
 
 /**
@@ -155,12 +156,14 @@ class OfframpPriceService {
    */
   async calculateNairaFromCrypto(cryptoAmount, cryptoCurrency, cryptoPrice) {
     try {
-      const usdAmount = cryptoAmount * cryptoPrice;
-      const nairaAmount = await this.convertUsdToNaira(usdAmount);
+      const rate = await this.getOfframpRate();
+      const usdAmount = toDecimal(cryptoAmount).times(cryptoPrice);
+      // Round down to the kobo: the user never receives more Naira than the crypto is worth
+      const nairaAmount = toAmount(usdAmount.times(rate.finalPrice), 'NGNZ', 'CREDIT');
       
-      logger.debug(`Offramp calculation: ${cryptoAmount} ${cryptoCurrency} @ $${cryptoPrice} = $${usdAmount.toFixed(4)} → ₦${nairaAmount.toFixed(2)}`);
+      logger.debug(`Offramp calculation: ${cryptoAmount} ${cryptoCurrency} @ $${cryptoPrice} = $${usdAmount.toFixed(4)} → ₦${nairaAmount}`);
       
-      return parseFloat(nairaAmount.toFixed(2));
+      return nairaAmount;
     } catch (error) {
       logger.error('Offramp Naira calculation failed:', error);
       throw new Error(`Failed to calculate offramp Naira amount: ${error.message}`);
@@ -176,12 +179,14 @@ class OfframpPriceService {
    */
   async calculateCryptoForNaira(nairaAmount, cryptoCurrency, cryptoPrice) {
     try {
-      const usdAmount = await this.convertNairaToUsd(nairaAmount);
-      const cryptoAmount = usdAmount / cryptoPrice;
+      const rate = await this.getOfframpRate();
+      const usdAmount = toDecimal(nairaAmount).dividedBy(rate.finalPrice);
+      // Round up: the crypto sold always covers the Naira target
+      const cryptoAmount = toAmount(usdAmount.dividedBy(cryptoPrice), cryptoCurrency, 'DEBIT');
       
-      logger.debug(`Offramp crypto needed: ₦${nairaAmount} → $${usdAmount.toFixed(4)} → ${cryptoAmount.toFixed(8)} ${cryptoCurrency}`);
+      logger.debug(`Offramp crypto needed: ₦${nairaAmount} → $${usdAmount.toFixed(4)} → ${cryptoAmount} ${cryptoCurrency}`);
       
-      return parseFloat(cryptoAmount.toFixed(8));
+      return cryptoAmount;
     } catch (error) {
       logger.error('Offramp crypto calculation failed:', error);
       throw new Error(`Failed to calculate offramp crypto requirement: ${error.message}`);
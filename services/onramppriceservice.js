@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { toDecimal, toAmount } = require('../utils/money');
 const NairaMarkup = require('../models/onramp');
 
 /**
@@ -155,12 +156,14 @@ class OnrampPriceService {
    */
   async calculateCryptoFromNaira(nairaAmount, cryptoCurrency, cryptoPrice) {
     try {
-      const usdAmount = await this.convertNairaToUsd(nairaAmount);
-      const cryptoAmount = usdAmount / cryptoPrice;
+      const rate = await this.getOnrampRate();
+      const usdAmount = toDecimal(nairaAmount).dividedBy(rate.finalPrice);
+      // Round down: the user never receives more crypto than they paid for
+      const cryptoAmount = toAmount(usdAmount.dividedBy(cryptoPrice), cryptoCurrency, 'CREDIT');
       
-      logger.debug(`Onramp crypto calculation: ₦${nairaAmount} → $${usdAmount.toFixed(4)} → ${cryptoAmount.toFixed(8)} ${cryptoCurrency}`);
+      logger.debug(`Onramp crypto calculation: ₦${nairaAmount} → $${usdAmount.toFixed(4)} → ${cryptoAmount} ${cryptoCurrency}`);
       
-      return parseFloat(cryptoAmount.toFixed(8));
+      return cryptoAmount;
     } catch (error) {
       logger.error('Onramp crypto calculation failed:', error);
       throw new Error(`Failed to calculate onramp crypto amount: ${error.message}`);
@@ -176,12 +179,14 @@ class OnrampPriceService {
    */
   async calculateNairaRequired(cryptoAmount, cryptoCurrency, cryptoPrice) {
     try {
-      const usdAmount = cryptoAmount * cryptoPrice;
-      const nairaAmount = await this.convertUsdToNaira(usdAmount);
+      const rate = await this.getOnrampRate();
+      const usdAmount = toDecimal(cryptoAmount).times(cryptoPrice);
+      // Round up: the Naira charged always covers the crypto delivered
+      const nairaAmount = toAmount(usdAmount.times(rate.finalPrice), 'NGNZ', 'DEBIT');
       
-      logger.debug(`Onramp Naira needed: ${cryptoAmount} ${cryptoCurrency} @ $${cryptoPrice} = $${usdAmount.toFixed(4)} → ₦${nairaAmount.toFixed(2)}`);
+      logger.debug(`Onramp Naira needed: ${cryptoAmount} ${cryptoCurrency} @ $${cryptoPrice} = $${usdAmount.toFixed(4)} → ₦${nairaAmount}`);
       
-      return parseFloat(nairaAmount.toFixed(2));
+      return nairaAmount;
     } catch (error) {
       logger.error('Onramp Naira calculation failed:', error);
       throw new Error(`Failed to calculate onramp Naira requirement: ${error.message}`);
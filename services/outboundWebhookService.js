@@ -0,0 +1,333 @@
+// services/outboundWebhookService.js
+//
+// Outbound webhooks to registered partner/internal endpoints
+// (models/webhookEndpoint). emitEvent() is called next to the existing
+// notificationService calls; it never throws into the caller.
+//   - one WebhookDelivery per subscribed endpoint, shared event id
+//   - body signed with HMAC-SHA256: X-Webhook-Signature: t=<unix>,v1=<hex of `${t}.${body}`>
+//   - non-2xx or network errors are retried with exponential backoff
+//   - every attempt is logged on the delivery (adminRoutes/webhookEndpoints)
+
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/webhookEndpoint');
+const { OUTBOUND_EVENT_TYPES } = require('../models/webhookEndpoint');
+const WebhookDelivery = require('../models/webhookDelivery');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = 10;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+const RESPONSE_BODY_LIMIT = 1000;
+const USER_AGENT = 'ZeusODX-Webhooks/1.0';
+
+class OutboundWebhookError extends Error {
+  constructor(message, httpStatus = 400, code = 'OUTBOUND_WEBHOOK_ERROR') {
+    super(message);
+    this.name = 'OutboundWebhookError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {string} X-Webhook-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function retryDelay(attemptCount) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attemptCount - 1), MAX_RETRY_DELAY_MS);
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw new OutboundWebhookError('url must be a valid URL', 400, 'INVALID_URL');
+  }
+  const allowHttp = process.env.NODE_ENV !== 'production';
+  if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+    throw new OutboundWebhookError('url must use https', 400, 'INVALID_URL');
+  }
+  return parsed.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new OutboundWebhookError('events must be a non-empty array', 400, 'INVALID_EVENTS');
+  }
+  const unknown = events.filter(e => e !== '*' && !OUTBOUND_EVENT_TYPES.includes(e));
+  if (unknown.length) {
+    throw new OutboundWebhookError(`Unsupported event types: ${unknown.join(', ')}`, 400, 'INVALID_EVENTS');
+  }
+  return [...new Set(events)];
+}
+
+function scheduleDelivery(deliveryId) {
+  setImmediate(() => {
+    attemptDelivery(deliveryId).catch(error =>
+      logger.error('Outbound webhook delivery crashed', { deliveryId: String(deliveryId), error: error.message })
+    );
+  });
+}
+
+function buildPayload(eventId, type, data) {
+  return { id: eventId, type, createdAt: new Date().toISOString(), data };
+}
+
+/**
+ * Queue an event for every active endpoint subscribed to it. Never throws -
+ * a webhook problem must not fail the deposit/swap/approval that emitted it.
+ * @param {string} type - One of OUTBOUND_EVENT_TYPES
+ * @param {Object} data - Event body; keep to ids, amounts and statuses
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitEvent(type, data) {
+  try {
+    if (!OUTBOUND_EVENT_TYPES.includes(type)) {
+      logger.warn('Unknown outbound webhook event type', { type });
+      return 0;
+    }
+
+    const endpoints = await WebhookEndpoint.find({ active: true, events: { $in: [type, '*'] } }).select('_id').lean();
+    if (!endpoints.length) return 0;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = buildPayload(eventId, type, data);
+    const deliveries = await WebhookDelivery.insertMany(
+      endpoints.map(endpoint => ({ endpointId: endpoint._id, eventId, eventType: type, payload }))
+    );
+
+    deliveries.forEach(delivery => scheduleDelivery(delivery._id));
+    return deliveries.length;
+  } catch (error) {
+    logger.error('Failed to emit outbound webhook event', { type, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Claim one delivery and POST it. Safe to call concurrently.
+ * @returns {Promise<Object|null>} The updated delivery, or null if it was not claimable
+ */
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [
+        { status: 'PENDING', nextAttemptAt: { $lte: now } },
+        { status: 'DELIVERING', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'DELIVERING', lockedAt: now }, $inc: { attemptCount: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select('+secret');
+  if (!endpoint || !endpoint.active) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'FAILED', lockedAt: null },
+      $push: { attempts: { attemptedAt: now, error: endpoint ? 'Endpoint disabled' : 'Endpoint deleted' } }
+    }, { new: true });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: now };
+  const startedAt = Date.now();
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      transformResponse: [data => data]
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = typeof response.data === 'string' ? response.data.slice(0, RESPONSE_BODY_LIMIT) : null;
+    if (response.status < 200 || response.status >= 300) attempt.error = `HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const delivered = !attempt.error;
+  const exhausted = !delivered && delivery.attemptCount >= MAX_ATTEMPTS;
+  const update = { lockedAt: null };
+  if (delivered) {
+    Object.assign(update, { status: 'DELIVERED', deliveredAt: new Date() });
+  } else if (exhausted) {
+    update.status = 'FAILED';
+  } else {
+    Object.assign(update, { status: 'PENDING', nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attemptCount)) });
+  }
+
+  if (!delivered) {
+    logger[exhausted ? 'error' : 'warn']('Outbound webhook delivery failed', {
+      deliveryId: String(delivery._id),
+      endpointId: String(endpoint._id),
+      eventType: delivery.eventType,
+      attempt: delivery.attemptCount,
+      error: attempt.error
+    });
+  }
+
+  await WebhookEndpoint.updateOne(
+    { _id: endpoint._id },
+    { $set: delivered ? { lastDeliveryAt: new Date() } : { lastFailureAt: new Date() } }
+  );
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update, $push: { attempts: attempt } }, { new: true });
+}
+
+/**
+ * Attempt deliveries that are due: retries, deliveries whose immediate
+ * attempt never ran (restart) and abandoned claims.
+ * @returns {Promise<{ due: number, delivered: number, failed: number }>}
+ */
+async function processDueDeliveries() {
+  const now = new Date();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: 'PENDING', nextAttemptAt: { $lte: now } },
+      { status: 'DELIVERING', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const summary = { due: due.length, delivered: 0, failed: 0 };
+  for (const { _id } of due) {
+    const delivery = await attemptDelivery(_id);
+    if (delivery?.status === 'DELIVERED') summary.delivered += 1;
+    else if (delivery) summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * @param {Object} fields - { name, url, events, description? }
+ * @param {Object} admin - req.admin
+ * @returns {Promise<{ endpoint: Object, secret: string }>} The secret is only returned here
+ */
+async function createEndpoint({ name, url, events, description }, admin) {
+  if (!name || typeof name !== 'string') {
+    throw new OutboundWebhookError('name is required', 400, 'INVALID_NAME');
+  }
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    name,
+    url: validateUrl(url),
+    events: validateEvents(events),
+    description: description || null,
+    secret,
+    createdBy: { adminId: admin?.id || null, adminEmail: admin?.email || null }
+  });
+  const { secret: _omit, ...plain } = endpoint.toObject();
+  return { endpoint: plain, secret };
+}
+
+/**
+ * @param {string} endpointId
+ * @param {Object} fields - Any of { name, url, events, description, active }
+ */
+async function updateEndpoint(endpointId, { name, url, events, description, active }) {
+  const $set = {};
+  if (name !== undefined) {
+    if (!name || typeof name !== 'string') throw new OutboundWebhookError('name is required', 400, 'INVALID_NAME');
+    $set.name = name;
+  }
+  if (url !== undefined) $set.url = validateUrl(url);
+  if (events !== undefined) $set.events = validateEvents(events);
+  if (description !== undefined) $set.description = description || null;
+  if (active !== undefined) $set.active = active === true;
+
+  const endpoint = await WebhookEndpoint.findByIdAndUpdate(endpointId, { $set }, { new: true }).lean();
+  if (!endpoint) throw new OutboundWebhookError('Webhook endpoint not found', 404, 'ENDPOINT_NOT_FOUND');
+  return endpoint;
+}
+
+/**
+ * @returns {Promise<{ endpoint: Object, secret: string }>}
+ */
+async function rotateEndpointSecret(endpointId) {
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.findByIdAndUpdate(endpointId, { $set: { secret } }, { new: true }).lean();
+  if (!endpoint) throw new OutboundWebhookError('Webhook endpoint not found', 404, 'ENDPOINT_NOT_FOUND');
+  return { endpoint, secret };
+}
+
+/**
+ * Queue a webhook.test event for a single endpoint and attempt it now.
+ */
+async function sendTestEvent(endpointId) {
+  const endpoint = await WebhookEndpoint.findById(endpointId).lean();
+  if (!endpoint) throw new OutboundWebhookError('Webhook endpoint not found', 404, 'ENDPOINT_NOT_FOUND');
+  if (!endpoint.active) throw new OutboundWebhookError('Webhook endpoint is disabled', 409, 'ENDPOINT_DISABLED');
+
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const delivery = await WebhookDelivery.create({
+    endpointId: endpoint._id,
+    eventId,
+    eventType: 'webhook.test',
+    payload: buildPayload(eventId, 'webhook.test', { endpointId: String(endpoint._id), name: endpoint.name })
+  });
+  return (await attemptDelivery(delivery._id)) || WebhookDelivery.findById(delivery._id);
+}
+
+/**
+ * Send a delivery again now with a fresh attempt budget. The attempt log is kept.
+ */
+async function redeliver(deliveryId) {
+  const current = await WebhookDelivery.findById(deliveryId).select('status').lean();
+  if (!current) throw new OutboundWebhookError('Delivery not found', 404, 'DELIVERY_NOT_FOUND');
+  if (!['FAILED', 'DELIVERED'].includes(current.status)) {
+    throw new OutboundWebhookError('Delivery is still in progress', 409, 'DELIVERY_IN_PROGRESS');
+  }
+
+  const reset = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: current.status },
+    { $set: { status: 'PENDING', attemptCount: 0, nextAttemptAt: new Date(), lockedAt: null } }
+  );
+  if (!reset) throw new OutboundWebhookError('Delivery changed, please retry', 409, 'DELIVERY_CHANGED');
+
+  return (await attemptDelivery(deliveryId)) || WebhookDelivery.findById(deliveryId);
+}
+
+module.exports = {
+  OutboundWebhookError,
+  signPayload,
+  emitEvent,
+  attemptDelivery,
+  processDueDeliveries,
+  createEndpoint,
+  updateEndpoint,
+  rotateEndpointSecret,
+  sendTestEvent,
+  redeliver
+};
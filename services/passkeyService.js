@@ -0,0 +1,280 @@
+// services/passkeyService.js
+//
+// WebAuthn passkeys as a second factor next to the authenticator app (TOTP).
+//
+// Users: a passkey assertion is exchanged for a one-time 2FA code
+// (services/twofactorAuth.generatePasskeyCode), which is then sent as
+// `twoFactorCode` to withdrawals, transfers, bill payments etc. - so every
+// route that calls validateTwoFactorAuth accepts passkeys unchanged.
+// Admins: the assertion is sent to /adminsignin/signin in place of twoFAToken.
+//
+// Challenges are kept in Redis and consumed on first use (replay protection);
+// failed assertions count towards the same 2FA lockout as bad TOTP codes.
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const Passkey = require('../models/passkey');
+const securityService = require('./securityService');
+const logger = require('../utils/logger');
+
+const MAX_PASSKEYS_PER_OWNER = 10;
+
+class PasskeyError extends Error {
+  constructor(message, httpStatus = 400, code = 'PASSKEY_ERROR') {
+    super(message);
+    this.name = 'PasskeyError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function getRelyingParty() {
+  const rpID = process.env.WEBAUTHN_RP_ID;
+  const origins = (process.env.WEBAUTHN_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+  if (!rpID || origins.length === 0) {
+    throw new PasskeyError('Passkeys are not available', 503, 'PASSKEYS_NOT_CONFIGURED');
+  }
+  return { rpID, rpName: process.env.WEBAUTHN_RP_NAME || 'ZeusODX', origins };
+}
+
+// Admin ids get their own namespace in the securityService lockout keys
+const lockoutKey = (ownerType, ownerId) =>
+  ownerType === 'ADMIN' ? `admin:${ownerId}` : String(ownerId);
+
+const challengeKey = (purpose, ownerType, ownerId) => `${purpose}:${ownerType}:${ownerId}`;
+
+function toSummary(passkey) {
+  return {
+    id: passkey._id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt
+  };
+}
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {{ type: 'USER'|'ADMIN', id: string, name: string, displayName?: string }} owner
+ */
+async function registrationOptions(owner) {
+  const { rpID, rpName } = getRelyingParty();
+
+  const existing = await Passkey.find({ ownerType: owner.type, ownerId: owner.id })
+    .select('credentialId transports')
+    .lean();
+  if (existing.length >= MAX_PASSKEYS_PER_OWNER) {
+    throw new PasskeyError(`You can register up to ${MAX_PASSKEYS_PER_OWNER} passkeys`, 400, 'PASSKEY_LIMIT_REACHED');
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: owner.name,
+    userDisplayName: owner.displayName || owner.name,
+    userID: isoUint8Array.fromUTF8String(`${owner.type}:${owner.id}`),
+    attestationType: 'none',
+    excludeCredentials: existing.map((p) => ({ id: p.credentialId, transports: p.transports })),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'required' }
+  });
+
+  const stored = await securityService.storeWebAuthnChallenge(
+    challengeKey('reg', owner.type, owner.id),
+    options.challenge
+  );
+  if (!stored) throw new PasskeyError('Passkeys are temporarily unavailable', 503, 'PASSKEYS_UNAVAILABLE');
+
+  return options;
+}
+
+/**
+ * Verify the navigator.credentials.create() result and save the passkey
+ * @param {{ type: 'USER'|'ADMIN', id: string }} owner
+ * @param {Object} response - RegistrationResponseJSON from the client
+ * @param {string} [name] - Label shown in the passkey list
+ */
+async function verifyRegistration(owner, response, name) {
+  const { rpID, origins } = getRelyingParty();
+
+  const expectedChallenge = await securityService.consumeWebAuthnChallenge(
+    challengeKey('reg', owner.type, owner.id)
+  );
+  if (!expectedChallenge) {
+    throw new PasskeyError('Passkey registration expired. Please start again.', 400, 'CHALLENGE_EXPIRED');
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    logger.warn('Passkey registration rejected', { ownerType: owner.type, ownerId: String(owner.id), error: error.message });
+    throw new PasskeyError('Passkey registration could not be verified', 400, 'INVALID_PASSKEY');
+  }
+  if (!verification.verified) {
+    throw new PasskeyError('Passkey registration could not be verified', 400, 'INVALID_PASSKEY');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  try {
+    const passkey = await Passkey.create({
+      ownerType: owner.type,
+      ownerId: owner.id,
+      credentialId: credential.id,
+      publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name: name ? String(name).trim().slice(0, 64) : undefined
+    });
+    logger.info('Passkey registered', { ownerType: owner.type, ownerId: String(owner.id), passkeyId: passkey._id });
+    return toSummary(passkey);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new PasskeyError('This passkey is already registered', 409, 'PASSKEY_EXISTS');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {'USER'|'ADMIN'} ownerType
+ * @param {string} ownerId
+ */
+async function authenticationOptions(ownerType, ownerId) {
+  const { rpID } = getRelyingParty();
+
+  const passkeys = await Passkey.find({ ownerType, ownerId }).select('credentialId transports').lean();
+  if (passkeys.length === 0) {
+    throw new PasskeyError('No passkeys registered', 404, 'NO_PASSKEYS');
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: passkeys.map((p) => ({ id: p.credentialId, transports: p.transports })),
+    userVerification: 'required'
+  });
+
+  const stored = await securityService.storeWebAuthnChallenge(
+    challengeKey('auth', ownerType, ownerId),
+    options.challenge
+  );
+  if (!stored) throw new PasskeyError('Passkeys are temporarily unavailable', 503, 'PASSKEYS_UNAVAILABLE');
+
+  return options;
+}
+
+/**
+ * Verify a navigator.credentials.get() result as a second factor.
+ * Applies the 2FA lockout: failures are recorded, success resets the counter.
+ * @param {'USER'|'ADMIN'} ownerType
+ * @param {string} ownerId
+ * @param {Object} response - AuthenticationResponseJSON from the client
+ * @returns {Promise<true>} Throws PasskeyError when the assertion is rejected
+ */
+async function verifyPasskeyAssertion(ownerType, ownerId, response) {
+  const { rpID, origins } = getRelyingParty();
+  const attemptsKey = lockoutKey(ownerType, ownerId);
+
+  const attemptCheck = await securityService.check2FAAttempts(attemptsKey);
+  if (!attemptCheck.allowed) {
+    throw new PasskeyError(attemptCheck.message, 429, 'TWO_FA_LOCKED');
+  }
+
+  const reject = async (reason) => {
+    await securityService.record2FAFailure(attemptsKey);
+    logger.warn('Passkey assertion rejected', { ownerType, ownerId: String(ownerId), reason });
+    throw new PasskeyError('Passkey verification failed', 401, 'INVALID_PASSKEY');
+  };
+
+  // Consumed before anything else so a response can only ever be tried once
+  const expectedChallenge = await securityService.consumeWebAuthnChallenge(
+    challengeKey('auth', ownerType, ownerId)
+  );
+  if (!expectedChallenge) {
+    throw new PasskeyError('Passkey request expired. Please try again.', 400, 'CHALLENGE_EXPIRED');
+  }
+
+  const passkey = response?.id
+    ? await Passkey.findOne({ ownerType, ownerId, credentialId: response.id })
+    : null;
+  if (!passkey) return reject('unknown credential');
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: isoBase64URL.toBuffer(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports
+      },
+      requireUserVerification: true
+    });
+  } catch (error) {
+    return reject(error.message);
+  }
+  if (!verification.verified) return reject('not verified');
+
+  passkey.counter = verification.authenticationInfo.newCounter;
+  passkey.lastUsedAt = new Date();
+  await passkey.save();
+  await securityService.reset2FAAttempts(attemptsKey);
+
+  return true;
+}
+
+async function listPasskeys(ownerType, ownerId) {
+  const passkeys = await Passkey.find({ ownerType, ownerId }).sort({ createdAt: -1 }).lean();
+  return passkeys.map(toSummary);
+}
+
+async function removePasskey(ownerType, ownerId, passkeyId) {
+  const removed = await Passkey.findOneAndDelete({ _id: passkeyId, ownerType, ownerId });
+  if (!removed) throw new PasskeyError('Passkey not found', 404, 'PASSKEY_NOT_FOUND');
+  logger.info('Passkey removed', { ownerType, ownerId: String(ownerId), passkeyId });
+}
+
+// Passkeys are a 2FA factor: turning 2FA off removes them
+async function removeAllPasskeys(ownerType, ownerId) {
+  const { deletedCount } = await Passkey.deleteMany({ ownerType, ownerId });
+  if (deletedCount) logger.info('Passkeys removed', { ownerType, ownerId: String(ownerId), count: deletedCount });
+  return deletedCount;
+}
+
+async function hasPasskeys(ownerType, ownerId) {
+  return Boolean(await Passkey.exists({ ownerType, ownerId }));
+}
+
+module.exports = {
+  PasskeyError,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyPasskeyAssertion,
+  listPasskeys,
+  removePasskey,
+  removeAllPasskeys,
+  hasPasskeys
+};
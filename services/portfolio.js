@@ -5,6 +5,8 @@ const PriceChange = require('../models/pricechange'); // FIXED: Use PriceChange
 const GlobalMarkdown = require('../models/pricemarkdown');
 const NairaMarkdown = require('../models/offramp');
 const logger = require('../utils/logger');
+const { postEntry } = require('./ledgerService');
+const { SUPPORTED_TOKENS, getAsset } = require('./assetRegistry'); // live view of enabled assets
 
 // Configuration
 const CONFIG = {
@@ -13,51 +15,6 @@ const CONFIG = {
   RETRY_DELAY: 1000,
 };
 
-// ALIGNED WITH USER SCHEMA: All tokens that exist in user.js balance fields
-const SUPPORTED_TOKENS = {
-  BTC: { 
-    isStablecoin: false, 
-    supportedByJob: true // Populated by updateCryptoPrices job
-  },
-  ETH: { 
-    isStablecoin: false, 
-    supportedByJob: true
-  },
-  SOL: { 
-    isStablecoin: false, 
-    supportedByJob: true
-  },
-  USDT: { 
-    isStablecoin: true, 
-    supportedByJob: true
-  },
-  USDC: { 
-    isStablecoin: true, 
-    supportedByJob: true
-  },
-  BNB: { 
-    isStablecoin: false, 
-    supportedByJob: true
-  },
-  MATIC: { 
-    isStablecoin: false, 
-    supportedByJob: true
-  },
-  TRX: {
-    isStablecoin: false,
-    supportedByJob: true
-  },
-  TON: {
-    isStablecoin: false,
-    supportedByJob: true
-  },
-  NGNZ: { 
-    isStablecoin: true, 
-    isNairaPegged: true, 
-    supportedByJob: false // Calculated from offramp rate
-  },
-};
-
 // Get global markdown percentage
 async function getGlobalMarkdownPercentage() {
   try {
@@ -223,24 +180,17 @@ async function fetchDatabasePrices(tokens) {
 // Fallback prices (used when job-populated database is unavailable)
 async function getFallbackPrices(tokens) {
   const fallbackPrices = new Map();
-  const fallbacks = {
-    'BTC': 65000,
-    'ETH': 3200,
-    'SOL': 200,
-    'USDT': 1,
-    'USDC': 1,
-    'BNB': 580,
-    'MATIC': 0.85,
-    'TRX': 0.14,
-    'TON': 5.5,
-    'NGNZ': 1 / await getNairaOfframpRate(),
-  };
+  const ngnzFallback = 1 / await getNairaOfframpRate();
   
   for (const token of tokens) {
     const upperToken = token.toUpperCase();
     if (SUPPORTED_TOKENS[upperToken]) {
-      fallbackPrices.set(upperToken, fallbacks[upperToken] || 0);
-      logger.debug(`Set fallback price: ${upperToken} = $${fallbacks[upperToken]}`);
+      const { priceSource } = getAsset(upperToken);
+      const fallback = priceSource.provider === 'offramp'
+        ? ngnzFallback
+        : (priceSource.fallbackPriceUsd || priceSource.fixedPriceUsd || 0);
+      fallbackPrices.set(upperToken, fallback);
+      logger.debug(`Set fallback price: ${upperToken} = $${fallback}`);
     }
   }
   
@@ -403,34 +353,15 @@ async function updateUserBalance(userId, currency, amount, session = null) {
     const currentPrice = prices[currencyUpper] || 0;
     const usdAmount = amount * currentPrice;
     
-    // Map currency to correct balance fields
-    const currencyLower = currencyUpper.toLowerCase();
-    const balanceField = `${currencyLower}Balance`;
-    const usdBalanceField = `${currencyLower}BalanceUSD`;
-    
-    // Build update object
-    const updateFields = {
-      $inc: {
-        [balanceField]: amount,
-        [usdBalanceField]: usdAmount
-      },
-      $set: {
-        lastBalanceUpdate: new Date()
-      }
-    };
-    
-    // Execute update with or without session
-    const updateOptions = { 
-      new: true, 
-      runValidators: true,
+    // Post the movement through the ledger (joins the caller's session if given)
+    const { user } = await postEntry({
+      type: 'INTERNAL_TRANSFER',
+      userId,
+      description: `Internal transfer ${amount > 0 ? 'credit' : 'debit'} of ${Math.abs(amount)} ${currencyUpper}`,
+      changes: [{ currency: currencyUpper, balanceDelta: amount, requireFunds: false }],
+      metadata: { usdAmount },
       ...(session && { session })
-    };
-    
-    const user = await User.findByIdAndUpdate(userId, updateFields, updateOptions);
-    
-    if (!user) {
-      throw new Error(`User not found: ${userId}`);
-    }
+    });
     
     // Recalculate total portfolio balance
     const totalPortfolioBalance = 
@@ -0,0 +1,347 @@
+// services/quoteService.js
+//
+// Shared quote store for both swap routers (/swap and /ngnz-swap).
+//
+// Quotes live in Redis so a quote created on one instance can be accepted on
+// any other. Each quote has an explicit lifecycle:
+//
+//   CREATED ──accept──▶ ACCEPTED ──complete──▶ EXECUTED
+//      │                    └──────fail──────▶ FAILED
+//      └──────expire──────▶ EXPIRED
+//
+// Transitions are compare-and-set in Redis, so two nodes racing to accept the
+// same quote cannot both win. Every transition writes a TransactionAudit
+// QUOTE_* event.
+//
+// Falls back to an in-memory store if Redis is unavailable, like the old
+// ngnz quote cache did, so swaps keep working on a single node during an outage.
+
+'use strict';
+
+const { getRedisClient } = require('../utils/redis');
+const TransactionAudit = require('../models/TransactionAudit');
+const logger = require('../utils/logger');
+
+const QUOTE_STATES = {
+  CREATED: 'CREATED',
+  ACCEPTED: 'ACCEPTED',
+  EXECUTED: 'EXECUTED',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Allowed transitions; EXECUTED, FAILED and EXPIRED are terminal
+const TRANSITIONS = {
+  CREATED: ['ACCEPTED', 'EXPIRED'],
+  ACCEPTED: ['EXECUTED', 'FAILED'],
+  EXECUTED: [],
+  FAILED: [],
+  EXPIRED: []
+};
+
+const STATE_AUDIT_EVENTS = {
+  CREATED: 'QUOTE_CREATED',
+  ACCEPTED: 'QUOTE_ACCEPTED',
+  EXECUTED: 'QUOTE_EXECUTED',
+  FAILED: 'QUOTE_FAILED',
+  EXPIRED: 'QUOTE_EXPIRED'
+};
+
+const DEFAULT_QUOTE_TTL_MS = 30000;
+// Quotes stay readable this long after expiry so late accepts get a 410, not a 404
+const RETENTION_SECONDS = 10 * 60;
+
+const KEY_PREFIX = 'quote:';
+const EXPIRY_INDEX_KEY = 'quote:expiry';
+
+// Compare-and-set on the state field: returns the quote JSON on success,
+// the current state when it did not match, or nil when the quote is gone
+const TRANSITION_SCRIPT = `
+  local state = redis.call('HGET', KEYS[1], 'state')
+  if not state then return nil end
+  if state ~= ARGV[1] then return {0, state} end
+  redis.call('HSET', KEYS[1], 'state', ARGV[2], 'updatedAt', ARGV[3])
+  return {1, redis.call('HGET', KEYS[1], 'data')}
+`;
+
+// In-memory fallback — used when Redis is down
+const fallbackStore = new Map();
+
+function quoteKey(quoteId) {
+  return `${KEY_PREFIX}${quoteId}`;
+}
+
+function redisOrNull() {
+  try {
+    return getRedisClient();
+  } catch (err) {
+    logger.warn('Quote store: Redis client unavailable, using in-memory fallback', { error: err.message });
+    return null;
+  }
+}
+
+async function writeQuoteAudit(quote, state, { status = 'SUCCESS', description, errorDetails, extra = {} } = {}) {
+  try {
+    await TransactionAudit.createAudit({
+      userId: quote.userId,
+      eventType: STATE_AUDIT_EVENTS[state],
+      status,
+      source: extra.source || 'API_ENDPOINT',
+      action: `Quote ${state.toLowerCase()}`,
+      description: description || `Quote ${quote.id} moved to ${state}`,
+      errorDetails,
+      swapDetails: {
+        quoteId: quote.id,
+        sourceCurrency: quote.sourceCurrency,
+        targetCurrency: quote.targetCurrency,
+        sourceAmount: quote.amount,
+        targetAmount: quote.amountReceived,
+        exchangeRate: quote.rate,
+        provider: quote.provider,
+        ...extra.swapDetails
+      },
+      relatedEntities: {
+        correlationId: quote.correlationId,
+        ...extra.relatedEntities
+      },
+      requestData: extra.requestData || null,
+      systemContext: extra.systemContext,
+      metadata: { quoteKind: quote.kind, state, ...extra.metadata },
+      tags: ['quote', quote.kind === 'NGNZ_SWAP' ? 'ngnz-swap' : 'swap', state.toLowerCase(), ...(extra.tags || [])]
+    });
+  } catch (error) {
+    logger.error('Failed to write quote audit', { quoteId: quote.id, state, error: error.message });
+  }
+}
+
+async function storeQuote(quote, ttlMs) {
+  const redis = redisOrNull();
+  const ttlSeconds = Math.ceil(ttlMs / 1000) + RETENTION_SECONDS;
+  if (redis) {
+    try {
+      await redis.multi()
+        .hset(quoteKey(quote.id), 'data', JSON.stringify(quote), 'state', QUOTE_STATES.CREATED, 'updatedAt', new Date().toISOString())
+        .expire(quoteKey(quote.id), ttlSeconds)
+        .zadd(EXPIRY_INDEX_KEY, new Date(quote.expiresAt).getTime(), quote.id)
+        .exec();
+      return;
+    } catch (err) {
+      logger.warn('Quote store: Redis write failed, using in-memory fallback', { quoteId: quote.id, error: err.message });
+    }
+  }
+  fallbackStore.set(quote.id, { data: quote, state: QUOTE_STATES.CREATED });
+  setTimeout(() => fallbackStore.delete(quote.id), ttlSeconds * 1000).unref?.();
+}
+
+/**
+ * Atomically move a quote from one state to another.
+ * @returns {Promise<{ ok: boolean, quote?: Object, state?: string }>}
+ *   ok=false with no state means the quote does not exist (or was evicted)
+ */
+async function transition(quoteId, from, to) {
+  if (!TRANSITIONS[from]?.includes(to)) {
+    throw new Error(`Invalid quote transition ${from} -> ${to}`);
+  }
+
+  const redis = redisOrNull();
+  if (redis && !fallbackStore.has(quoteId)) {
+    try {
+      const result = await redis.eval(TRANSITION_SCRIPT, 1, quoteKey(quoteId), from, to, new Date().toISOString());
+      if (!result) return { ok: false };
+      if (result[0] !== 1) return { ok: false, state: result[1] };
+      await redis.zrem(EXPIRY_INDEX_KEY, quoteId);
+      return { ok: true, quote: { ...JSON.parse(result[1]), state: to } };
+    } catch (err) {
+      logger.warn('Quote store: Redis transition failed, trying in-memory fallback', { quoteId, error: err.message });
+    }
+  }
+
+  const entry = fallbackStore.get(quoteId);
+  if (!entry) return { ok: false };
+  if (entry.state !== from) return { ok: false, state: entry.state };
+  entry.state = to;
+  return { ok: true, quote: { ...entry.data, state: to } };
+}
+
+/**
+ * Read a quote and its current state
+ * @param {string} quoteId
+ * @returns {Promise<Object|null>}
+ */
+async function getQuote(quoteId) {
+  const redis = redisOrNull();
+  if (redis && !fallbackStore.has(quoteId)) {
+    try {
+      const [data, state] = await redis.hmget(quoteKey(quoteId), 'data', 'state');
+      return data ? { ...JSON.parse(data), state } : null;
+    } catch (err) {
+      logger.warn('Quote store: Redis read failed, trying in-memory fallback', { quoteId, error: err.message });
+    }
+  }
+  const entry = fallbackStore.get(quoteId);
+  return entry ? { ...entry.data, state: entry.state } : null;
+}
+
+/**
+ * Store a new quote in the CREATED state and audit it
+ * @param {Object} options
+ * @param {'SWAP'|'NGNZ_SWAP'} options.kind - Which router owns the quote
+ * @param {string} options.userId - Only this user may accept the quote
+ * @param {Object} options.payload - Quote body returned to the client (must include `id`)
+ * @param {number} [options.ttlMs=30000]
+ * @param {Object} [options.audit] - Extra audit fields (systemContext, requestData, swapDetails, tags)
+ * @returns {Promise<Object>} The payload with `expiresAt` and `state`
+ */
+async function createQuote({ kind, userId, payload, ttlMs = DEFAULT_QUOTE_TTL_MS, audit = {} }) {
+  if (!payload?.id) throw new Error('Quote payload needs an id');
+
+  const quote = {
+    ...payload,
+    kind,
+    userId: String(userId),
+    expiresAt: payload.expiresAt || new Date(Date.now() + ttlMs).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+
+  await storeQuote(quote, ttlMs);
+  await writeQuoteAudit(quote, QUOTE_STATES.CREATED, {
+    description: `Created ${kind} quote ${quote.id}: ${quote.amount} ${quote.sourceCurrency} to ${quote.targetCurrency}`,
+    extra: audit
+  });
+
+  return { ...quote, state: QUOTE_STATES.CREATED };
+}
+
+/**
+ * Expire a CREATED quote. A no-op if another node already moved it on.
+ * @returns {Promise<boolean>} True if this call expired the quote
+ */
+async function expireQuote(quoteId, audit = {}) {
+  const result = await transition(quoteId, QUOTE_STATES.CREATED, QUOTE_STATES.EXPIRED);
+  if (!result.ok) return false;
+
+  await writeQuoteAudit(result.quote, QUOTE_STATES.EXPIRED, {
+    status: 'INFO',
+    description: `Quote ${quoteId} expired at ${result.quote.expiresAt}`,
+    extra: audit
+  });
+  return true;
+}
+
+/**
+ * Claim a quote for execution (CREATED -> ACCEPTED).
+ * Only the user who requested the quote can accept it, and only once.
+ *
+ * @param {string} quoteId
+ * @param {string} userId
+ * @param {Object} [audit] - Extra audit fields
+ * @returns {Promise<{ ok: boolean, quote?: Object, code?: string, httpStatus?: number, message?: string }>}
+ */
+async function acceptQuote(quoteId, userId, audit = {}) {
+  const existing = await getQuote(quoteId);
+  if (!existing || existing.userId !== String(userId)) {
+    return { ok: false, code: 'QUOTE_NOT_FOUND', httpStatus: 404, message: 'Quote not found or expired' };
+  }
+
+  if (existing.state === QUOTE_STATES.CREATED && Date.now() > new Date(existing.expiresAt).getTime()) {
+    await expireQuote(quoteId, audit);
+    return { ok: false, code: 'QUOTE_EXPIRED', httpStatus: 410, message: 'Quote has expired', quote: existing };
+  }
+
+  const result = await transition(quoteId, QUOTE_STATES.CREATED, QUOTE_STATES.ACCEPTED);
+  if (!result.ok) {
+    if (result.state === QUOTE_STATES.EXPIRED) {
+      return { ok: false, code: 'QUOTE_EXPIRED', httpStatus: 410, message: 'Quote has expired', quote: existing };
+    }
+    if (result.state) {
+      return { ok: false, code: 'QUOTE_ALREADY_USED', httpStatus: 409, message: 'Quote has already been used', quote: existing };
+    }
+    return { ok: false, code: 'QUOTE_NOT_FOUND', httpStatus: 404, message: 'Quote not found or expired' };
+  }
+
+  await writeQuoteAudit(result.quote, QUOTE_STATES.ACCEPTED, {
+    description: `Quote ${quoteId} accepted for execution`,
+    extra: audit
+  });
+  return { ok: true, quote: result.quote };
+}
+
+/**
+ * Mark an accepted quote as executed (ACCEPTED -> EXECUTED)
+ * @param {string} quoteId
+ * @param {Object} [audit] - Extra audit fields, e.g. { swapDetails: { swapId } }
+ */
+async function completeQuote(quoteId, audit = {}) {
+  const result = await transition(quoteId, QUOTE_STATES.ACCEPTED, QUOTE_STATES.EXECUTED);
+  if (!result.ok) {
+    logger.warn('Quote could not be marked executed', { quoteId, state: result.state || null });
+    return false;
+  }
+
+  await writeQuoteAudit(result.quote, QUOTE_STATES.EXECUTED, {
+    description: `Quote ${quoteId} executed`,
+    extra: audit
+  });
+  return true;
+}
+
+/**
+ * Mark an accepted quote as failed (ACCEPTED -> FAILED). Failed quotes cannot be retried.
+ * @param {string} quoteId
+ * @param {Error|string} error
+ * @param {Object} [audit] - Extra audit fields
+ */
+async function failQuote(quoteId, error, audit = {}) {
+  const result = await transition(quoteId, QUOTE_STATES.ACCEPTED, QUOTE_STATES.FAILED);
+  if (!result.ok) return false;
+
+  const message = error?.message || String(error || 'Quote execution failed');
+  await writeQuoteAudit(result.quote, QUOTE_STATES.FAILED, {
+    status: 'FAILED',
+    description: `Quote ${quoteId} failed: ${message}`.slice(0, 500),
+    errorDetails: { message, code: error?.code || 'QUOTE_EXECUTION_FAILED' },
+    extra: audit
+  });
+  return true;
+}
+
+/**
+ * Expire every CREATED quote whose expiry has passed. Safe to run on every
+ * instance: the state transition decides which node writes the audit.
+ * @returns {Promise<number>} Quotes expired by this call
+ */
+async function expireDueQuotes() {
+  const now = Date.now();
+  let dueIds = [];
+
+  const redis = redisOrNull();
+  if (redis) {
+    try {
+      dueIds = await redis.zrangebyscore(EXPIRY_INDEX_KEY, 0, now, 'LIMIT', 0, 500);
+      if (dueIds.length > 0) await redis.zrem(EXPIRY_INDEX_KEY, ...dueIds);
+    } catch (err) {
+      logger.warn('Quote store: Redis expiry sweep failed', { error: err.message });
+    }
+  }
+  for (const [id, entry] of fallbackStore.entries()) {
+    if (entry.state === QUOTE_STATES.CREATED && now > new Date(entry.data.expiresAt).getTime()) dueIds.push(id);
+  }
+
+  let expired = 0;
+  for (const id of dueIds) {
+    if (await expireQuote(id, { source: 'BACKGROUND_JOB' })) expired += 1;
+  }
+  return expired;
+}
+
+module.exports = {
+  QUOTE_STATES,
+  DEFAULT_QUOTE_TTL_MS,
+  createQuote,
+  getQuote,
+  acceptQuote,
+  completeQuote,
+  failQuote,
+  expireQuote,
+  expireDueQuotes
+};
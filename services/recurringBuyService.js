@@ -0,0 +1,356 @@
+// services/recurringBuyService.js
+//
+// Recurring buys (DCA): scheduled NGNZ -> crypto swaps.
+//
+// Every few minutes the scheduler picks up plans whose nextRunAt has passed,
+// advances nextRunAt atomically (so only one instance runs a slot), and then
+// executes the slot through the same quote/accept path as POST /ngnz-swap.
+// Runs that cannot go ahead (balance, KYC limit) are recorded as SKIPPED and
+// the user gets a push notification; the plan pauses itself after
+// MAX_CONSECUTIVE_SKIPS skipped runs in a row.
+
+const User = require('../models/user');
+const RecurringBuy = require('../models/recurringBuy');
+const RecurringBuyRun = require('../models/recurringBuyRun');
+const quoteService = require('./quoteService');
+const { validateTransactionLimit, invalidateSpending } = require('./kyccheckservice');
+const { sendCustomNotification } = require('./notificationService');
+const { queueNgnzObiexSwap } = require('./backgroundJobs');
+const { resolveSymbol, isAssetEnabled, getBalanceFields, readUserBalance } = require('./assetRegistry');
+const { toDecimal } = require('../utils/money');
+const { validateSchedule, computeNextRunAt, followingRunAt } = require('../utils/schedule');
+const logger = require('../utils/logger');
+
+const MIN_AMOUNT_NGNZ = 1000;
+const MAX_ACTIVE_PLANS_PER_USER = 10;
+const MAX_CONSECUTIVE_SKIPS = 3;
+// Slots older than this are skipped rather than bought late (e.g. after an outage)
+const MAX_RUN_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const WORKER_CONTEXT = {
+  ipAddress: 'internal',
+  userAgent: 'recurring-buy-worker',
+  sessionId: 'recurring-buy-worker',
+  platform: 'worker'
+};
+
+class RecurringBuyError extends Error {
+  constructor(message, httpStatus = 400, code = 'RECURRING_BUY_ERROR') {
+    super(message);
+    this.name = 'RecurringBuyError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// Loaded lazily so the scheduler does not pull Express routes in at require time
+function ngnzSwapRouter() {
+  return require('../routes/NGNZSwaps');
+}
+
+function generateCorrelationId() {
+  return `CORR_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create a recurring buy plan
+ * @param {string} userId
+ * @param {Object} params - { targetCurrency, amount, frequency, hourUtc, dayOfWeek, dayOfMonth }
+ * @returns {Promise<RecurringBuy>}
+ */
+async function createPlan(userId, { targetCurrency, amount, frequency, hourUtc = 9, dayOfWeek = null, dayOfMonth = null }) {
+  const target = resolveSymbol(targetCurrency);
+  if (!target || target === 'NGNZ') {
+    throw new RecurringBuyError('Unsupported target currency');
+  }
+  if (!isAssetEnabled('NGNZ', 'swap') || !isAssetEnabled(target, 'swap')) {
+    throw new RecurringBuyError(`Swaps into ${target} are currently disabled`);
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < MIN_AMOUNT_NGNZ) {
+    throw new RecurringBuyError(`Minimum recurring buy amount is ₦${MIN_AMOUNT_NGNZ}`);
+  }
+
+  const schedule = { frequency, hourUtc, dayOfWeek, dayOfMonth };
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) throw new RecurringBuyError(scheduleError);
+
+  const activeCount = await RecurringBuy.countDocuments({ userId, status: { $in: ['ACTIVE', 'PAUSED'] } });
+  if (activeCount >= MAX_ACTIVE_PLANS_PER_USER) {
+    throw new RecurringBuyError(`You can have at most ${MAX_ACTIVE_PLANS_PER_USER} recurring buys`, 409, 'TOO_MANY_PLANS');
+  }
+
+  const plan = await RecurringBuy.create({
+    userId,
+    targetCurrency: target,
+    amount,
+    frequency,
+    hourUtc,
+    dayOfWeek: ['WEEKLY', 'BIWEEKLY'].includes(frequency) ? dayOfWeek : null,
+    dayOfMonth: frequency === 'MONTHLY' ? dayOfMonth : null,
+    nextRunAt: computeNextRunAt(schedule)
+  });
+
+  logger.info('Recurring buy created', {
+    planId: plan.planId, userId: String(userId), targetCurrency: target, amount: plan.amount, frequency
+  });
+  return plan;
+}
+
+/**
+ * Change a plan's status (pause / resume / cancel)
+ * @returns {Promise<RecurringBuy>}
+ */
+async function setPlanStatus(userId, planId, status) {
+  const plan = await RecurringBuy.findOne({ planId, userId });
+  if (!plan) throw new RecurringBuyError('Recurring buy not found', 404, 'NOT_FOUND');
+  if (plan.status === 'CANCELLED') {
+    throw new RecurringBuyError('Recurring buy is cancelled', 409, 'CANCELLED');
+  }
+
+  plan.status = status;
+  plan.pausedReason = status === 'PAUSED' ? 'USER' : null;
+  if (status === 'ACTIVE') {
+    plan.consecutiveSkips = 0;
+    plan.nextRunAt = computeNextRunAt(plan);
+  }
+  await plan.save();
+  return plan;
+}
+
+async function notifyUser(plan, title, message, data = {}) {
+  try {
+    await sendCustomNotification(plan.userId, title, message, { type: 'RECURRING_BUY', planId: plan.planId, ...data });
+  } catch (error) {
+    logger.warn('Recurring buy notification failed', { planId: plan.planId, error: error.message });
+  }
+}
+
+/**
+ * Record a skipped run; pause the plan after too many in a row
+ */
+async function skipRun(plan, scheduledFor, reason, message) {
+  await RecurringBuyRun.create({
+    planId: plan.planId,
+    userId: plan.userId,
+    scheduledFor,
+    status: 'SKIPPED',
+    reason,
+    message,
+    targetCurrency: plan.targetCurrency,
+    amount: plan.amount
+  });
+
+  const updated = await RecurringBuy.findOneAndUpdate(
+    { _id: plan._id },
+    { $inc: { consecutiveSkips: 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.status === 'ACTIVE' && updated.consecutiveSkips >= MAX_CONSECUTIVE_SKIPS) {
+    await RecurringBuy.updateOne({ _id: plan._id, status: 'ACTIVE' }, { $set: { status: 'PAUSED', pausedReason: reason } });
+    await notifyUser(
+      plan,
+      'Recurring buy paused',
+      `Your ₦${plan.amount} ${plan.targetCurrency} recurring buy was paused after ${MAX_CONSECUTIVE_SKIPS} skipped runs. ${message}`,
+      { reason }
+    );
+    return 'SKIPPED';
+  }
+
+  await notifyUser(plan, 'Recurring buy skipped', `Your ₦${plan.amount} ${plan.targetCurrency} recurring buy was skipped. ${message}`, { reason });
+  return 'SKIPPED';
+}
+
+/**
+ * Execute one scheduled slot of a plan
+ * @returns {Promise<'EXECUTED'|'SKIPPED'|'FAILED'>}
+ */
+async function executeRun(plan, scheduledFor) {
+  const userId = String(plan.userId);
+  const correlationId = generateCorrelationId();
+
+  if (Date.now() - scheduledFor.getTime() > MAX_RUN_DELAY_MS) {
+    return skipRun(plan, scheduledFor, 'MISSED_WINDOW', 'The scheduled time passed while the service was unavailable.');
+  }
+  if (!isAssetEnabled(plan.targetCurrency, 'swap')) {
+    return skipRun(plan, scheduledFor, 'ASSET_DISABLED', `Swaps into ${plan.targetCurrency} are currently disabled.`);
+  }
+
+  // 1. Balance and KYC checks
+  const { balanceField } = getBalanceFields('NGNZ');
+  const user = await User.findById(userId).select(balanceField).lean();
+  if (!user) {
+    await RecurringBuy.updateOne({ _id: plan._id }, { $set: { status: 'CANCELLED', pausedReason: 'USER_NOT_FOUND' } });
+    return 'FAILED';
+  }
+  const { balance } = readUserBalance(user, 'NGNZ');
+  if (toDecimal(balance).lt(plan.amount)) {
+    return skipRun(plan, scheduledFor, 'INSUFFICIENT_BALANCE', `You need ₦${plan.amount} NGNZ but have ₦${balance}.`);
+  }
+
+  const kycCheck = await validateTransactionLimit(userId, plan.amount, 'NGNZ', 'SWAP');
+  if (!kycCheck.allowed) {
+    return skipRun(plan, scheduledFor, 'KYC_LIMIT', kycCheck.message);
+  }
+
+  // 2. Quote and execute through the NGNZ swap path
+  const ngnz = ngnzSwapRouter();
+  const pair = await ngnz.validateNGNZSwap('NGNZ', plan.targetCurrency);
+  const pricing = await ngnz.calculateNGNZQuote(pair, plan.amount);
+  if (!pricing.success) {
+    return skipRun(plan, scheduledFor, 'PRICE_UNAVAILABLE', `Price for ${pricing.currency} was unavailable.`);
+  }
+
+  const audit = { source: 'BACKGROUND_JOB', systemContext: WORKER_CONTEXT, tags: ['recurring-buy'] };
+  const quote = await quoteService.createQuote({
+    kind: 'NGNZ_SWAP',
+    userId,
+    payload: {
+      id: `ngnz_${pricing.flow.toLowerCase()}_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+      amount: plan.amount,
+      amountReceived: pricing.receiveAmount,
+      sourceAmountUSD: pricing.sourceAmountUSD,
+      targetAmountUSD: pricing.targetAmountUSD,
+      rate: pricing.rate,
+      cryptoPrice: pricing.cryptoPrice,
+      side: 'BUY',
+      sourceCurrency: 'NGNZ',
+      targetCurrency: plan.targetCurrency,
+      provider: pricing.provider,
+      type: pricing.swapType,
+      flow: pricing.flow,
+      correlationId,
+      recurringBuyId: plan.planId
+    },
+    audit
+  });
+
+  const claim = await quoteService.acceptQuote(quote.id, userId, audit);
+  if (!claim.ok) {
+    throw new Error(claim.message);
+  }
+
+  let swapResult;
+  try {
+    swapResult = await ngnz.executeNGNZSwap(userId, claim.quote, correlationId, WORKER_CONTEXT);
+  } catch (error) {
+    await quoteService.failQuote(quote.id, error, audit);
+    throw Object.assign(error, { quoteId: quote.id, correlationId });
+  }
+
+  queueNgnzObiexSwap(userId, claim.quote, swapResult.swapId, correlationId, WORKER_CONTEXT);
+  invalidateSpending(userId, 'SWAP');
+
+  // The swap has happened; bookkeeping failures below must not be reported as a failed buy
+  try {
+    await recordExecutedRun(plan, scheduledFor, claim.quote, swapResult, correlationId);
+  } catch (error) {
+    logger.error('Recurring buy bookkeeping failed after swap', {
+      planId: plan.planId, swapId: swapResult.swapId, error: error.message
+    });
+  }
+
+  logger.info('Recurring buy executed', {
+    planId: plan.planId, userId, swapId: swapResult.swapId, amount: plan.amount, amountReceived: claim.quote.amountReceived
+  });
+  return 'EXECUTED';
+}
+
+async function recordExecutedRun(plan, scheduledFor, quote, swapResult, correlationId) {
+  await quoteService.completeQuote(quote.id, {
+    source: 'BACKGROUND_JOB',
+    systemContext: WORKER_CONTEXT,
+    tags: ['recurring-buy'],
+    swapDetails: { swapId: swapResult.swapId, swapType: quote.type },
+    relatedEntities: {
+      relatedTransactionIds: [swapResult.swapOutTransaction._id, swapResult.swapInTransaction._id]
+    }
+  });
+
+  await RecurringBuyRun.create({
+    planId: plan.planId,
+    userId: plan.userId,
+    scheduledFor,
+    status: 'EXECUTED',
+    targetCurrency: plan.targetCurrency,
+    amount: plan.amount,
+    amountReceived: quote.amountReceived,
+    rate: quote.rate,
+    quoteId: quote.id,
+    swapId: swapResult.swapId,
+    correlationId
+  });
+
+  await RecurringBuy.updateOne({ _id: plan._id }, {
+    $set: { consecutiveSkips: 0 },
+    $inc: { runCount: 1, totalSpent: plan.amount, totalReceived: quote.amountReceived }
+  });
+}
+
+/**
+ * Execute every plan whose next run is due. Safe to call from several
+ * instances: a plan slot is claimed by moving nextRunAt forward first.
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function runDueRecurringBuys() {
+  const now = new Date();
+  const summary = { due: 0, executed: 0, skipped: 0, failed: 0 };
+
+  const due = await RecurringBuy.find({ status: 'ACTIVE', nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(500)
+    .lean();
+
+  for (const plan of due) {
+    const scheduledFor = plan.nextRunAt;
+    const claimed = await RecurringBuy.findOneAndUpdate(
+      { _id: plan._id, status: 'ACTIVE', nextRunAt: scheduledFor },
+      { $set: { nextRunAt: followingRunAt(plan, scheduledFor, now), lastRunAt: now } },
+      { new: true }
+    ).lean();
+    if (!claimed) continue;
+
+    summary.due += 1;
+    try {
+      const outcome = await executeRun(claimed, scheduledFor);
+      if (outcome === 'EXECUTED') summary.executed += 1;
+      else if (outcome === 'SKIPPED') summary.skipped += 1;
+      else summary.failed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error('Recurring buy run failed', { planId: plan.planId, error: error.message });
+
+      await RecurringBuyRun.create({
+        planId: plan.planId,
+        userId: plan.userId,
+        scheduledFor,
+        status: 'FAILED',
+        reason: error.code || 'EXECUTION_ERROR',
+        message: error.message,
+        targetCurrency: plan.targetCurrency,
+        amount: plan.amount,
+        quoteId: error.quoteId || null,
+        correlationId: error.correlationId || null
+      }).catch((recordError) => {
+        logger.error('Failed to record recurring buy run', { planId: plan.planId, error: recordError.message });
+      });
+
+      await notifyUser(
+        plan,
+        'Recurring buy failed',
+        `Your ₦${plan.amount} ${plan.targetCurrency} recurring buy could not be completed. No funds were taken.`,
+        { reason: 'EXECUTION_ERROR' }
+      );
+    }
+  }
+
+  if (summary.due > 0) logger.info('Recurring buy run completed', summary);
+  return summary;
+}
+
+module.exports = {
+  RecurringBuyError,
+  createPlan,
+  setPlanStatus,
+  runDueRecurringBuys
+};
@@ -12,8 +12,9 @@
 // from the referee's received NGNZ amount.
 //
 // Design principles:
-//  • Non-blocking — always called via setImmediate; swap never waits on this.
-//  • Idempotent   — uses a unique reward reference to prevent double-crediting.
+//  • Non-blocking — runs on the 'referral' job queue; swap never waits on this.
+//  • Idempotent   — uses a unique reward reference to prevent double-crediting,
+//                   so queue retries are safe.
 //  • Atomic       — balance credit + transaction record in a single Mongo session.
 //  • Self-logged  — every outcome (skip / credit / error) goes to the logger.
 
@@ -24,7 +25,9 @@ const User = require('../models/user');
 const Referral = require('../models/referral');
 const Transaction = require('../models/transaction');
 const logger = require('../utils/logger');
-const { sendCustomNotification } = require('./notificationService');
+const { postEntry } = require('./ledgerService');
+const { toAmount } = require('../utils/money');
+const { queuePush } = require('./backgroundJobs');
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -35,7 +38,7 @@ function buildRewardReference(swapReference) {
 
 /**
  * Compute the NGNZ reward from the USD value of the swapped crypto.
- * Rate: 1 NGNZ per $1 USD — rounded to 2 decimal places.
+ * Rate: 1 NGNZ per $1 USD — rounded down to the kobo (see utils/money).
  *
  *   $1000.00 swap → 1000.00 NGNZ
  *   $250.75  swap →  250.75 NGNZ
@@ -43,7 +46,7 @@ function buildRewardReference(swapReference) {
 function computeRewardNGNZ(swapAmountUSD) {
   const reward = parseFloat(swapAmountUSD);
   if (!isFinite(reward) || reward <= 0) return 0;
-  return Math.round(reward * 100) / 100; // 2 decimal places, no floating-point drift
+  return toAmount(swapAmountUSD, 'NGNZ', 'CREDIT'); // kobo precision, rounded down
 }
 
 // ── Core function ─────────────────────────────────────────────────────────────
@@ -52,8 +55,8 @@ function computeRewardNGNZ(swapAmountUSD) {
  * Credit the referrer of `refereeUserId` with NGNZ equal to the USD value of
  * their referee's offramp swap.
  *
- * Safe to call fire-and-forget (via setImmediate). All errors are caught and
- * logged; they will never bubble up to the calling swap route.
+ * Runs on the 'referral' job queue (services/backgroundJobs). Skips return
+ * quietly; failures are logged and rethrown so the queue retries them.
  *
  * @param {string|ObjectId} refereeUserId   - User who just completed the offramp.
  * @param {string}          swapReference   - Unique swap reference ("NGNZ_SWAP_...").
@@ -129,21 +132,19 @@ async function creditOfframpReferralReward(refereeUserId, swapReference, swapAmo
     session.startTransaction();
 
     try {
-      const updatedReferrer = await User.findOneAndUpdate(
-        { _id: referrerId },
-        {
-          $inc: { ngnzBalance: rewardNGNZ },
-          $set: {
-            lastBalanceUpdate: new Date(),
-            portfolioLastUpdated: new Date()
-          }
-        },
-        { new: true, session }
-      );
-
-      if (!updatedReferrer) {
-        throw new Error(`Referrer user not found: ${referrerId}`);
-      }
+      // Throws if the referrer no longer exists
+      const { user: updatedReferrer } = await postEntry({
+        type: 'REFERRAL_REWARD',
+        userId: referrerId,
+        reference: rewardReference,
+        idempotencyKey: rewardReference,
+        description: `Referral reward for swap ${swapReference}`,
+        actor: { kind: 'SYSTEM', id: 'referral-program' },
+        changes: [{ currency: 'NGNZ', balanceDelta: rewardNGNZ }],
+        metadata: { refereeUserId: refereeUserId.toString(), correlationId },
+        set: { portfolioLastUpdated: new Date() },
+        session
+      });
 
       // Visible in referrer's transaction history
       await new Transaction({
@@ -184,18 +185,24 @@ async function creditOfframpReferralReward(refereeUserId, swapReference, swapAmo
     } catch (txError) {
       await session.abortTransaction();
       session.endSession();
+      if (txError.code === 11000) {
+        // A concurrent or earlier attempt already posted this reward
+        logger.info('Referral reward skipped — already credited for this swap', {
+          rewardReference, referrerId, refereeUserId, correlationId
+        });
+        return;
+      }
       throw txError;
     }
 
-    // ── 5. Push notification to referrer (non-blocking, non-critical) ────────
-    setImmediate(() => {
-      sendCustomNotification(
-        referrerId.toString(),
-        'Referral Reward Earned! 🎉',
-        `You earned ₦${rewardNGNZ.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} NGNZ from a referral swap.`,
-        { type: 'REFERRAL_REWARD', rewardNGNZ, swapReference }
-      ).catch(() => {}); // silent — reward already credited, notification is best-effort
-    });
+    // ── 5. Push notification to referrer (queued, non-critical) ─────────────
+    queuePush(
+      'sendCustomNotification',
+      referrerId.toString(),
+      'Referral Reward Earned! 🎉',
+      `You earned ₦${rewardNGNZ.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} NGNZ from a referral swap.`,
+      { type: 'REFERRAL_REWARD', rewardNGNZ, swapReference }
+    );
 
     // ── 6. Update Referral doc stats (outside session — non-critical) ──────────
     try {
@@ -215,6 +222,7 @@ async function creditOfframpReferralReward(refereeUserId, swapReference, swapAmo
       error: err.message,
       stack: err.stack
     });
+    throw err;
   }
 }
 
@@ -0,0 +1,317 @@
+// services/scheduledBillService.js
+//
+// Scheduled and recurring bill payments to saved BILLER beneficiaries.
+//
+// A schedule is authorised once with 2FA + PIN when it is created. The worker
+// then pays each slot through billPurchaseService.purchaseBill. A failed
+// attempt is retried (RETRY_DELAYS_MS) before the slot is given up and the
+// schedule moves on; schedules pause themselves after
+// MAX_CONSECUTIVE_FAILURES failed slots in a row.
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/user');
+const BillTransaction = require('../models/billstransaction');
+const Beneficiary = require('../models/beneficiary');
+const ScheduledBillPayment = require('../models/scheduledBillPayment');
+const ScheduledBillRun = require('../models/scheduledBillRun');
+const { BILL_TYPES, BillPurchaseError, purchaseBill } = require('./billPurchaseService');
+const { validateTwoFactorAuth } = require('./twofactorAuth');
+const { sendCustomNotification } = require('./notificationService');
+const { validateSchedule, computeNextRunAt, followingRunAt } = require('../utils/schedule');
+const logger = require('../utils/logger');
+
+const MAX_SCHEDULES_PER_USER = 20;
+const MIN_AMOUNT = 50;
+const MAX_AMOUNT = 500000;
+// Delay before attempt 2 and attempt 3 of a slot
+const RETRY_DELAYS_MS = [15 * 60 * 1000, 60 * 60 * 1000];
+const MAX_CONSECUTIVE_FAILURES = 3;
+// How long a claimed attempt is hidden from other workers
+const ATTEMPT_LEASE_MS = 10 * 60 * 1000;
+// Slots more than this late on their first attempt are skipped (e.g. after an outage)
+const MAX_SLOT_DELAY_MS = 12 * 60 * 60 * 1000;
+
+class ScheduledBillError extends Error {
+  constructor(message, httpStatus = 400, code = 'SCHEDULED_BILL_ERROR') {
+    super(message);
+    this.name = 'ScheduledBillError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+/**
+ * Check the one-time 2FA + PIN authorisation for a schedule
+ */
+async function verifyAuthorization(userId, twoFactorCode, passwordpin) {
+  if (!twoFactorCode || !passwordpin) {
+    throw new ScheduledBillError('twoFactorCode and passwordpin are required to authorise a scheduled payment');
+  }
+
+  const user = await User.findById(userId).select('twoFASecret is2FAEnabled passwordpin');
+  if (!user) throw new ScheduledBillError('User not found', 404, 'USER_NOT_FOUND');
+
+  if (!user.twoFASecret || !user.is2FAEnabled) {
+    throw new ScheduledBillError('Two-factor authentication is not set up or not enabled. Please enable 2FA first.');
+  }
+  if (!validateTwoFactorAuth(user, twoFactorCode)) {
+    throw new ScheduledBillError('Invalid two-factor authentication code', 401, 'INVALID_2FA_CODE');
+  }
+  if (!user.passwordpin || !await bcrypt.compare(String(passwordpin), user.passwordpin)) {
+    throw new ScheduledBillError('Invalid password PIN', 401, 'INVALID_PASSWORDPIN');
+  }
+}
+
+/**
+ * Create a schedule for a saved biller
+ * @param {string} userId
+ * @param {Object} params - { beneficiaryId, amount, frequency, hourUtc, dayOfWeek, dayOfMonth, twoFactorCode, passwordpin }
+ * @returns {Promise<ScheduledBillPayment>}
+ */
+async function createSchedule(userId, params) {
+  const { beneficiaryId, amount, frequency, hourUtc = 9, dayOfWeek = null, dayOfMonth = null } = params;
+
+  const beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, userId, type: 'BILLER', isActive: true });
+  if (!beneficiary) throw new ScheduledBillError('Biller not found', 404, 'BENEFICIARY_NOT_FOUND');
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < MIN_AMOUNT || amount > MAX_AMOUNT) {
+    throw new ScheduledBillError(`amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT} NGNZ`);
+  }
+
+  const schedule = { frequency, hourUtc, dayOfWeek, dayOfMonth };
+  const scheduleError = validateSchedule(schedule);
+  if (scheduleError) throw new ScheduledBillError(scheduleError);
+
+  const activeCount = await ScheduledBillPayment.countDocuments({ userId, status: { $in: ['ACTIVE', 'PAUSED'] } });
+  if (activeCount >= MAX_SCHEDULES_PER_USER) {
+    throw new ScheduledBillError(`You can have at most ${MAX_SCHEDULES_PER_USER} scheduled payments`, 409, 'TOO_MANY_SCHEDULES');
+  }
+
+  await verifyAuthorization(userId, params.twoFactorCode, params.passwordpin);
+
+  const firstSlot = computeNextRunAt(schedule);
+  const created = await ScheduledBillPayment.create({
+    userId,
+    beneficiaryId: beneficiary._id,
+    billType: beneficiary.bill.billType,
+    amount,
+    frequency,
+    hourUtc,
+    dayOfWeek: ['WEEKLY', 'BIWEEKLY'].includes(frequency) ? dayOfWeek : null,
+    dayOfMonth: frequency === 'MONTHLY' ? dayOfMonth : null,
+    authorizedAt: new Date(),
+    currentSlot: firstSlot,
+    nextAttemptAt: firstSlot
+  });
+
+  logger.info('Scheduled bill payment created', {
+    scheduleId: created.scheduleId, userId: String(userId), billType: created.billType, amount: created.amount, frequency
+  });
+  return created;
+}
+
+/**
+ * Pause, resume or cancel a schedule
+ * @returns {Promise<ScheduledBillPayment>}
+ */
+async function setScheduleStatus(userId, scheduleId, status) {
+  const schedule = await ScheduledBillPayment.findOne({ scheduleId, userId });
+  if (!schedule) throw new ScheduledBillError('Scheduled payment not found', 404, 'NOT_FOUND');
+  if (schedule.status === 'CANCELLED') {
+    throw new ScheduledBillError('Scheduled payment is cancelled', 409, 'CANCELLED');
+  }
+
+  schedule.status = status;
+  schedule.pausedReason = status === 'PAUSED' ? 'USER' : null;
+  if (status === 'ACTIVE') {
+    const slot = computeNextRunAt(schedule);
+    schedule.currentSlot = slot;
+    schedule.nextAttemptAt = slot;
+    schedule.attempts = 0;
+    schedule.consecutiveFailures = 0;
+  }
+  await schedule.save();
+  return schedule;
+}
+
+async function notifyUser(schedule, title, message, data = {}) {
+  try {
+    await sendCustomNotification(schedule.userId, title, message, {
+      type: 'SCHEDULED_BILL', scheduleId: schedule.scheduleId, ...data
+    });
+  } catch (error) {
+    logger.warn('Scheduled bill notification failed', { scheduleId: schedule.scheduleId, error: error.message });
+  }
+}
+
+/**
+ * Move a schedule on to its next slot after the current one completed or was given up
+ */
+async function advanceSlot(schedule, outcome) {
+  const nextSlot = followingRunAt(schedule, schedule.currentSlot);
+  const update = {
+    $set: {
+      currentSlot: nextSlot,
+      nextAttemptAt: nextSlot,
+      attempts: 0,
+      lastRunAt: new Date(),
+      lastStatus: outcome
+    }
+  };
+  if (outcome === 'COMPLETED') {
+    update.$set.consecutiveFailures = 0;
+    update.$inc = { runCount: 1 };
+  } else {
+    update.$inc = { consecutiveFailures: 1 };
+  }
+
+  const updated = await ScheduledBillPayment.findOneAndUpdate({ _id: schedule._id }, update, { new: true });
+
+  if (outcome === 'FAILED' && updated && updated.status === 'ACTIVE' && updated.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+    await ScheduledBillPayment.updateOne({ _id: schedule._id, status: 'ACTIVE' }, {
+      $set: { status: 'PAUSED', pausedReason: 'REPEATED_FAILURES' }
+    });
+    await notifyUser(
+      schedule,
+      'Scheduled payment paused',
+      `Your scheduled ${BILL_TYPES[schedule.billType].productName.toLowerCase()} payment was paused after ${MAX_CONSECUTIVE_FAILURES} failed runs.`
+    );
+  }
+}
+
+/**
+ * Pay the current slot of a claimed schedule
+ * @returns {Promise<'COMPLETED'|'RETRYING'|'FAILED'>}
+ */
+async function runAttempt(schedule) {
+  const { scheduleId, userId, billType, amount, currentSlot: scheduledFor, attempts: attempt } = schedule;
+  const productName = BILL_TYPES[billType].productName.toLowerCase();
+
+  // A worker that died mid-attempt may already have paid this slot
+  const previous = await BillTransaction.findOne({
+    'metaData.scheduleId': scheduleId,
+    'metaData.scheduledFor': scheduledFor,
+    status: { $in: ['completed', 'initiated-api', 'processing-api'] }
+  }).select('status').lean();
+  if (previous?.status === 'completed') {
+    await advanceSlot(schedule, 'COMPLETED');
+    return 'COMPLETED';
+  }
+
+  // PayBeta references are capped at 40 characters
+  const requestId = `SB${String(userId).slice(-6)}_${scheduledFor.getTime()}_${attempt}`;
+  const recordRun = (fields) => ScheduledBillRun.create({
+    scheduleId, userId, scheduledFor, attempt, billType, amount, requestId, ...fields
+  });
+
+  try {
+    if (previous) {
+      throw new BillPurchaseError('A previous attempt for this payment is still unconfirmed', 'PREVIOUS_ATTEMPT_UNCONFIRMED', false);
+    }
+    if (attempt === 1 && Date.now() - scheduledFor.getTime() > MAX_SLOT_DELAY_MS) {
+      throw new BillPurchaseError('The scheduled time passed while the service was unavailable', 'MISSED_WINDOW', false);
+    }
+
+    const beneficiary = await Beneficiary.findOne({ _id: schedule.beneficiaryId, userId, isActive: true }).lean();
+    if (!beneficiary) {
+      await ScheduledBillPayment.updateOne({ _id: schedule._id }, { $set: { status: 'CANCELLED', pausedReason: 'BENEFICIARY_DELETED' } });
+      throw new BillPurchaseError('The saved biller was deleted', 'BENEFICIARY_DELETED', false);
+    }
+
+    const transaction = await purchaseBill({
+      userId,
+      billType,
+      bill: beneficiary.bill,
+      amount,
+      requestId,
+      metaData: { scheduleId, scheduledFor, attempt, beneficiaryId: String(beneficiary._id) }
+    });
+
+    await recordRun({ status: 'COMPLETED', billTransactionId: transaction._id });
+    await Beneficiary.updateOne({ _id: beneficiary._id }, { $set: { lastUsedAt: new Date() } });
+    await advanceSlot(schedule, 'COMPLETED');
+
+    logger.info('Scheduled bill payment completed', { scheduleId, userId: String(userId), attempt, requestId });
+    return 'COMPLETED';
+  } catch (error) {
+    const code = error.code || 'UNEXPECTED_ERROR';
+    const willRetry = error.retryable !== false && attempt <= RETRY_DELAYS_MS.length;
+    logger.warn('Scheduled bill payment attempt failed', { scheduleId, attempt, code, error: error.message, willRetry });
+
+    await recordRun({ status: 'FAILED', reason: code, message: error.message, willRetry }).catch((recordError) => {
+      logger.error('Failed to record scheduled bill run', { scheduleId, error: recordError.message });
+    });
+
+    if (willRetry) {
+      await ScheduledBillPayment.updateOne({ _id: schedule._id }, {
+        $set: { nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[attempt - 1]) }
+      });
+      if (code === 'INSUFFICIENT_NGNZ_BALANCE' && attempt === 1) {
+        await notifyUser(
+          schedule,
+          'Top up for your scheduled payment',
+          `Your scheduled ₦${amount} ${productName} payment failed due to low NGNZ balance. We'll try again shortly.`,
+          { reason: code }
+        );
+      }
+      return 'RETRYING';
+    }
+
+    // Provider may have delivered without the debit or record completing; leave these for support
+    if (!['BALANCE_UPDATE_FAILED', 'PREVIOUS_ATTEMPT_UNCONFIRMED'].includes(code)) {
+      await notifyUser(
+        schedule,
+        'Scheduled payment failed',
+        `Your scheduled ₦${amount} ${productName} payment could not be completed. ${error.message}`,
+        { reason: code }
+      );
+    }
+    await advanceSlot(schedule, 'FAILED');
+    return 'FAILED';
+  }
+}
+
+/**
+ * Pay every schedule whose next attempt is due. Each attempt is claimed by
+ * pushing nextAttemptAt out by a lease, so only one instance runs it.
+ * @returns {Promise<Object>} Counts per outcome
+ */
+async function runDueBillPayments() {
+  const now = new Date();
+  const summary = { due: 0, completed: 0, retrying: 0, failed: 0 };
+
+  const due = await ScheduledBillPayment.find({ status: 'ACTIVE', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(500)
+    .lean();
+
+  for (const { _id, nextAttemptAt } of due) {
+    const claimed = await ScheduledBillPayment.findOneAndUpdate(
+      { _id, status: 'ACTIVE', nextAttemptAt },
+      { $set: { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) }, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+    if (!claimed) continue;
+
+    summary.due += 1;
+    try {
+      const outcome = await runAttempt(claimed);
+      if (outcome === 'COMPLETED') summary.completed += 1;
+      else if (outcome === 'RETRYING') summary.retrying += 1;
+      else summary.failed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error('Scheduled bill payment run error', { scheduleId: claimed.scheduleId, error: error.message });
+    }
+  }
+
+  if (summary.due > 0) logger.info('Scheduled bill payment run completed', summary);
+  return summary;
+}
+
+module.exports = {
+  ScheduledBillError,
+  createSchedule,
+  setScheduleStatus,
+  runDueBillPayments
+};
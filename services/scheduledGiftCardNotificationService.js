@@ -1,4 +1,4 @@
-const cron = require('node-cron');
+const { scheduleJob } = require('./cronScheduler');
 const GiftCardPrice = require('../models/giftcardPrice');
 const { sendPushNotification } = require('./notificationService');
 const User = require('../models/user');
@@ -10,8 +10,8 @@ class ScheduledGiftCardNotificationService {
     this.jobs = [];
     // Schedules: 11:00 AM and 3:00 PM (Africa/Lagos)
     this.scheduleConfig = [
-      { time: '11:00 AM', cron: '0 11 * * *' },
-      { time: '3:00 PM', cron: '0 15 * * *' }
+      { name: 'giftcard-notification-11am', time: '11:00 AM', cron: '0 11 * * *' },
+      { name: 'giftcard-notification-3pm', time: '3:00 PM', cron: '0 15 * * *' }
     ];
     // Card types to include in notifications
     this.targetCards = [
@@ -30,20 +30,15 @@ class ScheduledGiftCardNotificationService {
 
     logger.info('Starting gift card scheduled notification service...');
 
-    this.scheduleConfig.forEach(({ time, cron: cronExpression }) => {
-      const job = cron.schedule(cronExpression, async () => {
+    this.scheduleConfig.forEach(({ name, time, cron: cronExpression }) => {
+      // Runs once across all instances, so users get a single push per slot
+      const job = scheduleJob(name, cronExpression, async () => {
         logger.info(`Running gift card notification at ${time} (${cronExpression})`);
-        try {
-          await this.sendGiftCardNotification();
-        } catch (err) {
-          logger.error('Gift card notification job failed', { time, error: err.message });
-        }
+        await this.sendGiftCardNotification();
       }, {
-        scheduled: false,
         timezone: 'Africa/Lagos'
       });
 
-      job.start();
       this.jobs.push({ time, job });
       logger.info(`Scheduled gift card notification for ${time} (${cronExpression})`);
     });
@@ -1,4 +1,4 @@
-const cron = require('node-cron');
+const { scheduleJob } = require('./cronScheduler');
 const PriceChange = require('../models/pricechange');
 const { sendPushNotification } = require('./notificationService');
 const User = require('../models/user');
@@ -11,10 +11,10 @@ class ScheduledNotificationService {
     this.jobs = [];
     // Define schedules as class property so they're always available
     this.scheduleConfig = [
-      { time: '7:00 AM', cron: '0 7 * * *' },
-      { time: '12:00 PM', cron: '0 12 * * *' },
-      { time: '6:00 PM', cron: '0 18 * * *' },
-      { time: '9:00 PM', cron: '0 21 * * *' }
+      { name: 'price-notification-7am', time: '7:00 AM', cron: '0 7 * * *' },
+      { name: 'price-notification-12pm', time: '12:00 PM', cron: '0 12 * * *' },
+      { name: 'price-notification-6pm', time: '6:00 PM', cron: '0 18 * * *' },
+      { name: 'price-notification-9pm', time: '9:00 PM', cron: '0 21 * * *' }
     ];
   }
 
@@ -27,20 +27,15 @@ class ScheduledNotificationService {
 
     logger.info('Starting scheduled notification service...');
 
-    this.scheduleConfig.forEach(({ time, cron: cronExpression }) => {
-      const job = cron.schedule(cronExpression, async () => {
+    this.scheduleConfig.forEach(({ name, time, cron: cronExpression }) => {
+      // Runs once across all instances, so users get a single push per slot
+      const job = scheduleJob(name, cronExpression, async () => {
         logger.info(`Running scheduled price notification at ${time} (${cronExpression})`);
-        try {
-          await this.sendPriceNotification();
-        } catch (err) {
-          logger.error('Scheduled notification job failed', { time, error: err.message });
-        }
+        await this.sendPriceNotification();
       }, {
-        scheduled: false,
         timezone: 'Africa/Lagos'
       });
 
-      job.start();
       this.jobs.push({ time, job });
       logger.info(`Scheduled price notification for ${time} (${cronExpression})`);
     });
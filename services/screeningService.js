@@ -0,0 +1,579 @@
+// services/screeningService.js
+//
+// Sanctions and PEP screening against locally imported watchlists
+// (models/watchlistEntry). Names are fuzzy-matched (utils/nameMatching) and
+// the score adjusted by date of birth when both sides have one. A SANCTIONS hit
+// blocks the action and a PEP hit holds it; either opens a compliance case
+// (models/screeningCase) and every screening is written to the append-only
+// ScreeningLog. Entries are held in memory and reloaded at most REFRESH_MS
+// after an import on another instance - straight away on the importing one.
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const KYC = require('../models/kyc');
+const WatchlistEntry = require('../models/watchlistEntry');
+const ScreeningCase = require('../models/screeningCase');
+const ScreeningLog = require('../models/screeningLog');
+const { LIST_TYPES } = require('../models/watchlistEntry');
+const { SCREENING_CONTEXTS, SCREENING_ACTIONS } = require('../models/screeningCase');
+const { normalizeName, tokenSimilarity } = require('../utils/nameMatching');
+const { normalizeDocumentDate } = require('../utils/kycHelpers');
+const { revokeAllUserTokens } = require('./tokenRevocationService');
+const logger = require('../utils/logger');
+
+const REFRESH_MS = 60 * 1000;
+const MATCH_THRESHOLD = parseFloat(process.env.SCREENING_MATCH_THRESHOLD) || 0.9;
+const DOB_EXACT_BONUS = 0.05;
+const DOB_MISMATCH_PENALTY = 0.15;
+const MAX_MATCHES = 10;
+const IMPORT_BATCH_SIZE = 1000;
+const MAX_IMPORT_ENTRIES = 200000;
+
+class ScreeningError extends Error {
+  constructor(message, httpStatus = 400, code = 'SCREENING_ERROR') {
+    super(message);
+    this.name = 'ScreeningError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+let snapshot = [];
+let lastLoadedAt = null;
+let loading = null;
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function adminOf(admin) {
+  return {
+    adminId: String(admin.id || admin._id),
+    adminEmail: admin.email || null,
+    adminName: admin.adminName || null
+  };
+}
+
+async function writeLog(entry) {
+  try {
+    await ScreeningLog.create(entry);
+  } catch (error) {
+    logger.error('Failed to write screening log', { event: entry.event, caseId: entry.caseId, error: error.message });
+  }
+}
+
+/**
+ * Reload watchlist entries into memory
+ * @returns {Promise<number>} Number of entries loaded
+ */
+async function refreshWatchlists() {
+  try {
+    const entries = await WatchlistEntry.find({})
+      .select('source listType name names dateOfBirth')
+      .lean();
+    snapshot = entries.map(entry => ({
+      ...entry,
+      tokens: entry.names.map(name => name.split(' ').filter(Boolean))
+    }));
+    lastLoadedAt = new Date();
+    return snapshot.length;
+  } catch (error) {
+    // Keep screening against the previous snapshot; the next check will retry
+    logger.error('Failed to refresh watchlists', { error: error.message });
+    lastLoadedAt = new Date();
+    return snapshot.length;
+  }
+}
+
+async function ensureFresh() {
+  if (lastLoadedAt && Date.now() - lastLoadedAt.getTime() < REFRESH_MS) return;
+  if (!loading) loading = refreshWatchlists().finally(() => { loading = null; });
+  await loading;
+}
+
+// YYYY-MM-DD or YYYY from whatever the caller has
+function normalizeDob(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}$/.test(text)) return text;
+  return normalizeDocumentDate(text);
+}
+
+function compareDob(subjectDob, listedDob) {
+  if (!subjectDob || !listedDob) return 'UNKNOWN';
+  if (subjectDob === listedDob) return subjectDob.length === 10 ? 'EXACT' : 'YEAR';
+  return subjectDob.slice(0, 4) === listedDob.slice(0, 4) ? 'YEAR' : 'MISMATCH';
+}
+
+function adjustForDob(score, dobMatch) {
+  if (dobMatch === 'EXACT') return Math.min(1, score + DOB_EXACT_BONUS);
+  if (dobMatch === 'MISMATCH') return score - DOB_MISMATCH_PENALTY;
+  return score;
+}
+
+/**
+ * Match a name (and optional date of birth) against the loaded lists
+ * @param {{ fullName: string, dateOfBirth?: string }} subject
+ * @param {Set<string>} [excluded] - entry ids to skip
+ * @returns {Array} Matches at or above MATCH_THRESHOLD, best first
+ */
+function findMatches(subject, excluded = new Set()) {
+  const subjectTokens = normalizeName(subject.fullName).split(' ').filter(Boolean);
+  if (!subjectTokens.length) return [];
+  const subjectDob = normalizeDob(subject.dateOfBirth);
+
+  const matches = [];
+  for (const entry of snapshot) {
+    if (excluded.has(String(entry._id))) continue;
+
+    let best = 0;
+    let bestIndex = 0;
+    entry.tokens.forEach((tokens, index) => {
+      const score = tokenSimilarity(subjectTokens, tokens);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (best < MATCH_THRESHOLD - DOB_EXACT_BONUS) continue;
+
+    const dobMatch = compareDob(subjectDob, entry.dateOfBirth);
+    const score = adjustForDob(best, dobMatch);
+    if (score < MATCH_THRESHOLD) continue;
+
+    matches.push({
+      entryId: entry._id,
+      source: entry.source,
+      listType: entry.listType,
+      listedName: entry.name,
+      matchedName: entry.names[bestIndex],
+      score: Math.round(score * 1000) / 1000,
+      dateOfBirth: entry.dateOfBirth || null,
+      dobMatch
+    });
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, MAX_MATCHES);
+}
+
+function actionFor(matches) {
+  if (matches.some(match => match.listType === 'SANCTIONS')) return 'BLOCK';
+  if (matches.length) return 'HOLD';
+  return 'CLEAR';
+}
+
+function strongerAction(a, b) {
+  return SCREENING_ACTIONS.indexOf(a) >= SCREENING_ACTIONS.indexOf(b) ? a : b;
+}
+
+// Entries compliance has already ruled on for this user: everything on a
+// cleared case (false positive), and PEP entries on a confirmed one (a known PEP
+// is allowed to transact; a confirmed sanctions hit keeps blocking)
+async function decidedEntryIds(userId) {
+  const decided = await ScreeningCase.find({ userId, status: { $in: ['CLEARED', 'CONFIRMED'] } })
+    .select('status matches.entryId matches.listType')
+    .lean();
+  const ids = new Set();
+  for (const screeningCase of decided) {
+    for (const match of screeningCase.matches) {
+      if (screeningCase.status === 'CLEARED' || match.listType === 'PEP') ids.add(String(match.entryId));
+    }
+  }
+  return ids;
+}
+
+// Add to the person's open (or confirmed) case, or open a new one. Cases
+// opened at signup have no userId yet and are picked up by email.
+async function recordCase({ context, userId, subject, reference, action, matches }) {
+  const owner = userId
+    ? { $or: [{ userId }, ...(subject.email ? [{ userId: null, 'subject.email': subject.email }] : [])] }
+    : { userId: null, 'subject.email': subject.email || null };
+  const existing = subject.email || userId
+    ? await ScreeningCase.findOne({ ...owner, status: { $in: ['OPEN', 'CONFIRMED'] } }).sort({ createdAt: -1 })
+    : null;
+  const occurrence = { context, action, reference, at: new Date() };
+
+  if (existing) {
+    const known = new Set(existing.matches.map(match => String(match.entryId)));
+    for (const match of matches) {
+      if (!known.has(String(match.entryId))) existing.matches.push(match);
+    }
+    existing.occurrences.push(occurrence);
+    existing.action = strongerAction(existing.action, action);
+    if (userId && !existing.userId) existing.userId = userId;
+    await existing.save();
+    return { screeningCase: existing, opened: false };
+  }
+
+  const screeningCase = await ScreeningCase.create({
+    caseId: newId('SC'),
+    userId: userId || null,
+    subject,
+    context,
+    action,
+    matches,
+    occurrences: [occurrence]
+  });
+  return { screeningCase, opened: true };
+}
+
+/**
+ * Screen a person before an action goes ahead
+ * @param {Object} params
+ * @param {'SIGNUP'|'KYC_APPROVAL'|'WITHDRAWAL'} params.context
+ * @param {string} [params.userId] - null for signups
+ * @param {Object} params.subject - { fullName, dateOfBirth?, email?, phonenumber? }
+ * @param {string} [params.reference] - kycId, withdrawal reference...
+ * @param {Object} [params.actor] - { kind: 'USER'|'ADMIN'|'SYSTEM', id }
+ * @returns {Promise<{ action: 'CLEAR'|'HOLD'|'BLOCK', caseId: string|null, matches: Array }>}
+ */
+async function screen({ context, userId = null, subject, reference = null, actor = { kind: 'SYSTEM', id: null } }) {
+  if (!SCREENING_CONTEXTS.includes(context)) {
+    throw new ScreeningError(`context must be one of ${SCREENING_CONTEXTS.join(', ')}`, 400, 'INVALID_CONTEXT');
+  }
+  if (!subject?.fullName || !String(subject.fullName).trim()) {
+    throw new ScreeningError('subject.fullName is required', 400, 'VALIDATION_ERROR');
+  }
+
+  await ensureFresh();
+  const person = {
+    fullName: String(subject.fullName).trim(),
+    dateOfBirth: normalizeDob(subject.dateOfBirth),
+    email: subject.email ? String(subject.email).toLowerCase() : null,
+    phonenumber: subject.phonenumber || null
+  };
+  const ref = reference ? String(reference) : null;
+
+  const excluded = userId ? await decidedEntryIds(userId) : new Set();
+  const matches = findMatches(person, excluded);
+  const action = actionFor(matches);
+
+  let caseId = null;
+  if (action !== 'CLEAR') {
+    const { screeningCase, opened } = await recordCase({ context, userId, subject: person, reference: ref, action, matches });
+    caseId = screeningCase.caseId;
+    logger.warn('Watchlist match', {
+      context, userId: userId ? String(userId) : null, caseId, action,
+      sources: [...new Set(matches.map(match => match.source))]
+    });
+    if (opened) {
+      await writeLog({ event: 'CASE_OPENED', context, userId, caseId, reference: ref, subject: person, action, actor });
+    }
+  }
+
+  await writeLog({
+    event: 'SCREENED',
+    context,
+    userId,
+    caseId,
+    reference: ref,
+    subject: person,
+    action,
+    details: {
+      threshold: MATCH_THRESHOLD,
+      entriesScreened: snapshot.length,
+      matches: matches.map(({ entryId, source, listType, matchedName, score, dobMatch }) => ({
+        entryId, source, listType, matchedName, score, dobMatch
+      }))
+    },
+    actor
+  });
+
+  return { action, caseId, matches };
+}
+
+/**
+ * Screen an existing user, using their verified KYC name and date of birth
+ * when they have them
+ * @param {string} userId
+ * @param {Object} params - { context, reference?, actor? }
+ */
+async function screenUser(userId, { context, reference = null, actor } = {}) {
+  const user = await User.findById(userId).select('firstname middlename lastname email phonenumber').lean();
+  if (!user) throw new ScreeningError('User not found', 404, 'USER_NOT_FOUND');
+
+  const kyc = await KYC.findOne({ userId, status: 'APPROVED' })
+    .sort({ createdAt: -1 })
+    .select('fullName dateOfBirth')
+    .lean();
+  const fullName = kyc?.fullName || [user.firstname, user.middlename, user.lastname].filter(Boolean).join(' ');
+
+  return screen({
+    context,
+    userId,
+    subject: { fullName, dateOfBirth: kyc?.dateOfBirth, email: user.email, phonenumber: user.phonenumber },
+    reference,
+    actor: actor || { kind: 'USER', id: String(userId) }
+  });
+}
+
+/**
+ * Clear (false positive) or confirm (true match) an open case. Confirming a
+ * sanctions match blocks the user's account.
+ * @param {string} caseId
+ * @param {'CLEARED'|'CONFIRMED'} decision
+ * @param {Object} admin - req.admin
+ * @param {string} note
+ */
+async function decideCase(caseId, decision, admin, note) {
+  if (!['CLEARED', 'CONFIRMED'].includes(decision)) {
+    throw new ScreeningError('decision must be CLEARED or CONFIRMED', 400, 'INVALID_DECISION');
+  }
+  if (!note || !String(note).trim()) {
+    throw new ScreeningError('A note explaining the decision is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const decidedBy = adminOf(admin);
+  const screeningCase = await ScreeningCase.findOneAndUpdate(
+    { caseId, status: 'OPEN' },
+    { $set: { status: decision, decidedBy, decidedAt: new Date(), decisionNote: String(note).trim() } },
+    { new: true }
+  );
+  if (!screeningCase) {
+    const exists = await ScreeningCase.exists({ caseId });
+    if (!exists) throw new ScreeningError('Screening case not found', 404, 'CASE_NOT_FOUND');
+    throw new ScreeningError('Screening case has already been decided', 409, 'CASE_ALREADY_DECIDED');
+  }
+
+  let userBlocked = false;
+  const sanctioned = screeningCase.matches.some(match => match.listType === 'SANCTIONS');
+  if (decision === 'CONFIRMED' && sanctioned && screeningCase.userId) {
+    await User.updateOne(
+      { _id: screeningCase.userId },
+      { $set: { isBlocked: true, blockReason: 'Account restricted by compliance', blockedAt: new Date(), refreshTokens: [] } }
+    );
+    await revokeAllUserTokens(screeningCase.userId, 'sanctions match confirmed');
+    userBlocked = true;
+  }
+
+  logger.info('Screening case decided', { caseId, decision, adminId: decidedBy.adminId, userBlocked });
+  await writeLog({
+    event: 'CASE_DECIDED',
+    context: screeningCase.context,
+    userId: screeningCase.userId,
+    caseId,
+    subject: screeningCase.subject,
+    action: decision,
+    details: { note: screeningCase.decisionNote, userBlocked },
+    actor: { kind: 'ADMIN', id: decidedBy.adminId }
+  });
+
+  return { screeningCase, userBlocked };
+}
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes, newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (!nonEmpty.length) return [];
+  const headers = nonEmpty[0].map(header => header.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return nonEmpty.slice(1).map(cells => Object.fromEntries(headers.map((header, index) => [header, (cells[index] || '').trim()])));
+}
+
+// Column names seen on common list exports
+const FIELD_ALIASES = {
+  name: ['name', 'full_name', 'fullname', 'whole_name'],
+  aliases: ['aliases', 'alias', 'aka', 'other_names'],
+  dateOfBirth: ['dateofbirth', 'date_of_birth', 'dob', 'birth_date'],
+  externalId: ['externalid', 'external_id', 'id', 'uid', 'reference'],
+  country: ['country', 'nationality'],
+  remarks: ['remarks', 'notes', 'comments', 'position']
+};
+
+function pick(row, field) {
+  const keys = Object.keys(row);
+  for (const alias of FIELD_ALIASES[field]) {
+    const key = keys.find(k => k.toLowerCase().replace(/[\s-]+/g, '_') === alias);
+    if (key !== undefined && row[key] !== undefined && row[key] !== null && row[key] !== '') return row[key];
+  }
+  return null;
+}
+
+function toEntry(row, { source, listType, importId }) {
+  const name = pick(row, 'name');
+  if (!name || !String(name).trim()) return null;
+
+  const rawAliases = pick(row, 'aliases');
+  const aliases = (Array.isArray(rawAliases) ? rawAliases : String(rawAliases || '').split(/[;|]/))
+    .map(alias => String(alias).trim())
+    .filter(Boolean);
+  const names = [...new Set([name, ...aliases].map(normalizeName).filter(Boolean))];
+  if (!names.length) return null;
+
+  const text = value => (value === null || value === undefined ? null : String(value).trim() || null);
+  return {
+    source,
+    listType,
+    externalId: text(pick(row, 'externalId')),
+    name: String(name).trim(),
+    aliases,
+    names,
+    dateOfBirth: normalizeDob(pick(row, 'dateOfBirth')),
+    country: text(pick(row, 'country')),
+    remarks: text(pick(row, 'remarks')),
+    importId
+  };
+}
+
+function parseRows(format, content) {
+  if (Array.isArray(content)) return content;
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  if (!text.trim()) throw new ScreeningError('The list is empty', 400, 'EMPTY_LIST');
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new ScreeningError(`Invalid JSON: ${error.message}`, 400, 'INVALID_LIST');
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.entries;
+    if (!Array.isArray(rows)) throw new ScreeningError('JSON lists must be an array (or { entries: [...] })', 400, 'INVALID_LIST');
+    return rows;
+  }
+  return parseCsv(text.replace(/^﻿/, ''));
+}
+
+/**
+ * Import a sanctions or PEP list
+ * @param {Object} params
+ * @param {string} params.source - list name, e.g. OFAC_SDN
+ * @param {'SANCTIONS'|'PEP'} params.listType
+ * @param {'csv'|'json'} params.format
+ * @param {string|Buffer|Array} params.content - file contents, or already-parsed rows
+ * @param {'replace'|'append'} [params.mode] - replace swaps out every entry of the source
+ * @param {Object} admin - req.admin
+ */
+async function importWatchlist({ source, listType, format, content, mode = 'replace' }, admin) {
+  const errors = [];
+  const listSource = String(source || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_]{2,40}$/.test(listSource)) errors.push('source must be 2-40 letters, digits or underscores');
+  if (!LIST_TYPES.includes(listType)) errors.push(`listType must be one of ${LIST_TYPES.join(', ')}`);
+  if (!Array.isArray(content) && !['csv', 'json'].includes(format)) errors.push('format must be csv or json');
+  if (!['replace', 'append'].includes(mode)) errors.push('mode must be replace or append');
+  if (errors.length) throw new ScreeningError(errors.join('; '), 400, 'VALIDATION_ERROR');
+
+  const rows = parseRows(format, content);
+  if (rows.length > MAX_IMPORT_ENTRIES) {
+    throw new ScreeningError(`Lists are limited to ${MAX_IMPORT_ENTRIES} entries`, 400, 'LIST_TOO_LARGE');
+  }
+
+  const importId = newId('WL');
+  const entries = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const entry = row && typeof row === 'object' ? toEntry(row, { source: listSource, listType, importId }) : null;
+    if (entry) entries.push(entry);
+    else skipped++;
+  }
+  if (!entries.length) throw new ScreeningError('No entries with a name were found in the list', 400, 'EMPTY_LIST');
+
+  try {
+    for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+      await WatchlistEntry.insertMany(entries.slice(i, i + IMPORT_BATCH_SIZE));
+    }
+  } catch (error) {
+    await WatchlistEntry.deleteMany({ importId }).catch(() => {});
+    logger.error('Watchlist import failed', { source: listSource, importId, error: error.message });
+    throw new ScreeningError(`Import failed: ${error.message}`, 500, 'IMPORT_FAILED');
+  }
+
+  // The new entries are in before the old ones go, so screening never sees an empty list
+  let removed = 0;
+  if (mode === 'replace') {
+    const result = await WatchlistEntry.deleteMany({ source: listSource, importId: { $ne: importId } });
+    removed = result.deletedCount || 0;
+  }
+  await refreshWatchlists();
+
+  const summary = { source: listSource, listType, mode, importId, imported: entries.length, skipped, removed };
+  logger.info('Watchlist imported', { ...summary, adminId: adminOf(admin).adminId });
+  await writeLog({ event: 'LIST_IMPORTED', details: summary, actor: { kind: 'ADMIN', id: adminOf(admin).adminId } });
+  return summary;
+}
+
+/**
+ * Remove every entry of a list
+ */
+async function removeWatchlist(source, admin) {
+  const listSource = String(source || '').trim().toUpperCase();
+  const result = await WatchlistEntry.deleteMany({ source: listSource });
+  if (!result.deletedCount) throw new ScreeningError('No entries for this list', 404, 'LIST_NOT_FOUND');
+  await refreshWatchlists();
+
+  const summary = { source: listSource, removed: result.deletedCount };
+  logger.info('Watchlist removed', { ...summary, adminId: adminOf(admin).adminId });
+  await writeLog({ event: 'LIST_REMOVED', details: summary, actor: { kind: 'ADMIN', id: adminOf(admin).adminId } });
+  return summary;
+}
+
+/**
+ * Loaded lists with entry counts
+ */
+async function listWatchlists() {
+  const lists = await WatchlistEntry.aggregate([
+    {
+      $group: {
+        _id: { source: '$source', listType: '$listType' },
+        entries: { $sum: 1 },
+        withDateOfBirth: { $sum: { $cond: [{ $ifNull: ['$dateOfBirth', false] }, 1, 0] } },
+        lastImportedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { '_id.source': 1 } }
+  ]);
+  return lists.map(({ _id, ...rest }) => ({ source: _id.source, listType: _id.listType, ...rest }));
+}
+
+function getSnapshotInfo() {
+  return { entries: snapshot.length, lastLoadedAt, threshold: MATCH_THRESHOLD };
+}
+
+module.exports = {
+  ScreeningError,
+  MATCH_THRESHOLD,
+  refreshWatchlists,
+  findMatches,
+  screen,
+  screenUser,
+  decideCase,
+  importWatchlist,
+  removeWatchlist,
+  listWatchlists,
+  getSnapshotInfo
+};
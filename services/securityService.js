@@ -308,6 +308,7 @@ class SecurityService {
    * @param {string} code
    */
   async release2FACode(userId, code) {
+    if (!code) return;
     const replayKey = `2fa_used:${userId}:${code}`;
     try {
       await this.redis.del(replayKey);
@@ -316,6 +317,41 @@ class SecurityService {
     }
   }
 
+  /**
+   * Store a WebAuthn (passkey) challenge until the matching response comes back.
+   * A newer challenge for the same key replaces the old one.
+   *
+   * @param {string} key e.g. `auth:USER:<id>`
+   * @param {string} challenge base64url challenge
+   * @returns {Promise<boolean>} false when the challenge could not be stored
+   */
+  async storeWebAuthnChallenge(key, challenge) {
+    try {
+      await this.redis.set(`webauthn_challenge:${key}`, challenge, 'EX', 300);
+      return true;
+    } catch (error) {
+      logger.error('Error storing WebAuthn challenge:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Take a stored WebAuthn challenge. GETDEL makes it single-use, so a
+   * captured passkey response cannot be replayed.
+   * Fails closed — without the challenge there is nothing to verify against.
+   *
+   * @param {string} key
+   * @returns {Promise<string|null>}
+   */
+  async consumeWebAuthnChallenge(key) {
+    try {
+      return await this.redis.getdel(`webauthn_challenge:${key}`);
+    } catch (error) {
+      logger.error('Error consuming WebAuthn challenge:', error);
+      return null;
+    }
+  }
+
   /**
    * @deprecated Use claim2FACode() instead — non-atomic, kept for compatibility.
    */
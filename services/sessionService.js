@@ -0,0 +1,509 @@
+// services/sessionService.js
+//
+// Device-bound user sessions. Every refresh token in User.refreshTokens is a
+// session carrying the device it was issued to; the `sid` claim in the access
+// and refresh tokens points back at it. Devices that completed a sign-in are
+// kept in User.trustedDevices - a sign-in from any other device has to pass an
+// OTP step-up (sent by SMS and email) before tokens are issued. Only clients
+// that send an X-Device-Id can be remembered; see requiresDeviceStepUp for
+// builds that predate the header.
+//
+// A session is also a refresh-token family: each refresh replaces its token,
+// and presenting a token the family has already rotated away from means it
+// was copied - the whole family is revoked and the user alerted.
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const { sendVerificationCode } = require('../utils/verifyAT');
+const { sendEmailVerificationOTP } = require('./EmailService');
+const { sendSecurityAlert } = require('./notificationService');
+const { revokeSessionTokens } = require('./tokenRevocationService');
+const logger = require('../utils/logger');
+
+const MAX_SESSIONS = 5;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches the "7d" refresh token expiry
+// A client that fires two refreshes at once presents the just-rotated token
+// again; within this window that is not treated as reuse
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const MAX_TRUSTED_DEVICES = 10;
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+class SessionError extends Error {
+  constructor(message, httpStatus = 400, code = 'SESSION_ERROR') {
+    super(message);
+    this.name = 'SessionError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function cleanString(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  const clean = String(value).trim().slice(0, maxLength);
+  return clean || null;
+}
+
+function newSessionId() {
+  return crypto.randomUUID();
+}
+
+function getClientIp(req) {
+  return (req.headers['x-forwarded-for']?.split(',')[0]?.trim())
+    || req.ip
+    || req.connection?.remoteAddress
+    || null;
+}
+
+// Prefix of device ids derived from the user agent. Every install of an app
+// build shares one, so they label sessions but are never trusted.
+const UA_DEVICE_PREFIX = 'ua:';
+
+function isClientDeviceId(deviceId) {
+  return !!deviceId && !deviceId.startsWith(UA_DEVICE_PREFIX);
+}
+
+/**
+ * Device details sent by the app (X-Device-Id, X-Device-Name, X-Platform and
+ * X-App-Version headers, or the same fields in the body). Clients that send
+ * no device id are labelled by their user agent, which never counts as a
+ * trusted device.
+ */
+function getDeviceContext(req) {
+  const body = req.body || {};
+  const userAgent = cleanString(req.get('User-Agent'), 255);
+  const clientDeviceId = cleanString(req.get('X-Device-Id') || body.deviceId, 128);
+  const deviceId = isClientDeviceId(clientDeviceId)
+    ? clientDeviceId
+    : `${UA_DEVICE_PREFIX}${hashCode(userAgent || 'unknown').slice(0, 32)}`;
+
+  return {
+    deviceId,
+    deviceName: cleanString(req.get('X-Device-Name') || body.deviceName, 100),
+    platform: cleanString(req.get('X-Platform') || body.platform, 20)?.toLowerCase() || null,
+    appVersion: cleanString(req.get('X-App-Version') || body.appVersion, 30),
+    ipAddress: getClientIp(req),
+    userAgent
+  };
+}
+
+// Compare dotted numeric versions ("2.10.1" > "2.9"); missing parts count as 0
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+function isTrustedDevice(user, device) {
+  if (!isClientDeviceId(device.deviceId)) return false;
+  // Entries saved from user agents before they stopped counting are ignored
+  const trusted = (user.trustedDevices || []).filter(d => isClientDeviceId(d.deviceId));
+  if (trusted.some(d => d.deviceId === device.deviceId)) return true;
+  // Accounts from before device binding: the device registered for push counts as known
+  return trusted.length === 0 && !!user.deviceId && user.deviceId === device.deviceId;
+}
+
+/**
+ * Whether a sign-in must pass the new-device OTP step-up. Clients with a device
+ * id are challenged until the device is trusted. App builds from before
+ * X-Device-Id can never become trusted, so challenging them would mean an OTP
+ * on every sign-in: a client without a device id is only challenged when it
+ * reports an X-App-Version at or above DEVICE_ID_MIN_APP_VERSION (builds that
+ * send the header), or once DEVICE_ID_REQUIRED=true retires the old builds.
+ */
+function requiresDeviceStepUp(user, device) {
+  if (isClientDeviceId(device.deviceId)) return !isTrustedDevice(user, device);
+  if (process.env.DEVICE_ID_REQUIRED === 'true') return true;
+  const minVersion = process.env.DEVICE_ID_MIN_APP_VERSION;
+  return !!(minVersion && device.appVersion) && compareVersions(device.appVersion, minVersion) >= 0;
+}
+
+// Mutates the user document; the caller saves it. Devices without a client
+// device id are not remembered.
+function trustDevice(user, device) {
+  if (!isClientDeviceId(device.deviceId)) return;
+  const now = new Date();
+  const existing = user.trustedDevices.find(d => d.deviceId === device.deviceId);
+  if (existing) {
+    existing.lastSeenAt = now;
+    if (device.deviceName) existing.deviceName = device.deviceName;
+    if (device.platform) existing.platform = device.platform;
+    return;
+  }
+
+  user.trustedDevices.push({
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    platform: device.platform,
+    firstSeenAt: now,
+    lastSeenAt: now
+  });
+  if (user.trustedDevices.length > MAX_TRUSTED_DEVICES) {
+    user.trustedDevices = [...user.trustedDevices]
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .slice(0, MAX_TRUSTED_DEVICES);
+  }
+}
+
+// Drop sessions whose refresh token has expired and keep the MAX_SESSIONS most recently used
+function pruneSessions(user) {
+  const cutoff = Date.now() - REFRESH_TOKEN_TTL_MS;
+  const live = user.refreshTokens.filter(s => !s.createdAt || new Date(s.createdAt).getTime() > cutoff);
+  if (live.length > MAX_SESSIONS) {
+    live.sort((a, b) => new Date(b.lastSeenAt || b.createdAt) - new Date(a.lastSeenAt || a.createdAt));
+    live.length = MAX_SESSIONS;
+  }
+  if (live.length !== user.refreshTokens.length) user.refreshTokens = live;
+}
+
+/**
+ * Record a newly issued refresh token as a session. Mutates the user
+ * document; the caller saves it.
+ */
+function addSession(user, { sessionId, refreshToken, device }) {
+  const now = new Date();
+  user.refreshTokens.push({
+    token: refreshToken,
+    createdAt: now,
+    sessionId,
+    deviceId: device.deviceId,
+    deviceName: device.deviceName,
+    platform: device.platform,
+    appVersion: device.appVersion,
+    ipAddress: device.ipAddress,
+    userAgent: device.userAgent,
+    firstSeenAt: now,
+    lastSeenAt: now
+  });
+  pruneSessions(user);
+}
+
+/**
+ * Find the session a presented refresh token belongs to.
+ * @param {Object} user
+ * @param {string} refreshToken
+ * @param {Object} decoded - Verified refresh token payload
+ * @returns {{ index: number, reused?: boolean, inProgress?: boolean }}
+ *   index -1 with `reused` when the token was already rotated out of its family,
+ *   or with `inProgress` when it was rotated moments ago by a concurrent refresh
+ */
+function matchRefreshToken(user, refreshToken, decoded) {
+  const index = user.refreshTokens.findIndex(s => s.token === refreshToken);
+  if (index !== -1) return { index };
+
+  // Tokens from before families carry no sid; a family that is gone was signed out
+  const family = decoded.sid && user.refreshTokens.find(s => s.sessionId === decoded.sid);
+  if (!family) return { index: -1 };
+
+  const rotatedAgo = family.rotatedAt ? Date.now() - new Date(family.rotatedAt).getTime() : Infinity;
+  if (family.previousTokenHash === hashCode(refreshToken) && rotatedAgo < REFRESH_REUSE_GRACE_MS) {
+    return { index: -1, inProgress: true };
+  }
+  return { index: -1, reused: true };
+}
+
+/**
+ * Revoke a whole token family after a rotated refresh token was replayed.
+ * @param {Object} user
+ * @param {string} sessionId
+ * @param {Object} device - Device context of the replaying request
+ */
+async function revokeSessionFamily(user, sessionId, device) {
+  await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { sessionId } } });
+  await revokeSessionTokens(sessionId);
+
+  logger.warn('Refresh token reuse detected - session family revoked', {
+    userId: user._id,
+    sessionId,
+    ipAddress: device.ipAddress,
+    deviceId: device.deviceId,
+    userAgent: device.userAgent
+  });
+
+  sendSecurityAlert(user._id.toString(), 'A sign-in on your account was reused from another device, so that session has been signed out. If this wasn\'t you, change your PIN.', {
+    event: 'REFRESH_TOKEN_REUSE',
+    sessionId,
+    ipAddress: device.ipAddress
+  }).catch(error => logger.warn('Token reuse security alert failed', { userId: user._id, error: error.message }));
+}
+
+/**
+ * Drop a user's expired sessions and keep the MAX_SESSIONS most recently used,
+ * straight in the database. Separate updates, so a session added by a
+ * concurrent sign-in is never overwritten with a stale copy of the array.
+ */
+async function pruneStoredSessions(userId) {
+  const cutoff = new Date(Date.now() - REFRESH_TOKEN_TTL_MS);
+  await User.updateOne(
+    { _id: userId, refreshTokens: { $elemMatch: { createdAt: { $lte: cutoff } } } },
+    { $pull: { refreshTokens: { createdAt: { $lte: cutoff } } } }
+  );
+  await User.updateOne(
+    { _id: userId, [`refreshTokens.${MAX_SESSIONS}`]: { $exists: true } },
+    { $push: { refreshTokens: { $each: [], $sort: { lastSeenAt: -1 }, $slice: MAX_SESSIONS } } }
+  );
+}
+
+/**
+ * Swap the refresh token of an existing session on refresh, keeping its
+ * device details. Sessions issued before device binding get an id here.
+ * Only the matched session is written, with a compare-and-swap on the old
+ * token, so of two concurrent refreshes with the same token only one wins.
+ * @returns {Promise<string|null>} sessionId, or null if the token was rotated concurrently
+ */
+async function rotateSession(user, index, { sessionId, refreshToken, device }) {
+  const session = user.refreshTokens[index];
+  const previousToken = session.token;
+  const now = new Date();
+  const rotatedSessionId = session.sessionId || sessionId;
+  const deviceId = session.deviceId || device.deviceId;
+
+  const update = {
+    'refreshTokens.$.token': refreshToken,
+    'refreshTokens.$.sessionId': rotatedSessionId,
+    'refreshTokens.$.previousTokenHash': hashCode(previousToken),
+    'refreshTokens.$.rotatedAt': now,
+    'refreshTokens.$.createdAt': now,
+    'refreshTokens.$.lastSeenAt': now,
+    'refreshTokens.$.firstSeenAt': session.firstSeenAt || session.createdAt || now,
+    'refreshTokens.$.ipAddress': device.ipAddress || session.ipAddress,
+    'refreshTokens.$.appVersion': device.appVersion || session.appVersion
+  };
+  if (!session.deviceId) {
+    update['refreshTokens.$.deviceId'] = device.deviceId;
+    update['refreshTokens.$.deviceName'] = device.deviceName;
+    update['refreshTokens.$.platform'] = device.platform;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, 'refreshTokens.token': previousToken },
+    { $set: update }
+  );
+  if (!result.modifiedCount) return null;
+
+  await User.updateOne(
+    { _id: user._id, 'trustedDevices.deviceId': deviceId },
+    { $set: { 'trustedDevices.$.lastSeenAt': now } }
+  );
+  await pruneStoredSessions(user._id);
+  return rotatedSessionId;
+}
+
+/**
+ * Start an OTP step-up for a sign-in from an unrecognised device and send the
+ * code by SMS and email.
+ * @returns {Promise<{ challengeId: string, expiresAt: Date }>}
+ */
+async function startNewDeviceChallenge(user, device) {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const challengeId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+
+  user.newDeviceChallenge = {
+    challengeId,
+    codeHash: hashCode(code),
+    device,
+    expiresAt,
+    attempts: 0
+  };
+  await user.save();
+
+  const deliveries = await Promise.allSettled([
+    user.phonenumber
+      ? sendVerificationCode(user.phonenumber.replace(/^\+/, ''), code).then(r => {
+        if (!r.success) throw new Error(r.error?.message || r.error || 'SMS failed');
+      })
+      : Promise.reject(new Error('No phone number')),
+    user.email
+      ? sendEmailVerificationOTP(user.email, user.firstname || user.username || 'User', code, CHALLENGE_TTL_MS / 60000)
+      : Promise.reject(new Error('No email'))
+  ]);
+
+  if (deliveries.every(d => d.status === 'rejected')) {
+    logger.error('New device OTP could not be delivered', {
+      userId: user._id,
+      errors: deliveries.map(d => d.reason?.message)
+    });
+    throw new SessionError('Could not send a verification code. Please try again.', 502, 'OTP_DELIVERY_FAILED');
+  }
+
+  logger.info('New device sign-in challenge started', { userId: user._id, deviceId: device.deviceId });
+  return { challengeId, expiresAt };
+}
+
+/**
+ * Check the step-up code. On success the challenge is cleared and the device
+ * trusted; the caller issues tokens and saves the user.
+ * @returns {Promise<{ user: Object, device: Object }>}
+ */
+async function completeNewDeviceChallenge(challengeId, code) {
+  if (!challengeId || !code) throw new SessionError('challengeId and code are required');
+
+  const user = await User.findOne({ 'newDeviceChallenge.challengeId': String(challengeId) });
+  const challenge = user?.newDeviceChallenge;
+  if (!challenge?.challengeId) {
+    throw new SessionError('Verification request not found. Please sign in again.', 404, 'CHALLENGE_NOT_FOUND');
+  }
+
+  const clearChallenge = () => {
+    user.newDeviceChallenge = { challengeId: null, codeHash: null, device: null, expiresAt: null, attempts: 0 };
+  };
+
+  if (challenge.expiresAt < new Date()) {
+    clearChallenge();
+    await user.save();
+    throw new SessionError('Verification code has expired. Please sign in again.', 410, 'CHALLENGE_EXPIRED');
+  }
+
+  const expected = Buffer.from(challenge.codeHash, 'hex');
+  const provided = Buffer.from(hashCode(String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, provided)) {
+    const attempts = (challenge.attempts || 0) + 1;
+    if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      clearChallenge();
+      await user.save();
+      throw new SessionError('Too many invalid codes. Please sign in again.', 429, 'CHALLENGE_LOCKED');
+    }
+    user.newDeviceChallenge.attempts = attempts;
+    await user.save();
+    throw new SessionError(
+      `Invalid verification code. ${MAX_CHALLENGE_ATTEMPTS - attempts} attempt(s) remaining.`,
+      401,
+      'INVALID_CODE'
+    );
+  }
+
+  const device = challenge.device;
+  clearChallenge();
+  trustDevice(user, device);
+  return { user, device };
+}
+
+// Push a security alert for a sign-in that passed the new-device step-up
+function alertNewDeviceSignIn(user, device, sessionId) {
+  const deviceLabel = device.deviceName || (device.platform ? `${device.platform} device` : 'a new device');
+  sendSecurityAlert(user._id.toString(), `New sign-in from ${deviceLabel}. If this wasn't you, revoke the session and change your PIN.`, {
+    event: 'NEW_DEVICE_LOGIN',
+    sessionId,
+    deviceName: device.deviceName,
+    platform: device.platform,
+    ipAddress: device.ipAddress
+  }).catch(error => logger.warn('New device security alert failed', { userId: user._id, error: error.message }));
+}
+
+function serializeSession(session, currentSessionId) {
+  return {
+    sessionId: session.sessionId,
+    deviceId: session.deviceId,
+    deviceName: session.deviceName,
+    platform: session.platform,
+    appVersion: session.appVersion,
+    ipAddress: session.ipAddress,
+    firstSeenAt: session.firstSeenAt || session.createdAt,
+    lastSeenAt: session.lastSeenAt || session.createdAt,
+    current: !!currentSessionId && session.sessionId === currentSessionId
+  };
+}
+
+/**
+ * Active sessions for a user, most recently used first.
+ * Sessions issued before device binding have no sessionId until their next refresh.
+ */
+async function listSessions(userId, currentSessionId) {
+  const user = await User.findById(userId).select('refreshTokens').lean();
+  if (!user) throw new SessionError('User not found', 404, 'USER_NOT_FOUND');
+
+  return (user.refreshTokens || [])
+    .map(session => serializeSession(session, currentSessionId))
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+}
+
+async function revokeSession(userId, sessionId) {
+  if (!sessionId) throw new SessionError('sessionId is required');
+  const result = await User.updateOne(
+    { _id: userId, 'refreshTokens.sessionId': sessionId },
+    { $pull: { refreshTokens: { sessionId } } }
+  );
+  if (!result.modifiedCount) throw new SessionError('Session not found', 404, 'SESSION_NOT_FOUND');
+  await revokeSessionTokens(sessionId);
+  logger.info('Session revoked', { userId, sessionId });
+}
+
+// Revoke every session except the caller's own
+async function revokeOtherSessions(userId, currentSessionId) {
+  if (!currentSessionId) {
+    throw new SessionError('Current session is unknown. Please sign in again.', 400, 'SESSION_UNKNOWN');
+  }
+  const user = await User.findById(userId).select('refreshTokens');
+  if (!user) throw new SessionError('User not found', 404, 'USER_NOT_FOUND');
+
+  const others = user.refreshTokens.filter(s => s.sessionId !== currentSessionId);
+  user.refreshTokens = user.refreshTokens.filter(s => s.sessionId === currentSessionId);
+  await user.save();
+  await Promise.all(others.map(s => revokeSessionTokens(s.sessionId)));
+
+  const revoked = others.length;
+  logger.info('Other sessions revoked', { userId, revoked });
+  return revoked;
+}
+
+async function listTrustedDevices(userId, currentSessionId) {
+  const user = await User.findById(userId).select('trustedDevices refreshTokens').lean();
+  if (!user) throw new SessionError('User not found', 404, 'USER_NOT_FOUND');
+
+  const currentDeviceId = (user.refreshTokens || []).find(s => s.sessionId === currentSessionId)?.deviceId;
+  return (user.trustedDevices || [])
+    .map(device => ({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName,
+      platform: device.platform,
+      firstSeenAt: device.firstSeenAt,
+      lastSeenAt: device.lastSeenAt,
+      activeSessions: (user.refreshTokens || []).filter(s => s.deviceId === device.deviceId).length,
+      current: !!currentDeviceId && device.deviceId === currentDeviceId
+    }))
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+}
+
+// Forget a device and sign it out; its next sign-in needs the OTP step-up again
+async function removeTrustedDevice(userId, deviceId) {
+  if (!deviceId) throw new SessionError('deviceId is required');
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'trustedDevices.deviceId': deviceId },
+    { $pull: { trustedDevices: { deviceId }, refreshTokens: { deviceId } } }
+  ).select('refreshTokens');
+  if (!user) throw new SessionError('Device not found', 404, 'DEVICE_NOT_FOUND');
+
+  const signedOut = user.refreshTokens.filter(s => s.deviceId === deviceId);
+  await Promise.all(signedOut.map(s => revokeSessionTokens(s.sessionId)));
+  logger.info('Trusted device removed', { userId, deviceId });
+}
+
+module.exports = {
+  SessionError,
+  newSessionId,
+  getDeviceContext,
+  isTrustedDevice,
+  requiresDeviceStepUp,
+  trustDevice,
+  addSession,
+  matchRefreshToken,
+  revokeSessionFamily,
+  rotateSession,
+  startNewDeviceChallenge,
+  completeNewDeviceChallenge,
+  alertNewDeviceSignIn,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  listTrustedDevices,
+  removeTrustedDevice
+};
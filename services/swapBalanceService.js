@@ -5,6 +5,7 @@ const User = require('../models/user');
 const Transaction = require('../models/transaction');
 const { getPricesWithCache } = require('./portfolio');
 const logger = require('../utils/logger');
+const { postEntry } = require('./ledgerService');
 
 /**
  * Get USD price for any currency (crypto or NGNZ)
@@ -182,27 +183,26 @@ async function updateBalancesOnSwap(userId, fromCurrency, toCurrency, fromAmount
       session
     });
 
-    // 5. Update user balances atomically
-    const updatedUser = await User.findOneAndUpdate(
-      { 
-        _id: userId, 
-        [fromKey]: { $gte: fromAmount } // Double-check balance in update query
-      },
-      {
-        $inc: {
-          [fromKey]: -fromAmount,
-          [toKey]: toAmount,
-          [`${fromCurrency.toLowerCase()}BalanceUSD`]: -fromUsdDelta,
-          [`${toCurrency.toLowerCase()}BalanceUSD`]: toUsdDelta
-        },
-        $set: { portfolioLastUpdated: new Date() }
-      },
-      { 
-        new: true, 
-        runValidators: true, 
-        session 
-      }
-    );
+    // 5. Update user balances atomically through the ledger
+    let updatedUser;
+    try {
+      ({ user: updatedUser } = await postEntry({
+        type: 'SWAP',
+        userId,
+        reference: swapId,
+        description: `Swap ${fromAmount} ${fromCurrency} to ${toAmount} ${toCurrency}`,
+        actor: { kind: 'USER', id: String(userId) },
+        changes: [
+          { currency: fromCurrency, balanceDelta: -fromAmount },
+          { currency: toCurrency, balanceDelta: toAmount }
+        ],
+        metadata: { swapType, fromUsdDelta, toUsdDelta },
+        set: { portfolioLastUpdated: new Date() },
+        session
+      }));
+    } catch (ledgerError) {
+      if (ledgerError.code !== 'INSUFFICIENT_BALANCE') throw ledgerError;
+    }
 
     if (!updatedUser) {
       throw new Error('Balance update failed - insufficient balance or user not found during update');
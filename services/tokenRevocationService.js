@@ -0,0 +1,159 @@
+// services/tokenRevocationService.js
+//
+// Revocation list for access tokens, checked by authenticateToken and
+// authenticateAdminToken in server.js. Access tokens live for an hour, so
+// every entry only has to outlive that:
+//   - a per-user / per-admin cutoff in milliseconds: tokens issued before it are
+//     rejected (logout everywhere, block, account deletion, admin deactivation).
+//     Tokens carry their issue time in ms (`iatMs`, see issuedAtClaim) so a
+//     token signed in the same second as the revocation still works.
+//   - a revoked user session (`sid` claim) - sign-out of one device
+//   - a revoked token id (`jti` claim) - admin logout
+//
+// Entries are kept in Redis and mirrored in memory, so a revocation still
+// applies on this instance when Redis is unavailable.
+
+const { getRedisClient } = require('../utils/redis');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // access tokens are issued with expiresIn "1h"
+const ENTRY_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS + 60;
+const MAX_LOCAL_ENTRIES = 10000;
+
+const localEntries = new Map(); // key -> { value, expiresAt }
+
+const subjectKey = (kind, id) => `token_revoked_before:${kind}:${id}`;
+const sessionKey = (sessionId) => `token_revoked_session:${sessionId}`;
+const jtiKey = (jti) => `token_revoked_jti:${jti}`;
+
+function readLocal(key) {
+  const entry = localEntries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    localEntries.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function writeLocal(key, value, ttlSeconds) {
+  if (localEntries.size >= MAX_LOCAL_ENTRIES) {
+    const now = Date.now();
+    for (const [k, entry] of localEntries) {
+      if (entry.expiresAt <= now) localEntries.delete(k);
+    }
+    // Still full: drop the oldest entries (Map keeps insertion order)
+    for (const k of localEntries.keys()) {
+      if (localEntries.size < MAX_LOCAL_ENTRIES) break;
+      localEntries.delete(k);
+    }
+  }
+  localEntries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+}
+
+async function setEntry(key, value, ttlSeconds = ENTRY_TTL_SECONDS) {
+  writeLocal(key, String(value), ttlSeconds);
+
+  const redis = getRedisClient();
+  if (!redis) return;
+  try {
+    await redis.set(key, String(value), 'EX', ttlSeconds);
+  } catch (error) {
+    logger.error('Token revocation write to Redis failed', { key, error: error.message });
+  }
+}
+
+async function getEntries(keys) {
+  let remote = [];
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      remote = await redis.mget(...keys);
+    } catch (error) {
+      logger.error('Token revocation lookup in Redis failed', { error: error.message });
+    }
+  }
+  return keys.map((key, i) => remote[i] ?? readLocal(key));
+}
+
+/**
+ * Reject every access token issued to a user or admin up to now.
+ * @param {'user'|'admin'} kind
+ * @param {string} id
+ * @param {string} [reason] - For the log
+ */
+async function revokeAllTokens(kind, id, reason) {
+  const cutoff = Date.now();
+  await setEntry(subjectKey(kind, String(id)), cutoff);
+  logger.info('Access tokens revoked', { kind, id: String(id), reason });
+}
+
+const revokeAllUserTokens = (userId, reason) => revokeAllTokens('user', userId, reason);
+const revokeAllAdminTokens = (adminId, reason) => revokeAllTokens('admin', adminId, reason);
+
+// Reject access tokens carrying this session id (`sid`)
+async function revokeSessionTokens(sessionId) {
+  if (!sessionId) return;
+  await setEntry(sessionKey(sessionId), 1);
+}
+
+/**
+ * Reject a single access token by its `jti`
+ * @param {string} jti
+ * @param {number} [exp] - Token expiry (seconds since epoch); the entry lives until then
+ */
+async function revokeTokenId(jti, exp) {
+  if (!jti) return;
+  const ttl = exp ? Math.max(1, exp - Math.floor(Date.now() / 1000)) : ENTRY_TTL_SECONDS;
+  await setEntry(jtiKey(jti), 1, Math.min(ttl, ENTRY_TTL_SECONDS));
+}
+
+/**
+ * Claim to spread into every access token payload: its issue time in ms
+ * (`iat` only has second resolution)
+ * @returns {{ iatMs: number }}
+ */
+function issuedAtClaim() {
+  return { iatMs: Date.now() };
+}
+
+// Issue time in ms; tokens signed without `iatMs` fall back to `iat`
+function issuedAtMs(payload) {
+  if (Number.isFinite(payload.iatMs)) return payload.iatMs;
+  return payload.iat ? payload.iat * 1000 : null;
+}
+
+// Cutoffs written before they were kept in ms hold seconds
+function cutoffMs(value) {
+  const cutoff = Number(value);
+  return cutoff < 1e12 ? cutoff * 1000 : cutoff;
+}
+
+/**
+ * Whether a verified access token payload has been revoked. Never throws;
+ * when Redis is unreachable only this instance's revocations are seen.
+ * @param {'user'|'admin'} kind
+ * @param {Object} payload - Decoded JWT ({ id, iat, iatMs?, sid?, jti? })
+ * @returns {Promise<boolean>}
+ */
+async function isTokenRevoked(kind, payload) {
+  if (!payload?.id) return false;
+
+  const keys = [subjectKey(kind, String(payload.id))];
+  if (payload.sid) keys.push(sessionKey(payload.sid));
+  if (payload.jti) keys.push(jtiKey(payload.jti));
+
+  const [cutoff, ...others] = await getEntries(keys);
+  const issuedAt = issuedAtMs(payload);
+  if (cutoff && issuedAt && issuedAt < cutoffMs(cutoff)) return true;
+  return others.some(Boolean);
+}
+
+module.exports = {
+  revokeAllUserTokens,
+  revokeAllAdminTokens,
+  revokeSessionTokens,
+  revokeTokenId,
+  issuedAtClaim,
+  isTokenRevoked
+};
@@ -0,0 +1,298 @@
+// services/twoFARecoveryService.js
+//
+// Getting back into an account whose authenticator app is lost, without support:
+//   - backup codes: ten one-time codes issued when 2FA is enabled (or
+//     regenerated); one of them resets 2FA
+//   - self-service recovery: email OTP, then a selfie matched by Smile ID;
+//     resets 2FA and freezes withdrawals for 48 hours
+// After a reset the user sets up a new authenticator through /2FA/setup-2fa.
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const SmileIDService = require('./SmileIDService');
+const securityService = require('./securityService');
+const { removeAllPasskeys } = require('./passkeyService');
+const { sendEmailVerificationOTP } = require('./EmailService');
+const { sendSecurityAlert } = require('./notificationService');
+const logger = require('../utils/logger');
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const EMAIL_CODE_TTL_MS = 10 * 60 * 1000;
+const EMAIL_CODE_RESEND_MS = 60 * 1000;
+const MAX_EMAIL_ATTEMPTS = 5;
+const SELFIE_WINDOW_MS = 30 * 60 * 1000; // after the email step
+const MAX_SELFIE_ATTEMPTS = 3;
+const WITHDRAWAL_FREEZE_MS = 48 * 60 * 60 * 1000;
+
+const EMPTY_RECOVERY = {
+  emailCodeHash: null,
+  emailCodeExpiresAt: null,
+  emailAttempts: 0,
+  emailVerifiedAt: null,
+  selfieAttempts: 0,
+  startedAt: null
+};
+
+class TwoFARecoveryError extends Error {
+  constructor(message, httpStatus = 400, code = 'TWO_FA_RECOVERY_ERROR') {
+    super(message);
+    this.name = 'TwoFARecoveryError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Salted with the user id so identical codes never share a hash
+const hashBackupCode = (userId, code) => hashValue(`${userId}:${normalizeBackupCode(code)}`);
+
+function randomBackupCode() {
+  const chars = Array.from({ length: 10 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+
+/**
+ * Replace the user's backup codes. The caller saves the user and shows the
+ * returned codes once - only hashes are stored.
+ * @param {Object} user - User document
+ * @returns {string[]}
+ */
+function generateBackupCodes(user) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, randomBackupCode);
+  user.twoFABackupCodes = codes.map(code => ({ codeHash: hashBackupCode(user._id, code), usedAt: null }));
+  user.twoFABackupCodesGeneratedAt = new Date();
+  return codes;
+}
+
+function backupCodesStatus(user) {
+  const codes = user.twoFABackupCodes || [];
+  return {
+    total: codes.length,
+    remaining: codes.filter(c => !c.usedAt).length,
+    generatedAt: user.twoFABackupCodesGeneratedAt || null
+  };
+}
+
+// Marks the code used; the filter on usedAt makes a code redeemable once
+async function redeemBackupCode(userId, code) {
+  if (normalizeBackupCode(code).length !== 10) return false;
+  const result = await User.updateOne(
+    { _id: userId, twoFABackupCodes: { $elemMatch: { codeHash: hashBackupCode(userId, code), usedAt: null } } },
+    { $set: { 'twoFABackupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+}
+
+function getWithdrawalFreeze(user) {
+  const until = user?.withdrawalsFrozenUntil;
+  if (!until || new Date(until) <= new Date()) return null;
+  return {
+    until,
+    message: `Withdrawals are paused until ${new Date(until).toISOString()} after the recent two-factor authentication reset.`
+  };
+}
+
+/**
+ * Turn 2FA off so a new authenticator can be set up. Clears backup codes,
+ * passkeys and the 2FA lockout.
+ * @param {Object} user - User document
+ * @param {{ method: 'BACKUP_CODE'|'SELFIE', freezeWithdrawals?: boolean }} options
+ */
+async function resetTwoFactor(user, { method, freezeWithdrawals = false }) {
+  const now = new Date();
+  user.twoFASecret = null;
+  user.is2FAEnabled = false;
+  user.is2FAVerified = false;
+  user.twoFAResetAt = now;
+  user.twoFABackupCodes = [];
+  user.twoFABackupCodesGeneratedAt = null;
+  user.twoFARecovery = { ...EMPTY_RECOVERY };
+  if (freezeWithdrawals) {
+    user.withdrawalsFrozenUntil = new Date(now.getTime() + WITHDRAWAL_FREEZE_MS);
+  }
+  await user.save();
+
+  await removeAllPasskeys('USER', user._id);
+  try {
+    await securityService.unlock2FALock(user._id.toString());
+  } catch (error) {
+    logger.warn('Could not clear 2FA lockout after recovery', { userId: user._id, error: error.message });
+  }
+
+  logger.info('2FA reset by self-service recovery', {
+    userId: user._id,
+    method,
+    withdrawalsFrozenUntil: user.withdrawalsFrozenUntil
+  });
+
+  const freezeNote = freezeWithdrawals ? ' Withdrawals are paused for 48 hours.' : '';
+  sendSecurityAlert(user._id.toString(), `Two-factor authentication was reset on your account.${freezeNote} If this wasn't you, contact support immediately.`, {
+    event: 'TWO_FA_RESET',
+    method,
+    withdrawalsFrozenUntil: user.withdrawalsFrozenUntil ? user.withdrawalsFrozenUntil.toISOString() : null
+  }).catch(error => logger.warn('2FA reset security alert failed', { userId: user._id, error: error.message }));
+
+  return { withdrawalsFrozenUntil: freezeWithdrawals ? user.withdrawalsFrozenUntil : null };
+}
+
+async function loadUserWith2FA(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new TwoFARecoveryError('User not found', 404, 'USER_NOT_FOUND');
+  if (!user.is2FAEnabled) {
+    throw new TwoFARecoveryError('Two-factor authentication is not enabled', 400, 'TWO_FA_NOT_ENABLED');
+  }
+  return user;
+}
+
+/**
+ * Reset 2FA with one of the user's backup codes.
+ * Counts towards the 2FA lockout like a wrong authenticator code.
+ */
+async function recoverWithBackupCode(userId, code) {
+  const twoFACheck = await securityService.check2FAAttempts(String(userId));
+  if (!twoFACheck.allowed) throw new TwoFARecoveryError(twoFACheck.message, 429, 'TWO_FA_LOCKED');
+
+  const user = await loadUserWith2FA(userId);
+
+  if (!(await redeemBackupCode(user._id, code))) {
+    await securityService.record2FAFailure(String(userId));
+    throw new TwoFARecoveryError('Invalid or already used backup code', 401, 'INVALID_BACKUP_CODE');
+  }
+
+  // Reload so the save below keeps the code marked as used
+  const fresh = await User.findById(user._id);
+  return resetTwoFactor(fresh, { method: 'BACKUP_CODE' });
+}
+
+/**
+ * Step 1 of self-service recovery: email a one-time code
+ * @returns {Promise<{ expiresAt: Date }>}
+ */
+async function startRecovery(userId) {
+  const user = await loadUserWith2FA(userId);
+  if (!user.email) {
+    throw new TwoFARecoveryError('No email address on this account. Please contact support.', 400, 'NO_EMAIL');
+  }
+
+  const startedAt = user.twoFARecovery?.startedAt;
+  if (startedAt && Date.now() - startedAt.getTime() < EMAIL_CODE_RESEND_MS) {
+    throw new TwoFARecoveryError('Please wait a minute before requesting another code', 429, 'RECOVERY_THROTTLED');
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const expiresAt = new Date(Date.now() + EMAIL_CODE_TTL_MS);
+  user.twoFARecovery = {
+    ...EMPTY_RECOVERY,
+    emailCodeHash: hashValue(code),
+    emailCodeExpiresAt: expiresAt,
+    startedAt: new Date()
+  };
+  await user.save();
+
+  try {
+    await sendEmailVerificationOTP(user.email, user.firstname || user.username || 'User', code, EMAIL_CODE_TTL_MS / 60000);
+  } catch (error) {
+    logger.error('2FA recovery email could not be sent', { userId: user._id, error: error.message });
+    throw new TwoFARecoveryError('Could not send the verification email. Please try again.', 502, 'OTP_DELIVERY_FAILED');
+  }
+
+  logger.info('2FA recovery started', { userId: user._id });
+  return { expiresAt };
+}
+
+/**
+ * Step 2: check the emailed code. Opens a 30 minute window for the selfie.
+ */
+async function verifyRecoveryEmail(userId, code) {
+  const user = await loadUserWith2FA(userId);
+  const recovery = user.twoFARecovery;
+  if (!recovery?.emailCodeHash) {
+    throw new TwoFARecoveryError('No recovery in progress. Please start again.', 404, 'RECOVERY_NOT_FOUND');
+  }
+
+  if (recovery.emailCodeExpiresAt < new Date() || recovery.emailAttempts >= MAX_EMAIL_ATTEMPTS) {
+    const expired = recovery.emailCodeExpiresAt < new Date();
+    user.twoFARecovery = { ...EMPTY_RECOVERY };
+    await user.save();
+    throw expired
+      ? new TwoFARecoveryError('Verification code has expired. Please start again.', 410, 'CODE_EXPIRED')
+      : new TwoFARecoveryError('Too many incorrect codes. Please start again.', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  const matches = /^\d{6}$/.test(String(code || '')) &&
+    crypto.timingSafeEqual(Buffer.from(hashValue(code)), Buffer.from(recovery.emailCodeHash));
+  if (!matches) {
+    recovery.emailAttempts += 1;
+    await user.save();
+    throw new TwoFARecoveryError('Invalid verification code', 401, 'INVALID_CODE');
+  }
+
+  recovery.emailCodeHash = null;
+  recovery.emailCodeExpiresAt = null;
+  recovery.emailVerifiedAt = new Date();
+  await user.save();
+
+  return { selfieDeadline: new Date(recovery.emailVerifiedAt.getTime() + SELFIE_WINDOW_MS) };
+}
+
+/**
+ * Step 3: selfie re-verification with Smile ID. On a match 2FA is reset and
+ * withdrawals are frozen for 48 hours.
+ * @param {string} userId
+ * @param {{ selfieImage: string, livenessImages?: string[] }} images - base64 JPEGs
+ */
+async function completeRecoveryWithSelfie(userId, { selfieImage, livenessImages = [] }) {
+  const user = await loadUserWith2FA(userId);
+  const recovery = user.twoFARecovery;
+
+  const verifiedAt = recovery?.emailVerifiedAt;
+  if (!verifiedAt || Date.now() - verifiedAt.getTime() > SELFIE_WINDOW_MS) {
+    throw new TwoFARecoveryError('Please verify your email first', 400, 'EMAIL_NOT_VERIFIED');
+  }
+  if (recovery.selfieAttempts >= MAX_SELFIE_ATTEMPTS) {
+    user.twoFARecovery = { ...EMPTY_RECOVERY };
+    await user.save();
+    throw new TwoFARecoveryError('Too many selfie attempts. Please contact support.', 429, 'TOO_MANY_ATTEMPTS');
+  }
+
+  // Counted before the provider call so a failure still uses up an attempt
+  recovery.selfieAttempts += 1;
+  await user.save();
+
+  let result;
+  try {
+    result = await new SmileIDService().authenticateSelfie({ userId: user._id.toString(), selfieImage, livenessImages });
+  } catch (error) {
+    throw new TwoFARecoveryError('Selfie verification is unavailable. Please try again later.', 502, 'SELFIE_CHECK_FAILED');
+  }
+
+  if (!result.approved) {
+    logger.warn('2FA recovery selfie not matched', { userId: user._id, status: result.status, code: result.code });
+    throw new TwoFARecoveryError(
+      `Selfie could not be matched to your account. ${MAX_SELFIE_ATTEMPTS - recovery.selfieAttempts} attempt(s) remaining.`,
+      401,
+      'SELFIE_NOT_MATCHED'
+    );
+  }
+
+  return resetTwoFactor(user, { method: 'SELFIE', freezeWithdrawals: true });
+}
+
+module.exports = {
+  TwoFARecoveryError,
+  generateBackupCodes,
+  backupCodesStatus,
+  getWithdrawalFreeze,
+  recoverWithBackupCode,
+  startRecovery,
+  verifyRecoveryEmail,
+  completeRecoveryWithSelfie
+};
@@ -1,7 +1,59 @@
+const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 
+// One-time codes handed out after a passkey assertion (services/passkeyService).
+// They are derived from a server-side secret instead of the user's TOTP seed,
+// so they work anywhere a 2FA code is accepted and go through the same
+// lockout / replay checks (securityService) as authenticator-app codes.
+// The secret is dedicated: without PASSKEY_2FA_SECRET passkey 2FA is off.
+const PASSKEY_CODE_STEP_SECONDS = 60;
+
+function passkeyCodeSecret() {
+  return process.env.PASSKEY_2FA_SECRET || null;
+}
+
+// Whether passkeys can stand in for a 2FA code
+function passkeyCodesEnabled() {
+  return !!passkeyCodeSecret();
+}
+
+function passkeyCodeFor(userId, step) {
+  const digest = crypto
+    .createHmac('sha256', passkeyCodeSecret())
+    .update(`passkey-2fa:${userId}:${step}`)
+    .digest();
+  // RFC 4226 dynamic truncation
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 1000000).padStart(6, '0');
+}
+
+/**
+ * Issue a 2FA code for a user who has just completed a passkey assertion
+ * @param {string} userId
+ * @returns {{ code: string, expiresIn: number }} expiresIn in seconds
+ */
+function generatePasskeyCode(userId) {
+  if (!passkeyCodeSecret()) throw new Error('PASSKEY_2FA_SECRET is not configured');
+  const now = Math.floor(Date.now() / 1000);
+  const step = Math.floor(now / PASSKEY_CODE_STEP_SECONDS);
+  // Accepted for the current and the next step (see isValidPasskeyCode)
+  const expiresIn = (step + 2) * PASSKEY_CODE_STEP_SECONDS - now;
+  return { code: passkeyCodeFor(String(userId), step), expiresIn };
+}
+
+function isValidPasskeyCode(userId, code) {
+  if (!passkeyCodeSecret() || !userId || !/^\d{6}$/.test(code)) return false;
+  const step = Math.floor(Date.now() / 1000 / PASSKEY_CODE_STEP_SECONDS);
+  return [step, step - 1].some((s) => {
+    const expected = passkeyCodeFor(String(userId), s);
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code));
+  });
+}
+
 /**
  * Validates user's 2FA code
+ * Accepts an authenticator-app (TOTP) code or a code issued after a passkey assertion.
  * @param {Object} user - User document
  * @param {string} twoFactorCode - 2FA code
  * @returns {boolean} Validation result
@@ -10,15 +62,20 @@ function validateTwoFactorAuth(user, twoFactorCode) {
   if (!user.twoFASecret || !user.is2FAEnabled) {
     return false;
   }
-  
-  return speakeasy.totp.verify({
+
+  const token = String(twoFactorCode).trim();
+  const totpValid = speakeasy.totp.verify({
     secret: user.twoFASecret,
     encoding: 'base32',
-    token: String(twoFactorCode).trim(),
+    token,
     window: 3,
   });
+
+  return totpValid || isValidPasskeyCode(user._id, token);
 }
 
 module.exports = {
-  validateTwoFactorAuth
-};
\ No newline at end of file
+  validateTwoFactorAuth,
+  passkeyCodesEnabled,
+  generatePasskeyCode
+};
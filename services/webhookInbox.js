@@ -0,0 +1,251 @@
+// services/webhookInbox.js
+//
+// Durable inbox for provider webhooks. A route verifies the signature, calls
+// receiveWebhook() and answers the provider straight away; the handler
+// registered for the source then runs asynchronously:
+//   - every raw payload is stored with its signature result (models/webhookEvent)
+//   - signed events carrying a provider id are deduplicated on `${source}:${eventId}`
+//   - a throwing handler is retried with exponential backoff, then parked as DEAD
+//   - admins list, inspect and replay events (adminRoutes/webhookEvents)
+// Handlers must be safe to run more than once for the same event.
+
+const WebhookEvent = require('../models/webhookEvent');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000; // a PROCESSING event older than this is assumed abandoned
+const SWEEP_BATCH_SIZE = 50;
+const OMITTED_HEADERS = ['authorization', 'cookie'];
+
+const handlers = new Map();
+
+/**
+ * Thrown by a handler for an event that will never succeed (malformed
+ * payload, unsupported currency...). The event goes straight to DEAD.
+ */
+class WebhookPermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookPermanentError';
+  }
+}
+
+class WebhookInboxError extends Error {
+  constructor(message, httpStatus = 400, code = 'WEBHOOK_INBOX_ERROR') {
+    super(message);
+    this.name = 'WebhookInboxError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+/**
+ * @param {string} source - One of WEBHOOK_SOURCES
+ * @param {(payload: Object, event: Object) => Promise<Object|undefined>} handler
+ *   Resolves with a result stored on the event; throw to retry.
+ */
+function registerWebhookHandler(source, handler) {
+  handlers.set(source, handler);
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function storableHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !OMITTED_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+function scheduleProcessing(eventId) {
+  setImmediate(() => {
+    processWebhookEvent(eventId).catch(error =>
+      logger.error('Webhook event processing crashed', { eventId: String(eventId), error: error.message })
+    );
+  });
+}
+
+/**
+ * Store an inbound webhook and queue it for processing.
+ * @param {Object} data
+ * @param {string} data.source
+ * @param {string} [data.eventId] - Provider event id; a repeated id is not processed again once
+ *   the signature has been verified (an unsigned copy could otherwise block the real event)
+ * @param {string} [data.eventType]
+ * @param {string} [data.rawBody]
+ * @param {Object} data.payload - Parsed body handed to the handler
+ * @param {Object} [data.headers]
+ * @param {boolean|null} [data.signatureValid] - false stores the event as REJECTED
+ * @param {string} [data.signatureError]
+ * @returns {Promise<{ event: Object, duplicate: boolean }>}
+ */
+async function receiveWebhook({ source, eventId = null, eventType = null, rawBody = null, payload, headers, signatureValid = null, signatureError = null }) {
+  const dedupeKey = eventId && signatureValid === true ? `${source}:${eventId}` : undefined;
+
+  try {
+    const event = await WebhookEvent.create({
+      source,
+      eventType,
+      eventId: eventId ? String(eventId) : null,
+      dedupeKey,
+      rawBody,
+      payload,
+      headers: storableHeaders(headers),
+      signatureValid,
+      signatureError,
+      status: signatureValid === false ? 'REJECTED' : 'RECEIVED'
+    });
+
+    if (event.status === 'RECEIVED') scheduleProcessing(event._id);
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000 || !dedupeKey) throw error;
+
+    const event = await WebhookEvent.findOneAndUpdate(
+      { dedupeKey },
+      { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } },
+      { new: true }
+    );
+    logger.info('Duplicate webhook ignored', { source, eventId, status: event?.status });
+    return { event, duplicate: true };
+  }
+}
+
+/**
+ * Claim one event and run its handler. Safe to call concurrently - only one
+ * caller wins the claim.
+ * @returns {Promise<Object|null>} The updated event, or null if it was not claimable
+ */
+async function processWebhookEvent(eventId) {
+  const now = new Date();
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { status: { $in: ['RECEIVED', 'FAILED'] }, nextAttemptAt: { $lte: now } },
+        { status: 'PROCESSING', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'PROCESSING', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!event) return null;
+
+  const handler = handlers.get(event.source);
+  if (!handler) {
+    logger.error('No webhook handler registered', { source: event.source, eventId: String(event._id) });
+    return WebhookEvent.findByIdAndUpdate(event._id, {
+      $set: { status: 'DEAD', lockedAt: null, lastError: `No handler registered for ${event.source}` }
+    }, { new: true });
+  }
+
+  try {
+    const result = await handler(event.payload, event);
+    return WebhookEvent.findByIdAndUpdate(event._id, {
+      $set: { status: 'PROCESSED', lockedAt: null, processedAt: new Date(), result: result ?? null, lastError: null }
+    }, { new: true });
+  } catch (error) {
+    const permanent = error instanceof WebhookPermanentError;
+    const dead = permanent || event.attempts >= MAX_ATTEMPTS;
+    const nextAttemptAt = new Date(Date.now() + retryDelay(event.attempts));
+
+    logger[dead ? 'error' : 'warn']('Webhook event processing failed', {
+      eventId: String(event._id),
+      source: event.source,
+      attempts: event.attempts,
+      permanent,
+      error: error.message,
+      ...(dead ? {} : { nextAttemptAt })
+    });
+
+    return WebhookEvent.findByIdAndUpdate(event._id, {
+      $set: {
+        status: dead ? 'DEAD' : 'FAILED',
+        lockedAt: null,
+        lastError: error.message,
+        ...(dead ? {} : { nextAttemptAt })
+      }
+    }, { new: true });
+  }
+}
+
+/**
+ * Process events that are due: retries, events whose immediate run never
+ * happened (restart between store and process) and abandoned claims.
+ * @returns {Promise<{ due: number, processed: number, failed: number }>}
+ */
+async function processDueWebhookEvents() {
+  const now = new Date();
+  const due = await WebhookEvent.find({
+    $or: [
+      { status: { $in: ['RECEIVED', 'FAILED'] }, nextAttemptAt: { $lte: now } },
+      { status: 'PROCESSING', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } }
+    ]
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(SWEEP_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  const summary = { due: due.length, processed: 0, failed: 0 };
+  for (const { _id } of due) {
+    const event = await processWebhookEvent(_id);
+    if (event?.status === 'PROCESSED') summary.processed += 1;
+    else if (event) summary.failed += 1;
+  }
+  return summary;
+}
+
+/**
+ * Run a FAILED or DEAD event again now, with a fresh attempt budget.
+ * REJECTED events (bad signature) are never processed.
+ * @param {string} eventId
+ * @param {Object} admin - req.admin
+ * @returns {Promise<Object>} The event after the replay attempt
+ */
+async function replayWebhookEvent(eventId, admin) {
+  const current = await WebhookEvent.findById(eventId).select('status source').lean();
+  if (!current) throw new WebhookInboxError('Webhook event not found', 404, 'EVENT_NOT_FOUND');
+  if (!['FAILED', 'DEAD'].includes(current.status)) {
+    throw new WebhookInboxError('Only failed or dead events can be replayed', 409, 'NOT_REPLAYABLE');
+  }
+
+  // Conditional on the status read above so two admins can't replay at once
+  const reset = await WebhookEvent.findOneAndUpdate(
+    { _id: eventId, status: current.status },
+    {
+      $set: { status: 'RECEIVED', attempts: 0, nextAttemptAt: new Date(), lockedAt: null },
+      $push: {
+        replays: {
+          adminId: admin?.id || null,
+          adminEmail: admin?.email || null,
+          replayedAt: new Date(),
+          previousStatus: current.status
+        }
+      }
+    }
+  );
+  if (!reset) throw new WebhookInboxError('Webhook event changed, please retry', 409, 'EVENT_CHANGED');
+
+  logger.info('Webhook event replayed', {
+    eventId: String(eventId),
+    source: current.source,
+    previousStatus: current.status,
+    adminId: admin?.id
+  });
+
+  return (await processWebhookEvent(eventId)) || WebhookEvent.findById(eventId);
+}
+
+module.exports = {
+  WebhookPermanentError,
+  WebhookInboxError,
+  registerWebhookHandler,
+  receiveWebhook,
+  processWebhookEvent,
+  processDueWebhookEvents,
+  replayWebhookEvent
+};
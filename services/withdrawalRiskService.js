@@ -0,0 +1,374 @@
+// services/withdrawalRiskService.js
+//
+// Rules-based risk scoring for outgoing withdrawals (crypto and NGNZ bank
+// payouts). Each rule that fires adds its weight to the score; withdrawals
+// scoring HOLD_SCORE or more are held in PENDING_REVIEW with the funds kept
+// in the pending balance until a moderator approves or rejects them
+// (adminRoutes/withdrawalReviews). Large withdrawals are also screened against
+// the sanctions/PEP watchlists: a PEP hit holds, a sanctions hit blocks.
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const WithdrawalReview = require('../models/withdrawalReview');
+const { postEntry } = require('./ledgerService');
+const { service: kycLimitService } = require('./kyccheckservice');
+const { queuePush } = require('./backgroundJobs');
+const { emitEvent } = require('./outboundWebhookService');
+const { screenUser } = require('./screeningService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HOLD_SCORE = parseInt(process.env.WITHDRAWAL_RISK_HOLD_SCORE, 10) || 50;
+
+const RISK_RULES = {
+  NEW_DEVICE: { weight: 40, windowMs: 30 * DAY_MS },
+  RECENT_2FA_RESET: { weight: 50, windowMs: 7 * DAY_MS },
+  AMOUNT_ABOVE_AVERAGE: { weight: 35, multiple: 5, minHistory: 3, historySize: 20 },
+  NEW_DESTINATION: { weight: 20 },
+  LARGE_AMOUNT: { weight: 50, thresholdNgn: parseFloat(process.env.WITHDRAWAL_RISK_LARGE_NGN) || 5000000 },
+  WATCHLIST_MATCH: { weight: HOLD_SCORE, thresholdNgn: parseFloat(process.env.SCREENING_WITHDRAWAL_MIN_NGN) || 1000000 }
+};
+
+const COMPLETED_STATUSES = ['SUCCESSFUL', 'COMPLETED', 'CONFIRMED'];
+const NOT_SENT_STATUSES = ['FAILED', 'REJECTED', 'PENDING_REVIEW'];
+
+class WithdrawalReviewError extends Error {
+  constructor(message, httpStatus = 400, code = 'WITHDRAWAL_REVIEW_ERROR') {
+    super(message);
+    this.name = 'WithdrawalReviewError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+function destinationFilter(kind, destination) {
+  return kind === 'CRYPTO'
+    ? { address: destination.address }
+    : { 'ngnzWithdrawal.destination.accountNumber': destination.accountNumber };
+}
+
+/**
+ * Score a withdrawal before any funds move
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {'CRYPTO'|'NGNZ'} params.kind
+ * @param {string} params.currency
+ * @param {number} params.amount
+ * @param {Object} params.destination - { address, network } or { accountNumber, bankCode }
+ * @returns {Promise<{ score: number, rules: Array, hold: boolean, block: boolean, caseId: string|null }>}
+ */
+async function evaluateWithdrawalRisk({ userId, kind, currency, amount, destination }) {
+  const rules = [];
+  let screening = null;
+  const fire = (code, detail) => rules.push({ code, weight: RISK_RULES[code].weight, detail });
+
+  try {
+    const now = Date.now();
+    const user = await User.findById(userId).select('deviceChangedAt twoFAResetAt').lean();
+    const sentWithdrawals = { userId, type: 'WITHDRAWAL', status: { $nin: NOT_SENT_STATUSES } };
+
+    if (user?.deviceChangedAt && now - new Date(user.deviceChangedAt).getTime() < RISK_RULES.NEW_DEVICE.windowMs) {
+      const sentSinceChange = await Transaction.exists({ ...sentWithdrawals, createdAt: { $gt: user.deviceChangedAt } });
+      if (!sentSinceChange) fire('NEW_DEVICE', `First withdrawal since device change on ${new Date(user.deviceChangedAt).toISOString()}`);
+    }
+
+    if (user?.twoFAResetAt && now - new Date(user.twoFAResetAt).getTime() < RISK_RULES.RECENT_2FA_RESET.windowMs) {
+      fire('RECENT_2FA_RESET', `2FA reset on ${new Date(user.twoFAResetAt).toISOString()}`);
+    }
+
+    const { multiple, minHistory, historySize } = RISK_RULES.AMOUNT_ABOVE_AVERAGE;
+    const history = await Transaction.find({ userId, type: 'WITHDRAWAL', currency, status: { $in: COMPLETED_STATUSES } })
+      .sort({ createdAt: -1 })
+      .limit(historySize)
+      .select('amount')
+      .lean();
+    if (history.length >= minHistory) {
+      const average = history.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / history.length;
+      if (amount > average * multiple) {
+        fire('AMOUNT_ABOVE_AVERAGE', `${amount} ${currency} vs average ${average.toFixed(2)} over ${history.length} withdrawals`);
+      }
+    }
+
+    const usedBefore = await Transaction.exists({ ...sentWithdrawals, ...destinationFilter(kind, destination) });
+    if (!usedBefore) fire('NEW_DESTINATION', 'No previous withdrawal to this destination');
+
+    let amountNgn = null;
+    try {
+      amountNgn = await kycLimitService.convertToNaira(amount, currency);
+      if (amountNgn >= RISK_RULES.LARGE_AMOUNT.thresholdNgn) {
+        fire('LARGE_AMOUNT', `≈ ₦${Math.round(amountNgn).toLocaleString()}`);
+      }
+    } catch (error) {
+      logger.warn('Withdrawal risk: amount conversion failed, LARGE_AMOUNT skipped', { userId, currency, error: error.message });
+    }
+
+    // An amount we could not price is screened rather than waved through
+    if (amountNgn === null || amountNgn >= RISK_RULES.WATCHLIST_MATCH.thresholdNgn) {
+      screening = await screenUser(userId, { context: 'WITHDRAWAL', reference: `${kind}:${currency}:${amount}` });
+      if (screening.action !== 'CLEAR') fire('WATCHLIST_MATCH', `${screening.action} - screening case ${screening.caseId}`);
+    }
+  } catch (error) {
+    // Fail closed: a withdrawal that could not be scored goes to review
+    logger.error('Withdrawal risk evaluation failed', { userId, kind, error: error.message });
+    rules.push({ code: 'RISK_CHECK_FAILED', weight: HOLD_SCORE, detail: error.message });
+  }
+
+  const score = rules.reduce((sum, rule) => sum + rule.weight, 0);
+  return {
+    score,
+    rules,
+    hold: score >= HOLD_SCORE,
+    block: screening?.action === 'BLOCK',
+    caseId: screening?.caseId || null
+  };
+}
+
+/**
+ * Record a held withdrawal. The caller has already reserved the funds and
+ * created the PENDING_REVIEW transaction.
+ */
+async function holdWithdrawal({ kind, userId, transactionId, reference, currency, amount, fee, destination, payload, risk, session }) {
+  const [review] = await WithdrawalReview.create([{
+    reviewId: `WR_${Date.now()}_${Math.random().toString(36).slice(2, 8).toUpperCase()}`,
+    userId,
+    kind,
+    transactionId,
+    reference,
+    currency,
+    amount,
+    fee,
+    destination,
+    payload,
+    riskScore: risk.score,
+    rules: risk.rules
+  }], { session });
+
+  logger.warn('Withdrawal held for review', {
+    userId, kind, reviewId: review.reviewId, currency, amount, score: risk.score, rules: risk.rules.map(r => r.code)
+  });
+
+  queuePush(
+    'sendCustomNotification',
+    String(userId),
+    'Withdrawal under review',
+    `Your withdrawal of ${amount} ${currency} is being reviewed for your security. The funds are on hold and we will update you shortly.`,
+    { type: 'WITHDRAWAL', status: 'PENDING_REVIEW', reviewId: review.reviewId }
+  );
+
+  return review;
+}
+
+function decisionBy(admin) {
+  return {
+    adminId: String(admin.id || admin._id),
+    adminEmail: admin.email || null,
+    adminName: admin.adminName || null
+  };
+}
+
+// Claim a PENDING review so two moderators cannot decide it at once
+async function claimReview(reviewId, update) {
+  const review = await WithdrawalReview.findOneAndUpdate(
+    { reviewId, status: 'PENDING' },
+    { $set: update },
+    { new: true }
+  );
+  if (review) return review;
+
+  const existing = await WithdrawalReview.findOne({ reviewId }).select('status').lean();
+  if (!existing) throw new WithdrawalReviewError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  throw new WithdrawalReviewError(`Review is already ${existing.status}`, 409, 'REVIEW_ALREADY_DECIDED');
+}
+
+async function submitCrypto(review) {
+  // Route modules are loaded lazily; they hold the Obiex clients
+  const { submitCryptoWithdrawal, releaseReservedBalanceInternal } = require('../routes/withdraw');
+
+  let obiexData;
+  try {
+    obiexData = await submitCryptoWithdrawal(review.payload);
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+    try {
+      await releaseReservedBalanceInternal(review.userId, review.currency, review.amount, review.transactionId);
+    } catch (refundError) {
+      // The funds stay in pending and the Transaction in PENDING_REVIEW until released by hand
+      logger.error('Failed to release held withdrawal after provider rejection', {
+        reviewId: review.reviewId,
+        transactionId: String(review.transactionId),
+        error: refundError.message
+      });
+      throw new Error(`${reason}; refund failed: ${refundError.message}`);
+    }
+    await Transaction.updateOne({ _id: review.transactionId }, { $set: { status: 'FAILED', failedAt: new Date() } });
+    throw new Error(reason);
+  }
+
+  await Transaction.updateOne(
+    { _id: review.transactionId },
+    { $set: { status: 'PENDING', obiexTransactionId: obiexData.id, reference: obiexData.reference } }
+  );
+}
+
+async function submitNgnz(review, admin) {
+  const { processObiexWithdrawal } = require('../routes/NGNZWithdrawal');
+
+  // The reserve leaves pending; from here the payout follows the normal flow
+  // (processObiexWithdrawal refunds the balance if Obiex rejects it)
+  await postEntry({
+    type: 'WITHDRAWAL',
+    userId: review.userId,
+    reference: review.reference,
+    description: `Approved NGNZ withdrawal ${review.reference}`,
+    actor: { kind: 'ADMIN', id: String(admin.id || admin._id) },
+    changes: [{ currency: 'NGNZ', pendingDelta: -review.amount, requireFunds: false }],
+    metadata: { reviewId: review.reviewId }
+  });
+  await Transaction.updateOne({ _id: review.transactionId }, { $set: { status: 'PENDING' } });
+
+  const result = await processObiexWithdrawal(
+    review.userId,
+    { destination: review.payload.destination, narration: review.payload.narration },
+    review.payload.amountToObiex,
+    review.reference,
+    review.transactionId
+  );
+  if (!result.success) throw new Error(result.error || 'Provider processing error');
+}
+
+/**
+ * Approve a held withdrawal and submit it to Obiex
+ * @param {string} reviewId
+ * @param {Object} admin - req.admin
+ * @param {string} [note]
+ */
+async function approveReview(reviewId, admin, note) {
+  const review = await claimReview(reviewId, {
+    status: 'PROCESSING',
+    decidedBy: decisionBy(admin),
+    decidedAt: new Date(),
+    decisionNote: note || null
+  });
+
+  try {
+    if (review.kind === 'CRYPTO') await submitCrypto(review);
+    else await submitNgnz(review, admin);
+  } catch (error) {
+    review.status = 'FAILED';
+    review.failureReason = error.message;
+    await review.save();
+    logger.error('Approved withdrawal failed at provider', { reviewId, error: error.message });
+
+    emitEvent('transaction.failed', {
+      kind: 'WITHDRAWAL',
+      userId: String(review.userId),
+      transactionId: String(review.transactionId),
+      amount: review.amount,
+      currency: review.currency,
+      reference: review.reference,
+      reason: 'Provider processing error'
+    });
+
+    queuePush('sendWithdrawalNotification', String(review.userId), review.amount, review.currency, 'failed', {
+      reference: review.reference,
+      reason: 'Provider processing error'
+    });
+    throw new WithdrawalReviewError(`Withdrawal could not be submitted: ${error.message}`, 502, 'SUBMISSION_FAILED');
+  }
+
+  review.status = 'APPROVED';
+  await review.save();
+  logger.info('Held withdrawal approved', { reviewId, adminId: review.decidedBy.adminId });
+
+  queuePush('sendWithdrawalNotification', String(review.userId), review.amount, review.currency, 'pending', {
+    reference: review.reference
+  });
+  return review;
+}
+
+/**
+ * Reject a held withdrawal and return the reserved funds
+ * @param {string} reviewId
+ * @param {Object} admin - req.admin
+ * @param {string} reason - Shown to the user
+ */
+async function rejectReview(reviewId, admin, reason) {
+  if (!reason || !String(reason).trim()) {
+    throw new WithdrawalReviewError('reason is required to reject a withdrawal');
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let review;
+  try {
+    review = await WithdrawalReview.findOneAndUpdate(
+      { reviewId, status: 'PENDING' },
+      {
+        $set: {
+          status: 'REJECTED',
+          decidedBy: decisionBy(admin),
+          decidedAt: new Date(),
+          decisionNote: String(reason).trim()
+        }
+      },
+      { new: true, session }
+    );
+    if (!review) {
+      await session.abortTransaction();
+      session.endSession();
+      return claimReview(reviewId, {}); // throws not found / already decided
+    }
+
+    await postEntry({
+      type: 'WITHDRAWAL_REFUND',
+      userId: review.userId,
+      reference: review.reference,
+      idempotencyKey: `WITHDRAWAL_REFUND:${review.transactionId}`,
+      description: `Rejected withdrawal ${review.reviewId}`,
+      actor: { kind: 'ADMIN', id: review.decidedBy.adminId },
+      changes: [{ currency: review.currency, balanceDelta: review.amount, pendingDelta: -review.amount, requireFunds: false }],
+      metadata: { reviewId: review.reviewId },
+      session
+    });
+
+    const txUpdate = { status: 'REJECTED', failedAt: new Date(), failureReason: review.decisionNote };
+    if (review.kind === 'NGNZ') txUpdate['ngnzWithdrawal.failureReason'] = review.decisionNote;
+    await Transaction.updateOne({ _id: review.transactionId }, { $set: txUpdate }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+
+  logger.info('Held withdrawal rejected', { reviewId, adminId: review.decidedBy.adminId });
+  emitEvent('transaction.failed', {
+    kind: 'WITHDRAWAL',
+    userId: String(review.userId),
+    transactionId: String(review.transactionId),
+    amount: review.amount,
+    currency: review.currency,
+    reference: review.reference,
+    reason: review.decisionNote,
+    refunded: true
+  });
+  queuePush('sendWithdrawalNotification', String(review.userId), review.amount, review.currency, 'failed', {
+    reference: review.reference,
+    reason: review.decisionNote
+  });
+  return review;
+}
+
+module.exports = {
+  WithdrawalReviewError,
+  RISK_RULES,
+  HOLD_SCORE,
+  evaluateWithdrawalRisk,
+  holdWithdrawal,
+  approveReview,
+  rejectReview
+};
@@ -0,0 +1,298 @@
+// services/withdrawalWhitelistService.js
+//
+// Opt-in whitelist for crypto withdrawals (POST /withdraw/crypto).
+//
+// Adding an address needs a 2FA code and an emailed confirmation code, and
+// the address only becomes usable WHITELIST_COOLDOWN_MS after it was added.
+// Switching the whitelist off is delayed by the same cooldown, so a stolen
+// session cannot add an address, or drop the whitelist, and withdraw at once.
+
+const crypto = require('crypto');
+const User = require('../models/user');
+const WithdrawalAddress = require('../models/withdrawalAddress');
+const { validateTwoFactorAuth } = require('./twofactorAuth');
+const securityService = require('./securityService');
+const { sendWithdrawalAddressConfirmationEmail } = require('./EmailService');
+const { sendCustomNotification } = require('./notificationService');
+const logger = require('../utils/logger');
+
+const WHITELIST_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+const CONFIRMATION_CODE_TTL_MS = 30 * 60 * 1000;
+const MAX_CONFIRMATION_ATTEMPTS = 5;
+const MAX_ADDRESSES_PER_USER = 50;
+
+class WithdrawalWhitelistError extends Error {
+  constructor(message, httpStatus = 400, code = 'WHITELIST_ERROR') {
+    super(message);
+    this.name = 'WithdrawalWhitelistError';
+    this.httpStatus = httpStatus;
+    this.code = code;
+  }
+}
+
+// EVM addresses are case-insensitive (checksum casing only)
+function addressKeyFor(address) {
+  const clean = String(address).trim();
+  return /^0x[0-9a-fA-F]{40}$/.test(clean) ? clean.toLowerCase() : clean;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+/**
+ * Effective whitelist state for a user document. A requested disable counts
+ * as enabled until its cooldown has passed.
+ * @returns {{ enabled: boolean, disableRequestedAt: Date|null, disableEffectiveAt: Date|null }}
+ */
+function getWhitelistState(user) {
+  const settings = user?.withdrawalWhitelist || {};
+  const disableEffectiveAt = settings.disableRequestedAt
+    ? new Date(new Date(settings.disableRequestedAt).getTime() + WHITELIST_COOLDOWN_MS)
+    : null;
+  const enabled = !!settings.enabled && !(disableEffectiveAt && disableEffectiveAt <= new Date());
+
+  return {
+    enabled,
+    disableRequestedAt: enabled ? settings.disableRequestedAt || null : null,
+    disableEffectiveAt: enabled ? disableEffectiveAt : null
+  };
+}
+
+async function verifyTwoFactor(user, twoFactorCode) {
+  if (!twoFactorCode) throw new WithdrawalWhitelistError('twoFactorCode is required');
+  if (!user.twoFASecret || !user.is2FAEnabled) {
+    throw new WithdrawalWhitelistError('Two-factor authentication must be enabled to manage the withdrawal whitelist.', 403, '2FA_NOT_ENABLED');
+  }
+
+  const userId = user._id.toString();
+  const attemptCheck = await securityService.check2FAAttempts(userId);
+  if (!attemptCheck.allowed) throw new WithdrawalWhitelistError(attemptCheck.message, 429, '2FA_LOCKED');
+
+  if (!validateTwoFactorAuth(user, twoFactorCode)) {
+    await securityService.record2FAFailure(userId);
+    throw new WithdrawalWhitelistError('Invalid two-factor authentication code', 401, 'INVALID_2FA_CODE');
+  }
+  await securityService.reset2FAAttempts(userId);
+}
+
+async function loadUser(userId) {
+  const user = await User.findById(userId).select('email username firstname twoFASecret is2FAEnabled withdrawalWhitelist');
+  if (!user) throw new WithdrawalWhitelistError('User not found', 404, 'USER_NOT_FOUND');
+  return user;
+}
+
+/**
+ * Add an address (2FA) and email its confirmation code
+ * @param {string} userId
+ * @param {Object} params - { currency, network, address, memo, label, twoFactorCode }
+ * @returns {Promise<WithdrawalAddress>}
+ */
+async function addAddress(userId, { currency, network, address, memo, label, twoFactorCode } = {}) {
+  if (!address?.toString().trim()) throw new WithdrawalWhitelistError('address is required');
+  if (label && String(label).trim().length > 50) throw new WithdrawalWhitelistError('label must be at most 50 characters');
+
+  // Loaded lazily: route module with the Obiex network map
+  const formatError = require('../routes/withdraw').validateDestination(currency, network, String(address));
+  if (formatError) throw new WithdrawalWhitelistError(formatError);
+
+  const user = await loadUser(userId);
+  if (!user.email) throw new WithdrawalWhitelistError('An email address is required to confirm whitelist changes', 400, 'EMAIL_REQUIRED');
+  await verifyTwoFactor(user, twoFactorCode);
+
+  const count = await WithdrawalAddress.countDocuments({ userId, isActive: true });
+  if (count >= MAX_ADDRESSES_PER_USER) {
+    throw new WithdrawalWhitelistError(`You can whitelist up to ${MAX_ADDRESSES_PER_USER} addresses`, 400, 'WHITELIST_LIMIT_REACHED');
+  }
+
+  const entry = {
+    userId,
+    currency: String(currency).toUpperCase(),
+    network: String(network).toUpperCase(),
+    address: String(address).trim(),
+    addressKey: addressKeyFor(address),
+    memo: memo ? String(memo).trim() : null
+  };
+  const existing = await WithdrawalAddress.findOne({
+    userId, isActive: true, network: entry.network, addressKey: entry.addressKey, memo: entry.memo
+  });
+  if (existing) throw new WithdrawalWhitelistError('This address is already whitelisted', 409, 'DUPLICATE_ADDRESS');
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const now = Date.now();
+  let withdrawalAddress;
+  try {
+    withdrawalAddress = await WithdrawalAddress.create({
+      ...entry,
+      label: label ? String(label).trim() : null,
+      confirmationCodeHash: hashCode(code),
+      confirmationExpiresAt: new Date(now + CONFIRMATION_CODE_TTL_MS),
+      usableAfter: new Date(now + WHITELIST_COOLDOWN_MS)
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new WithdrawalWhitelistError('This address is already whitelisted', 409, 'DUPLICATE_ADDRESS');
+    throw error;
+  }
+
+  try {
+    await sendWithdrawalAddressConfirmationEmail(user.email, user.firstname || user.username, {
+      code,
+      currency: entry.currency,
+      network: entry.network,
+      address: entry.address,
+      expiryMinutes: CONFIRMATION_CODE_TTL_MS / 60000,
+      usableAfter: withdrawalAddress.usableAfter
+    });
+  } catch (error) {
+    await WithdrawalAddress.deleteOne({ _id: withdrawalAddress._id });
+    logger.error('Withdrawal address confirmation email failed', { userId, error: error.message });
+    throw new WithdrawalWhitelistError('Could not send the confirmation email. Please try again.', 502, 'EMAIL_FAILED');
+  }
+
+  logger.info('Withdrawal address added to whitelist', {
+    userId, addressId: withdrawalAddress._id, network: entry.network, usableAfter: withdrawalAddress.usableAfter
+  });
+  return withdrawalAddress;
+}
+
+/**
+ * Confirm an address with the emailed code
+ */
+async function confirmAddress(userId, addressId, code) {
+  if (!code) throw new WithdrawalWhitelistError('code is required');
+
+  const withdrawalAddress = await WithdrawalAddress.findOne({ _id: addressId, userId, isActive: true })
+    .select('+confirmationCodeHash');
+  if (!withdrawalAddress) throw new WithdrawalWhitelistError('Address not found', 404, 'ADDRESS_NOT_FOUND');
+  if (withdrawalAddress.status === 'CONFIRMED') return withdrawalAddress;
+
+  if (withdrawalAddress.confirmationAttempts >= MAX_CONFIRMATION_ATTEMPTS) {
+    throw new WithdrawalWhitelistError('Too many incorrect codes. Remove the address and add it again.', 429, 'CONFIRMATION_LOCKED');
+  }
+  if (withdrawalAddress.confirmationExpiresAt < new Date()) {
+    throw new WithdrawalWhitelistError('The confirmation code has expired. Remove the address and add it again.', 400, 'CONFIRMATION_EXPIRED');
+  }
+
+  const expected = Buffer.from(withdrawalAddress.confirmationCodeHash, 'hex');
+  const received = Buffer.from(hashCode(String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    await WithdrawalAddress.updateOne({ _id: withdrawalAddress._id }, { $inc: { confirmationAttempts: 1 } });
+    throw new WithdrawalWhitelistError('Invalid confirmation code', 400, 'INVALID_CONFIRMATION_CODE');
+  }
+
+  withdrawalAddress.status = 'CONFIRMED';
+  withdrawalAddress.confirmedAt = new Date();
+  withdrawalAddress.confirmationCodeHash = null;
+  await withdrawalAddress.save();
+
+  logger.info('Withdrawal address confirmed', { userId, addressId: withdrawalAddress._id });
+  return withdrawalAddress;
+}
+
+async function removeAddress(userId, addressId) {
+  const withdrawalAddress = await WithdrawalAddress.findOneAndUpdate(
+    { _id: addressId, userId, isActive: true },
+    { $set: { isActive: false, removedAt: new Date() } },
+    { new: true }
+  );
+  if (!withdrawalAddress) throw new WithdrawalWhitelistError('Address not found', 404, 'ADDRESS_NOT_FOUND');
+  return withdrawalAddress;
+}
+
+async function listAddresses(userId) {
+  return WithdrawalAddress.find({ userId, isActive: true }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Turn the whitelist on (immediate) or request it off (2FA, after cooldown)
+ */
+async function setWhitelistEnabled(userId, enabled, twoFactorCode) {
+  const user = await loadUser(userId);
+  const state = getWhitelistState(user);
+
+  if (enabled) {
+    user.withdrawalWhitelist = {
+      enabled: true,
+      enabledAt: state.enabled ? user.withdrawalWhitelist.enabledAt : new Date(),
+      disableRequestedAt: null
+    };
+  } else {
+    if (!state.enabled) throw new WithdrawalWhitelistError('The withdrawal whitelist is not enabled', 400, 'WHITELIST_NOT_ENABLED');
+    if (state.disableRequestedAt) return getWhitelistState(user);
+
+    await verifyTwoFactor(user, twoFactorCode);
+    user.withdrawalWhitelist.disableRequestedAt = new Date();
+
+    sendCustomNotification(
+      userId,
+      'Withdrawal whitelist turning off',
+      'Your withdrawal address whitelist will be turned off in 24 hours. If this was not you, turn it back on and contact support.',
+      { type: 'WITHDRAWAL_WHITELIST_DISABLE_REQUESTED' }
+    ).catch(error => logger.warn('Whitelist notification failed', { userId, error: error.message }));
+  }
+
+  await user.save();
+  logger.info(`Withdrawal whitelist ${enabled ? 'enabled' : 'disable requested'}`, { userId });
+  return getWhitelistState(user);
+}
+
+async function getWhitelistSummary(userId) {
+  const user = await loadUser(userId);
+  return { ...getWhitelistState(user), addresses: await listAddresses(userId) };
+}
+
+/**
+ * Check a crypto withdrawal destination against the user's whitelist
+ * @returns {Promise<{ allowed: boolean, code?: string, message?: string, availableAt?: Date }>}
+ */
+async function checkWithdrawalDestination(user, { network, address, memo }) {
+  if (!getWhitelistState(user).enabled) return { allowed: true };
+
+  const candidates = await WithdrawalAddress.find({
+    userId: user._id,
+    isActive: true,
+    network: String(network).toUpperCase(),
+    addressKey: addressKeyFor(address)
+  }).lean();
+  const entry = candidates.find(c => !c.memo || c.memo === (memo ? String(memo).trim() : null));
+
+  if (!entry) {
+    return {
+      allowed: false,
+      code: 'ADDRESS_NOT_WHITELISTED',
+      message: 'This address is not on your withdrawal whitelist.'
+    };
+  }
+  if (entry.status !== 'CONFIRMED') {
+    return {
+      allowed: false,
+      code: 'ADDRESS_NOT_CONFIRMED',
+      message: 'Confirm this address with the code sent to your email before withdrawing to it.'
+    };
+  }
+  if (new Date(entry.usableAfter) > new Date()) {
+    return {
+      allowed: false,
+      code: 'ADDRESS_COOLDOWN',
+      message: 'This address was added recently and is locked for 24 hours.',
+      availableAt: entry.usableAfter
+    };
+  }
+
+  WithdrawalAddress.updateOne({ _id: entry._id }, { $set: { lastUsedAt: new Date() } })
+    .catch(error => logger.warn('Failed to update whitelist lastUsedAt', { addressId: entry._id, error: error.message }));
+  return { allowed: true };
+}
+
+module.exports = {
+  WithdrawalWhitelistError,
+  WHITELIST_COOLDOWN_MS,
+  getWhitelistState,
+  getWhitelistSummary,
+  addAddress,
+  confirmAddress,
+  removeAddress,
+  listAddresses,
+  setWhitelistEnabled,
+  checkWithdrawalDestination
+};
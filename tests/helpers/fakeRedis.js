@@ -0,0 +1,111 @@
+// tests/helpers/fakeRedis.js
+//
+// In-memory stand-in for the ioredis client returned by utils/redis
+// getRedisClient(), covering the list, sorted-set and hash commands the job
+// queue uses, MULTI, and its two Lua scripts (claim and release), which are
+// recognised by the commands they call. Any other script throws.
+
+function createFakeRedis() {
+  const lists = new Map();
+  const zsets = new Map();
+  const hashes = new Map();
+
+  const list = key => {
+    if (!lists.has(key)) lists.set(key, []);
+    return lists.get(key);
+  };
+  const zset = key => {
+    if (!zsets.has(key)) zsets.set(key, new Map());
+    return zsets.get(key);
+  };
+  const hash = key => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+  const score = value => (value === '+inf' ? Infinity : value === '-inf' ? -Infinity : Number(value));
+  const range = (items, start, stop) => items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1);
+
+  const commands = {
+    // LPUSH key a b leaves b at the head, as Redis does
+    lpush: (key, ...values) => list(key).unshift(...values.reverse()),
+    rpop: key => list(key).pop() ?? null,
+    llen: key => list(key).length,
+    lrange: (key, start, stop) => range(list(key), start, stop),
+    ltrim: (key, start, stop) => {
+      lists.set(key, range(list(key), start, stop));
+      return 'OK';
+    },
+    lrem: (key, count, value) => {
+      const items = list(key);
+      let removed = 0;
+      for (let i = 0; i < items.length && (count === 0 || removed < Math.abs(count));) {
+        if (items[i] === value) {
+          items.splice(i, 1);
+          removed += 1;
+        } else {
+          i += 1;
+        }
+      }
+      return removed;
+    },
+    zadd: (key, value, member) => {
+      const added = zset(key).has(member) ? 0 : 1;
+      zset(key).set(member, score(value));
+      return added;
+    },
+    zrem: (key, ...members) => members.filter(member => zset(key).delete(member)).length,
+    zcard: key => zset(key).size,
+    zscore: (key, member) => (zset(key).has(member) ? String(zset(key).get(member)) : null),
+    zrangebyscore: (key, min, max) => [...zset(key)]
+      .filter(([, value]) => value >= score(min) && value <= score(max))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member),
+    hincrby: (key, field, by) => {
+      const next = Number(hash(key).get(field) || 0) + Number(by);
+      hash(key).set(field, String(next));
+      return next;
+    },
+    hgetall: key => Object.fromEntries(hash(key)),
+    eval: (script, numKeys, ...args) => {
+      const keys = args.slice(0, numKeys);
+      const argv = args.slice(numKeys);
+      if (script.includes("'RPOP'")) {
+        const job = commands.rpop(keys[0]);
+        if (job) commands.zadd(keys[1], argv[0], job);
+        return job;
+      }
+      if (script.includes("'ZRANGEBYSCORE'")) {
+        const due = commands.zrangebyscore(keys[0], '-inf', argv[0]).slice(0, Number(argv[1]));
+        due.forEach(job => {
+          commands.zrem(keys[0], job);
+          commands.lpush(keys[1], job);
+        });
+        return due.length;
+      }
+      throw new Error('fakeRedis: unsupported script');
+    }
+  };
+
+  const client = {};
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = async (...args) => command(...args);
+  }
+  client.multi = () => {
+    const queued = [];
+    const chain = {
+      async exec() {
+        return queued.map(([name, args]) => [null, commands[name](...args)]);
+      }
+    };
+    for (const name of Object.keys(commands)) {
+      chain[name] = (...args) => {
+        queued.push([name, args]);
+        return chain;
+      };
+    }
+    return chain;
+  };
+  return client;
+}
+
+module.exports = { createFakeRedis };
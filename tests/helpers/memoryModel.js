@@ -0,0 +1,387 @@
+// tests/helpers/memoryModel.js
+//
+// Backs a mongoose model with an in-memory collection so route-level tests run
+// without a MongoDB server. Documents are still built by the real model (schema
+// defaults, casting, instance methods); only the statics the routes call and
+// `save` are replaced. Supports the query subset the services use: equality,
+// $in, $ne, $gt(e), $lt(e), $exists, $elemMatch, $or / $and, paths into arrays
+// of subdocuments, $set / $inc / $unset / $pull / $push updates on dotted and
+// positional (`$`) paths, the $set-stage update pipelines of the ledger, and
+// aggregations made of $match and accumulator-free $group stages. Unique
+// indexes are enforced (as if sparse) with a code 11000 error.
+
+const mongoose = require('mongoose');
+const Decimal = require('decimal.js');
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    return target[key];
+  }, doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+// Every value a query path can reach: a path that runs through an array of
+// subdocuments (refreshTokens.token) fans out over its elements, while a
+// numeric key (refreshTokens.5) indexes into it
+function resolvePath(doc, path) {
+  let values = [doc];
+  let fanned = false;
+  for (const key of path.split('.')) {
+    values = values.flatMap(value => {
+      if (value == null) return [undefined];
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        fanned = true;
+        return value.map(item => (item == null ? undefined : item[key]));
+      }
+      return [value[key]];
+    });
+  }
+  return { values, fanned };
+}
+
+// Decimal128 values compare and add as numbers
+function numeric(value) {
+  return value && value._bsontype === 'Decimal128' ? Number(value.toString()) : value;
+}
+
+function same(a, b) {
+  if (b === null || b === undefined) return a === null || a === undefined;
+  if (a === null || a === undefined) return false;
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return String(a) === String(b);
+}
+
+function compare(op) {
+  return (value, arg) => value != null && op(numeric(value), numeric(arg));
+}
+
+const OPERATORS = {
+  $in: (value, list) => list.some(item => same(value, item)),
+  $nin: (value, list) => !list.some(item => same(value, item)),
+  $ne: (value, arg) => !same(value, arg),
+  $gt: compare((a, b) => a > b),
+  $gte: compare((a, b) => a >= b),
+  $lt: compare((a, b) => a < b),
+  $lte: compare((a, b) => a <= b),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+  $elemMatch: (value, filter) => Array.isArray(value) && value.some(item => matches(item, filter))
+};
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    const { values, fanned } = resolvePath(doc, key);
+    const test = value => {
+      if (isPlainObject(condition) && Object.keys(condition).some(op => op.startsWith('$'))) {
+        return Object.entries(condition).every(([op, arg]) => {
+          if (!OPERATORS[op]) throw new Error(`memoryModel: unsupported operator ${op}`);
+          return OPERATORS[op](value, arg);
+        });
+      }
+      if (Array.isArray(value)) return value.some(item => same(item, condition));
+      return same(value, condition);
+    };
+    return fanned ? values.some(test) : test(values[0]);
+  });
+}
+
+// Resolve a positional path (refreshTokens.$.token) to the first array element
+// the update's filter matched, as MongoDB does
+function positionalPath(doc, path, filter) {
+  const [arrayPath, rest] = path.split('.$');
+  const conditions = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith(`${arrayPath}.`)) conditions[key.slice(arrayPath.length + 1)] = condition;
+    else if (key === arrayPath && condition && condition.$elemMatch) Object.assign(conditions, condition.$elemMatch);
+  }
+  const index = (getPath(doc, arrayPath) || []).findIndex(item => matches(item, conditions));
+  if (index === -1) throw new Error(`memoryModel: no array element matched for ${path}`);
+  return `${arrayPath}.${index}${rest}`;
+}
+
+function pullFrom(list, condition) {
+  const remove = isPlainObject(condition)
+    ? item => matches(item, condition)
+    : item => same(item, condition);
+  return (list || []).filter(item => !remove(item));
+}
+
+// $push with optional $each / $sort / $slice modifiers
+function pushTo(list, value) {
+  const modifiers = isPlainObject(value) && '$each' in value ? value : { $each: [value] };
+  let next = [...(list || []), ...clone(modifiers.$each)];
+  if (modifiers.$sort) next.sort(compareBy(modifiers.$sort));
+  if (modifiers.$slice !== undefined) {
+    next = modifiers.$slice < 0 ? next.slice(modifiers.$slice) : next.slice(0, modifiers.$slice);
+  }
+  return next;
+}
+
+// Aggregation expressions used by update pipelines
+const EXPRESSIONS = {
+  $literal: (doc, arg) => arg,
+  $ifNull: (doc, [value, fallback]) => {
+    const result = evaluate(doc, value);
+    return result == null ? evaluate(doc, fallback) : result;
+  },
+  $toDecimal: (doc, value) => numeric(evaluate(doc, value)),
+  $add: (doc, args) => args
+    .reduce((sum, arg) => sum.plus(String(numeric(evaluate(doc, arg)))), new Decimal(0))
+    .toNumber(),
+  $round: (doc, [value, places]) => new Decimal(String(numeric(evaluate(doc, value))))
+    .toDecimalPlaces(places, Decimal.ROUND_HALF_EVEN)
+    .toNumber()
+};
+
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (isPlainObject(expression)) {
+    const [op] = Object.keys(expression);
+    if (!EXPRESSIONS[op]) throw new Error(`memoryModel: unsupported expression ${op}`);
+    return EXPRESSIONS[op](doc, expression[op]);
+  }
+  return expression;
+}
+
+function evaluateGroupId(doc, id) {
+  if (!isPlainObject(id)) return evaluate(doc, id);
+  return Object.fromEntries(Object.entries(id).map(([key, expression]) => [key, evaluate(doc, expression)]));
+}
+
+function applyPipeline(doc, stages) {
+  for (const stage of stages) {
+    if (!stage.$set) throw new Error(`memoryModel: unsupported pipeline stage ${Object.keys(stage)[0]}`);
+    const values = Object.entries(stage.$set).map(([path, expression]) => [path, evaluate(doc, expression)]);
+    values.forEach(([path, value]) => setPath(doc, path, clone(value)));
+  }
+  doc.updatedAt = new Date();
+}
+
+function applyUpdate(doc, update, filter = {}) {
+  if (Array.isArray(update)) return applyPipeline(doc, update);
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+  // Positions are matched against the document as it was before the update
+  const original = clone(doc);
+  for (const [op, fields] of Object.entries(operators)) {
+    for (const [field, value] of Object.entries(fields || {})) {
+      const path = field.includes('.$') ? positionalPath(original, field, filter) : field;
+      if (op === '$set') setPath(doc, path, clone(value));
+      else if (op === '$inc') setPath(doc, path, (numeric(getPath(doc, path)) || 0) + numeric(value));
+      else if (op === '$unset') setPath(doc, path, undefined);
+      else if (op === '$pull') setPath(doc, path, pullFrom(getPath(doc, path), value));
+      else if (op === '$push') setPath(doc, path, pushTo(getPath(doc, path), value));
+      else if (op !== '$setOnInsert') throw new Error(`memoryModel: unsupported update ${op}`);
+    }
+  }
+  doc.updatedAt = new Date();
+}
+
+function compareBy(sort) {
+  const entries = Object.entries(sort || {});
+  return (a, b) => {
+    for (const [path, direction] of entries) {
+      const x = getPath(a, path);
+      const y = getPath(b, path);
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  };
+}
+
+/**
+ * @param {mongoose.Model} Model
+ * @returns {{ docs: Map<string, Object>, insert: Function, get: Function, restore: Function }}
+ */
+function useMemoryModel(Model) {
+  const docs = new Map(); // String(_id) -> plain object
+  const originals = {};
+
+  const toResult = (doc, lean) => (doc ? (lean ? clone(doc) : Model.hydrate(clone(doc))) : null);
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options && options.unique)
+    .map(([fields]) => Object.keys(fields));
+
+  function assertUnique(doc) {
+    for (const paths of uniqueIndexes) {
+      const values = paths.map(path => getPath(doc, path));
+      if (values.some(value => value == null)) continue;
+      const clash = [...docs.values()].some(other => String(other._id) !== String(doc._id)
+        && paths.every((path, i) => same(getPath(other, path), values[i])));
+      if (clash) {
+        const error = new Error(`E11000 duplicate key error: ${paths.join(', ')}`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+
+  function store(doc) {
+    assertUnique(doc);
+    docs.set(String(doc._id), doc);
+  }
+
+  function insert(data) {
+    const doc = new Model(data).toObject({ depopulate: true });
+    doc.createdAt = doc.createdAt || new Date();
+    doc.updatedAt = new Date();
+    store(doc);
+    return clone(doc);
+  }
+
+  function select(filter, sort) {
+    const found = [...docs.values()].filter(doc => matches(doc, filter));
+    return sort ? found.sort(compareBy(sort)) : found;
+  }
+
+  // Thenable stand-in for a mongoose Query
+  function query(run) {
+    const state = { lean: false, sort: null, limit: null };
+    const chain = {
+      sort(spec) { state.sort = spec; return chain; },
+      limit(n) { state.limit = n; return chain; },
+      lean() { state.lean = true; return chain; },
+      select() { return chain; },
+      populate() { return chain; },
+      session() { return chain; },
+      exec() { return Promise.resolve().then(() => run(state)); },
+      then(resolve, reject) { return chain.exec().then(resolve, reject); },
+      catch(reject) { return chain.exec().catch(reject); }
+    };
+    return chain;
+  }
+
+  // Apply an update and cast the result through the schema, as mongoose would
+  function update(doc, changes, filter) {
+    const next = clone(doc);
+    applyUpdate(next, changes, filter);
+    const { createdAt, updatedAt } = next;
+    const cast = { ...new Model(next).toObject({ depopulate: true }), createdAt, updatedAt };
+    store(cast);
+    return cast;
+  }
+
+  function findAndUpdate(filter, changes, options = {}) {
+    return query(state => {
+      const [doc] = select(filter, state.sort);
+      if (!doc) return null;
+      const before = clone(doc);
+      const after = update(doc, changes, filter);
+      return toResult(options.new ? after : before, state.lean);
+    });
+  }
+
+  function aggregate(stages) {
+    let rows = [...docs.values()].map(clone);
+    for (const stage of stages) {
+      if (stage.$match) {
+        rows = rows.filter(row => matches(row, stage.$match));
+      } else if (stage.$group && Object.keys(stage.$group).length === 1) {
+        const groups = new Map();
+        for (const row of rows) {
+          const id = evaluateGroupId(row, stage.$group._id);
+          groups.set(JSON.stringify(id), { _id: id });
+        }
+        rows = [...groups.values()];
+      } else {
+        throw new Error(`memoryModel: unsupported aggregation stage ${Object.keys(stage)[0]}`);
+      }
+    }
+    return rows;
+  }
+
+  const statics = {
+    create: async (data) => {
+      if (Array.isArray(data)) return data.map(item => Model.hydrate(insert(item)));
+      return Model.hydrate(insert(data));
+    },
+    find: (filter) => query(state => {
+      const found = select(filter, state.sort);
+      return (state.limit ? found.slice(0, state.limit) : found).map(doc => toResult(doc, state.lean));
+    }),
+    findOne: (filter) => query(state => toResult(select(filter, state.sort)[0], state.lean)),
+    findById: (id) => query(state => toResult(docs.get(String(id)), state.lean)),
+    exists: (filter) => query(() => {
+      const [doc] = select(filter);
+      return doc ? { _id: doc._id } : null;
+    }),
+    countDocuments: (filter) => query(() => select(filter).length),
+    aggregate: async (stages) => aggregate(stages),
+    findOneAndUpdate: findAndUpdate,
+    findByIdAndUpdate: (id, update, options) => findAndUpdate({ _id: id }, update, options),
+    updateOne: (filter, changes) => query(() => {
+      const [doc] = select(filter);
+      if (doc) update(doc, changes, filter);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    })
+  };
+
+  for (const [name, fn] of Object.entries(statics)) {
+    originals[name] = Model[name];
+    Model[name] = fn;
+  }
+  Model.prototype.save = async function save() {
+    const doc = this.toObject({ depopulate: true });
+    doc.updatedAt = new Date();
+    store(doc);
+    return this;
+  };
+
+  return {
+    docs,
+    insert,
+    get: id => clone(docs.get(String(id)) || null),
+    restore() {
+      Object.assign(Model, originals);
+      delete Model.prototype.save;
+    }
+  };
+}
+
+/**
+ * Stand in for mongoose sessions: withTransaction snapshots the given stores and
+ * restores them if the callback throws, so aborted entries leave no trace.
+ * @param {...Object} stores - Results of useMemoryModel
+ * @returns {jest.SpyInstance} The mongoose.startSession spy
+ */
+function useMemoryTransactions(...stores) {
+  return jest.spyOn(mongoose, 'startSession').mockImplementation(async () => ({
+    async withTransaction(fn) {
+      const snapshots = stores.map(({ docs }) => new Map([...docs].map(([id, doc]) => [id, clone(doc)])));
+      try {
+        return await fn();
+      } catch (error) {
+        stores.forEach(({ docs }, i) => {
+          docs.clear();
+          snapshots[i].forEach((doc, id) => docs.set(id, doc));
+        });
+        throw error;
+      }
+    },
+    endSession() {}
+  }));
+}
+
+module.exports = { useMemoryModel, useMemoryTransactions };
@@ -0,0 +1,155 @@
+// Job queue (services/jobQueue.js) against tests/helpers/fakeRedis: a job runs
+// once, a throwing handler is retried with backoff and dead-lettered when out
+// of attempts, dead jobs can be retried, and a job whose lease expired (worker
+// died mid-run) goes back to waiting. Without Redis jobs run inline.
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../utils/redis', () => ({ getRedisClient: jest.fn(() => null) }));
+
+const { getRedisClient } = require('../utils/redis');
+const {
+  PermanentJobError,
+  defineQueue,
+  enqueue,
+  startWorkers,
+  stopWorkers,
+  getQueueStats,
+  listDeadJobs,
+  retryDeadJob
+} = require('../services/jobQueue');
+const { createFakeRedis } = require('./helpers/fakeRedis');
+
+const handlers = {
+  send: jest.fn(),
+  flaky: jest.fn(),
+  slow: jest.fn()
+};
+defineQueue('send', (...args) => handlers.send(...args), { maxAttempts: 3, backoffMs: 0 });
+defineQueue('flaky', (...args) => handlers.flaky(...args), { maxAttempts: 3, backoffMs: 60 * 1000 });
+defineQueue('slow', (...args) => handlers.slow(...args), { leaseMs: 60 * 1000 });
+
+let redis;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+  getRedisClient.mockReturnValue(redis);
+  Object.values(handlers).forEach(handler => handler.mockReset().mockResolvedValue());
+});
+
+afterEach(() => stopWorkers());
+
+// Workers poll every second, so allow a few polls
+async function until(condition) {
+  for (let i = 0; i < 600; i++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting for the job queue');
+}
+
+async function stats(name) {
+  return (await getQueueStats()).find(queue => queue.name === name);
+}
+
+describe('job queue', () => {
+  test('a job runs once and is counted as completed', async () => {
+    const jobId = await enqueue('send', { to: 'ada@example.com' });
+    expect(await stats('send')).toMatchObject({ waiting: 1 });
+
+    startWorkers();
+    await until(async () => (await stats('send')).completed === 1);
+
+    expect(handlers.send).toHaveBeenCalledTimes(1);
+    expect(handlers.send).toHaveBeenCalledWith({ to: 'ada@example.com' }, expect.objectContaining({ id: jobId, attempts: 0 }));
+    expect(await stats('send')).toMatchObject({ waiting: 0, processing: 0, delayed: 0, dead: 0 });
+  });
+
+  test('a failing job is retried with its attempt count and last error', async () => {
+    handlers.send.mockRejectedValueOnce(new Error('SMTP timeout'));
+    await enqueue('send', { to: 'ada@example.com' });
+
+    startWorkers();
+    await until(async () => (await stats('send')).completed === 1);
+
+    expect(handlers.send).toHaveBeenCalledTimes(2);
+    expect(handlers.send.mock.calls[1][1]).toMatchObject({ attempts: 1, lastError: 'SMTP timeout' });
+    expect(await stats('send')).toMatchObject({ retried: 1, dead: 0 });
+  });
+
+  test('a retry waits out the queue backoff', async () => {
+    handlers.flaky.mockRejectedValue(new Error('Provider down'));
+    await enqueue('flaky', {});
+
+    const before = Date.now();
+    startWorkers();
+    await until(async () => (await stats('flaky')).delayed === 1);
+
+    const [raw] = await redis.zrangebyscore('jobq:flaky:delayed', '-inf', '+inf');
+    const runAt = Number(await redis.zscore('jobq:flaky:delayed', raw));
+    expect(runAt).toBeGreaterThanOrEqual(before + 60 * 1000);
+    expect(JSON.parse(raw)).toMatchObject({ attempts: 1, lastError: 'Provider down' });
+    expect(handlers.flaky).toHaveBeenCalledTimes(1);
+  });
+
+  test('a job out of attempts is dead-lettered and can be retried from there', async () => {
+    handlers.send.mockRejectedValue(new Error('Mailbox full'));
+    const jobId = await enqueue('send', { to: 'ada@example.com' });
+
+    startWorkers();
+    await until(async () => (await stats('send')).dead === 1);
+
+    expect(handlers.send).toHaveBeenCalledTimes(3);
+    const [dead] = await listDeadJobs('send');
+    expect(dead).toMatchObject({ id: jobId, attempts: 3, lastError: 'Mailbox full' });
+
+    handlers.send.mockResolvedValue();
+    const retried = await retryDeadJob('send', jobId);
+    expect(retried.attempts).toBe(0);
+    await until(async () => (await stats('send')).completed === 1);
+
+    expect(await stats('send')).toMatchObject({ dead: 0, deadLettered: 1 });
+    await expect(retryDeadJob('send', jobId)).rejects.toMatchObject({ httpStatus: 404, code: 'JOB_NOT_FOUND' });
+  });
+
+  test('a permanent error is dead-lettered without retries', async () => {
+    handlers.send.mockRejectedValue(new PermanentJobError('Unknown template'));
+    await enqueue('send', {});
+
+    startWorkers();
+    await until(async () => (await stats('send')).dead === 1);
+
+    expect(handlers.send).toHaveBeenCalledTimes(1);
+    expect((await listDeadJobs('send'))[0]).toMatchObject({ attempts: 1, lastError: 'Unknown template' });
+  });
+
+  test('a job whose lease expired is run again; one still leased is left alone', async () => {
+    const job = n => JSON.stringify({ id: `job-${n}`, queue: 'slow', data: { n }, attempts: 0 });
+    await redis.zadd('jobq:slow:processing', Date.now() - 1000, job(1));
+    await redis.zadd('jobq:slow:processing', Date.now() + 60 * 1000, job(2));
+
+    startWorkers();
+    await until(async () => (await stats('slow')).completed === 1);
+
+    expect(handlers.slow).toHaveBeenCalledTimes(1);
+    expect(handlers.slow).toHaveBeenCalledWith({ n: 1 }, expect.objectContaining({ id: 'job-1' }));
+    expect(await redis.zrangebyscore('jobq:slow:processing', '-inf', '+inf')).toEqual([job(2)]);
+  });
+
+  test('without Redis a job runs inline once', async () => {
+    getRedisClient.mockReturnValue(null);
+
+    const jobId = await enqueue('send', { to: 'ada@example.com' });
+    await until(() => handlers.send.mock.calls.length === 1);
+
+    expect(jobId).toEqual(expect.any(String));
+    expect(startWorkers()).toBe(false);
+    expect(handlers.send).toHaveBeenCalledWith({ to: 'ada@example.com' }, expect.objectContaining({ id: jobId }));
+  });
+});
@@ -0,0 +1,177 @@
+// End-to-end run of the mock KYC provider (services/kycProviders/mock.js):
+// submit through /kyc/biometric-verification, settle the job with a signed
+// /kyc-webhook/mock-callback, and check the KYC record and the user's level.
+// Models are backed by tests/helpers/memoryModel, so no MongoDB is needed.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+process.env.JWT_SECRET = 'test-jwt-secret-that-is-long-enough-for-signing';
+process.env.KYC_PROVIDER = 'mock';
+process.env.KYC_MOCK_ENABLED = 'true';
+process.env.KYC_MOCK_CALLBACK_SECRET = 'test-mock-callback-secret';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../services/EmailService', () => ({ sendNINVerificationEmail: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendKycCompletionNotification: jest.fn() }));
+jest.mock('../services/outboundWebhookService', () => ({ emitEvent: jest.fn() }));
+jest.mock('../services/backgroundJobs', () => ({
+  queueEmail: jest.fn(),
+  queuePush: jest.fn(),
+  queueKycFollowUp: jest.fn(),
+  queueReferralReward: jest.fn()
+}));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const KYC = require('../models/kyc');
+const WebhookEvent = require('../models/webhookEvent');
+const mockProvider = require('../services/kycProviders/mock');
+const { queueKycFollowUp } = require('../services/backgroundJobs');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const users = useMemoryModel(User);
+const kycs = useMemoryModel(KYC);
+const webhookEvents = useMemoryModel(WebhookEvent);
+
+const kycRoutes = require('../routes/KYC');
+const kycwebhookRoutes = require('../routes/kycwebhook');
+
+const SELFIE = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD';
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  // Same body handling as server.js
+  app.use('/kyc-webhook', express.raw({ type: 'application/json' }), (req, res, next) => {
+    req.rawBody = req.body.toString('utf8');
+    next();
+  });
+  app.use(express.json({ limit: '10mb' }));
+  app.use('/kyc', kycRoutes);
+  app.use('/kyc-webhook', kycwebhookRoutes);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  [users, kycs, webhookEvents].forEach(store => store.restore());
+});
+
+beforeEach(() => {
+  [users, kycs, webhookEvents].forEach(store => store.docs.clear());
+  jest.clearAllMocks();
+});
+
+function createUser() {
+  return users.insert({
+    firstname: 'Ada',
+    lastname: 'Okafor',
+    email: 'ada@example.com',
+    username: 'ada',
+    phonenumber: '+2348012345678',
+    emailVerified: true,
+    kycLevel: 1
+  });
+}
+
+async function submitKyc(user, idNumber) {
+  const token = jwt.sign({ id: String(user._id) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  const response = await fetch(`${baseUrl}/kyc/biometric-verification`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ idType: 'drivers_license', idNumber, selfieImage: SELFIE })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function sendCallback(payload, { sign = true } = {}) {
+  const rawBody = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (sign) headers['x-mock-kyc-signature'] = mockProvider.signCallback(rawBody);
+  const response = await fetch(`${baseUrl}/kyc-webhook/mock-callback`, { method: 'POST', headers, body: rawBody });
+  return { status: response.status, body: await response.json() };
+}
+
+// The inbox processes a stored event on the next tick (services/webhookInbox)
+async function waitForEvent(eventId) {
+  for (let i = 0; i < 50; i++) {
+    const event = webhookEvents.get(eventId);
+    if (event && !['RECEIVED', 'PROCESSING'].includes(event.status)) return event;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Webhook event ${eventId} was not processed`);
+}
+
+describe('mock KYC provider', () => {
+  test('a pending submission is approved by a signed callback and the user reaches level 2', async () => {
+    const user = createUser();
+
+    // An id number ending in a letter stays PENDING until a callback settles it
+    const submitted = await submitKyc(user, 'ABC12345X');
+    expect(submitted.status).toBe(200);
+    expect(submitted.body.data).toMatchObject({ provider: 'mock', status: 'pending' });
+
+    const { jobId, kycId } = submitted.body.data;
+    expect(kycs.get(kycId)).toMatchObject({
+      provider: 'mock',
+      status: 'PENDING',
+      partnerJobId: jobId,
+      providerJobId: `mock_${jobId}`
+    });
+    expect(users.get(user._id)).toMatchObject({ kycLevel: 1, kycStatus: 'pending' });
+
+    const callback = await sendCallback({
+      partnerJobId: jobId,
+      userId: String(user._id),
+      idNumber: 'ABC12345X',
+      status: 'APPROVED',
+      person: { firstName: 'Ada', lastName: 'Okafor' }
+    });
+    expect(callback.status).toBe(200);
+
+    const event = await waitForEvent(callback.body.eventId);
+    expect(event).toMatchObject({ source: 'kyc_mock', status: 'PROCESSED', signatureValid: true });
+
+    expect(kycs.get(kycId)).toMatchObject({ status: 'APPROVED', jobSuccess: true, firstName: 'Ada' });
+    const updated = users.get(user._id);
+    expect(updated.kycLevel).toBe(2);
+    expect(updated.kycStatus).toBe('approved');
+    expect(updated.kyc.level2).toMatchObject({ status: 'approved', documentType: 'drivers_license', documentSubmitted: true });
+    expect(queueKycFollowUp).toHaveBeenCalledWith('sendKycEmail', 'ada@example.com', 'Ada', 'APPROVED', expect.any(String));
+  });
+
+  test('an unsigned callback is refused and leaves the submission pending', async () => {
+    const user = createUser();
+    const submitted = await submitKyc(user, 'ABC12345X');
+    const { jobId, kycId } = submitted.body.data;
+
+    const callback = await sendCallback(
+      { partnerJobId: jobId, userId: String(user._id), status: 'APPROVED' },
+      { sign: false }
+    );
+    expect(callback.status).toBe(401);
+
+    expect(kycs.get(kycId).status).toBe('PENDING');
+    expect(users.get(user._id).kycLevel).toBe(1);
+  });
+
+  test('an id number decided at submit time is approved without a callback', async () => {
+    const user = createUser();
+    const submitted = await submitKyc(user, 'ABC123450');
+    expect(submitted.status).toBe(200);
+
+    expect(kycs.get(submitted.body.data.kycId)).toMatchObject({ status: 'APPROVED', jobSuccess: true });
+    expect(users.get(user._id).kyc.level2.status).toBe('approved');
+  });
+});
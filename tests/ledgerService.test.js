@@ -0,0 +1,141 @@
+// postEntry (services/ledgerService.js): balanced legs, the overdraft guard on
+// the net change per field, and idempotency keys. User and LedgerEntry are
+// backed by tests/helpers/memoryModel, with sessions that roll back on error.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const User = require('../models/user');
+const LedgerEntry = require('../models/ledgerEntry');
+const { postEntry } = require('../services/ledgerService');
+const { useMemoryModel, useMemoryTransactions } = require('./helpers/memoryModel');
+
+const users = useMemoryModel(User);
+const entries = useMemoryModel(LedgerEntry);
+useMemoryTransactions(users, entries);
+
+afterAll(() => {
+  [users, entries].forEach(store => store.restore());
+});
+
+beforeEach(() => {
+  [users, entries].forEach(store => store.docs.clear());
+});
+
+function createUser(fields = {}) {
+  return users.insert({ email: 'ada@example.com', username: 'ada', ...fields });
+}
+
+function debit(user, changes, options = {}) {
+  return postEntry({
+    type: 'WITHDRAWAL_RESERVE',
+    userId: user._id,
+    actor: { kind: 'USER', id: String(user._id) },
+    changes,
+    ...options
+  });
+}
+
+describe('postEntry', () => {
+  test('moves balance to pending and writes legs that balance per currency', async () => {
+    const user = createUser({ btcBalance: 1 });
+
+    await debit(user, [{ currency: 'BTC', balanceDelta: -0.4, pendingDelta: 0.4 }]);
+
+    expect(users.get(user._id)).toMatchObject({ btcBalance: 0.6, btcPendingBalance: 0.4 });
+    const [entry] = entries.docs.values();
+    const legs = entry.legs.map(leg => [leg.account, leg.debit.toString(), leg.credit.toString()]);
+    expect(legs).toEqual([
+      ['USER_BALANCE', '0.4', '0'],
+      ['USER_PENDING', '0', '0.4']
+    ]);
+  });
+
+  test('refuses a debit larger than the balance and leaves nothing behind', async () => {
+    const user = createUser({ btcBalance: 1 });
+
+    await expect(debit(user, [{ currency: 'BTC', balanceDelta: -1.5, pendingDelta: 1.5 }]))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+    expect(users.get(user._id)).toMatchObject({ btcBalance: 1, btcPendingBalance: 0 });
+    expect(entries.docs.size).toBe(0);
+  });
+
+  test('guards on the net change when one entry debits a field twice', async () => {
+    const user = createUser({ btcBalance: 1 });
+
+    // Each debit fits on its own; together they overdraw
+    await expect(debit(user, [
+      { currency: 'BTC', balanceDelta: -1, pendingDelta: 1 },
+      { currency: 'BTC', balanceDelta: -0.5, pendingDelta: 0.5 }
+    ])).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+    expect(users.get(user._id).btcBalance).toBe(1);
+
+    // A debit offset by a credit in the same entry only needs the net amount
+    await postEntry({
+      type: 'ADMIN_DEDUCT',
+      userId: user._id,
+      changes: [
+        { currency: 'BTC', balanceDelta: -1.5 },
+        { currency: 'BTC', balanceDelta: 1 }
+      ]
+    });
+    expect(users.get(user._id).btcBalance).toBe(0.5);
+  });
+
+  test('posts an idempotency key once and rolls back the repeat', async () => {
+    const user = createUser();
+    const deposit = () => postEntry({
+      type: 'DEPOSIT',
+      userId: user._id,
+      idempotencyKey: 'DEPOSIT:obiex-tx-1',
+      changes: [{ currency: 'BTC', balanceDelta: 0.4 }]
+    });
+
+    await deposit();
+    await expect(deposit()).rejects.toMatchObject({ code: 11000 });
+
+    expect(users.get(user._id).btcBalance).toBe(0.4);
+    expect(entries.docs.size).toBe(1);
+  });
+
+  test('rounds deltas to the asset precision against the user', async () => {
+    const user = createUser({ ngnzBalance: 10 });
+
+    await postEntry({
+      type: 'BILL_PAYMENT',
+      userId: user._id,
+      changes: [{ currency: 'NGNZ', balanceDelta: -1.234 }]
+    });
+
+    expect(users.get(user._id).ngnzBalance).toBe(8.76);
+  });
+
+  test('applies an 18-decimal amount to the balance without going through a double', async () => {
+    const user = createUser({ ethBalance: 2 });
+    const update = jest.spyOn(User, 'findOneAndUpdate');
+
+    await postEntry({
+      type: 'WITHDRAWAL',
+      userId: user._id,
+      changes: [{ currency: 'ETH', balanceDelta: '-1.123456789012345678' }]
+    });
+
+    const [filter, pipeline] = update.mock.calls[0];
+    update.mockRestore();
+    expect(String(filter.ethBalance.$gte)).toBe('1.123456789012345678');
+    expect(pipeline[0].$set.ethBalance).toEqual({
+      $round: [{ $add: [{ $toDecimal: { $ifNull: ['$ethBalance', 0] } }, expect.anything()] }, 18]
+    });
+    expect(String(pipeline[0].$set.ethBalance.$round[0].$add[1])).toBe('-1.123456789012345678');
+    const [entry] = entries.docs.values();
+    expect(String(entry.legs[0].debit)).toBe('1.123456789012345678');
+  });
+});
@@ -0,0 +1,189 @@
+// Limit orders (services/limitOrderService.js): the reservation on placement,
+// a fill that swaps the reserved amount straight out of pending, a failed fill
+// that returns it, and cancellation. The NGNZ swap router is replaced by a stub
+// that posts its SWAP entry the way routes/NGNZSwaps executeNGNZSwap does.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({ sendCustomNotification: jest.fn().mockResolvedValue({}) }));
+jest.mock('../services/backgroundJobs', () => ({ queueReferralReward: jest.fn(), queueNgnzObiexSwap: jest.fn() }));
+jest.mock('../services/portfolio', () => ({ getPricesWithCache: jest.fn() }));
+jest.mock('../routes/NGNZSwaps', () => ({
+  validateNGNZSwap: jest.fn(),
+  calculateNGNZQuote: jest.fn(),
+  executeNGNZSwap: jest.fn()
+}));
+
+const User = require('../models/user');
+const LedgerEntry = require('../models/ledgerEntry');
+const LimitOrder = require('../models/limitOrder');
+const TransactionAudit = require('../models/TransactionAudit');
+const ngnz = require('../routes/NGNZSwaps');
+const { getPricesWithCache } = require('../services/portfolio');
+const { queueNgnzObiexSwap } = require('../services/backgroundJobs');
+const { postEntry } = require('../services/ledgerService');
+const {
+  placeLimitOrder,
+  cancelLimitOrder,
+  processLimitOrders
+} = require('../services/limitOrderService');
+const { useMemoryModel, useMemoryTransactions } = require('./helpers/memoryModel');
+
+const users = useMemoryModel(User);
+const entries = useMemoryModel(LedgerEntry);
+const orders = useMemoryModel(LimitOrder);
+const audits = useMemoryModel(TransactionAudit);
+useMemoryTransactions(users, entries, orders);
+
+afterAll(() => {
+  [users, entries, orders, audits].forEach(store => store.restore());
+});
+
+beforeEach(() => {
+  [users, entries, orders, audits].forEach(store => store.docs.clear());
+  jest.clearAllMocks();
+
+  ngnz.validateNGNZSwap.mockImplementation(async (from, to) => ({
+    success: true, isOnramp: from === 'NGNZ', sourceCurrency: from, targetCurrency: to
+  }));
+  // Market: 1 BTC = 96,000,000 NGNZ
+  getPricesWithCache.mockResolvedValue({ BTC: 60000, NGNZ: 60000 / 96000000 });
+  quoteReceives(0.0016);
+  ngnz.executeNGNZSwap.mockImplementation(async (userId, quote, correlationId, context, { fromPending, idempotencyKey } = {}) => {
+    await postEntry({
+      type: 'SWAP',
+      userId,
+      reference: 'NGNZ_SWAP_1',
+      idempotencyKey,
+      changes: [
+        fromPending
+          ? { currency: quote.sourceCurrency, pendingDelta: -quote.amount }
+          : { currency: quote.sourceCurrency, balanceDelta: -quote.amount },
+        { currency: quote.targetCurrency, balanceDelta: quote.amountReceived }
+      ]
+    });
+    return { swapId: 'NGNZ_SWAP_1', swapOutTransaction: { _id: 'tx-out' }, swapInTransaction: { _id: 'tx-in' } };
+  });
+});
+
+function quoteReceives(receiveAmount) {
+  ngnz.calculateNGNZQuote.mockResolvedValue({
+    success: true,
+    receiveAmount,
+    rate: 96000000,
+    cryptoPrice: 60000,
+    provider: 'INTERNAL_ONRAMP',
+    flow: 'ONRAMP',
+    swapType: 'ONRAMP',
+    sourceAmountUSD: 93.75,
+    targetAmountUSD: 96
+  });
+}
+
+function createUser(fields = {}) {
+  return users.insert({ email: 'ada@example.com', username: 'ada', ...fields });
+}
+
+// Buy BTC with 150,000 NGNZ at up to 100,000,000 NGNZ per BTC
+function placeBuy(user) {
+  return placeLimitOrder(user._id, { from: 'NGNZ', to: 'BTC', amount: 150000, limitRate: 100000000 });
+}
+
+function ledgerTypes() {
+  return [...entries.docs.values()].map(entry => entry.type);
+}
+
+describe('limit orders', () => {
+  test('placing a buy takes the limit as an NGNZ price and reserves the amount', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+
+    const order = await placeBuy(user);
+
+    expect(order).toMatchObject({ kind: 'NGNZ_SWAP', side: 'BUY', limitRate: 100000000, minAmountReceived: 0.0015 });
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 50000, ngnzPendingBalance: 150000 });
+    expect(ledgerTypes()).toEqual(['LIMIT_ORDER_RESERVE']);
+  });
+
+  test('placing an order larger than the balance reserves nothing', async () => {
+    const user = createUser({ ngnzBalance: 100000 });
+
+    await expect(placeBuy(user)).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+
+    expect(orders.docs.size).toBe(0);
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 100000, ngnzPendingBalance: 0 });
+  });
+
+  test('a fill swaps the reserved amount out of pending without releasing it first', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+    const { orderId } = await placeBuy(user);
+
+    const summary = await processLimitOrders();
+
+    expect(summary).toMatchObject({ checked: 1, filled: 1 });
+    expect(ngnz.executeNGNZSwap).toHaveBeenCalledWith(
+      String(user._id), expect.any(Object), expect.any(String), expect.any(Object),
+      { fromPending: true, idempotencyKey: `LIMIT_ORDER_FILL:${orderId}` }
+    );
+    expect(ledgerTypes()).toEqual(['LIMIT_ORDER_RESERVE', 'SWAP']);
+    expect(queueNgnzObiexSwap).toHaveBeenCalledWith(String(user._id), expect.any(Object), 'NGNZ_SWAP_1', expect.any(String), expect.any(Object));
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 50000, ngnzPendingBalance: 0, btcBalance: 0.0016 });
+
+    const order = await LimitOrder.findOne({ orderId }).lean();
+    expect(order).toMatchObject({ status: 'FILLED', swapId: 'NGNZ_SWAP_1', amountReceived: 0.0016, executedRate: 93750000 });
+  });
+
+  test('an order stays open with its reservation when the live quote misses the limit', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+    const { orderId } = await placeBuy(user);
+    quoteReceives(0.0014);
+
+    const summary = await processLimitOrders();
+
+    expect(summary).toMatchObject({ checked: 1, waiting: 1 });
+    expect(ngnz.executeNGNZSwap).not.toHaveBeenCalled();
+    expect((await LimitOrder.findOne({ orderId }).lean()).status).toBe('OPEN');
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 50000, ngnzPendingBalance: 150000 });
+  });
+
+  test('the worker skips buys whose limit is below the market price', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+    await placeLimitOrder(user._id, { from: 'NGNZ', to: 'BTC', amount: 150000, limitRate: 90000000 });
+
+    const summary = await processLimitOrders();
+
+    expect(summary.checked).toBe(0);
+    expect(ngnz.calculateNGNZQuote).not.toHaveBeenCalled();
+  });
+
+  test('a swap that fails returns the reservation and fails the order', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+    const { orderId } = await placeBuy(user);
+    ngnz.executeNGNZSwap.mockRejectedValue(new Error('Provider down'));
+
+    const summary = await processLimitOrders();
+
+    expect(summary).toMatchObject({ checked: 1, failed: 1 });
+    expect(await LimitOrder.findOne({ orderId }).lean()).toMatchObject({ status: 'FAILED', failureReason: 'Provider down' });
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 200000, ngnzPendingBalance: 0 });
+    expect(ledgerTypes()).toEqual(['LIMIT_ORDER_RESERVE', 'LIMIT_ORDER_RELEASE']);
+  });
+
+  test('cancelling returns the reservation once', async () => {
+    const user = createUser({ ngnzBalance: 200000 });
+    const { orderId } = await placeBuy(user);
+
+    const cancelled = await cancelLimitOrder(user._id, orderId);
+
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(users.get(user._id)).toMatchObject({ ngnzBalance: 200000, ngnzPendingBalance: 0 });
+    await expect(cancelLimitOrder(user._id, orderId)).rejects.toMatchObject({ httpStatus: 409, code: 'NOT_OPEN' });
+    expect(ledgerTypes()).toEqual(['LIMIT_ORDER_RESERVE', 'LIMIT_ORDER_RELEASE']);
+  });
+});
@@ -0,0 +1,87 @@
+// Exact amount storage (utils/money.js): precision comes from the asset
+// registry uncapped, and User balances and Transaction amounts are Decimal128
+// in the database while reading back as Numbers from documents, toJSON,
+// lean queries and aggregates.
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Transaction = require('../models/transaction');
+const { getPrecision, toDecimal128, decimalsToNumbers } = require('../utils/money');
+
+const ETH = '1.123456789012345678';
+
+function raw(doc, path) {
+  return doc.get(path, null, { getters: false });
+}
+
+describe('getPrecision', () => {
+  test('uses the full decimals of the asset', () => {
+    expect(getPrecision('ETH')).toBe(18);
+    expect(getPrecision('BTC')).toBe(8);
+    expect(getPrecision('NGNZ')).toBe(2);
+    expect(getPrecision('NGN')).toBe(2);
+    expect(toDecimal128(ETH, 'ETH').toString()).toBe(ETH);
+  });
+});
+
+describe('User balances', () => {
+  test('store every decimal and read back as Numbers', () => {
+    const user = new User({ email: 'ada@example.com', ethBalance: ETH, balances: { ADA: { balance: '2.5' } } });
+
+    expect(raw(user, 'ethBalance')).toBeInstanceOf(mongoose.Types.Decimal128);
+    expect(raw(user, 'ethBalance').toString()).toBe(ETH);
+    expect(user.ethBalance).toBe(Number(ETH));
+    expect(user.btcBalance).toBe(0);
+    expect(user.balances.get('ADA').balance).toBe(2.5);
+
+    const json = user.toJSON();
+    expect(json.ethBalance).toBe(Number(ETH));
+    expect(json.balances.ADA).toEqual({ balance: 2.5, pending: 0 });
+    expect(json.password).toBeUndefined();
+  });
+
+  test('cannot go negative', () => {
+    const user = new User({ email: 'ada@example.com', btcBalance: -0.1, balances: { ADA: { pending: -1 } } });
+    const { errors } = user.validateSync();
+
+    expect(Object.keys(errors).sort()).toEqual(['balances.ADA.pending', 'btcBalance']);
+  });
+});
+
+describe('Transaction amounts', () => {
+  test('are rounded to the currency precision in Decimal128', async () => {
+    const transaction = (currency, fields) => new Transaction({
+      userId: new mongoose.Types.ObjectId(),
+      type: 'WITHDRAWAL',
+      status: 'PENDING',
+      currency,
+      ...fields
+    });
+    const eth = transaction('ETH', { amount: '-1.1234567890123456789' });
+    const btc = transaction('BTC', { amount: -0.5, fee: 0.1 + 0.2 });
+    await Promise.all([eth.validate(), btc.validate()]);
+
+    expect(raw(eth, 'amount').toString()).toBe('-1.123456789012345679');
+    expect(raw(btc, 'fee').toString()).toBe('0.3');
+    expect(btc.toObject().fee).toBe(0.3);
+    expect(btc.amount).toBe(-0.5);
+  });
+
+  test('aggregate and lean rows are converted to Numbers, ObjectIds are left alone', () => {
+    const rows = [{ _id: 'ETH', total: mongoose.Types.Decimal128.fromString(ETH), ids: [new mongoose.Types.ObjectId()] }];
+
+    decimalsToNumbers(rows);
+
+    expect(rows[0].total).toBe(Number(ETH));
+    expect(rows[0].ids[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+  });
+});
@@ -0,0 +1,67 @@
+// Watchlist name matching (utils/nameMatching.js). Scores are checked against
+// 0.9, the default SCREENING_MATCH_THRESHOLD: spelling variants, reordered or
+// missing names and titles should clear it, different people should not.
+
+const {
+  normalizeName,
+  jaroWinkler,
+  nameSimilarity
+} = require('../utils/nameMatching');
+
+const THRESHOLD = 0.9;
+
+describe('normalizeName', () => {
+  test('drops titles, accents and punctuation', () => {
+    expect(normalizeName('  Chief (Dr.) Olúṣẹ́gun  Ọbásanjọ́, Jr. ')).toBe('olusegun obasanjo');
+    expect(normalizeName('Ngozi Okonjo-Iweala')).toBe('ngozi okonjo iweala');
+  });
+
+  test('returns an empty string when nothing identifying is left', () => {
+    expect(normalizeName('Mr.')).toBe('');
+    expect(normalizeName(null)).toBe('');
+    expect(normalizeName(42)).toBe('');
+  });
+});
+
+describe('jaroWinkler', () => {
+  test('matches the reference values', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.9611, 4);
+    expect(jaroWinkler('dixon', 'dicksonx')).toBeCloseTo(0.8133, 4);
+    expect(jaroWinkler('abc', 'abc')).toBe(1);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    expect(jaroWinkler('', 'abc')).toBe(0);
+  });
+});
+
+describe('nameSimilarity', () => {
+  test.each([
+    ['Dr. Ngozi Okonjo-Iweala', 'ngozi okonjo iweala'],
+    ['José Álvarez', 'Jose Alvarez'],
+    ['Okonjo Iweala Ngozi', 'Ngozi Okonjo-Iweala'],
+    ['Ngozi Iweala', 'Ngozi Okonjo Iweala'],
+    ['Alhaji Aliko Dangote', 'Aliko Dangote'],
+    ['Abdul Rahman Bello', 'Abdulrahman Bello'],
+    ['Mohammed Bello', 'Muhammad Bello']
+  ])('%s matches %s', (a, b) => {
+    expect(nameSimilarity(a, b)).toBeGreaterThanOrEqual(THRESHOLD);
+  });
+
+  test.each([
+    ['John Smith', 'Jane Doe'],
+    ['Chinedu Okafor', 'Chioma Okafor'],
+    ['Ada Okafor', 'Ada Okeke']
+  ])('%s does not match %s', (a, b) => {
+    expect(nameSimilarity(a, b)).toBeLessThan(THRESHOLD);
+  });
+
+  test('a single name is not enough for a match, even spelled exactly', () => {
+    expect(nameSimilarity('Ngozi', 'Ngozi Okonjo')).toBeLessThan(THRESHOLD);
+    expect(nameSimilarity('Ngozi', 'Ngozi')).toBeLessThan(THRESHOLD);
+  });
+
+  test('is symmetric and scores names with nothing identifying as 0', () => {
+    expect(nameSimilarity('Mohammed Bello', 'Muhammad Bello')).toBe(nameSimilarity('Muhammad Bello', 'Mohammed Bello'));
+    expect(nameSimilarity('Mr.', 'Ada Okafor')).toBe(0);
+    expect(nameSimilarity('', 'Ada Okafor')).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+// Quote lifecycle (services/quoteService.js) on the in-memory store used when
+// Redis is down: each transition is a compare-and-set on the current state, so
+// a quote is accepted once, only by its owner, and terminal states stay put.
+// Every transition that wins writes a QUOTE_* TransactionAudit event.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const TransactionAudit = require('../models/TransactionAudit');
+const {
+  QUOTE_STATES,
+  createQuote,
+  getQuote,
+  acceptQuote,
+  completeQuote,
+  failQuote,
+  expireQuote,
+  expireDueQuotes
+} = require('../services/quoteService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const audits = useMemoryModel(TransactionAudit);
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+let nextId = 0;
+
+afterAll(() => audits.restore());
+
+beforeEach(() => audits.docs.clear());
+
+function newQuote(fields = {}) {
+  nextId += 1;
+  return createQuote({
+    kind: 'SWAP',
+    userId: USER_ID,
+    payload: {
+      id: `quote-${nextId}`,
+      amount: 0.01,
+      amountReceived: 600,
+      sourceCurrency: 'BTC',
+      targetCurrency: 'USDT',
+      rate: 60000,
+      ...fields
+    }
+  });
+}
+
+function auditEvents() {
+  return [...audits.docs.values()].map(audit => audit.eventType);
+}
+
+describe('quote lifecycle', () => {
+  test('a quote is created, accepted and executed once each', async () => {
+    const quote = await newQuote();
+    expect(quote.state).toBe(QUOTE_STATES.CREATED);
+
+    const accepted = await acceptQuote(quote.id, USER_ID);
+    expect(accepted).toMatchObject({ ok: true, quote: { id: quote.id, state: QUOTE_STATES.ACCEPTED } });
+
+    expect(await completeQuote(quote.id)).toBe(true);
+    expect(await completeQuote(quote.id)).toBe(false);
+    expect((await getQuote(quote.id)).state).toBe(QUOTE_STATES.EXECUTED);
+    expect(auditEvents()).toEqual(['QUOTE_CREATED', 'QUOTE_ACCEPTED', 'QUOTE_EXECUTED']);
+  });
+
+  test('only one of two concurrent accepts wins', async () => {
+    const quote = await newQuote();
+
+    const results = await Promise.all([acceptQuote(quote.id, USER_ID), acceptQuote(quote.id, USER_ID)]);
+
+    expect(results.filter(result => result.ok)).toHaveLength(1);
+    expect(results.find(result => !result.ok)).toMatchObject({ code: 'QUOTE_ALREADY_USED', httpStatus: 409 });
+    expect(auditEvents().filter(event => event === 'QUOTE_ACCEPTED')).toHaveLength(1);
+  });
+
+  test("another user's accept reads as not found and leaves the quote open", async () => {
+    const quote = await newQuote();
+
+    const result = await acceptQuote(quote.id, '64b7f0c2a1b2c3d4e5f60799');
+
+    expect(result).toMatchObject({ ok: false, code: 'QUOTE_NOT_FOUND', httpStatus: 404 });
+    expect((await getQuote(quote.id)).state).toBe(QUOTE_STATES.CREATED);
+  });
+
+  test('an accept after expiry expires the quote and returns 410', async () => {
+    const quote = await newQuote({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const result = await acceptQuote(quote.id, USER_ID);
+
+    expect(result).toMatchObject({ ok: false, code: 'QUOTE_EXPIRED', httpStatus: 410 });
+    expect((await getQuote(quote.id)).state).toBe(QUOTE_STATES.EXPIRED);
+    expect(await acceptQuote(quote.id, USER_ID)).toMatchObject({ code: 'QUOTE_EXPIRED' });
+  });
+
+  test('a failed quote cannot be completed or retried', async () => {
+    const quote = await newQuote();
+    await acceptQuote(quote.id, USER_ID);
+
+    expect(await failQuote(quote.id, new Error('Provider down'))).toBe(true);
+
+    expect(await completeQuote(quote.id)).toBe(false);
+    expect(await failQuote(quote.id, 'again')).toBe(false);
+    expect(await acceptQuote(quote.id, USER_ID)).toMatchObject({ code: 'QUOTE_ALREADY_USED' });
+    const failed = [...audits.docs.values()].find(audit => audit.eventType === 'QUOTE_FAILED');
+    expect(failed).toMatchObject({ status: 'FAILED', errorDetails: { message: 'Provider down' } });
+  });
+
+  test('an accepted quote is not expired by the sweep', async () => {
+    const accepted = await newQuote({ expiresAt: new Date(Date.now() + 50).toISOString() });
+    await acceptQuote(accepted.id, USER_ID);
+    const stale = await newQuote({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await expireDueQuotes();
+
+    expect((await getQuote(accepted.id)).state).toBe(QUOTE_STATES.ACCEPTED);
+    expect((await getQuote(stale.id)).state).toBe(QUOTE_STATES.EXPIRED);
+    expect(await expireQuote(stale.id)).toBe(false);
+  });
+
+  test('a quote cannot be completed without being accepted', async () => {
+    const quote = await newQuote();
+
+    expect(await completeQuote(quote.id)).toBe(false);
+    expect((await getQuote(quote.id)).state).toBe(QUOTE_STATES.CREATED);
+  });
+});
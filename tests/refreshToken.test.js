@@ -0,0 +1,166 @@
+// Refresh-token rotation (/auth/refresh, services/sessionService.js): each
+// refresh replaces the session's token, a token replayed moments after its
+// rotation is a concurrent refresh, and one replayed later revokes the whole
+// family - its stored session and any access token carrying its `sid`.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+process.env.JWT_SECRET = 'test-jwt-secret-that-is-long-enough-for-signing';
+process.env.REFRESH_JWT_SECRET = 'test-refresh-secret-that-is-long-enough-for-signing';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../utils/verifyAT', () => ({ sendVerificationCode: jest.fn() }));
+jest.mock('../services/EmailService', () => ({ sendEmailVerificationOTP: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendSecurityAlert: jest.fn().mockResolvedValue({}) }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { sendSecurityAlert } = require('../services/notificationService');
+const { isTokenRevoked } = require('../services/tokenRevocationService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const users = useMemoryModel(User);
+
+const refreshtokenRoutes = require('../routes/refreshtoken');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', refreshtokenRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  users.restore();
+});
+
+beforeEach(() => {
+  users.docs.clear();
+  jest.clearAllMocks();
+});
+
+// Signed a minute ago, so the rotated token (same claims, new iat) differs
+function signRefreshToken(userId, sessionId) {
+  const iat = Math.floor(Date.now() / 1000) - 60;
+  return jwt.sign({ id: String(userId), sid: sessionId, iat }, process.env.REFRESH_JWT_SECRET, { expiresIn: '7d' });
+}
+
+// A user signed in on two devices
+function createUser() {
+  const user = users.insert({ email: 'ada@example.com', username: 'ada' });
+  const sessions = ['sess-phone', 'sess-tablet'].map(sessionId => ({
+    token: signRefreshToken(user._id, sessionId),
+    sessionId,
+    deviceId: `device-${sessionId}`,
+    createdAt: new Date(),
+    lastSeenAt: new Date()
+  }));
+  users.docs.get(String(user._id)).refreshTokens = sessions;
+  return { user, phoneToken: sessions[0].token, tabletToken: sessions[1].token };
+}
+
+async function refresh(refreshToken) {
+  const response = await fetch(`${baseUrl}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function session(user, sessionId) {
+  return users.get(user._id).refreshTokens.find(s => s.sessionId === sessionId);
+}
+
+// Push a session's last rotation out of the concurrent-refresh grace window
+function ageRotation(user, sessionId) {
+  const stored = users.docs.get(String(user._id)).refreshTokens.find(s => s.sessionId === sessionId);
+  stored.rotatedAt = new Date(Date.now() - 60 * 1000);
+}
+
+describe('refresh token rotation', () => {
+  test('a refresh replaces the session token and keeps the session id', async () => {
+    const { user, phoneToken } = createUser();
+
+    const result = await refresh(phoneToken);
+
+    expect(result.status).toBe(200);
+    const { accessToken, refreshToken } = result.body;
+    expect(refreshToken).not.toBe(phoneToken);
+    expect(jwt.decode(refreshToken)).toMatchObject({ id: String(user._id), sid: 'sess-phone' });
+    expect(jwt.decode(accessToken)).toMatchObject({ id: String(user._id), sid: 'sess-phone', iatMs: expect.any(Number) });
+
+    const rotated = session(user, 'sess-phone');
+    expect(rotated).toMatchObject({ token: refreshToken, deviceId: 'device-sess-phone', previousTokenHash: expect.any(String) });
+    expect(users.get(user._id).refreshTokens).toHaveLength(2);
+
+    expect((await refresh(refreshToken)).status).toBe(200);
+  });
+
+  test('the old token replayed right after its rotation is a concurrent refresh, not reuse', async () => {
+    const { user, phoneToken } = createUser();
+    const { body } = await refresh(phoneToken);
+
+    const replay = await refresh(phoneToken);
+
+    expect(replay).toMatchObject({ status: 409, body: { code: 'REFRESH_IN_PROGRESS' } });
+    expect(session(user, 'sess-phone').token).toBe(body.refreshToken);
+    expect(sendSecurityAlert).not.toHaveBeenCalled();
+  });
+
+  test('two refreshes racing with one token issue a single new token', async () => {
+    const { user, phoneToken } = createUser();
+
+    const results = await Promise.all([refresh(phoneToken), refresh(phoneToken)]);
+
+    expect(results.map(result => result.status).sort()).toEqual([200, 409]);
+    const winner = results.find(result => result.status === 200);
+    expect(session(user, 'sess-phone').token).toBe(winner.body.refreshToken);
+  });
+
+  test('a rotated token replayed later revokes its family and nothing else', async () => {
+    const { user, phoneToken, tabletToken } = createUser();
+    const { body } = await refresh(phoneToken);
+    ageRotation(user, 'sess-phone');
+
+    const replay = await refresh(phoneToken);
+
+    expect(replay).toMatchObject({ status: 403, body: { code: 'REFRESH_TOKEN_REUSED' } });
+    expect(session(user, 'sess-phone')).toBeUndefined();
+    expect(session(user, 'sess-tablet')).toBeDefined();
+    expect(sendSecurityAlert).toHaveBeenCalledWith(String(user._id), expect.any(String), expect.objectContaining({
+      event: 'REFRESH_TOKEN_REUSE',
+      sessionId: 'sess-phone'
+    }));
+
+    // The legitimate holder's tokens from that family stop working too
+    expect(await isTokenRevoked('user', jwt.decode(body.accessToken))).toBe(true);
+    expect((await refresh(body.refreshToken)).status).toBe(403);
+
+    // The other device keeps refreshing
+    expect((await refresh(tabletToken)).status).toBe(200);
+  });
+
+  test('a token from a signed-out session is not recognised', async () => {
+    const { user, phoneToken } = createUser();
+    users.docs.get(String(user._id)).refreshTokens = [];
+
+    const result = await refresh(phoneToken);
+
+    expect(result.status).toBe(403);
+    expect(result.body.code).toBeUndefined();
+    expect(sendSecurityAlert).not.toHaveBeenCalled();
+  });
+});
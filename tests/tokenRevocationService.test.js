@@ -0,0 +1,113 @@
+// Access-token revocation (services/tokenRevocationService.js). Cutoffs are
+// kept in milliseconds and compared with the token's `iatMs`, so a token
+// signed in the same second as a revocation, but after it, still works.
+// Redis is replaced per test; with none, the in-memory mirror answers.
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../utils/redis', () => ({ getRedisClient: jest.fn(() => null) }));
+
+const { getRedisClient } = require('../utils/redis');
+const {
+  revokeAllUserTokens,
+  revokeAllAdminTokens,
+  revokeSessionTokens,
+  revokeTokenId,
+  issuedAtClaim,
+  isTokenRevoked
+} = require('../services/tokenRevocationService');
+
+// A whole second (12:00:00.000 UTC); tests place tokens and cutoffs inside it
+const SECOND = Date.UTC(2026, 0, 15, 12, 0, 0);
+let userCount = 0;
+
+function at(ms) {
+  jest.spyOn(Date, 'now').mockReturnValue(ms);
+}
+
+// A token as authenticateToken sees it after jwt.verify
+function tokenAt(ms, id, extra = {}) {
+  at(ms);
+  return { id, iat: Math.floor(ms / 1000), ...issuedAtClaim(), ...extra };
+}
+
+function nextUserId() {
+  userCount += 1;
+  return `user-${userCount}`;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  getRedisClient.mockReturnValue(null);
+});
+
+describe('token revocation', () => {
+  test('a token signed later in the same second as the cutoff stays valid', async () => {
+    const userId = nextUserId();
+    const before = tokenAt(SECOND + 100, userId);
+    at(SECOND + 400);
+    await revokeAllUserTokens(userId, 'logout_all');
+    const after = tokenAt(SECOND + 700, userId);
+
+    expect(await isTokenRevoked('user', before)).toBe(true);
+    expect(await isTokenRevoked('user', after)).toBe(false);
+  });
+
+  test('a token without iatMs is judged by its iat second', async () => {
+    const userId = nextUserId();
+    at(SECOND + 400);
+    await revokeAllUserTokens(userId, 'blocked');
+
+    expect(await isTokenRevoked('user', { id: userId, iat: SECOND / 1000 })).toBe(true);
+    expect(await isTokenRevoked('user', { id: userId, iat: SECOND / 1000 + 1 })).toBe(false);
+  });
+
+  test('a cutoff stored in seconds by an older release still applies', async () => {
+    const userId = nextUserId();
+    getRedisClient.mockReturnValue({ mget: jest.fn().mockResolvedValue([String(SECOND / 1000 + 1), null]) });
+
+    expect(await isTokenRevoked('user', tokenAt(SECOND + 999, userId))).toBe(true);
+    expect(await isTokenRevoked('user', tokenAt(SECOND + 1000, userId))).toBe(false);
+  });
+
+  test('user and admin cutoffs are kept apart', async () => {
+    const id = nextUserId();
+    const token = tokenAt(SECOND, id);
+    at(SECOND + 1);
+    await revokeAllAdminTokens(id, 'deactivated');
+
+    expect(await isTokenRevoked('admin', token)).toBe(true);
+    expect(await isTokenRevoked('user', token)).toBe(false);
+  });
+
+  test('a revoked session or token id rejects only the tokens carrying it', async () => {
+    const userId = nextUserId();
+    await revokeSessionTokens('sess-phone');
+    await revokeTokenId('jti-1', Math.floor(Date.now() / 1000) + 600);
+
+    expect(await isTokenRevoked('user', tokenAt(SECOND, userId, { sid: 'sess-phone' }))).toBe(true);
+    expect(await isTokenRevoked('user', tokenAt(SECOND, userId, { sid: 'sess-tablet' }))).toBe(false);
+    expect(await isTokenRevoked('admin', tokenAt(SECOND, userId, { jti: 'jti-1' }))).toBe(true);
+  });
+
+  test('a revocation on this instance holds while Redis is failing', async () => {
+    const userId = nextUserId();
+    const redis = {
+      set: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+      mget: jest.fn().mockRejectedValue(new Error('ECONNREFUSED'))
+    };
+    getRedisClient.mockReturnValue(redis);
+    const token = tokenAt(SECOND, userId);
+    at(SECOND + 1);
+    await revokeAllUserTokens(userId, 'logout_all');
+
+    expect(await isTokenRevoked('user', token)).toBe(true);
+    expect(redis.set).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,167 @@
+// Webhook inbox (services/webhookInbox.js): signed deliveries are deduplicated
+// on their provider id, a throwing handler is retried on the sweep and parked
+// as DEAD, and admins can replay failed events. WebhookEvent is backed by
+// tests/helpers/memoryModel.
+
+process.env.NODE_ENV = 'test';
+process.env.REDIS_DISABLED = 'true';
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const WebhookEvent = require('../models/webhookEvent');
+const {
+  WebhookPermanentError,
+  registerWebhookHandler,
+  receiveWebhook,
+  processWebhookEvent,
+  processDueWebhookEvents,
+  replayWebhookEvent
+} = require('../services/webhookInbox');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const events = useMemoryModel(WebhookEvent);
+const handler = jest.fn();
+registerWebhookHandler('tawk', handler);
+
+const ADMIN = { id: 'admin-1', email: 'ops@example.com' };
+
+afterAll(() => events.restore());
+
+beforeEach(() => {
+  events.docs.clear();
+  handler.mockReset();
+  handler.mockResolvedValue({ handled: true });
+});
+
+function deliver(eventId, fields = {}) {
+  return receiveWebhook({
+    source: 'tawk',
+    eventId,
+    eventType: 'chat:start',
+    payload: { chatId: eventId },
+    headers: { 'x-tawk-signature': 'sig', authorization: 'Bearer secret' },
+    signatureValid: true,
+    ...fields
+  });
+}
+
+// receiveWebhook runs the handler on the next tick
+async function settle(eventId) {
+  for (let i = 0; i < 50; i++) {
+    const event = events.get(eventId);
+    if (event && !['RECEIVED', 'PROCESSING'].includes(event.status)) return event;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`Webhook event ${eventId} was not processed`);
+}
+
+// Move a failed event's retry (or a claim) into the past
+function makeDue(eventId, fields = {}) {
+  Object.assign(events.docs.get(String(eventId)), { nextAttemptAt: new Date(Date.now() - 1000), ...fields });
+}
+
+describe('webhook inbox', () => {
+  test('a signed delivery is stored, processed once and its repeats only counted', async () => {
+    const { event } = await deliver('evt-1');
+    expect(await settle(event._id)).toMatchObject({ status: 'PROCESSED', attempts: 1, result: { handled: true } });
+    expect(events.get(event._id).headers).toEqual({ 'x-tawk-signature': 'sig' });
+
+    const repeat = await deliver('evt-1');
+
+    expect(repeat.duplicate).toBe(true);
+    expect(String(repeat.event._id)).toBe(String(event._id));
+    expect(events.docs.size).toBe(1);
+    expect(events.get(event._id).duplicateCount).toBe(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unsigned copy cannot claim the id of the real event, and a bad signature is never processed', async () => {
+    const unchecked = await deliver('evt-2', { signatureValid: null });
+    const forged = await deliver('evt-2', { signatureValid: false, signatureError: 'mismatch' });
+    const signed = await deliver('evt-2');
+
+    expect([unchecked, forged, signed].map(result => result.duplicate)).toEqual([false, false, false]);
+    expect(forged.event.status).toBe('REJECTED');
+    await settle(unchecked.event._id);
+    await settle(signed.event._id);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(events.get(forged.event._id).status).toBe('REJECTED');
+  });
+
+  test('a failing handler is retried by the sweep once its backoff has passed', async () => {
+    handler.mockRejectedValueOnce(new Error('Database timeout'));
+    const { event } = await deliver('evt-3');
+
+    const failed = await settle(event._id);
+    expect(failed).toMatchObject({ status: 'FAILED', attempts: 1, lastError: 'Database timeout' });
+    expect(failed.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 25 * 1000);
+
+    expect(await processDueWebhookEvents()).toMatchObject({ due: 0 });
+
+    makeDue(event._id);
+    expect(await processDueWebhookEvents()).toMatchObject({ due: 1, processed: 1 });
+    expect(events.get(event._id)).toMatchObject({ status: 'PROCESSED', attempts: 2, lastError: null });
+  });
+
+  test('a permanent error or the last attempt parks the event as DEAD', async () => {
+    handler.mockRejectedValueOnce(new WebhookPermanentError('Unsupported currency'));
+    const permanent = await deliver('evt-4');
+    expect(await settle(permanent.event._id)).toMatchObject({ status: 'DEAD', attempts: 1 });
+
+    handler.mockRejectedValue(new Error('Still down'));
+    const { event } = await deliver('evt-5');
+    await settle(event._id);
+    makeDue(event._id, { attempts: 7 });
+    await processDueWebhookEvents();
+
+    expect(events.get(event._id)).toMatchObject({ status: 'DEAD', attempts: 8, lastError: 'Still down' });
+    makeDue(event._id);
+    expect(await processDueWebhookEvents()).toMatchObject({ due: 0 });
+  });
+
+  test('only one of two concurrent runs claims an event', async () => {
+    const { event } = await deliver('evt-6');
+
+    const [first, second] = await Promise.all([processWebhookEvent(event._id), processWebhookEvent(event._id)]);
+    await settle(event._id);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('an abandoned claim is picked up again by the sweep', async () => {
+    const { event } = await deliver('evt-7');
+    await settle(event._id);
+    makeDue(event._id, { status: 'PROCESSING', lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+    expect(await processDueWebhookEvents()).toMatchObject({ due: 1, processed: 1 });
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('an admin replays a dead event with a fresh attempt budget', async () => {
+    handler.mockRejectedValueOnce(new WebhookPermanentError('User not found'));
+    const { event } = await deliver('evt-8');
+    await settle(event._id);
+
+    const replayed = await replayWebhookEvent(event._id, ADMIN);
+
+    expect(replayed).toMatchObject({ status: 'PROCESSED', attempts: 1 });
+    expect(events.get(event._id).replays).toEqual([
+      expect.objectContaining({ adminId: 'admin-1', adminEmail: 'ops@example.com', previousStatus: 'DEAD' })
+    ]);
+    await expect(replayWebhookEvent(event._id, ADMIN)).rejects.toMatchObject({ httpStatus: 409, code: 'NOT_REPLAYABLE' });
+  });
+
+  test('rejected and unknown events cannot be replayed', async () => {
+    const { event } = await deliver('evt-9', { signatureValid: false });
+
+    await expect(replayWebhookEvent(event._id, ADMIN)).rejects.toMatchObject({ code: 'NOT_REPLAYABLE' });
+    await expect(replayWebhookEvent('64b7f0c2a1b2c3d4e5f60718', ADMIN)).rejects.toMatchObject({ httpStatus: 404 });
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -131,6 +131,7 @@ class SmileIDAuth {
    * - Basic KYC (async): /v2/verify_async
    * - Basic KYC (sync):  /v2/verify
    * - Job status (async result fetch): /v2/job_status
+   * - SmartSelfie authentication (sync): /v2/smart-selfie-authentication
    * Add/adjust others only when you actively use them.
    */
   getEndpoints() {
@@ -139,6 +140,7 @@ class SmileIDAuth {
       basicKycAsync: `${base}/v2/verify_async`,
       basicKycSync:  `${base}/v2/verify`,
       jobStatus:     `${base}/v2/job_status`,
+      smartSelfieAuthentication: `${base}/v2/smart-selfie-authentication`,
       // Add others you truly need later, mapped to v2:
       // e.g., `documentVerification`, `enhancedKyc`, etc., when you implement them.
     };
@@ -164,9 +164,34 @@ function isNinIdType(idType) {
   return ['nin', 'nin_slip', 'national_id'].includes(normalized);
 }
 
+/**
+ * Normalise a document date from a provider to YYYY-MM-DD
+ * Accepts ISO strings, YYYY-MM-DD, DD-MM-YYYY and DD/MM/YYYY
+ * @param {string|Date} value - Date as sent by the provider
+ * @returns {string|null} YYYY-MM-DD, or null if missing or unreadable
+ */
+function normalizeDocumentDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  let match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  let iso = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  if (!iso) {
+    match = trimmed.match(/^(\d{2})[-/](\d{2})[-/](\d{4})$/);
+    if (match) iso = `${match[3]}-${match[2]}-${match[1]}`;
+  }
+  if (!iso) return null;
+
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
 module.exports = {
   classifyOutcome,
   parseFullName,
+  normalizeDocumentDate,
   isValidKycDocument,
   isBvnIdType,
   isNinIdType,
@@ -0,0 +1,299 @@
+// utils/money.js
+const Decimal = require('decimal.js');
+const mongoose = require('mongoose');
+const { getAsset } = require('../services/assetRegistry');
+
+/**
+ * Decimal-safe money helpers.
+ *
+ * Amounts are still carried around as JS Numbers in most of the codebase, so
+ * every value that is about to touch a balance or a stored amount should pass
+ * through here first: arithmetic is done in decimal.js and the result is
+ * rounded to the asset's registry precision before it is turned back into a
+ * Number or a Decimal128.
+ *
+ * User balances, Transaction amounts and ledger legs are stored as Decimal128
+ * at the asset's full precision (18 places for ETH, BNB, MATIC). Fields built
+ * with decimalAmountField() read back as Numbers, and decimalAmountsPlugin()
+ * does the same for toJSON/toObject, lean queries and aggregates, so callers
+ * keep working with Numbers while the database holds the exact value.
+ */
+
+// Fiat currencies that appear on records but are not registry assets
+const FIAT_PRECISION = { NGN: 2, USD: 2 };
+const DEFAULT_PRECISION = 8;
+
+// Rate / price values are not balances, keep more digits
+const RATE_PRECISION = 8;
+
+/**
+ * Rounding rule per purpose. Credits never give the user more than was
+ * actually received, debits and fees never take less than is owed.
+ */
+const ROUNDING = {
+  CREDIT: Decimal.ROUND_DOWN,
+  DEBIT: Decimal.ROUND_UP,
+  FEE: Decimal.ROUND_UP,
+  DISPLAY: Decimal.ROUND_HALF_UP
+};
+
+/**
+ * Convert a Number, string, Decimal or Decimal128 into a Decimal
+ * @param {*} value
+ * @returns {Decimal}
+ */
+function toDecimal(value) {
+  if (value === null || value === undefined || value === '') return new Decimal(0);
+  if (Decimal.isDecimal(value)) return value;
+  if (value instanceof mongoose.Types.Decimal128) return new Decimal(value.toString());
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Invalid money amount: ${value}`);
+  }
+  return new Decimal(value.toString());
+}
+
+/**
+ * Number of decimal places stored for a currency (the asset's decimals)
+ * @param {string} currency
+ * @returns {number}
+ */
+function getPrecision(currency) {
+  const code = String(currency || '').toUpperCase();
+  const asset = getAsset(code);
+  if (asset && Number.isInteger(asset.decimals)) return asset.decimals;
+  return FIAT_PRECISION[code] ?? DEFAULT_PRECISION;
+}
+
+function roundingFor(mode) {
+  const rounding = ROUNDING[mode];
+  if (rounding === undefined) throw new Error(`Unknown rounding mode: ${mode}`);
+  return rounding;
+}
+
+/**
+ * Round an amount to the currency's precision
+ * @param {*} value
+ * @param {string} currency
+ * @param {'CREDIT'|'DEBIT'|'FEE'|'DISPLAY'} [mode='DISPLAY']
+ * @returns {Decimal}
+ */
+function roundAmount(value, currency, mode = 'DISPLAY') {
+  return toDecimal(value).toDecimalPlaces(getPrecision(currency), roundingFor(mode));
+}
+
+/**
+ * Round and return a plain Number for storage on Number fields
+ * @returns {number}
+ */
+function toAmount(value, currency, mode = 'DISPLAY') {
+  return roundAmount(value, currency, mode).toNumber();
+}
+
+/**
+ * Round and return a Decimal128 for Decimal128 fields
+ * @returns {mongoose.Types.Decimal128}
+ */
+function toDecimal128(value, currency, mode = 'DISPLAY') {
+  return mongoose.Types.Decimal128.fromString(roundAmount(value, currency, mode).toFixed());
+}
+
+/**
+ * Amount expressed in integer minor units (satoshi, kobo, wei...) as a string
+ * @returns {string}
+ */
+function toMinorUnits(value, currency, mode = 'DISPLAY') {
+  return roundAmount(value, currency, mode).times(new Decimal(10).pow(getPrecision(currency))).toFixed(0);
+}
+
+/**
+ * Inverse of toMinorUnits
+ * @returns {number}
+ */
+function fromMinorUnits(units, currency) {
+  return toDecimal(units).dividedBy(new Decimal(10).pow(getPrecision(currency))).toNumber();
+}
+
+/**
+ * Sum amounts exactly, then round to the currency's precision
+ * @param {Array<*>} values
+ * @returns {number}
+ */
+function sumAmounts(values, currency, mode = 'DISPLAY') {
+  const total = values.reduce((acc, value) => acc.plus(toDecimal(value)), new Decimal(0));
+  return toAmount(total, currency, mode);
+}
+
+/**
+ * Reduce an amount by a percentage (markdowns, percentage fees).
+ * The user-facing amount is rounded down; the difference is what the platform keeps,
+ * so `adjustedAmount + reductionAmount` always equals the original amount.
+ * @param {*} amount
+ * @param {number} percent - e.g. 0.3 for 0.3%
+ * @param {string} currency
+ * @returns {{ adjustedAmount: number, reductionAmount: number }}
+ */
+function applyPercentageReduction(amount, percent, currency) {
+  const original = roundAmount(amount, currency, 'CREDIT');
+  const multiplier = new Decimal(1).minus(toDecimal(percent).dividedBy(100));
+  const adjusted = roundAmount(original.times(multiplier), currency, 'CREDIT');
+  return {
+    adjustedAmount: adjusted.toNumber(),
+    reductionAmount: original.minus(adjusted).toNumber()
+  };
+}
+
+/**
+ * Convert an amount with a price or rate: amount × rate (or amount ÷ rate)
+ * @param {*} amount
+ * @param {*} rate
+ * @param {string} currency - Currency of the result
+ * @param {Object} [options]
+ * @param {boolean} [options.divide=false]
+ * @param {'CREDIT'|'DEBIT'|'FEE'|'DISPLAY'} [options.mode='DISPLAY']
+ * @returns {number}
+ */
+function convertAmount(amount, rate, currency, { divide = false, mode = 'DISPLAY' } = {}) {
+  const r = toDecimal(rate);
+  if (divide && r.isZero()) return 0;
+  const result = divide ? toDecimal(amount).dividedBy(r) : toDecimal(amount).times(r);
+  return toAmount(result, currency, mode);
+}
+
+/**
+ * Exchange rate between two amounts (received ÷ sent) without float noise
+ * @returns {number}
+ */
+function ratio(numerator, denominator, places = RATE_PRECISION) {
+  const d = toDecimal(denominator);
+  if (d.isZero()) return 0;
+  return toDecimal(numerator).dividedBy(d).toDecimalPlaces(places, Decimal.ROUND_HALF_UP).toNumber();
+}
+
+/**
+ * Round amount paths on a mongoose document to the precision of its currency.
+ * Used from pre('validate') hooks so stored amounts never carry float noise.
+ * Handles both Number and Decimal128 paths.
+ * @param {Document} doc
+ * @param {Array<string>} amountPaths
+ * @param {string|Function} currencyPath - Path name, or fn(doc, path) -> currency
+ */
+function roundAmountPaths(doc, amountPaths, currencyPath) {
+  for (const path of amountPaths) {
+    const value = doc.get(path, null, { getters: false });
+    const isDecimal128 = value instanceof mongoose.Types.Decimal128;
+    if (!isDecimal128 && (typeof value !== 'number' || !Number.isFinite(value))) continue;
+    const currency = typeof currencyPath === 'function' ? currencyPath(doc, path) : doc.get(currencyPath);
+    if (!currency) continue;
+    if (isDecimal128) {
+      const rounded = toDecimal128(value, currency);
+      if (rounded.toString() !== value.toString()) doc.set(path, rounded);
+    } else {
+      const rounded = toAmount(value, currency);
+      if (rounded !== value) doc.set(path, rounded);
+    }
+  }
+}
+
+/**
+ * Read a Decimal128 back as a Number. Used as the getter on Decimal128 amount
+ * fields; null and undefined pass through.
+ * @param {*} value
+ * @returns {number|null|undefined}
+ */
+function fromDecimal128(value) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'number') return value;
+  return Number(value.toString());
+}
+
+/**
+ * Replace every Decimal128 inside a plain object or array with a Number, in
+ * place. Used for lean results, aggregates and toJSON output.
+ * @param {*} value
+ * @returns {*} The same value
+ */
+function decimalsToNumbers(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value._bsontype === 'Decimal128') return fromDecimal128(value);
+  if (value instanceof Date || Buffer.isBuffer(value) || value._bsontype || value.$__) return value;
+  if (value instanceof Map) {
+    // Map entries are converted in place; set() would cast them back
+    for (const item of value.values()) decimalsToNumbers(item);
+    return value;
+  }
+  for (const key of Object.keys(value)) {
+    const item = value[key];
+    if (item !== null && typeof item === 'object') value[key] = decimalsToNumbers(item);
+  }
+  return value;
+}
+
+const nonNegativeDecimal = {
+  validator: (value) => value == null || !String(value).startsWith('-'),
+  message: 'Amount cannot be negative'
+};
+
+/**
+ * Schema path definition for an exact stored amount
+ * @param {Object} [options]
+ * @param {boolean} [options.nonNegative=false] - Reject negative values (balances)
+ * @returns {Object}
+ */
+function decimalAmountField({ nonNegative = false, ...options } = {}) {
+  return {
+    type: mongoose.Schema.Types.Decimal128,
+    get: fromDecimal128,
+    ...(nonNegative ? { validate: nonNegativeDecimal } : {}),
+    ...options
+  };
+}
+
+const LEAN_QUERY_HOOKS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+
+/**
+ * Schema plugin for models with decimalAmountField() paths: toJSON/toObject,
+ * lean queries and aggregates return Numbers instead of Decimal128. Apply it
+ * after any toJSON/toObject options so their transforms are kept.
+ * @param {mongoose.Schema} schema
+ */
+function decimalAmountsPlugin(schema) {
+  for (const method of ['toJSON', 'toObject']) {
+    const options = schema.get(method) || {};
+    const transform = options.transform;
+    schema.set(method, {
+      ...options,
+      transform(doc, ret, opts) {
+        const result = typeof transform === 'function' ? transform(doc, ret, opts) : ret;
+        return decimalsToNumbers(result === undefined ? ret : result);
+      }
+    });
+  }
+
+  schema.post(LEAN_QUERY_HOOKS, function convertLeanAmounts(result) {
+    if (this.mongooseOptions().lean) decimalsToNumbers(result);
+  });
+
+  schema.post('aggregate', function convertAggregateAmounts(result) {
+    decimalsToNumbers(result);
+  });
+}
+
+module.exports = {
+  ROUNDING,
+  toDecimal,
+  getPrecision,
+  roundAmount,
+  toAmount,
+  toDecimal128,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts,
+  applyPercentageReduction,
+  convertAmount,
+  ratio,
+  roundAmountPaths,
+  fromDecimal128,
+  decimalsToNumbers,
+  decimalAmountField,
+  decimalAmountsPlugin
+};
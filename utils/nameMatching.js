@@ -0,0 +1,124 @@
+/**
+ * Fuzzy person-name matching for watchlist screening (services/screeningService).
+ * Names are compared token by token with Jaro-Winkler, so word order, missing
+ * middle names and small spelling differences still match.
+ */
+
+// Titles and honorifics that say nothing about who the person is
+const IGNORED_TOKENS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'engr', 'sir', 'dame', 'hon', 'chief',
+  'alhaji', 'alh', 'alhaja', 'otunba', 'pastor', 'rev', 'jr', 'sr'
+]);
+
+/**
+ * Lower-case, strip accents and punctuation, drop titles
+ * @param {string} name
+ * @returns {string} Space-separated tokens ('' if nothing is left)
+ */
+function normalizeName(name) {
+  if (!name || typeof name !== 'string') return '';
+  return name
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !IGNORED_TOKENS.has(token))
+    .join(' ');
+}
+
+/**
+ * Jaro-Winkler similarity
+ * @returns {number} 0 (nothing alike) to 1 (identical)
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(b.length - 1, i + window);
+    for (let j = start; j <= end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two normalised names
+ * Every token of the shorter name is paired with its closest unused token of
+ * the longer one; a single-token name scores lower since it identifies less.
+ * @param {string[]} aTokens
+ * @param {string[]} bTokens
+ * @returns {number} 0 to 1
+ */
+function tokenSimilarity(aTokens, bTokens) {
+  if (!aTokens.length || !bTokens.length) return 0;
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+
+  // Cheap reject: no pair of tokens even starts with the same letter
+  if (!shorter.some(token => longer.some(other => other[0] === token[0]))) return 0;
+
+  const used = new Set();
+  let total = 0;
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    longer.forEach((other, index) => {
+      if (used.has(index)) return;
+      const score = jaroWinkler(token, other);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) used.add(bestIndex);
+    total += best;
+  }
+
+  let score = total / shorter.length;
+  // "Abdul Rahman" vs "Abdulrahman"
+  score = Math.max(score, jaroWinkler(shorter.join(''), longer.join('')) * (shorter.length === longer.length ? 1 : 0.95));
+  return shorter.length === 1 ? score * 0.85 : score;
+}
+
+/**
+ * @param {string} a - raw or normalised name
+ * @param {string} b
+ * @returns {number} 0 to 1
+ */
+function nameSimilarity(a, b) {
+  const aTokens = normalizeName(a).split(' ').filter(Boolean);
+  const bTokens = normalizeName(b).split(' ').filter(Boolean);
+  return tokenSimilarity(aTokens, bTokens);
+}
+
+module.exports = {
+  normalizeName,
+  jaroWinkler,
+  tokenSimilarity,
+  nameSimilarity
+};
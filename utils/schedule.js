@@ -0,0 +1,80 @@
+// utils/schedule.js
+// Calendar schedules for recurring jobs (recurring buys, scheduled bill payments).
+// All times are UTC.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'BIWEEKLY', 'MONTHLY'];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check a schedule definition
+ * @param {Object} schedule - { frequency, hourUtc, dayOfWeek, dayOfMonth }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSchedule({ frequency, hourUtc, dayOfWeek, dayOfMonth }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!Number.isInteger(hourUtc) || hourUtc < 0 || hourUtc > 23) {
+    return 'hourUtc must be an integer between 0 and 23';
+  }
+  if (['WEEKLY', 'BIWEEKLY'].includes(frequency) && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+    return 'dayOfWeek (0-6, 0 = Sunday) is required for weekly schedules';
+  }
+  if (frequency === 'MONTHLY' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28)) {
+    return 'dayOfMonth (1-28) is required for monthly schedules';
+  }
+  return null;
+}
+
+/**
+ * First slot strictly after `after`
+ * @param {Object} schedule - { frequency, hourUtc, dayOfWeek, dayOfMonth }
+ * @param {Date} [after=new Date()]
+ * @returns {Date}
+ */
+function computeNextRunAt({ frequency, hourUtc = 9, dayOfWeek, dayOfMonth }, after = new Date()) {
+  const next = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate(), hourUtc));
+
+  switch (frequency) {
+    case 'DAILY':
+      if (next <= after) next.setUTCDate(next.getUTCDate() + 1);
+      return next;
+
+    case 'WEEKLY':
+    case 'BIWEEKLY': {
+      next.setUTCDate(next.getUTCDate() + ((dayOfWeek - next.getUTCDay() + 7) % 7));
+      if (next <= after) next.setUTCDate(next.getUTCDate() + 7);
+      return next;
+    }
+
+    case 'MONTHLY':
+      next.setUTCDate(dayOfMonth);
+      if (next <= after) next.setUTCMonth(next.getUTCMonth() + 1);
+      return next;
+
+    default:
+      throw new Error(`Unknown schedule frequency: ${frequency}`);
+  }
+}
+
+/**
+ * Slot after the one at `scheduledFor`, skipping any that are already in
+ * the past (e.g. after downtime)
+ * @returns {Date}
+ */
+function followingRunAt(schedule, scheduledFor, now = new Date()) {
+  const step = (from) => {
+    const next = computeNextRunAt(schedule, from);
+    return schedule.frequency === 'BIWEEKLY' ? new Date(next.getTime() + WEEK_MS) : next;
+  };
+  let next = step(scheduledFor);
+  while (next <= now) next = step(next);
+  return next;
+}
+
+module.exports = {
+  FREQUENCIES,
+  validateSchedule,
+  computeNextRunAt,
+  followingRunAt
+};